@@ -23,8 +23,11 @@ import {
   configureNokProviders,
   joinNok,
   registerNok,
+  revokeNok,
+  setNokThreshold,
+  confirmNok,
   approveNokLogin,
-  isNokRegistered,
+  getNokApprovalStatus,
   getNokLedgerState,
   generateAdminSecret,
 } from './nok-api.js';
@@ -86,10 +89,13 @@ ${DIV}
   NOK Admin — ${contractAddress.slice(0, 20)}...
 ${DIV}
   [1] Register a next-of-kin
-  [2] Approve a NOK login
-  [3] Check if an owner is registered
-  [4] View contract state
-  [5] Exit
+  [2] Revoke a next-of-kin
+  [3] Set an owner's approval threshold (K of N)
+  [4] Record a NOK confirmation
+  [5] Approve a NOK login
+  [6] List an owner's NOKs
+  [7] View contract state
+  [8] Exit
 ${DIV}
 > `;
 
@@ -114,23 +120,56 @@ while (running) {
         const owner = (await rli.question('  K33P user handle: ')).trim();
         const nok = (await rli.question('  Next-of-kin identifier: ')).trim();
         const joined = await joinNok(providers, contractAddress, adminSecret, logger);
-        const ok = await approveNokLogin(joined, ownerIdentifierToField(owner), nokHashToField(nok), logger);
-        console.log(ok ? '  ✓ Login approved\n' : '  ✗ Not approved\n');
+        await revokeNok(joined, ownerIdentifierToField(owner), nokHashToField(nok), logger);
+        console.log('  ✓ Revoked\n');
         break;
       }
       case '3': {
         const owner = (await rli.question('  K33P user handle: ')).trim();
-        const ok = await isNokRegistered(providers, contractAddress, ownerIdentifierToField(owner), logger);
-        console.log(ok ? '  ✓ Registered\n' : '  ✗ Not registered\n');
+        const threshold = BigInt((await rli.question('  Confirmations required (K): ')).trim());
+        const joined = await joinNok(providers, contractAddress, adminSecret, logger);
+        await setNokThreshold(joined, ownerIdentifierToField(owner), threshold, logger);
+        console.log(`  ✓ Threshold set to ${threshold}\n`);
         break;
       }
       case '4': {
+        const owner = (await rli.question('  K33P user handle: ')).trim();
+        const nok = (await rli.question('  Next-of-kin identifier: ')).trim();
+        const joined = await joinNok(providers, contractAddress, adminSecret, logger);
+        const count = await confirmNok(joined, ownerIdentifierToField(owner), nokHashToField(nok), logger);
+        console.log(`  ✓ Confirmed (${count} so far)\n`);
+        break;
+      }
+      case '5': {
+        const owner = (await rli.question('  K33P user handle: ')).trim();
+        const nok = (await rli.question('  Next-of-kin identifier: ')).trim();
+        const joined = await joinNok(providers, contractAddress, adminSecret, logger);
+        const ok = await approveNokLogin(joined, ownerIdentifierToField(owner), nokHashToField(nok), logger);
+        console.log(ok ? '  ✓ Login approved\n' : '  ✗ Not approved\n');
+        break;
+      }
+      case '6': {
+        const owner = (await rli.question('  K33P user handle: ')).trim();
+        const status = await getNokApprovalStatus(providers, contractAddress, ownerIdentifierToField(owner), logger);
+        if (status.registered === 0n) {
+          console.log('  ✗ Not registered\n');
+          break;
+        }
+        console.log(`  Threshold: ${status.threshold} of ${status.registered} (${status.confirmations} confirmed)`);
+        for (const record of status.noks) {
+          console.log(`  ${record.confirmed ? '✓' : '·'} ${record.nokHash} (registered at round ${record.registeredAt})`);
+        }
+        console.log('');
+        break;
+      }
+      case '7': {
         const state = await getNokLedgerState(providers, contractAddress, logger);
         if (state) {
           console.log(`\n${DIV}`);
           console.log(`  Address  : ${contractAddress}`);
           console.log(`  Admin PK : ${Buffer.from(state.admin).toString('hex')}`);
           console.log(`  Round    : ${state.round}`);
+          console.log(`  Owners   : ${state.ownerCount}`);
           console.log(`  Records  : ${state.registeredCount}`);
           console.log(`${DIV}\n`);
         } else {
@@ -138,7 +177,7 @@ while (running) {
         }
         break;
       }
-      case '5':
+      case '8':
         running = false;
         break;
       default:
@@ -1,7 +1,8 @@
 // SPDX-License-Identifier: Apache-2.0
 //
-// NOK contract API: provider setup, deploy, join, and the register/approve/query
-// operations. Modelled on the Midnight example-dao shadowdao API.
+// NOK contract API: provider setup, deploy, join, and the register/revoke/
+// threshold/confirm/approve/query operations. Modelled on the Midnight
+// example-dao shadowdao API.
 
 import { type ContractAddress } from '@midnight-ntwrk/compact-runtime';
 import { deployContract, findDeployedContract } from '@midnight-ntwrk/midnight-js/contracts';
@@ -31,9 +32,28 @@ type DeployedNokContract = DeployedContract<NokContract> | FoundContract<NokCont
 export interface NokLedgerState {
   admin: Uint8Array;
   round: bigint;
+  /** Owners with at least one NOK */
+  ownerCount: bigint;
+  /** NOK records across all owners */
   registeredCount: bigint;
 }
 
+/** One of an owner's NOKs as stored on-chain. */
+export interface NokRecord {
+  nokHash: bigint;
+  registeredAt: bigint;
+  /** Has this NOK confirmed the owner's pending login? */
+  confirmed: boolean;
+}
+
+/** An owner's K-of-N approval state. */
+export interface NokApprovalStatus {
+  threshold: bigint;
+  registered: bigint;
+  confirmations: bigint;
+  noks: NokRecord[];
+}
+
 // ─── Compiled contract definition ──────────────────────────────────────────────
 
 const compiledNokContract: any = (CompiledContract.make('nok', Nok.Contract) as any).pipe(
@@ -147,7 +167,47 @@ export async function registerNok(
   log.info('NOK registered');
 }
 
-/** Approve a NOK-initiated login by proving the supplied hash matches. */
+/** Revoke one of an owner's NOKs. Both args are pre-hashed Field values. */
+export async function revokeNok(
+  deployed: DeployedNokContract,
+  ownerIdentifier: bigint,
+  nokHash: bigint,
+  log: Logger,
+): Promise<void> {
+  log.info(`Revoking NOK for owner ${ownerIdentifier.toString().slice(0, 12)}...`);
+  await (deployed.callTx as any).revoke_nok(ownerIdentifier, nokHash);
+  log.info('NOK revoked');
+}
+
+/** Require K of the owner's NOKs to confirm a login (1 <= K <= registered NOKs). */
+export async function setNokThreshold(
+  deployed: DeployedNokContract,
+  ownerIdentifier: bigint,
+  threshold: bigint,
+  log: Logger,
+): Promise<void> {
+  log.info(`Setting NOK threshold ${threshold} for owner ${ownerIdentifier.toString().slice(0, 12)}...`);
+  await (deployed.callTx as any).set_nok_threshold(ownerIdentifier, threshold);
+  log.info('NOK threshold set');
+}
+
+/** Record a NOK's confirmation of the owner's pending login. Returns confirmations so far. */
+export async function confirmNok(
+  deployed: DeployedNokContract,
+  ownerIdentifier: bigint,
+  nokHash: bigint,
+  log: Logger,
+): Promise<bigint> {
+  log.info(`Confirming NOK login for owner ${ownerIdentifier.toString().slice(0, 12)}...`);
+  const result = await (deployed.callTx as any).confirm_nok(ownerIdentifier, nokHash);
+  log.info('NOK confirmation recorded');
+  return BigInt((result as any).public?.result ?? 0);
+}
+
+/**
+ * Approve a NOK-initiated login. The hash must be one of the owner's NOKs and,
+ * counting this request, the owner's threshold of NOKs must have confirmed.
+ */
 export async function approveNokLogin(
   deployed: DeployedNokContract,
   ownerIdentifier: bigint,
@@ -172,10 +232,15 @@ export async function getNokLedgerState(
   if (!contractState) return null;
 
   const ls = Nok.ledger(contractState.data);
+  let registeredCount = 0n;
+  for (const [, ownerNoks] of ls.noks) {
+    registeredCount += ownerNoks.size();
+  }
   return {
     admin: ls.admin,
     round: ls.round,
-    registeredCount: ls.noks.size(),
+    ownerCount: ls.noks.size(),
+    registeredCount,
   };
 }
 
@@ -190,5 +255,35 @@ export async function isNokRegistered(
   const contractState = await providers.publicDataProvider.queryContractState(contractAddress as ContractAddress);
   if (!contractState) return false;
   const ls = Nok.ledger(contractState.data);
-  return ls.noks.member(ownerIdentifier);
+  return ls.noks.member(ownerIdentifier) && !ls.noks.lookup(ownerIdentifier).isEmpty();
+}
+
+/** Read an owner's NOKs, threshold and pending confirmations from the public ledger. */
+export async function getNokApprovalStatus(
+  providers: NokProviders,
+  contractAddress: string,
+  ownerIdentifier: bigint,
+  _log: Logger,
+): Promise<NokApprovalStatus> {
+  assertIsContractAddress(contractAddress);
+  const contractState = await providers.publicDataProvider.queryContractState(contractAddress as ContractAddress);
+  const empty: NokApprovalStatus = { threshold: 1n, registered: 0n, confirmations: 0n, noks: [] };
+  if (!contractState) return empty;
+
+  const ls = Nok.ledger(contractState.data);
+  if (!ls.noks.member(ownerIdentifier)) return empty;
+
+  const confirmed = ls.confirmations.member(ownerIdentifier) ? ls.confirmations.lookup(ownerIdentifier) : null;
+  const noks: NokRecord[] = [];
+  for (const [nokHash, record] of ls.noks.lookup(ownerIdentifier)) {
+    noks.push({ nokHash, registeredAt: record.registeredAt, confirmed: confirmed?.member(nokHash) ?? false });
+  }
+
+  return {
+    // Mirrors thresholdOf() in nok.compact
+    threshold: ls.thresholds.member(ownerIdentifier) ? ls.thresholds.lookup(ownerIdentifier) : 1n,
+    registered: BigInt(noks.length),
+    confirmations: confirmed?.size() ?? 0n,
+    noks,
+  };
 }
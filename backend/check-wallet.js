@@ -1,5 +1,5 @@
 // Script to check the backend wallet address and UTXOs
-import { Lucid, Blockfrost } from 'lucid-cardano';
+import { Lucid, Blockfrost } from '@lucid-evolution/lucid';
 import fetch from 'node-fetch';
 import dotenv from 'dotenv';
 
@@ -22,7 +22,7 @@ async function main() {
     console.log('Blockfrost URL:', BLOCKFROST_URL);
     console.log('Blockfrost API Key:', BLOCKFROST_API_KEY);
     
-    const lucid = await Lucid.new(
+    const lucid = await Lucid(
       new Blockfrost(
         BLOCKFROST_URL,
         BLOCKFROST_API_KEY
@@ -35,8 +35,8 @@ async function main() {
     console.log('Using private key:', privateKey);
 
     // Select wallet and get address
-    lucid.selectWalletFromPrivateKey(privateKey);
-    const address = await lucid.wallet.address();
+    lucid.selectWallet.fromPrivateKey(privateKey);
+    const address = await lucid.wallet().address();
     console.log('Backend wallet address:', address);
 
     // Check UTXOs at the address
@@ -0,0 +1,81 @@
+/**
+ * build.js
+ *
+ * Compiles the K33P identity circuit and runs the Groth16 trusted setup,
+ * producing the artifacts loaded by src/utils/zk.js:
+ *
+ *   circuits/build/identity_js/identity.wasm  - witness generator
+ *   circuits/build/identity_final.zkey        - proving key
+ *   circuits/build/verification_key.json      - verifying key
+ *
+ * Set ZK_PTAU to an existing powers-of-tau file (e.g. from the Hermez
+ * ceremony) for production keys. Without it a local single-contributor
+ * ceremony is generated, which is only suitable for development and tests.
+ */
+
+import { execFileSync } from 'child_process';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as snarkjs from 'snarkjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const buildDir = process.env.ZK_ARTIFACTS_DIR || path.join(__dirname, 'build');
+const circuitName = 'identity';
+const ptauPower = 12;
+
+async function buildLocalPtau(curve) {
+  const ptau0 = path.join(buildDir, 'pot_0000.ptau');
+  const ptau1 = path.join(buildDir, 'pot_0001.ptau');
+  const ptauFinal = path.join(buildDir, 'pot_final.ptau');
+
+  console.log(`⚙️  Generating local powers of tau (2^${ptauPower})...`);
+  await snarkjs.powersOfTau.newAccumulator(curve, ptauPower, ptau0);
+  await snarkjs.powersOfTau.contribute(ptau0, ptau1, 'k33p-local', crypto.randomBytes(32).toString('hex'));
+  await snarkjs.powersOfTau.preparePhase2(ptau1, ptauFinal);
+
+  fs.unlinkSync(ptau0);
+  fs.unlinkSync(ptau1);
+  return ptauFinal;
+}
+
+async function build() {
+  fs.mkdirSync(buildDir, { recursive: true });
+
+  console.log('🔧 Compiling circuit...');
+  execFileSync(process.execPath, [
+    path.join(__dirname, '..', 'node_modules', 'circom2', 'cli.js'),
+    path.join(__dirname, `${circuitName}.circom`),
+    '--r1cs',
+    '--wasm',
+    '-o',
+    buildDir
+  ], { stdio: 'inherit' });
+
+  const curve = await snarkjs.curves.getCurveFromName('bn128');
+  try {
+    const ptau = process.env.ZK_PTAU || await buildLocalPtau(curve);
+    const r1cs = path.join(buildDir, `${circuitName}.r1cs`);
+    const zkey0 = path.join(buildDir, `${circuitName}_0000.zkey`);
+    const zkeyFinal = path.join(buildDir, `${circuitName}_final.zkey`);
+
+    console.log('🔑 Generating proving key...');
+    await snarkjs.zKey.newZKey(r1cs, ptau, zkey0);
+    await snarkjs.zKey.contribute(zkey0, zkeyFinal, 'k33p-phase2', crypto.randomBytes(32).toString('hex'));
+    fs.unlinkSync(zkey0);
+
+    console.log('📤 Exporting verification key...');
+    const verificationKey = await snarkjs.zKey.exportVerificationKey(zkeyFinal);
+    fs.writeFileSync(path.join(buildDir, 'verification_key.json'), JSON.stringify(verificationKey, null, 2));
+
+    console.log(`✅ ZK artifacts written to ${buildDir}`);
+  } finally {
+    await curve.terminate();
+  }
+}
+
+build().catch((error) => {
+  console.error('❌ Circuit build failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,37 @@
+pragma circom 2.1.6;
+
+include "../node_modules/circomlib/circuits/poseidon.circom";
+
+/*
+ * K33P identity commitment circuit
+ *
+ * Proves knowledge of the hashed phone number and the optional biometric and
+ * passkey hashes behind a public Poseidon commitment. Each private input is the
+ * SHA-256 hash produced by src/utils/hash.js reduced into the BN254 scalar
+ * field; absent optional factors are passed as 0.
+ *
+ * The public `challenge` is a single-use value issued by the server. It takes
+ * no part in the commitment but is bound into the proof, so a proof only
+ * verifies for the login it was made for and cannot be replayed.
+ */
+template K33PIdentity() {
+    signal input phoneHash;
+    signal input biometricHash;
+    signal input passkeyHash;
+    signal input challenge;
+
+    signal output commitment;
+
+    // A public input unused by any constraint could be swapped freely
+    signal challengeSquare;
+    challengeSquare <== challenge * challenge;
+
+    component hasher = Poseidon(3);
+    hasher.inputs[0] <== phoneHash;
+    hasher.inputs[1] <== biometricHash;
+    hasher.inputs[2] <== passkeyHash;
+
+    commitment <== hasher.out;
+}
+
+component main {public [challenge]} = K33PIdentity();
@@ -1,5 +1,5 @@
 // Script to fund the backend wallet with test ADA
-import { Lucid, Blockfrost } from 'lucid-cardano';
+import { Lucid, Blockfrost } from '@lucid-evolution/lucid';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -23,7 +23,7 @@ async function main() {
   try {
     // Initialize Lucid with Blockfrost provider
     console.log('Initializing Lucid...');
-    const lucid = await Lucid.new(
+    const lucid = await Lucid(
       new Blockfrost(
         BLOCKFROST_URL,
         BLOCKFROST_API_KEY
@@ -39,30 +39,30 @@ async function main() {
 
     // Select funder wallet
     console.log('Selecting funder wallet...');
-    lucid.selectWalletFromPrivateKey(FUNDER_PRIVATE_KEY);
-    const funderAddress = await lucid.wallet.address();
+    lucid.selectWallet.fromPrivateKey(FUNDER_PRIVATE_KEY);
+    const funderAddress = await lucid.wallet().address();
     console.log('Funder wallet address:', funderAddress);
 
     // Get backend wallet address
     console.log('Getting backend wallet address...');
-    const backendLucid = await Lucid.new(
+    const backendLucid = await Lucid(
       new Blockfrost(
         BLOCKFROST_URL,
         BLOCKFROST_API_KEY
       ),
       NETWORK
     );
-    backendLucid.selectWalletFromPrivateKey(BACKEND_PRIVATE_KEY);
-    const backendAddress = await backendLucid.wallet.address();
+    backendLucid.selectWallet.fromPrivateKey(BACKEND_PRIVATE_KEY);
+    const backendAddress = await backendLucid.wallet().address();
     console.log('Backend wallet address:', backendAddress);
 
     // Build and submit transaction
     console.log('Building transaction to send 5 ADA...');
     const tx = await lucid.newTx()
-      .payToAddress(backendAddress, { lovelace: BigInt(5_000_000) }) // 5 ADA
+      .pay.ToAddress(backendAddress, { lovelace: BigInt(5_000_000) }) // 5 ADA
       .complete();
 
-    const signedTx = await tx.sign().complete();
+    const signedTx = await tx.sign.withWallet().complete();
     const txHash = await signedTx.submit();
 
     console.log('Transaction submitted successfully!');
@@ -1,6 +1,6 @@
 // Simple script to get the backend wallet address
 import { initLucid } from './src/utils/lucid.js';
-import { Lucid, Blockfrost } from 'lucid-cardano';
+import { Lucid, Blockfrost } from '@lucid-evolution/lucid';
 import { bech32 } from 'bech32';
 import dotenv from 'dotenv';
 
@@ -39,8 +39,8 @@ async function getWalletAddress() {
   try {
     console.log('Getting backend wallet address...');
     const lucid = await initLucid();
-    lucid.selectWalletFromPrivateKey(getBackendPrivateKey());
-    const address = await lucid.wallet.address();
+    lucid.selectWallet.fromPrivateKey(getBackendPrivateKey());
+    const address = await lucid.wallet().address();
     console.log('Backend wallet address:', address);
     return address;
   } catch (error) {
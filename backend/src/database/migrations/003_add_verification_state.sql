@@ -0,0 +1,18 @@
+-- Migration: Add verification state table
+-- Stores short-lived OTP codes, emergency recovery tokens and attempt counters
+-- so recovery, phone-change and OTP flows survive restarts and work across instances.
+-- state_key is a SHA-256 digest of the namespaced key; raw phone numbers and tokens are never stored.
+
+CREATE TABLE IF NOT EXISTS verification_state (
+    state_key VARCHAR(64) PRIMARY KEY,
+    data JSONB NOT NULL DEFAULT '{}',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_verification_state_expires_at ON verification_state(expires_at);
+CREATE INDEX IF NOT EXISTS idx_recovery_requests_expires_at ON recovery_requests(expires_at);
+CREATE INDEX IF NOT EXISTS idx_phone_change_requests_expires_at ON phone_change_requests(expires_at);
@@ -0,0 +1,11 @@
+-- Migration: Store WebAuthn passkey credentials in auth_data
+-- Each passkey is its own auth_data row keyed by credential_id, so a user can
+-- register several. Other auth types keep one row per (user_id, auth_type).
+
+ALTER TABLE auth_data ADD COLUMN IF NOT EXISTS credential_id VARCHAR(512);
+ALTER TABLE auth_data ADD COLUMN IF NOT EXISTS sign_count BIGINT DEFAULT 0;
+
+ALTER TABLE auth_data DROP CONSTRAINT IF EXISTS auth_data_user_id_auth_type_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_auth_data_user_type_unique ON auth_data(user_id, auth_type) WHERE auth_type <> 'passkey';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_auth_data_credential_id ON auth_data(credential_id) WHERE credential_id IS NOT NULL;
@@ -0,0 +1,27 @@
+-- Migration: Add storage provider index and reconciliation journal
+-- storage_objects maps document keys to provider file references (Iagon addresses
+-- files by id, not by name) together with the SHA-256 of the stored content.
+-- storage_reconciliation records writes that were accepted by PostgreSQL while the
+-- document provider was unavailable, so they can be replayed once it recovers.
+
+CREATE TABLE IF NOT EXISTS storage_objects (
+    key VARCHAR(512) NOT NULL,
+    provider VARCHAR(20) NOT NULL,
+    provider_ref VARCHAR(255) NOT NULL,
+    content_hash VARCHAR(64) NOT NULL,
+    size INTEGER NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (key, provider)
+);
+
+CREATE TABLE IF NOT EXISTS storage_reconciliation (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    target VARCHAR(20) NOT NULL CHECK (target IN ('iagon', 'postgresql')),
+    operation JSONB NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_storage_objects_provider_key ON storage_objects(provider, key varchar_pattern_ops);
+CREATE INDEX IF NOT EXISTS idx_storage_reconciliation_target ON storage_reconciliation(target, created_at);
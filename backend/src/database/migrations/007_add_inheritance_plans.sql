@@ -0,0 +1,25 @@
+-- Migration: Add dead-man's-switch inheritance plans
+-- One plan per user. The state machine is driven by the inheritance scheduler:
+--   active -> check_in_sent -> claimable -> claimed -> released
+-- next_action_at is when the scheduler should next look at the plan (NULL while
+-- waiting on the next-of-kin or once released). An owner check-in or veto
+-- returns the plan to active.
+
+CREATE TABLE IF NOT EXISTS inheritance_plans (
+    user_id VARCHAR(50) PRIMARY KEY,
+    state VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (state IN ('active', 'check_in_sent', 'claimable', 'claimed', 'released')),
+    inactivity_period_days INTEGER NOT NULL CHECK (inactivity_period_days > 0),
+    check_in_window_days INTEGER NOT NULL CHECK (check_in_window_days > 0),
+    grace_period_days INTEGER NOT NULL CHECK (grace_period_days > 0),
+    last_check_in_at TIMESTAMPTZ NOT NULL,
+    next_action_at TIMESTAMPTZ,
+    claim_nok_identifier VARCHAR(255),
+    claimed_at TIMESTAMPTZ,
+    released_at TIMESTAMPTZ,
+    last_error TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_inheritance_plans_next_action ON inheritance_plans(next_action_at) WHERE next_action_at IS NOT NULL;
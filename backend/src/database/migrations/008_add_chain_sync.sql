@@ -0,0 +1,33 @@
+-- Migration: Add chain-sync cursor and detected deposits
+-- chain_sync_points keeps the most recent block points each chain follower has
+-- processed, so it can find an intersection after a restart or a rollback.
+-- chain_deposits records deposits seen in those blocks. A deposit stays pending
+-- until it is deep enough to hand to the refund pipeline:
+--   pending -> confirmed
+-- and a rollback past its block marks it rolled_back.
+
+CREATE TABLE IF NOT EXISTS chain_sync_points (
+    consumer VARCHAR(50) NOT NULL,
+    slot BIGINT NOT NULL,
+    block_hash VARCHAR(64) NOT NULL,
+    block_height BIGINT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (consumer, slot)
+);
+
+CREATE TABLE IF NOT EXISTS chain_deposits (
+    tx_hash VARCHAR(64) PRIMARY KEY,
+    deposit_address TEXT NOT NULL,
+    amount BIGINT NOT NULL,
+    slot BIGINT NOT NULL,
+    block_hash VARCHAR(64) NOT NULL,
+    block_height BIGINT NOT NULL,
+    sender_address TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'rolled_back')),
+    detected_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    confirmed_at TIMESTAMPTZ,
+    rolled_back_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_chain_deposits_pending ON chain_deposits(block_height) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_chain_deposits_slot ON chain_deposits(slot);
@@ -0,0 +1,22 @@
+-- Migration: Add refund batches
+-- The auto-refund monitor pays many depositors in a single transaction. Every
+-- batch attempt is recorded here and each recipient gets its own transactions
+-- row pointing at the batch, so a tx_hash is only unique per recipient.
+
+CREATE TABLE IF NOT EXISTS refund_batches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tx_hash VARCHAR(128) UNIQUE,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('submitted', 'failed')),
+    recipient_count INTEGER NOT NULL,
+    total_amount BIGINT NOT NULL,
+    error TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS refund_batch_id UUID REFERENCES refund_batches(id) ON DELETE SET NULL;
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_tx_hash_key;
+ALTER TABLE transactions DROP CONSTRAINT IF EXISTS transactions_tx_hash_to_address_key;
+ALTER TABLE transactions ADD CONSTRAINT transactions_tx_hash_to_address_key UNIQUE (tx_hash, to_address);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_refund_batch_id ON transactions(refund_batch_id);
+CREATE INDEX IF NOT EXISTS idx_refund_batches_created_at ON refund_batches(created_at);
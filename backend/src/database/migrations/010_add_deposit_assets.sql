@@ -0,0 +1,7 @@
+-- Migration: Record the asset a deposit was paid in
+-- Deposits can be made in a native token (DEPOSIT_ACCEPTED_ASSETS) and are
+-- refunded in the same asset. Empty policy id and asset name mean lovelace,
+-- which covers every deposit made before this migration.
+
+ALTER TABLE user_deposits ADD COLUMN IF NOT EXISTS asset_policy_id VARCHAR(56) NOT NULL DEFAULT '';
+ALTER TABLE user_deposits ADD COLUMN IF NOT EXISTS asset_name VARCHAR(64) NOT NULL DEFAULT '';
@@ -0,0 +1,20 @@
+-- Migration: Add per-network contract deployments
+-- k33p-deploy records every deployment here instead of deployment-info.json,
+-- so one database can hold the script addresses of mainnet, preprod and
+-- preview side by side. A redeploy supersedes the previous deployment of the
+-- same contract on that network; at most one of them is active.
+
+CREATE TABLE IF NOT EXISTS contract_deployments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    network VARCHAR(16) NOT NULL CHECK (network IN ('mainnet', 'preprod', 'preview')),
+    contract_name VARCHAR(64) NOT NULL,
+    script_address TEXT NOT NULL,
+    script_hash VARCHAR(56) NOT NULL,
+    tx_hash VARCHAR(64),
+    parameters JSONB,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    deployed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contract_deployments_active
+    ON contract_deployments(network, contract_name) WHERE is_active;
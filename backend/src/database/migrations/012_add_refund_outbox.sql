@@ -0,0 +1,28 @@
+-- Migration: Add the refund outbox
+-- Every refund is claimed here before a transaction is built, under an
+-- idempotency key per deposit, and moves through
+--   queued -> built -> submitted -> confirmed
+-- or to failed, after which it may be claimed again. The signed transaction
+-- and its hash are stored before submission, so a crash between submitting
+-- and recording can be reconciled against the chain instead of paying twice.
+
+CREATE TABLE IF NOT EXISTS refund_outbox (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    idempotency_key VARCHAR(128) UNIQUE NOT NULL,
+    user_address TEXT NOT NULL,
+    refund_address TEXT NOT NULL,
+    user_deposit_id UUID REFERENCES user_deposits(id) ON DELETE SET NULL,
+    unit VARCHAR(120) NOT NULL DEFAULT 'lovelace',
+    amount BIGINT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'built', 'submitted', 'confirmed', 'failed')),
+    tx_hash VARCHAR(64),
+    signed_tx TEXT,
+    valid_until TIMESTAMPTZ,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    error TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_refund_outbox_unsettled ON refund_outbox(status) WHERE status IN ('queued', 'built', 'submitted');
+CREATE INDEX IF NOT EXISTS idx_refund_outbox_tx_hash ON refund_outbox(tx_hash);
@@ -0,0 +1,19 @@
+-- Migration: Add treasury snapshots
+-- Balance and UTxO layout of the wallet refunds are paid from, recorded on
+-- every treasury check. Serves the balance history of GET /api/admin/treasury
+-- and remembers whether automatic refunds were paused below the low-water mark.
+
+CREATE TABLE IF NOT EXISTS treasury_snapshots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    wallet_address TEXT NOT NULL,
+    lovelace BIGINT NOT NULL,
+    -- Native token balances, unit -> quantity as a decimal string
+    assets JSONB NOT NULL DEFAULT '{}',
+    utxo_count INTEGER NOT NULL,
+    dust_utxo_count INTEGER NOT NULL,
+    refunds_paused BOOLEAN NOT NULL DEFAULT FALSE,
+    consolidation_tx_hash VARCHAR(64),
+    recorded_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_treasury_snapshots_wallet_recorded ON treasury_snapshots(wallet_address, recorded_at DESC);
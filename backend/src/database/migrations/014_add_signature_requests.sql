@@ -0,0 +1,20 @@
+-- Migration: Add signature requests
+-- Every transaction the signing service is asked to sign, approved or not,
+-- with the outflow its policy judged. Approved rows feed the rolling daily
+-- cap; a transaction signed again counts once.
+
+CREATE TABLE IF NOT EXISTS signature_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    signer_address TEXT NOT NULL,
+    tx_hash VARCHAR(64),
+    purpose VARCHAR(30) NOT NULL,
+    requester VARCHAR(255),
+    outflow_lovelace BIGINT NOT NULL DEFAULT 0,
+    -- Outputs as judged: [{ address, lovelace, tokens }], lovelace as a decimal string
+    outputs JSONB NOT NULL DEFAULT '[]',
+    approved BOOLEAN NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_signature_requests_approved ON signature_requests(signer_address, created_at) WHERE approved;
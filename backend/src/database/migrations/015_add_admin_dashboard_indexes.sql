@@ -0,0 +1,6 @@
+-- Migration: Add indexes for the admin dashboard
+-- Deposits are listed newest first and filtered by age; stuck refunds
+-- include every failed outbox entry.
+
+CREATE INDEX IF NOT EXISTS idx_user_deposits_timestamp ON user_deposits(timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_refund_outbox_failed ON refund_outbox(updated_at) WHERE status = 'failed';
@@ -0,0 +1,27 @@
+-- Migration: Add user roles and admin API keys
+-- Staff accounts carry a role beyond 'user'; each role grants a fixed set of
+-- permissions (see services/access-control.ts). Admin API keys are stored as
+-- the SHA-256 hash of the key, with the role they act as, optional scopes
+-- narrowing that role's permissions, an expiry and a revocation time.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user'
+    CHECK (role IN ('user', 'support', 'finance', 'admin', 'superadmin'));
+
+CREATE TABLE IF NOT EXISTS admin_api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    -- First characters of the key, to tell keys apart without the secret
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('support', 'finance', 'admin', 'superadmin')),
+    -- Null grants every permission of the role
+    scopes TEXT[],
+    created_by VARCHAR(100) NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    revoked_by VARCHAR(100),
+    last_used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_users_staff_role ON users(role) WHERE role <> 'user';
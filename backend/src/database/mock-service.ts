@@ -1,6 +1,6 @@
 import fs from 'fs';
 import path from 'path';
-import { User, UserDeposit, Transaction } from './models.js';
+import { User, UserDeposit, Transaction, RefundBatch, ContractDeploymentRecord } from './models.js';
 
 // Get directory path for ES modules
 const __dirname = path.dirname(new URL(import.meta.url).pathname);
@@ -112,6 +112,35 @@ export class MockDatabaseService {
     return newTransaction;
   }
 
+  static async createRefundBatch(batchData: {
+    txHash?: string;
+    status: 'submitted' | 'failed';
+    recipientCount: number;
+    totalAmount: bigint;
+    error?: string;
+  }): Promise<RefundBatch> {
+    const batches = this.loadMockData('refund-batches.json');
+    const newBatch: RefundBatch = {
+      id: `mock-batch-${Date.now()}`,
+      tx_hash: batchData.txHash,
+      status: batchData.status,
+      recipient_count: batchData.recipientCount,
+      total_amount: batchData.totalAmount,
+      error: batchData.error,
+      created_at: new Date()
+    };
+    batches.push(newBatch);
+    this.saveMockData('refund-batches.json', batches);
+    return newBatch;
+  }
+
+  static async getActiveDeployment(network: string, contractName: string): Promise<ContractDeploymentRecord | null> {
+    const deployments: ContractDeploymentRecord[] = this.loadMockData('contract-deployments.json');
+    return deployments.find(deployment =>
+      deployment.network === network && deployment.contract_name === contractName && deployment.is_active !== false
+    ) || null;
+  }
+
   // Test connection (always returns true for mock)
   static async testConnection(): Promise<boolean> {
     console.log('✅ Mock database connection successful');
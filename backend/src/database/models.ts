@@ -15,6 +15,9 @@ export interface UserDeposit {
   zk_commitment?: string;
   tx_hash?: string;
   amount: bigint;
+  /** Asset the deposit was paid in; both empty for lovelace */
+  asset_policy_id?: string;
+  asset_name?: string;
   timestamp?: Date;
   refunded: boolean;
   signup_completed: boolean;
@@ -31,6 +34,23 @@ export interface UserDeposit {
   created_at?: Date;
 }
 
+export interface UserDepositFilters {
+  refunded?: boolean;
+  verified?: boolean;
+  signupCompleted?: boolean;
+  /** Deposits made at or before this time */
+  before?: Date;
+  /** Deposits made at or after this time */
+  after?: Date;
+}
+
+export interface SignupFunnelCounts {
+  deposits: number;
+  verified: number;
+  signupCompleted: number;
+  refunded: number;
+}
+
 export interface Transaction {
   id?: string;
   tx_hash: string;
@@ -42,6 +62,17 @@ export interface Transaction {
   transaction_type: 'deposit' | 'refund' | 'signup';
   status: 'pending' | 'confirmed' | 'failed';
   user_deposit_id?: string;
+  refund_batch_id?: string;
+  created_at?: Date;
+}
+
+export interface RefundBatch {
+  id?: string;
+  tx_hash?: string;
+  status: 'submitted' | 'failed';
+  recipient_count: number;
+  total_amount: bigint;
+  error?: string;
   created_at?: Date;
 }
 
@@ -64,6 +95,8 @@ export interface AuthData {
   salt?: string;
   metadata?: any;
   is_active: boolean;
+  credential_id?: string; // WebAuthn credential ID (base64url), passkeys only
+  sign_count?: number; // WebAuthn signature counter, passkeys only
   created_at?: Date;
   last_used?: Date;
 }
@@ -121,7 +154,10 @@ export interface User {
   created_at?: Date;
   updated_at?: Date;
   image_number?: number; 
+  role?: UserRole;
 }
+
+export type UserRole = 'user' | 'support' | 'finance' | 'admin' | 'superadmin';
 // ============================================================================
 // INTERFACES - Add Subscription Interface
 // ============================================================================
@@ -251,6 +287,210 @@ export interface NotificationFilter {
   order_by?: 'created_at' | 'priority' | 'sent_at';
   order_direction?: 'asc' | 'desc';
 }
+
+export type VerificationRequestStatus = 'pending' | 'verified' | 'completed' | 'failed' | 'expired';
+
+export interface RecoveryRequestRecord {
+  id?: string;
+  recovery_id: string;
+  user_id?: string;
+  identifier_hash: string;
+  new_phone_hash: string;
+  recovery_method: 'emergency_contact' | 'backup_phrase' | 'onchain_proof' | 'multi_factor';
+  verification_data: any;
+  status: VerificationRequestStatus;
+  attempts: number;
+  max_attempts?: number;
+  expires_at: Date;
+  created_at?: Date;
+  completed_at?: Date;
+}
+
+export interface PhoneChangeRequestRecord {
+  id?: string;
+  request_id: string;
+  user_id: string;
+  current_phone_hash: string;
+  new_phone_hash: string;
+  verification_method: 'sms' | 'email' | 'onchain';
+  verification_data: any;
+  status: VerificationRequestStatus;
+  attempts: number;
+  max_attempts?: number;
+  expires_at: Date;
+  created_at?: Date;
+  completed_at?: Date;
+}
+
+export interface AuditLogEntry {
+  id?: string; // BIGSERIAL, returned as a string by pg
+  user_id?: string | null;
+  action: string;
+  resource: string;
+  resource_id?: string | null;
+  success: boolean;
+  ip_address?: string | null;
+  user_agent?: string | null;
+  details: any;
+  account_activity_id?: string | null;
+  system_log_id?: string | null;
+  created_at: Date;
+  prev_hash: string;
+  hash: string;
+}
+
+export interface AuditLogLinks {
+  activity?: { activity_type: string; description?: string; ip_address?: string | null };
+  systemLog?: { level: 'error' | 'warn' | 'info' | 'debug'; message: string };
+}
+
+export interface StorageObjectRecord {
+  key: string;
+  provider: string;
+  provider_ref: string;
+  content_hash: string;
+  size: number;
+  updated_at?: Date;
+}
+
+export interface StorageReconciliationRecord {
+  id: string;
+  target: 'iagon' | 'postgresql';
+  operation: any;
+  attempts: number;
+  last_error?: string | null;
+  created_at: Date;
+}
+
+export type InheritanceState = 'active' | 'check_in_sent' | 'claimable' | 'claimed' | 'released';
+
+export interface InheritancePlanRecord {
+  user_id: string;
+  state: InheritanceState;
+  inactivity_period_days: number;
+  check_in_window_days: number;
+  grace_period_days: number;
+  last_check_in_at: Date;
+  next_action_at: Date | null;
+  claim_nok_identifier?: string | null;
+  claimed_at?: Date | null;
+  released_at?: Date | null;
+  last_error?: string | null;
+  created_at?: Date;
+  updated_at?: Date;
+}
+
+export type InheritancePlanUpdate = Partial<Omit<InheritancePlanRecord, 'user_id' | 'created_at' | 'updated_at'>>;
+
+export interface ChainSyncPointRecord {
+  consumer: string;
+  slot: number;
+  block_hash: string;
+  block_height: number;
+  created_at?: Date;
+}
+
+export type ChainDepositStatus = 'pending' | 'confirmed' | 'rolled_back';
+
+export interface ChainDepositRecord {
+  tx_hash: string;
+  deposit_address: string;
+  amount: bigint;
+  slot: number;
+  block_hash: string;
+  block_height: number;
+  sender_address?: string | null;
+  status: ChainDepositStatus;
+  detected_at?: Date;
+  confirmed_at?: Date | null;
+  rolled_back_at?: Date | null;
+}
+
+export type RefundOutboxStatus = 'queued' | 'built' | 'submitted' | 'confirmed' | 'failed';
+
+export interface RefundOutboxRecord {
+  id?: string;
+  idempotency_key: string;
+  user_address: string;
+  refund_address: string;
+  user_deposit_id?: string | null;
+  unit: string;
+  amount: bigint;
+  status: RefundOutboxStatus;
+  tx_hash?: string | null;
+  signed_tx?: string | null;
+  valid_until?: Date | null;
+  attempts?: number;
+  error?: string | null;
+  created_at?: Date;
+  updated_at?: Date;
+}
+
+export type RefundOutboxChanges = Partial<Pick<RefundOutboxRecord, 'tx_hash' | 'signed_tx' | 'valid_until' | 'error'>>;
+
+export interface TreasurySnapshotRecord {
+  id?: string;
+  wallet_address: string;
+  lovelace: bigint;
+  /** Native token balances by unit */
+  assets: Record<string, bigint>;
+  utxo_count: number;
+  dust_utxo_count: number;
+  refunds_paused: boolean;
+  consolidation_tx_hash?: string | null;
+  recorded_at?: Date;
+}
+
+export interface SignatureRequestRecord {
+  id?: string;
+  signer_address: string;
+  /** Null when the request did not hold a readable transaction */
+  tx_hash: string | null;
+  purpose: string;
+  requester?: string | null;
+  outflow_lovelace: bigint;
+  outputs: { address: string; lovelace: bigint; tokens: Record<string, bigint> }[];
+  approved: boolean;
+  reason?: string | null;
+  created_at?: Date;
+}
+
+export interface AdminApiKeyRecord {
+  id?: string;
+  name: string;
+  key_prefix: string;
+  key_hash: string;
+  role: Exclude<UserRole, 'user'>;
+  /** Permissions the key is narrowed to; null for all of its role's */
+  scopes: string[] | null;
+  created_by: string;
+  expires_at: Date;
+  revoked_at?: Date | null;
+  revoked_by?: string | null;
+  last_used_at?: Date | null;
+  created_at?: Date;
+}
+
+export interface ContractDeploymentRecord {
+  id?: string;
+  network: 'mainnet' | 'preprod' | 'preview';
+  contract_name: string;
+  script_address: string;
+  script_hash: string;
+  tx_hash?: string | null;
+  parameters?: Record<string, unknown> | null;
+  is_active?: boolean;
+  deployed_at?: Date;
+}
+
+export interface AuditLogFilters {
+  userId?: string;
+  action?: string;
+  resource?: string;
+  success?: boolean;
+  from?: Date;
+  to?: Date;
+}
 // ============================================================================
 // USER MODEL
 // ============================================================================
@@ -898,6 +1138,19 @@ export class UserModel {
     }
   }
 
+  static async setRole(userId: string, role: UserRole): Promise<User | null> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(
+        'UPDATE users SET role = $2, updated_at = CURRENT_TIMESTAMP WHERE user_id = $1 RETURNING *',
+        [userId, role]
+      );
+      return result.rows[0] ? this.parseUser(result.rows[0]) : null;
+    } finally {
+      client.release();
+    }
+  }
+
   private static parseUser(row: any): User {
     const safeJsonParse = (data: any): any => {
       if (!data) return [];
@@ -935,9 +1188,9 @@ export class UserDepositModel {
           user_address, user_id, phone_hash, zk_proof, zk_commitment, tx_hash, amount,
           refunded, signup_completed, verified, verification_attempts, last_verification_attempt,
           pin_hash, biometric_hash, biometric_type, verification_method, refund_tx_hash,
-          refund_timestamp, sender_wallet_address
+          refund_timestamp, sender_wallet_address, asset_policy_id, asset_name
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
         RETURNING *
       `;
       const values = [
@@ -946,7 +1199,8 @@ export class UserDepositModel {
         deposit.signup_completed, deposit.verified, deposit.verification_attempts,
         deposit.last_verification_attempt, deposit.pin_hash, deposit.biometric_hash,
         deposit.biometric_type, deposit.verification_method, deposit.refund_tx_hash,
-        deposit.refund_timestamp, deposit.sender_wallet_address
+        deposit.refund_timestamp, deposit.sender_wallet_address,
+        deposit.asset_policy_id ?? '', deposit.asset_name ?? ''
       ];
       const result = await client.query(query, values);
       const row = result.rows[0];
@@ -1063,6 +1317,63 @@ export class UserDepositModel {
       client.release();
     }
   }
+
+  static async find(filters: UserDepositFilters = {}, limit: number = 50, offset: number = 0): Promise<{ deposits: UserDeposit[]; total: number }> {
+    const client = await pool.connect();
+    try {
+      const conditions: string[] = [];
+      const values: any[] = [];
+      const addCondition = (clause: string, value: any) => {
+        values.push(value);
+        conditions.push(clause.replace('?', `$${values.length}`));
+      };
+
+      if (filters.refunded !== undefined) addCondition('refunded = ?', filters.refunded);
+      if (filters.verified !== undefined) addCondition('verified = ?', filters.verified);
+      if (filters.signupCompleted !== undefined) addCondition('signup_completed = ?', filters.signupCompleted);
+      if (filters.before) addCondition('timestamp <= ?', filters.before);
+      if (filters.after) addCondition('timestamp >= ?', filters.after);
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const countResult = await client.query(`SELECT COUNT(*) FROM user_deposits ${where}`, values);
+      const result = await client.query(
+        `SELECT * FROM user_deposits ${where} ORDER BY timestamp DESC, id LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset]
+      );
+
+      return {
+        deposits: result.rows.map(row => ({ ...row, amount: BigInt(row.amount) })),
+        total: parseInt(countResult.rows[0].count, 10)
+      };
+    } finally {
+      client.release();
+    }
+  }
+
+  /** How far deposits made since `since` (all of them without it) got through signup */
+  static async countFunnel(since?: Date): Promise<SignupFunnelCounts> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(`
+        SELECT
+          COUNT(*) AS deposits,
+          COUNT(*) FILTER (WHERE verified) AS verified,
+          COUNT(*) FILTER (WHERE signup_completed) AS signup_completed,
+          COUNT(*) FILTER (WHERE refunded) AS refunded
+        FROM user_deposits
+        WHERE $1::timestamptz IS NULL OR timestamp >= $1
+      `, [since ?? null]);
+      const row = result.rows[0];
+      return {
+        deposits: parseInt(row.deposits, 10),
+        verified: parseInt(row.verified, 10),
+        signupCompleted: parseInt(row.signup_completed, 10),
+        refunded: parseInt(row.refunded, 10)
+      };
+    } finally {
+      client.release();
+    }
+  }
 }
 
 // ============================================================================
@@ -1076,15 +1387,16 @@ export class TransactionModel {
       const query = `
         INSERT INTO transactions (
           tx_hash, from_address, to_address, amount, confirmations, block_time,
-          transaction_type, status, user_deposit_id
+          transaction_type, status, user_deposit_id, refund_batch_id
         )
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
         RETURNING *
       `;
       const values = [
         transaction.tx_hash, transaction.from_address, transaction.to_address,
         transaction.amount.toString(), transaction.confirmations, transaction.block_time,
-        transaction.transaction_type, transaction.status, transaction.user_deposit_id
+        transaction.transaction_type, transaction.status, transaction.user_deposit_id,
+        transaction.refund_batch_id
       ];
       const result = await client.query(query, values);
       const row = result.rows[0];
@@ -1155,6 +1467,31 @@ export class TransactionModel {
   }
 }
 
+// ============================================================================
+// REFUND BATCH MODEL
+// ============================================================================
+
+export class RefundBatchModel {
+  static async create(batch: Omit<RefundBatch, 'id' | 'created_at'>): Promise<RefundBatch> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(
+        `INSERT INTO refund_batches (tx_hash, status, recipient_count, total_amount, error)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [batch.tx_hash ?? null, batch.status, batch.recipient_count, batch.total_amount.toString(), batch.error ?? null]
+      );
+      const row = result.rows[0];
+      return {
+        ...row,
+        total_amount: BigInt(row.total_amount)
+      };
+    } finally {
+      client.release();
+    }
+  }
+}
+
 // ============================================================================
 // AUTH DATA MODEL
 // ============================================================================
@@ -1265,7 +1602,7 @@ export class AuthDataModel {
       const query = `
         INSERT INTO auth_data (user_id, auth_type, auth_hash, salt, metadata, is_active)
         VALUES ($1, $2, $3, $4, $5, $6)
-        ON CONFLICT (user_id, auth_type) 
+        ON CONFLICT (user_id, auth_type) WHERE auth_type <> 'passkey'
         DO UPDATE SET 
           auth_hash = EXCLUDED.auth_hash,
           salt = EXCLUDED.salt,
@@ -1293,6 +1630,88 @@ export class AuthDataModel {
     }
   }
 
+  // Passkeys: a user may register several WebAuthn credentials, one row each
+
+  static async createPasskey(authData: Omit<AuthData, 'id' | 'created_at' | 'auth_type'> & { credential_id: string; sign_count: number }): Promise<AuthData> {
+    const client = await pool.connect();
+    try {
+      const query = `
+        INSERT INTO auth_data (user_id, auth_type, auth_hash, salt, metadata, is_active, credential_id, sign_count)
+        VALUES ($1, 'passkey', $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `;
+      const values = [
+        authData.user_id,
+        authData.auth_hash,
+        authData.salt,
+        JSON.stringify(authData.metadata),
+        authData.is_active,
+        authData.credential_id,
+        authData.sign_count
+      ];
+      const result = await client.query(query, values);
+      return AuthDataModel.parsePasskeyRow(result.rows[0]);
+    } finally {
+      client.release();
+    }
+  }
+
+  static async findPasskeysByUserId(userId: string): Promise<AuthData[]> {
+    const client = await pool.connect();
+    try {
+      const query = `SELECT * FROM auth_data WHERE user_id = $1 AND auth_type = 'passkey' AND is_active = true ORDER BY created_at ASC`;
+      const result = await client.query(query, [userId]);
+      return result.rows.map(AuthDataModel.parsePasskeyRow);
+    } finally {
+      client.release();
+    }
+  }
+
+  static async findPasskeyByCredentialId(credentialId: string): Promise<AuthData | null> {
+    const client = await pool.connect();
+    try {
+      const query = `SELECT * FROM auth_data WHERE credential_id = $1 AND auth_type = 'passkey' AND is_active = true`;
+      const result = await client.query(query, [credentialId]);
+      return result.rows.length > 0 ? AuthDataModel.parsePasskeyRow(result.rows[0]) : null;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async updatePasskeyCounter(credentialId: string, signCount: number): Promise<boolean> {
+    const client = await pool.connect();
+    try {
+      const query = `
+        UPDATE auth_data
+        SET sign_count = $2, last_used = CURRENT_TIMESTAMP
+        WHERE credential_id = $1 AND auth_type = 'passkey'
+      `;
+      const result = await client.query(query, [credentialId, signCount]);
+      return (result.rowCount ?? 0) > 0;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async removePasskey(userId: string, credentialId: string): Promise<boolean> {
+    const client = await pool.connect();
+    try {
+      const query = `DELETE FROM auth_data WHERE user_id = $1 AND credential_id = $2 AND auth_type = 'passkey'`;
+      const result = await client.query(query, [userId, credentialId]);
+      return (result.rowCount ?? 0) > 0;
+    } finally {
+      client.release();
+    }
+  }
+
+  private static parsePasskeyRow(row: any): AuthData {
+    return {
+      ...row,
+      metadata: typeof row.metadata === 'string' ? JSON.parse(row.metadata) : row.metadata,
+      sign_count: row.sign_count !== null && row.sign_count !== undefined ? Number(row.sign_count) : 0
+    };
+  }
+
   static async deactivate(userId: string, authType: 'phone' | 'pin' | 'biometric' | 'passkey'): Promise<boolean> {
     const client = await pool.connect();
     try {
@@ -2598,6 +3017,1084 @@ export class NotificationPreferenceModel {
   }
 }
 
+// ============================================================================
+// RECOVERY REQUEST MODEL
+// ============================================================================
+
+export class RecoveryRequestModel {
+  static async create(request: Omit<RecoveryRequestRecord, 'id' | 'created_at' | 'completed_at'>): Promise<RecoveryRequestRecord> {
+    const client = await pool.connect();
+    try {
+      const query = `
+        INSERT INTO recovery_requests (recovery_id, user_id, identifier_hash, new_phone_hash, recovery_method, verification_data, status, attempts, max_attempts, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+      `;
+      const values = [
+        request.recovery_id,
+        request.user_id,
+        request.identifier_hash,
+        request.new_phone_hash,
+        request.recovery_method,
+        JSON.stringify(request.verification_data || {}),
+        request.status,
+        request.attempts,
+        request.max_attempts ?? 5,
+        request.expires_at
+      ];
+      const result = await client.query(query, values);
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  static async findByRecoveryId(recoveryId: string): Promise<RecoveryRequestRecord | null> {
+    const client = await pool.connect();
+    try {
+      const query = 'SELECT * FROM recovery_requests WHERE recovery_id = $1';
+      const result = await client.query(query, [recoveryId]);
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async update(recoveryId: string, updates: Partial<Pick<RecoveryRequestRecord, 'verification_data' | 'status' | 'attempts' | 'completed_at'>>): Promise<RecoveryRequestRecord | null> {
+    const client = await pool.connect();
+    try {
+      const fields = Object.keys(updates);
+      if (fields.length === 0) return null;
+
+      const setClause = fields.map((key, index) => `${key} = $${index + 2}`).join(', ');
+      const values = fields.map(key => {
+        const value = (updates as any)[key];
+        return key === 'verification_data' ? JSON.stringify(value || {}) : value;
+      });
+
+      const query = `
+        UPDATE recovery_requests
+        SET ${setClause}
+        WHERE recovery_id = $1
+        RETURNING *
+      `;
+      const result = await client.query(query, [recoveryId, ...values]);
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Mark open requests past their expiry as expired
+   */
+  static async expireStale(): Promise<number> {
+    const client = await pool.connect();
+    try {
+      const query = `
+        UPDATE recovery_requests
+        SET status = 'expired'
+        WHERE status IN ('pending', 'verified') AND expires_at <= CURRENT_TIMESTAMP
+      `;
+      const result = await client.query(query);
+      return result.rowCount ?? 0;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// ============================================================================
+// PHONE CHANGE REQUEST MODEL
+// ============================================================================
+
+export class PhoneChangeRequestModel {
+  static async create(request: Omit<PhoneChangeRequestRecord, 'id' | 'created_at' | 'completed_at'>): Promise<PhoneChangeRequestRecord> {
+    const client = await pool.connect();
+    try {
+      const query = `
+        INSERT INTO phone_change_requests (request_id, user_id, current_phone_hash, new_phone_hash, verification_method, verification_data, status, attempts, max_attempts, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+      `;
+      const values = [
+        request.request_id,
+        request.user_id,
+        request.current_phone_hash,
+        request.new_phone_hash,
+        request.verification_method,
+        JSON.stringify(request.verification_data || {}),
+        request.status,
+        request.attempts,
+        request.max_attempts ?? 3,
+        request.expires_at
+      ];
+      const result = await client.query(query, values);
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  static async findByRequestId(requestId: string): Promise<PhoneChangeRequestRecord | null> {
+    const client = await pool.connect();
+    try {
+      const query = 'SELECT * FROM phone_change_requests WHERE request_id = $1';
+      const result = await client.query(query, [requestId]);
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async update(requestId: string, updates: Partial<Pick<PhoneChangeRequestRecord, 'verification_data' | 'status' | 'attempts' | 'completed_at'>>): Promise<PhoneChangeRequestRecord | null> {
+    const client = await pool.connect();
+    try {
+      const fields = Object.keys(updates);
+      if (fields.length === 0) return null;
+
+      const setClause = fields.map((key, index) => `${key} = $${index + 2}`).join(', ');
+      const values = fields.map(key => {
+        const value = (updates as any)[key];
+        return key === 'verification_data' ? JSON.stringify(value || {}) : value;
+      });
+
+      const query = `
+        UPDATE phone_change_requests
+        SET ${setClause}
+        WHERE request_id = $1
+        RETURNING *
+      `;
+      const result = await client.query(query, [requestId, ...values]);
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Mark open requests past their expiry as expired
+   */
+  static async expireStale(): Promise<number> {
+    const client = await pool.connect();
+    try {
+      const query = `
+        UPDATE phone_change_requests
+        SET status = 'expired'
+        WHERE status IN ('pending', 'verified') AND expires_at <= CURRENT_TIMESTAMP
+      `;
+      const result = await client.query(query);
+      return result.rowCount ?? 0;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// ============================================================================
+// AUDIT LOG MODEL
+// ============================================================================
+
+// Serialises appends so every entry chains to the latest hash
+const AUDIT_LOG_LOCK_KEY = 'audit_log_chain';
+
+export class AuditLogModel {
+  static readonly GENESIS_HASH = '0'.repeat(64);
+
+  /**
+   * Append an entry to the hash chain, writing any linked account_activity /
+   * system_logs rows in the same transaction
+   */
+  static async append(
+    entry: Omit<AuditLogEntry, 'id' | 'prev_hash' | 'hash' | 'account_activity_id' | 'system_log_id'>,
+    computeHash: (entry: Omit<AuditLogEntry, 'id' | 'hash'>) => string,
+    links: AuditLogLinks = {}
+  ): Promise<AuditLogEntry> {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [AUDIT_LOG_LOCK_KEY]);
+
+      const head = await client.query('SELECT hash FROM audit_log ORDER BY id DESC LIMIT 1');
+      const prev_hash = head.rows[0]?.hash || AuditLogModel.GENESIS_HASH;
+
+      // user_id resolves to NULL for unknown users so the foreign keys never block the audit entry
+      let account_activity_id: string | null = null;
+      if (links.activity) {
+        const activity = await client.query(
+          `INSERT INTO account_activity (user_id, activity_type, description, ip_address, user_agent, metadata, success)
+           VALUES ((SELECT user_id FROM users WHERE user_id = $1), $2, $3, $4, $5, $6, $7)
+           RETURNING id`,
+          [
+            entry.user_id,
+            links.activity.activity_type,
+            links.activity.description,
+            links.activity.ip_address ?? null,
+            entry.user_agent,
+            JSON.stringify(entry.details || {}),
+            entry.success
+          ]
+        );
+        account_activity_id = activity.rows[0].id;
+      }
+
+      let system_log_id: string | null = null;
+      if (links.systemLog) {
+        const systemLog = await client.query(
+          `INSERT INTO system_logs (level, message, metadata, user_id)
+           VALUES ($1, $2, $3, (SELECT user_id FROM users WHERE user_id = $4))
+           RETURNING id`,
+          [links.systemLog.level, links.systemLog.message, JSON.stringify(entry.details || {}), entry.user_id]
+        );
+        system_log_id = systemLog.rows[0].id;
+      }
+
+      const hash = computeHash({ ...entry, prev_hash });
+      const result = await client.query(
+        `INSERT INTO audit_log (user_id, action, resource, resource_id, success, ip_address, user_agent, details, account_activity_id, system_log_id, created_at, prev_hash, hash)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+         RETURNING *`,
+        [
+          entry.user_id,
+          entry.action,
+          entry.resource,
+          entry.resource_id,
+          entry.success,
+          entry.ip_address,
+          entry.user_agent,
+          JSON.stringify(entry.details || {}),
+          account_activity_id,
+          system_log_id,
+          entry.created_at,
+          prev_hash,
+          hash
+        ]
+      );
+
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async find(filters: AuditLogFilters = {}, limit: number = 50, offset: number = 0): Promise<{ entries: AuditLogEntry[]; total: number }> {
+    const client = await pool.connect();
+    try {
+      const conditions: string[] = [];
+      const values: any[] = [];
+      const addCondition = (clause: string, value: any) => {
+        values.push(value);
+        conditions.push(clause.replace('?', `$${values.length}`));
+      };
+
+      if (filters.userId) addCondition('user_id = ?', filters.userId);
+      if (filters.action) addCondition('action = ?', filters.action);
+      if (filters.resource) addCondition('resource = ?', filters.resource);
+      if (filters.success !== undefined) addCondition('success = ?', filters.success);
+      if (filters.from) addCondition('created_at >= ?', filters.from);
+      if (filters.to) addCondition('created_at <= ?', filters.to);
+
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      const countResult = await client.query(`SELECT COUNT(*) FROM audit_log ${where}`, values);
+      const result = await client.query(
+        `SELECT * FROM audit_log ${where} ORDER BY id DESC LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, limit, offset]
+      );
+
+      return { entries: result.rows, total: parseInt(countResult.rows[0].count, 10) };
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Entries in chain order, starting after the given id
+   */
+  static async findAfter(afterId: string, limit: number): Promise<AuditLogEntry[]> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM audit_log WHERE id > $1 ORDER BY id ASC LIMIT $2',
+        [afterId, limit]
+      );
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// ============================================================================
+// STORAGE OBJECT MODEL
+// ============================================================================
+
+export class StorageObjectModel {
+  static async upsert(record: Omit<StorageObjectRecord, 'updated_at'>): Promise<StorageObjectRecord> {
+    const client = await pool.connect();
+    try {
+      const query = `
+        INSERT INTO storage_objects (key, provider, provider_ref, content_hash, size)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (key, provider)
+        DO UPDATE SET provider_ref = $3, content_hash = $4, size = $5, updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+      const values = [record.key, record.provider, record.provider_ref, record.content_hash, record.size];
+      const result = await client.query(query, values);
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  static async find(key: string, provider: string): Promise<StorageObjectRecord | null> {
+    const client = await pool.connect();
+    try {
+      const query = 'SELECT * FROM storage_objects WHERE key = $1 AND provider = $2';
+      const result = await client.query(query, [key, provider]);
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async list(provider: string, prefix: string = ''): Promise<StorageObjectRecord[]> {
+    const client = await pool.connect();
+    try {
+      // Escape LIKE wildcards so the prefix is matched literally
+      const pattern = prefix.replace(/[\\%_]/g, '\\$&') + '%';
+      const query = 'SELECT * FROM storage_objects WHERE provider = $1 AND key LIKE $2 ORDER BY key';
+      const result = await client.query(query, [provider, pattern]);
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async delete(key: string, provider: string): Promise<boolean> {
+    const client = await pool.connect();
+    try {
+      const query = 'DELETE FROM storage_objects WHERE key = $1 AND provider = $2';
+      const result = await client.query(query, [key, provider]);
+      return (result.rowCount ?? 0) > 0;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// ============================================================================
+// STORAGE RECONCILIATION MODEL
+// ============================================================================
+
+export class StorageReconciliationModel {
+  static async create(target: StorageReconciliationRecord['target'], operation: any): Promise<StorageReconciliationRecord> {
+    const client = await pool.connect();
+    try {
+      const query = `
+        INSERT INTO storage_reconciliation (target, operation)
+        VALUES ($1, $2)
+        RETURNING *
+      `;
+      const result = await client.query(query, [target, JSON.stringify(operation)]);
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  static async findPending(target: StorageReconciliationRecord['target'], limit: number = 100): Promise<StorageReconciliationRecord[]> {
+    const client = await pool.connect();
+    try {
+      const query = 'SELECT * FROM storage_reconciliation WHERE target = $1 ORDER BY created_at ASC LIMIT $2';
+      const result = await client.query(query, [target, limit]);
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async countPending(): Promise<Record<string, number>> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query('SELECT target, COUNT(*) FROM storage_reconciliation GROUP BY target');
+      return result.rows.reduce((counts: Record<string, number>, row: any) => {
+        counts[row.target] = parseInt(row.count, 10);
+        return counts;
+      }, {});
+    } finally {
+      client.release();
+    }
+  }
+
+  static async recordFailure(id: string, error: string): Promise<void> {
+    const client = await pool.connect();
+    try {
+      const query = 'UPDATE storage_reconciliation SET attempts = attempts + 1, last_error = $2 WHERE id = $1';
+      await client.query(query, [id, error]);
+    } finally {
+      client.release();
+    }
+  }
+
+  static async delete(id: string): Promise<void> {
+    const client = await pool.connect();
+    try {
+      await client.query('DELETE FROM storage_reconciliation WHERE id = $1', [id]);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// ============================================================================
+// INHERITANCE PLAN MODEL
+// ============================================================================
+
+export class InheritancePlanModel {
+  static async findByUserId(userId: string): Promise<InheritancePlanRecord | null> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query('SELECT * FROM inheritance_plans WHERE user_id = $1', [userId]);
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Create or replace a user's plan. Replacing a plan discards any open claim.
+   */
+  static async upsert(plan: InheritancePlanRecord): Promise<InheritancePlanRecord> {
+    const client = await pool.connect();
+    try {
+      const query = `
+        INSERT INTO inheritance_plans (
+          user_id, state, inactivity_period_days, check_in_window_days, grace_period_days,
+          last_check_in_at, next_action_at, claim_nok_identifier, claimed_at, released_at, last_error
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        ON CONFLICT (user_id)
+        DO UPDATE SET state = $2, inactivity_period_days = $3, check_in_window_days = $4, grace_period_days = $5,
+          last_check_in_at = $6, next_action_at = $7, claim_nok_identifier = $8, claimed_at = $9,
+          released_at = $10, last_error = $11, updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+      const values = [
+        plan.user_id,
+        plan.state,
+        plan.inactivity_period_days,
+        plan.check_in_window_days,
+        plan.grace_period_days,
+        plan.last_check_in_at,
+        plan.next_action_at,
+        plan.claim_nok_identifier ?? null,
+        plan.claimed_at ?? null,
+        plan.released_at ?? null,
+        plan.last_error ?? null
+      ];
+      const result = await client.query(query, values);
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Apply updates only if the plan is still in one of the expected states, so an
+   * owner check-in and a scheduler run cannot both win. Returns null otherwise.
+   */
+  static async transition(userId: string, from: InheritanceState[], updates: InheritancePlanUpdate): Promise<InheritancePlanRecord | null> {
+    const client = await pool.connect();
+    try {
+      const fields = Object.keys(updates);
+      const setClause = fields.map((key, index) => `${key} = $${index + 3}`).join(', ');
+      const values = fields.map(key => (updates as any)[key] ?? null);
+
+      const query = `
+        UPDATE inheritance_plans
+        SET ${setClause ? `${setClause}, ` : ''}updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1 AND state = ANY($2)
+        RETURNING *
+      `;
+      const result = await client.query(query, [userId, from, ...values]);
+      return result.rows[0] || null;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async findDue(now: Date, limit: number = 100): Promise<InheritancePlanRecord[]> {
+    const client = await pool.connect();
+    try {
+      const query = `
+        SELECT * FROM inheritance_plans
+        WHERE next_action_at IS NOT NULL AND next_action_at <= $1
+        ORDER BY next_action_at ASC
+        LIMIT $2
+      `;
+      const result = await client.query(query, [now, limit]);
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async delete(userId: string): Promise<boolean> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query('DELETE FROM inheritance_plans WHERE user_id = $1', [userId]);
+      return (result.rowCount ?? 0) > 0;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// ============================================================================
+// CHAIN SYNC MODELS
+// ============================================================================
+
+// BIGINT columns come back from pg as strings
+const toChainSyncPoint = (row: any): ChainSyncPointRecord => ({
+  ...row,
+  slot: Number(row.slot),
+  block_height: Number(row.block_height)
+});
+
+const toChainDeposit = (row: any): ChainDepositRecord => ({
+  ...row,
+  amount: BigInt(row.amount),
+  slot: Number(row.slot),
+  block_height: Number(row.block_height)
+});
+
+export class ChainSyncPointModel {
+  /** Most recent points first */
+  static async findRecent(consumer: string, limit: number): Promise<ChainSyncPointRecord[]> {
+    const client = await pool.connect();
+    try {
+      const query = 'SELECT * FROM chain_sync_points WHERE consumer = $1 ORDER BY slot DESC LIMIT $2';
+      const result = await client.query(query, [consumer, limit]);
+      return result.rows.map(toChainSyncPoint);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Record a processed block and prune all but the most recent `keep` points
+   */
+  static async save(point: ChainSyncPointRecord, keep: number): Promise<void> {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`
+        INSERT INTO chain_sync_points (consumer, slot, block_hash, block_height)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (consumer, slot)
+        DO UPDATE SET block_hash = $3, block_height = $4, created_at = CURRENT_TIMESTAMP
+      `, [point.consumer, point.slot, point.block_hash, point.block_height]);
+      await client.query(`
+        DELETE FROM chain_sync_points
+        WHERE consumer = $1 AND slot < (
+          SELECT slot FROM chain_sync_points WHERE consumer = $1 ORDER BY slot DESC OFFSET $2 LIMIT 1
+        )
+      `, [point.consumer, keep - 1]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async deleteAfter(consumer: string, slot: number): Promise<number> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query('DELETE FROM chain_sync_points WHERE consumer = $1 AND slot > $2', [consumer, slot]);
+      return result.rowCount ?? 0;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+export class ChainDepositModel {
+  /**
+   * Record deposits seen in a block. Replaying a block is a no-op, and a
+   * deposit re-included after a rollback becomes pending again.
+   */
+  static async createMany(deposits: ChainDepositRecord[]): Promise<void> {
+    if (deposits.length === 0) return;
+
+    const client = await pool.connect();
+    try {
+      const query = `
+        INSERT INTO chain_deposits (tx_hash, deposit_address, amount, slot, block_hash, block_height, status)
+        VALUES ($1, $2, $3, $4, $5, $6, 'pending')
+        ON CONFLICT (tx_hash)
+        DO UPDATE SET slot = $4, block_hash = $5, block_height = $6, status = 'pending',
+          detected_at = CURRENT_TIMESTAMP, rolled_back_at = NULL
+        WHERE chain_deposits.status = 'rolled_back'
+      `;
+      for (const deposit of deposits) {
+        await client.query(query, [
+          deposit.tx_hash,
+          deposit.deposit_address,
+          deposit.amount.toString(),
+          deposit.slot,
+          deposit.block_hash,
+          deposit.block_height
+        ]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  /** Pending deposits included at or below the given height, oldest first */
+  static async findPending(maxHeight: number, limit: number = 100): Promise<ChainDepositRecord[]> {
+    const client = await pool.connect();
+    try {
+      const query = `
+        SELECT * FROM chain_deposits
+        WHERE status = 'pending' AND block_height <= $1
+        ORDER BY block_height ASC, tx_hash ASC
+        LIMIT $2
+      `;
+      const result = await client.query(query, [maxHeight, limit]);
+      return result.rows.map(toChainDeposit);
+    } finally {
+      client.release();
+    }
+  }
+
+  /** Returns null when the deposit is no longer pending */
+  static async markConfirmed(txHash: string, senderAddress: string): Promise<ChainDepositRecord | null> {
+    const client = await pool.connect();
+    try {
+      const query = `
+        UPDATE chain_deposits
+        SET status = 'confirmed', sender_address = $2, confirmed_at = CURRENT_TIMESTAMP
+        WHERE tx_hash = $1 AND status = 'pending'
+        RETURNING *
+      `;
+      const result = await client.query(query, [txHash, senderAddress]);
+      return result.rows[0] ? toChainDeposit(result.rows[0]) : null;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Mark every live deposit after a slot as rolled back. Returns them with
+   * the status they had before, so confirmed ones can be reverted.
+   */
+  static async rollBackAfter(slot: number): Promise<ChainDepositRecord[]> {
+    const client = await pool.connect();
+    try {
+      const query = `
+        UPDATE chain_deposits d
+        SET status = 'rolled_back', rolled_back_at = CURRENT_TIMESTAMP
+        FROM (
+          SELECT tx_hash, status FROM chain_deposits
+          WHERE slot > $1 AND status <> 'rolled_back'
+          FOR UPDATE
+        ) previous
+        WHERE d.tx_hash = previous.tx_hash
+        RETURNING d.tx_hash, d.deposit_address, d.amount, d.slot, d.block_hash, d.block_height,
+          d.sender_address, previous.status, d.detected_at, d.confirmed_at, d.rolled_back_at
+      `;
+      const result = await client.query(query, [slot]);
+      return result.rows.map(toChainDeposit);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// ============================================================================
+// REFUND OUTBOX MODEL
+// ============================================================================
+
+const toRefundOutbox = (row: any): RefundOutboxRecord => ({
+  ...row,
+  amount: BigInt(row.amount)
+});
+
+export class RefundOutboxModel {
+  /**
+   * Queue a refund under its idempotency key. A key seen before is only
+   * queued again when its last attempt failed; otherwise null is returned.
+   */
+  static async claim(
+    entry: Pick<RefundOutboxRecord, 'idempotency_key' | 'user_address' | 'refund_address' | 'user_deposit_id' | 'unit' | 'amount'>
+  ): Promise<RefundOutboxRecord | null> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(`
+        INSERT INTO refund_outbox (idempotency_key, user_address, refund_address, user_deposit_id, unit, amount)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        ON CONFLICT (idempotency_key) DO UPDATE SET
+          status = 'queued',
+          refund_address = EXCLUDED.refund_address,
+          unit = EXCLUDED.unit,
+          amount = EXCLUDED.amount,
+          tx_hash = NULL,
+          signed_tx = NULL,
+          valid_until = NULL,
+          error = NULL,
+          attempts = refund_outbox.attempts + 1,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE refund_outbox.status = 'failed'
+        RETURNING *
+      `, [
+        entry.idempotency_key, entry.user_address, entry.refund_address,
+        entry.user_deposit_id ?? null, entry.unit, entry.amount.toString()
+      ]);
+      return result.rows[0] ? toRefundOutbox(result.rows[0]) : null;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Move the entries under `keys` that are in one of the `from` states to
+   * `to`, returning those that moved
+   */
+  static async transition(
+    keys: string[],
+    from: RefundOutboxStatus[],
+    to: RefundOutboxStatus,
+    changes: RefundOutboxChanges = {}
+  ): Promise<RefundOutboxRecord[]> {
+    const client = await pool.connect();
+    try {
+      const columns = Object.keys(changes) as (keyof RefundOutboxChanges)[];
+      const assignments = columns.map((column, index) => `${column} = $${index + 4}`);
+      const result = await client.query(`
+        UPDATE refund_outbox
+        SET ${['status = $3', ...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')}
+        WHERE idempotency_key = ANY($1) AND status = ANY($2)
+        RETURNING *
+      `, [keys, from, to, ...columns.map(column => changes[column] ?? null)]);
+      return result.rows.map(toRefundOutbox);
+    } finally {
+      client.release();
+    }
+  }
+
+  static async findByKey(idempotencyKey: string): Promise<RefundOutboxRecord | null> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query('SELECT * FROM refund_outbox WHERE idempotency_key = $1', [idempotencyKey]);
+      return result.rows[0] ? toRefundOutbox(result.rows[0]) : null;
+    } finally {
+      client.release();
+    }
+  }
+
+  /** Entries not yet confirmed or failed, oldest first */
+  static async findUnsettled(): Promise<RefundOutboxRecord[]> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(
+        "SELECT * FROM refund_outbox WHERE status IN ('queued', 'built', 'submitted') ORDER BY created_at ASC"
+      );
+      return result.rows.map(toRefundOutbox);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Entries left failed, and unsettled entries that have not moved since
+   * `idleSince`, oldest first. A failed entry stays failed until the refund
+   * is claimed again.
+   */
+  static async findStuck(idleSince: Date, limit: number = 100): Promise<RefundOutboxRecord[]> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(`
+        SELECT * FROM refund_outbox
+        WHERE status = 'failed'
+          OR (status IN ('queued', 'built', 'submitted') AND updated_at < $1)
+        ORDER BY updated_at ASC
+        LIMIT $2
+      `, [idleSince, limit]);
+      return result.rows.map(toRefundOutbox);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// ============================================================================
+// TREASURY SNAPSHOT MODEL
+// ============================================================================
+
+const toTreasurySnapshot = (row: any): TreasurySnapshotRecord => ({
+  ...row,
+  lovelace: BigInt(row.lovelace),
+  assets: Object.fromEntries(
+    Object.entries(row.assets ?? {}).map(([unit, quantity]) => [unit, BigInt(quantity as string)])
+  )
+});
+
+export class TreasurySnapshotModel {
+  static async record(snapshot: Omit<TreasurySnapshotRecord, 'id' | 'recorded_at'>): Promise<TreasurySnapshotRecord> {
+    const client = await pool.connect();
+    try {
+      const assets = Object.fromEntries(
+        Object.entries(snapshot.assets).map(([unit, quantity]) => [unit, quantity.toString()])
+      );
+      const result = await client.query(`
+        INSERT INTO treasury_snapshots (
+          wallet_address, lovelace, assets, utxo_count, dust_utxo_count, refunds_paused, consolidation_tx_hash
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `, [
+        snapshot.wallet_address, snapshot.lovelace.toString(), JSON.stringify(assets), snapshot.utxo_count,
+        snapshot.dust_utxo_count, snapshot.refunds_paused, snapshot.consolidation_tx_hash ?? null
+      ]);
+      return toTreasurySnapshot(result.rows[0]);
+    } finally {
+      client.release();
+    }
+  }
+
+  /** Snapshots of `walletAddress` recorded since `since`, newest first */
+  static async listSince(walletAddress: string, since: Date, limit: number = 500): Promise<TreasurySnapshotRecord[]> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(`
+        SELECT * FROM treasury_snapshots
+        WHERE wallet_address = $1 AND recorded_at >= $2
+        ORDER BY recorded_at DESC
+        LIMIT $3
+      `, [walletAddress, since, limit]);
+      return result.rows.map(toTreasurySnapshot);
+    } finally {
+      client.release();
+    }
+  }
+
+  static async findLatest(walletAddress: string): Promise<TreasurySnapshotRecord | null> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM treasury_snapshots WHERE wallet_address = $1 ORDER BY recorded_at DESC LIMIT 1',
+        [walletAddress]
+      );
+      return result.rows[0] ? toTreasurySnapshot(result.rows[0]) : null;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// ============================================================================
+// SIGNATURE REQUEST MODEL
+// ============================================================================
+
+// Token quantities are kept as strings in JSONB, like lovelace
+const mapQuantities = <From, To>(tokens: Record<string, From>, map: (quantity: From) => To): Record<string, To> =>
+  Object.fromEntries(Object.entries(tokens).map(([unit, quantity]) => [unit, map(quantity)]));
+
+const toSignatureRequest = (row: any): SignatureRequestRecord => ({
+  ...row,
+  outflow_lovelace: BigInt(row.outflow_lovelace),
+  outputs: (row.outputs ?? []).map((output: any) => ({
+    ...output,
+    lovelace: BigInt(output.lovelace),
+    tokens: mapQuantities(output.tokens ?? {}, BigInt)
+  }))
+});
+
+
+export class SignatureRequestModel {
+  static async record(request: Omit<SignatureRequestRecord, 'id' | 'created_at'>): Promise<SignatureRequestRecord> {
+    const client = await pool.connect();
+    try {
+      const outputs = request.outputs.map(output => ({
+        ...output,
+        lovelace: output.lovelace.toString(),
+        tokens: mapQuantities(output.tokens, quantity => quantity.toString())
+      }));
+      const result = await client.query(`
+        INSERT INTO signature_requests (
+          signer_address, tx_hash, purpose, requester, outflow_lovelace, outputs, approved, reason
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `, [
+        request.signer_address, request.tx_hash, request.purpose, request.requester ?? null,
+        request.outflow_lovelace.toString(), JSON.stringify(outputs), request.approved, request.reason ?? null
+      ]);
+      return toSignatureRequest(result.rows[0]);
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Lovelace `signerAddress` approved sending away since `since`, counting
+   * each transaction once and leaving out `excludeTxHash`
+   */
+  static async sumApprovedSince(signerAddress: string, since: Date, excludeTxHash?: string): Promise<bigint> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(`
+        SELECT COALESCE(SUM(outflow_lovelace), 0) AS total
+        FROM (
+          SELECT DISTINCT ON (tx_hash) outflow_lovelace
+          FROM signature_requests
+          WHERE signer_address = $1 AND approved AND created_at >= $2 AND tx_hash IS DISTINCT FROM $3
+          ORDER BY tx_hash, created_at
+        ) approved
+      `, [signerAddress, since, excludeTxHash ?? null]);
+      return BigInt(result.rows[0].total);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// ============================================================================
+// ADMIN API KEY MODEL
+// ============================================================================
+
+export class AdminApiKeyModel {
+  static async create(key: Omit<AdminApiKeyRecord, 'id' | 'created_at'>): Promise<AdminApiKeyRecord> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(`
+        INSERT INTO admin_api_keys (name, key_prefix, key_hash, role, scopes, created_by, expires_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *
+      `, [key.name, key.key_prefix, key.key_hash, key.role, key.scopes, key.created_by, key.expires_at]);
+      return result.rows[0];
+    } finally {
+      client.release();
+    }
+  }
+
+  static async findByHash(keyHash: string): Promise<AdminApiKeyRecord | null> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query('SELECT * FROM admin_api_keys WHERE key_hash = $1', [keyHash]);
+      return result.rows[0] ?? null;
+    } finally {
+      client.release();
+    }
+  }
+
+  /** Every key, newest first, revoked and expired ones included */
+  static async list(): Promise<AdminApiKeyRecord[]> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query('SELECT * FROM admin_api_keys ORDER BY created_at DESC');
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+
+  /** Revoke a key; null when there is no such key or it was already revoked */
+  static async revoke(id: string, revokedBy: string): Promise<AdminApiKeyRecord | null> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(`
+        UPDATE admin_api_keys SET revoked_at = CURRENT_TIMESTAMP, revoked_by = $2
+        WHERE id = $1 AND revoked_at IS NULL
+        RETURNING *
+      `, [id, revokedBy]);
+      return result.rows[0] ?? null;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async touch(id: string): Promise<void> {
+    const client = await pool.connect();
+    try {
+      await client.query('UPDATE admin_api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// ============================================================================
+// CONTRACT DEPLOYMENT MODEL
+// ============================================================================
+
+export class ContractDeploymentModel {
+  /**
+   * Record a deployment as the active one for its network and contract,
+   * superseding whatever was active before
+   */
+  static async record(
+    deployment: Omit<ContractDeploymentRecord, 'id' | 'is_active' | 'deployed_at'>
+  ): Promise<ContractDeploymentRecord> {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'UPDATE contract_deployments SET is_active = FALSE WHERE network = $1 AND contract_name = $2 AND is_active',
+        [deployment.network, deployment.contract_name]
+      );
+      const result = await client.query(`
+        INSERT INTO contract_deployments (network, contract_name, script_address, script_hash, tx_hash, parameters)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [
+        deployment.network, deployment.contract_name, deployment.script_address, deployment.script_hash,
+        deployment.tx_hash ?? null, deployment.parameters ? JSON.stringify(deployment.parameters) : null
+      ]);
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  static async findActive(network: string, contractName: string): Promise<ContractDeploymentRecord | null> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM contract_deployments WHERE network = $1 AND contract_name = $2 AND is_active',
+        [network, contractName]
+      );
+      return result.rows[0] ?? null;
+    } finally {
+      client.release();
+    }
+  }
+
+  /** Every deployment on `network`, newest first */
+  static async listByNetwork(network: string): Promise<ContractDeploymentRecord[]> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT * FROM contract_deployments WHERE network = $1 ORDER BY deployed_at DESC',
+        [network]
+      );
+      return result.rows;
+    } finally {
+      client.release();
+    }
+  }
+}
+
 // ============================================================================
 // DATABASE MIGRATION AND INITIALIZATION
 // ============================================================================
@@ -80,15 +80,29 @@ async function dropAllTables() {
   try {
     // Drop tables in correct order (respecting foreign key constraints)
     const dropQueries = [
+      'DROP TABLE IF EXISTS admin_api_keys CASCADE;',
+      'DROP TABLE IF EXISTS signature_requests CASCADE;',
+      'DROP TABLE IF EXISTS treasury_snapshots CASCADE;',
+      'DROP TABLE IF EXISTS refund_outbox CASCADE;',
+      'DROP TABLE IF EXISTS contract_deployments CASCADE;',
+      'DROP TABLE IF EXISTS chain_deposits CASCADE;',
+      'DROP TABLE IF EXISTS chain_sync_points CASCADE;',
+      'DROP TABLE IF EXISTS inheritance_plans CASCADE;',
+      'DROP TABLE IF EXISTS storage_reconciliation CASCADE;',
+      'DROP TABLE IF EXISTS storage_objects CASCADE;',
+      'DROP TABLE IF EXISTS audit_log CASCADE;',
+      'DROP TABLE IF EXISTS verification_state CASCADE;',
       'DROP TABLE IF EXISTS system_logs CASCADE;',
       'DROP TABLE IF EXISTS auth_data CASCADE;',
       'DROP TABLE IF EXISTS zk_proofs CASCADE;',
       'DROP TABLE IF EXISTS transactions CASCADE;',
+      'DROP TABLE IF EXISTS refund_batches CASCADE;',
       'DROP TABLE IF EXISTS user_deposits CASCADE;',
       'DROP TABLE IF EXISTS users CASCADE;',
       'DROP VIEW IF EXISTS user_deposit_summary CASCADE;',
       'DROP VIEW IF EXISTS active_users CASCADE;',
-      'DROP FUNCTION IF EXISTS update_updated_at_column() CASCADE;'
+      'DROP FUNCTION IF EXISTS update_updated_at_column() CASCADE;',
+      'DROP FUNCTION IF EXISTS prevent_audit_log_modification() CASCADE;'
     ];
     
     for (const query of dropQueries) {
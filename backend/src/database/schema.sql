@@ -22,6 +22,8 @@ CREATE TABLE IF NOT EXISTS users (
     sender_wallet_address TEXT,
     image_number INTEGER DEFAULT 1 CHECK (image_number IN (1, 2, 3)),
     verified BOOLEAN DEFAULT false,
+    -- Staff roles are granted permissions in services/access-control.ts
+    role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'support', 'finance', 'admin', 'superadmin')),
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
 );
@@ -36,6 +38,9 @@ CREATE TABLE IF NOT EXISTS user_deposits (
     zk_commitment TEXT,
     tx_hash VARCHAR(128),
     amount BIGINT NOT NULL DEFAULT 0,
+    -- Asset the deposit was paid in; both empty for lovelace
+    asset_policy_id VARCHAR(56) NOT NULL DEFAULT '',
+    asset_name VARCHAR(64) NOT NULL DEFAULT '',
     timestamp TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
     refunded BOOLEAN DEFAULT FALSE,
     signup_completed BOOLEAN DEFAULT FALSE,
@@ -98,9 +103,19 @@ CREATE TABLE IF NOT EXISTS subscriptions (
 );
 
 -- Transactions table (Cardano transactions)
+CREATE TABLE IF NOT EXISTS refund_batches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tx_hash VARCHAR(128) UNIQUE,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('submitted', 'failed')),
+    recipient_count INTEGER NOT NULL,
+    total_amount BIGINT NOT NULL,
+    error TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
 CREATE TABLE IF NOT EXISTS transactions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    tx_hash VARCHAR(128) UNIQUE NOT NULL,
+    tx_hash VARCHAR(128) NOT NULL,
     from_address TEXT NOT NULL,
     to_address TEXT NOT NULL,
     amount BIGINT NOT NULL,
@@ -109,8 +124,11 @@ CREATE TABLE IF NOT EXISTS transactions (
     transaction_type VARCHAR(20) CHECK (transaction_type IN ('deposit', 'refund', 'signup')),
     status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'failed')),
     user_deposit_id UUID,
+    refund_batch_id UUID,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY (user_deposit_id) REFERENCES user_deposits(id) ON DELETE SET NULL
+    FOREIGN KEY (user_deposit_id) REFERENCES user_deposits(id) ON DELETE SET NULL,
+    FOREIGN KEY (refund_batch_id) REFERENCES refund_batches(id) ON DELETE SET NULL,
+    CONSTRAINT transactions_tx_hash_to_address_key UNIQUE (tx_hash, to_address)
 );
 
 -- ZK proofs table
@@ -135,12 +153,17 @@ CREATE TABLE IF NOT EXISTS auth_data (
     salt VARCHAR(64),
     metadata JSONB,
     is_active BOOLEAN DEFAULT TRUE,
+    credential_id VARCHAR(512),
+    sign_count BIGINT DEFAULT 0,
     created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
     last_used TIMESTAMPTZ,
-    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
-    UNIQUE(user_id, auth_type)
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
 );
 
+-- One record per auth type, except passkeys which are one record per credential
+CREATE UNIQUE INDEX IF NOT EXISTS idx_auth_data_user_type_unique ON auth_data(user_id, auth_type) WHERE auth_type <> 'passkey';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_auth_data_credential_id ON auth_data(credential_id) WHERE credential_id IS NOT NULL;
+
 -- System logs table
 CREATE TABLE IF NOT EXISTS system_logs (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -217,6 +240,173 @@ CREATE TABLE IF NOT EXISTS recovery_requests (
     FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
 );
 
+-- Verification state table (OTP codes, emergency tokens, attempt counters)
+CREATE TABLE IF NOT EXISTS verification_state (
+    state_key VARCHAR(64) PRIMARY KEY,
+    data JSONB NOT NULL DEFAULT '{}',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Audit log table (append-only, hash-chained; see migrations/005_add_audit_log.sql)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    user_id VARCHAR(50),
+    action VARCHAR(50) NOT NULL,
+    resource VARCHAR(50) NOT NULL,
+    resource_id VARCHAR(255),
+    success BOOLEAN NOT NULL,
+    ip_address TEXT,
+    user_agent TEXT,
+    details JSONB NOT NULL DEFAULT '{}',
+    account_activity_id UUID,
+    system_log_id UUID,
+    created_at TIMESTAMPTZ NOT NULL,
+    prev_hash VARCHAR(64) NOT NULL,
+    hash VARCHAR(64) NOT NULL UNIQUE
+);
+
+-- Storage provider index (document key -> provider file reference)
+CREATE TABLE IF NOT EXISTS storage_objects (
+    key VARCHAR(512) NOT NULL,
+    provider VARCHAR(20) NOT NULL,
+    provider_ref VARCHAR(255) NOT NULL,
+    content_hash VARCHAR(64) NOT NULL,
+    size INTEGER NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (key, provider)
+);
+
+-- Writes pending replay into a storage backend that was unavailable
+CREATE TABLE IF NOT EXISTS storage_reconciliation (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    target VARCHAR(20) NOT NULL CHECK (target IN ('iagon', 'postgresql')),
+    operation JSONB NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Dead-man's-switch inheritance plans (see migrations/007_add_inheritance_plans.sql)
+CREATE TABLE IF NOT EXISTS inheritance_plans (
+    user_id VARCHAR(50) PRIMARY KEY,
+    state VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (state IN ('active', 'check_in_sent', 'claimable', 'claimed', 'released')),
+    inactivity_period_days INTEGER NOT NULL CHECK (inactivity_period_days > 0),
+    check_in_window_days INTEGER NOT NULL CHECK (check_in_window_days > 0),
+    grace_period_days INTEGER NOT NULL CHECK (grace_period_days > 0),
+    last_check_in_at TIMESTAMPTZ NOT NULL,
+    next_action_at TIMESTAMPTZ,
+    claim_nok_identifier VARCHAR(255),
+    claimed_at TIMESTAMPTZ,
+    released_at TIMESTAMPTZ,
+    last_error TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Chain follower cursor and detected deposits (see migrations/008_add_chain_sync.sql)
+CREATE TABLE IF NOT EXISTS chain_sync_points (
+    consumer VARCHAR(50) NOT NULL,
+    slot BIGINT NOT NULL,
+    block_hash VARCHAR(64) NOT NULL,
+    block_height BIGINT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (consumer, slot)
+);
+
+CREATE TABLE IF NOT EXISTS chain_deposits (
+    tx_hash VARCHAR(64) PRIMARY KEY,
+    deposit_address TEXT NOT NULL,
+    amount BIGINT NOT NULL,
+    slot BIGINT NOT NULL,
+    block_hash VARCHAR(64) NOT NULL,
+    block_height BIGINT NOT NULL,
+    sender_address TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'confirmed', 'rolled_back')),
+    detected_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    confirmed_at TIMESTAMPTZ,
+    rolled_back_at TIMESTAMPTZ
+);
+
+-- Refund lifecycle with an idempotency key per deposit (see migrations/012_add_refund_outbox.sql)
+CREATE TABLE IF NOT EXISTS refund_outbox (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    idempotency_key VARCHAR(128) UNIQUE NOT NULL,
+    user_address TEXT NOT NULL,
+    refund_address TEXT NOT NULL,
+    user_deposit_id UUID REFERENCES user_deposits(id) ON DELETE SET NULL,
+    unit VARCHAR(120) NOT NULL DEFAULT 'lovelace',
+    amount BIGINT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'built', 'submitted', 'confirmed', 'failed')),
+    tx_hash VARCHAR(64),
+    signed_tx TEXT,
+    valid_until TIMESTAMPTZ,
+    attempts INTEGER NOT NULL DEFAULT 1,
+    error TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Refund wallet balance history (see migrations/013_add_treasury_snapshots.sql)
+CREATE TABLE IF NOT EXISTS treasury_snapshots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    wallet_address TEXT NOT NULL,
+    lovelace BIGINT NOT NULL,
+    assets JSONB NOT NULL DEFAULT '{}',
+    utxo_count INTEGER NOT NULL,
+    dust_utxo_count INTEGER NOT NULL,
+    refunds_paused BOOLEAN NOT NULL DEFAULT FALSE,
+    consolidation_tx_hash VARCHAR(64),
+    recorded_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Signing service request log (see migrations/014_add_signature_requests.sql)
+CREATE TABLE IF NOT EXISTS signature_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    signer_address TEXT NOT NULL,
+    tx_hash VARCHAR(64),
+    purpose VARCHAR(30) NOT NULL,
+    requester VARCHAR(255),
+    outflow_lovelace BIGINT NOT NULL DEFAULT 0,
+    outputs JSONB NOT NULL DEFAULT '[]',
+    approved BOOLEAN NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Hashed, scoped admin API keys (see migrations/016_add_roles_and_admin_api_keys.sql)
+CREATE TABLE IF NOT EXISTS admin_api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('support', 'finance', 'admin', 'superadmin')),
+    scopes TEXT[],
+    created_by VARCHAR(100) NOT NULL,
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    revoked_by VARCHAR(100),
+    last_used_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Script addresses per network (see migrations/011_add_contract_deployments.sql)
+CREATE TABLE IF NOT EXISTS contract_deployments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    network VARCHAR(16) NOT NULL CHECK (network IN ('mainnet', 'preprod', 'preview')),
+    contract_name VARCHAR(64) NOT NULL,
+    script_address TEXT NOT NULL,
+    script_hash VARCHAR(56) NOT NULL,
+    tx_hash VARCHAR(64),
+    parameters JSONB,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    deployed_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Account activity table
 CREATE TABLE IF NOT EXISTS account_activity (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -334,6 +524,7 @@ CREATE INDEX IF NOT EXISTS idx_user_deposits_user_id ON user_deposits(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_deposits_tx_hash ON user_deposits(tx_hash);
 CREATE INDEX IF NOT EXISTS idx_user_deposits_verified ON user_deposits(verified);
 CREATE INDEX IF NOT EXISTS idx_user_deposits_refunded ON user_deposits(refunded);
+CREATE INDEX IF NOT EXISTS idx_user_deposits_timestamp ON user_deposits(timestamp DESC);
 
 -- NEW: Indexes for payment transactions
 CREATE INDEX IF NOT EXISTS idx_payment_transactions_reference ON payment_transactions(reference);
@@ -356,6 +547,8 @@ CREATE INDEX IF NOT EXISTS idx_transactions_tx_hash ON transactions(tx_hash);
 CREATE INDEX IF NOT EXISTS idx_transactions_from_address ON transactions(from_address);
 CREATE INDEX IF NOT EXISTS idx_transactions_to_address ON transactions(to_address);
 CREATE INDEX IF NOT EXISTS idx_transactions_type ON transactions(transaction_type);
+CREATE INDEX IF NOT EXISTS idx_transactions_refund_batch_id ON transactions(refund_batch_id);
+CREATE INDEX IF NOT EXISTS idx_refund_batches_created_at ON refund_batches(created_at);
 
 CREATE INDEX IF NOT EXISTS idx_zk_proofs_user_id ON zk_proofs(user_id);
 CREATE INDEX IF NOT EXISTS idx_auth_data_user_id ON auth_data(user_id);
@@ -371,9 +564,28 @@ CREATE INDEX IF NOT EXISTS idx_phone_change_requests_status ON phone_change_requ
 CREATE INDEX IF NOT EXISTS idx_recovery_requests_recovery_id ON recovery_requests(recovery_id);
 CREATE INDEX IF NOT EXISTS idx_recovery_requests_user_id ON recovery_requests(user_id);
 CREATE INDEX IF NOT EXISTS idx_recovery_requests_status ON recovery_requests(status);
+CREATE INDEX IF NOT EXISTS idx_recovery_requests_expires_at ON recovery_requests(expires_at);
+CREATE INDEX IF NOT EXISTS idx_phone_change_requests_expires_at ON phone_change_requests(expires_at);
+CREATE INDEX IF NOT EXISTS idx_verification_state_expires_at ON verification_state(expires_at);
 CREATE INDEX IF NOT EXISTS idx_account_activity_user_id ON account_activity(user_id);
 CREATE INDEX IF NOT EXISTS idx_account_activity_type ON account_activity(activity_type);
 CREATE INDEX IF NOT EXISTS idx_account_activity_created_at ON account_activity(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_user_id ON audit_log(user_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action);
+CREATE INDEX IF NOT EXISTS idx_audit_log_resource ON audit_log(resource);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_storage_objects_provider_key ON storage_objects(provider, key varchar_pattern_ops);
+CREATE INDEX IF NOT EXISTS idx_storage_reconciliation_target ON storage_reconciliation(target, created_at);
+CREATE INDEX IF NOT EXISTS idx_inheritance_plans_next_action ON inheritance_plans(next_action_at) WHERE next_action_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_chain_deposits_pending ON chain_deposits(block_height) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_chain_deposits_slot ON chain_deposits(slot);
+CREATE INDEX IF NOT EXISTS idx_refund_outbox_unsettled ON refund_outbox(status) WHERE status IN ('queued', 'built', 'submitted');
+CREATE INDEX IF NOT EXISTS idx_refund_outbox_tx_hash ON refund_outbox(tx_hash);
+CREATE INDEX IF NOT EXISTS idx_refund_outbox_failed ON refund_outbox(updated_at) WHERE status = 'failed';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contract_deployments_active ON contract_deployments(network, contract_name) WHERE is_active;
+CREATE INDEX IF NOT EXISTS idx_users_staff_role ON users(role) WHERE role <> 'user';
+CREATE INDEX IF NOT EXISTS idx_treasury_snapshots_wallet_recorded ON treasury_snapshots(wallet_address, recorded_at DESC);
+CREATE INDEX IF NOT EXISTS idx_signature_requests_approved ON signature_requests(signer_address, created_at) WHERE approved;
 
 -- Updated timestamp function
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -397,6 +609,20 @@ CREATE TRIGGER update_subscriptions_updated_at BEFORE UPDATE ON subscriptions
 CREATE TRIGGER update_payment_transactions_updated_at BEFORE UPDATE ON payment_transactions
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+-- Audit log rows can only be inserted
+CREATE OR REPLACE FUNCTION prevent_audit_log_modification()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_modification();
+
+CREATE TRIGGER audit_log_no_truncate BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION prevent_audit_log_modification();
+
 -- FIXED: Updated validate_auth_methods function with proper CASE handling
 CREATE OR REPLACE FUNCTION validate_auth_methods()
 RETURNS TRIGGER AS $$
@@ -1,4 +1,4 @@
-import { UserModel, UserDepositModel, TransactionModel, User, UserDeposit, Transaction, AuthMethod } from './models.js';
+import { UserModel, UserDepositModel, TransactionModel, RefundBatchModel, ContractDeploymentModel, User, UserDeposit, Transaction, RefundBatch, ContractDeploymentRecord, AuthMethod } from './models.js';
 import pool from './config.js';
 import { ZKProofService } from '../services/zk-proof-service.js';
 
@@ -240,6 +240,7 @@ export class DatabaseService {
     transactionType: 'deposit' | 'refund' | 'signup';
     status?: 'pending' | 'confirmed' | 'failed';
     userDepositId?: string;
+    refundBatchId?: string;
   }): Promise<Transaction> {
     const transaction = await TransactionModel.create({
       tx_hash: transactionData.txHash,
@@ -250,7 +251,8 @@ export class DatabaseService {
       block_time: transactionData.blockTime,
       transaction_type: transactionData.transactionType,
       status: transactionData.status || 'pending',
-      user_deposit_id: transactionData.userDepositId
+      user_deposit_id: transactionData.userDepositId,
+      refund_batch_id: transactionData.refundBatchId
     });
     
     // Generate and store ZK proof for transaction creation
@@ -304,6 +306,30 @@ export class DatabaseService {
   async getAllTransactions(): Promise<Transaction[]> {
     return await TransactionModel.getAll();
   }
+
+  async createRefundBatch(batchData: {
+    txHash?: string;
+    status: 'submitted' | 'failed';
+    recipientCount: number;
+    totalAmount: bigint;
+    error?: string;
+  }): Promise<RefundBatch> {
+    return await RefundBatchModel.create({
+      tx_hash: batchData.txHash,
+      status: batchData.status,
+      recipient_count: batchData.recipientCount,
+      total_amount: batchData.totalAmount,
+      error: batchData.error
+    });
+  }
+
+  // ============================================================================
+  // CONTRACT DEPLOYMENTS
+  // ============================================================================
+
+  async getActiveDeployment(network: string, contractName: string): Promise<ContractDeploymentRecord | null> {
+    return await ContractDeploymentModel.findActive(network, contractName);
+  }
   
   // ============================================================================
   // LEGACY COMPATIBILITY METHODS
@@ -0,0 +1,35 @@
+#!/usr/bin/env ts-node
+/**
+ * Audit Log Chain Verifier
+ * Recomputes every audit_log hash and exits non-zero if the chain is broken
+ */
+
+import dotenv from 'dotenv';
+import { closePool } from './config.js';
+import { auditService } from '../services/audit-service.js';
+
+// Load environment variables
+dotenv.config();
+
+async function main() {
+  try {
+    console.log('🔍 Verifying audit log hash chain...\n');
+    const result = await auditService.verifyChain();
+
+    if (result.valid) {
+      console.log(`✅ Audit log intact: ${result.checked} entries verified`);
+      console.log(`   Head hash: ${result.headHash}`);
+    } else {
+      console.error(`❌ Audit log chain broken at entry ${result.brokenAt} (${result.reason})`);
+      console.error(`   ${result.checked} entries verified before the break`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Audit log verification failed:', error);
+    process.exitCode = 1;
+  } finally {
+    await closePool();
+  }
+}
+
+main();
@@ -5,12 +5,20 @@
 
 import { execSync } from 'child_process';
 import * as crypto from 'crypto';
-import { Lucid, Blockfrost, SpendingValidator, Data, fromText, toHex, Address } from "lucid-cardano";
+import { Lucid, LucidEvolution, SpendingValidator, TxSigned, validatorToAddress } from "@lucid-evolution/lucid";
 import { config } from 'dotenv';
-import { refundTx } from './utils/lucid.js';
+import { getValidatorParams, refundTx } from './utils/lucid.js';
 import { dbService } from './database/service.js';
 import { testConnection } from './database/config.js';
 import { MockDatabaseService } from './database/mock-service.js';
+import { ChainProvider, getChainProvider } from './services/chain-provider.js';
+import { assertNetworkAddress, getNetworkProfile, isNetworkAddress, NetworkProfile } from './services/network-profile.js';
+import { DepositAsset, LOVELACE, matchDepositAsset, parseDepositAssets, unitOf } from './services/deposit-assets.js';
+import { ReconcileSummary, RefundOutbox, RefundOutboxError } from './services/refund-outbox.js';
+import { TreasuryWallet } from './services/treasury.js';
+import { Signer, signerFromEnv, signWith } from './services/signer.js';
+import { loadK33pValidator } from './services/tx-builder.js';
+import { RefundOutboxModel, RefundOutboxRecord } from './database/models.js';
 
 // Load environment variables
 config();
@@ -19,14 +27,10 @@ config();
 // CONFIGURATION
 // ============================================================================
 const CONFIG = {
-  network: "Preprod" as const,
-  blockfrostUrl: "https://cardano-preprod.blockfrost.io/api/v0",
-  blockfrostApiKey: process.env.BLOCKFROST_API_KEY || (() => {
-      throw new Error('BLOCKFROST_API_KEY environment variable is required');
-    })(),
   seedPhrase: process.env.SEED_PHRASE || "blame purpose battle mistake match cousin degree route bag return clump key metal actress poet outside group sword bring gravity weapon report alone dove",
   requiredDeposit: 2_000_000n, // 2 ADA
-  refundAmount: 2_000_000n,    // 2 ADA
+  refundAmount: 2_000_000n,    // 2 ADA, for deposits paid in ADA
+  acceptedDepositAssets: parseDepositAssets(), // DEPOSIT_ACCEPTED_ASSETS
   maxTimeWindow: 86400,        // 1 day in seconds
   phoneHashLength: 32,         // bytes
   proofLength: 64,             // bytes
@@ -35,6 +39,7 @@ const CONFIG = {
   txVerificationTimeout: 300,  // 5 minutes to find transaction
   minConfirmations: 0,         // Temporarily set to 0 for testing
   maxTxAge: 86400,            // Max transaction age in seconds (24 hours)
+  txLookupCount: 100,         // Sender transactions searched for a deposit
 } as const;
 
 // ============================================================================
@@ -43,7 +48,11 @@ const CONFIG = {
 
 interface TransactionDetails {
   txHash: string;
+  /** Quantity of the deposited asset, in its smallest unit */
   amount: bigint;
+  /** Empty for lovelace */
+  policyId: string;
+  assetName: string;
   fromAddress: string;
   toAddress: string;
   timestamp: number;
@@ -70,42 +79,68 @@ interface RefundResult {
   txHash?: string;
 }
 
+export interface RefundBatchItem {
+  userAddress: string;
+  refundAddress: string;
+}
+
+interface RefundRecipient {
+  item: RefundBatchItem;
+  deposit: any;
+  refund: { unit: string; amount: bigint };
+}
+
+interface RefundBatchResult {
+  success: boolean;
+  message: string;
+  txHash?: string;
+  refunded: string[];  // user addresses paid by this batch
+  skipped: string[];   // user addresses whose deposit was already refunded
+}
+
 // ============================================================================
 // BLOCKCHAIN VERIFICATION SERVICE
 // ============================================================================
 
-class BlockchainVerifier {
-  private blockfrost: any;
+export class BlockchainVerifier {
   private depositAddress: string = '';
 
-  constructor(private apiKey: string, private baseUrl: string) {
-    this.blockfrost = new Blockfrost(baseUrl, apiKey);
-  }
+  /**
+   * @param profile Network whose addresses senders must use; defaults to the
+   * one selected by NETWORK
+   */
+  constructor(private chain: ChainProvider, private profile: NetworkProfile = getNetworkProfile()) {}
 
   async setDepositAddress(address: string): Promise<void> {
     this.depositAddress = address;
   }
 
-  async verifyTransactionByWalletAddress(senderWalletAddress: string, expectedAmount: bigint): Promise<VerificationResult> {
+  /**
+   * Find a recent transaction from `senderWalletAddress` paying the deposit
+   * address at least the amount of one accepted asset. A bare amount means
+   * that many lovelace.
+   */
+  async verifyTransactionByWalletAddress(
+    senderWalletAddress: string,
+    accepted: DepositAsset[] | bigint
+  ): Promise<VerificationResult> {
     try {
-      console.log(`🔍 Verifying transaction from ${senderWalletAddress} with amount ${expectedAmount}...`);
+      const acceptedAssets: DepositAsset[] = typeof accepted === 'bigint'
+        ? [{ unit: LOVELACE, policyId: '', assetName: '', amount: accepted, label: 'ADA' }]
+        : accepted;
+      const expected = acceptedAssets.map(asset => `${asset.amount} ${asset.label}`).join(' or ');
+      console.log(`🔍 Verifying transaction from ${senderWalletAddress} with amount ${expected}...`);
       
       const depositAddress = this.depositAddress;
-      
-      const response = await fetch(`${CONFIG.blockfrostUrl}/addresses/${senderWalletAddress}/transactions?order=desc`, {
-        headers: {
-          'project_id': CONFIG.blockfrostApiKey
-        }
-      });
 
-      if (!response.ok) {
+      if (!isNetworkAddress(senderWalletAddress, this.profile)) {
         return {
           isValid: false,
-          error: `Could not fetch transactions for address: ${senderWalletAddress}`
+          error: `${senderWalletAddress} is not a ${this.profile.name} payment address`
         };
       }
-
-      const transactions = await response.json();
+      
+      const transactions = await this.chain.getAddressTransactions(senderWalletAddress, CONFIG.txLookupCount);
       
       if (transactions.length === 0) {
         return {
@@ -114,42 +149,30 @@ class BlockchainVerifier {
         };
       }
 
-      for (const tx of transactions) {
-        const txHash = tx.tx_hash;
-        
-        const txDetailsResponse = await fetch(`${this.baseUrl}/txs/${txHash}`, {
-          headers: { 'project_id': this.apiKey }
-        });
+      const currentTimestamp = Math.floor(Date.now() / 1000);
 
-        if (!txDetailsResponse.ok) continue;
-        
-        const txData = await txDetailsResponse.json();
-        
-        const utxosResponse = await fetch(`${this.baseUrl}/txs/${txHash}/utxos`, {
-          headers: { 'project_id': this.apiKey }
-        });
+      for (const ref of transactions) {
+        // Listed newest first, so everything after the first stale one is stale too
+        if (ref.blockTime != null && currentTimestamp - ref.blockTime > CONFIG.maxTxAge) break;
 
-        if (!utxosResponse.ok) continue;
-        
-        const utxosData = await utxosResponse.json();
+        const tx = await this.chain.getTransaction(ref.txHash, ref);
 
-        const depositOutput = utxosData.outputs.find((output: any) => 
-          output.address === depositAddress
-        );
+        if (!tx) continue;
+
+        const depositOutput = tx.outputs.find(output => output.address === depositAddress);
 
         if (!depositOutput) continue;
 
-        const sentAmount = BigInt(depositOutput.amount.find((asset: any) => asset.unit === 'lovelace')?.quantity || '0');
+        const match = matchDepositAsset(depositOutput.assets, acceptedAssets);
         
-        if (sentAmount < expectedAmount) continue;
+        if (!match) continue;
 
-        const txTimestamp = txData.block_time;
-        const currentTimestamp = Math.floor(Date.now() / 1000);
+        const txTimestamp = tx.blockTime ?? currentTimestamp;
         const txAge = currentTimestamp - txTimestamp;
 
         if (txAge > CONFIG.maxTxAge) continue;
 
-        const senderAddress = utxosData.inputs[0]?.address;
+        const senderAddress = tx.inputs[0]?.address;
         
         if (senderAddress !== senderWalletAddress) {
           console.warn(`⚠️  Sender mismatch: Expected ${senderWalletAddress}, Got ${senderAddress}`);
@@ -157,12 +180,14 @@ class BlockchainVerifier {
         }
 
         const transaction: TransactionDetails = {
-          txHash,
-          amount: sentAmount,
+          txHash: tx.txHash,
+          amount: match.quantity,
+          policyId: match.asset.policyId,
+          assetName: match.asset.assetName,
           fromAddress: senderAddress,
           toAddress: depositAddress,
           timestamp: txTimestamp,
-          confirmations: txData.confirmations || 0,
+          confirmations: tx.confirmations,
           valid: true
         };
 
@@ -174,7 +199,7 @@ class BlockchainVerifier {
           };
         }
 
-        console.log(`✅ Transaction verified successfully: ${txHash}`);
+        console.log(`✅ Transaction verified successfully: ${tx.txHash}`);
         return {
           isValid: true,
           transaction
@@ -183,7 +208,7 @@ class BlockchainVerifier {
 
       return {
         isValid: false,
-        error: `No valid transaction found from ${senderWalletAddress} to ${depositAddress} with amount >= ${expectedAmount}`
+        error: `No valid transaction found from ${senderWalletAddress} to ${depositAddress} with amount >= ${expected}`
       };
 
     } catch (error) {
@@ -203,17 +228,22 @@ class BlockchainVerifier {
 export class EnhancedK33PManagerDB {
   public cardanoEnabled: boolean = true;
   private initPromise?: Promise<void>;
-  private lucid?: Lucid;
+  private lucid?: LucidEvolution;
   private validator?: SpendingValidator;
   private depositAddress: string = '';
-  private verifier: BlockchainVerifier;
+  private verifier?: BlockchainVerifier;
+  private refundOutbox?: RefundOutbox;
   private initialized: boolean = false;
   private usingMockDatabase: boolean = false;
   private mockDbService: any = null;
 
-  constructor() {
-    this.verifier = new BlockchainVerifier(CONFIG.blockfrostApiKey, CONFIG.blockfrostUrl);
-  }
+  /**
+   * @param chain Chain provider for verification and refunds; defaults to
+   * the one configured by CHAIN_PROVIDER
+   * @param signer Signs refunds; defaults to the signing service when
+   * SIGNER_URL is set, else the SEED_PHRASE wallet in-process
+   */
+  constructor(private chain?: ChainProvider, private signer?: Signer) {}
 
   async initialize(): Promise<void> {
     if (this.initPromise) {
@@ -238,25 +268,39 @@ export class EnhancedK33PManagerDB {
           return;
         }
         try {
-          this.lucid = await Lucid.new(
-            new Blockfrost(CONFIG.blockfrostUrl, CONFIG.blockfrostApiKey),
-            CONFIG.network
-          );
-          this.lucid.selectWalletFromSeed(CONFIG.seedPhrase);
-          const validatorScript = JSON.parse(await this.readFile('plutus.json'));
-          this.validator = {
-            type: "PlutusV2",
-            script: validatorScript.cborHex
-          };
-          this.depositAddress = this.lucid.utils.validatorToAddress(this.validator);
+          const chain = this.chain ?? getChainProvider();
+          this.chain = chain;
+          this.verifier = new BlockchainVerifier(chain);
+          this.lucid = await Lucid(chain.lucidProvider, chain.network);
+          this.signer ??= signerFromEnv(() => ({ seedPhrase: CONFIG.seedPhrase }));
+          this.lucid.selectWallet.fromAddress(await this.signer.address(), []);
+          this.validator = loadK33pValidator(getValidatorParams(await this.signer.keyHash()));
+          this.depositAddress = await this.resolveDepositAddress(validatorToAddress(chain.network, this.validator));
           await this.verifier.setDepositAddress(this.depositAddress);
+          if (!this.usingMockDatabase) {
+            this.refundOutbox = new RefundOutbox({
+              store: RefundOutboxModel,
+              chain,
+              onConfirmed: entries => this.settleConfirmedRefunds(entries),
+              onFailed: entries => this.settleFailedRefunds(entries)
+            });
+          }
           this.cardanoEnabled = true;
         } catch (cardanoError) {
           console.warn('Cardano initialization failed, continuing without Cardano features:', cardanoError);
           this.cardanoEnabled = false;
+          this.verifier = undefined;
           this.depositAddress = "addr_test_mock_deposit_address_failed_cardano";
         }
         this.initialized = true;
+        if (this.refundOutbox) {
+          // Recover refunds a previous process left between claim and confirmation
+          try {
+            await this.refundOutbox.reconcile();
+          } catch (error) {
+            console.error('Refund outbox recovery failed; retrying on the next reconciliation:', error);
+          }
+        }
         console.log('Enhanced K33P Manager with Database initialized successfully');
       } catch (error) {
         console.error('Failed to initialize Enhanced K33P Manager:', error);
@@ -266,10 +310,22 @@ export class EnhancedK33PManagerDB {
     return this.initPromise;
   }
 
-  private async readFile(filename: string): Promise<string> {
-    const fs = await import('fs');
-    const path = await import('path');
-    return fs.readFileSync(path.resolve(filename), 'utf8');
+  /**
+   * The script address k33p-deploy recorded for the active network, or the
+   * one derived from plutus.json when the network has no deployment yet
+   */
+  private async resolveDepositAddress(derivedAddress: string): Promise<string> {
+    const profile = getNetworkProfile();
+    let deployment = null;
+    try {
+      deployment = await this.getDbService().getActiveDeployment(profile.name, 'k33p_validator');
+    } catch (error) {
+      console.warn('Could not load contract deployments, using the plutus.json address:', error);
+    }
+    const address = deployment?.script_address ?? derivedAddress;
+    assertNetworkAddress(address, profile);
+    console.log(`Deposit address on ${profile.name}: ${address}${deployment ? '' : ' (not deployed, derived from plutus.json)'}`);
+    return address;
   }
 
   private async ensureInitialized(): Promise<void> {
@@ -287,12 +343,47 @@ export class EnhancedK33PManagerDB {
     return this.depositAddress;
   }
 
+  /** The wallet refunds are paid from, for the treasury; null without Cardano */
+  async getRefundWallet(): Promise<TreasuryWallet | null> {
+    await this.ensureInitialized();
+    if (!this.cardanoEnabled || !this.lucid) return null;
+    const lucid = this.lucid;
+    const signer = this.signer!;
+    return {
+      address: () => lucid.wallet().address(),
+      // With no outputs of its own the whole value returns as one change output
+      consolidate: async utxos => {
+        const tx = await lucid.newTx().collectFrom(utxos).complete();
+        const signedTx = await signWith(signer, tx, 'consolidation');
+        return signedTx.submit();
+      }
+    };
+  }
+
   /**
    * Verify transaction by wallet address
    */
-  async verifyTransactionByWalletAddress(senderWalletAddress: string, expectedAmount: bigint): Promise<any> {
+  async verifyTransactionByWalletAddress(senderWalletAddress: string, accepted: DepositAsset[] | bigint): Promise<any> {
     await this.ensureInitialized();
-    return await this.verifier.verifyTransactionByWalletAddress(senderWalletAddress, expectedAmount);
+    return await this.verifyDeposit(senderWalletAddress, accepted);
+  }
+
+  private async verifyDeposit(senderWalletAddress: string, accepted: DepositAsset[] | bigint): Promise<VerificationResult> {
+    if (!this.verifier) {
+      return { isValid: false, error: 'Cardano features are disabled' };
+    }
+    return this.verifier.verifyTransactionByWalletAddress(senderWalletAddress, accepted);
+  }
+
+  /**
+   * What refunding `deposit` pays: the token and quantity it was made in, or
+   * the refund amount in lovelace. Lucid adds min ADA to token outputs.
+   */
+  private refundAssets(deposit?: { asset_policy_id?: string; asset_name?: string; amount: bigint | string }): { unit: string; amount: bigint } {
+    const unit = unitOf(deposit?.asset_policy_id, deposit?.asset_name);
+    return unit === LOVELACE
+      ? { unit, amount: CONFIG.refundAmount }
+      : { unit, amount: BigInt(deposit!.amount) };
   }
 
   // ============================================================================
@@ -375,9 +466,9 @@ export class EnhancedK33PManagerDB {
       if (senderWalletAddress) {
         console.log(`🔍 Verifying transaction from sender wallet: ${senderWalletAddress}`);
         
-        const verificationResult = await this.verifier.verifyTransactionByWalletAddress(
+        const verificationResult = await this.verifyDeposit(
           senderWalletAddress,
-          CONFIG.requiredDeposit
+          CONFIG.acceptedDepositAssets
         );
         
         if (verificationResult.isValid && verificationResult.transaction) {
@@ -385,7 +476,9 @@ export class EnhancedK33PManagerDB {
           await currentDbService.updateDeposit(userAddress, {
             verified: true,
             tx_hash: verificationResult.transaction.txHash,
-            amount: verificationResult.transaction.amount
+            amount: verificationResult.transaction.amount,
+            asset_policy_id: verificationResult.transaction.policyId,
+            asset_name: verificationResult.transaction.assetName
           });
           
           // Create transaction record
@@ -469,13 +562,20 @@ export class EnhancedK33PManagerDB {
         };
       }
       
-      const verificationResult = await this.verifier.verifyTransactionByWalletAddress(
+      const verificationResult = await this.verifyDeposit(
         deposit.sender_wallet_address,
-        CONFIG.requiredDeposit
+        CONFIG.acceptedDepositAssets
       );
       
       if (verificationResult.isValid && verificationResult.transaction) {
-        await currentDbService.markDepositAsVerified(userAddress, verificationResult.transaction.txHash);
+        await currentDbService.updateDeposit(userAddress, {
+          verified: true,
+          last_verification_attempt: new Date(),
+          tx_hash: verificationResult.transaction.txHash,
+          amount: verificationResult.transaction.amount,
+          asset_policy_id: verificationResult.transaction.policyId,
+          asset_name: verificationResult.transaction.assetName
+        });
         
         return {
           success: true,
@@ -557,8 +657,9 @@ export class EnhancedK33PManagerDB {
       }
       
       const refundAddress = walletAddress || (deposit?.sender_wallet_address) || userAddress;
+      const refund = this.refundAssets(deposit);
       
-      console.log('Processing refund to ' + refundAddress + '...');
+      console.log(`Processing refund of ${refund.amount} ${refund.unit} to ${refundAddress}...`);
       
       let txHash: string;
       
@@ -566,13 +667,19 @@ export class EnhancedK33PManagerDB {
         txHash = 'mock_refund_' + Date.now().toString() + '_' + Math.random().toString(36).substr(2, 9);
         console.log('Mock refund transaction simulated: ' + txHash);
       } else {
-        const lucid = this.lucid!;
-        const tx = await lucid.newTx()
-          .payToAddress(refundAddress, { lovelace: CONFIG.refundAmount })
-          .complete();
-        
-        const signedTx = await tx.sign().complete();
-        txHash = await signedTx.submit();
+        assertNetworkAddress(refundAddress);
+        const sent = await this.submitRefunds([{ item: { userAddress, refundAddress }, deposit, refund }]);
+        if (!sent.txHash) {
+          const entry = sent.blocked[0];
+          return {
+            success: false,
+            message: entry?.status === 'confirmed'
+              ? 'Deposit has already been refunded'
+              : `A refund for this deposit is already ${entry?.status ?? 'in progress'}${entry?.tx_hash ? ` (${entry.tx_hash})` : ''}`,
+            txHash: entry?.tx_hash ?? undefined
+          };
+        }
+        txHash = sent.txHash;
       }
       
       // Generate ZK proof for refund operation - WITHOUT requiring a user
@@ -587,7 +694,8 @@ export class EnhancedK33PManagerDB {
             userAddress,
             refundAddress,
             txHash,
-            amount: CONFIG.refundAmount,
+            amount: refund.amount,
+            unit: refund.unit,
             timestamp: new Date().toISOString(),
             depositExists: !!deposit,
             operationType: 'external_refund' // Mark as external refund
@@ -659,7 +767,7 @@ export class EnhancedK33PManagerDB {
           txHash,
           fromAddress: this.depositAddress,
           toAddress: refundAddress,
-          amount: CONFIG.refundAmount,
+          amount: refund.amount,
           confirmations: 0,
           transactionType: 'refund',
           status: 'pending'
@@ -686,6 +794,281 @@ export class EnhancedK33PManagerDB {
     }
   }
 
+  /**
+   * Refund several deposits with one transaction paying every refund address,
+   * each in the asset its deposit was made in.
+   * Deposits that were already refunded, or whose refund is already in the
+   * refund outbox, are skipped. Fails without submitting
+   * when the signed transaction exceeds the protocol's max tx size, so the
+   * caller can retry with smaller batches. Every attempt is recorded in
+   * refund_batches and each recipient gets a transactions row tied to it.
+   */
+  async processRefundBatch(items: RefundBatchItem[]): Promise<RefundBatchResult> {
+    await this.ensureInitialized();
+
+    const currentDbService = this.getDbService();
+    let recipients: RefundRecipient[] = [];
+    const skipped: string[] = [];
+
+    try {
+      for (const item of items) {
+        if (recipients.some(recipient => recipient.item.userAddress === item.userAddress)) continue;
+        const deposit = await currentDbService.getDepositByUserAddress(item.userAddress);
+        if (deposit && deposit.refunded) {
+          skipped.push(item.userAddress);
+        } else {
+          recipients.push({ item, deposit, refund: this.refundAssets(deposit) });
+        }
+      }
+    } catch (error) {
+      console.error('Error loading deposits for refund batch:', error);
+      return {
+        success: false,
+        message: `Refund batch failed: ${error instanceof Error ? error.message : 'Unknown error'}`,
+        refunded: [],
+        skipped
+      };
+    }
+
+    if (recipients.length === 0) {
+      return { success: true, message: 'No deposits left to refund', refunded: [], skipped };
+    }
+
+    // Token refunds carry only min ADA, so the batch total counts lovelace refunds
+    const totalOf = (paid: RefundRecipient[]) => paid
+      .filter(({ refund }) => refund.unit === LOVELACE)
+      .reduce((sum, { refund }) => sum + refund.amount, 0n);
+    let totalAmount = totalOf(recipients);
+    let txHash: string;
+
+    try {
+      if (this.usingMockDatabase || !this.cardanoEnabled) {
+        txHash = 'mock_refund_batch_' + Date.now().toString() + '_' + Math.random().toString(36).substr(2, 9);
+        console.log('Mock refund batch simulated: ' + txHash);
+      } else {
+        recipients.forEach(({ item }) => assertNetworkAddress(item.refundAddress));
+        const sent = await this.submitRefunds(recipients);
+        skipped.push(...sent.blocked.map(entry => entry.user_address));
+        if (!sent.txHash) {
+          return { success: true, message: 'No deposits left to refund', refunded: [], skipped };
+        }
+        txHash = sent.txHash;
+        recipients = sent.paid;
+        totalAmount = totalOf(recipients);
+      }
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error(`Refund batch of ${recipients.length} failed:`, error);
+      try {
+        await currentDbService.createRefundBatch({
+          status: 'failed',
+          recipientCount: recipients.length,
+          totalAmount,
+          error: message
+        });
+      } catch (batchError) {
+        console.error('Failed to record failed refund batch:', batchError);
+      }
+      return { success: false, message: `Refund batch failed: ${message}`, refunded: [], skipped };
+    }
+
+    // The refund is on its way; bookkeeping failures below are logged but do
+    // not fail the batch, matching processRefund
+    let batchId: string | undefined;
+    try {
+      const batch = await currentDbService.createRefundBatch({
+        txHash,
+        status: 'submitted',
+        recipientCount: recipients.length,
+        totalAmount
+      });
+      batchId = batch.id;
+    } catch (batchError) {
+      console.error('Failed to record refund batch:', batchError);
+    }
+
+    for (const { item, deposit, refund } of recipients) {
+      try {
+        if (deposit) {
+          await currentDbService.markRefunded(item.userAddress, txHash);
+        }
+        await currentDbService.createTransaction({
+          txHash,
+          fromAddress: this.depositAddress,
+          toAddress: item.refundAddress,
+          amount: refund.amount,
+          confirmations: 0,
+          transactionType: 'refund',
+          status: 'pending',
+          userDepositId: deposit?.id,
+          refundBatchId: batchId
+        });
+      } catch (recordError) {
+        console.error(`Failed to record refund of ${item.userAddress} in batch ${txHash}:`, recordError);
+      }
+    }
+
+    try {
+      const { ZKProofService } = await import('./services/zk-proof-service');
+      await ZKProofService.generateAndStoreDataZKProof(
+        `refund_batch_${Date.now()}`,
+        'refund_operation',
+        {
+          refundAddresses: recipients.map(({ item }) => item.refundAddress),
+          txHash,
+          amount: totalAmount.toString(),
+          timestamp: new Date().toISOString(),
+          operationType: 'batch_refund'
+        }
+      );
+    } catch (zkError) {
+      console.error('Failed to generate ZK proof for refund batch:', zkError);
+    }
+
+    console.log(`✅ Refund batch of ${recipients.length} submitted: ${txHash}`);
+
+    return {
+      success: true,
+      message: `Refunded ${recipients.length} deposits`,
+      txHash,
+      refunded: recipients.map(({ item }) => item.userAddress),
+      skipped
+    };
+  }
+
+  /**
+   * Pay `recipients` in one transaction through the refund outbox: claim each
+   * deposit, build and sign, record the signed transaction, then submit.
+   * Recipients whose deposit already has a refund queued, in flight or
+   * confirmed are returned as blocked instead of paid, and txHash is null
+   * when none are left. Throws when the transaction was not submitted; after
+   * a submission error it stays recorded for reconcileRefunds() to settle.
+   * The mock database has no outbox, so refunds there are paid unrecorded.
+   */
+  private async submitRefunds(
+    recipients: RefundRecipient[]
+  ): Promise<{ txHash: string | null; paid: RefundRecipient[]; blocked: RefundOutboxRecord[] }> {
+    const lucid = this.lucid!;
+    const outbox = this.refundOutbox;
+    const keyOf = ({ item, deposit }: RefundRecipient) => RefundOutbox.keyFor(item.userAddress, deposit?.id);
+
+    let paid = recipients;
+    let blocked: RefundOutboxRecord[] = [];
+    if (outbox) {
+      const claims = await outbox.claim(recipients.map(({ item, deposit, refund }) => ({
+        userAddress: item.userAddress,
+        refundAddress: item.refundAddress,
+        depositId: deposit?.id,
+        unit: refund.unit,
+        amount: refund.amount
+      })));
+      const claimedKeys = new Set(claims.claimed.map(entry => entry.idempotency_key));
+      paid = recipients.filter(recipient => claimedKeys.has(keyOf(recipient)));
+      blocked = claims.blocked;
+    }
+    if (paid.length === 0) {
+      return { txHash: null, paid, blocked };
+    }
+
+    const keys = paid.map(keyOf);
+    const validUntil = outbox?.validUntil() ?? new Date(Date.now() + 15 * 60 * 1000);
+    let signedTx: TxSigned;
+    try {
+      let tx = lucid.newTx().validTo(validUntil.getTime());
+      for (const { item, refund } of paid) {
+        tx = tx.pay.ToAddress(item.refundAddress, { [refund.unit]: refund.amount });
+      }
+      signedTx = await signWith(this.signer!, await tx.complete(), 'refund');
+
+      const { maxTxSize } = await lucid.config().provider!.getProtocolParameters();
+      const size = signedTx.toTransaction().to_cbor_bytes().length;
+      if (size > maxTxSize) {
+        throw new Error(`Refund batch of ${paid.length} is ${size} bytes, above the ${maxTxSize} byte limit`);
+      }
+
+      await outbox?.markBuilt(keys, signedTx.toHash(), signedTx.toCBOR(), validUntil);
+    } catch (error) {
+      if (outbox && !(error instanceof RefundOutboxError)) {
+        await outbox.release(keys, error instanceof Error ? error.message : 'Unknown error');
+      }
+      throw error;
+    }
+
+    const txHash = signedTx.toHash();
+    try {
+      await signedTx.submit();
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      await outbox?.recordSubmitError(keys, message);
+      throw new Error(`Submitting refund ${txHash} failed (${message}); it stays recorded and is retried by reconciliation`);
+    }
+    await outbox?.markSubmitted(keys);
+
+    return { txHash, paid, blocked };
+  }
+
+  /**
+   * Settle the refund outbox against the chain; see RefundOutbox.reconcile.
+   * Runs once on startup and then from the auto-refund monitor.
+   */
+  async reconcileRefunds(): Promise<ReconcileSummary | null> {
+    await this.ensureInitialized();
+    return this.refundOutbox ? this.refundOutbox.reconcile() : null;
+  }
+
+  /**
+   * A refund transaction reached the chain. Repeats the bookkeeping a crash
+   * after submission may have skipped.
+   */
+  private async settleConfirmedRefunds(entries: RefundOutboxRecord[]): Promise<void> {
+    const currentDbService = this.getDbService();
+    for (const entry of entries) {
+      try {
+        const deposit = entry.user_deposit_id ? await currentDbService.getDepositByUserAddress(entry.user_address) : null;
+        if (deposit && deposit.id === entry.user_deposit_id && deposit.refund_tx_hash !== entry.tx_hash) {
+          await currentDbService.markRefunded(entry.user_address, entry.tx_hash);
+        }
+        const updated = await currentDbService.updateTransactionStatus(entry.tx_hash, 'confirmed');
+        if (!updated) {
+          await currentDbService.createTransaction({
+            txHash: entry.tx_hash,
+            fromAddress: this.depositAddress,
+            toAddress: entry.refund_address,
+            amount: entry.amount,
+            confirmations: 1,
+            transactionType: 'refund',
+            status: 'confirmed',
+            userDepositId: entry.user_deposit_id ?? undefined
+          });
+        }
+      } catch (error) {
+        console.error(`Failed to record confirmed refund ${entry.tx_hash} for ${entry.user_address}:`, error);
+      }
+    }
+  }
+
+  /**
+   * A submitted refund transaction expired without reaching the chain, so its
+   * deposit counts as unrefunded again and can be claimed anew
+   */
+  private async settleFailedRefunds(entries: RefundOutboxRecord[]): Promise<void> {
+    const currentDbService = this.getDbService();
+    for (const entry of entries) {
+      try {
+        const deposit = await currentDbService.getDepositByUserAddress(entry.user_address);
+        if (deposit && deposit.refunded && deposit.refund_tx_hash === entry.tx_hash) {
+          await currentDbService.updateDeposit(entry.user_address, {
+            refunded: false,
+            refund_tx_hash: null,
+            refund_timestamp: null
+          });
+        }
+        await currentDbService.updateTransactionStatus(entry.tx_hash, 'failed');
+      } catch (error) {
+        console.error(`Failed to record expired refund ${entry.tx_hash} for ${entry.user_address}:`, error);
+      }
+    }
+  }
 
   private hashData(data: string): string {
     return crypto.createHash('sha256').update(data).digest('hex');
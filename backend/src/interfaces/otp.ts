@@ -49,12 +49,11 @@ export interface CancelVerificationResponse {
 }
 
 /**
- * OTP request stored in memory
+ * OTP request tracked in the verification store
  */
 export interface OtpRequest {
   requestId: string;
   phoneNumber: string;
   timestamp: number;
   verified: boolean;
-  otpCode?: string; // For manual SMS verification
 }
\ No newline at end of file
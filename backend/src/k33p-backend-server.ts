@@ -7,10 +7,16 @@ import { EnhancedK33PManagerDB } from './enhanced-k33p-manager-db.js';
 import { dbService } from './database/service.js';
 import { autoRefundMonitor } from './services/auto-refund-monitor.js';
 import { subscriptionService } from './services/subscription-service.js';
+import { verificationStore } from './services/verification-store.js';
+import { inheritanceService } from './services/inheritance-service.js';
+import { getNetworkProfile, isNetworkAddress } from './services/network-profile.js';
 import { MockDatabaseService } from './database/mock-service.js';
 import { testConnection } from './database/config.js';
 import winston from 'winston';
 import { authenticateToken } from './middleware/auth.js';
+import { hasPermission, requirePermission } from './middleware/admin-auth.js';
+import { maskAddress } from './services/access-control.js';
+import { auditLogger } from './middleware/audit-logger.js';
 import { createRateLimiter } from './middleware/rate-limiter.js';
 import { globalErrorHandler } from './middleware/error-handler.js';
 
@@ -48,6 +54,13 @@ import walletFoldersRoutes from './routes/wallet-folders.js';
 import imageNumberRoutes from './routes/image-number-routes.js';
 // @ts-ignore
 import nokRoutes from './routes/nok-routes.js';
+// @ts-ignore
+import rateLimitRoutes from './routes/rate-limit-routes.js';
+// @ts-ignore
+import auditRoutes from './routes/audit-routes.js';
+import treasuryRoutes from './routes/treasury-routes.js';
+import { createAdminRouter } from './routes/admin-routes.js';
+import accessRoutes from './routes/access-routes.js';
 
 import { paystackService } from './services/paystack-service.js';
 
@@ -105,6 +118,9 @@ async function initializeK33P() {
       } catch (error) {
         logger.warn('Auto-Refund Monitor failed to start:', error);
       }
+
+      verificationStore.startSweeper();
+      inheritanceService.startScheduler();
     }
 
   } catch (error) {
@@ -152,6 +168,11 @@ app.use('/api/subscription', subscriptionRoutes);
 app.use('/api/wallet-folders', walletFoldersRoutes);
 app.use('/api/image-number', imageNumberRoutes);
 app.use('/api/nok', nokRoutes);
+app.use('/api/admin/rate-limits', rateLimitRoutes);
+app.use('/api/admin/audit', auditRoutes);
+app.use('/api/admin/treasury', treasuryRoutes);
+app.use('/api/admin', createAdminRouter(() => k33pManager));
+app.use('/api/admin', accessRoutes);
 
 // Global error handler (must be last middleware)
 app.use(globalErrorHandler);
@@ -218,6 +239,7 @@ interface UserStatus {
 
 // Rate limiters for system endpoints
 const systemEndpointLimiter = createRateLimiter({
+  name: 'system-endpoints',
   windowMs: 60 * 1000, // 1 minute
   max: 100, // 100 requests per minute for system endpoints
   message: 'Too many requests to system endpoints'
@@ -393,11 +415,11 @@ app.get('/', (req: Request, res: Response) => {
 
 // Get deposit address
 app.get('/api/deposit-address',
-  createRateLimiter({ windowMs: 60 * 1000, max: 20 }), // 20 requests per minute
+  createRateLimiter({ name: 'deposit-address', windowMs: 60 * 1000, max: 20 }), // 20 requests per minute
   async (req: Request, res: Response) => {
     try {
       const address = await k33pManager.getDepositAddress();
-      res.json(createResponse(true, { address }, undefined, 'Deposit address retrieved'));
+      res.json(createResponse(true, { address, network: getNetworkProfile().name }, undefined, 'Deposit address retrieved'));
     } catch (error) {
       logger.error('Error getting deposit address:', error);
       res.status(500).json(createResponse(false, undefined, undefined, 'Failed to get deposit address'));
@@ -462,17 +484,12 @@ app.get('/api/user/:address/status', [
 });
 
 // Get all users (admin endpoint)
-app.get('/api/admin/users', async (req: Request, res: Response) => {
+app.get('/api/admin/users', requirePermission('users:read'), auditLogger('LIST_USERS', 'ADMIN'), async (req: Request, res: Response) => {
   try {
-    // Add admin authentication here in production
-    const apiKey = req.headers['x-api-key'];
-    if (apiKey !== process.env.ADMIN_API_KEY) {
-      return res.status(401).json(createResponse(false, undefined, undefined, 'Unauthorized'));
-    }
-
     const deposits = await dbService.getAllDeposits();
+    const maskPii = !hasPermission(req, 'users:read-pii');
     const users = deposits.map((d: any) => ({
-      userAddress: d.user_address,
+      userAddress: maskPii ? maskAddress(d.user_address) : d.user_address,
       userId: d.user_id,
       verified: d.verified,
       signupCompleted: d.signup_completed,
@@ -491,13 +508,8 @@ app.get('/api/admin/users', async (req: Request, res: Response) => {
 });
 
 // Auto-verify all unverified deposits (admin endpoint)
-app.post('/api/admin/auto-verify', async (req: Request, res: Response) => {
+app.post('/api/admin/auto-verify', requirePermission('signups:process'), auditLogger('AUTO_VERIFY', 'ADMIN'), async (req: Request, res: Response) => {
   try {
-    const apiKey = req.headers['x-api-key'];
-    if (apiKey !== process.env.ADMIN_API_KEY) {
-      return res.status(401).json(createResponse(false, undefined, undefined, 'Unauthorized'));
-    }
-
     logger.info('Starting auto-verification process');
     await k33pManager.autoVerifyDeposits();
 
@@ -509,13 +521,8 @@ app.post('/api/admin/auto-verify', async (req: Request, res: Response) => {
 });
 
 // Monitor incoming transactions (admin endpoint)
-app.get('/api/admin/monitor', async (req: Request, res: Response) => {
+app.get('/api/admin/monitor', requirePermission('signups:process'), auditLogger('MONITOR', 'ADMIN'), async (req: Request, res: Response) => {
   try {
-    const apiKey = req.headers['x-api-key'];
-    if (apiKey !== process.env.ADMIN_API_KEY) {
-      return res.status(401).json(createResponse(false, undefined, undefined, 'Unauthorized'));
-    }
-
     await k33pManager.monitorIncomingTransactions();
     res.json(createResponse(true, undefined, 'Transaction monitoring completed'));
   } catch (error) {
@@ -525,17 +532,14 @@ app.get('/api/admin/monitor', async (req: Request, res: Response) => {
 });
 
 // Process signup completion (admin endpoint)
-app.post('/api/admin/process-signup', [
+app.post('/api/admin/process-signup', requirePermission('signups:process'), auditLogger('PROCESS_SIGNUP', 'ADMIN', {
+  getResourceId: req => req.body?.userAddress
+}), [
   body('userAddress')
     .isLength({ min: 50, max: 200 })
     .withMessage('Invalid user address format')
 ], handleValidationErrors, async (req: Request, res: Response) => {
   try {
-    const apiKey = req.headers['x-api-key'];
-    if (apiKey !== process.env.ADMIN_API_KEY) {
-      return res.status(401).json(createResponse(false, undefined, undefined, 'Unauthorized'));
-    }
-
     const { userAddress } = req.body;
 
     logger.info('Processing signup completion', { userAddress });
@@ -550,8 +554,10 @@ app.post('/api/admin/process-signup', [
   }
 });
 
-// NEW: Immediate refund endpoint
-app.post('/api/refund', [
+// NEW: Immediate refund endpoint (finance only: it sends funds)
+app.post('/api/refund', requirePermission('refunds:trigger'), auditLogger('REFUND', 'ADMIN', {
+  getResourceId: req => req.body?.userAddress
+}), [
   body('userAddress')
     .isLength({ min: 50, max: 200 })
     .withMessage('Invalid user address format'),
@@ -559,6 +565,9 @@ app.post('/api/refund', [
     .optional()
     .isLength({ min: 10 })
     .withMessage('Wallet address must be at least 10 characters')
+    .bail()
+    .custom(value => isNetworkAddress(value))
+    .withMessage(() => `Wallet address must be a ${getNetworkProfile().name} payment address`)
 ], handleValidationErrors, async (req: Request, res: Response) => {
   try {
     const { userAddress, walletAddress } = req.body;
@@ -585,8 +594,9 @@ app.post('/api/refund', [
     }
 
     // Check if user exists in database
+    let userDeposit;
     try {
-      const userDeposit = await dbService.getDepositByUserAddress(userAddress);
+      userDeposit = await dbService.getDepositByUserAddress(userAddress);
       logger.info('📊 User deposit lookup result', {
         userAddress,
         depositFound: !!userDeposit,
@@ -595,6 +605,15 @@ app.post('/api/refund', [
       });
     } catch (dbError) {
       logger.error('❌ Database lookup error during refund', { userAddress, error: dbError });
+      return res.status(500).json(createResponse(false, undefined, undefined, 'Failed to look up deposit'));
+    }
+
+    // A deposit is refunded to the wallet it came from; walletAddress only fills in when none was recorded
+    if (walletAddress && userDeposit?.sender_wallet_address && walletAddress !== userDeposit.sender_wallet_address) {
+      logger.warn('❌ Refund to a wallet other than the sender refused', { userAddress, walletAddress });
+      return res.status(400).json(createResponse(false, undefined, undefined,
+        'Refunds are sent to the wallet the deposit came from'
+      ));
     }
 
     // Process the refund using the K33P manager
@@ -672,6 +691,8 @@ async function startServer() {
       logger.info('SIGTERM received, shutting down gracefully');
       await autoRefundMonitor.stop();
       logger.info('Auto-Refund Monitor stopped');
+      verificationStore.stopSweeper();
+      inheritanceService.stopScheduler();
       process.exit(0);
     });
 
@@ -679,6 +700,8 @@ async function startServer() {
       logger.info('SIGINT received, shutting down gracefully');
       await autoRefundMonitor.stop();
       logger.info('Auto-Refund Monitor stopped');
+      verificationStore.stopSweeper();
+      inheritanceService.stopScheduler();
       process.exit(0);
     });
 
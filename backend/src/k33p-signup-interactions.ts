@@ -6,9 +6,11 @@
 import { execSync } from 'child_process';
 import * as fs from 'fs';
 import * as crypto from 'crypto';
-import { Lucid, Blockfrost, SpendingValidator, Data, fromText, toHex, Address } from "lucid-cardano";
+import { Lucid, Blockfrost, LucidEvolution, paymentCredentialOf, SpendingValidator } from "@lucid-evolution/lucid";
 import { config } from 'dotenv';
-import { refundTx } from './utils/lucid.js';
+import { getValidatorParams, refundTx } from './utils/lucid.js';
+import { getNetworkProfile } from './services/network-profile.js';
+import { loadK33pValidator } from './services/tx-builder.js';
 
 // Load environment variables
 config();
@@ -17,8 +19,8 @@ config();
 // CONFIGURATION (Enhanced)
 // ============================================================================
 const CONFIG = {
-  network: "Preprod" as const,
-  blockfrostUrl: "https://cardano-preprod.blockfrost.io/api/v0",
+  network: getNetworkProfile().lucidNetwork,
+  blockfrostUrl: process.env.BLOCKFROST_URL || getNetworkProfile().blockfrostUrl,
   blockfrostApiKey: process.env.BLOCKFROST_API_KEY || (() => {
       throw new Error('BLOCKFROST_API_KEY environment variable is required');
     })(),
@@ -366,7 +368,7 @@ class BlockchainVerifier {
 
 class EnhancedK33PManager {
   private readonly depositsFile = 'user-deposits.json';
-  private lucid?: Lucid;
+  private lucid?: LucidEvolution;
   private validator?: SpendingValidator;
   private verifier: BlockchainVerifier;
 
@@ -380,18 +382,18 @@ class EnhancedK33PManager {
   async initialize(): Promise<void> {
     console.log('🔧 Initializing Enhanced K33P manager...');
     
-    this.lucid = await Lucid.new(
+    this.lucid = await Lucid(
       new Blockfrost(CONFIG.blockfrostUrl, CONFIG.blockfrostApiKey),
       CONFIG.network
     );
     
-    this.lucid.selectWalletFromSeed(CONFIG.seedPhrase);
+    this.lucid.selectWallet.fromSeed(CONFIG.seedPhrase);
     
     // Set deposit address for verifier
-    const depositAddress = await this.lucid.wallet.address();
+    const depositAddress = await this.lucid.wallet().address();
     await this.verifier.setDepositAddress(depositAddress);
     
-    await this.loadValidator();
+    await this.loadValidator(paymentCredentialOf(depositAddress).hash);
     
     console.log('✅ Enhanced K33P manager initialized successfully');
   }
@@ -923,13 +925,9 @@ class EnhancedK33PManager {
     }
   }
 
-  private async loadValidator(): Promise<void> {
+  private async loadValidator(backendKeyHash: string): Promise<void> {
     try {
-      const plutusScript = JSON.parse(fs.readFileSync("plutus.json", "utf8"));
-      this.validator = {
-        type: "PlutusV2",
-        script: plutusScript.validators[0].compiledCode,
-      };
+      this.validator = loadK33pValidator(getValidatorParams(backendKeyHash));
       console.log('✅ Validator loaded successfully');
     } catch (error) {
       console.log('⚠️  Warning: Could not load validator (deploy first)');
@@ -938,7 +936,7 @@ class EnhancedK33PManager {
 
   async getDepositAddress(): Promise<string> {
     if (!this.lucid) await this.initialize();
-    return await this.lucid!.wallet.address();
+    return await this.lucid!.wallet().address();
   }
 }
 
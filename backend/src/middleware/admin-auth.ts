@@ -1,62 +1,108 @@
 /**
  * Admin Authentication Middleware for K33P Backend
- * Validates X-API-KEY header against ADMIN_API_KEY environment variable
+ * Resolves who is calling the admin API and checks the permissions each
+ * route declares with requirePermission (see services/access-control.ts).
+ * Callers present an admin API key in the X-API-KEY header, or a staff
+ * user's JWT as a Bearer token. ADMIN_API_KEY still acts as a superadmin key
+ * so a deployment can issue its first scoped keys; unset it once they exist.
  */
 
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
 import { Request, Response, NextFunction } from 'express';
+import { UserModel } from '../database/models.js';
+import { Permission, permissionsFor, Principal } from '../services/access-control.js';
+import { adminApiKeys } from '../services/admin-api-keys.js';
+import { auditService } from '../services/audit-service.js';
 import { logger } from '../utils/logger.js';
 
+export interface AdminRequest extends Request {
+  principal?: Principal;
+}
+
+type Resolution = { principal: Principal } | { status: number; message: string; error: string };
+
+let bootstrapKeyWarned = false;
+
+const matchesBootstrapKey = (apiKey: string): boolean => {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected) return false;
+  const a = Buffer.from(apiKey);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const resolveApiKey = async (apiKey: string): Promise<Resolution> => {
+  const principal = await adminApiKeys.authenticate(apiKey);
+  if (principal) return { principal };
+
+  if (matchesBootstrapKey(apiKey)) {
+    if (!bootstrapKeyWarned) {
+      bootstrapKeyWarned = true;
+      logger.warn('ADMIN_API_KEY grants superadmin; issue scoped admin API keys and unset it');
+    }
+    return { principal: { kind: 'bootstrap', id: 'ADMIN_API_KEY', role: 'superadmin', permissions: permissionsFor('superadmin') } };
+  }
+
+  return { status: 401, message: 'Invalid, expired or revoked admin API key', error: 'INVALID_API_KEY' };
+};
+
+const resolveStaffToken = async (token: string): Promise<Resolution> => {
+  let decoded: any;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET || 'default-secret');
+  } catch (error: any) {
+    return {
+      status: 401,
+      message: error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token',
+      error: error.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'INVALID_TOKEN'
+    };
+  }
+
+  // The role is read from the database so a demotion applies to tokens already issued
+  const userId = decoded.userId || decoded.user_id || decoded.id;
+  const user = userId ? await UserModel.findByUserId(String(userId)) : null;
+  if (!user || !user.role || user.role === 'user') {
+    return { status: 403, message: 'A staff role is required', error: 'INSUFFICIENT_ROLE' };
+  }
+
+  return { principal: { kind: 'user', id: user.user_id, role: user.role, permissions: permissionsFor(user.role) } };
+};
+
 /**
- * Middleware to authenticate admin requests using X-API-KEY header
+ * Middleware to authenticate admin requests; sets req.principal
  */
-export const authenticateAdmin = (req: Request, res: Response, next: NextFunction) => {
+export const authenticateAdmin = async (req: Request, res: Response, next: NextFunction) => {
+  if ((req as AdminRequest).principal) return next();
+
   try {
-    // Get API key from X-API-KEY header
-    const apiKey = req.headers['x-api-key'] as string;
-    
-    if (!apiKey) {
-      logger.warn('Admin authentication failed: No API key provided', {
-        ip: req.ip,
-        userAgent: req.get('User-Agent'),
-        endpoint: req.path
-      });
-      return res.status(401).json({
-        success: false,
-        message: 'Admin API key required',
-        error: 'MISSING_API_KEY'
-      });
+    const apiKey = req.headers['x-api-key'] as string | undefined;
+    const authHeader = req.headers.authorization;
+
+    let resolution: Resolution;
+    if (apiKey) {
+      resolution = await resolveApiKey(apiKey);
+    } else if (authHeader?.startsWith('Bearer ')) {
+      resolution = await resolveStaffToken(authHeader.slice('Bearer '.length));
+    } else {
+      resolution = { status: 401, message: 'Admin API key or staff token required', error: 'MISSING_API_KEY' };
     }
 
-    // Validate API key against environment variable
-    if (apiKey !== process.env.ADMIN_API_KEY) {
-      logger.warn('Admin authentication failed: Invalid API key', {
+    if ('status' in resolution) {
+      logger.warn(`Admin authentication failed: ${resolution.message}`, {
         ip: req.ip,
         userAgent: req.get('User-Agent'),
         endpoint: req.path,
-        providedKey: apiKey.substring(0, 8) + '...' // Log only first 8 chars for security
+        providedKey: apiKey ? apiKey.substring(0, 8) + '...' : undefined // Log only first 8 chars for security
       });
-      return res.status(401).json({
+      return res.status(resolution.status).json({
         success: false,
-        message: 'Invalid admin API key',
-        error: 'INVALID_API_KEY'
+        message: resolution.message,
+        error: resolution.error
       });
     }
 
-    // Check if ADMIN_API_KEY is properly configured
-    if (!process.env.ADMIN_API_KEY) {
-      logger.error('Admin authentication failed: ADMIN_API_KEY not configured');
-      return res.status(500).json({
-        success: false,
-        message: 'Admin authentication not properly configured',
-        error: 'ADMIN_CONFIG_ERROR'
-      });
-    }
-
-    logger.info('Admin authentication successful', {
-      ip: req.ip,
-      endpoint: req.path
-    });
-
+    (req as AdminRequest).principal = resolution.principal;
     next();
   } catch (error: any) {
     logger.error('Admin authentication middleware error:', error);
@@ -68,6 +114,42 @@ export const authenticateAdmin = (req: Request, res: Response, next: NextFunctio
   }
 };
 
+/**
+ * Middleware to authenticate an admin request and require every permission listed
+ */
+export const requirePermission = (...permissions: Permission[]) =>
+  (req: Request, res: Response, next: NextFunction) =>
+    authenticateAdmin(req, res, () => {
+      const principal = (req as AdminRequest).principal!;
+      const missing = permissions.filter(permission => !principal.permissions.has(permission));
+      if (missing.length === 0) return next();
+
+      logger.warn('Admin request denied', { principal: principal.id, role: principal.role, endpoint: req.originalUrl, missing });
+      auditService.record({
+        userId: principal.kind === 'user' ? principal.id : undefined,
+        action: 'ACCESS_DENIED',
+        resource: 'ADMIN',
+        success: false,
+        ip: req.ip || 'unknown',
+        userAgent: req.get('User-Agent') || 'unknown',
+        details: { method: req.method, path: req.originalUrl.split('?')[0], principal: principal.id, role: principal.role, missing }
+      }).catch(error => {
+        logger.error('Failed to persist audit log entry', { action: 'ACCESS_DENIED', resource: 'ADMIN', error: error.message });
+      });
+
+      res.status(403).json({
+        success: false,
+        message: `Requires the ${missing.join(', ')} permission`,
+        error: 'FORBIDDEN'
+      });
+    });
+
+/** Whether the authenticated admin request holds `permission` */
+export const hasPermission = (req: Request, permission: Permission): boolean =>
+  (req as AdminRequest).principal?.permissions.has(permission) ?? false;
+
 export default {
-  authenticateAdmin
-};
\ No newline at end of file
+  authenticateAdmin,
+  requirePermission,
+  hasPermission
+};
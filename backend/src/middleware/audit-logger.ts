@@ -1,10 +1,12 @@
 import { Request, Response, NextFunction } from 'express';
 import { logger } from '../utils/logger.js';
+import { auditService } from '../services/audit-service.js';
 
 interface AuditLogData {
   userId?: string;
   action: string;
   resource: string;
+  resourceId?: string;
   ip: string;
   userAgent: string;
   timestamp: Date;
@@ -12,21 +14,39 @@ interface AuditLogData {
   details?: any;
 }
 
-export const auditLogger = (action: string, resource: string) => {
+interface AuditLoggerOptions {
+  // Overrides the user lookup, e.g. for public routes acting on behalf of a user
+  getUserId?: (req: Request, body: any) => string | undefined;
+  getResourceId?: (req: Request) => string | undefined;
+}
+
+/**
+ * Authenticated user or staff member, falling back to the user returned by login responses
+ */
+const defaultUserId = (req: Request, body: any): string | undefined => {
+  const user = (req as any).user;
+  const principal = (req as any).principal;
+  const staffId = principal?.kind === 'user' ? principal.id : undefined;
+  return user?.userId || user?.id || staffId || body?.data?.user?.id || body?.data?.userId;
+};
+
+export const auditLogger = (action: string, resource: string, options: AuditLoggerOptions = {}) => {
   return (req: Request, res: Response, next: NextFunction) => {
     const startTime = Date.now();
-    
+
     // Store original res.json to intercept response
     const originalJson = res.json;
-    
+
     res.json = function(body: any) {
       const endTime = Date.now();
       const duration = endTime - startTime;
-      
+
+      const userId = (options.getUserId || defaultUserId)(req, body);
       const auditData: AuditLogData = {
-        userId: (req as any).user?.userId || (req as any).user?.id,
+        userId: userId ? String(userId) : undefined,
         action,
         resource,
+        resourceId: options.getResourceId ? options.getResourceId(req) : req.params?.id,
         ip: req.ip || 'unknown',
         userAgent: req.get('User-Agent') || 'unknown',
         timestamp: new Date(),
@@ -36,22 +56,38 @@ export const auditLogger = (action: string, resource: string) => {
           path: req.path,
           statusCode: res.statusCode,
           duration,
+          // Admin API key or staff user behind an admin request
+          principal: (req as any).principal?.id,
           requestSize: JSON.stringify(req.body || {}).length,
           responseSize: JSON.stringify(body || {}).length
         }
       };
-      
+
       // Log audit event
       if (auditData.success) {
         logger.info('Audit Log', auditData);
       } else {
         logger.warn('Audit Log - Failed Operation', auditData);
       }
-      
+
+      // Persist to the hash-chained audit table without delaying the response
+      auditService.record({
+        userId: auditData.userId,
+        action,
+        resource,
+        resourceId: auditData.resourceId,
+        success: auditData.success,
+        ip: auditData.ip,
+        userAgent: auditData.userAgent,
+        details: auditData.details
+      }).catch(error => {
+        logger.error('Failed to persist audit log entry', { action, resource, error: error.message });
+      });
+
       // Call original json method
       return originalJson.call(this, body);
     };
-    
+
     next();
   };
 };
@@ -61,4 +97,7 @@ export const auditSeedPhraseAccess = auditLogger('ACCESS', 'SEED_PHRASE');
 export const auditSeedPhraseStore = auditLogger('STORE', 'SEED_PHRASE');
 export const auditSeedPhraseRetrieve = auditLogger('RETRIEVE', 'SEED_PHRASE');
 export const auditUserLogin = auditLogger('LOGIN', 'USER_AUTH');
-export const auditUserRegistration = auditLogger('REGISTER', 'USER_AUTH');
\ No newline at end of file
+export const auditUserRegistration = auditLogger('REGISTER', 'USER_AUTH');
+export const auditNokLoginApproval = auditLogger('APPROVE_LOGIN', 'NOK', {
+  getUserId: (req) => req.body?.userId
+});
@@ -1,7 +1,8 @@
 // Authentication middleware for K33P Identity System
 import jwt from 'jsonwebtoken';
 import { Request, Response, NextFunction } from 'express';
-import { verifyZkProof as zkVerify } from '../utils/zk.js';
+import { verifyZkProof as zkVerify, isProofStructureValid, isFieldElement } from '../utils/zk.js';
+import { zkChallengeService } from '../services/zk-challenge.js';
 import { ResponseUtils, ErrorCodes } from './error-handler.js';
 
 interface AuthenticatedRequest extends Request {
@@ -73,23 +74,32 @@ export const verifyToken = (req: AuthenticatedRequest, res: Response, next: Next
 
 /**
  * Middleware to verify ZK proof
- * Uses the actual ZK proof verification function
+ * Verifies the Groth16 proof against the supplied commitment and a challenge
+ * from POST /api/zk/challenge, which is spent here
  */
-export const verifyZkProof = (req: AuthenticatedRequest, res: Response, next: NextFunction) => {
+export const verifyZkProof = async (req: AuthenticatedRequest, res: Response, next: NextFunction) => {
   try {
-    const { proof, commitment } = req.body;
+    const { proof, commitment, challenge } = req.body;
     
     if (!proof || !commitment) {
       return ResponseUtils.error(res, ErrorCodes.ZK_PROOF_REQUIRED);
     }
+
+    // Commitments from before the identity circuit cannot be proven
+    if (!isFieldElement(commitment)) {
+      return ResponseUtils.error(res, ErrorCodes.ZK_REENROLLMENT_REQUIRED);
+    }
     
     // Validate proof structure
-    if (!proof.publicInputs || !proof.publicInputs.commitment || typeof proof.isValid !== 'boolean') {
-      return ResponseUtils.error(res, ErrorCodes.ZK_PROOF_INVALID, null, 'Invalid proof object structure. Expected: { publicInputs: { commitment: string }, isValid: boolean }');
+    if (!isProofStructureValid(proof)) {
+      return ResponseUtils.error(res, ErrorCodes.ZK_PROOF_INVALID, null, 'Invalid proof object structure. Expected: { proof: { pi_a, pi_b, pi_c }, publicSignals: string[] }');
+    }
+
+    if (!(await zkChallengeService.consume(challenge))) {
+      return ResponseUtils.error(res, ErrorCodes.ZK_CHALLENGE_INVALID);
     }
     
-    // Use the actual ZK verification function
-    const isValid = zkVerify(proof, commitment);
+    const isValid = await zkVerify(proof, commitment, challenge);
     
     if (!isValid) {
       return ResponseUtils.error(res, ErrorCodes.ZK_PROOF_INVALID);
@@ -24,6 +24,7 @@ export enum SuccessCodes {
   WALLET_CONNECTED = 'WALLET_CONNECTED',
   WALLET_VERIFIED = 'WALLET_VERIFIED',
   WALLET_RETRIEVED = 'WALLET_RETRIEVED',
+  WALLET_CHALLENGE_ISSUED = 'WALLET_CHALLENGE_ISSUED',
 
   // OTP & Verification
   OTP_SENT = 'OTP_SENT',
@@ -87,6 +88,8 @@ export enum ErrorCodes {
   WALLET_ADDRESS_REQUIRED = 'WALLET_ADDRESS_REQUIRED',
   WALLET_ADDRESS_NOT_FOUND = 'WALLET_ADDRESS_NOT_FOUND',
   WALLET_IN_USE = 'WALLET_IN_USE',
+  WALLET_CHALLENGE_INVALID = 'WALLET_CHALLENGE_INVALID',
+  WALLET_SIGNATURE_INVALID = 'WALLET_SIGNATURE_INVALID',
 
   // OTP & Verification
   OTP_EXPIRED = 'OTP_EXPIRED',
@@ -125,6 +128,8 @@ export enum ErrorCodes {
   ZK_COMMITMENT_INVALID = 'ZK_COMMITMENT_INVALID',
   ZK_PROOF_REQUIRED = 'ZK_PROOF_REQUIRED',
   ZK_COMMITMENT_REQUIRED = 'ZK_COMMITMENT_REQUIRED',
+  ZK_CHALLENGE_INVALID = 'ZK_CHALLENGE_INVALID',
+  ZK_REENROLLMENT_REQUIRED = 'ZK_REENROLLMENT_REQUIRED',
 
   // Transactions & Refunds
   TRANSACTION_FAILED = 'TRANSACTION_FAILED',
@@ -154,7 +159,15 @@ export enum ErrorCodes {
   // Storage & Seed Phrases
   SEED_PHRASE_NOT_FOUND = 'SEED_PHRASE_NOT_FOUND',
   SEED_PHRASE_ENCRYPTION_FAILED = 'SEED_PHRASE_ENCRYPTION_FAILED',
-  STORAGE_SERVICE_ERROR = 'STORAGE_SERVICE_ERROR'
+  STORAGE_SERVICE_ERROR = 'STORAGE_SERVICE_ERROR',
+
+  // Next-of-kin inheritance
+  INHERITANCE_PLAN_NOT_FOUND = 'INHERITANCE_PLAN_NOT_FOUND',
+  INHERITANCE_INVALID_PERIOD = 'INHERITANCE_INVALID_PERIOD',
+  INHERITANCE_CLAIM_NOT_OPEN = 'INHERITANCE_CLAIM_NOT_OPEN',
+  INHERITANCE_NO_OPEN_CLAIM = 'INHERITANCE_NO_OPEN_CLAIM',
+  INHERITANCE_ALREADY_RELEASED = 'INHERITANCE_ALREADY_RELEASED',
+  NOK_ACCESS_TIME_LOCKED = 'NOK_ACCESS_TIME_LOCKED'
 }
 
 // User-friendly error messages
@@ -188,6 +201,8 @@ const ERROR_MESSAGES: Record<ErrorCodes, string> = {
   [ErrorCodes.WALLET_ADDRESS_REQUIRED]: 'Wallet address is required',
   [ErrorCodes.WALLET_ADDRESS_NOT_FOUND]: 'No wallet address found for this account',
   [ErrorCodes.WALLET_IN_USE]: 'This wallet address is already in use',
+  [ErrorCodes.WALLET_CHALLENGE_INVALID]: 'Wallet sign-in request expired or was already used. Please try again',
+  [ErrorCodes.WALLET_SIGNATURE_INVALID]: 'Wallet signature could not be verified',
 
   // OTP & Verification
   [ErrorCodes.OTP_EXPIRED]: 'Verification code has expired. Please request a new one',
@@ -225,6 +240,8 @@ const ERROR_MESSAGES: Record<ErrorCodes, string> = {
   [ErrorCodes.ZK_COMMITMENT_INVALID]: 'Invalid zero-knowledge commitment',
   [ErrorCodes.ZK_PROOF_REQUIRED]: 'Zero-knowledge proof is required',
   [ErrorCodes.ZK_COMMITMENT_REQUIRED]: 'Zero-knowledge commitment is required',
+  [ErrorCodes.ZK_CHALLENGE_INVALID]: 'ZK challenge is missing, expired or already used. Request a new one',
+  [ErrorCodes.ZK_REENROLLMENT_REQUIRED]: 'This ZK commitment predates proof verification. Sign in another way and re-enroll it',
 
   // Transactions & Refunds
   [ErrorCodes.TRANSACTION_FAILED]: 'Transaction failed. Please try again',
@@ -254,7 +271,15 @@ const ERROR_MESSAGES: Record<ErrorCodes, string> = {
   // Storage & Seed Phrases
   [ErrorCodes.SEED_PHRASE_NOT_FOUND]: 'Seed phrase not found',
   [ErrorCodes.SEED_PHRASE_ENCRYPTION_FAILED]: 'Failed to encrypt seed phrase',
-  [ErrorCodes.STORAGE_SERVICE_ERROR]: 'Storage service error. Please try again later'
+  [ErrorCodes.STORAGE_SERVICE_ERROR]: 'Storage service error. Please try again later',
+
+  // Next-of-kin inheritance
+  [ErrorCodes.INHERITANCE_PLAN_NOT_FOUND]: 'No inheritance plan is configured',
+  [ErrorCodes.INHERITANCE_INVALID_PERIOD]: 'Inactivity period is out of range',
+  [ErrorCodes.INHERITANCE_CLAIM_NOT_OPEN]: 'No claim window is open for this user',
+  [ErrorCodes.INHERITANCE_NO_OPEN_CLAIM]: 'There is no open next-of-kin claim',
+  [ErrorCodes.INHERITANCE_ALREADY_RELEASED]: 'Next-of-kin access has already been released',
+  [ErrorCodes.NOK_ACCESS_TIME_LOCKED]: 'Next-of-kin access is time-locked by an inheritance plan'
 };
 
 // Success messages mapping
@@ -275,6 +300,7 @@ const SUCCESS_MESSAGES: Record<SuccessCodes, string> = {
   [SuccessCodes.WALLET_CONNECTED]: 'Wallet connected successfully',
   [SuccessCodes.WALLET_VERIFIED]: 'Wallet verified successfully',
   [SuccessCodes.WALLET_RETRIEVED]: 'Wallet information retrieved successfully',
+  [SuccessCodes.WALLET_CHALLENGE_ISSUED]: 'Sign the challenge with your wallet to continue',
 
   // OTP & Verification
   [SuccessCodes.OTP_SENT]: 'Verification code sent successfully',
@@ -338,6 +364,8 @@ const ERROR_STATUS_CODES: Record<ErrorCodes, number> = {
   [ErrorCodes.WALLET_ADDRESS_REQUIRED]: 400,
   [ErrorCodes.WALLET_ADDRESS_NOT_FOUND]: 404,
   [ErrorCodes.WALLET_IN_USE]: 409,
+  [ErrorCodes.WALLET_CHALLENGE_INVALID]: 401,
+  [ErrorCodes.WALLET_SIGNATURE_INVALID]: 401,
 
   // OTP & Verification (400, 410)
   [ErrorCodes.OTP_EXPIRED]: 410,
@@ -375,6 +403,8 @@ const ERROR_STATUS_CODES: Record<ErrorCodes, number> = {
   [ErrorCodes.ZK_COMMITMENT_INVALID]: 400,
   [ErrorCodes.ZK_PROOF_REQUIRED]: 400,
   [ErrorCodes.ZK_COMMITMENT_REQUIRED]: 400,
+  [ErrorCodes.ZK_CHALLENGE_INVALID]: 400,
+  [ErrorCodes.ZK_REENROLLMENT_REQUIRED]: 409,
 
   // Transactions & Refunds (400, 409, 500)
   [ErrorCodes.TRANSACTION_FAILED]: 500,
@@ -404,7 +434,15 @@ const ERROR_STATUS_CODES: Record<ErrorCodes, number> = {
   // Storage & Seed Phrases (404, 500)
   [ErrorCodes.SEED_PHRASE_NOT_FOUND]: 404,
   [ErrorCodes.SEED_PHRASE_ENCRYPTION_FAILED]: 500,
-  [ErrorCodes.STORAGE_SERVICE_ERROR]: 503
+  [ErrorCodes.STORAGE_SERVICE_ERROR]: 503,
+
+  // Next-of-kin inheritance
+  [ErrorCodes.INHERITANCE_PLAN_NOT_FOUND]: 404,
+  [ErrorCodes.INHERITANCE_INVALID_PERIOD]: 400,
+  [ErrorCodes.INHERITANCE_CLAIM_NOT_OPEN]: 409,
+  [ErrorCodes.INHERITANCE_NO_OPEN_CLAIM]: 409,
+  [ErrorCodes.INHERITANCE_ALREADY_RELEASED]: 409,
+  [ErrorCodes.NOK_ACCESS_TIME_LOCKED]: 403
 };
 
 // Custom error class
@@ -1,68 +1,491 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
 import { Request, Response, NextFunction } from 'express';
+import { redisClient } from '../utils/redis.js';
 import { logger } from '../utils/logger.js';
 
-// Simple in-memory rate limiter
-const requestCounts = new Map<string, { count: number; resetTime: number }>();
+/**
+ * Rate limiting middleware
+ *
+ * Every limiter owns a named bucket. Requests are counted per bucket and per
+ * key, where the key is built from one or more key extractors (IP, JWT user,
+ * phone hash, route). Counters live in a pluggable store: in memory by
+ * default, or in Redis (RATE_LIMIT_STORE=redis) so limits survive restarts
+ * and are shared between instances.
+ */
 
-interface RateLimitOptions {
+export type RateLimitAlgorithm = 'sliding-window' | 'token-bucket';
+
+export type KeyExtractor = (req: Request) => string | undefined;
+
+export interface RateLimitOptions {
   windowMs: number; // Time window in milliseconds
-  max: number; // Maximum number of requests per window
+  max: number; // Maximum number of requests per window (bucket capacity for token-bucket)
   message?: string;
+  name?: string; // Bucket name, shown in the admin API
+  keyBy?: KeyExtractor | KeyExtractor[];
+  algorithm?: RateLimitAlgorithm;
+  store?: RateLimitStore;
+  skip?: (req: Request) => boolean;
 }
 
-export const createRateLimiter = (options: RateLimitOptions) => {
-  return (req: Request, res: Response, next: NextFunction) => {
-    const clientId = req.ip || 'unknown';
+export interface RateLimitPolicy {
+  algorithm: RateLimitAlgorithm;
+  max: number;
+  windowMs: number;
+}
+
+export interface RateLimitResult {
+  allowed: boolean;
+  limit: number;
+  remaining: number;
+  resetMs: number; // Until the bucket is back at full capacity
+  retryAfterMs: number; // Until the next request would be allowed
+}
+
+export interface BucketSnapshot {
+  id: string;
+  state: Record<string, number>;
+  expiresInMs?: number;
+}
+
+export interface RateLimitStore {
+  readonly type: string;
+  consume(bucket: string, id: string, policy: RateLimitPolicy, now: number): Promise<RateLimitResult>;
+  list(bucket: string): Promise<BucketSnapshot[]>;
+  clear(bucket: string, ids?: string[]): Promise<number>;
+}
+
+// ============================================================================
+// ALGORITHMS
+// ============================================================================
+
+type BucketState = Record<string, number>;
+
+/**
+ * Sliding window approximated from the current and previous fixed windows,
+ * weighting the previous count by how much of it still overlaps the window.
+ * Rejected requests are not counted.
+ */
+const applySlidingWindow = (state: BucketState | undefined, policy: RateLimitPolicy, now: number) => {
+  const { max, windowMs } = policy;
+  const window = Math.floor(now / windowMs);
+  let current = 0;
+  let previous = 0;
+
+  if (state?.window === window) {
+    current = state.current;
+    previous = state.previous;
+  } else if (state?.window === window - 1) {
+    previous = state.current;
+  }
+
+  const windowEndMs = (window + 1) * windowMs - now;
+  const elapsed = (now - window * windowMs) / windowMs;
+  const estimated = previous * (1 - elapsed) + current;
+
+  if (estimated + 1 > max) {
+    let retryAfterMs: number;
+    if (current + 1 <= max && previous > 0) {
+      // Wait for enough of the previous window to slide out
+      retryAfterMs = Math.ceil((1 - (max - current - 1) / previous - elapsed) * windowMs);
+    } else {
+      // Wait for the next window, then for this window to slide out far enough
+      retryAfterMs = windowEndMs + Math.max(0, Math.ceil((1 - (max - 1) / current) * windowMs));
+    }
+
+    return {
+      state: { window, current, previous },
+      result: { allowed: false, limit: max, remaining: 0, resetMs: windowEndMs + windowMs, retryAfterMs: Math.max(retryAfterMs, 1) }
+    };
+  }
+
+  current++;
+  return {
+    state: { window, current, previous },
+    result: {
+      allowed: true,
+      limit: max,
+      remaining: Math.max(0, Math.floor(max - estimated - 1)),
+      resetMs: windowEndMs + windowMs,
+      retryAfterMs: 0
+    }
+  };
+};
+
+/**
+ * Token bucket holding up to `max` tokens and refilling `max` tokens per window
+ */
+const applyTokenBucket = (state: BucketState | undefined, policy: RateLimitPolicy, now: number) => {
+  const { max, windowMs } = policy;
+  const refillPerMs = max / windowMs;
+  const elapsed = state ? Math.max(0, now - state.updated) : 0;
+  let tokens = state ? Math.min(max, state.tokens + elapsed * refillPerMs) : max;
+
+  if (tokens < 1) {
+    return {
+      state: { tokens, updated: now },
+      result: {
+        allowed: false,
+        limit: max,
+        remaining: 0,
+        resetMs: Math.ceil((max - tokens) / refillPerMs),
+        retryAfterMs: Math.max(1, Math.ceil((1 - tokens) / refillPerMs))
+      }
+    };
+  }
+
+  tokens -= 1;
+  return {
+    state: { tokens, updated: now },
+    result: {
+      allowed: true,
+      limit: max,
+      remaining: Math.floor(tokens),
+      resetMs: Math.ceil((max - tokens) / refillPerMs),
+      retryAfterMs: 0
+    }
+  };
+};
+
+const algorithms = {
+  'sliding-window': applySlidingWindow,
+  'token-bucket': applyTokenBucket
+};
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+export class MemoryRateLimitStore implements RateLimitStore {
+  readonly type = 'memory';
+  private buckets = new Map<string, Map<string, { state: BucketState; expiresAt: number }>>();
+  private operations = 0;
+
+  async consume(bucket: string, id: string, policy: RateLimitPolicy, now: number): Promise<RateLimitResult> {
+    let entries = this.buckets.get(bucket);
+    if (!entries) {
+      entries = new Map();
+      this.buckets.set(bucket, entries);
+    }
+
+    const entry = entries.get(id);
+    const current = entry && entry.expiresAt > now ? entry.state : undefined;
+    const { state, result } = algorithms[policy.algorithm](current, policy, now);
+    entries.set(id, { state, expiresAt: now + policy.windowMs * 2 });
+
+    if (++this.operations % 1000 === 0) {
+      this.sweep(now);
+    }
+
+    return result;
+  }
+
+  async list(bucket: string): Promise<BucketSnapshot[]> {
     const now = Date.now();
-    
-    const clientData = requestCounts.get(clientId);
-    
-    if (!clientData || now > clientData.resetTime) {
-      // Reset or initialize counter
-      requestCounts.set(clientId, {
-        count: 1,
-        resetTime: now + options.windowMs
-      });
-      
-      // Add rate limit headers
-      res.set({
-        'X-RateLimit-Limit': options.max.toString(),
-        'X-RateLimit-Remaining': (options.max - 1).toString(),
-        'X-RateLimit-Reset': Math.floor(clientData?.resetTime || (now + options.windowMs) / 1000).toString(),
-        'X-RateLimit-Window': Math.floor(options.windowMs / 1000).toString()
+    const entries = this.buckets.get(bucket) || new Map();
+    return Array.from(entries.entries())
+      .filter(([, entry]) => entry.expiresAt > now)
+      .map(([id, entry]) => ({ id, state: { ...entry.state }, expiresInMs: entry.expiresAt - now }));
+  }
+
+  async clear(bucket: string, ids?: string[]): Promise<number> {
+    const entries = this.buckets.get(bucket);
+    if (!entries) return 0;
+
+    if (!ids) {
+      const count = entries.size;
+      this.buckets.delete(bucket);
+      return count;
+    }
+
+    return ids.filter(id => entries.delete(id)).length;
+  }
+
+  private sweep(now: number) {
+    for (const entries of this.buckets.values()) {
+      for (const [id, entry] of entries) {
+        if (entry.expiresAt <= now) entries.delete(id);
+      }
+    }
+  }
+}
+
+// Lua versions of applySlidingWindow/applyTokenBucket so each request is a
+// single atomic round trip. Returns { allowed, remaining, resetMs, retryAfterMs }.
+const SLIDING_WINDOW_SCRIPT = `
+local max = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local window = math.floor(now / windowMs)
+local stored = redis.call('HMGET', KEYS[1], 'window', 'current', 'previous')
+local current = 0
+local previous = 0
+if tonumber(stored[1]) == window then
+  current = tonumber(stored[2]) or 0
+  previous = tonumber(stored[3]) or 0
+elseif tonumber(stored[1]) == window - 1 then
+  previous = tonumber(stored[2]) or 0
+end
+local windowEndMs = (window + 1) * windowMs - now
+local elapsed = (now - window * windowMs) / windowMs
+local estimated = previous * (1 - elapsed) + current
+if estimated + 1 > max then
+  local retryAfterMs
+  if current + 1 <= max and previous > 0 then
+    retryAfterMs = math.ceil((1 - (max - current - 1) / previous - elapsed) * windowMs)
+  else
+    retryAfterMs = windowEndMs + math.max(0, math.ceil((1 - (max - 1) / current) * windowMs))
+  end
+  return {0, 0, windowEndMs + windowMs, math.max(retryAfterMs, 1)}
+end
+current = current + 1
+redis.call('HSET', KEYS[1], 'window', window, 'current', current, 'previous', previous)
+redis.call('PEXPIRE', KEYS[1], windowMs * 2)
+return {1, math.max(0, math.floor(max - estimated - 1)), windowEndMs + windowMs, 0}
+`;
+
+const TOKEN_BUCKET_SCRIPT = `
+local max = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local refillPerMs = max / windowMs
+local stored = redis.call('HMGET', KEYS[1], 'tokens', 'updated')
+local tokens = max
+if stored[1] then
+  local elapsed = math.max(0, now - tonumber(stored[2]))
+  tokens = math.min(max, tonumber(stored[1]) + elapsed * refillPerMs)
+end
+local allowed = 0
+local retryAfterMs = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+else
+  retryAfterMs = math.max(1, math.ceil((1 - tokens) / refillPerMs))
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updated', now)
+redis.call('PEXPIRE', KEYS[1], windowMs * 2)
+return {allowed, math.floor(tokens), math.ceil((max - tokens) / refillPerMs), retryAfterMs}
+`;
+
+export class RedisRateLimitStore implements RateLimitStore {
+  readonly type = 'redis';
+  private prefix = 'k33p:ratelimit:';
+
+  async consume(bucket: string, id: string, policy: RateLimitPolicy, now: number): Promise<RateLimitResult> {
+    const script = policy.algorithm === 'token-bucket' ? TOKEN_BUCKET_SCRIPT : SLIDING_WINDOW_SCRIPT;
+    const [allowed, remaining, resetMs, retryAfterMs] = await redisClient.eval(
+      script,
+      [this.key(bucket, id)],
+      [policy.max, policy.windowMs, now]
+    );
+
+    return {
+      allowed: Number(allowed) === 1,
+      limit: policy.max,
+      remaining: Number(remaining),
+      resetMs: Number(resetMs),
+      retryAfterMs: Number(retryAfterMs)
+    };
+  }
+
+  async list(bucket: string): Promise<BucketSnapshot[]> {
+    const keys = await this.scanKeys(bucket);
+    const snapshots: BucketSnapshot[] = [];
+
+    for (const key of keys) {
+      const fields = await redisClient.hgetall(key);
+      const ttl = await redisClient.ttl(key);
+      const state: Record<string, number> = {};
+      for (const [field, value] of Object.entries(fields)) {
+        state[field] = Number(value);
+      }
+
+      snapshots.push({
+        id: key.slice(this.key(bucket, '').length),
+        state,
+        expiresInMs: ttl > 0 ? ttl * 1000 : undefined
       });
-      
+    }
+
+    return snapshots;
+  }
+
+  async clear(bucket: string, ids?: string[]): Promise<number> {
+    const keys = ids ? ids.map(id => this.key(bucket, id)) : await this.scanKeys(bucket);
+    let cleared = 0;
+    for (const key of keys) {
+      cleared += Number(await redisClient.del(key)) || 0;
+    }
+    return cleared;
+  }
+
+  private key(bucket: string, id: string): string {
+    return `${this.prefix}${bucket}:${id}`;
+  }
+
+  private async scanKeys(bucket: string): Promise<string[]> {
+    const keys: string[] = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await redisClient.scan(cursor, { match: `${this.key(bucket, '')}*`, count: 100 });
+      keys.push(...batch);
+      cursor = next;
+    } while (cursor !== '0');
+    return keys;
+  }
+}
+
+export const memoryRateLimitStore = new MemoryRateLimitStore();
+export const redisRateLimitStore = new RedisRateLimitStore();
+
+const defaultStore = (): RateLimitStore =>
+  process.env.RATE_LIMIT_STORE === 'redis' ? redisRateLimitStore : memoryRateLimitStore;
+
+// ============================================================================
+// KEY EXTRACTORS
+// ============================================================================
+
+/**
+ * Hash a phone number the same way it is keyed in rate limit buckets
+ */
+export const hashPhoneForRateLimit = (phoneNumber: string): string =>
+  crypto.createHash('sha256').update(phoneNumber.trim()).digest('hex');
+
+export const keyExtractors: Record<'ip' | 'userId' | 'phoneHash' | 'route', KeyExtractor> = {
+  ip: (req) => `ip:${req.ip || 'unknown'}`,
+
+  // Falls back to decoding the bearer token for limiters mounted before verifyToken
+  userId: (req) => {
+    const user = (req as any).user;
+    let userId = user?.userId || user?.user_id || user?.id;
+
+    if (!userId) {
+      const authHeader = req.headers.authorization;
+      if (authHeader?.startsWith('Bearer ')) {
+        try {
+          const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET || 'default-secret') as any;
+          userId = decoded.userId || decoded.user_id || decoded.id;
+        } catch {
+          // Unauthenticated requests are keyed by IP instead
+        }
+      }
+    }
+
+    return userId ? `user:${userId}` : undefined;
+  },
+
+  phoneHash: (req) => {
+    const phoneNumber = req.body?.phoneNumber || req.body?.phone;
+    return typeof phoneNumber === 'string' && phoneNumber.trim()
+      ? `phone:${hashPhoneForRateLimit(phoneNumber)}`
+      : undefined;
+  },
+
+  route: (req) => `route:${req.method} ${req.baseUrl}${req.route?.path ?? req.path}`
+};
+
+/**
+ * Build the bucket key for a request. Extractors that cannot produce a value
+ * (e.g. no JWT on the request) are replaced by the client IP.
+ */
+const buildKey = (req: Request, extractors: KeyExtractor[]): string => {
+  const parts = extractors.map(extract => extract(req) ?? keyExtractors.ip(req)!);
+  return Array.from(new Set(parts)).join('|');
+};
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+interface RegisteredLimiter extends RateLimitPolicy {
+  name: string;
+  store: RateLimitStore;
+}
+
+const registry = new Map<string, RegisteredLimiter>();
+let anonymousLimiters = 0;
+
+/**
+ * Limiters created so far, keyed by bucket name
+ */
+export const getRegisteredLimiters = (): RegisteredLimiter[] => Array.from(registry.values());
+
+export const getRegisteredLimiter = (name: string): RegisteredLimiter | undefined => registry.get(name);
+
+export const createRateLimiter = (options: RateLimitOptions) => {
+  const name = options.name || `limiter-${++anonymousLimiters}`;
+  const policy: RateLimitPolicy = {
+    algorithm: options.algorithm || 'sliding-window',
+    max: options.max,
+    windowMs: options.windowMs
+  };
+  const extractors = options.keyBy
+    ? (Array.isArray(options.keyBy) ? options.keyBy : [options.keyBy])
+    : [keyExtractors.ip];
+
+  const existing = registry.get(name);
+  if (existing && (existing.max !== policy.max || existing.windowMs !== policy.windowMs || existing.algorithm !== policy.algorithm)) {
+    logger.warn(`Rate limiter "${name}" registered twice with different policies; buckets are shared`);
+  }
+  // Resolved per request: route modules create limiters before dotenv has run
+  const limiter: RegisteredLimiter = {
+    name,
+    ...policy,
+    get store() {
+      return options.store || defaultStore();
+    }
+  };
+  registry.set(name, limiter);
+
+  return async (req: Request, res: Response, next: NextFunction) => {
+    if (options.skip?.(req)) {
       return next();
     }
-    
-    // Add rate limit headers
-    const remaining = Math.max(0, options.max - clientData.count);
+
+    const key = buildKey(req, extractors);
+    const now = Date.now();
+
+    const store = limiter.store;
+    let result: RateLimitResult;
+    try {
+      result = await store.consume(name, key, policy, now);
+    } catch (error: any) {
+      // Keep limiting locally rather than failing open while the shared store is down
+      logger.error(`Rate limit store "${store.type}" failed for "${name}", using memory store: ${error.message}`);
+      result = await memoryRateLimitStore.consume(name, key, policy, now);
+    }
+
     res.set({
-      'X-RateLimit-Limit': options.max.toString(),
-      'X-RateLimit-Remaining': remaining.toString(),
-      'X-RateLimit-Reset': Math.floor(clientData.resetTime / 1000).toString(),
-      'X-RateLimit-Window': Math.floor(options.windowMs / 1000).toString()
+      'RateLimit-Limit': result.limit.toString(),
+      'RateLimit-Remaining': result.remaining.toString(),
+      'RateLimit-Reset': Math.ceil(result.resetMs / 1000).toString(),
+      'RateLimit-Policy': `${policy.max};w=${Math.ceil(policy.windowMs / 1000)}`
     });
-    
-    if (clientData.count >= options.max) {
-      logger.warn(`Rate limit exceeded for IP: ${clientId}`);
+
+    if (!result.allowed) {
+      const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+      res.set('Retry-After', retryAfter.toString());
+
+      logger.warn(`Rate limit exceeded for "${name}" (${key})`);
       return res.status(429).json({
         success: false,
-        error: 'Rate limit exceeded. Please try again later.',
+        error: options.message || 'Rate limit exceeded. Please try again later.',
         code: 'RATE_LIMIT_EXCEEDED',
-        retryAfter: Math.ceil((clientData.resetTime - now) / 1000),
+        retryAfter,
         timestamp: new Date().toISOString()
       });
     }
-    
-    clientData.count++;
+
     next();
   };
 };
 
 // Default rate limiter for seed phrase operations
 export const rateLimiter = createRateLimiter({
+  name: 'seed-phrase',
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 10, // Limit each IP to 10 requests per windowMs
   message: 'Too many seed phrase requests, please try again later.'
-});
\ No newline at end of file
+});
@@ -0,0 +1,312 @@
+/**
+ * Access Management Routes for K33P Backend
+ * Staff user lookup, role assignment and admin API keys. Roles and keys are
+ * managed by superadmins; every request is recorded in the audit trail.
+ */
+
+import express, { Request, Response } from 'express';
+import { body, param, validationResult } from 'express-validator';
+import { AdminRequest, hasPermission, requirePermission } from '../middleware/admin-auth.js';
+import { AdminApiKeyRecord, User, UserDepositModel, UserModel, UserRole } from '../database/models.js';
+import { isRole, maskAddress, maskEmail, maskName, maskPhone, PERMISSIONS, ROLE_PERMISSIONS } from '../services/access-control.js';
+import { AdminApiKeyError, adminApiKeys } from '../services/admin-api-keys.js';
+import { serializeDeposit } from '../services/admin-dashboard.js';
+import { auditService } from '../services/audit-service.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+const handleValidationErrors = (req: Request, res: Response, next: any) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const handleAsyncRoute = (fn: Function) => {
+  return (req: Request, res: Response, next: any) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+};
+
+const validateIssueKey = [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }).withMessage('name is required'),
+  body('role').isIn(['support', 'finance', 'admin', 'superadmin']).withMessage('Invalid role'),
+  body('scopes').optional().isArray({ min: 1 }).withMessage('scopes must be a non-empty array'),
+  body('scopes.*').optional().isIn([...PERMISSIONS]).withMessage('Unknown permission'),
+  body('expiresInDays').optional().isInt({ min: 1 }).toInt()
+];
+
+const STATUS_BY_CODE: Record<AdminApiKeyError['code'], number> = {
+  INVALID_ROLE: 400,
+  INVALID_SCOPE: 400,
+  INVALID_EXPIRY: 400,
+  NOT_GRANTABLE: 403,
+  NOT_FOUND: 404
+};
+
+// Persisted without delaying the response, as auditLogger does
+const audit = (req: Request, action: string, resourceId: string | undefined, success: boolean, details: any) => {
+  const principal = (req as AdminRequest).principal!;
+  auditService.record({
+    userId: principal.kind === 'user' ? principal.id : undefined,
+    action,
+    resource: 'ADMIN_ACCESS',
+    resourceId,
+    success,
+    ip: req.ip || 'unknown',
+    userAgent: req.get('User-Agent') || 'unknown',
+    details: { method: req.method, path: req.originalUrl.split('?')[0], principal: principal.id, role: principal.role, ...details }
+  }).catch(error => {
+    logger.error('Failed to persist audit log entry', { action, resource: 'ADMIN_ACCESS', error: error.message });
+  });
+};
+
+// Never includes the key hash
+const serializeKey = (key: AdminApiKeyRecord) => ({
+  id: key.id,
+  name: key.name,
+  keyPrefix: key.key_prefix,
+  role: key.role,
+  scopes: key.scopes,
+  createdBy: key.created_by,
+  expiresAt: key.expires_at,
+  revokedAt: key.revoked_at ?? null,
+  revokedBy: key.revoked_by ?? null,
+  lastUsedAt: key.last_used_at ?? null,
+  createdAt: key.created_at
+});
+
+const serializeUser = (user: User, maskPii: boolean) => ({
+  userId: user.user_id,
+  username: user.username ?? null,
+  name: maskPii ? maskName(user.name) : user.name ?? null,
+  email: maskPii ? maskEmail(user.email) : user.email ?? null,
+  phoneNumber: maskPii ? maskPhone(user.phone_number) : user.phone_number ?? null,
+  walletAddress: maskPii ? maskAddress(user.wallet_address) : user.wallet_address ?? null,
+  senderWalletAddress: maskPii ? maskAddress(user.sender_wallet_address) : user.sender_wallet_address ?? null,
+  verificationMethod: user.verification_method ?? null,
+  verified: user.verified ?? false,
+  role: user.role ?? 'user',
+  createdAt: user.created_at
+});
+
+const sendKeyError = (res: Response, error: AdminApiKeyError) =>
+  res.status(STATUS_BY_CODE[error.code]).json({ success: false, message: error.message, error: error.code });
+
+// ============================================================================
+// USERS
+// ============================================================================
+
+/**
+ * GET /api/admin/users/:userId
+ * A user and their deposits; PII is masked without users:read-pii
+ */
+router.get('/users/:userId',
+  requirePermission('users:read'),
+  param('userId').isLength({ min: 1, max: 50 }),
+  handleValidationErrors,
+  handleAsyncRoute(async (req: Request, res: Response) => {
+    const { userId } = req.params;
+    const maskPii = !hasPermission(req, 'users:read-pii');
+
+    try {
+      const user = await UserModel.findByUserId(userId);
+      audit(req, 'VIEW_USER', userId, !!user, { maskPii });
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found',
+          error: 'USER_NOT_FOUND'
+        });
+      }
+
+      const deposits = await UserDepositModel.findByUserId(userId);
+      res.json({
+        success: true,
+        data: {
+          user: serializeUser(user, maskPii),
+          deposits: deposits.map(deposit => serializeDeposit(deposit, maskPii))
+        }
+      });
+
+    } catch (error: any) {
+      logger.error('Error loading user:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load user',
+        error: 'SERVER_ERROR'
+      });
+    }
+  })
+);
+
+/**
+ * PUT /api/admin/users/:userId/role
+ * Grant a user a role; staff tokens pick the change up on their next request
+ */
+router.put('/users/:userId/role',
+  requirePermission('users:roles'),
+  param('userId').isLength({ min: 1, max: 50 }),
+  body('role').custom(isRole).withMessage('Invalid role'),
+  handleValidationErrors,
+  handleAsyncRoute(async (req: Request, res: Response) => {
+    const { userId } = req.params;
+    const { role } = req.body;
+    const principal = (req as AdminRequest).principal!;
+
+    if (principal.kind === 'user' && principal.id === userId) {
+      audit(req, 'SET_ROLE', userId, false, { role, reason: 'own role' });
+      return res.status(403).json({
+        success: false,
+        message: 'Staff cannot change their own role',
+        error: 'FORBIDDEN'
+      });
+    }
+
+    try {
+      const previous = await UserModel.findByUserId(userId);
+      const user = previous ? await UserModel.setRole(userId, role) : null;
+      // Refunds are granted through roles alone, so each such grant is flagged for review
+      const grantsRefunds = ROLE_PERMISSIONS[role as UserRole].includes('refunds:trigger');
+      audit(req, 'SET_ROLE', userId, !!user, { role, previousRole: previous?.role, ...(grantsRefunds && { grantsRefunds }) });
+      if (user && grantsRefunds) {
+        logger.warn(`User ${userId} granted role ${role}, which can trigger refunds`, { grantedBy: principal.id });
+      }
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found',
+          error: 'USER_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { userId, role: user.role, previousRole: previous!.role ?? 'user' }
+      });
+
+    } catch (error: any) {
+      logger.error('Error setting user role:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to set user role',
+        error: 'SERVER_ERROR'
+      });
+    }
+  })
+);
+
+// ============================================================================
+// ADMIN API KEYS
+// ============================================================================
+
+/**
+ * GET /api/admin/api-keys
+ * Every admin API key, revoked and expired ones included
+ */
+router.get('/api-keys',
+  requirePermission('api-keys:manage'),
+  handleAsyncRoute(async (req: Request, res: Response) => {
+    try {
+      const keys = await adminApiKeys.list();
+      audit(req, 'LIST_API_KEYS', undefined, true, { count: keys.length });
+
+      res.json({
+        success: true,
+        data: { keys: keys.map(serializeKey) }
+      });
+
+    } catch (error: any) {
+      logger.error('Error listing admin API keys:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list admin API keys',
+        error: 'SERVER_ERROR'
+      });
+    }
+  })
+);
+
+/**
+ * POST /api/admin/api-keys
+ * Issue a key; the key itself is in this response only
+ */
+router.post('/api-keys',
+  requirePermission('api-keys:manage'),
+  validateIssueKey,
+  handleValidationErrors,
+  handleAsyncRoute(async (req: Request, res: Response) => {
+    const { name, role, scopes, expiresInDays } = req.body;
+
+    try {
+      const { key, record } = await adminApiKeys.issue({
+        name,
+        role,
+        scopes,
+        expiresInDays,
+        issuer: (req as AdminRequest).principal!
+      });
+      audit(req, 'ISSUE_API_KEY', record.id, true, { name, role, scopes, expiresAt: record.expires_at });
+
+      res.status(201).json({
+        success: true,
+        data: { key, ...serializeKey(record) }
+      });
+
+    } catch (error: any) {
+      audit(req, 'ISSUE_API_KEY', undefined, false, { name, role, scopes, error: error.message });
+      if (error instanceof AdminApiKeyError) return sendKeyError(res, error);
+      logger.error('Error issuing admin API key:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to issue admin API key',
+        error: 'SERVER_ERROR'
+      });
+    }
+  })
+);
+
+/**
+ * DELETE /api/admin/api-keys/:id
+ * Revoke a key; it stops working immediately
+ */
+router.delete('/api-keys/:id',
+  requirePermission('api-keys:manage'),
+  param('id').isUUID(),
+  handleValidationErrors,
+  handleAsyncRoute(async (req: Request, res: Response) => {
+    const { id } = req.params;
+
+    try {
+      const record = await adminApiKeys.revoke(id, (req as AdminRequest).principal!.id);
+      audit(req, 'REVOKE_API_KEY', id, true, { name: record.name, role: record.role });
+
+      res.json({
+        success: true,
+        data: serializeKey(record)
+      });
+
+    } catch (error: any) {
+      audit(req, 'REVOKE_API_KEY', id, false, { error: error.message });
+      if (error instanceof AdminApiKeyError) return sendKeyError(res, error);
+      logger.error('Error revoking admin API key:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke admin API key',
+        error: 'SERVER_ERROR'
+      });
+    }
+  })
+);
+
+export default router;
@@ -8,34 +8,21 @@ import express, { Request, Response } from 'express';
 import { body, param, validationResult } from 'express-validator';
 import jwt from 'jsonwebtoken';
 import { logger } from '../utils/logger.js';
-import { Pool } from 'pg';
+import pool from '../database/config.js';
+import { RecoveryRequestModel, RecoveryRequestRecord } from '../database/models.js';
+import { verificationStore } from '../services/verification-store.js';
 import { EnhancedK33PManagerDB } from '../enhanced-k33p-manager-db.js';
 import crypto from 'crypto';
 import { dbService } from '../database/service.js';
 import nodemailer from 'nodemailer';
 
 const router = express.Router();
-const pool = new Pool();
 const k33pManager = new EnhancedK33PManagerDB();
 
 // ============================================================================
 // TYPES AND INTERFACES
 // ============================================================================
 
-interface RecoveryRequest {
-  id: string;
-  userId?: string;
-  phoneNumber?: string;
-  email?: string;
-  recoveryMethod: 'emergency_contact' | 'backup_phrase' | 'onchain_proof' | 'multi_factor';
-  newPhoneNumber: string;
-  verificationData: any;
-  timestamp: Date;
-  status: 'pending' | 'verified' | 'completed' | 'failed' | 'expired';
-  attempts: number;
-  expiresAt: Date;
-}
-
 interface BackupPhrase {
   userId: string;
   phraseHash: string;
@@ -54,12 +41,16 @@ interface EmergencyContact {
 }
 
 // ============================================================================
-// IN-MEMORY STORAGE (Replace with Redis in production)
+// PERSISTENT STATE
+// Recovery requests live in the recovery_requests table; emergency tokens and
+// backup phrase attempt counters live in the shared verification store
 // ============================================================================
 
-const recoveryRequests = new Map<string, RecoveryRequest>();
-const emergencyTokens = new Map<string, { userId: string; email: string; expiresAt: Date }>();
-const backupPhraseAttempts = new Map<string, { attempts: number; lastAttempt: Date }>();
+const RECOVERY_TTL_SECONDS = 30 * 60; // 30 minutes
+const EMERGENCY_TOKEN_NAMESPACE = 'recovery:emergency-token';
+const BACKUP_PHRASE_ATTEMPTS_NAMESPACE = 'recovery:backup-phrase-attempts';
+const BACKUP_PHRASE_MAX_ATTEMPTS = 3;
+const BACKUP_PHRASE_LOCKOUT_SECONDS = 15 * 60; // 15 minutes
 
 // ============================================================================
 // VALIDATION MIDDLEWARE
@@ -197,6 +188,40 @@ const findUserByIdentifier = async (identifier: string): Promise<any> => {
   }
 };
 
+/**
+ * Load a recovery request that can still be verified
+ * Requests past their expiry are marked expired
+ */
+const getOpenRecoveryRequest = async (recoveryId: string): Promise<{ request?: RecoveryRequestRecord; error?: 'INVALID_RECOVERY_ID' | 'RECOVERY_EXPIRED' }> => {
+  const request = await RecoveryRequestModel.findByRecoveryId(recoveryId);
+  if (!request || (request.status !== 'pending' && request.status !== 'verified')) {
+    return { error: 'INVALID_RECOVERY_ID' };
+  }
+
+  if (new Date(request.expires_at) < new Date()) {
+    await RecoveryRequestModel.update(recoveryId, { status: 'expired' });
+    return { error: 'RECOVERY_EXPIRED' };
+  }
+
+  return { request };
+};
+
+const sendRecoveryLookupError = (res: Response, error: 'INVALID_RECOVERY_ID' | 'RECOVERY_EXPIRED') => {
+  if (error === 'RECOVERY_EXPIRED') {
+    return res.status(400).json({
+      success: false,
+      message: 'Recovery request expired',
+      error: 'RECOVERY_EXPIRED'
+    });
+  }
+
+  return res.status(404).json({
+    success: false,
+    message: 'Recovery request not found or expired',
+    error: 'INVALID_RECOVERY_ID'
+  });
+};
+
 const handleValidationErrors = (req: Request, res: Response, next: any) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -245,23 +270,19 @@ router.post('/initiate',
       }
       
       const recoveryId = generateRecoveryId();
-      const expiresAt = new Date(Date.now() + 30 * 60 * 1000); // 30 minutes
-      
-      const recoveryRequest: RecoveryRequest = {
-        id: recoveryId,
-        userId: user.user_id,
-        phoneNumber: identifier.startsWith('+') ? identifier : undefined,
-        email: identifier.includes('@') ? identifier : user.email,
-        recoveryMethod,
-        newPhoneNumber,
-        verificationData: {},
-        timestamp: new Date(),
+      const expiresAt = new Date(Date.now() + RECOVERY_TTL_SECONDS * 1000);
+      
+      await RecoveryRequestModel.create({
+        recovery_id: recoveryId,
+        user_id: user.user_id,
+        identifier_hash: hashPhone(identifier),
+        new_phone_hash: hashPhone(newPhoneNumber),
+        recovery_method: recoveryMethod,
+        verification_data: {},
         status: 'pending',
         attempts: 0,
-        expiresAt
-      };
-      
-      recoveryRequests.set(recoveryId, recoveryRequest);
+        expires_at: expiresAt
+      });
       
       switch (recoveryMethod) {
         case 'emergency_contact':
@@ -283,11 +304,10 @@ router.post('/initiate',
           
           const emergencyContact = emergencyResult.rows[0];
           const emergencyToken = generateEmergencyToken();
-          emergencyTokens.set(emergencyToken, {
+          await verificationStore.put(EMERGENCY_TOKEN_NAMESPACE, emergencyToken, {
             userId: user.user_id,
-            email: emergencyContact.email,
-            expiresAt
-          });
+            email: emergencyContact.email
+          }, { ttlSeconds: RECOVERY_TTL_SECONDS });
           
           await sendEmergencyEmail(emergencyContact.email, emergencyToken, emergencyContact.name);
           
@@ -373,29 +393,18 @@ router.post('/verify-backup-phrase',
     try {
       const { recoveryId, backupPhrase } = req.body;
       
-      const recoveryRequest = recoveryRequests.get(recoveryId);
+      const { request: recoveryRequest, error } = await getOpenRecoveryRequest(recoveryId);
       if (!recoveryRequest) {
-        return res.status(404).json({
-          success: false,
-          message: 'Recovery request not found or expired',
-          error: 'INVALID_RECOVERY_ID'
-        });
-      }
-      
-      if (recoveryRequest.expiresAt < new Date()) {
-        recoveryRequests.delete(recoveryId);
-        return res.status(400).json({
-          success: false,
-          message: 'Recovery request expired',
-          error: 'RECOVERY_EXPIRED'
-        });
+        return sendRecoveryLookupError(res, error!);
       }
       
-      // Check rate limiting
-      const attemptKey = `${recoveryRequest.userId}_backup_phrase`;
-      const attempts = backupPhraseAttempts.get(attemptKey) || { attempts: 0, lastAttempt: new Date(0) };
+      // Check rate limiting; the attempt is counted before anything is compared
+      const attempt = await verificationStore.takeAttempt(BACKUP_PHRASE_ATTEMPTS_NAMESPACE, recoveryRequest.user_id!, {
+        ttlSeconds: BACKUP_PHRASE_LOCKOUT_SECONDS,
+        maxAttempts: BACKUP_PHRASE_MAX_ATTEMPTS
+      });
       
-      if (attempts.attempts >= 3 && new Date().getTime() - attempts.lastAttempt.getTime() < 15 * 60 * 1000) {
+      if (!attempt.allowed) {
         return res.status(429).json({
           success: false,
           message: 'Too many attempts. Please try again in 15 minutes',
@@ -407,7 +416,7 @@ router.post('/verify-backup-phrase',
       const client = await pool.connect();
       const result = await client.query(
         'SELECT phrase_hash, salt FROM backup_phrases WHERE user_id = $1',
-        [recoveryRequest.userId]
+        [recoveryRequest.user_id]
       );
       client.release();
       
@@ -422,28 +431,28 @@ router.post('/verify-backup-phrase',
       const { phrase_hash, salt } = result.rows[0];
       const providedPhraseHash = hashBackupPhrase(backupPhrase.trim().toLowerCase(), salt);
       
-      attempts.attempts++;
-      attempts.lastAttempt = new Date();
-      backupPhraseAttempts.set(attemptKey, attempts);
-      
       if (providedPhraseHash !== phrase_hash) {
+        await RecoveryRequestModel.update(recoveryId, { attempts: recoveryRequest.attempts + 1 });
         return res.status(400).json({
           success: false,
           message: 'Invalid backup phrase',
           error: 'INVALID_BACKUP_PHRASE',
-          attemptsRemaining: Math.max(0, 3 - attempts.attempts)
+          attemptsRemaining: attempt.attemptsRemaining
         });
       }
       
       // Backup phrase verified
       recoveryRequest.status = 'verified';
-      recoveryRequest.verificationData.backupPhraseVerified = true;
-      recoveryRequests.set(recoveryId, recoveryRequest);
+      recoveryRequest.verification_data = { ...recoveryRequest.verification_data, backupPhraseVerified: true };
+      await RecoveryRequestModel.update(recoveryId, {
+        status: recoveryRequest.status,
+        verification_data: recoveryRequest.verification_data
+      });
       
       // Clear rate limiting
-      backupPhraseAttempts.delete(attemptKey);
+      await verificationStore.delete(BACKUP_PHRASE_ATTEMPTS_NAMESPACE, recoveryRequest.user_id!);
       
-      if (recoveryRequest.recoveryMethod === 'backup_phrase') {
+      if (recoveryRequest.recovery_method === 'backup_phrase') {
         // Single method recovery - complete the process
         await completeRecovery(recoveryRequest);
         
@@ -452,7 +461,7 @@ router.post('/verify-backup-phrase',
           message: 'Account recovery completed successfully',
           data: {
             recoveryId,
-            newPhoneHash: hashPhone(recoveryRequest.newPhoneNumber),
+            newPhoneHash: recoveryRequest.new_phone_hash,
             timestamp: new Date()
           }
         });
@@ -491,17 +500,15 @@ router.post('/verify-emergency-contact',
     try {
       const { recoveryId, emergencyToken } = req.body;
       
-      const recoveryRequest = recoveryRequests.get(recoveryId);
+      const { request: recoveryRequest, error } = await getOpenRecoveryRequest(recoveryId);
       if (!recoveryRequest) {
-        return res.status(404).json({
-          success: false,
-          message: 'Recovery request not found or expired',
-          error: 'INVALID_RECOVERY_ID'
-        });
+        return sendRecoveryLookupError(res, error!);
       }
       
-      const tokenData = emergencyTokens.get(emergencyToken);
-      if (!tokenData || tokenData.userId !== recoveryRequest.userId) {
+      // Claiming spends the token, so of two concurrent requests only one
+      // gets it; expired tokens are never returned by the store
+      const token = await verificationStore.claim<{ userId: string; email: string }>(EMERGENCY_TOKEN_NAMESPACE, emergencyToken);
+      if (!token || token.userId !== recoveryRequest.user_id) {
         return res.status(400).json({
           success: false,
           message: 'Invalid or expired emergency token',
@@ -509,24 +516,16 @@ router.post('/verify-emergency-contact',
         });
       }
       
-      if (tokenData.expiresAt < new Date()) {
-        emergencyTokens.delete(emergencyToken);
-        return res.status(400).json({
-          success: false,
-          message: 'Emergency token expired',
-          error: 'TOKEN_EXPIRED'
-        });
-      }
-      
       // Emergency contact verified
       recoveryRequest.status = 'verified';
-      recoveryRequest.verificationData.emergencyContactVerified = true;
-      recoveryRequests.set(recoveryId, recoveryRequest);
-      
-      // Clean up token
-      emergencyTokens.delete(emergencyToken);
+      recoveryRequest.verification_data = { ...recoveryRequest.verification_data, emergencyContactVerified: true };
+      await RecoveryRequestModel.update(recoveryId, {
+        status: recoveryRequest.status,
+        verification_data: recoveryRequest.verification_data
+      });
+
       
-      if (recoveryRequest.recoveryMethod === 'emergency_contact') {
+      if (recoveryRequest.recovery_method === 'emergency_contact') {
         // Single method recovery - complete the process
         await completeRecovery(recoveryRequest);
         
@@ -535,14 +534,14 @@ router.post('/verify-emergency-contact',
           message: 'Account recovery completed successfully',
           data: {
             recoveryId,
-            newPhoneHash: hashPhone(recoveryRequest.newPhoneNumber),
+            newPhoneHash: recoveryRequest.new_phone_hash,
             timestamp: new Date()
           }
         });
       } else {
         // Multi-factor recovery - check if all steps completed
-        const allStepsCompleted = recoveryRequest.verificationData.backupPhraseVerified && 
-                                 recoveryRequest.verificationData.emergencyContactVerified;
+        const allStepsCompleted = recoveryRequest.verification_data.backupPhraseVerified && 
+                                 recoveryRequest.verification_data.emergencyContactVerified;
         
         if (allStepsCompleted) {
           await completeRecovery(recoveryRequest);
@@ -552,7 +551,7 @@ router.post('/verify-emergency-contact',
             message: 'Multi-factor recovery completed successfully',
             data: {
               recoveryId,
-              newPhoneHash: hashPhone(recoveryRequest.newPhoneNumber),
+              newPhoneHash: recoveryRequest.new_phone_hash,
               timestamp: new Date()
             }
           });
@@ -590,26 +589,13 @@ router.post('/verify-onchain',
     try {
       const { recoveryId, txHash, walletAddress } = req.body;
       
-      const recoveryRequest = recoveryRequests.get(recoveryId);
+      const { request: recoveryRequest, error } = await getOpenRecoveryRequest(recoveryId);
       if (!recoveryRequest) {
-        return res.status(404).json({
-          success: false,
-          message: 'Recovery request not found or expired',
-          error: 'INVALID_RECOVERY_ID'
-        });
-      }
-      
-      if (recoveryRequest.expiresAt < new Date()) {
-        recoveryRequests.delete(recoveryId);
-        return res.status(400).json({
-          success: false,
-          message: 'Recovery request expired',
-          error: 'RECOVERY_EXPIRED'
-        });
+        return sendRecoveryLookupError(res, error!);
       }
       
       // Verify that the wallet address belongs to the user
-      const user = await dbService.getUserById(recoveryRequest.userId!);
+      const user = await dbService.getUserById(recoveryRequest.user_id!);
       if (!user || user.wallet_address !== walletAddress) {
         return res.status(400).json({
           success: false,
@@ -635,9 +621,11 @@ router.post('/verify-onchain',
       
       // Onchain proof verified
       recoveryRequest.status = 'verified';
-      recoveryRequest.verificationData.onchainProofVerified = true;
-      recoveryRequest.verificationData.txHash = txHash;
-      recoveryRequests.set(recoveryId, recoveryRequest);
+      recoveryRequest.verification_data = { ...recoveryRequest.verification_data, onchainProofVerified: true, txHash };
+      await RecoveryRequestModel.update(recoveryId, {
+        status: recoveryRequest.status,
+        verification_data: recoveryRequest.verification_data
+      });
       
       // Complete recovery
       await completeRecovery(recoveryRequest);
@@ -647,7 +635,7 @@ router.post('/verify-onchain',
         message: 'Account recovery completed successfully via blockchain verification',
         data: {
           recoveryId,
-          newPhoneHash: hashPhone(recoveryRequest.newPhoneNumber),
+          newPhoneHash: recoveryRequest.new_phone_hash,
           txHash,
           timestamp: new Date()
         }
@@ -675,7 +663,7 @@ router.get('/status/:recoveryId',
     try {
       const { recoveryId } = req.params;
       
-      const recoveryRequest = recoveryRequests.get(recoveryId);
+      const recoveryRequest = await RecoveryRequestModel.findByRecoveryId(recoveryId);
       if (!recoveryRequest) {
         return res.status(404).json({
           success: false,
@@ -684,18 +672,20 @@ router.get('/status/:recoveryId',
         });
       }
       
+      const verificationData = recoveryRequest.verification_data || {};
+      
       res.json({
         success: true,
         data: {
           recoveryId,
           status: recoveryRequest.status,
-          recoveryMethod: recoveryRequest.recoveryMethod,
-          timestamp: recoveryRequest.timestamp,
-          expiresAt: recoveryRequest.expiresAt,
+          recoveryMethod: recoveryRequest.recovery_method,
+          timestamp: recoveryRequest.created_at,
+          expiresAt: recoveryRequest.expires_at,
           verificationData: {
-            backupPhraseVerified: recoveryRequest.verificationData.backupPhraseVerified || false,
-            emergencyContactVerified: recoveryRequest.verificationData.emergencyContactVerified || false,
-            onchainProofVerified: recoveryRequest.verificationData.onchainProofVerified || false
+            backupPhraseVerified: verificationData.backupPhraseVerified || false,
+            emergencyContactVerified: verificationData.emergencyContactVerified || false,
+            onchainProofVerified: verificationData.onchainProofVerified || false
           }
         }
       });
@@ -718,29 +708,30 @@ router.get('/status/:recoveryId',
 /**
  * Complete the recovery process by updating the user's phone number
  */
-async function completeRecovery(recoveryRequest: RecoveryRequest): Promise<void> {
+async function completeRecovery(recoveryRequest: RecoveryRequestRecord): Promise<void> {
   try {
-    const newPhoneHash = hashPhone(recoveryRequest.newPhoneNumber);
-    
     // Update user's phone number
-    await dbService.updateUser(recoveryRequest.userId!, {
-      phone_hash: newPhoneHash,
+    await dbService.updateUser(recoveryRequest.user_id!, {
+      phone_hash: recoveryRequest.new_phone_hash,
       updated_at: new Date()
     });
     
     // Update recovery request status
     recoveryRequest.status = 'completed';
-    recoveryRequests.set(recoveryRequest.id, recoveryRequest);
+    await RecoveryRequestModel.update(recoveryRequest.recovery_id, {
+      status: recoveryRequest.status,
+      completed_at: new Date()
+    });
     
     // Log the recovery
-    logger.info(`Account recovery completed for user: ${recoveryRequest.userId}`);
+    logger.info(`Account recovery completed for user: ${recoveryRequest.user_id}`);
     
     // Update last used timestamp for backup phrase if used
-    if (recoveryRequest.verificationData.backupPhraseVerified) {
+    if (recoveryRequest.verification_data.backupPhraseVerified) {
       const client = await pool.connect();
       await client.query(
         'UPDATE backup_phrases SET last_used = CURRENT_TIMESTAMP WHERE user_id = $1',
-        [recoveryRequest.userId]
+        [recoveryRequest.user_id]
       );
       client.release();
     }
@@ -0,0 +1,290 @@
+/**
+ * Admin Dashboard Routes for K33P Backend
+ * Deposits, stuck refunds, manual refund retries and signup metrics.
+ * Every request is recorded in the audit trail, reads included. Wallet
+ * addresses are masked for callers without the users:read-pii permission.
+ */
+
+import express, { Request, Response } from 'express';
+import { param, query, validationResult } from 'express-validator';
+import { AdminRequest, hasPermission, requirePermission } from '../middleware/admin-auth.js';
+import { auditService } from '../services/audit-service.js';
+import {
+  adminDashboard,
+  AdminDashboardError,
+  RefundProcessor,
+  serializeDeposit,
+  serializeStuckRefund
+} from '../services/admin-dashboard.js';
+import { UserDepositFilters } from '../database/models.js';
+import { logger } from '../utils/logger.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+const handleValidationErrors = (req: Request, res: Response, next: any) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const handleAsyncRoute = (fn: Function) => {
+  return (req: Request, res: Response, next: any) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+};
+
+const validateDepositFilters = [
+  query('refunded').optional().isBoolean().toBoolean(),
+  query('verified').optional().isBoolean().toBoolean(),
+  query('signupCompleted').optional().isBoolean().toBoolean(),
+  query('minAgeHours').optional().isFloat({ min: 0 }).toFloat(),
+  query('maxAgeHours').optional().isFloat({ min: 0 }).toFloat()
+];
+
+const validatePagination = [
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+];
+
+const STATUS_BY_CODE: Record<AdminDashboardError['code'], number> = {
+  REFUND_NOT_FOUND: 404,
+  REFUND_CONFIRMED: 409,
+  REFUND_IN_FLIGHT: 409,
+  REFUND_NOT_RETRIED: 409,
+  EXPORT_TOO_LARGE: 413
+};
+
+// Deposit age in hours becomes a window on the deposit timestamp
+const depositFilters = (req: Request): UserDepositFilters => {
+  const { refunded, verified, signupCompleted, minAgeHours, maxAgeHours } = req.query as any;
+  const now = Date.now();
+  return {
+    refunded,
+    verified,
+    signupCompleted,
+    before: minAgeHours !== undefined ? new Date(now - minAgeHours * HOUR_MS) : undefined,
+    after: maxAgeHours !== undefined ? new Date(now - maxAgeHours * HOUR_MS) : undefined
+  };
+};
+
+// Persisted without delaying the response, as auditLogger does
+const audit = (req: Request, action: string, resourceId: string | undefined, success: boolean, details: any) => {
+  const principal = (req as AdminRequest).principal!;
+  auditService.record({
+    userId: principal.kind === 'user' ? principal.id : undefined,
+    action,
+    resource: 'ADMIN',
+    resourceId,
+    success,
+    ip: req.ip || 'unknown',
+    userAgent: req.get('User-Agent') || 'unknown',
+    details: { method: req.method, path: req.originalUrl.split('?')[0], principal: principal.id, role: principal.role, ...details }
+  }).catch(error => {
+    logger.error('Failed to persist audit log entry', { action, resource: 'ADMIN', error: error.message });
+  });
+};
+
+const sendDashboardError = (res: Response, error: AdminDashboardError) =>
+  res.status(STATUS_BY_CODE[error.code]).json({ success: false, message: error.message, error: error.code });
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * Routes under /api/admin. `refunds` returns the manager that sends refunds,
+ * which the server only creates once it has started.
+ */
+export function createAdminRouter(refunds: () => RefundProcessor): express.Router {
+  const router = express.Router();
+
+  /**
+   * GET /api/admin/deposits
+   * Deposits newest first, filtered by state and age
+   */
+  router.get('/deposits',
+    requirePermission('deposits:read'),
+    validateDepositFilters,
+    validatePagination,
+    handleValidationErrors,
+    handleAsyncRoute(async (req: Request, res: Response) => {
+      const limit = (req.query.limit as any) ?? 50;
+      const offset = (req.query.offset as any) ?? 0;
+      const filters = depositFilters(req);
+
+      try {
+        const { deposits, total } = await adminDashboard.listDeposits(filters, limit, offset);
+        audit(req, 'LIST_DEPOSITS', undefined, true, { filters, limit, offset, total });
+
+        res.json({
+          success: true,
+          data: {
+            deposits: deposits.map(deposit => serializeDeposit(deposit, !hasPermission(req, 'users:read-pii'))),
+            pagination: {
+              total,
+              limit,
+              offset,
+              hasMore: offset + deposits.length < total
+            }
+          }
+        });
+
+      } catch (error: any) {
+        audit(req, 'LIST_DEPOSITS', undefined, false, { filters, error: error.message });
+        logger.error('Error listing deposits:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Failed to list deposits',
+          error: 'SERVER_ERROR'
+        });
+      }
+    })
+  );
+
+  /**
+   * GET /api/admin/deposits/export
+   * Deposits matching the same filters as CSV
+   */
+  router.get('/deposits/export',
+    requirePermission('deposits:export'),
+    validateDepositFilters,
+    handleValidationErrors,
+    handleAsyncRoute(async (req: Request, res: Response) => {
+      const filters = depositFilters(req);
+
+      try {
+        const { csv, rows } = await adminDashboard.exportDepositsCsv(filters, !hasPermission(req, 'users:read-pii'));
+        audit(req, 'EXPORT_DEPOSITS', undefined, true, { filters, rows });
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="deposits-${new Date().toISOString().slice(0, 10)}.csv"`);
+        res.send(csv);
+
+      } catch (error: any) {
+        audit(req, 'EXPORT_DEPOSITS', undefined, false, { filters, error: error.message });
+        if (error instanceof AdminDashboardError) return sendDashboardError(res, error);
+        logger.error('Error exporting deposits:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Failed to export deposits',
+          error: 'SERVER_ERROR'
+        });
+      }
+    })
+  );
+
+  /**
+   * GET /api/admin/refunds/stuck
+   * Failed refunds, and unsettled ones idle for `idleMinutes`
+   */
+  router.get('/refunds/stuck',
+    requirePermission('refunds:read'),
+    query('idleMinutes').optional().isInt({ min: 1, max: 10080 }).toInt(),
+    query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+    handleValidationErrors,
+    handleAsyncRoute(async (req: Request, res: Response) => {
+      const idleMinutes = (req.query.idleMinutes as any) ?? 30;
+      const limit = (req.query.limit as any) ?? 100;
+
+      try {
+        const entries = await adminDashboard.stuckRefunds(idleMinutes, limit);
+        audit(req, 'LIST_STUCK_REFUNDS', undefined, true, { idleMinutes, count: entries.length });
+
+        res.json({
+          success: true,
+          data: {
+            idleMinutes,
+            refunds: entries.map(entry => serializeStuckRefund(entry, !hasPermission(req, 'users:read-pii')))
+          }
+        });
+
+      } catch (error: any) {
+        audit(req, 'LIST_STUCK_REFUNDS', undefined, false, { idleMinutes, error: error.message });
+        logger.error('Error listing stuck refunds:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Failed to list stuck refunds',
+          error: 'SERVER_ERROR'
+        });
+      }
+    })
+  );
+
+  /**
+   * POST /api/admin/refunds/:idempotencyKey/retry
+   * Refund a failed outbox entry again, to the address it was recorded with
+   */
+  router.post('/refunds/:idempotencyKey/retry',
+    requirePermission('refunds:trigger'),
+    param('idempotencyKey').isLength({ min: 1, max: 128 }),
+    handleValidationErrors,
+    handleAsyncRoute(async (req: Request, res: Response) => {
+      const { idempotencyKey } = req.params;
+
+      try {
+        const result = await adminDashboard.retryRefund(refunds(), idempotencyKey);
+        audit(req, 'RETRY_REFUND', idempotencyKey, true, { txHash: result.txHash });
+
+        res.json({
+          success: true,
+          data: result
+        });
+
+      } catch (error: any) {
+        audit(req, 'RETRY_REFUND', idempotencyKey, false, { error: error.message });
+        if (error instanceof AdminDashboardError) return sendDashboardError(res, error);
+        logger.error('Error retrying refund:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Failed to retry refund',
+          error: 'SERVER_ERROR'
+        });
+      }
+    })
+  );
+
+  /**
+   * GET /api/admin/metrics/signups
+   * Signup funnel for deposits made in the last `days`, or all of them
+   */
+  router.get('/metrics/signups',
+    requirePermission('metrics:read'),
+    query('days').optional().isInt({ min: 1, max: 365 }).toInt(),
+    handleValidationErrors,
+    handleAsyncRoute(async (req: Request, res: Response) => {
+      const days = req.query.days as any;
+
+      try {
+        const funnel = await adminDashboard.signupFunnel(days ? new Date(Date.now() - days * DAY_MS) : undefined);
+        audit(req, 'VIEW_SIGNUP_METRICS', undefined, true, { days });
+
+        res.json({
+          success: true,
+          data: { days: days ?? null, ...funnel }
+        });
+
+      } catch (error: any) {
+        audit(req, 'VIEW_SIGNUP_METRICS', undefined, false, { days, error: error.message });
+        logger.error('Error loading signup metrics:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Failed to load signup metrics',
+          error: 'SERVER_ERROR'
+        });
+      }
+    })
+  );
+
+  return router;
+}
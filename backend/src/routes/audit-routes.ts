@@ -0,0 +1,128 @@
+/**
+ * Audit Log Admin Routes for K33P Backend
+ * Query the hash-chained audit trail and verify its integrity
+ */
+
+import express, { Request, Response } from 'express';
+import { query, validationResult } from 'express-validator';
+import { requirePermission } from '../middleware/admin-auth.js';
+import { auditService } from '../services/audit-service.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+const handleValidationErrors = (req: Request, res: Response, next: any) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const handleAsyncRoute = (fn: Function) => {
+  return (req: Request, res: Response, next: any) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+};
+
+const validateAuditQuery = [
+  query('userId').optional().isString().notEmpty(),
+  query('action').optional().isString().notEmpty(),
+  query('resource').optional().isString().notEmpty(),
+  query('success').optional().isBoolean().toBoolean(),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).toInt(),
+  query('offset').optional().isInt({ min: 0 }).toInt()
+];
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * GET /api/admin/audit
+ * Query audit entries, newest first
+ */
+router.get('/',
+  requirePermission('audit:read'),
+  validateAuditQuery,
+  handleValidationErrors,
+  handleAsyncRoute(async (req: Request, res: Response) => {
+    try {
+      const { userId, action, resource, success, from, to } = req.query as any;
+      const limit = (req.query.limit as any) ?? 50;
+      const offset = (req.query.offset as any) ?? 0;
+
+      const { entries, total } = await auditService.query({
+        userId,
+        action,
+        resource,
+        success,
+        from: from ? new Date(from) : undefined,
+        to: to ? new Date(to) : undefined
+      }, limit, offset);
+
+      res.json({
+        success: true,
+        data: {
+          entries,
+          pagination: {
+            total,
+            limit,
+            offset,
+            hasMore: offset + entries.length < total
+          }
+        }
+      });
+
+    } catch (error: any) {
+      logger.error('Error querying audit log:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to query audit log',
+        error: 'SERVER_ERROR'
+      });
+    }
+  })
+);
+
+/**
+ * GET /api/admin/audit/verify
+ * Recompute the hash chain and report the first broken entry, if any
+ */
+router.get('/verify',
+  requirePermission('audit:read'),
+  handleAsyncRoute(async (req: Request, res: Response) => {
+    try {
+      const verification = await auditService.verifyChain();
+
+      if (!verification.valid) {
+        logger.error('Audit log chain verification failed', verification);
+      }
+
+      res.json({
+        success: true,
+        data: verification
+      });
+
+    } catch (error: any) {
+      logger.error('Error verifying audit log:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify audit log',
+        error: 'SERVER_ERROR'
+      });
+    }
+  })
+);
+
+export default router;
@@ -3,15 +3,17 @@ import express from 'express';
 import jwt from 'jsonwebtoken';
 import crypto from 'crypto';
 import { verifyToken, verifyZkProof, authenticate } from '../middleware/auth.js';
-import { createRateLimiter } from '../middleware/rate-limiter.js';
+import { createRateLimiter, keyExtractors } from '../middleware/rate-limiter.js';
+import { auditUserLogin } from '../middleware/audit-logger.js';
 import { K33PError, ErrorCodes, SuccessCodes, asyncHandler, ResponseUtils } from '../middleware/error-handler.js';
 import { hashPhone, hashBiometric, hashPasskey } from '../utils/hash.js';
 import { generateZkCommitment, generateZkProof, verifyZkProof as verifyZkProofUtil } from '../utils/zk.js';
-import { signupTxBuilder } from '../utils/lucid.js';
+import { identityBurnTx, signupTxBuilder } from '../utils/lucid.js';
+import { walletAuthService, WalletAuthError } from '../services/wallet-auth.js';
+import { getNetworkProfile } from '../services/network-profile.js';
 import * as iagon from '../utils/iagon.js';
 import { storageService } from '../services/storage-abstraction.js';
 import { dbService } from '../database/service.js';
-import rateLimit from 'express-rate-limit';
 import NodeCache from 'node-cache';
 import { BlockFrostAPI } from '@blockfrost/blockfrost-js';
 import { UserModel } from '../database/models.js';
@@ -20,12 +22,14 @@ const router = express.Router();
 
 // Rate limiters for auth routes
 const signupLimiter = createRateLimiter({
+  name: 'auth-signup',
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // 5 signup attempts per 15 minutes
   message: 'Too many signup attempts, please try again later'
 });
 
 const loginLimiter = createRateLimiter({
+  name: 'auth-login',
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 10, // 10 login attempts per 15 minutes
   message: 'Too many login attempts, please try again later'
@@ -106,6 +110,8 @@ router.post('/signup', async (req, res) => {
 });
 
 router.delete('/user', verifyToken, createRateLimiter({
+  name: 'auth-delete-user',
+  keyBy: keyExtractors.userId,
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // 5 delete attempts per 15 minutes
   message: 'Too many delete account attempts, please try again later'
@@ -132,6 +138,17 @@ router.delete('/user', verifyToken, createRateLimiter({
 
     console.log('User found, proceeding with deletion...');
 
+    // The identity NFT outlives the account unless its owner burns it, so hand
+    // the wallet the transaction that does
+    let burnTx = null;
+    if (user.phone_hash && user.wallet_address) {
+      try {
+        burnTx = await identityBurnTx(user.phone_hash, user.wallet_address);
+      } catch (burnError) {
+        console.warn('Could not build the identity burn transaction:', burnError.message);
+      }
+    }
+
     // Start the deletion process
     const deletionResult = await UserModel.deleteUser(userId);
 
@@ -156,6 +173,7 @@ router.delete('/user', verifyToken, createRateLimiter({
     return ResponseUtils.success(res, SuccessCodes.USER_DELETED, {
       message: 'User account and all associated data have been successfully deleted',
       userId: userId,
+      identityBurnTx: burnTx,
       timestamp: new Date().toISOString()
     }, 'Your account has been permanently deleted. All your data has been removed from our systems.');
 
@@ -186,6 +204,8 @@ const signupSessions = new NodeCache({ stdTTL: 1800 }); // 30 minutes
  * @access Public
  */
 router.post('/setup-pin', createRateLimiter({
+  name: 'auth-setup-pin',
+  keyBy: keyExtractors.phoneHash,
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 100, // 100 attempts per minute
   message: 'Too many PIN setup attempts, please try again later'
@@ -235,6 +255,7 @@ router.post('/setup-pin', createRateLimiter({
  * @access Public
  */
 router.post('/confirm-pin', createRateLimiter({
+  name: 'auth-confirm-pin',
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 10, // 10 attempts per 15 minutes
   message: 'Too many PIN confirmation attempts, please try again later'
@@ -285,6 +306,7 @@ router.post('/confirm-pin', createRateLimiter({
  * @access Public
  */
 router.post('/setup-biometric', createRateLimiter({
+  name: 'auth-setup-biometric',
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 50, // 50 attempts per minute (increased for testing)
   message: 'Too many biometric setup attempts, please try again later'
@@ -347,6 +369,7 @@ router.post('/setup-biometric', createRateLimiter({
  * @access Public
  */
 router.post('/complete-signup', createRateLimiter({
+  name: 'auth-complete-signup',
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 50, // 50 attempts per minute for testing
   message: 'Too many signup completion attempts, please try again later'
@@ -440,6 +463,8 @@ router.post('/complete-signup', createRateLimiter({
  * @access Private (requires JWT)
  */
 router.post('/setup-username', verifyToken, createRateLimiter({
+  name: 'auth-setup-username',
+  keyBy: keyExtractors.userId,
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 10, // 10 attempts per 15 minutes
   message: 'Too many username setup attempts, please try again later'
@@ -740,6 +765,7 @@ router.get('/username/check/:username', async (req, res) => {
  * @access Public
  */
 router.get('/session-status/:sessionId', createRateLimiter({
+  name: 'auth-session-status',
   windowMs: 5 * 60 * 1000, // 5 minutes
   max: 20, // 20 requests per 5 minutes
   message: 'Too many session status requests, please try again later'
@@ -805,6 +831,8 @@ router.post('/test-token', asyncHandler(async (req, res) => {
  * @access Private (requires JWT)
  */
 router.put('/update-pin', verifyToken, createRateLimiter({
+  name: 'auth-update-pin',
+  keyBy: keyExtractors.userId,
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 5, // 5 PIN update attempts per 15 minutes
   message: 'Too many PIN update attempts, please try again later'
@@ -1297,7 +1325,7 @@ export { handleSignup };
  * @desc Login a user with ZK proof
  * @access Public
  */
-router.post('/login', verifyZkProof, async (req, res) => {
+router.post('/login', auditUserLogin, verifyZkProof, async (req, res) => {
   try {
     const { walletAddress, phone, username, proof, commitment } = req.body;
 
@@ -1335,7 +1363,7 @@ router.post('/login', verifyZkProof, async (req, res) => {
     if (!user) {
       return ResponseUtils.error(res, ErrorCodes.USER_NOT_FOUND);
     }
-    // Verify ZK proof (simulated)
+    // The proof itself was verified by verifyZkProof; make sure it is for this user
     if (user.zkCommitment !== commitment) {
       return ResponseUtils.error(res, ErrorCodes.ZK_PROOF_INVALID);
     }
@@ -1361,7 +1389,7 @@ router.post('/login', verifyZkProof, async (req, res) => {
  * @desc Sign in with phone number, OTP, and PIN
  * @access Public
  */
-router.post('/signin', async (req, res) => {
+router.post('/signin', auditUserLogin, async (req, res) => {
   try {
     const { phoneNumber, otpRequestId, otpCode, pin } = req.body;
 
@@ -1531,39 +1559,71 @@ if (!process.env.BLOCKFROST_API_KEY) {
 
 const blockfrost = new BlockFrostAPI({
   projectId: process.env.BLOCKFROST_API_KEY,
-  network: 'preprod'
+  network: getNetworkProfile().name
 });
 
 // Initialize cache with 5 minute TTL
 const walletCache = new NodeCache({ stdTTL: 300 });
 
 // Rate limiter for wallet verification (10 requests per 5 minutes)
-const walletVerifyLimiter = rateLimit({
+const walletVerifyLimiter = createRateLimiter({
+  name: 'auth-verify-wallet',
+  keyBy: keyExtractors.userId,
   windowMs: 5 * 60 * 1000, // 5 minutes
-  max: 10,
-  message: {
-    success: false,
-    error: 'Rate limit exceeded. Please try again later.',
-    code: 'RATE_LIMIT_EXCEEDED',
-    timestamp: new Date().toISOString()
-  },
-  standardHeaders: true,
-  legacyHeaders: false,
-  handler: (req, res) => {
-    return ResponseUtils.error(res, ErrorCodes.RATE_LIMIT_EXCEEDED, {
-      retryAfter: Math.ceil(req.rateLimit.resetTime / 1000)
-    });
-  }
+  max: 10
+});
+
+// Rate limiter for wallet sign-in challenges (20 requests per 5 minutes per IP)
+const walletChallengeLimiter = createRateLimiter({
+  name: 'auth-wallet-challenge',
+  windowMs: 5 * 60 * 1000, // 5 minutes
+  max: 20
 });
 
+const WALLET_AUTH_ERROR_CODES = {
+  INVALID_ADDRESS: ErrorCodes.WALLET_ADDRESS_INVALID,
+  CHALLENGE_NOT_FOUND: ErrorCodes.WALLET_CHALLENGE_INVALID,
+  ADDRESS_MISMATCH: ErrorCodes.WALLET_CHALLENGE_INVALID,
+  INVALID_SIGNATURE: ErrorCodes.WALLET_SIGNATURE_INVALID
+};
+
+// Verify a CIP-30 signData answer to a challenge from POST /wallet-connect.
+// Returns an error code, or null when the wallet proved control of the address.
+async function verifyWalletSignature({ walletAddress, nonce, signature, key }) {
+  if (!nonce) {
+    return ErrorCodes.WALLET_CHALLENGE_INVALID;
+  }
+  try {
+    await walletAuthService.verifyChallenge(walletAddress, nonce, { signature, key });
+    return null;
+  } catch (error) {
+    if (error instanceof WalletAuthError) {
+      return WALLET_AUTH_ERROR_CODES[error.code];
+    }
+    throw error;
+  }
+}
+
+async function issueWalletSession(user, walletAddress) {
+  const token = jwt.sign(
+    { id: user.id, walletAddress },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRATION || '24h' }
+  );
+  await iagon.createSession({ userId: user.id, token, expiresAt: new Date(Date.now() + parseInt(process.env.JWT_EXPIRATION || 86400) * 1000) });
+  return token;
+}
+
 /**
  * @route POST /api/auth/verify-wallet
- * @desc Verify wallet address and 2ADA transaction
+ * @desc Link a wallet to the current user. Proof of ownership is a signed
+ * challenge (nonce, signature, key from POST /wallet-connect and CIP-30
+ * signData), or else a 2 ADA transaction from the wallet back to itself.
  * @access Private
  */
 router.post('/verify-wallet', authenticate, walletVerifyLimiter, async (req, res) => {
   try {
-    const { walletAddress } = req.body;
+    const { walletAddress, nonce, signature, key } = req.body;
     const userId = req.user.id;
 
     if (!walletAddress) {
@@ -1576,12 +1636,20 @@ router.post('/verify-wallet', authenticate, walletVerifyLimiter, async (req, res
       return ResponseUtils.error(res, ErrorCodes.WALLET_IN_USE);
     }
 
-    // Query blockchain for recent transactions
-    const isValidTx = await verify2AdaTransaction(walletAddress);
-    if (!isValidTx) {
-      return ResponseUtils.error(res, ErrorCodes.TRANSACTION_NOT_FOUND, {
-        message: 'No valid 2 ADA transaction found'
-      });
+    const signed = Boolean(signature && key);
+    if (signed) {
+      const errorCode = await verifyWalletSignature({ walletAddress, nonce, signature, key });
+      if (errorCode) {
+        return ResponseUtils.error(res, errorCode);
+      }
+    } else {
+      // Query blockchain for recent transactions
+      const isValidTx = await verify2AdaTransaction(walletAddress);
+      if (!isValidTx) {
+        return ResponseUtils.error(res, ErrorCodes.TRANSACTION_NOT_FOUND, {
+          message: 'No valid 2 ADA transaction found'
+        });
+      }
     }
 
     // Update user with wallet address using storage abstraction
@@ -1593,7 +1661,10 @@ router.post('/verify-wallet', authenticate, walletVerifyLimiter, async (req, res
     }
 
     return ResponseUtils.success(res, SuccessCodes.WALLET_VERIFIED, {
-      message: 'Wallet verified successfully'
+      message: 'Wallet verified successfully',
+      verificationMethod: signed ? 'signature' : 'transaction',
+      // The old token does not carry the newly linked wallet
+      token: signed ? await issueWalletSession({ id: userId }, walletAddress) : undefined
     });
   } catch (error) {
     console.error('Wallet verification error:', error);
@@ -1634,6 +1705,65 @@ router.get('/wallet-connect', authenticate, async (req, res) => {
   }
 });
 
+/**
+ * @route POST /api/auth/wallet-connect
+ * @desc Issue a single-use challenge for a wallet to sign with CIP-30 signData
+ * @access Public
+ */
+router.post('/wallet-connect', walletChallengeLimiter, async (req, res) => {
+  try {
+    const { walletAddress } = req.body;
+    if (!walletAddress) {
+      return ResponseUtils.error(res, ErrorCodes.WALLET_ADDRESS_REQUIRED);
+    }
+
+    const challenge = await walletAuthService.issueChallenge(walletAddress);
+    return ResponseUtils.success(res, SuccessCodes.WALLET_CHALLENGE_ISSUED, challenge);
+  } catch (error) {
+    if (error instanceof WalletAuthError) {
+      return ResponseUtils.error(res, WALLET_AUTH_ERROR_CODES[error.code], null, error.message);
+    }
+    console.error('Wallet challenge error:', error);
+    return ResponseUtils.error(res, ErrorCodes.SERVER_ERROR, {
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/auth/wallet-login
+ * @desc Log in with a wallet: answer a POST /wallet-connect challenge with the
+ * COSE_Sign1 signature and COSE key returned by CIP-30 signData
+ * @access Public
+ */
+router.post('/wallet-login', auditUserLogin, loginLimiter, async (req, res) => {
+  try {
+    const { walletAddress, nonce, signature, key } = req.body;
+    if (!walletAddress || !nonce || !signature || !key) {
+      return ResponseUtils.error(res, ErrorCodes.MISSING_REQUIRED_FIELDS, null, 'Missing required fields: walletAddress, nonce, signature and key are required');
+    }
+
+    const errorCode = await verifyWalletSignature({ walletAddress, nonce, signature, key });
+    if (errorCode) {
+      return ResponseUtils.error(res, errorCode);
+    }
+
+    const userResult = await storageService.findUser({ walletAddress });
+    const user = userResult.success ? userResult.data : null;
+    if (!user) {
+      return ResponseUtils.error(res, ErrorCodes.USER_NOT_FOUND);
+    }
+
+    const token = await issueWalletSession(user, walletAddress);
+    return ResponseUtils.success(res, SuccessCodes.AUTH_LOGIN_SUCCESS, { token, walletAddress });
+  } catch (error) {
+    console.error('Wallet login error:', error);
+    return ResponseUtils.error(res, ErrorCodes.SERVER_ERROR, {
+      message: error.message
+    });
+  }
+});
+
 async function verify2AdaTransaction(walletAddress) {
   // Check cache first
   const cachedResult = walletCache.get(walletAddress);
@@ -6,7 +6,7 @@
 
 import express, { Request, Response } from 'express';
 import { body, validationResult } from 'express-validator';
-import { authenticateAdmin } from '../middleware/admin-auth.js';
+import { requirePermission } from '../middleware/admin-auth.js';
 import { createRateLimiter } from '../middleware/rate-limiter.js';
 import { autoRefundMonitor } from '../services/auto-refund-monitor.js';
 import { logger } from '../utils/logger.js';
@@ -15,12 +15,14 @@ const router = express.Router();
 
 // Rate limiters for different endpoints
 const statusLimiter = createRateLimiter({
+  name: 'auto-refund-status',
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 60, // 60 requests per minute
   message: 'Too many status requests'
 });
 
 const controlLimiter = createRateLimiter({
+  name: 'auto-refund-control',
   windowMs: 1 * 60 * 1000, // 1 minute
   max: 10, // 10 control requests per minute
   message: 'Too many control requests'
@@ -119,7 +121,7 @@ router.get('/status',
  * Start the auto-refund monitoring service
  */
 router.post('/start',
-  authenticateAdmin,
+  requirePermission('monitor:control'),
   controlLimiter,
   handleAsyncRoute(async (req: Request, res: Response) => {
     try {
@@ -146,11 +148,11 @@ router.post('/start',
  * Stop the auto-refund monitoring service
  */
 router.post('/stop',
-  authenticateAdmin,
+  requirePermission('monitor:control'),
   controlLimiter,
   handleAsyncRoute(async (req: Request, res: Response) => {
     try {
-      autoRefundMonitor.stop();
+      await autoRefundMonitor.stop();
       
       res.json({
         success: true,
@@ -173,7 +175,7 @@ router.post('/stop',
  * Manually trigger a monitoring check
  */
 router.post('/trigger',
-  authenticateAdmin,
+  requirePermission('refunds:trigger'),
   controlLimiter,
   handleAsyncRoute(async (req: Request, res: Response) => {
     try {
@@ -200,7 +202,7 @@ router.post('/trigger',
  * Reset monitoring statistics
  */
 router.post('/reset-stats',
-  authenticateAdmin,
+  requirePermission('monitor:control'),
   controlLimiter,
   handleAsyncRoute(async (req: Request, res: Response) => {
     try {
@@ -231,7 +233,7 @@ router.post('/reset-stats',
  * Test webhook notifications with mock transaction
  */
 router.post('/webhook/test',
-  authenticateAdmin,
+  requirePermission('monitor:control'),
   controlLimiter,
   body('testTransaction').optional().isObject().withMessage('Test transaction must be an object'),
   handleValidationErrors,
@@ -271,7 +273,7 @@ router.post('/webhook/test',
  * to store webhook URLs in database and implement proper authentication
  */
 router.post('/webhook/register',
-  authenticateAdmin,
+  requirePermission('monitor:control'),
   controlLimiter,
   body('webhookUrl').isURL().withMessage('Valid webhook URL is required'),
   body('secret').optional().isString().withMessage('Webhook secret must be a string'),
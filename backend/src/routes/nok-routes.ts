@@ -4,29 +4,79 @@
 // contract and submits register / approve transactions on a user's behalf.
 //
 //   POST /api/nok/register        (auth)   { nokIdentifier, userId? }
+//   POST /api/nok/revoke          (auth)   { nokIdentifier }
+//   GET  /api/nok/list            (auth)
+//   PUT  /api/nok/threshold       (auth)   { threshold }
+//   POST /api/nok/confirm         (public) { userId, nokIdentifier }
 //   POST /api/nok/approve-login    (public) { userId, nokIdentifier }
+//   GET  /api/nok/status/:userId   (public) ?nokIdentifier=
 //   GET  /api/nok/check/:userId    (public)
 //   GET  /api/nok/state            (auth)
 //
+// An owner may register several NOKs. A login is approved once K of them
+// (the owner's threshold, default 1) have confirmed; the NOK calling
+// approve-login counts as one confirmation.
+//
+// Dead-man's-switch inheritance (see services/inheritance-service.ts):
+//
+//   GET    /api/nok/inheritance            (auth)
+//   PUT    /api/nok/inheritance            (auth)   { inactivityPeriodDays }
+//   DELETE /api/nok/inheritance            (auth)
+//   POST   /api/nok/inheritance/check-in   (auth)
+//   POST   /api/nok/inheritance/veto       (auth)
+//   POST   /api/nok/inheritance/claim      (public) { userId, nokIdentifier }
+//
+// Once an owner has a plan, approve-login only succeeds for the next-of-kin
+// whose claim was released by the inheritance scheduler.
+//
 // `userId` is the stable K33P user id used to derive the on-chain
 // owner_identifier. `nokIdentifier` is the next-of-kin's phone/email/id.
 
 import express from 'express';
 import { authenticateToken } from '../middleware/auth.js';
-import { createRateLimiter } from '../middleware/rate-limiter.js';
+import { createRateLimiter, keyExtractors } from '../middleware/rate-limiter.js';
+import { auditLogger, auditNokLoginApproval } from '../middleware/audit-logger.js';
 import { ResponseUtils, ErrorCodes, SuccessCodes, asyncHandler } from '../middleware/error-handler.js';
 import {
   registerNokForUser,
+  revokeNokForUser,
+  setNokThresholdForUser,
+  confirmNokForUser,
   approveNokLoginForUser,
   checkNokRegisteredForUser,
+  getNokStatusForUser,
   getNokContractState,
 } from '../services/nok-service.js';
+import { approvalRefusal, revokeRefusal, thresholdRefusal } from '../services/nok-approval.js';
+import { InheritanceError, inheritanceService } from '../services/inheritance-service.js';
 
 const router = express.Router();
 
 // NOK writes hit the proof server + chain; keep them modestly rate-limited.
-const nokWriteLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 30 });
-const nokReadLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 100 });
+const nokWriteLimiter = createRateLimiter({ name: 'nok-write', keyBy: keyExtractors.userId, windowMs: 15 * 60 * 1000, max: 30 });
+const nokReadLimiter = createRateLimiter({ name: 'nok-read', keyBy: keyExtractors.userId, windowMs: 15 * 60 * 1000, max: 100 });
+// Claims are public and start the owner's grace period; keep them scarce.
+const nokClaimLimiter = createRateLimiter({ name: 'nok-inheritance-claim', keyBy: keyExtractors.ip, windowMs: 60 * 60 * 1000, max: 5 });
+
+const INHERITANCE_ERROR_CODES: Record<InheritanceError['code'], ErrorCodes> = {
+  PLAN_NOT_FOUND: ErrorCodes.INHERITANCE_PLAN_NOT_FOUND,
+  INVALID_PERIOD: ErrorCodes.INHERITANCE_INVALID_PERIOD,
+  CLAIM_NOT_OPEN: ErrorCodes.INHERITANCE_CLAIM_NOT_OPEN,
+  NO_OPEN_CLAIM: ErrorCodes.INHERITANCE_NO_OPEN_CLAIM,
+  ALREADY_RELEASED: ErrorCodes.INHERITANCE_ALREADY_RELEASED,
+};
+
+/** Run an inheritance operation, mapping its errors onto API error codes. */
+async function withInheritanceErrors(res: express.Response, operation: () => Promise<unknown>) {
+  try {
+    return await operation();
+  } catch (error) {
+    if (error instanceof InheritanceError) {
+      return ResponseUtils.error(res, INHERITANCE_ERROR_CODES[error.code], null, error.message);
+    }
+    throw error;
+  }
+}
 
 /**
  * Register a next-of-kin for the authenticated K33P user.
@@ -47,20 +97,133 @@ router.post(
   }),
 );
 
+/**
+ * Revoke one of the authenticated user's next-of-kin.
+ * POST /api/nok/revoke
+ */
+router.post(
+  '/revoke',
+  nokWriteLimiter,
+  authenticateToken,
+  auditLogger('REVOKE', 'NOK'),
+  asyncHandler(async (req: express.Request, res: express.Response) => {
+    const userId = (req as any).user?.userId;
+    const { nokIdentifier } = req.body ?? {};
+    if (!userId) return ResponseUtils.error(res, ErrorCodes.IDENTIFIER_REQUIRED);
+    if (!nokIdentifier) return ResponseUtils.error(res, ErrorCodes.MISSING_REQUIRED_FIELDS, null, 'nokIdentifier is required');
+
+    const status = await getNokStatusForUser(String(userId), String(nokIdentifier));
+    const refusal = revokeRefusal(status);
+    if (refusal) return ResponseUtils.error(res, ErrorCodes.VALIDATION_ERROR, null, refusal);
+
+    const result = await revokeNokForUser(String(userId), String(nokIdentifier));
+    return ResponseUtils.success(res, SuccessCodes.DATA_UPDATED, result, 'Next-of-kin revoked');
+  }),
+);
+
+/**
+ * List the authenticated user's next-of-kin with their confirmation status.
+ * GET /api/nok/list
+ */
+router.get(
+  '/list',
+  nokReadLimiter,
+  authenticateToken,
+  asyncHandler(async (req: express.Request, res: express.Response) => {
+    const userId = (req as any).user?.userId;
+    if (!userId) return ResponseUtils.error(res, ErrorCodes.IDENTIFIER_REQUIRED);
+    const status = await getNokStatusForUser(String(userId));
+    return ResponseUtils.success(res, SuccessCodes.DATA_RETRIEVED, status);
+  }),
+);
+
+/**
+ * Set how many of the authenticated user's NOKs must confirm a login (K of N).
+ * PUT /api/nok/threshold
+ */
+router.put(
+  '/threshold',
+  nokWriteLimiter,
+  authenticateToken,
+  auditLogger('SET_THRESHOLD', 'NOK'),
+  asyncHandler(async (req: express.Request, res: express.Response) => {
+    const userId = (req as any).user?.userId;
+    const threshold = Number(req.body?.threshold);
+    if (!userId) return ResponseUtils.error(res, ErrorCodes.IDENTIFIER_REQUIRED);
+    if (!Number.isInteger(threshold) || threshold < 1) {
+      return ResponseUtils.error(res, ErrorCodes.VALIDATION_ERROR, null, 'threshold must be a positive integer');
+    }
+
+    const refusal = thresholdRefusal(await getNokStatusForUser(String(userId)), threshold);
+    if (refusal) return ResponseUtils.error(res, ErrorCodes.VALIDATION_ERROR, null, refusal);
+
+    const result = await setNokThresholdForUser(String(userId), threshold);
+    return ResponseUtils.success(res, SuccessCodes.DATA_UPDATED, result, 'Approval threshold updated');
+  }),
+);
+
+/**
+ * Record a next-of-kin's confirmation of a pending login. Public, like
+ * approve-login.
+ * POST /api/nok/confirm
+ */
+router.post(
+  '/confirm',
+  nokWriteLimiter,
+  auditLogger('CONFIRM_LOGIN', 'NOK', { getUserId: (req) => req.body?.userId }),
+  asyncHandler(async (req: express.Request, res: express.Response) => {
+    const { userId, nokIdentifier } = req.body ?? {};
+    if (!userId || !nokIdentifier) {
+      return ResponseUtils.error(res, ErrorCodes.MISSING_REQUIRED_FIELDS, null, 'userId and nokIdentifier are required');
+    }
+
+    const status = await getNokStatusForUser(String(userId), String(nokIdentifier));
+    if (!status.nok?.registered) {
+      return ResponseUtils.error(res, ErrorCodes.ACCESS_DENIED, null, 'Next-of-kin is not registered for this user');
+    }
+
+    const result = await confirmNokForUser(String(userId), String(nokIdentifier));
+    return ResponseUtils.success(res, SuccessCodes.DATA_UPDATED, { ...result, threshold: status.threshold }, 'Confirmation recorded');
+  }),
+);
+
 /**
  * Approve a NOK-initiated login. Public: the next-of-kin is not logged in as
- * the owner. Supply the owner's K33P userId and the NOK identifier.
+ * the owner. Supply the owner's K33P userId and the NOK identifier. Succeeds
+ * once the owner's threshold of NOKs, counting this one, have confirmed.
  * POST /api/nok/approve-login
  */
 router.post(
   '/approve-login',
   nokWriteLimiter,
+  auditNokLoginApproval,
   asyncHandler(async (req: express.Request, res: express.Response) => {
     const { userId, nokIdentifier } = req.body ?? {};
     if (!userId || !nokIdentifier) {
       return ResponseUtils.error(res, ErrorCodes.MISSING_REQUIRED_FIELDS, null, 'userId and nokIdentifier are required');
     }
 
+    const access = await inheritanceService.authorizeNokLogin(String(userId), String(nokIdentifier));
+    if (!access.allowed) {
+      return ResponseUtils.error(
+        res,
+        ErrorCodes.NOK_ACCESS_TIME_LOCKED,
+        { state: access.state },
+        'Next-of-kin access is time-locked by an inheritance plan. Submit a claim via POST /api/nok/inheritance/claim',
+      );
+    }
+
+    const status = await getNokStatusForUser(String(userId), String(nokIdentifier));
+    const refusal = approvalRefusal(status);
+    if (refusal) {
+      return ResponseUtils.error(
+        res,
+        ErrorCodes.ACCESS_DENIED,
+        { threshold: status.threshold, confirmations: status.confirmations },
+        refusal,
+      );
+    }
+
     const result = await approveNokLoginForUser(String(userId), String(nokIdentifier));
     if (!result.approved) {
       return ResponseUtils.error(res, ErrorCodes.ACCESS_DENIED, null, 'Next-of-kin login was not approved');
@@ -69,6 +232,25 @@ router.post(
   }),
 );
 
+/**
+ * K-of-N approval status for a K33P user. With ?nokIdentifier= the response
+ * includes that NOK's own registration and confirmation status; individual
+ * NOK hashes are only listed to the owner (GET /api/nok/list).
+ * GET /api/nok/status/:userId
+ */
+router.get(
+  '/status/:userId',
+  nokReadLimiter,
+  asyncHandler(async (req: express.Request, res: express.Response) => {
+    const { userId } = req.params;
+    if (!userId) return ResponseUtils.error(res, ErrorCodes.IDENTIFIER_REQUIRED);
+    const nokIdentifier = typeof req.query.nokIdentifier === 'string' ? req.query.nokIdentifier : undefined;
+
+    const { noks: _noks, ...status } = await getNokStatusForUser(String(userId), nokIdentifier);
+    return ResponseUtils.success(res, SuccessCodes.DATA_RETRIEVED, status);
+  }),
+);
+
 /**
  * Check whether a K33P user has a registered next-of-kin.
  * GET /api/nok/check/:userId
@@ -99,4 +281,112 @@ router.get(
   }),
 );
 
+/**
+ * Get the authenticated owner's inheritance plan.
+ * GET /api/nok/inheritance
+ */
+router.get(
+  '/inheritance',
+  nokReadLimiter,
+  authenticateToken,
+  asyncHandler(async (req: express.Request, res: express.Response) => {
+    const plan = await inheritanceService.getPlan(String((req as any).user.userId));
+    if (!plan) return ResponseUtils.error(res, ErrorCodes.INHERITANCE_PLAN_NOT_FOUND);
+    return ResponseUtils.success(res, SuccessCodes.DATA_RETRIEVED, plan);
+  }),
+);
+
+/**
+ * Create or replace the owner's inheritance plan. Counts as a check-in.
+ * PUT /api/nok/inheritance
+ */
+router.put(
+  '/inheritance',
+  nokWriteLimiter,
+  authenticateToken,
+  auditLogger('CONFIGURE', 'INHERITANCE'),
+  asyncHandler(async (req: express.Request, res: express.Response) => {
+    const inactivityPeriodDays = Number(req.body?.inactivityPeriodDays);
+    if (!req.body?.inactivityPeriodDays) {
+      return ResponseUtils.error(res, ErrorCodes.MISSING_REQUIRED_FIELDS, null, 'inactivityPeriodDays is required');
+    }
+
+    return withInheritanceErrors(res, async () => {
+      const plan = await inheritanceService.configurePlan(String((req as any).user.userId), inactivityPeriodDays);
+      return ResponseUtils.success(res, SuccessCodes.DATA_UPDATED, plan, 'Inheritance plan saved');
+    });
+  }),
+);
+
+/**
+ * Remove the owner's inheritance plan, restoring instant NOK approval.
+ * DELETE /api/nok/inheritance
+ */
+router.delete(
+  '/inheritance',
+  nokWriteLimiter,
+  authenticateToken,
+  auditLogger('REMOVE', 'INHERITANCE'),
+  asyncHandler(async (req: express.Request, res: express.Response) => {
+    return withInheritanceErrors(res, async () => {
+      await inheritanceService.removePlan(String((req as any).user.userId));
+      return ResponseUtils.success(res, SuccessCodes.OPERATION_SUCCESS, null, 'Inheritance plan removed');
+    });
+  }),
+);
+
+/**
+ * Owner check-in. Restarts the inactivity period and cancels any open claim.
+ * POST /api/nok/inheritance/check-in
+ */
+router.post(
+  '/inheritance/check-in',
+  nokWriteLimiter,
+  authenticateToken,
+  auditLogger('CHECK_IN', 'INHERITANCE'),
+  asyncHandler(async (req: express.Request, res: express.Response) => {
+    return withInheritanceErrors(res, async () => {
+      const plan = await inheritanceService.checkIn(String((req as any).user.userId));
+      return ResponseUtils.success(res, SuccessCodes.DATA_UPDATED, plan, 'Check-in recorded');
+    });
+  }),
+);
+
+/**
+ * Owner veto of an open next-of-kin claim during its grace period.
+ * POST /api/nok/inheritance/veto
+ */
+router.post(
+  '/inheritance/veto',
+  nokWriteLimiter,
+  authenticateToken,
+  asyncHandler(async (req: express.Request, res: express.Response) => {
+    return withInheritanceErrors(res, async () => {
+      const plan = await inheritanceService.veto(String((req as any).user.userId));
+      return ResponseUtils.success(res, SuccessCodes.DATA_UPDATED, plan, 'Next-of-kin claim vetoed');
+    });
+  }),
+);
+
+/**
+ * Next-of-kin claim once the owner's claim window is open. Public: starts the
+ * grace period, after which the scheduler approves the login on the contract.
+ * POST /api/nok/inheritance/claim
+ */
+router.post(
+  '/inheritance/claim',
+  nokClaimLimiter,
+  asyncHandler(async (req: express.Request, res: express.Response) => {
+    const { userId, nokIdentifier } = req.body ?? {};
+    if (!userId || !nokIdentifier) {
+      return ResponseUtils.error(res, ErrorCodes.MISSING_REQUIRED_FIELDS, null, 'userId and nokIdentifier are required');
+    }
+
+    return withInheritanceErrors(res, async () => {
+      const result = await inheritanceService.claim(String(userId), String(nokIdentifier));
+      return ResponseUtils.success(res, SuccessCodes.DATA_CREATED, result, 'Claim received. Access is granted when the grace period ends unless the owner vetoes it', 202);
+    });
+  }),
+);
+
 export default router;
@@ -2,6 +2,7 @@ import express, { Request, Response } from 'express';
 import { body, validationResult } from 'express-validator';
 import { ResponseUtils, ErrorCodes } from '../middleware/error-handler.js';
 import { redisClient } from '../utils/redis.js';
+import { createRateLimiter, keyExtractors, redisRateLimitStore } from '../middleware/rate-limiter.js';
 import { logger } from '../utils/logger.js';
 import { infobipService } from '../services/infobip-service.js';
 
@@ -12,6 +13,17 @@ const TEST_PHONE = '2348000000000';
 const TEST_OTP = '00000';
 // =============================================================
 
+// OTPs already live in Redis, so their send limit is always shared through it
+const otpSendLimiter = createRateLimiter({
+  name: 'otp-send',
+  keyBy: keyExtractors.phoneHash,
+  store: redisRateLimitStore,
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  max: 3,
+  message: 'Too many OTP requests. Please try again in 10 minutes.',
+  skip: (req) => req.body?.phone === TEST_PHONE
+});
+
 // Generate 5-digit OTP
 const generateOTP = (): string => Math.floor(10000 + Math.random() * 90000).toString();
 
@@ -23,6 +35,7 @@ router.post('/send',
   [
     body('phone').isString().trim(),
   ],
+  otpSendLimiter,
   async (req: Request, res: Response) => {
     const { phone } = req.body;
 
@@ -49,28 +62,6 @@ router.post('/send',
     try {
       logger.info(`🔍 Starting OTP process for ${phone}`);
 
-      // ==================== RATE LIMITING ====================
-      logger.info(`⏱️ Checking rate limit for ${phone}`);
-      const rateKey = `rate:otp:${phone}`;
-      const rateLimit = await redisClient.get(rateKey);
-      const currentCount = rateLimit ? parseInt(rateLimit) : 0;
-
-      if (currentCount >= 3) {
-        logger.warn(`🚫 Rate limit exceeded for ${phone} (${currentCount} requests)`);
-        return ResponseUtils.error(
-          res,
-          ErrorCodes.RATE_LIMIT_EXCEEDED,
-          null,
-          'Too many OTP requests. Please try again in 10 minutes.'
-        );
-      }
-
-      await redisClient.incr(rateKey);
-      if (currentCount === 0) {
-        await redisClient.expire(rateKey, 10 * 60);
-      }
-      logger.info(`✅ Rate limit updated for ${phone}`);
-
       // ==================== COOLDOWN CHECK ====================
       logger.info(`🔍 Checking if OTP already exists for ${phone}`);
       const existingOTP = await redisClient.get(`otp:${phone}`);
@@ -9,47 +9,26 @@ import { body, param, validationResult } from 'express-validator';
 import jwt from 'jsonwebtoken';
 import { authenticateToken } from '../middleware/auth.js';
 import { logger } from '../utils/logger.js';
-import { Pool } from 'pg';
+import pool from '../database/config.js';
+import { PhoneChangeRequestModel, PhoneChangeRequestRecord } from '../database/models.js';
+import { verificationStore } from '../services/verification-store.js';
 import { EnhancedK33PManagerDB } from '../enhanced-k33p-manager-db.js';
 import crypto from 'crypto';
 import { dbService } from '../database/service.js';
 
 const router = express.Router();
-const pool = new Pool();
 const k33pManager = new EnhancedK33PManagerDB();
 
 // ============================================================================
-// TYPES AND INTERFACES
+// PERSISTENT STATE
+// Change requests live in the phone_change_requests table; OTP codes live in
+// the shared verification store
 // ============================================================================
 
-interface PhoneChangeRequest {
-  userId: string;
-  currentPhoneHash: string;
-  newPhoneNumber: string;
-  verificationMethod: 'onchain' | 'offchain';
-  otp?: string;
-  zkProof?: string;
-  txHash?: string;
-  timestamp: Date;
-  status: 'pending' | 'verified' | 'completed' | 'failed';
-}
-
-interface RecoveryRequest {
-  userId: string;
-  recoveryMethod: 'emergency_contact' | 'backup_phrase' | 'onchain_proof' | 'multi_factor';
-  newPhoneNumber: string;
-  verificationData: any;
-  timestamp: Date;
-  status: 'pending' | 'verified' | 'completed' | 'failed';
-}
-
-// ============================================================================
-// IN-MEMORY STORAGE (Replace with Redis in production)
-// ============================================================================
-
-const phoneChangeRequests = new Map<string, PhoneChangeRequest>();
-const recoveryRequests = new Map<string, RecoveryRequest>();
-const otpStorage = new Map<string, { otp: string; expiresAt: Date; attempts: number }>();
+const OTP_NAMESPACE = 'phone-change:otp';
+const OTP_TTL_SECONDS = 10 * 60; // 10 minutes
+const OTP_MAX_ATTEMPTS = 3;
+const ONCHAIN_TTL_SECONDS = 30 * 60; // 30 minutes
 
 // ============================================================================
 // VALIDATION MIDDLEWARE
@@ -137,6 +116,24 @@ const sendRecoveryEmail = async (email: string, recoveryData: any): Promise<bool
   return true;
 };
 
+/**
+ * Load a pending change request owned by the user
+ * Requests past their expiry are marked expired
+ */
+const getOpenChangeRequest = async (requestId: string, userId: string): Promise<PhoneChangeRequestRecord | null> => {
+  const changeRequest = await PhoneChangeRequestModel.findByRequestId(requestId);
+  if (!changeRequest || changeRequest.user_id !== userId || changeRequest.status !== 'pending') {
+    return null;
+  }
+
+  if (new Date(changeRequest.expires_at) < new Date()) {
+    await PhoneChangeRequestModel.update(requestId, { status: 'expired' });
+    return null;
+  }
+
+  return changeRequest;
+};
+
 const handleValidationErrors = (req: Request, res: Response, next: any) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -221,22 +218,29 @@ router.post('/change/request',
       }
       
       const requestId = generateRequestId();
-      const changeRequest: PhoneChangeRequest = {
-        userId,
-        currentPhoneHash: user.phone_hash || '',
-        newPhoneNumber,
-        verificationMethod,
-        timestamp: new Date(),
-        status: 'pending'
-      };
-      
-      phoneChangeRequests.set(requestId, changeRequest);
+      const ttlSeconds = verificationMethod === 'offchain' ? OTP_TTL_SECONDS : ONCHAIN_TTL_SECONDS;
+      const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+      
+      await PhoneChangeRequestModel.create({
+        request_id: requestId,
+        user_id: userId,
+        current_phone_hash: user.phone_hash || '',
+        new_phone_hash: newPhoneHash,
+        verification_method: verificationMethod === 'offchain' ? 'sms' : 'onchain',
+        verification_data: {},
+        status: 'pending',
+        attempts: 0,
+        max_attempts: OTP_MAX_ATTEMPTS,
+        expires_at: expiresAt
+      });
       
       if (verificationMethod === 'offchain') {
         // Send OTP to new phone number
         const otp = generateOTP();
-        const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes
-        otpStorage.set(requestId, { otp, expiresAt, attempts: 0 });
+        await verificationStore.issueCode(OTP_NAMESPACE, requestId, otp, {
+          ttlSeconds: OTP_TTL_SECONDS,
+          maxAttempts: OTP_MAX_ATTEMPTS
+        });
         
         await sendOTPSMS(newPhoneNumber, otp);
         
@@ -262,7 +266,7 @@ router.post('/change/request',
             verificationMethod: 'onchain',
             depositAddress,
             requiredAmount,
-            expiresAt: new Date(Date.now() + 30 * 60 * 1000) // 30 minutes
+            expiresAt
           }
         });
       }
@@ -299,8 +303,8 @@ router.post('/change/verify-otp',
         });
       }
       
-      const changeRequest = phoneChangeRequests.get(requestId);
-      if (!changeRequest || changeRequest.userId !== userId) {
+      const changeRequest = await getOpenChangeRequest(requestId, userId);
+      if (!changeRequest) {
         return res.status(404).json({
           success: false,
           message: 'Invalid request ID',
@@ -308,28 +312,18 @@ router.post('/change/verify-otp',
         });
       }
       
-      const storedOTP = otpStorage.get(requestId);
-      if (!storedOTP) {
-        return res.status(400).json({
-          success: false,
-          message: 'OTP expired or not found',
-          error: 'OTP_EXPIRED'
-        });
-      }
+      const otpResult = await verificationStore.verifyCode(OTP_NAMESPACE, requestId, otp);
       
-      if (storedOTP.expiresAt < new Date()) {
-        otpStorage.delete(requestId);
+      if (otpResult.reason === 'NOT_FOUND') {
         return res.status(400).json({
           success: false,
-          message: 'OTP expired',
+          message: 'OTP expired or not found',
           error: 'OTP_EXPIRED'
         });
       }
       
-      storedOTP.attempts++;
-      if (storedOTP.attempts > 3) {
-        otpStorage.delete(requestId);
-        phoneChangeRequests.delete(requestId);
+      if (otpResult.reason === 'TOO_MANY_ATTEMPTS') {
+        await PhoneChangeRequestModel.update(requestId, { status: 'failed' });
         return res.status(400).json({
           success: false,
           message: 'Too many attempts',
@@ -337,7 +331,8 @@ router.post('/change/verify-otp',
         });
       }
       
-      if (storedOTP.otp !== otp) {
+      if (!otpResult.valid) {
+        await PhoneChangeRequestModel.update(requestId, { attempts: changeRequest.attempts + 1 });
         return res.status(400).json({
           success: false,
           message: 'Invalid OTP',
@@ -346,7 +341,7 @@ router.post('/change/verify-otp',
       }
       
       // OTP verified, update phone number
-      const newPhoneHash = hashPhone(changeRequest.newPhoneNumber);
+      const newPhoneHash = changeRequest.new_phone_hash;
       const updatedUser = await dbService.updateUser(userId, {
         phone_hash: newPhoneHash,
         updated_at: new Date()
@@ -360,10 +355,10 @@ router.post('/change/verify-otp',
         });
       }
       
-      // Clean up
-      otpStorage.delete(requestId);
-      changeRequest.status = 'completed';
-      phoneChangeRequests.set(requestId, changeRequest);
+      await PhoneChangeRequestModel.update(requestId, {
+        status: 'completed',
+        completed_at: new Date()
+      });
       
       // Log the change
       logger.info(`Phone number changed successfully for user: ${userId}`);
@@ -411,8 +406,8 @@ router.post('/change/verify-onchain',
         });
       }
       
-      const changeRequest = phoneChangeRequests.get(requestId);
-      if (!changeRequest || changeRequest.userId !== userId) {
+      const changeRequest = await getOpenChangeRequest(requestId, userId);
+      if (!changeRequest) {
         return res.status(404).json({
           success: false,
           message: 'Invalid request ID',
@@ -455,7 +450,7 @@ router.post('/change/verify-onchain',
       }
       
       // Update phone number
-      const newPhoneHash = hashPhone(changeRequest.newPhoneNumber);
+      const newPhoneHash = changeRequest.new_phone_hash;
       const updatedUser = await dbService.updateUser(userId, {
         phone_hash: newPhoneHash,
         updated_at: new Date()
@@ -470,9 +465,11 @@ router.post('/change/verify-onchain',
       }
       
       // Update request status
-      changeRequest.status = 'completed';
-      changeRequest.txHash = txHash;
-      phoneChangeRequests.set(requestId, changeRequest);
+      await PhoneChangeRequestModel.update(requestId, {
+        status: 'completed',
+        verification_data: { ...changeRequest.verification_data, txHash },
+        completed_at: new Date()
+      });
       
       // Log the change
       logger.info(`Phone number changed successfully via onchain for user: ${userId}`);
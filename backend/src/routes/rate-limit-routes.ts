@@ -0,0 +1,179 @@
+/**
+ * Rate Limit Admin Routes for K33P Backend
+ * Inspect and clear rate limit buckets without restarting the server
+ */
+
+import express, { Request, Response } from 'express';
+import { param, query, validationResult } from 'express-validator';
+import { requirePermission } from '../middleware/admin-auth.js';
+import {
+  BucketSnapshot,
+  getRegisteredLimiter,
+  getRegisteredLimiters,
+  hashPhoneForRateLimit
+} from '../middleware/rate-limiter.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+const handleValidationErrors = (req: Request, res: Response, next: any) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const handleAsyncRoute = (fn: Function) => {
+  return (req: Request, res: Response, next: any) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+};
+
+const validateBucketQuery = [
+  param('name').isString().notEmpty(),
+  query('key').optional().isString().notEmpty(),
+  query('phone').optional().isString().notEmpty()
+];
+
+/**
+ * Resolve the key part to filter on from ?key= (e.g. "ip:1.2.3.4") or
+ * ?phone= (hashed the same way the phoneHash extractor does)
+ */
+const getKeyFilter = (req: Request): string | undefined => {
+  if (req.query.phone) {
+    return `phone:${hashPhoneForRateLimit(req.query.phone as string)}`;
+  }
+  return req.query.key as string | undefined;
+};
+
+// Bucket IDs combine several key parts, e.g. "user:abc|route:POST /api/x"
+const filterBuckets = (buckets: BucketSnapshot[], keyFilter?: string): BucketSnapshot[] =>
+  keyFilter ? buckets.filter(bucket => bucket.id.split('|').includes(keyFilter)) : buckets;
+
+const sendLimiterNotFound = (res: Response, name: string) =>
+  res.status(404).json({
+    success: false,
+    message: `Rate limiter "${name}" not found`,
+    error: 'RATE_LIMITER_NOT_FOUND'
+  });
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * GET /api/admin/rate-limits
+ * List the registered rate limiters and their policies
+ */
+router.get('/',
+  requirePermission('rate-limits:manage'),
+  (req: Request, res: Response) => {
+    res.json({
+      success: true,
+      data: {
+        limiters: getRegisteredLimiters().map(limiter => ({
+          name: limiter.name,
+          algorithm: limiter.algorithm,
+          max: limiter.max,
+          windowMs: limiter.windowMs,
+          store: limiter.store.type
+        }))
+      }
+    });
+  }
+);
+
+/**
+ * GET /api/admin/rate-limits/:name
+ * Inspect the active buckets of a rate limiter
+ */
+router.get('/:name',
+  requirePermission('rate-limits:manage'),
+  validateBucketQuery,
+  handleValidationErrors,
+  handleAsyncRoute(async (req: Request, res: Response) => {
+    const limiter = getRegisteredLimiter(req.params.name);
+    if (!limiter) {
+      return sendLimiterNotFound(res, req.params.name);
+    }
+
+    try {
+      const buckets = filterBuckets(await limiter.store.list(limiter.name), getKeyFilter(req));
+
+      res.json({
+        success: true,
+        data: {
+          name: limiter.name,
+          algorithm: limiter.algorithm,
+          max: limiter.max,
+          windowMs: limiter.windowMs,
+          store: limiter.store.type,
+          buckets,
+          count: buckets.length
+        }
+      });
+
+    } catch (error: any) {
+      logger.error(`Error inspecting rate limiter ${limiter.name}:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to inspect rate limiter',
+        error: 'SERVER_ERROR'
+      });
+    }
+  })
+);
+
+/**
+ * DELETE /api/admin/rate-limits/:name
+ * Clear the buckets of a rate limiter, or only those matching ?key= / ?phone=
+ */
+router.delete('/:name',
+  requirePermission('rate-limits:manage'),
+  validateBucketQuery,
+  handleValidationErrors,
+  handleAsyncRoute(async (req: Request, res: Response) => {
+    const limiter = getRegisteredLimiter(req.params.name);
+    if (!limiter) {
+      return sendLimiterNotFound(res, req.params.name);
+    }
+
+    try {
+      const keyFilter = getKeyFilter(req);
+      const ids = keyFilter
+        ? filterBuckets(await limiter.store.list(limiter.name), keyFilter).map(bucket => bucket.id)
+        : undefined;
+      const cleared = await limiter.store.clear(limiter.name, ids);
+
+      logger.info(`Cleared ${cleared} rate limit bucket(s) for ${limiter.name}`, { keyFilter, ip: req.ip });
+
+      res.json({
+        success: true,
+        message: 'Rate limit buckets cleared',
+        data: {
+          name: limiter.name,
+          cleared
+        }
+      });
+
+    } catch (error: any) {
+      logger.error(`Error clearing rate limiter ${limiter.name}:`, error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to clear rate limiter',
+        error: 'SERVER_ERROR'
+      });
+    }
+  })
+);
+
+export default router;
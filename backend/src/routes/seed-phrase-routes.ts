@@ -5,11 +5,13 @@
 
 import express from 'express';
 import { body, param, query, validationResult } from 'express-validator';
-import { SeedPhraseStorageService } from '../services/seed-phrase-storage.js';
+import { SeedPhraseError, SeedPhraseStorageService } from '../services/seed-phrase-storage.js';
 
 import { authenticateToken } from '../middleware/auth.js';
-import { createRateLimiter } from '../middleware/rate-limiter.js';
+import { createRateLimiter, keyExtractors } from '../middleware/rate-limiter.js';
 import { auditLogger } from '../middleware/audit-logger.js';
+import { approveNokLoginForUser, checkNokRegisteredForUser } from '../services/nok-service.js';
+import { inheritanceService } from '../services/inheritance-service.js';
 import { Pool } from 'pg';
 import { EnhancedK33PManagerDB } from '../enhanced-k33p-manager-db.js';
 
@@ -48,6 +50,34 @@ const handleValidationErrors = (req: express.Request, res: express.Response, nex
   next();
 };
 
+const SEED_PHRASE_ERROR_STATUS: Record<SeedPhraseError['code'], number> = {
+  SEED_PHRASE_NOT_FOUND: 404,
+  INVALID_ENCRYPTION_SECRET: 403,
+  INVALID_SEED_PHRASE: 400,
+  SPLIT_NOT_FOUND: 404,
+  INVALID_SHARES: 400,
+  NOK_NOT_APPROVED: 403,
+  SERVER_KEY_REQUIRED: 503
+};
+
+// Known seed phrase failures map to client errors; anything else is a 500
+const sendSeedPhraseError = (res: express.Response, error: unknown, message: string) => {
+  if (error instanceof SeedPhraseError) {
+    return res.status(SEED_PHRASE_ERROR_STATUS[error.code]).json({
+      success: false,
+      message: error.message,
+      error: error.code
+    });
+  }
+
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    success: false,
+    message,
+    error: error instanceof Error ? error.message : 'Unknown error'
+  });
+};
+
 // ============================================================================
 // SEED PHRASE STORAGE ROUTES
 // ============================================================================
@@ -58,7 +88,7 @@ const handleValidationErrors = (req: express.Request, res: express.Response, nex
  */
 router.post('/store',
   authenticateToken,
-  createRateLimiter({ windowMs: 60 * 60 * 1000, max: 3 }), // 3 requests per hour
+  createRateLimiter({ name: 'seed-phrase-store', keyBy: keyExtractors.userId, windowMs: 60 * 60 * 1000, max: 3 }), // 3 requests per hour
   [
     body('walletName')
       .isLength({ min: 1, max: 100 })
@@ -98,7 +128,8 @@ router.post('/store',
         userId,
         walletName,
         seedPhrase,
-        walletType
+        walletType,
+        encryptionPassword
       );
 
       res.status(201).json({
@@ -112,12 +143,7 @@ router.post('/store',
         }
       });
     } catch (error) {
-      console.error('Error storing seed phrase:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to store seed phrase',
-        error: error instanceof Error ? error.message : 'Unknown error'
-      });
+      sendSeedPhraseError(res, error, 'Failed to store seed phrase');
     }
   }
 );
@@ -166,7 +192,7 @@ router.get('/',
  */
 router.post('/:id/retrieve',
   authenticateToken,
-  createRateLimiter({ windowMs: 60 * 60 * 1000, max: 3 }), // 3 requests per hour
+  createRateLimiter({ name: 'seed-phrase-retrieve', keyBy: keyExtractors.userId, windowMs: 60 * 60 * 1000, max: 3 }), // 3 requests per hour
   [
     param('id').isUUID().withMessage('Invalid seed phrase ID'),
     body('encryptionPassword')
@@ -202,17 +228,174 @@ router.post('/:id/retrieve',
         }
       });
     } catch (error) {
-      console.error('Error retrieving seed phrase:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to retrieve seed phrase',
-        error: error instanceof Error ? error.message : 'Unknown error'
+      sendSeedPhraseError(res, error, 'Failed to retrieve seed phrase');
+    }
+  }
+);
+
+/**
+ * Re-wrap the keys of all of the user's seed phrases under a new secret,
+ * e.g. after a PIN change. Seed phrases are not decrypted.
+ * POST /api/seed-phrases/rotate-keys
+ */
+router.post('/rotate-keys',
+  authenticateToken,
+  createRateLimiter({ name: 'seed-phrase-rotate-keys', keyBy: keyExtractors.userId, windowMs: 60 * 60 * 1000, max: 5 }), // 5 requests per hour
+  [
+    body('currentEncryptionPassword')
+      .isLength({ min: 8 })
+      .withMessage('Current encryption password is required'),
+    body('newEncryptionPassword')
+      .isLength({ min: 8 })
+      .withMessage('New encryption password must be at least 8 characters')
+      .custom((value, { req }) => value !== req.body.currentEncryptionPassword)
+      .withMessage('New encryption password must differ from the current one')
+  ],
+  handleValidationErrors,
+  auditLogger('ROTATE_KEYS', 'SEED_PHRASE'),
+  async (req: express.Request, res: express.Response) => {
+    try {
+      const userId = req.user?.userId;
+      if (!userId) {
+        return res.status(401).json({ success: false, message: 'User not authenticated' });
+      }
+
+      const { currentEncryptionPassword, newEncryptionPassword } = req.body;
+      const result = await seedPhraseService.rotateKeys(userId, currentEncryptionPassword, newEncryptionPassword);
+
+      res.json({
+        success: true,
+        message: 'Seed phrase keys rotated successfully',
+        data: result
+      });
+    } catch (error) {
+      sendSeedPhraseError(res, error, 'Failed to rotate seed phrase keys');
+    }
+  }
+);
+
+
+/**
+ * Split a stored seed phrase into M-of-N Shamir shares: one for the user,
+ * one held encrypted by K33P and one per next-of-kin. The user and NOK shares
+ * are only returned by this call.
+ * POST /api/seed-phrases/:id/split
+ */
+router.post('/:id/split',
+  authenticateToken,
+  createRateLimiter({ name: 'seed-phrase-split', keyBy: keyExtractors.userId, windowMs: 60 * 60 * 1000, max: 3 }), // 3 requests per hour
+  [
+    param('id').isUUID().withMessage('Invalid seed phrase ID'),
+    body('encryptionPassword')
+      .isLength({ min: 8 })
+      .withMessage('Encryption password is required'),
+    body('nokIdentifiers')
+      .isArray({ min: 1, max: 10 })
+      .withMessage('nokIdentifiers must list between 1 and 10 next-of-kin'),
+    body('nokIdentifiers.*')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Each next-of-kin identifier must be a non-empty string'),
+    body('threshold')
+      .optional()
+      .isInt({ min: 2 })
+      .toInt()
+      .withMessage('Threshold must be at least 2')
+  ],
+  handleValidationErrors,
+  auditLogger('SPLIT', 'SEED_PHRASE'),
+  async (req: express.Request, res: express.Response) => {
+    try {
+      const userId = req.user?.userId;
+      if (!userId) {
+        return res.status(401).json({ success: false, message: 'User not authenticated' });
+      }
+
+      const { encryptionPassword, nokIdentifiers } = req.body;
+      const threshold = req.body.threshold ?? 2;
+
+      const nok = await checkNokRegisteredForUser(userId);
+      if (!nok.registered) {
+        return res.status(400).json({
+          success: false,
+          message: 'Register a next-of-kin before issuing shares',
+          error: 'NOK_NOT_REGISTERED'
+        });
+      }
+
+      const result = await seedPhraseService.splitSeedPhrase(
+        req.params.id,
+        userId,
+        encryptionPassword,
+        threshold,
+        nokIdentifiers
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Seed phrase split into shares. Store the user share and deliver each next-of-kin share; they cannot be retrieved again.',
+        data: result
       });
+    } catch (error) {
+      sendSeedPhraseError(res, error, 'Failed to split seed phrase');
     }
   }
 );
 
+/**
+ * Recover a seed phrase as a next-of-kin. Public: the next-of-kin is not
+ * logged in as the owner. K33P's share is only used once the NOK contract's
+ * approve_nok_login succeeds.
+ * POST /api/seed-phrases/:id/recover
+ */
+router.post('/:id/recover',
+  createRateLimiter({ name: 'seed-phrase-recover', windowMs: 60 * 60 * 1000, max: 5 }), // 5 requests per hour
+  [
+    param('id').isUUID().withMessage('Invalid seed phrase ID'),
+    body('userId')
+      .isString()
+      .notEmpty()
+      .withMessage('userId is required'),
+    body('nokIdentifier')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('nokIdentifier is required'),
+    body('shares')
+      .isArray({ min: 1, max: 20 })
+      .withMessage('shares must include the next-of-kin share')
+  ],
+  handleValidationErrors,
+  auditLogger('RECOVER', 'SEED_PHRASE', {
+    getUserId: (req) => req.body?.userId,
+    getResourceId: (req) => req.params.id
+  }),
+  async (req: express.Request, res: express.Response) => {
+    try {
+      const { userId, nokIdentifier, shares } = req.body;
+
+      const result = await seedPhraseService.recoverSeedPhrase(
+        String(userId),
+        req.params.id,
+        nokIdentifier,
+        shares,
+        // An inheritance plan time-locks recovery until the NOK's claim is released
+        async (ownerId, nokId) =>
+          (await inheritanceService.authorizeNokLogin(ownerId, nokId)).allowed
+          && (await approveNokLoginForUser(ownerId, nokId)).approved === true
+      );
 
+      res.json({
+        success: true,
+        message: 'Seed phrase recovered successfully',
+        data: result
+      });
+    } catch (error) {
+      sendSeedPhraseError(res, error, 'Failed to recover seed phrase');
+    }
+  }
+);
 
 // NOK access requests route removed
 
@@ -0,0 +1,109 @@
+/**
+ * Signing Service Routes for K33P
+ * The HTTP API RemoteSigner talks to, served by src/signing-server.ts rather
+ * than the main backend. Every route needs the service's bearer token.
+ */
+
+import crypto from 'crypto';
+import express, { NextFunction, Request, Response } from 'express';
+import { body, validationResult } from 'express-validator';
+import { SigningService } from '../services/signing-service.js';
+import { SignerError } from '../services/signer.js';
+import { logger } from '../utils/logger.js';
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+const handleValidationErrors = (req: Request, res: Response, next: any) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const handleAsyncRoute = (fn: Function) => {
+  return (req: Request, res: Response, next: any) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+};
+
+const requireToken = (token: string) => {
+  const expected = Buffer.from(token);
+  return (req: Request, res: Response, next: NextFunction) => {
+    const provided = Buffer.from((req.headers.authorization ?? '').replace(/^Bearer /, ''));
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+      logger.warn('Signing request with a missing or invalid token', { ip: req.ip, endpoint: req.path });
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid signing service token',
+        error: 'UNAUTHORIZED'
+      });
+    }
+    next();
+  };
+};
+
+const validateSignRequest = [
+  body('txCbor').isHexadecimal().withMessage('txCbor must be a transaction in CBOR hex'),
+  body('purpose').isIn(['refund', 'signup', 'script-spend', 'consolidation']).withMessage('Invalid purpose')
+];
+
+const STATUS_BY_CODE: Partial<Record<SignerError['code'], number>> = {
+  INVALID_TX: 400,
+  POLICY_REJECTED: 403
+};
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+export function createSigningRouter(service: SigningService, token: string): express.Router {
+  const router = express.Router();
+  router.use(requireToken(token));
+
+  /**
+   * GET /v1/key
+   * Address and payment key hash of the signing wallet
+   */
+  router.get('/v1/key', handleAsyncRoute(async (req: Request, res: Response) => {
+    res.json({ success: true, ...(await service.keyInfo()) });
+  }));
+
+  /**
+   * POST /v1/sign
+   * Witness set for a transaction the signing policy allows
+   */
+  router.post('/v1/sign',
+    validateSignRequest,
+    handleValidationErrors,
+    handleAsyncRoute(async (req: Request, res: Response) => {
+      try {
+        const result = await service.sign({
+          txCbor: req.body.txCbor,
+          purpose: req.body.purpose,
+          requester: req.ip
+        });
+        res.json({ success: true, ...result });
+      } catch (error: any) {
+        const status = error instanceof SignerError ? STATUS_BY_CODE[error.code] : undefined;
+        if (status) {
+          return res.status(status).json({ success: false, message: error.message, error: error.code });
+        }
+        logger.error('Error signing transaction:', error);
+        res.status(500).json({
+          success: false,
+          message: 'Failed to sign transaction',
+          error: 'SERVER_ERROR'
+        });
+      }
+    })
+  );
+
+  return router;
+}
@@ -0,0 +1,101 @@
+/**
+ * Treasury Admin Routes for K33P Backend
+ * Balance, UTxO layout and balance history of the refund wallet
+ */
+
+import express, { Request, Response } from 'express';
+import { query, validationResult } from 'express-validator';
+import { requirePermission } from '../middleware/admin-auth.js';
+import { autoRefundMonitor } from '../services/auto-refund-monitor.js';
+import { TreasurySnapshotRecord } from '../database/models.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+const handleValidationErrors = (req: Request, res: Response, next: any) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: errors.array()
+    });
+  }
+  next();
+};
+
+const handleAsyncRoute = (fn: Function) => {
+  return (req: Request, res: Response, next: any) => {
+    Promise.resolve(fn(req, res, next)).catch(next);
+  };
+};
+
+const validateTreasuryQuery = [
+  query('days').optional().isInt({ min: 1, max: 90 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).toInt()
+];
+
+// Lovelace and token quantities are sent as strings; JSON has no bigint
+const serializeSnapshot = (snapshot: TreasurySnapshotRecord) => ({
+  ...snapshot,
+  lovelace: snapshot.lovelace.toString(),
+  assets: Object.fromEntries(Object.entries(snapshot.assets).map(([unit, quantity]) => [unit, quantity.toString()]))
+});
+
+// ============================================================================
+// ROUTES
+// ============================================================================
+
+/**
+ * GET /api/admin/treasury
+ * Current refund wallet state and its balance history over the last `days`
+ */
+router.get('/',
+  requirePermission('treasury:read'),
+  validateTreasuryQuery,
+  handleValidationErrors,
+  handleAsyncRoute(async (req: Request, res: Response) => {
+    try {
+      const treasury = autoRefundMonitor.getTreasury();
+      if (!treasury) {
+        return res.status(503).json({
+          success: false,
+          message: 'Treasury is not available; the refund wallet needs Cardano enabled',
+          error: 'TREASURY_UNAVAILABLE'
+        });
+      }
+
+      const days = (req.query.days as any) ?? 7;
+      const limit = (req.query.limit as any) ?? 500;
+      const report = await treasury.getReport(new Date(Date.now() - days * DAY_MS), limit);
+
+      res.json({
+        success: true,
+        data: {
+          walletAddress: report.walletAddress,
+          refundsPaused: report.refundsPaused,
+          lowWaterMark: report.lowWaterMark.toString(),
+          dustThreshold: report.dustThreshold.toString(),
+          latest: report.latest ? serializeSnapshot(report.latest) : null,
+          history: report.history.map(serializeSnapshot)
+        }
+      });
+
+    } catch (error: any) {
+      logger.error('Error loading treasury report:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to load treasury report',
+        error: 'SERVER_ERROR'
+      });
+    }
+  })
+);
+
+export default router;
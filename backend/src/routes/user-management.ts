@@ -3,7 +3,8 @@ import crypto from 'crypto';
 import { UserDataStorageService } from '../services/user-data-storage.js';
 import { EnhancedIagonService } from '../services/enhanced-iagon-service.js';
 import { authenticateToken } from '../middleware/auth.js';
-import { createRateLimiter } from '../middleware/rate-limiter.js';
+import { userHasPermission } from '../services/access-control.js';
+import { createRateLimiter, keyExtractors } from '../middleware/rate-limiter.js';
 import { ResponseUtils, ErrorCodes } from '../middleware/error-handler.js';
 import logger from '../utils/logger.js';
 
@@ -25,7 +26,7 @@ const validateUserId = (req: Request, res: Response, next: any) => {
  * POST /api/users
  */
 router.post('/', 
-  createRateLimiter({ windowMs: 10 * 60 * 1000, max: 5 }), // 5 requests per 10 minutes
+  createRateLimiter({ name: 'user-create', windowMs: 10 * 60 * 1000, max: 5 }), // 5 requests per 10 minutes
   async (req: Request, res: Response) => {
   try {
     const {
@@ -147,7 +148,7 @@ router.put('/:userId', validateUserId, async (req: Request, res: Response) => {
  * DELETE /api/users/:userId
  */
 router.delete('/:userId', 
-  createRateLimiter({ windowMs: 60 * 60 * 1000, max: 3 }), // 3 requests per hour
+  createRateLimiter({ name: 'user-delete', keyBy: keyExtractors.userId, windowMs: 60 * 60 * 1000, max: 3 }), // 3 requests per hour
   authenticateToken, 
   validateUserId, 
   async (req: Request, res: Response) => {
@@ -157,7 +158,7 @@ router.delete('/:userId',
 
     // Security check: ensure user can only delete their own data or is admin
     const requestingUser = (req as any).user;
-    if (requestingUser.userId !== userId && !requestingUser.isAdmin) {
+    if (requestingUser.userId !== userId && !(await userHasPermission(requestingUser.userId, 'users:write'))) {
       return ResponseUtils.error(res, ErrorCodes.ACCESS_DENIED, null, 'Unauthorized: Can only delete your own data');
     }
 
@@ -587,7 +588,7 @@ router.get('/:userId/subscription', authenticateToken, validateUserId, async (re
     
     // Security check: ensure user can only access their own subscription or is admin
     const requestingUser = (req as any).user;
-    if (requestingUser.userId !== userId && !requestingUser.isAdmin) {
+    if (requestingUser.userId !== userId && !(await userHasPermission(requestingUser.userId, 'users:write'))) {
       return ResponseUtils.error(res, ErrorCodes.ACCESS_DENIED, null, 'Unauthorized: Can only access your own subscription');
     }
 
@@ -645,7 +646,7 @@ router.put('/:userId/subscription', authenticateToken, validateUserId, async (re
     
     // Security check: ensure user can only update their own subscription or is admin
     const requestingUser = (req as any).user;
-    if (requestingUser.userId !== userId && !requestingUser.isAdmin) {
+    if (requestingUser.userId !== userId && !(await userHasPermission(requestingUser.userId, 'users:write'))) {
       return ResponseUtils.error(res, ErrorCodes.ACCESS_DENIED, null, 'Unauthorized: Can only update your own subscription');
     }
 
@@ -749,7 +750,7 @@ router.delete('/:userId/subscription', authenticateToken, validateUserId, async
     
     // Security check: ensure user can only cancel their own subscription or is admin
     const requestingUser = (req as any).user;
-    if (requestingUser.userId !== userId && !requestingUser.isAdmin) {
+    if (requestingUser.userId !== userId && !(await userHasPermission(requestingUser.userId, 'users:write'))) {
       return ResponseUtils.error(res, ErrorCodes.ACCESS_DENIED, null, 'Unauthorized: Can only cancel your own subscription');
     }
 
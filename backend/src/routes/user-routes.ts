@@ -8,12 +8,15 @@ import express, { Request, Response } from 'express';
 import { body, param, validationResult } from 'express-validator';
 import jwt from 'jsonwebtoken';
 import { authenticateToken } from '../middleware/auth.js';
-import { createRateLimiter } from '../middleware/rate-limiter.js';
+import { createRateLimiter, keyExtractors } from '../middleware/rate-limiter.js';
+import { auditUserLogin } from '../middleware/audit-logger.js';
 
 import { logger } from '../utils/logger.js';
 import { Pool } from 'pg';
 import { EnhancedK33PManagerDB } from '../enhanced-k33p-manager-db.js';
 import { AuthDataModel, UserModel } from '../database/models.js';
+import { verificationStore } from '../services/verification-store.js';
+import { passkeyService, PasskeyError } from '../services/passkey-service.js';
 import { hashPhone, hashBiometric } from '../utils/hash.js';
 import crypto from 'crypto';
 import multer from 'multer';
@@ -211,39 +214,23 @@ const validateUserId = [
 // HELPER FUNCTIONS
 // ============================================================================
 
-// In-memory storage for OTPs (in production, use Redis or database)
-const otpStorage = new Map<string, { otp: string; expiresAt: Date; attempts: number }>();
+// Login OTPs are kept in the shared verification store
+const OTP_NAMESPACE = 'login:otp';
 
 const generateOTP = (): string => {
   return Math.floor(100000 + Math.random() * 900000).toString();
 };
 
-const storeOTP = (phoneNumber: string, otp: string): void => {
-  const expiresAt = new Date(Date.now() + 5 * 60 * 1000); // 5 minutes
-  otpStorage.set(phoneNumber, { otp, expiresAt, attempts: 0 });
+const storeOTP = async (phoneNumber: string, otp: string): Promise<void> => {
+  await verificationStore.issueCode(OTP_NAMESPACE, phoneNumber, otp, {
+    ttlSeconds: 5 * 60, // 5 minutes
+    maxAttempts: 3
+  });
 };
 
-const verifyOTP = (phoneNumber: string, otp: string): boolean => {
-  const stored = otpStorage.get(phoneNumber);
-  if (!stored) return false;
-  
-  if (stored.expiresAt < new Date()) {
-    otpStorage.delete(phoneNumber);
-    return false;
-  }
-  
-  stored.attempts++;
-  if (stored.attempts > 3) {
-    otpStorage.delete(phoneNumber);
-    return false;
-  }
-  
-  if (stored.otp === otp) {
-    otpStorage.delete(phoneNumber);
-    return true;
-  }
-  
-  return false;
+const verifyOTP = async (phoneNumber: string, otp: string): Promise<boolean> => {
+  const result = await verificationStore.verifyCode(OTP_NAMESPACE, phoneNumber, otp);
+  return result.valid;
 };
 
 const hashPin = (pin: string): string => {
@@ -425,7 +412,7 @@ router.post('/login/request-otp',
       
       // Generate and store OTP
       const otp = generateOTP();
-      storeOTP(phoneNumber, otp);
+      await storeOTP(phoneNumber, otp);
       
       // Send OTP via SMS
       await sendOTPSMS(phoneNumber, otp);
@@ -455,6 +442,7 @@ router.post('/login/request-otp',
  * Verify OTP and proceed with authentication
  */
 router.post('/login/verify-otp',
+  auditUserLogin,
   validateOTP,
   handleValidationErrors,
   handleAsyncRoute(async (req: Request, res: Response) => {
@@ -464,7 +452,7 @@ router.post('/login/verify-otp',
       logger.info(`OTP verification for: ${phoneNumber}`);
       
       // Verify OTP
-      if (!verifyOTP(phoneNumber, otp)) {
+      if (!(await verifyOTP(phoneNumber, otp))) {
         return res.status(400).json({
           success: false,
           message: 'Invalid or expired OTP',
@@ -511,6 +499,7 @@ router.post('/login/verify-otp',
  * Complete login with PIN
  */
 router.post('/login/pin',
+  auditUserLogin,
   validatePinAuth,
   handleValidationErrors,
   handleAsyncRoute(async (req: Request, res: Response) => {
@@ -579,6 +568,7 @@ router.post('/login/pin',
  * Complete login with biometric verification (Face ID, fingerprint, voice, iris)
  */
 router.post('/login/face-id',
+  auditUserLogin,
   body('phoneNumber').isMobilePhone('any').withMessage('Valid phone number is required'),
   body('biometricData').isObject().withMessage('Biometric data is required'),
   body('biometricType').isIn(['face_id', 'fingerprint', 'voice', 'iris']).withMessage('Valid biometric type is required'),
@@ -592,7 +582,7 @@ router.post('/login/face-id',
       const client = await pool.connect();
       let user: any = null;
       try {
-        const phoneHash = crypto.createHash('sha256').update(phoneNumber).digest('hex');
+        const phoneHash = hashPhone(phoneNumber);
         const result = await client.query('SELECT * FROM users WHERE phone_hash = $1', [phoneHash]);
         if (result.rows.length > 0) {
           user = result.rows[0];
@@ -707,6 +697,7 @@ router.post('/login/face-id',
  * Complete login with fingerprint verification
  */
 router.post('/login/fingerprint',
+  auditUserLogin,
   body('phoneNumber').isMobilePhone('any').withMessage('Valid phone number is required'),
   body('fingerprintData').isString().withMessage('Fingerprint data is required'),
   handleValidationErrors,
@@ -786,6 +777,7 @@ router.post('/login/fingerprint',
  * Complete login with voice verification
  */
 router.post('/login/voice',
+  auditUserLogin,
   body('phoneNumber').isMobilePhone('any').withMessage('Valid phone number is required'),
   body('voiceData').isString().withMessage('Voice data is required'),
   handleValidationErrors,
@@ -865,6 +857,7 @@ router.post('/login/voice',
  * Complete login with iris verification
  */
 router.post('/login/iris',
+  auditUserLogin,
   body('phoneNumber').isMobilePhone('any').withMessage('Valid phone number is required'),
   body('irisData').isString().withMessage('Iris data is required'),
   handleValidationErrors,
@@ -944,6 +937,7 @@ router.post('/login/iris',
  * Unified signin route that handles phone number, PIN, and biometrics
  */
 router.post('/signin',
+  auditUserLogin,
   body('phoneNumber').isMobilePhone('any').withMessage('Valid phone number is required'),
   body('pin').optional().isLength({ min: 4, max: 6 }).isNumeric().withMessage('PIN must be 4-6 digits'),
   body('biometricData').optional().isObject().withMessage('Biometric data must be an object'),
@@ -960,7 +954,7 @@ router.post('/signin',
       let user: any = null;
       
       try {
-        const phoneHash = crypto.createHash('sha256').update(phoneNumber).digest('hex');
+        const phoneHash = hashPhone(phoneNumber);
         const result = await client.query(
           'SELECT * FROM users WHERE phone_hash = $1',
           [phoneHash]
@@ -1308,6 +1302,22 @@ router.get('/auth-methods',
 // PASSKEY AUTHENTICATION ROUTES (WebAuthn/FIDO2)
 // ============================================================================
 
+const sendPasskeyError = (res: Response, error: PasskeyError) => {
+  const statusCodes: Record<PasskeyError['code'], number> = {
+    CHALLENGE_NOT_FOUND: 400,
+    PASSKEY_NOT_FOUND: 404,
+    PASSKEY_ALREADY_REGISTERED: 409,
+    PASSKEY_VERIFICATION_FAILED: 401,
+    LAST_AUTH_METHOD: 400
+  };
+
+  return res.status(statusCodes[error.code]).json({
+    success: false,
+    message: error.message,
+    error: error.code
+  });
+};
+
 /**
  * POST /api/users/passkey/register-begin
  * Begin passkey registration process
@@ -1320,12 +1330,7 @@ router.post('/passkey/register-begin',
       
       logger.info(`Beginning passkey registration for user: ${userId}`);
       
-      // TODO: Implement getUserById method in NOKService
-      const user: any = {
-        id: userId,
-        phone_number: '+1234567890',
-        user_name: 'Test User'
-      };
+      const user = await UserModel.findByUserId(userId);
       
       if (!user) {
         return res.status(404).json({
@@ -1335,32 +1340,11 @@ router.post('/passkey/register-begin',
         });
       }
       
-      // TODO: Implement WebAuthn registration options generation
-      const registrationOptions = {
-        challenge: crypto.randomBytes(32).toString('base64url'),
-        rp: {
-          name: 'K33P Smart Contract',
-          id: 'localhost' // Should be your domain in production
-        },
-        user: {
-          id: Buffer.from(userId).toString('base64url'),
-          name: user.phone_number,
-          displayName: user.user_name
-        },
-        pubKeyCredParams: [
-          { alg: -7, type: 'public-key' }, // ES256
-          { alg: -257, type: 'public-key' } // RS256
-        ],
-        authenticatorSelection: {
-          authenticatorAttachment: 'platform',
-          userVerification: 'required'
-        },
-        timeout: 60000,
-        attestation: 'direct'
-      };
-      
-      // Store challenge temporarily (in production, use Redis or similar)
-      // TODO: Implement challenge storage
+      const registrationOptions = await passkeyService.beginRegistration({
+        userId: user.user_id,
+        userName: user.username || user.user_id,
+        displayName: user.name
+      });
       
       res.json({
         success: true,
@@ -1386,40 +1370,31 @@ router.post('/passkey/register-begin',
 router.post('/passkey/register-complete',
   authenticateToken,
   body('credential').isObject().withMessage('Credential object is required'),
+  body('name').optional().isString().isLength({ max: 50 }).withMessage('Passkey name must be at most 50 characters'),
   handleValidationErrors,
   handleAsyncRoute(async (req: Request, res: Response) => {
     try {
-      const { credential } = req.body;
+      const { credential, name } = req.body;
       const userId = (req as any).user.id;
       
       logger.info(`Completing passkey registration for user: ${userId}`);
       
-      // TODO: Implement WebAuthn credential verification
-      // This would involve verifying the attestation response
-      
-      const passkeyData = {
-        credentialId: credential.id,
-        publicKey: credential.response.publicKey,
-        counter: 0,
-        createdAt: new Date().toISOString()
-      };
-      
-      // TODO: Store passkey data in database
-      // await nokService.storeUserPasskey(userId, passkeyData);
-      
-      // Log activity
-      // User activity logging removed
+      const passkey = await passkeyService.completeRegistration(userId, credential, name);
       
       res.json({
         success: true,
         message: 'Passkey registered successfully',
         data: {
-          credentialId: credential.id,
-          authMethod: 'passkey'
+          credentialId: passkey.credentialId,
+          authMethod: 'passkey',
+          passkey
         }
       });
       
     } catch (error: any) {
+      if (error instanceof PasskeyError) {
+        return sendPasskeyError(res, error);
+      }
       logger.error('Error completing passkey registration:', error);
       res.status(500).json({
         success: false,
@@ -1430,6 +1405,36 @@ router.post('/passkey/register-complete',
   })
 );
 
+/**
+ * GET /api/users/passkey/list
+ * List the passkeys registered to the user account
+ */
+router.get('/passkey/list',
+  authenticateToken,
+  handleAsyncRoute(async (req: Request, res: Response) => {
+    try {
+      const userId = (req as any).user.id;
+      const passkeys = await passkeyService.listPasskeys(userId);
+      
+      res.json({
+        success: true,
+        data: {
+          passkeys,
+          count: passkeys.length
+        }
+      });
+      
+    } catch (error: any) {
+      logger.error('Error listing passkeys:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list passkeys',
+        error: 'SERVER_ERROR'
+      });
+    }
+  })
+);
+
 /**
  * POST /api/users/login/passkey-begin
  * Begin passkey authentication process
@@ -1443,19 +1448,25 @@ router.post('/login/passkey-begin',
       
       logger.info(`Beginning passkey authentication for phone: ${phoneNumber}`);
       
-      // TODO: Implement getUserByPhone method in NOKService
-      const user: any = {
-        id: 'user123',
-        phone_number: phoneNumber,
-        passkeys: [
-          {
-            credentialId: 'cred123',
-            publicKey: 'stored-public-key'
-          }
-        ]
-      };
+      // Get user by phone number from database
+      const client = await pool.connect();
+      let user: any = null;
+      
+      try {
+        const phoneHash = hashPhone(phoneNumber);
+        const result = await client.query(
+          'SELECT * FROM users WHERE phone_hash = $1',
+          [phoneHash]
+        );
+        
+        if (result.rows.length > 0) {
+          user = result.rows[0];
+        }
+      } finally {
+        client.release();
+      }
       
-      if (!user || !user.passkeys?.length) {
+      if (!user) {
         return res.status(404).json({
           success: false,
           message: 'No passkeys found for this user',
@@ -1463,20 +1474,7 @@ router.post('/login/passkey-begin',
         });
       }
       
-      // TODO: Implement WebAuthn authentication options generation
-      const authenticationOptions = {
-        challenge: crypto.randomBytes(32).toString('base64url'),
-        allowCredentials: user.passkeys.map((passkey: any) => ({
-          id: passkey.credentialId,
-          type: 'public-key',
-          transports: ['internal', 'hybrid']
-        })),
-        userVerification: 'required',
-        timeout: 60000
-      };
-      
-      // Store challenge temporarily
-      // TODO: Implement challenge storage
+      const authenticationOptions = await passkeyService.beginAuthentication(user.user_id);
       
       res.json({
         success: true,
@@ -1485,6 +1483,9 @@ router.post('/login/passkey-begin',
       });
       
     } catch (error: any) {
+      if (error instanceof PasskeyError) {
+        return sendPasskeyError(res, error);
+      }
       logger.error('Error beginning passkey authentication:', error);
       res.status(500).json({
         success: false,
@@ -1500,7 +1501,9 @@ router.post('/login/passkey-begin',
  * Complete passkey authentication process
  */
 router.post('/login/passkey-complete',
+  auditUserLogin,
   body('credential').isObject().withMessage('Credential object is required'),
+  body('credential.id').isString().withMessage('Credential ID is required'),
   handleValidationErrors,
   handleAsyncRoute(async (req: Request, res: Response) => {
     try {
@@ -1508,22 +1511,8 @@ router.post('/login/passkey-complete',
       
       logger.info(`Completing passkey authentication for credential: ${credential.id}`);
       
-      // TODO: Implement WebAuthn assertion verification
-      // This would involve verifying the assertion response against stored public key
-      
-      // Mock user data
-      const user: any = {
-        id: 'user123',
-        phone_number: '+1234567890',
-        user_name: 'Test User',
-        passkeys: [
-          {
-            credentialId: credential.id,
-            publicKey: 'stored-public-key',
-            counter: 0
-          }
-        ]
-      };
+      const userId = await passkeyService.completeAuthentication(credential);
+      const user = await UserModel.findByUserId(userId);
       
       if (!user) {
         return res.status(401).json({
@@ -1534,22 +1523,26 @@ router.post('/login/passkey-complete',
       }
       
       // Generate tokens
-      const { accessToken, refreshToken } = generateTokens(user.id);
-      
-      // TODO: Store refresh token
-      // await nokService.storeRefreshToken(user.id, refreshToken);
+      const { accessToken, refreshToken } = generateTokens(user.user_id);
       
-      // Log activity
-      // User activity logging removed
+      // Update last login timestamp
+      const updateClient = await pool.connect();
+      try {
+        await updateClient.query(
+          'UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE user_id = $1',
+          [user.user_id]
+        );
+      } finally {
+        updateClient.release();
+      }
       
       res.json({
         success: true,
         message: 'Passkey authentication successful',
         data: {
           user: {
-            id: user.id,
-            phoneNumber: user.phone_number,
-            userName: user.user_name
+            id: user.user_id,
+            userName: user.username || user.name
           },
           tokens: {
             accessToken,
@@ -1559,6 +1552,9 @@ router.post('/login/passkey-complete',
       });
       
     } catch (error: any) {
+      if (error instanceof PasskeyError) {
+        return sendPasskeyError(res, error);
+      }
       logger.error('Error completing passkey authentication:', error);
       res.status(500).json({
         success: false,
@@ -1584,15 +1580,7 @@ router.delete('/passkey/remove',
       
       logger.info(`Removing passkey ${credentialId} for user: ${userId}`);
       
-      // TODO: Implement getUserById method in NOKService
-      const user: any = {
-        id: userId,
-        passkeys: [
-          { credentialId: 'cred123', publicKey: 'key1' },
-          { credentialId: credentialId, publicKey: 'key2' }
-        ],
-        auth_methods: ['pin', 'passkey']
-      };
+      const user = await UserModel.findByUserId(userId);
       
       if (!user) {
         return res.status(404).json({
@@ -1602,43 +1590,22 @@ router.delete('/passkey/remove',
         });
       }
       
-      const passkeyExists = user.passkeys.some((pk: any) => pk.credentialId === credentialId);
-      if (!passkeyExists) {
-        return res.status(404).json({
-          success: false,
-          message: 'Passkey not found',
-          error: 'PASSKEY_NOT_FOUND'
-        });
-      }
-      
-      // Check if this is the last auth method
-      const remainingPasskeys = user.passkeys.filter((pk: any) => pk.credentialId !== credentialId);
-      const hasOtherAuthMethods = user.auth_methods.some((method: string) => method !== 'passkey');
-      
-      if (remainingPasskeys.length === 0 && !hasOtherAuthMethods) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot remove last authentication method',
-          error: 'LAST_AUTH_METHOD'
-        });
-      }
-      
-      // TODO: Remove passkey from database
-      // await nokService.removeUserPasskey(userId, credentialId);
-      
-      // Log activity
-      // User activity logging removed
+      // Refused when it is the last way to sign in
+      const remainingPasskeys = await passkeyService.removePasskey(userId, credentialId, user.auth_methods);
       
       res.json({
         success: true,
         message: 'Passkey removed successfully',
         data: {
           credentialId,
-          remainingPasskeys: remainingPasskeys.length
+          remainingPasskeys
         }
       });
       
     } catch (error: any) {
+      if (error instanceof PasskeyError) {
+        return sendPasskeyError(res, error);
+      }
       logger.error('Error removing passkey:', error);
       res.status(500).json({
         success: false,
@@ -1732,6 +1699,7 @@ router.post('/register',
  * User login (Email-based - Legacy)
  */
 router.post('/login',
+  auditUserLogin,
   validateEmailLogin,
   handleValidationErrors,
   handleAsyncRoute(async (req: Request, res: Response) => {
@@ -2116,7 +2084,7 @@ router.put('/username/:userId',
  */
 router.post('/avatar/:userId',
   authenticateToken,
-  createRateLimiter({ windowMs: 60 * 60 * 1000, max: 5 }), // 5 requests per hour
+  createRateLimiter({ name: 'avatar-upload', keyBy: keyExtractors.userId, windowMs: 60 * 60 * 1000, max: 5 }), // 5 requests per hour
   validateUserId,
   uploadAvatar.single('avatar'),
   handleValidationErrors,
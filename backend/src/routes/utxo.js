@@ -2,9 +2,10 @@
 import express from 'express';
 import { verifyToken } from '../middleware/auth.js';
 import { hashPhone } from '../utils/hash.js';
-import { fetchUtxos, refundTx } from '../utils/lucid.js';
+import { fetchUtxos, refundTx, reclaimableDeposits } from '../utils/lucid.js';
 import * as iagon from '../utils/iagon.js';
-import { K33PError, ErrorCodes, asyncHandler, ResponseUtils } from '../middleware/error-handler.js';
+import { UserModel } from '../database/models.js';
+import { K33PError, ErrorCodes, SuccessCodes, asyncHandler, ResponseUtils } from '../middleware/error-handler.js';
 
 const router = express.Router();
 
@@ -73,6 +74,30 @@ router.post('/refund', verifyToken, asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * @route GET /api/utxo/reclaimable
+ * @desc List the signup deposits of the user's registered wallet and, once
+ * their deadline has passed, an unsigned transaction that reclaims each one
+ * without the backend. A walletAddress query parameter, if given, must be
+ * that wallet.
+ * @access Private
+ */
+router.get('/reclaimable', verifyToken, asyncHandler(async (req, res) => {
+  const user = await UserModel.findByUserId(req.user.id);
+  if (!user) {
+    throw new K33PError(ErrorCodes.USER_NOT_FOUND, 'User not found');
+  }
+  if (!user.wallet_address) {
+    throw new K33PError(ErrorCodes.WALLET_ADDRESS_NOT_FOUND, 'No wallet is registered for this user');
+  }
+  if (req.query.walletAddress && req.query.walletAddress !== user.wallet_address) {
+    throw new K33PError(ErrorCodes.ACCESS_DENIED, 'Deposits can only be listed for your registered wallet');
+  }
+
+  const deposits = await reclaimableDeposits(user.wallet_address);
+  return ResponseUtils.success(res, SuccessCodes.DATA_RETRIEVED, { deposits });
+}));
+
 /**
  * @route POST /api/utxo/track
  * @desc Track a new UTXO in the database
@@ -2,13 +2,13 @@
 import express from 'express';
 import { UserModel, Folder, WalletItem } from '../database/models';
 import { authenticateToken } from '../middleware/auth.js';
-import { createRateLimiter } from '../middleware/rate-limiter.js';
+import { createRateLimiter, keyExtractors } from '../middleware/rate-limiter.js';
 
 const router = express.Router();
 
 // Rate limiters
-const folderLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 50 });
-const walletLimiter = createRateLimiter({ windowMs: 15 * 60 * 1000, max: 100 });
+const folderLimiter = createRateLimiter({ name: 'wallet-folder-create', keyBy: keyExtractors.userId, windowMs: 15 * 60 * 1000, max: 50 });
+const walletLimiter = createRateLimiter({ name: 'wallet-create', keyBy: keyExtractors.userId, windowMs: 15 * 60 * 1000, max: 100 });
 
 interface CreateFolderRequest {
   name?: string;
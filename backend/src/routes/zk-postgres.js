@@ -1,9 +1,11 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
-import { poseidonHash, generateZkCommitment, generateZkProof, verifyZkProof } from '../utils/zk.js';
-import { hashPhone } from '../utils/hash.js';
+import { generateZkCommitment, generateZkProof, verifyZkProof, isProofStructureValid, isFieldElement } from '../utils/zk.js';
+import { hashPhone, hashBiometric, hashPasskey } from '../utils/hash.js';
 import { verifyToken } from '../middleware/auth.js';
+import { zkChallengeService } from '../services/zk-challenge.js';
 import ZKProofService from '../services/zk-proof-service.js';
+import { storageService } from '../services/storage-abstraction.js';
 
 const ResponseUtils = {
   success: (res, code, data, message) => {
@@ -164,11 +166,11 @@ router.post('/commitment', async (req, res) => {
       });
     }
     
-    const phoneHash = poseidonHash([phone]);
-    const biometricHash = poseidonHash([biometric]);
-    const passkeyHash = poseidonHash([passkey]);
+    const phoneHash = hashPhone(phone);
+    const biometricHash = hashBiometric(biometric);
+    const passkeyHash = hashPasskey(passkey);
     
-    const commitment = generateZkCommitment({ phoneHash, biometricHash, passkeyHash });
+    const commitment = await generateZkCommitment({ phoneHash, biometricHash, passkeyHash });
     
     return res.status(200).json({
       success: true,
@@ -196,22 +198,45 @@ router.post('/commitment', async (req, res) => {
   }
 });
 
+router.post('/challenge', async (req, res) => {
+  try {
+    const challenge = await zkChallengeService.issue();
+    
+    return res.status(200).json({
+      success: true,
+      data: challenge,
+      message: 'ZK challenge issued successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error issuing ZK challenge:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to issue ZK challenge'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 router.post('/proof', async (req, res) => {
   try {
-    const { phone, biometric, passkey, commitment } = req.body;
+    const { phone, biometric, passkey, commitment, challenge } = req.body;
     
-    if (!phone || !biometric || !passkey || !commitment) {
+    if (!phone || !biometric || !passkey || !commitment || !challenge) {
       return res.status(400).json({
         success: false,
         error: {
           code: 'INVALID_INPUT',
-          message: 'Missing required inputs: phone, biometric, passkey, and commitment are required'
+          message: 'Missing required inputs: phone, biometric, passkey, commitment and challenge are required'
         },
         timestamp: new Date().toISOString()
       });
     }
     
-    const proof = generateZkProof({ phone, biometric, passkey }, commitment);
+    const proof = await generateZkProof({ phone, biometric, passkey }, commitment, challenge);
     
     if (!proof.isValid) {
       return res.status(401).json({
@@ -246,31 +271,31 @@ router.post('/proof', async (req, res) => {
 
 router.post('/verify', async (req, res) => {
   try {
-    const { proof, commitment } = req.body;
+    const { proof, commitment, challenge } = req.body;
     
-    if (!proof || !commitment) {
+    if (!proof || !commitment || !challenge) {
       return res.status(400).json({
         success: false,
         error: {
           code: 'INVALID_INPUT',
-          message: 'Missing required inputs: proof and commitment are required'
+          message: 'Missing required inputs: proof, commitment and challenge are required'
         },
         timestamp: new Date().toISOString()
       });
     }
     
-    if (!proof.publicInputs || !proof.publicInputs.commitment || typeof proof.isValid !== 'boolean') {
+    if (!isProofStructureValid(proof)) {
       return res.status(400).json({
         success: false,
         error: {
           code: 'INVALID_PROOF_STRUCTURE',
-          message: 'Invalid proof object structure. Expected: { publicInputs: { commitment: string }, isValid: boolean }'
+          message: 'Invalid proof object structure. Expected: { proof: { pi_a, pi_b, pi_c }, publicSignals: string[] }'
         },
         timestamp: new Date().toISOString()
       });
     }
     
-    const isValid = verifyZkProof(proof, commitment);
+    const isValid = await verifyZkProof(proof, commitment, challenge);
     
     return res.status(200).json({
       success: true,
@@ -295,14 +320,14 @@ router.post('/verify', async (req, res) => {
 
 router.post('/login', async (req, res) => {
   try {
-    const { walletAddress, phone, proof, commitment } = req.body;
+    const { walletAddress, phone, proof, commitment, challenge } = req.body;
     
-    if (!proof || !commitment) {
+    if (!proof || !commitment || !challenge) {
       return res.status(400).json({
         success: false,
         error: {
           code: 'INVALID_INPUT',
-          message: 'Missing required inputs: proof and commitment are required'
+          message: 'Missing required inputs: proof, commitment and challenge are required'
         },
         timestamp: new Date().toISOString()
       });
@@ -351,7 +376,32 @@ router.post('/login', async (req, res) => {
       });
     }
     
-    const isValid = verifyZkProof(proof, commitment);
+    // Commitments from before the identity circuit cannot be proven; the user
+    // signs in another way and calls POST /re-enroll
+    if (!isFieldElement(user.zk_commitment)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'ZK_REENROLLMENT_REQUIRED',
+          message: 'This ZK commitment predates proof verification. Sign in another way and re-enroll it'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    // Spent before verifying, so each challenge gets exactly one attempt
+    if (!(await zkChallengeService.consume(challenge))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'ZK_CHALLENGE_INVALID',
+          message: 'ZK challenge is missing, expired or already used. Request a new one'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const isValid = await verifyZkProof(proof, commitment, challenge);
     
     if (!isValid) {
       return res.status(401).json({
@@ -364,10 +414,7 @@ router.post('/login', async (req, res) => {
       });
     }
     
-    const storedCommitment = user.zk_commitment;
-    const baseStoredCommitment = storedCommitment.includes('-') ? storedCommitment.split('-')[0] : storedCommitment;
-    
-    if (baseStoredCommitment !== commitment) {
+    if (user.zk_commitment !== commitment) {
       return res.status(401).json({
         success: false,
         error: {
@@ -410,6 +457,93 @@ router.post('/login', async (req, res) => {
   }
 });
 
+// Replaces a commitment stored before the identity circuit with one the
+// circuit can prove. The caller is signed in another way and must know the
+// phone number the account was registered with.
+router.post('/re-enroll', verifyToken, async (req, res) => {
+  try {
+    const { phone, biometric, passkey } = req.body;
+    
+    if (!phone || !biometric || !passkey) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Missing required inputs: phone, biometric, and passkey are required'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const user = await findUserInPostgres({ userId: req.user.userId });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'User not found'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    if (isFieldElement(user.zk_commitment)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'ZK_ALREADY_ENROLLED',
+          message: 'This account already has a provable ZK commitment'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const phoneHash = hashPhone(phone);
+    if (phoneHash !== user.phone_hash) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Phone number does not match this account'
+        },
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    const commitment = await generateZkCommitment({
+      phoneHash,
+      biometricHash: hashBiometric(biometric),
+      passkeyHash: hashPasskey(passkey)
+    });
+    // Through the storage layer, which /api/auth/login reads users from
+    const updated = await storageService.updateUser(user.user_id, { zkCommitment: commitment });
+    if (!updated.success) {
+      throw new Error(updated.error || 'Failed to store the new commitment');
+    }
+    
+    return res.status(200).json({
+      success: true,
+      data: {
+        userId: user.user_id,
+        commitment
+      },
+      message: 'ZK commitment re-enrolled successfully',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error re-enrolling ZK commitment:', error);
+    return res.status(500).json({
+      success: false,
+      error: {
+        code: 'INTERNAL_ERROR',
+        message: 'Failed to re-enroll ZK commitment'
+      },
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
 router.get('/user/:userId', verifyToken, async (req, res) => {
   try {
     const { userId } = req.params;
@@ -1,394 +0,0 @@
-// Zero-Knowledge Proof routes for K33P Identity System
-import express from 'express';
-import { poseidonHash, generateZkCommitment, generateZkProof, verifyZkProof } from '../utils/zk.js';
-import { findUser } from '../utils/iagon.js';
-import { verifyToken } from '../middleware/auth.js';
-import pool from '../database/config.js';
-
-const router = express.Router();
-
-/**
- * Generate a ZK commitment from user inputs
- * @route POST /api/zk/commitment
- */
-router.post('/commitment', async (req, res) => {
-  try {
-    const { phone, biometric, passkey } = req.body;
-    
-    // Validate inputs
-    if (!phone || !biometric || !passkey) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INVALID_INPUT',
-          message: 'Missing required inputs: phone, biometric, and passkey are required'
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    // Hash the inputs
-    const phoneHash = poseidonHash([phone]);
-    const biometricHash = poseidonHash([biometric]);
-    const passkeyHash = poseidonHash([passkey]);
-    
-    // Generate a commitment from the hashed inputs
-    const commitment = generateZkCommitment({ phoneHash, biometricHash, passkeyHash });
-    
-    // Return the commitment and hashes
-    return res.status(200).json({
-      success: true,
-      data: {
-        commitment,
-        hashes: {
-          phoneHash,
-          biometricHash,
-          passkeyHash
-        }
-      },
-      message: 'ZK commitment generated successfully',
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error generating ZK commitment:', error);
-    return res.status(500).json({
-      success: false,
-      error: {
-        code: 'INTERNAL_ERROR',
-        message: 'Failed to generate ZK commitment'
-      },
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-/**
- * Generate a ZK proof
- * @route POST /api/zk/proof
- */
-router.post('/proof', async (req, res) => {
-  try {
-    const { phone, biometric, passkey, commitment } = req.body;
-    
-    // Validate inputs
-    if (!phone || !biometric || !passkey || !commitment) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INVALID_INPUT',
-          message: 'Missing required inputs: phone, biometric, passkey, and commitment are required'
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    // Generate a proof
-    const proof = generateZkProof({ phone, biometric, passkey }, commitment);
-    
-    // Check if the proof is valid
-    if (!proof.isValid) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'ZK_VERIFICATION_FAILED',
-          message: 'Failed to generate a valid ZK proof',
-          details: proof.error || 'Unknown error'
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    // Return the proof
-    return res.status(200).json({
-      success: true,
-      data: proof,
-      message: 'ZK proof generated successfully',
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error generating ZK proof:', error);
-    return res.status(500).json({
-      success: false,
-      error: {
-        code: 'INTERNAL_ERROR',
-        message: 'Failed to generate ZK proof'
-      },
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-/**
- * Verify a ZK proof
- * @route POST /api/zk/verify
- */
-router.post('/verify', async (req, res) => {
-  try {
-    const { proof, commitment } = req.body;
-    
-    // Validate inputs
-    if (!proof || !commitment) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INVALID_INPUT',
-          message: 'Missing required inputs: proof and commitment are required'
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    // Validate proof structure
-    if (!proof.publicInputs || !proof.publicInputs.commitment || typeof proof.isValid !== 'boolean') {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INVALID_PROOF_STRUCTURE',
-          message: 'Invalid proof object structure. Expected: { publicInputs: { commitment: string }, isValid: boolean }'
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    // Verify the proof
-    const isValid = verifyZkProof(proof, commitment);
-    
-    // Return the verification result
-    return res.status(200).json({
-      success: true,
-      data: {
-        isValid
-      },
-      message: isValid ? 'ZK proof verified successfully' : 'ZK proof verification failed',
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error verifying ZK proof:', error);
-    return res.status(500).json({
-      success: false,
-      error: {
-        code: 'INTERNAL_ERROR',
-        message: 'Failed to verify ZK proof'
-      },
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-/**
- * Login with ZK proof
- * @route POST /api/zk/login
- */
-router.post('/login', async (req, res) => {
-  try {
-    const { walletAddress, phone, proof, commitment } = req.body;
-    
-    // Validate inputs
-    if (!proof || !commitment) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INVALID_INPUT',
-          message: 'Missing required inputs: proof and commitment are required'
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    if (!walletAddress && !phone) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INVALID_INPUT',
-          message: 'Either walletAddress or phone must be provided'
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    // Find the user by wallet address or phone hash using PostgreSQL
-    let user;
-    const client = await pool.connect();
-    
-    try {
-      let userQuery;
-      let queryParams;
-      
-      if (walletAddress) {
-        userQuery = 'SELECT user_id, wallet_address, phone_hash, zk_commitment FROM users WHERE wallet_address = $1';
-        queryParams = [walletAddress];
-      } else if (phone) {
-        const phoneHash = poseidonHash([phone]);
-        userQuery = 'SELECT user_id, wallet_address, phone_hash, zk_commitment FROM users WHERE phone_hash = $1';
-        queryParams = [phoneHash];
-      }
-      
-      const result = await client.query(userQuery, queryParams);
-      
-      if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          error: {
-            code: 'NOT_FOUND',
-            message: 'User not found'
-          },
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      user = result.rows[0];
-      
-    } catch (error) {
-      console.error('Error finding user in PostgreSQL:', error);
-      return res.status(500).json({
-        success: false,
-        error: {
-          code: 'DATABASE_ERROR',
-          message: 'Failed to find user in database',
-          details: error.message
-        },
-        timestamp: new Date().toISOString()
-      });
-    } finally {
-      client.release();
-    }
-    
-    // Verify the ZK proof
-    const isValid = verifyZkProof(proof, commitment);
-    
-    if (!isValid) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'ZK_VERIFICATION_FAILED',
-          message: 'ZK proof verification failed'
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    // Check if the commitment matches the user's commitment
-    if (user.zk_commitment !== commitment) {
-      return res.status(401).json({
-        success: false,
-        error: {
-          code: 'UNAUTHORIZED',
-          message: 'Invalid commitment for this user'
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    // Generate a JWT token for the authenticated user
-    const jwt = require('jsonwebtoken');
-    const token = jwt.sign(
-      { 
-        userId: user.user_id,
-        walletAddress: user.wallet_address 
-      },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '1h' }
-    );
-
-    return res.status(200).json({
-      success: true,
-      data: {
-        message: 'ZK login successful',
-        userId: user.user_id,
-        token
-      },
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error during ZK login:', error);
-    return res.status(500).json({
-      success: false,
-      error: {
-        code: 'INTERNAL_ERROR',
-        message: 'Failed to login with ZK proof',
-        details: error.message
-      },
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-/**
- * Get a user's ZK commitment
- * @route GET /api/zk/user/:userId
- */
-router.get('/user/:userId', verifyToken, async (req, res) => {
-  try {
-    const { userId } = req.params;
-    
-    // Validate inputs
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'INVALID_INPUT',
-          message: 'Missing required parameter: userId'
-        },
-        timestamp: new Date().toISOString()
-      });
-    }
-    
-    // Find the user by ID using PostgreSQL
-    const client = await pool.connect();
-    
-    try {
-      const userQuery = 'SELECT user_id, wallet_address, phone_hash, zk_commitment FROM users WHERE user_id = $1';
-      const result = await client.query(userQuery, [userId]);
-      
-      if (result.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          error: {
-            code: 'NOT_FOUND',
-            message: 'User not found'
-          },
-          timestamp: new Date().toISOString()
-        });
-      }
-      
-      const user = result.rows[0];
-      
-      // Return the user's ZK commitment
-      return res.status(200).json({
-        success: true,
-        data: {
-          userId: user.user_id,
-          zkCommitment: user.zk_commitment
-        },
-        message: 'User ZK commitment retrieved successfully',
-        timestamp: new Date().toISOString()
-      });
-      
-    } catch (error) {
-      console.error('Error finding user in PostgreSQL:', error);
-      return res.status(500).json({
-        success: false,
-        error: {
-          code: 'DATABASE_ERROR',
-          message: 'Failed to find user in database',
-          details: error.message
-        },
-        timestamp: new Date().toISOString()
-      });
-    } finally {
-      client.release();
-    }
-  } catch (error) {
-    console.error('Error retrieving user ZK commitment:', error);
-    return res.status(500).json({
-      success: false,
-      error: {
-        code: 'INTERNAL_ERROR',
-        message: 'Failed to retrieve user ZK commitment'
-      },
-      timestamp: new Date().toISOString()
-    });
-  }
-});
-
-export default router;
\ No newline at end of file
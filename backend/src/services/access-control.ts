@@ -0,0 +1,106 @@
+/**
+ * Access Control for K33P
+ * Staff roles and the permissions they grant. Admin routes declare the
+ * permission they need (see middleware/admin-auth.ts) instead of checking
+ * for a role, so what a role may do is decided here in one place. Refunds
+ * move money and are granted to finance alone; superadmin manages roles and
+ * API keys but does not send refunds itself. Support sees users with their
+ * wallet addresses, emails and phone numbers masked.
+ */
+
+import { UserModel, UserRole } from '../database/models.js';
+
+// ============================================================================
+// INTERFACES AND TYPES
+// ============================================================================
+
+export const ROLES: UserRole[] = ['user', 'support', 'finance', 'admin', 'superadmin'];
+
+export const PERMISSIONS = [
+  'users:read',
+  'users:read-pii',
+  'users:write',
+  'users:roles',
+  'deposits:read',
+  'deposits:export',
+  'refunds:read',
+  'refunds:trigger',
+  'signups:process',
+  'metrics:read',
+  'monitor:control',
+  'treasury:read',
+  'audit:read',
+  'rate-limits:manage',
+  'api-keys:manage'
+] as const;
+
+export type Permission = typeof PERMISSIONS[number];
+
+/** Who is making an admin request */
+export interface Principal {
+  kind: 'user' | 'api-key' | 'bootstrap';
+  /** User id, API key id, or ADMIN_API_KEY for the bootstrap key */
+  id: string;
+  role: UserRole;
+  permissions: ReadonlySet<Permission>;
+}
+
+const SUPPORT: Permission[] = ['users:read', 'deposits:read', 'refunds:read', 'metrics:read'];
+const ADMIN: Permission[] = [
+  ...SUPPORT, 'users:read-pii', 'users:write', 'deposits:export', 'signups:process',
+  'monitor:control', 'treasury:read', 'audit:read', 'rate-limits:manage'
+];
+
+export const ROLE_PERMISSIONS: Record<UserRole, readonly Permission[]> = {
+  user: [],
+  support: SUPPORT,
+  finance: [...SUPPORT, 'users:read-pii', 'deposits:export', 'refunds:trigger', 'treasury:read'],
+  admin: ADMIN,
+  superadmin: [...ADMIN, 'users:roles', 'api-keys:manage']
+};
+
+// ============================================================================
+// PERMISSIONS
+// ============================================================================
+
+export const isRole = (value: unknown): value is UserRole => ROLES.includes(value as UserRole);
+
+export const isPermission = (value: unknown): value is Permission => PERMISSIONS.includes(value as Permission);
+
+/** Permissions of `role`, narrowed to `scopes` when given */
+export function permissionsFor(role: UserRole, scopes?: readonly string[] | null): Set<Permission> {
+  const granted = ROLE_PERMISSIONS[role] ?? [];
+  return new Set(scopes ? granted.filter(permission => scopes.includes(permission)) : granted);
+}
+
+/** Whether the user `userId` holds `permission` through their role */
+export async function userHasPermission(userId: string, permission: Permission): Promise<boolean> {
+  const user = await UserModel.findByUserId(userId);
+  return permissionsFor(user?.role ?? 'user').has(permission);
+}
+
+// ============================================================================
+// PII MASKING
+// ============================================================================
+
+/** First and last few characters of a wallet address or hash */
+export const maskAddress = (value?: string | null): string | null => {
+  if (!value) return value ?? null;
+  return value.length <= 16 ? `${value.slice(0, 4)}…` : `${value.slice(0, 10)}…${value.slice(-6)}`;
+};
+
+export const maskEmail = (value?: string | null): string | null => {
+  if (!value) return value ?? null;
+  const [local, domain] = value.split('@');
+  return domain ? `${local.slice(0, 1)}***@${domain}` : '***';
+};
+
+export const maskPhone = (value?: string | null): string | null => {
+  if (!value) return value ?? null;
+  return `***${value.replace(/\D/g, '').slice(-4)}`;
+};
+
+export const maskName = (value?: string | null): string | null => {
+  if (!value) return value ?? null;
+  return `${value.slice(0, 1)}***`;
+};
@@ -0,0 +1,143 @@
+/**
+ * Admin API Keys for K33P
+ * Keys for scripts and dashboards calling the admin API. A key acts as a
+ * staff role, optionally narrowed to some of that role's permissions, and
+ * always expires. Only its SHA-256 hash is stored; the key itself is shown
+ * once, when it is issued. Keys are random, so an unsalted hash is enough to
+ * look one up without keeping anything that would let it be recovered.
+ */
+
+import crypto from 'crypto';
+import { AdminApiKeyModel, AdminApiKeyRecord, UserRole } from '../database/models.js';
+import { isPermission, isRole, Permission, permissionsFor, Principal, ROLE_PERMISSIONS } from './access-control.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// INTERFACES AND TYPES
+// ============================================================================
+
+export interface AdminApiKeyStore {
+  create(key: Omit<AdminApiKeyRecord, 'id' | 'created_at'>): Promise<AdminApiKeyRecord>;
+  findByHash(keyHash: string): Promise<AdminApiKeyRecord | null>;
+  list(): Promise<AdminApiKeyRecord[]>;
+  revoke(id: string, revokedBy: string): Promise<AdminApiKeyRecord | null>;
+  touch(id: string): Promise<void>;
+}
+
+export interface IssueAdminApiKey {
+  name: string;
+  role: Exclude<UserRole, 'user'>;
+  /** Permissions of the role to narrow the key to; all of them when left out */
+  scopes?: string[];
+  expiresInDays?: number;
+  /** Principal issuing the key; a key never holds a permission its issuer lacks */
+  issuer: Principal;
+}
+
+export class AdminApiKeyError extends Error {
+  constructor(
+    public code: 'INVALID_ROLE' | 'INVALID_SCOPE' | 'INVALID_EXPIRY' | 'NOT_GRANTABLE' | 'NOT_FOUND',
+    message: string
+  ) {
+    super(message);
+    this.name = 'AdminApiKeyError';
+  }
+}
+
+const KEY_PREFIX = 'k33p_';
+
+// Read on use: the server loads .env after its imports
+const maxTtlDays = () => parseInt(process.env.ADMIN_API_KEY_MAX_TTL_DAYS || '90');
+
+export const hashAdminApiKey = (key: string) => crypto.createHash('sha256').update(key).digest('hex');
+
+// ============================================================================
+// ADMIN API KEYS
+// ============================================================================
+
+export class AdminApiKeys {
+  constructor(private store: AdminApiKeyStore = AdminApiKeyModel) {}
+
+  /** Create a key; the returned `key` is not stored and cannot be shown again */
+  async issue(request: IssueAdminApiKey): Promise<{ key: string; record: AdminApiKeyRecord }> {
+    // 'user' grants nothing, so it is refused along with unknown roles
+    if (!isRole(request.role) || ROLE_PERMISSIONS[request.role].length === 0) {
+      throw new AdminApiKeyError('INVALID_ROLE', `Keys cannot act as role "${request.role}"`);
+    }
+
+    const granted = ROLE_PERMISSIONS[request.role];
+    const invalid = (request.scopes ?? []).filter(scope => !isPermission(scope) || !granted.includes(scope));
+    if (invalid.length > 0) {
+      throw new AdminApiKeyError('INVALID_SCOPE', `Role ${request.role} does not grant ${invalid.join(', ')}`);
+    }
+    if (request.scopes && request.scopes.length === 0) {
+      throw new AdminApiKeyError('INVALID_SCOPE', 'A scoped key needs at least one permission');
+    }
+
+    // Otherwise a superadmin could mint a finance key and send refunds through it
+    const withheld = (request.scopes ?? granted).filter(scope => !request.issuer.permissions.has(scope as Permission));
+    if (withheld.length > 0) {
+      throw new AdminApiKeyError('NOT_GRANTABLE', `Cannot issue a key with ${withheld.join(', ')}, which you do not hold`);
+    }
+
+    const days = request.expiresInDays ?? maxTtlDays();
+    if (!Number.isFinite(days) || days <= 0 || days > maxTtlDays()) {
+      throw new AdminApiKeyError('INVALID_EXPIRY', `Keys expire within 1 to ${maxTtlDays()} days`);
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const record = await this.store.create({
+      name: request.name,
+      key_prefix: key.slice(0, KEY_PREFIX.length + 8),
+      key_hash: hashAdminApiKey(key),
+      role: request.role,
+      scopes: request.scopes ? [...new Set(request.scopes)] : null,
+      created_by: request.issuer.id,
+      expires_at: new Date(Date.now() + days * DAY_MS)
+    });
+
+    logger.info(`Issued admin API key ${record.key_prefix} (${record.name}) as ${record.role}`, {
+      service: 'admin-api-keys',
+      createdBy: request.issuer.id
+    });
+    return { key, record };
+  }
+
+  /** The principal a key acts as; null for unknown, revoked and expired keys */
+  async authenticate(key: string): Promise<Principal | null> {
+    if (!key.startsWith(KEY_PREFIX)) return null;
+
+    const record = await this.store.findByHash(hashAdminApiKey(key));
+    if (!record || record.revoked_at || new Date(record.expires_at).getTime() <= Date.now()) {
+      return null;
+    }
+
+    this.store.touch(record.id!).catch(error => {
+      logger.warn('Failed to record admin API key use', { id: record.id, error: error.message });
+    });
+
+    return {
+      kind: 'api-key',
+      id: record.id!,
+      role: record.role,
+      permissions: permissionsFor(record.role, record.scopes)
+    };
+  }
+
+  list(): Promise<AdminApiKeyRecord[]> {
+    return this.store.list();
+  }
+
+  async revoke(id: string, revokedBy: string): Promise<AdminApiKeyRecord> {
+    const record = await this.store.revoke(id, revokedBy);
+    if (!record) {
+      throw new AdminApiKeyError('NOT_FOUND', `No active admin API key ${id}`);
+    }
+    logger.info(`Revoked admin API key ${record.key_prefix} (${record.name})`, { service: 'admin-api-keys', revokedBy });
+    return record;
+  }
+}
+
+export const adminApiKeys = new AdminApiKeys();
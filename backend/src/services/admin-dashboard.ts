@@ -0,0 +1,211 @@
+/**
+ * Admin Dashboard for K33P
+ * Follows deposits through signup and refund for operators: filtered deposit
+ * listings and their CSV export, the signup funnel, and refunds that have
+ * stalled in the refund outbox. A stalled refund is retried only once the
+ * outbox has been reconciled against the chain and the entry has failed, so
+ * a retry can never pay a deposit whose earlier transaction may still land.
+ */
+
+import {
+  RefundOutboxModel,
+  RefundOutboxRecord,
+  SignupFunnelCounts,
+  UserDeposit,
+  UserDepositFilters,
+  UserDepositModel
+} from '../database/models.js';
+import { maskAddress } from './access-control.js';
+import { unitOf } from './deposit-assets.js';
+import { logger } from '../utils/logger.js';
+
+// ============================================================================
+// INTERFACES AND TYPES
+// ============================================================================
+
+export interface DepositQueryStore {
+  find(filters: UserDepositFilters, limit: number, offset: number): Promise<{ deposits: UserDeposit[]; total: number }>;
+  countFunnel(since?: Date): Promise<SignupFunnelCounts>;
+}
+
+export interface StuckRefundStore {
+  findStuck(idleSince: Date, limit: number): Promise<RefundOutboxRecord[]>;
+  findByKey(idempotencyKey: string): Promise<RefundOutboxRecord | null>;
+}
+
+/** The refund side of EnhancedK33PManagerDB */
+export interface RefundProcessor {
+  reconcileRefunds(): Promise<unknown>;
+  processRefund(userAddress: string, walletAddress?: string): Promise<{ success: boolean; message: string; txHash?: string }>;
+}
+
+export interface AdminDashboardDependencies {
+  deposits: DepositQueryStore;
+  outbox: StuckRefundStore;
+}
+
+export interface SignupFunnel extends SignupFunnelCounts {
+  /** Each stage as a share of all deposits, 0 to 1 */
+  rates: { verified: number; signupCompleted: number; refunded: number };
+}
+
+export class AdminDashboardError extends Error {
+  constructor(
+    public code: 'REFUND_NOT_FOUND' | 'REFUND_CONFIRMED' | 'REFUND_IN_FLIGHT' | 'REFUND_NOT_RETRIED' | 'EXPORT_TOO_LARGE',
+    message: string
+  ) {
+    super(message);
+    this.name = 'AdminDashboardError';
+  }
+}
+
+/** Most rows one CSV export may hold */
+export const EXPORT_LIMIT = 10000;
+
+const CSV_COLUMNS = [
+  'id', 'user_address', 'user_id', 'tx_hash', 'unit', 'amount', 'sender_wallet_address',
+  'verified', 'signup_completed', 'refunded', 'refund_tx_hash', 'verification_attempts', 'timestamp'
+];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+// Wallet addresses identify their owner; callers without users:read-pii get them masked
+const withMaskedAddresses = (deposit: UserDeposit): UserDeposit => ({
+  ...deposit,
+  user_address: maskAddress(deposit.user_address)!,
+  sender_wallet_address: maskAddress(deposit.sender_wallet_address) ?? undefined
+});
+
+/** A deposit for JSON; amounts are sent as strings since JSON has no bigint */
+export const serializeDeposit = (original: UserDeposit, maskPii: boolean = false) => {
+  const deposit = maskPii ? withMaskedAddresses(original) : original;
+  return {
+    id: deposit.id,
+    userAddress: deposit.user_address,
+    userId: deposit.user_id,
+    txHash: deposit.tx_hash ?? null,
+    unit: unitOf(deposit.asset_policy_id, deposit.asset_name),
+    amount: deposit.amount.toString(),
+    senderWalletAddress: deposit.sender_wallet_address ?? null,
+    verified: deposit.verified,
+    signupCompleted: deposit.signup_completed,
+    refunded: deposit.refunded,
+    refundTxHash: deposit.refund_tx_hash ?? null,
+    verificationAttempts: deposit.verification_attempts,
+    timestamp: deposit.timestamp ?? null
+  };
+};
+
+/** A stuck outbox entry for JSON, without its signed transaction */
+export const serializeStuckRefund = (entry: RefundOutboxRecord, maskPii: boolean = false, now: number = Date.now()) => ({
+  idempotencyKey: entry.idempotency_key,
+  userAddress: maskPii ? maskAddress(entry.user_address) : entry.user_address,
+  refundAddress: maskPii ? maskAddress(entry.refund_address) : entry.refund_address,
+  unit: entry.unit,
+  amount: entry.amount.toString(),
+  status: entry.status,
+  txHash: entry.tx_hash ?? null,
+  validUntil: entry.valid_until ?? null,
+  attempts: entry.attempts ?? 1,
+  error: entry.error ?? null,
+  idleMinutes: entry.updated_at ? Math.floor((now - new Date(entry.updated_at).getTime()) / 60000) : null,
+  createdAt: entry.created_at ?? null,
+  updatedAt: entry.updated_at ?? null
+});
+
+// Quote every field, and defuse values a spreadsheet would run as a formula
+const csvField = (value: unknown): string => {
+  let text = value instanceof Date ? value.toISOString() : String(value ?? '');
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+export function depositsToCsv(deposits: UserDeposit[], maskPii: boolean = false): string {
+  const rows = (maskPii ? deposits.map(withMaskedAddresses) : deposits).map(deposit => {
+    const values: Record<string, unknown> = {
+      ...deposit,
+      unit: unitOf(deposit.asset_policy_id, deposit.asset_name),
+      amount: deposit.amount.toString()
+    };
+    return CSV_COLUMNS.map(column => csvField(values[column])).join(',');
+  });
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+const shareOf = (count: number, total: number) => (total > 0 ? Math.round((count / total) * 10000) / 10000 : 0);
+
+// ============================================================================
+// ADMIN DASHBOARD
+// ============================================================================
+
+export class AdminDashboard {
+  constructor(private deps: AdminDashboardDependencies = { deposits: UserDepositModel, outbox: RefundOutboxModel }) {}
+
+  listDeposits(filters: UserDepositFilters, limit: number = 50, offset: number = 0) {
+    return this.deps.deposits.find(filters, limit, offset);
+  }
+
+  async exportDepositsCsv(filters: UserDepositFilters, maskPii: boolean = false): Promise<{ csv: string; rows: number }> {
+    const { deposits, total } = await this.deps.deposits.find(filters, EXPORT_LIMIT, 0);
+    if (total > EXPORT_LIMIT) {
+      throw new AdminDashboardError(
+        'EXPORT_TOO_LARGE',
+        `${total} deposits match; narrow the filters to at most ${EXPORT_LIMIT}`
+      );
+    }
+    return { csv: depositsToCsv(deposits, maskPii), rows: deposits.length };
+  }
+
+  async signupFunnel(since?: Date): Promise<SignupFunnel> {
+    const counts = await this.deps.deposits.countFunnel(since);
+    return {
+      ...counts,
+      rates: {
+        verified: shareOf(counts.verified, counts.deposits),
+        signupCompleted: shareOf(counts.signupCompleted, counts.deposits),
+        refunded: shareOf(counts.refunded, counts.deposits)
+      }
+    };
+  }
+
+  /** Failed refunds, and unsettled ones idle for at least `idleMinutes` */
+  stuckRefunds(idleMinutes: number = 30, limit: number = 100): Promise<RefundOutboxRecord[]> {
+    return this.deps.outbox.findStuck(new Date(Date.now() - idleMinutes * 60 * 1000), limit);
+  }
+
+  /**
+   * Retry the refund under `idempotencyKey`. The outbox is reconciled first;
+   * only an entry that then stands failed is refunded again, and only to the
+   * address it was recorded with, so a retry cannot redirect a refund.
+   */
+  async retryRefund(refunds: RefundProcessor, idempotencyKey: string): Promise<{ txHash?: string; message: string }> {
+    if (!(await this.deps.outbox.findByKey(idempotencyKey))) {
+      throw new AdminDashboardError('REFUND_NOT_FOUND', `No refund under ${idempotencyKey}`);
+    }
+
+    await refunds.reconcileRefunds();
+    const entry = (await this.deps.outbox.findByKey(idempotencyKey))!;
+
+    if (entry.status === 'confirmed') {
+      throw new AdminDashboardError('REFUND_CONFIRMED', `Refund already confirmed in ${entry.tx_hash}`);
+    }
+    if (entry.status !== 'failed') {
+      throw new AdminDashboardError(
+        'REFUND_IN_FLIGHT',
+        `Refund is ${entry.status}${entry.tx_hash ? ` as ${entry.tx_hash}` : ''}; it can be retried once it fails or expires`
+      );
+    }
+
+    const result = await refunds.processRefund(entry.user_address, entry.refund_address);
+    if (!result.success) {
+      throw new AdminDashboardError('REFUND_NOT_RETRIED', result.message);
+    }
+
+    logger.info(`Retried refund ${idempotencyKey} as ${result.txHash}`, { service: 'admin-dashboard' });
+    return { txHash: result.txHash, message: result.message };
+  }
+}
+
+export const adminDashboard = new AdminDashboard();
@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import net from 'net';
+import { AuditLogEntry, AuditLogFilters, AuditLogLinks, AuditLogModel } from '../database/models.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Tamper-evident audit trail
+ *
+ * Events are appended to the audit_log table. Each entry's hash covers its
+ * content and the previous entry's hash, so editing, reordering or deleting a
+ * row is detected by verifyChain(). The newest hash is also written to the
+ * application log, which anchors the head of the chain outside the database.
+ */
+
+export interface AuditEvent {
+  userId?: string;
+  action: string;
+  resource: string;
+  resourceId?: string;
+  success: boolean;
+  ip?: string;
+  userAgent?: string;
+  details?: any;
+}
+
+export interface AuditChainVerification {
+  valid: boolean;
+  checked: number;
+  headHash: string;
+  brokenAt?: string;
+  reason?: 'PREV_HASH_MISMATCH' | 'HASH_MISMATCH';
+}
+
+/**
+ * JSON with object keys sorted recursively. JSONB does not preserve key order,
+ * so hashes must not depend on it.
+ */
+const canonicalJson = (value: any): string => {
+  const normalize = (item: any): any => {
+    if (Array.isArray(item)) return item.map(normalize);
+    if (item && typeof item === 'object') {
+      return Object.keys(item).sort().reduce((sorted: any, key) => {
+        sorted[key] = normalize(item[key]);
+        return sorted;
+      }, {});
+    }
+    return item;
+  };
+  // Round-trip first so undefined values and Dates match what is stored
+  return JSON.stringify(normalize(JSON.parse(JSON.stringify(value ?? {}))));
+};
+
+/**
+ * Hash of an audit entry's content chained to the previous entry's hash
+ */
+export const computeAuditHash = (entry: Omit<AuditLogEntry, 'id' | 'hash'>): string => {
+  const content = canonicalJson({
+    prev_hash: entry.prev_hash,
+    user_id: entry.user_id ?? null,
+    action: entry.action,
+    resource: entry.resource,
+    resource_id: entry.resource_id ?? null,
+    success: entry.success,
+    ip_address: entry.ip_address ?? null,
+    user_agent: entry.user_agent ?? null,
+    details: entry.details ?? {},
+    created_at: new Date(entry.created_at).toISOString()
+  });
+  return crypto.createHash('sha256').update(content).digest('hex');
+};
+
+class AuditService {
+  /**
+   * Append an event to the audit trail. Events for a user are mirrored into
+   * account_activity and failed events into system_logs.
+   */
+  async record(event: AuditEvent): Promise<AuditLogEntry> {
+    const links: AuditLogLinks = {};
+    if (event.userId) {
+      links.activity = {
+        activity_type: `${event.resource}_${event.action}`.toLowerCase(),
+        description: `${event.action} ${event.resource}${event.success ? '' : ' (failed)'}`,
+        // account_activity.ip_address is INET
+        ip_address: event.ip && net.isIP(event.ip) ? event.ip : null
+      };
+    }
+    if (!event.success) {
+      links.systemLog = {
+        level: 'warn',
+        message: `Audit: ${event.action} ${event.resource} failed`
+      };
+    }
+
+    const entry = await AuditLogModel.append({
+      user_id: event.userId ?? null,
+      action: event.action,
+      resource: event.resource,
+      resource_id: event.resourceId ?? null,
+      success: event.success,
+      ip_address: event.ip ?? null,
+      user_agent: event.userAgent ?? null,
+      details: event.details ?? {},
+      created_at: new Date()
+    }, computeAuditHash, links);
+
+    logger.info('Audit log entry appended', { id: entry.id, action: entry.action, resource: entry.resource, hash: entry.hash });
+    return entry;
+  }
+
+  async query(filters: AuditLogFilters, limit: number = 50, offset: number = 0) {
+    return AuditLogModel.find(filters, limit, offset);
+  }
+
+  /**
+   * Walk the whole chain in id order and recompute every hash
+   */
+  async verifyChain(batchSize: number = 500): Promise<AuditChainVerification> {
+    let expectedPrevHash = AuditLogModel.GENESIS_HASH;
+    let lastId = '0';
+    let checked = 0;
+
+    for (;;) {
+      const batch = await AuditLogModel.findAfter(lastId, batchSize);
+      if (batch.length === 0) break;
+
+      for (const entry of batch) {
+        if (entry.prev_hash !== expectedPrevHash) {
+          return { valid: false, checked, headHash: expectedPrevHash, brokenAt: entry.id, reason: 'PREV_HASH_MISMATCH' };
+        }
+        if (computeAuditHash(entry) !== entry.hash) {
+          return { valid: false, checked, headHash: expectedPrevHash, brokenAt: entry.id, reason: 'HASH_MISMATCH' };
+        }
+
+        expectedPrevHash = entry.hash;
+        lastId = entry.id!;
+        checked++;
+      }
+    }
+
+    return { valid: true, checked, headHash: expectedPrevHash };
+  }
+}
+
+export const auditService = new AuditService();
+
+export default auditService;
@@ -6,6 +6,17 @@
 
 import { EnhancedK33PManagerDB } from '../enhanced-k33p-manager-db.js';
 import { dbService } from '../database/service.js';
+import {
+  ChainDepositModel,
+  ChainDepositRecord,
+  ChainSyncPointModel,
+  NotificationModel,
+  TreasurySnapshotModel
+} from '../database/models.js';
+import { ChainFollower, ChainFollowerStatus, ConfirmedDeposit, createChainSyncSource } from './chain-follower.js';
+import { ChainProvider, ChainProviderError, ChainTxRef, getChainProvider, lovelaceOf } from './chain-provider.js';
+import { RefundBatcher, RefundBatchOutcome } from './refund-batcher.js';
+import { Treasury } from './treasury.js';
 import winston from 'winston';
 import { config } from 'dotenv';
 
@@ -17,11 +28,10 @@ const CONFIG = {
   maxRetries: 3,
   retryDelay: 5000, // 5 seconds
   requiredAmount: 2_000_000n, // 2 ADA in lovelace
-  blockfrostApiKey: process.env.BLOCKFROST_API_KEY || (() => {
-      throw new Error('BLOCKFROST_API_KEY environment variable is required');
-    })(),
-  blockfrostUrl: "https://cardano-preprod.blockfrost.io/api/v0",
   autoRefundEnabled: process.env.AUTO_REFUND_ENABLED === 'true',
+  // 'poll' lists recent deposit address transactions on an interval; 'chain-sync'
+  // follows every block through Ogmios (CHAIN_PROVIDER=ogmios-kupo)
+  mode: (process.env.AUTO_REFUND_MODE === 'chain-sync' ? 'chain-sync' : 'poll') as 'poll' | 'chain-sync',
   maxTransactionAge: 3600, // 1 hour - only process recent transactions
   disableOnPaymentError: true, // Disable monitoring when payment is required
   paymentErrorCooldown: 300000, // 5 minutes cooldown after payment error
@@ -31,6 +41,12 @@ const CONFIG = {
   adaptivePollingEnabled: process.env.AUTO_REFUND_ADAPTIVE === 'true',
   minPollingInterval: parseInt(process.env.AUTO_REFUND_MIN_INTERVAL || '30000'),
   maxPollingInterval: parseInt(process.env.AUTO_REFUND_MAX_INTERVAL || '300000'),
+  // Refunds are collected for this long and paid together, at most
+  // refundBatchMaxSize per transaction
+  refundBatchWindow: parseInt(process.env.AUTO_REFUND_BATCH_WINDOW || '60000'),
+  refundBatchMaxSize: parseInt(process.env.AUTO_REFUND_BATCH_MAX_SIZE || '50'),
+  // How often refunds still in flight are settled against the chain
+  reconcileInterval: parseInt(process.env.AUTO_REFUND_RECONCILE_INTERVAL || '300000'),
 };
 
 // Logger setup
@@ -61,19 +77,17 @@ interface IncomingTransaction {
   blockHeight: number;
 }
 
-interface RefundProcessingResult {
-  success: boolean;
-  txHash?: string;
-  error?: string;
-  alreadyProcessed?: boolean;
-}
 
 export class AutoRefundMonitor {
   private k33pManager: EnhancedK33PManagerDB;
+  private chain?: ChainProvider;
+  // Set while following the chain in chain-sync mode
+  private follower?: ChainFollower;
+  private treasury?: Treasury;
   private isRunning: boolean = false;
   private intervalId?: NodeJS.Timeout;
+  private reconcileIntervalId?: NodeJS.Timeout;
   private depositAddress: string = '';
-  private processedTransactions: Set<string> = new Set();
   private paymentErrorOccurred: boolean = false;
   private lastPaymentError?: Date;
   // Track the most recent seen tx hash to avoid redundant per-tx lookups
@@ -82,17 +96,30 @@ export class AutoRefundMonitor {
   private currentPollingInterval: number = CONFIG.pollingInterval;
   // Webhook/event listeners for push notifications
   private webhookListeners: Set<(transaction: IncomingTransaction) => void> = new Set();
+  // Deposits waiting for the next refund transaction, keyed by sender
+  private refundBatcher: RefundBatcher<IncomingTransaction> = new RefundBatcher({
+    send: transactions => this.sendRefundBatch(transactions),
+    keyOf: transaction => transaction.fromAddress,
+    config: { windowMs: CONFIG.refundBatchWindow, maxBatchSize: CONFIG.refundBatchMaxSize }
+  });
   // Monitoring statistics
   private stats = {
     totalPolls: 0,
     totalTransactionsProcessed: 0,
-    blockfrostApiCalls: 0,
+    chainApiCalls: 0,
+    refundBatchesSent: 0,
+    refundsSent: 0,
     lastPollTime: 0,
     averagePollingInterval: CONFIG.pollingInterval
   };
 
-  constructor() {
-    this.k33pManager = new EnhancedK33PManagerDB();
+  /**
+   * @param chain Chain provider to watch; defaults to the one configured by
+   * CHAIN_PROVIDER
+   */
+  constructor(chain?: ChainProvider) {
+    this.chain = chain;
+    this.k33pManager = new EnhancedK33PManagerDB(chain);
   }
 
   /**
@@ -102,11 +129,29 @@ export class AutoRefundMonitor {
     try {
       logger.info('🚀 Initializing Auto-Refund Monitor...');
       
+      this.chain = this.chain ?? getChainProvider();
       await this.k33pManager.initialize();
       this.depositAddress = await this.k33pManager.getDepositAddress();
+
+      const wallet = await this.k33pManager.getRefundWallet();
+      if (wallet) {
+        this.treasury = new Treasury({
+          chain: this.chain,
+          wallet,
+          snapshots: TreasurySnapshotModel,
+          notify: dto => NotificationModel.createFromDTO(dto),
+          onPausedChange: paused => {
+            if (paused) {
+              this.refundBatcher.pause();
+            } else {
+              this.refundBatcher.resume();
+            }
+          }
+        });
+      }
       
-      // Load previously processed transactions from database
-      await this.loadProcessedTransactions();
+      // Resume polling after the last transaction seen before a restart
+      await this.loadLastSeenTxHash();
       
       logger.info(`✅ Auto-Refund Monitor initialized. Deposit address: ${this.depositAddress}`);
       logger.info(`📱 Mobile-optimized polling interval: ${CONFIG.pollingInterval}ms`);
@@ -133,6 +178,26 @@ export class AutoRefundMonitor {
 
     logger.info('🎯 Starting Auto-Refund Monitor...');
     this.isRunning = true;
+    this.treasury?.start();
+
+    // Refunds are deduplicated by the refund outbox; settle the ones in flight
+    this.reconcileIntervalId = setInterval(async () => {
+      try {
+        await this.k33pManager.reconcileRefunds();
+      } catch (error) {
+        logger.error('❌ Error reconciling refunds:', error);
+      }
+    }, CONFIG.reconcileInterval);
+
+    if (CONFIG.mode === 'chain-sync') {
+      try {
+        this.startChainFollower();
+        logger.info('✅ Auto-Refund Monitor started in chain-sync mode');
+        return;
+      } catch (error) {
+        logger.error('❌ Chain-sync unavailable, falling back to polling:', error);
+      }
+    }
 
     // Start the monitoring loop
     this.intervalId = setInterval(async () => {
@@ -149,23 +214,100 @@ export class AutoRefundMonitor {
   /**
    * Stop the monitoring service
    */
-  stop(): void {
+  async stop(): Promise<void> {
     if (!this.isRunning) {
       logger.warn('⚠️  Auto-Refund Monitor is not running');
       return;
     }
 
     logger.info('🛑 Stopping Auto-Refund Monitor...');
+
+    if (this.follower) {
+      await this.follower.stop();
+      this.follower = undefined;
+    }
     
     if (this.intervalId) {
       clearInterval(this.intervalId);
       this.intervalId = undefined;
     }
+
+    if (this.reconcileIntervalId) {
+      clearInterval(this.reconcileIntervalId);
+      this.reconcileIntervalId = undefined;
+    }
+
+    this.treasury?.stop();
+
+    // Pay out whatever is queued rather than leaving it for the next start
+    await this.refundBatcher.flush();
+    if (this.refundBatcher.pendingCount > 0) {
+      logger.warn(`⏸️  ${this.refundBatcher.pendingCount} refunds left unpaid while the treasury is below its low-water mark`);
+    }
     
     this.isRunning = false;
     logger.info('✅ Auto-Refund Monitor stopped');
   }
 
+  /**
+   * Follow the chain from the persisted cursor instead of polling. Deposits
+   * are handed to the same refund pipeline once they are deep enough.
+   */
+  private startChainFollower(): void {
+    const chain = this.chain ?? getChainProvider();
+    this.follower = new ChainFollower({
+      source: createChainSyncSource(chain),
+      chain,
+      points: ChainSyncPointModel,
+      deposits: ChainDepositModel,
+      onDeposit: deposit => this.handleChainDeposit(deposit),
+      onRollback: deposit => this.handleChainRollback(deposit),
+      config: {
+        consumer: 'auto-refund-monitor',
+        depositAddress: this.depositAddress,
+        minAmount: CONFIG.requiredAmount
+      }
+    });
+    this.follower.start();
+  }
+
+  private async handleChainDeposit(deposit: ConfirmedDeposit): Promise<void> {
+    const transaction: IncomingTransaction = {
+      txHash: deposit.txHash,
+      fromAddress: deposit.senderAddress,
+      toAddress: deposit.depositAddress,
+      amount: deposit.amount,
+      timestamp: deposit.blockTime,
+      blockHeight: deposit.blockHeight
+    };
+
+    await this.processIncomingTransaction(transaction);
+    this.stats.totalTransactionsProcessed++;
+    this.notifyWebhookListeners(transaction);
+  }
+
+  /**
+   * A reported deposit left the chain. Its deposit record stops counting as
+   * verified; a refund already sent for it cannot be undone and is flagged.
+   */
+  private async handleChainRollback(deposit: ChainDepositRecord): Promise<void> {
+    if (!deposit.sender_address) return;
+
+    if (this.refundBatcher.remove(deposit.sender_address)) {
+      logger.warn(`↩️ Deposit ${deposit.tx_hash} rolled back before its refund was sent; dropped from the batch`);
+    }
+
+    const record = await dbService.getDepositByUserAddress(deposit.sender_address);
+    if (!record || record.tx_hash !== deposit.tx_hash) return;
+
+    if (record.refunded) {
+      logger.error(`🚨 Deposit ${deposit.tx_hash} was rolled back after refund ${record.refund_tx_hash} was sent; reconcile manually`);
+    } else {
+      await dbService.updateDeposit(deposit.sender_address, { verified: false });
+      logger.warn(`↩️ Deposit ${deposit.tx_hash} rolled back; marked unverified`);
+    }
+  }
+
   /**
    * Main monitoring and processing function
    */
@@ -220,57 +362,26 @@ export class AutoRefundMonitor {
     
     while (retryCount < maxRetries) {
       try {
-        const response = await fetch(
-           `${CONFIG.blockfrostUrl}/addresses/${this.depositAddress}/transactions?order=desc&count=${CONFIG.txFetchCount}`,
-           {
-             headers: { 'project_id': CONFIG.blockfrostApiKey }
-           }
-         );
-
-        if (!response.ok) {
-          // Handle Payment Required error specifically
-          if (response.status === 402) {
-            this.paymentErrorOccurred = true;
-            this.lastPaymentError = new Date();
-            logger.warn('⚠️ Blockfrost API quota exceeded or payment required. Auto-refund monitoring temporarily disabled.');
-            
-            if (CONFIG.disableOnPaymentError) {
-              logger.info('🔒 Auto-refund monitoring disabled due to payment error. Will retry after cooldown period.');
-              setTimeout(() => {
-                this.paymentErrorOccurred = false;
-                logger.info('🔄 Payment error cooldown expired. Resuming auto-refund monitoring.');
-              }, CONFIG.paymentErrorCooldown);
-            }
-            return [];
-          }
-          throw new Error(`Blockfrost API error: ${response.statusText}`);
-        }
-
-        const transactions: any[] = await response.json();
+        const transactions = await this.chain!.getAddressTransactions(this.depositAddress, CONFIG.txFetchCount);
         const incomingTxs: IncomingTransaction[] = [];
         const currentTime = Math.floor(Date.now() / 1000);
 
         // If no new head tx since last poll, skip further work
-        if (this.lastSeenTxHash && transactions.length > 0 && transactions[0].tx_hash === this.lastSeenTxHash) {
+        if (this.lastSeenTxHash && transactions.length > 0 && transactions[0].txHash === this.lastSeenTxHash) {
           return [];
         }
 
         // Increment API call counter
-        this.stats.blockfrostApiCalls++;
+        this.stats.chainApiCalls++;
 
         for (const tx of transactions) {
           // Stop when we reach already-seen tx
-          if (this.lastSeenTxHash && tx.tx_hash === this.lastSeenTxHash) {
+          if (this.lastSeenTxHash && tx.txHash === this.lastSeenTxHash) {
             break;
           }
 
-          // Skip if already processed
-          if (this.processedTransactions.has(tx.tx_hash)) {
-            continue;
-          }
-
-          // Get transaction details using only UTXOs; pass known block metadata when available to avoid extra call
-          const txDetails = await this.getTransactionDetails(tx.tx_hash, tx.block_time, tx.block_height);
+          // Pass the known block metadata so the provider can skip a lookup
+          const txDetails = await this.getTransactionDetails(tx);
           if (!txDetails) continue;
 
           // Check if transaction is recent enough
@@ -286,7 +397,7 @@ export class AutoRefundMonitor {
 
         // Update last seen head tx for next poll (even if no qualifying tx found)
         if (transactions.length > 0) {
-          const newLastSeenTxHash = transactions[0].tx_hash;
+          const newLastSeenTxHash = transactions[0].txHash;
           this.lastSeenTxHash = newLastSeenTxHash;
           // persist to DB to resume on restart
           await this.saveLastSeenTxHash(newLastSeenTxHash);
@@ -299,6 +410,11 @@ export class AutoRefundMonitor {
         return incomingTxs;
         
       } catch (error) {
+        if (error instanceof ChainProviderError && error.code === 'QUOTA_EXCEEDED') {
+          this.handleQuotaExceeded();
+          return [];
+        }
+
         retryCount++;
         const isLastRetry = retryCount >= maxRetries;
         
@@ -328,61 +444,44 @@ export class AutoRefundMonitor {
   /**
    * Get detailed transaction information with retry logic
    */
-  private async getTransactionDetails(txHash: string, knownBlockTime?: number, knownBlockHeight?: number): Promise<IncomingTransaction | null> {
+  private async getTransactionDetails(ref: ChainTxRef): Promise<IncomingTransaction | null> {
     const maxRetries = 3;
     let retryCount = 0;
+    const txHash = ref.txHash;
     
     while (retryCount < maxRetries) {
       try {
-        // Avoid extra /txs call: if time/height unknown, default to now and 0 respectively
-        const blockTime = (knownBlockTime == null) ? Math.floor(Date.now() / 1000) : knownBlockTime;
-        const blockHeight = (knownBlockHeight == null) ? 0 : knownBlockHeight;
-
-        // Get UTXOs (single call per tx)
-        const utxosResponse = await fetch(
-           `${CONFIG.blockfrostUrl}/txs/${txHash}/utxos`,
-           { 
-             headers: { 'project_id': CONFIG.blockfrostApiKey }
-           }
-         );
-
-        if (!utxosResponse.ok) {
-          if (utxosResponse.status === 402) {
-            this.paymentErrorOccurred = true;
-            this.lastPaymentError = new Date();
-            logger.warn('⚠️ Blockfrost API quota exceeded for UTXO details.');
-            return null;
-          }
-          throw new Error(`UTXOs API error: ${utxosResponse.statusText}`);
-        }
-        const utxosData = await utxosResponse.json();
+        const tx = await this.chain!.getTransaction(txHash, ref);
+        if (!tx) return null;
 
         // Find output to our deposit address
-        const depositOutput = utxosData.outputs.find((output: any) => 
-          output.address === this.depositAddress
-        );
+        const depositOutput = tx.outputs.find(output => output.address === this.depositAddress);
 
         if (!depositOutput) return null;
 
         // Get sender address (first input)
-        const senderAddress = utxosData.inputs[0]?.address;
+        const senderAddress = tx.inputs[0]?.address;
         if (!senderAddress) return null;
 
         // Get amount in lovelace
-        const amount = BigInt(
-          depositOutput.amount.find((asset: any) => asset.unit === 'lovelace')?.quantity || '0'
-        );
+        const amount = lovelaceOf(depositOutput);
 
         return {
           txHash,
           fromAddress: senderAddress,
           toAddress: this.depositAddress,
           amount,
-          timestamp: blockTime,
-          blockHeight: blockHeight
+          // Not yet in a block: treat as seen now
+          timestamp: tx.blockTime ?? Math.floor(Date.now() / 1000),
+          blockHeight: tx.blockHeight ?? 0
         };
         
       } catch (error) {
+        if (error instanceof ChainProviderError && error.code === 'QUOTA_EXCEEDED') {
+          this.handleQuotaExceeded();
+          return null;
+        }
+
         retryCount++;
         const isLastRetry = retryCount >= maxRetries;
         
@@ -403,7 +502,26 @@ export class AutoRefundMonitor {
   }
 
   /**
-   * Process an incoming transaction and trigger automatic refund
+   * Pause monitoring after the chain provider reports an exhausted quota
+   */
+  private handleQuotaExceeded(): void {
+    if (this.paymentErrorOccurred) return;
+
+    this.paymentErrorOccurred = true;
+    this.lastPaymentError = new Date();
+    logger.warn(`⚠️ ${this.chain!.name} API quota exceeded or payment required. Auto-refund monitoring temporarily disabled.`);
+
+    if (CONFIG.disableOnPaymentError) {
+      logger.info('🔒 Auto-refund monitoring disabled due to payment error. Will retry after cooldown period.');
+      setTimeout(() => {
+        this.paymentErrorOccurred = false;
+        logger.info('🔄 Payment error cooldown expired. Resuming auto-refund monitoring.');
+      }, CONFIG.paymentErrorCooldown);
+    }
+  }
+
+  /**
+   * Process an incoming transaction and queue its automatic refund
    */
   private async processIncomingTransaction(transaction: IncomingTransaction): Promise<void> {
     try {
@@ -411,10 +529,6 @@ export class AutoRefundMonitor {
       logger.info(`📍 From: ${transaction.fromAddress}`);
       logger.info(`💵 Amount: ${Number(transaction.amount) / 1_000_000} ADA`);
 
-      // Mark as processed to avoid duplicate processing
-      this.processedTransactions.add(transaction.txHash);
-      await this.saveProcessedTransaction(transaction.txHash);
-
       // Check if this address already has a deposit record
       const existingDeposit = await dbService.getDepositByUserAddress(transaction.fromAddress);
       
@@ -423,37 +537,9 @@ export class AutoRefundMonitor {
         return;
       }
 
-      // Process automatic refund
-      const refundResult = await this.processAutomaticRefund(transaction);
-      
-      if (refundResult.success) {
-        logger.info(`✅ Automatic refund processed successfully: ${refundResult.txHash}`);
-        
-        // Log the refund transaction (check for duplicates first)
-        try {
-          await dbService.createTransaction({
-            txHash: refundResult.txHash!,
-            fromAddress: this.depositAddress,
-            toAddress: transaction.fromAddress,
-            amount: CONFIG.requiredAmount,
-            confirmations: 0,
-            transactionType: 'refund',
-            status: 'pending'
-          });
-        } catch (dbError: any) {
-          // Handle duplicate key constraint violation
-          if (dbError.code === '23505' && dbError.constraint === 'transactions_tx_hash_key') {
-            logger.warn(`⚠️ Transaction ${refundResult.txHash} already exists in database, skipping duplicate insert`);
-          } else {
-            throw dbError; // Re-throw if it's a different error
-          }
-        }
-        
-      } else if (refundResult.alreadyProcessed) {
-        logger.info(`ℹ️  Refund already processed for ${transaction.fromAddress}`);
-      } else {
-        logger.error(`❌ Failed to process automatic refund: ${refundResult.error}`);
-      }
+      await this.ensureDepositRecord(transaction);
+      this.refundBatcher.enqueue(transaction);
+      logger.info(`🧺 Refund to ${transaction.fromAddress} queued (${this.refundBatcher.pendingCount} pending)`);
       
     } catch (error) {
       logger.error(`❌ Error processing transaction ${transaction.txHash}:`, error);
@@ -483,73 +569,58 @@ export class AutoRefundMonitor {
       throw error;
     }
   }  /**
-   * Process automatic refund for an incoming transaction
+   * Create the deposit record an automatic refund is booked against
    */
-  private async processAutomaticRefund(transaction: IncomingTransaction): Promise<RefundProcessingResult> {
-    try {
-      // Create or update deposit record
-      const existingDeposit = await dbService.getDepositByUserAddress(transaction.fromAddress);
-      
-      if (!existingDeposit) {
-        const userId = `auto_${Date.now()}`; // Auto-generated user ID
-        
-        // Create user record first to avoid foreign key constraint error
-        await this.createUserIfNotExists(userId, transaction.fromAddress);
-        
-        // Create new deposit record for tracking
-        await dbService.createDeposit({
-          userAddress: transaction.fromAddress,
-          userId: userId,
-          phoneHash: '', // Empty for automatic deposits
-          zkProof: '', // Empty for automatic deposits
-          txHash: transaction.txHash,
-          amount: transaction.amount,
-          senderWalletAddress: transaction.fromAddress,
-          verificationMethod: 'phone'
-        });
-      }
+  private async ensureDepositRecord(transaction: IncomingTransaction): Promise<void> {
+    const existingDeposit = await dbService.getDepositByUserAddress(transaction.fromAddress);
+    if (existingDeposit) return;
+
+    const userId = `auto_${Date.now()}`; // Auto-generated user ID
+
+    // Create user record first to avoid foreign key constraint error
+    await this.createUserIfNotExists(userId, transaction.fromAddress);
+
+    // Create new deposit record for tracking
+    await dbService.createDeposit({
+      userAddress: transaction.fromAddress,
+      userId: userId,
+      phoneHash: '', // Empty for automatic deposits
+      zkProof: '', // Empty for automatic deposits
+      txHash: transaction.txHash,
+      amount: transaction.amount,
+      senderWalletAddress: transaction.fromAddress,
+      verificationMethod: 'phone'
+    });
+  }
 
-      // Process the refund using the K33P manager
-      const refundResult = await this.k33pManager.processRefund(
-        transaction.fromAddress,
-        transaction.fromAddress // Refund to the same address that sent the deposit
-      );
+  /**
+   * Refund a batch of deposits in one transaction, back to the addresses
+   * that sent them
+   */
+  private async sendRefundBatch(transactions: IncomingTransaction[]): Promise<RefundBatchOutcome> {
+    const result = await this.k33pManager.processRefundBatch(
+      transactions.map(transaction => ({ userAddress: transaction.fromAddress, refundAddress: transaction.fromAddress }))
+    );
 
-      return {
-        success: refundResult.success,
-        txHash: refundResult.txHash,
-        error: refundResult.message,
-        alreadyProcessed: refundResult.message?.includes('already been refunded')
-      };
-      
-    } catch (error) {
-      logger.error('❌ Error in automatic refund processing:', error);
-      return {
-        success: false,
-        error: error instanceof Error ? error.message : 'Unknown error'
-      };
+    for (const address of result.skipped) {
+      logger.info(`ℹ️  Refund already processed for ${address}`);
     }
+    if (result.success && result.txHash) {
+      this.stats.refundBatchesSent++;
+      this.stats.refundsSent += result.refunded.length;
+      logger.info(`✅ Refund batch ${result.txHash} paid ${result.refunded.length} deposits`);
+    }
+
+    return result;
   }
 
   /**
-   * Load previously processed transactions from database
+   * Load the last seen transaction hash persisted by saveLastSeenTxHash
    */
-  private async loadProcessedTransactions(): Promise<void> {
+  private async loadLastSeenTxHash(): Promise<void> {
     try {
-      // Get all refund transactions from database
-      // Get all transactions and filter for refunds
       const allTransactions = await dbService.getAllTransactions();
-      const refundTransactions = allTransactions.filter((tx: any) => tx.transactionType === 'refund');
-      
-      // Add their corresponding deposit transaction hashes to processed set
-      for (const refundTx of refundTransactions) {
-        // Find the original deposit transaction that triggered this refund
-        const deposit = await dbService.getDepositByUserAddress(refundTx.to_address);
-        if (deposit && deposit.tx_hash) {
-          this.processedTransactions.add(deposit.tx_hash);
-        }
-      }
-      
+
       // Load the last seen transaction hash from database to resume from where we left off
       const lastSeenRecord = allTransactions.find((tx: any) => tx.from_address === 'auto_refund_monitor_state' && tx.to_address === 'last_seen_tx');
       if (lastSeenRecord) {
@@ -557,11 +628,8 @@ export class AutoRefundMonitor {
         this.lastSeenTxHash = String(lastSeenRecord.tx_hash).replace(/^last_seen_/, '');
         logger.info(`🔄 Resuming monitoring from last seen transaction: ${this.lastSeenTxHash.substring(0, 16)}...`);
       }
-      
-      logger.info(`📚 Loaded ${this.processedTransactions.size} previously processed transactions`);
-      
     } catch (error) {
-      logger.error('❌ Error loading processed transactions:', error);
+      logger.error('❌ Error loading last seen transaction:', error);
     }
   }
 
@@ -585,26 +653,6 @@ export class AutoRefundMonitor {
     }
   }
 
-  /**
-   * Save processed transaction to prevent duplicate processing
-   */
-  private async saveProcessedTransaction(txHash: string): Promise<void> {
-    try {
-      // Create a record in the database to track processed transactions
-      await dbService.createTransaction({
-        txHash: `processed_${txHash}`,
-        fromAddress: 'system',
-        toAddress: 'system',
-        amount: 0n,
-        confirmations: 1,
-        transactionType: 'refund',
-        status: 'confirmed'
-      });
-    } catch (error) {
-      logger.debug('Note: Could not save processed transaction marker:', error);
-    }
-  }
-
   /**
    * Adjust polling interval based on activity (adaptive polling)
    */
@@ -677,15 +725,21 @@ export class AutoRefundMonitor {
    */
   getStatus(): {
     isRunning: boolean;
+    mode: 'poll' | 'chain-sync';
+    chainSync: ChainFollowerStatus | null;
     processedCount: number;
     depositAddress: string;
     currentPollingInterval: number;
     lastSeenTxHash: string | null;
     webhookListenerCount: number;
+    pendingRefunds: number;
+    refundsPaused: boolean;
     statistics: {
       totalPolls: number;
       totalTransactionsProcessed: number;
-      blockfrostApiCalls: number;
+      chainApiCalls: number;
+      refundBatchesSent: number;
+      refundsSent: number;
       lastPollTime: number;
       averagePollingInterval: number;
       uptime: number;
@@ -701,11 +755,15 @@ export class AutoRefundMonitor {
     
     return {
       isRunning: this.isRunning,
-      processedCount: this.processedTransactions.size,
+      mode: this.follower ? 'chain-sync' : 'poll',
+      chainSync: this.follower ? this.follower.getStatus() : null,
+      processedCount: this.stats.totalTransactionsProcessed,
       depositAddress: this.depositAddress,
       currentPollingInterval: this.currentPollingInterval,
       lastSeenTxHash: this.lastSeenTxHash || null,
       webhookListenerCount: this.webhookListeners.size,
+      pendingRefunds: this.refundBatcher.pendingCount,
+      refundsPaused: this.refundBatcher.isPaused,
       statistics: {
         ...this.stats,
         uptime: this.isRunning ? Date.now() - (this.stats.lastPollTime || Date.now()) : 0
@@ -718,6 +776,11 @@ export class AutoRefundMonitor {
     };
   }
 
+  /** Treasury watching the refund wallet; undefined without Cardano */
+  getTreasury(): Treasury | undefined {
+    return this.treasury;
+  }
+
   /**
    * Manual trigger for testing
    */
@@ -733,7 +796,9 @@ export class AutoRefundMonitor {
     this.stats = {
       totalPolls: 0,
       totalTransactionsProcessed: 0,
-      blockfrostApiCalls: 0,
+      chainApiCalls: 0,
+      refundBatchesSent: 0,
+      refundsSent: 0,
       lastPollTime: 0,
       averagePollingInterval: CONFIG.pollingInterval
     };
@@ -751,7 +816,9 @@ export class AutoRefundMonitor {
     errors: string[];
   } {
     const now = Date.now();
-    const timeSinceLastPoll = now - this.stats.lastPollTime;
+    // In chain-sync mode every new block counts as activity
+    const lastActivity = this.follower ? this.follower.getStatus().lastEventAt : this.stats.lastPollTime;
+    const timeSinceLastPoll = now - lastActivity;
     const errors: string[] = [];
     
     let status: 'healthy' | 'degraded' | 'unhealthy' = 'healthy';
@@ -764,13 +831,13 @@ export class AutoRefundMonitor {
     
     // Check if there are payment errors
     if (this.paymentErrorOccurred) {
-      errors.push('Blockfrost API payment error occurred');
+      errors.push('Chain provider quota or payment error occurred');
       status = 'degraded';
     }
     
     // Check if polling is stalled (no polls in last 10 minutes)
     if (this.isRunning && timeSinceLastPoll > 600000) {
-      errors.push('Polling appears to be stalled');
+      errors.push(this.follower ? 'Chain-sync appears to be stalled' : 'Polling appears to be stalled');
       status = 'unhealthy';
     }
     
@@ -778,7 +845,7 @@ export class AutoRefundMonitor {
       status,
       timestamp: now,
       uptime: this.isRunning ? timeSinceLastPoll : 0,
-      lastActivity: this.stats.lastPollTime,
+      lastActivity,
       errors
     };
   }
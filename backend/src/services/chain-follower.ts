@@ -0,0 +1,640 @@
+/**
+ * Chain Follower for K33P
+ * Follows the chain block by block from a persisted, rollback-aware cursor
+ * and reports deposits to an address once they are deep enough. Unlike
+ * polling an indexer for the latest transactions, no deposit in a burst is
+ * missed and nothing is spent while the chain is idle.
+ *
+ * Blocks come from a ChainSyncSource: Ogmios chain-sync in production, or
+ * the emulator's block list in tests.
+ */
+
+import WebSocket from 'ws';
+import { logger } from '../utils/logger.js';
+import { ChainDepositRecord, ChainSyncPointRecord } from '../database/models.js';
+import {
+  ChainProvider,
+  ChainTxOutput,
+  EmulatedBlock,
+  EmulatorChainProvider,
+  IndexedEmulator,
+  OgmiosKupoChainProvider
+} from './chain-provider.js';
+
+// ============================================================================
+// INTERFACES AND TYPES
+// ============================================================================
+
+export interface ChainPoint {
+  slot: number;
+  hash: string;
+}
+
+export interface ChainBlock {
+  point: ChainPoint;
+  height: number;
+  transactions: { txHash: string; outputs: ChainTxOutput[] }[];
+}
+
+export type ChainSyncEvent =
+  | { type: 'rollForward'; block: ChainBlock }
+  /** Point is null when rolling back to the chain origin */
+  | { type: 'rollBackward'; point: ChainPoint | null };
+
+export interface ChainSyncSource {
+  /**
+   * Move the cursor to the most recent of the points still on chain, or to
+   * the current tip when no points are given. Returns the intersection, or
+   * null when none of the points is on chain.
+   */
+  intersect(points: ChainPoint[]): Promise<ChainPoint | null>;
+  /** Next event after the cursor; null when at the tip with nothing new */
+  next(): Promise<ChainSyncEvent | null>;
+  close(): Promise<void>;
+}
+
+export interface ChainPointStore {
+  findRecent(consumer: string, limit: number): Promise<ChainSyncPointRecord[]>;
+  save(point: ChainSyncPointRecord, keep: number): Promise<void>;
+  deleteAfter(consumer: string, slot: number): Promise<number>;
+}
+
+export interface ChainDepositStore {
+  createMany(deposits: ChainDepositRecord[]): Promise<void>;
+  findPending(maxHeight: number, limit?: number): Promise<ChainDepositRecord[]>;
+  markConfirmed(txHash: string, senderAddress: string): Promise<ChainDepositRecord | null>;
+  rollBackAfter(slot: number): Promise<ChainDepositRecord[]>;
+}
+
+export interface ConfirmedDeposit {
+  txHash: string;
+  senderAddress: string;
+  depositAddress: string;
+  amount: bigint;
+  slot: number;
+  blockHeight: number;
+  /** Unix time in seconds */
+  blockTime: number;
+}
+
+export interface ChainFollowerConfig {
+  /** Cursor name, so several followers can share the points table */
+  consumer: string;
+  depositAddress: string;
+  minAmount: bigint;
+  /** Blocks a deposit must be buried under, including its own, before it is reported */
+  confirmations: number;
+  /** Recent points kept for finding an intersection after a restart */
+  keepPoints: number;
+  /**
+   * Where to start on first run, and where to re-scan from when none of the
+   * saved points is on chain any more. Without it the first run starts at
+   * the tip and a lost cursor stops the follower.
+   */
+  startPoint?: ChainPoint;
+  idleDelayMs: number;
+  reconnectDelayMs: number;
+}
+
+export interface ChainFollowerDependencies {
+  source: ChainSyncSource;
+  /** Resolves the sender of a deposit, which blocks only reference by output */
+  chain: Pick<ChainProvider, 'getTransaction'>;
+  points: ChainPointStore;
+  deposits: ChainDepositStore;
+  onDeposit: (deposit: ConfirmedDeposit) => Promise<void>;
+  /** Called for deposits already reported when a rollback removes them */
+  onRollback: (deposit: ChainDepositRecord) => Promise<void>;
+  config: Pick<ChainFollowerConfig, 'consumer' | 'depositAddress' | 'minAmount'> & Partial<ChainFollowerConfig>;
+}
+
+export interface ChainFollowerStatus {
+  running: boolean;
+  /** Why the follower stopped on its own, waiting for an operator */
+  haltReason: string | null;
+  cursor: (ChainPoint & { height: number }) | null;
+  blocksProcessed: number;
+  rollbacks: number;
+  depositsDetected: number;
+  depositsConfirmed: number;
+  lastEventAt: number;
+}
+
+export class ChainFollowerError extends Error {
+  constructor(public code: 'CURSOR_LOST' | 'INVALID_START_POINT', message: string) {
+    super(message);
+    this.name = 'ChainFollowerError';
+  }
+}
+
+/** Parse a `<slot>.<block hash>` point, the notation Ogmios uses */
+export function parseChainPoint(value: string): ChainPoint {
+  const match = /^(\d+)\.([0-9a-f]{64})$/i.exec(value.trim());
+  if (!match) {
+    throw new ChainFollowerError('INVALID_START_POINT', `${value} is not a <slot>.<block hash> chain point`);
+  }
+  return { slot: Number(match[1]), hash: match[2].toLowerCase() };
+}
+
+export const chainFollowerConfigFromEnv = (): Pick<ChainFollowerConfig, 'confirmations' | 'keepPoints' | 'startPoint'> => ({
+  confirmations: parseInt(process.env.CHAIN_SYNC_CONFIRMATIONS || '3'),
+  keepPoints: parseInt(process.env.CHAIN_SYNC_KEEP_POINTS || '50'),
+  startPoint: process.env.CHAIN_SYNC_START_POINT ? parseChainPoint(process.env.CHAIN_SYNC_START_POINT) : undefined
+});
+
+const delay = (ms: number): Promise<void> => new Promise(resolve => setTimeout(resolve, ms));
+
+// ============================================================================
+// CHAIN FOLLOWER
+// ============================================================================
+
+export class ChainFollower {
+  private source: ChainSyncSource;
+  private chain: Pick<ChainProvider, 'getTransaction'>;
+  private points: ChainPointStore;
+  private deposits: ChainDepositStore;
+  private onDeposit: ChainFollowerDependencies['onDeposit'];
+  private onRollback: ChainFollowerDependencies['onRollback'];
+  private config: ChainFollowerConfig;
+  private running = false;
+  private loop?: Promise<void>;
+  private intersected = false;
+  private haltReason: string | null = null;
+  private cursor: (ChainPoint & { height: number }) | null = null;
+  private stats = {
+    blocksProcessed: 0,
+    rollbacks: 0,
+    depositsDetected: 0,
+    depositsConfirmed: 0,
+    lastEventAt: 0
+  };
+
+  constructor(deps: ChainFollowerDependencies) {
+    this.source = deps.source;
+    this.chain = deps.chain;
+    this.points = deps.points;
+    this.deposits = deps.deposits;
+    this.onDeposit = deps.onDeposit;
+    this.onRollback = deps.onRollback;
+    this.config = {
+      ...chainFollowerConfigFromEnv(),
+      idleDelayMs: 5000,
+      reconnectDelayMs: 10000,
+      ...deps.config
+    };
+  }
+
+  /**
+   * Follow the chain in the background, reconnecting after errors
+   */
+  start(): void {
+    if (this.running) return;
+    this.running = true;
+    this.haltReason = null;
+    this.loop = this.run();
+    logger.info(`Chain follower ${this.config.consumer} started`, { service: 'chain-follower' });
+  }
+
+  async stop(): Promise<void> {
+    if (!this.running) return;
+    this.running = false;
+    await this.source.close();
+    await this.loop;
+    logger.info(`Chain follower ${this.config.consumer} stopped`, { service: 'chain-follower' });
+  }
+
+  /**
+   * Handle events until the source reports the tip. Only sources that can
+   * report the tip (the emulator) return; Ogmios waits for the next block.
+   */
+  async syncToTip(): Promise<number> {
+    await this.ensureIntersected();
+    let handled = 0;
+    for (let event = await this.source.next(); event; event = await this.source.next()) {
+      await this.handleEvent(event);
+      handled++;
+    }
+    return handled;
+  }
+
+  getStatus(): ChainFollowerStatus {
+    return {
+      running: this.running,
+      haltReason: this.haltReason,
+      cursor: this.cursor,
+      ...this.stats
+    };
+  }
+
+  private async run(): Promise<void> {
+    while (this.running) {
+      try {
+        await this.ensureIntersected();
+        const event = await this.source.next();
+        if (!event) {
+          await delay(this.config.idleDelayMs);
+          continue;
+        }
+        await this.handleEvent(event);
+      } catch (error) {
+        if (!this.running) break;
+        if (error instanceof ChainFollowerError) {
+          // Reconnecting cannot help; deposits would be missed if it carried on
+          logger.error(`Chain follower ${this.config.consumer} stopped: ${error.message}`, {
+            service: 'chain-follower',
+            code: error.code
+          });
+          this.haltReason = error.message;
+          this.running = false;
+          await this.source.close().catch(() => undefined);
+          break;
+        }
+        logger.error(`Chain follower ${this.config.consumer} failed, reconnecting`, {
+          service: 'chain-follower',
+          error: error instanceof Error ? error.message : String(error)
+        });
+        this.intersected = false;
+        await this.source.close().catch(() => undefined);
+        await delay(this.config.reconnectDelayMs);
+      }
+    }
+  }
+
+  /**
+   * Resume from the most recent saved point still on chain. Saved points
+   * after it were rolled back while the follower was away. With no saved
+   * point on chain, blocks since the cursor would be skipped by starting at
+   * the tip, so the follower re-scans from the configured start point or
+   * stops.
+   */
+  private async ensureIntersected(): Promise<void> {
+    if (this.intersected) return;
+
+    const saved = await this.points.findRecent(this.config.consumer, this.config.keepPoints);
+    const { startPoint } = this.config;
+    let intersection: ChainPoint | null;
+
+    if (saved.length === 0) {
+      intersection = await this.source.intersect(startPoint ? [startPoint] : []);
+      if (startPoint && !intersection) {
+        throw new ChainFollowerError('CURSOR_LOST', `start point ${startPoint.slot}.${startPoint.hash} is not on chain`);
+      }
+    } else {
+      intersection = await this.source.intersect(saved.map(point => ({ slot: point.slot, hash: point.block_hash })));
+      if (intersection) {
+        await this.rollBack(intersection);
+      } else {
+        intersection = startPoint ? await this.source.intersect([startPoint]) : null;
+        if (!intersection) {
+          throw new ChainFollowerError(
+            'CURSOR_LOST',
+            `none of the saved points since slot ${saved[saved.length - 1].slot} is on chain; set CHAIN_SYNC_START_POINT to a block before slot ${saved[0].slot} to re-scan from it`
+          );
+        }
+        // Deposits already recorded are kept: replayed blocks leave them as they are
+        await this.points.deleteAfter(this.config.consumer, intersection.slot);
+        logger.warn(`Chain follower ${this.config.consumer} lost its cursor; re-scanning from slot ${intersection.slot}`, {
+          service: 'chain-follower',
+          lastSlot: saved[0].slot
+        });
+      }
+    }
+
+    const match = intersection && saved.find(point => point.slot === intersection!.slot);
+    this.cursor = intersection ? { ...intersection, height: match ? match.block_height : 0 } : null;
+    this.intersected = true;
+  }
+
+  private async handleEvent(event: ChainSyncEvent): Promise<void> {
+    this.stats.lastEventAt = Date.now();
+
+    if (event.type === 'rollBackward') {
+      await this.rollBack(event.point);
+      return;
+    }
+
+    const { block } = event;
+    const detected = this.findDeposits(block);
+    await this.deposits.createMany(detected);
+    await this.points.save({
+      consumer: this.config.consumer,
+      slot: block.point.slot,
+      block_hash: block.point.hash,
+      block_height: block.height
+    }, this.config.keepPoints);
+
+    this.cursor = { ...block.point, height: block.height };
+    this.stats.blocksProcessed++;
+    this.stats.depositsDetected += detected.length;
+
+    await this.confirmDeposits(block.height);
+  }
+
+  private findDeposits(block: ChainBlock): ChainDepositRecord[] {
+    const deposits: ChainDepositRecord[] = [];
+
+    for (const tx of block.transactions) {
+      const amount = tx.outputs
+        .filter(output => output.address === this.config.depositAddress)
+        .reduce((total, output) => total + (output.assets.lovelace ?? 0n), 0n);
+
+      if (amount > 0n && amount >= this.config.minAmount) {
+        deposits.push({
+          tx_hash: tx.txHash,
+          deposit_address: this.config.depositAddress,
+          amount,
+          slot: block.point.slot,
+          block_hash: block.point.hash,
+          block_height: block.height,
+          status: 'pending'
+        });
+      }
+    }
+
+    return deposits;
+  }
+
+  /**
+   * Report pending deposits that have reached the required depth. A deposit
+   * is marked confirmed before it is reported, so a crash cannot report it
+   * twice.
+   */
+  private async confirmDeposits(tipHeight: number): Promise<void> {
+    const ready = await this.deposits.findPending(tipHeight - this.config.confirmations + 1);
+
+    for (const deposit of ready) {
+      const tx = await this.chain.getTransaction(deposit.tx_hash);
+      const senderAddress = tx?.inputs[0]?.address;
+      if (!senderAddress) {
+        // The indexer may not have caught up with the block yet; retried on the next block
+        logger.warn(`Sender of deposit ${deposit.tx_hash} not resolved yet`, { service: 'chain-follower' });
+        continue;
+      }
+
+      const confirmed = await this.deposits.markConfirmed(deposit.tx_hash, senderAddress);
+      if (!confirmed) continue;
+      this.stats.depositsConfirmed++;
+
+      try {
+        await this.onDeposit({
+          txHash: deposit.tx_hash,
+          senderAddress,
+          depositAddress: deposit.deposit_address,
+          amount: deposit.amount,
+          slot: deposit.slot,
+          blockHeight: deposit.block_height,
+          blockTime: tx!.blockTime ?? Math.floor(Date.now() / 1000)
+        });
+      } catch (error) {
+        logger.error(`Failed to handle deposit ${deposit.tx_hash}`, {
+          service: 'chain-follower',
+          error: error instanceof Error ? error.message : String(error)
+        });
+      }
+    }
+  }
+
+  private async rollBack(point: ChainPoint | null): Promise<void> {
+    const slot = point ? point.slot : -1;
+    const reverted = await this.deposits.rollBackAfter(slot);
+    const removedPoints = await this.points.deleteAfter(this.config.consumer, slot);
+
+    if (this.cursor && this.cursor.slot > slot) {
+      const [latest] = await this.points.findRecent(this.config.consumer, 1);
+      this.cursor = latest ? { slot: latest.slot, hash: latest.block_hash, height: latest.block_height } : null;
+    }
+
+    if (removedPoints === 0 && reverted.length === 0) return;
+
+    this.stats.rollbacks++;
+    logger.warn(`Chain follower ${this.config.consumer} rolled back to slot ${slot}`, {
+      service: 'chain-follower',
+      blocks: removedPoints,
+      deposits: reverted.length
+    });
+
+    for (const deposit of reverted) {
+      if (deposit.status !== 'confirmed') continue;
+      try {
+        await this.onRollback(deposit);
+      } catch (error) {
+        logger.error(`Failed to revert deposit ${deposit.tx_hash}`, {
+          service: 'chain-follower',
+          error: error instanceof Error ? error.message : String(error)
+        });
+      }
+    }
+  }
+}
+
+// ============================================================================
+// OGMIOS CHAIN-SYNC SOURCE
+// ============================================================================
+
+class OgmiosError extends Error {
+  constructor(public code: number, message: string) {
+    super(message);
+    this.name = 'OgmiosError';
+  }
+}
+
+// Ogmios error code for findIntersection when no point is on chain
+const INTERSECTION_NOT_FOUND = 1000;
+
+/**
+ * Ogmios v6 chain-sync over its JSON-RPC WebSocket. Uses the ws client, as
+ * Node only has a global WebSocket from version 22.
+ */
+export class OgmiosChainSyncSource implements ChainSyncSource {
+  private socket?: WebSocket;
+  private requests = new Map<number, { resolve: (result: any) => void; reject: (error: Error) => void }>();
+  private nextId = 0;
+
+  constructor(private url: string) {}
+
+  async intersect(points: ChainPoint[]): Promise<ChainPoint | null> {
+    const candidates = points.length > 0
+      ? points.map(point => ({ slot: point.slot, id: point.hash }))
+      : [await this.rpc('queryNetwork/tip')];
+
+    try {
+      const result = await this.rpc('findIntersection', { points: candidates });
+      return result.intersection === 'origin' ? null : { slot: result.intersection.slot, hash: result.intersection.id };
+    } catch (error) {
+      if (error instanceof OgmiosError && error.code === INTERSECTION_NOT_FOUND) return null;
+      throw error;
+    }
+  }
+
+  async next(): Promise<ChainSyncEvent | null> {
+    const result = await this.rpc('nextBlock');
+
+    if (result.direction === 'backward') {
+      return {
+        type: 'rollBackward',
+        point: result.point === 'origin' ? null : { slot: result.point.slot, hash: result.point.id }
+      };
+    }
+
+    const block = result.block;
+    return {
+      type: 'rollForward',
+      block: {
+        // Byron epoch boundary blocks have no slot of their own
+        point: { slot: block.slot ?? 0, hash: block.id },
+        height: block.height,
+        transactions: (block.transactions || [])
+          // Transactions that failed script validation only consumed collateral
+          .filter((tx: any) => tx.spends !== 'collaterals')
+          .map((tx: any) => ({ txHash: tx.id, outputs: tx.outputs.map(toChainOutput) }))
+      }
+    };
+  }
+
+  async close(): Promise<void> {
+    this.socket?.close();
+    this.socket = undefined;
+    this.failPending(new Error('Ogmios connection closed'));
+  }
+
+  private async connect(): Promise<WebSocket> {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      return this.socket;
+    }
+
+    const socket = new WebSocket(this.url);
+    await new Promise<void>((resolve, reject) => {
+      socket.onopen = () => resolve();
+      socket.onerror = () => reject(new Error(`Could not connect to Ogmios at ${this.url}`));
+    });
+
+    socket.onmessage = (message) => {
+      const response = JSON.parse(String(message.data));
+      const request = this.requests.get(response.id);
+      if (!request) return;
+      this.requests.delete(response.id);
+      if (response.error) {
+        request.reject(new OgmiosError(response.error.code, `Ogmios: ${response.error.message}`));
+      } else {
+        request.resolve(response.result);
+      }
+    };
+    socket.onerror = () => this.failPending(new Error('Ogmios connection error'));
+    socket.onclose = () => {
+      if (this.socket === socket) this.socket = undefined;
+      this.failPending(new Error('Ogmios connection closed'));
+    };
+
+    this.socket = socket;
+    return socket;
+  }
+
+  private async rpc(method: string, params?: Record<string, unknown>): Promise<any> {
+    const socket = await this.connect();
+    const id = ++this.nextId;
+    return new Promise((resolve, reject) => {
+      this.requests.set(id, { resolve, reject });
+      socket.send(JSON.stringify({ jsonrpc: '2.0', method, params, id }));
+    });
+  }
+
+  private failPending(error: Error): void {
+    for (const request of this.requests.values()) {
+      request.reject(error);
+    }
+    this.requests.clear();
+  }
+}
+
+// Ogmios values: { ada: { lovelace }, [policyId]: { [assetName]: quantity } }
+const toChainOutput = (output: any): ChainTxOutput => {
+  const assets: Record<string, bigint> = {};
+  for (const [policyId, tokens] of Object.entries(output.value as Record<string, Record<string, number>>)) {
+    for (const [assetName, quantity] of Object.entries(tokens)) {
+      const unit = policyId === 'ada' ? 'lovelace' : policyId + assetName;
+      assets[unit] = BigInt(quantity);
+    }
+  }
+  return { address: output.address, assets };
+};
+
+// ============================================================================
+// EMULATOR CHAIN-SYNC SOURCE
+// ============================================================================
+
+const pointOf = (block: EmulatedBlock): ChainPoint => ({ slot: block.slot, hash: block.hash });
+
+/**
+ * Serves the blocks recorded by an IndexedEmulator, including rollbacks
+ * made with IndexedEmulator.rollBack
+ */
+export class EmulatorChainSyncSource implements ChainSyncSource {
+  private cursor: EmulatedBlock | null = null;
+
+  constructor(private emulator: IndexedEmulator) {}
+
+  async intersect(points: ChainPoint[]): Promise<ChainPoint | null> {
+    const blocks = this.emulator.blocks;
+
+    if (points.length === 0) {
+      this.cursor = blocks[blocks.length - 1] ?? null;
+      return this.cursor && pointOf(this.cursor);
+    }
+
+    for (const point of points) {
+      const block = blocks.find(candidate => candidate.slot === point.slot && candidate.hash === point.hash);
+      if (block) {
+        this.cursor = block;
+        return pointOf(block);
+      }
+    }
+    return null;
+  }
+
+  async next(): Promise<ChainSyncEvent | null> {
+    const blocks = this.emulator.blocks;
+    const cursor = this.cursor;
+
+    if (cursor && !blocks.includes(cursor)) {
+      // Rolled back: return to the newest block before the cursor that is still on chain
+      this.cursor = [...blocks].reverse().find(block => block.slot < cursor.slot) ?? null;
+      return { type: 'rollBackward', point: this.cursor && pointOf(this.cursor) };
+    }
+
+    const block = blocks.find(candidate => candidate.slot > (cursor?.slot ?? -1));
+    if (!block) return null;
+
+    this.cursor = block;
+    return {
+      type: 'rollForward',
+      block: {
+        point: pointOf(block),
+        height: block.height,
+        transactions: block.txHashes.map(txHash => ({
+          txHash,
+          outputs: this.emulator.history.find(tx => tx.txHash === txHash)?.outputs ?? []
+        }))
+      }
+    };
+  }
+
+  async close(): Promise<void> {}
+}
+
+// ============================================================================
+// SOURCE SELECTION
+// ============================================================================
+
+/**
+ * Chain-sync source matching a chain provider. Blockfrost has no chain-sync,
+ * so following the chain needs Ogmios (CHAIN_PROVIDER=ogmios-kupo).
+ */
+export function createChainSyncSource(chain: ChainProvider): ChainSyncSource {
+  if (chain.name === 'ogmios-kupo') {
+    return new OgmiosChainSyncSource((chain as OgmiosKupoChainProvider).ogmiosUrl);
+  }
+  if (chain.name === 'emulator') {
+    return new EmulatorChainSyncSource((chain as EmulatorChainProvider).emulator);
+  }
+  throw new Error(`Chain-sync is not available with the ${chain.name} chain provider; use CHAIN_PROVIDER=ogmios-kupo`);
+}
@@ -0,0 +1,590 @@
+/**
+ * Chain Providers for K33P
+ * Read and submit access to Cardano behind a common interface, so deposit
+ * verification, the auto-refund monitor and transaction building do not
+ * depend on one indexer. BlockfrostChainProvider uses the Blockfrost API,
+ * OgmiosKupoChainProvider a self-hosted Ogmios node bridge and Kupo indexer,
+ * and EmulatorChainProvider an in-memory Lucid Emulator for tests.
+ */
+
+import {
+  Assets,
+  Blockfrost,
+  CML,
+  Emulator,
+  EmulatorAccount,
+  Kupmios,
+  Network,
+  Provider,
+  SLOT_CONFIG_NETWORK,
+  slotToBeginUnixTime,
+  UTxO
+} from '@lucid-evolution/lucid';
+import crypto from 'crypto';
+import { logger } from '../utils/logger.js';
+import { getNetworkProfile, NetworkProfileError } from './network-profile.js';
+
+// ============================================================================
+// INTERFACES AND TYPES
+// ============================================================================
+
+export interface ChainTxOutput {
+  address: string;
+  assets: Assets;
+}
+
+/** A transaction touching an address, newest first in listings */
+export interface ChainTxRef {
+  txHash: string;
+  /** Null while the transaction is not yet in a block */
+  blockHeight: number | null;
+  /** Unix time in seconds */
+  blockTime: number | null;
+}
+
+export interface ChainTransaction extends ChainTxRef {
+  inputs: ChainTxOutput[];
+  outputs: ChainTxOutput[];
+  confirmations: number;
+}
+
+export interface ChainTip {
+  slot: number;
+  blockHeight: number;
+  /** Unix time in seconds */
+  time: number;
+}
+
+export interface ChainProvider {
+  readonly name: 'blockfrost' | 'ogmios-kupo' | 'emulator';
+  readonly network: Network;
+  /** Lucid provider used to build, balance and submit transactions */
+  readonly lucidProvider: Provider;
+  getUtxos(address: string): Promise<UTxO[]>;
+  /** Most recent transactions with an input or output at the address */
+  getAddressTransactions(address: string, limit: number): Promise<ChainTxRef[]>;
+  /**
+   * Inputs and outputs of a transaction; null when it is unknown. A ref from
+   * getAddressTransactions lets providers skip a block lookup.
+   */
+  getTransaction(txHash: string, ref?: ChainTxRef): Promise<ChainTransaction | null>;
+  /** Submit a signed transaction in CBOR hex and return its hash */
+  submitTx(cbor: string): Promise<string>;
+  getTip(): Promise<ChainTip>;
+}
+
+export class ChainProviderError extends Error {
+  constructor(
+    public code: 'QUOTA_EXCEEDED' | 'REQUEST_FAILED' | 'NOT_CONFIGURED',
+    message: string,
+    public status?: number
+  ) {
+    super(message);
+    this.name = 'ChainProviderError';
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+export const lovelaceOf = (output: ChainTxOutput): bigint => output.assets.lovelace ?? 0n;
+
+const addAsset = (assets: Assets, unit: string, quantity: bigint | number | string): void => {
+  assets[unit] = (assets[unit] ?? 0n) + BigInt(quantity);
+};
+
+const confirmationsAt = (blockHeight: number | null, tip: ChainTip): number =>
+  blockHeight == null ? 0 : Math.max(0, tip.blockHeight - blockHeight + 1);
+
+async function fetchJson(url: string, init: RequestInit, service: string): Promise<any> {
+  const response = await fetch(url, init);
+
+  if (response.status === 404) {
+    return null;
+  }
+  if (response.status === 402 || response.status === 429) {
+    throw new ChainProviderError('QUOTA_EXCEEDED', `${service} quota exceeded or payment required`, response.status);
+  }
+  if (!response.ok) {
+    throw new ChainProviderError('REQUEST_FAILED', `${service} request failed: ${response.status} ${response.statusText}`, response.status);
+  }
+
+  return response.json();
+}
+
+// ============================================================================
+// BLOCKFROST PROVIDER
+// ============================================================================
+
+export interface BlockfrostProviderOptions {
+  network: Network;
+  projectId: string;
+  /** Defaults to the public Blockfrost endpoint for the network */
+  url?: string;
+}
+
+// The tip is shared by every confirmation count in a poll, so it is cached
+// briefly instead of costing one API call per transaction
+const TIP_CACHE_MS = 10_000;
+
+export class BlockfrostChainProvider implements ChainProvider {
+  readonly name = 'blockfrost' as const;
+  readonly network: Network;
+  readonly lucidProvider: Provider;
+  private url: string;
+  private projectId: string;
+  private cachedTip?: { tip: ChainTip; fetchedAt: number };
+
+  constructor(options: BlockfrostProviderOptions) {
+    this.network = options.network;
+    this.projectId = options.projectId;
+    this.url = (options.url || getNetworkProfile(options.network).blockfrostUrl).replace(/\/$/, '');
+    this.lucidProvider = new Blockfrost(this.url, this.projectId);
+  }
+
+  private request(path: string): Promise<any> {
+    return fetchJson(`${this.url}${path}`, { headers: { project_id: this.projectId } }, 'Blockfrost');
+  }
+
+  async getUtxos(address: string): Promise<UTxO[]> {
+    return this.lucidProvider.getUtxos(address);
+  }
+
+  async getAddressTransactions(address: string, limit: number): Promise<ChainTxRef[]> {
+    const transactions = await this.request(`/addresses/${address}/transactions?order=desc&count=${limit}`);
+    return (transactions || []).map((tx: any) => ({
+      txHash: tx.tx_hash,
+      blockHeight: tx.block_height,
+      blockTime: tx.block_time
+    }));
+  }
+
+  async getTransaction(txHash: string, ref?: ChainTxRef): Promise<ChainTransaction | null> {
+    let blockHeight = ref?.blockHeight ?? null;
+    let blockTime = ref?.blockTime ?? null;
+
+    if (blockHeight == null) {
+      const tx = await this.request(`/txs/${txHash}`);
+      if (!tx) return null;
+      blockHeight = tx.block_height;
+      blockTime = tx.block_time;
+    }
+
+    const utxos = await this.request(`/txs/${txHash}/utxos`);
+    if (!utxos) return null;
+
+    const toOutput = (entry: any): ChainTxOutput => {
+      const assets: Assets = {};
+      for (const amount of entry.amount) {
+        addAsset(assets, amount.unit, amount.quantity);
+      }
+      return { address: entry.address, assets };
+    };
+
+    return {
+      txHash,
+      blockHeight,
+      blockTime,
+      // Collateral and reference inputs did not fund the transaction
+      inputs: utxos.inputs.filter((input: any) => !input.collateral && !input.reference).map(toOutput),
+      outputs: utxos.outputs.filter((output: any) => !output.collateral).map(toOutput),
+      confirmations: confirmationsAt(blockHeight, await this.getTip())
+    };
+  }
+
+  async submitTx(cbor: string): Promise<string> {
+    return this.lucidProvider.submitTx(cbor);
+  }
+
+  async getTip(): Promise<ChainTip> {
+    if (this.cachedTip && Date.now() - this.cachedTip.fetchedAt < TIP_CACHE_MS) {
+      return this.cachedTip.tip;
+    }
+
+    const block = await this.request('/blocks/latest');
+    const tip = { slot: block.slot, blockHeight: block.height, time: block.time };
+    this.cachedTip = { tip, fetchedAt: Date.now() };
+    return tip;
+  }
+}
+
+// ============================================================================
+// OGMIOS + KUPO PROVIDER
+// ============================================================================
+
+export interface OgmiosKupoProviderOptions {
+  network: Network;
+  /** http(s)://host:1442 */
+  kupoUrl: string;
+  /** ws(s)://host:1337 */
+  ogmiosUrl: string;
+}
+
+// Praos produces a block every 20 slots on average (active slot coefficient 0.05)
+const SLOTS_PER_BLOCK = 20;
+
+/**
+ * Kupo only records slots, so block heights are estimated from the Ogmios
+ * tip and the slot distance. Transaction lookups need Kupo 2.7 or later
+ * indexing every address (`--match "*"`), which records the spending
+ * transaction of each output.
+ */
+export class OgmiosKupoChainProvider implements ChainProvider {
+  readonly name = 'ogmios-kupo' as const;
+  readonly network: Network;
+  readonly lucidProvider: Provider;
+  /** WebSocket endpoint, also used for chain-sync */
+  readonly ogmiosUrl: string;
+  private kupoUrl: string;
+  private ogmiosHttpUrl: string;
+
+  constructor(options: OgmiosKupoProviderOptions) {
+    this.network = options.network;
+    this.ogmiosUrl = options.ogmiosUrl;
+    this.kupoUrl = options.kupoUrl.replace(/\/$/, '');
+    // Ogmios serves the same JSON-RPC methods over HTTP as over WebSocket;
+    // Lucid's Kupmios only speaks HTTP
+    this.ogmiosHttpUrl = options.ogmiosUrl.replace(/^ws/, 'http');
+    this.lucidProvider = new Kupmios(this.kupoUrl, this.ogmiosHttpUrl);
+  }
+
+  private kupo(path: string): Promise<any> {
+    return fetchJson(`${this.kupoUrl}${path}`, {}, 'Kupo');
+  }
+
+  private async ogmios(method: string): Promise<any> {
+    const response = await fetchJson(this.ogmiosHttpUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', method })
+    }, 'Ogmios');
+
+    if (!response || response.error) {
+      throw new ChainProviderError('REQUEST_FAILED', `Ogmios ${method} failed: ${response?.error?.message || 'no response'}`);
+    }
+    return response.result;
+  }
+
+  private slotToTime(slot: number): number {
+    return Math.floor(slotToBeginUnixTime(slot, SLOT_CONFIG_NETWORK[this.network]) / 1000);
+  }
+
+  private estimateHeight(slot: number, tip: ChainTip): number {
+    return Math.max(0, tip.blockHeight - Math.floor((tip.slot - slot) / SLOTS_PER_BLOCK));
+  }
+
+  private toOutput(match: any): ChainTxOutput {
+    const assets: Assets = {};
+    addAsset(assets, 'lovelace', match.value.coins);
+    for (const [key, quantity] of Object.entries(match.value.assets || {})) {
+      addAsset(assets, key.replace('.', ''), quantity as number);
+    }
+    return { address: match.address, assets };
+  }
+
+  async getUtxos(address: string): Promise<UTxO[]> {
+    return this.lucidProvider.getUtxos(address);
+  }
+
+  async getAddressTransactions(address: string, limit: number): Promise<ChainTxRef[]> {
+    const matches: any[] = (await this.kupo(`/matches/${address}?order=most_recent_first`)) || [];
+    const tip = await this.getTip();
+    const slots = new Map<string, number>();
+
+    // Outputs created at the address, and the transactions that spent them
+    for (const match of matches) {
+      slots.set(match.transaction_id, Math.max(slots.get(match.transaction_id) ?? 0, match.created_at.slot_no));
+      if (match.spent_at?.transaction_id) {
+        slots.set(match.spent_at.transaction_id, match.spent_at.slot_no);
+      }
+    }
+
+    return [...slots.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([txHash, slot]) => ({
+        txHash,
+        blockHeight: this.estimateHeight(slot, tip),
+        blockTime: this.slotToTime(slot)
+      }));
+  }
+
+  async getTransaction(txHash: string): Promise<ChainTransaction | null> {
+    const outputs: any[] = (await this.kupo(`/matches/*@${txHash}`)) || [];
+    if (outputs.length === 0) return null;
+
+    const slot = outputs[0].created_at.slot_no;
+    const spent: any[] = (await this.kupo(`/matches/*?spent&spent_after=${slot - 1}&spent_before=${slot + 1}`)) || [];
+    const inputs = spent
+      .filter(match => match.spent_at?.transaction_id === txHash)
+      .sort((a, b) => (a.spent_at.input_index ?? 0) - (b.spent_at.input_index ?? 0));
+
+    const tip = await this.getTip();
+    const blockHeight = this.estimateHeight(slot, tip);
+
+    return {
+      txHash,
+      blockHeight,
+      blockTime: this.slotToTime(slot),
+      inputs: inputs.map(match => this.toOutput(match)),
+      outputs: outputs
+        .sort((a, b) => a.output_index - b.output_index)
+        .map(match => this.toOutput(match)),
+      confirmations: confirmationsAt(blockHeight, tip)
+    };
+  }
+
+  async submitTx(cbor: string): Promise<string> {
+    return this.lucidProvider.submitTx(cbor);
+  }
+
+  async getTip(): Promise<ChainTip> {
+    const [tip, blockHeight] = await Promise.all([
+      this.ogmios('queryNetwork/tip'),
+      this.ogmios('queryNetwork/blockHeight')
+    ]);
+    return { slot: tip.slot, blockHeight, time: this.slotToTime(tip.slot) };
+  }
+}
+
+// ============================================================================
+// EMULATOR PROVIDER
+// ============================================================================
+
+export interface EmulatedBlock {
+  slot: number;
+  hash: string;
+  height: number;
+  /** Unix time in seconds */
+  time: number;
+  txHashes: string[];
+}
+
+export interface EmulatedTransaction {
+  txHash: string;
+  inputs: ChainTxOutput[];
+  outputs: ChainTxOutput[];
+  addresses: Set<string>;
+  blockHeight: number | null;
+  blockTime: number | null;
+}
+
+/**
+ * Lucid Emulator that also keeps a transaction history, which the plain
+ * emulator drops once outputs are spent, and a block list for chain-sync.
+ * Lucid takes its slot clock from the emulator it is given, so this must
+ * extend it rather than wrap it.
+ */
+export class IndexedEmulator extends Emulator {
+  readonly history: EmulatedTransaction[] = [];
+  readonly blocks: EmulatedBlock[] = [];
+
+  // Lucid types genesis accounts with their keys, but only reads the outputs
+  constructor(accounts: ChainTxOutput[] = []) {
+    super(accounts as EmulatorAccount[]);
+  }
+
+  async submitTx(cbor: string): Promise<string> {
+    const body = CML.Transaction.from_cbor_hex(cbor).body();
+    const inputs: ChainTxOutput[] = [];
+    for (let i = 0; i < body.inputs().len(); i++) {
+      const input = body.inputs().get(i);
+      const outRef = input.transaction_id().to_hex() + input.index().toString();
+      const entry = this.ledger[outRef] || this.mempool[outRef];
+      if (entry) {
+        inputs.push({ address: entry.utxo.address, assets: { ...entry.utxo.assets } });
+      }
+    }
+
+    const txHash = await super.submitTx(cbor);
+
+    const outputs = Object.entries(this.mempool)
+      .filter(([outRef]) => outRef.startsWith(txHash))
+      .map(([, { utxo }]) => utxo)
+      .sort((a, b) => a.outputIndex - b.outputIndex)
+      .map(utxo => ({ address: utxo.address, assets: { ...utxo.assets } }));
+
+    this.history.unshift({
+      txHash,
+      inputs,
+      outputs,
+      addresses: new Set([...inputs, ...outputs].map(output => output.address)),
+      blockHeight: null,
+      blockTime: null
+    });
+    return txHash;
+  }
+
+  awaitBlock(height: number = 1): void {
+    // One block at a time so each pending transaction records the block that included it
+    for (let i = 0; i < height; i++) {
+      super.awaitBlock(1);
+      this.recordBlock();
+    }
+  }
+
+  awaitSlot(length: number = 1): void {
+    const previousHeight = this.blockHeight;
+    super.awaitSlot(length);
+    if (this.blockHeight > previousHeight) {
+      this.recordBlock();
+    }
+  }
+
+  /**
+   * Drop the most recent blocks from the block list, returning their
+   * transactions to pending so the next block includes them again. Ledger
+   * state is not reverted; this exercises chain-sync consumers only.
+   */
+  rollBack(depth: number = 1): void {
+    const removed = this.blocks.splice(Math.max(0, this.blocks.length - depth));
+    const txHashes = new Set(removed.flatMap(block => block.txHashes));
+    for (const tx of this.history) {
+      if (txHashes.has(tx.txHash)) {
+        tx.blockHeight = null;
+        tx.blockTime = null;
+      }
+    }
+    this.blockHeight -= removed.length;
+  }
+
+  private recordBlock(): void {
+    const time = Math.floor(this.time / 1000);
+    const included = this.history.filter(tx => tx.blockHeight == null);
+    for (const tx of included) {
+      tx.blockHeight = this.blockHeight;
+      tx.blockTime = time;
+    }
+
+    this.blocks.push({
+      slot: this.slot,
+      hash: crypto.createHash('sha256').update(`${this.blockHeight}:${this.slot}`).digest('hex'),
+      height: this.blockHeight,
+      time,
+      // Oldest first, as in a real block
+      txHashes: included.map(tx => tx.txHash).reverse()
+    });
+  }
+}
+
+export class EmulatorChainProvider implements ChainProvider {
+  readonly name = 'emulator' as const;
+  readonly network: Network = 'Custom';
+  readonly emulator: IndexedEmulator;
+
+  constructor(accounts: ChainTxOutput[] = []) {
+    this.emulator = new IndexedEmulator(accounts);
+  }
+
+  get lucidProvider(): Provider {
+    return this.emulator;
+  }
+
+  /** Advance the emulated chain, confirming submitted transactions */
+  awaitBlock(height: number = 1): void {
+    this.emulator.awaitBlock(height);
+  }
+
+  async getUtxos(address: string): Promise<UTxO[]> {
+    return this.emulator.getUtxos(address);
+  }
+
+  async getAddressTransactions(address: string, limit: number): Promise<ChainTxRef[]> {
+    return this.emulator.history
+      .filter(tx => tx.addresses.has(address))
+      .slice(0, limit)
+      .map(({ txHash, blockHeight, blockTime }) => ({ txHash, blockHeight, blockTime }));
+  }
+
+  async getTransaction(txHash: string): Promise<ChainTransaction | null> {
+    const tx = this.emulator.history.find(entry => entry.txHash === txHash);
+    if (!tx) return null;
+
+    return {
+      txHash,
+      blockHeight: tx.blockHeight,
+      blockTime: tx.blockTime,
+      inputs: tx.inputs,
+      outputs: tx.outputs,
+      confirmations: confirmationsAt(tx.blockHeight, await this.getTip())
+    };
+  }
+
+  async submitTx(cbor: string): Promise<string> {
+    return this.emulator.submitTx(cbor);
+  }
+
+  async getTip(): Promise<ChainTip> {
+    return {
+      slot: this.emulator.slot,
+      blockHeight: this.emulator.blockHeight,
+      time: Math.floor(this.emulator.time / 1000)
+    };
+  }
+}
+
+// ============================================================================
+// PROVIDER SELECTION
+// ============================================================================
+
+/** Lucid network of the active network profile (NETWORK, defaulting to preprod) */
+export function chainNetworkFromEnv(): Network {
+  try {
+    return getNetworkProfile().lucidNetwork;
+  } catch (error) {
+    if (error instanceof NetworkProfileError) {
+      throw new ChainProviderError('NOT_CONFIGURED', error.message);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Build the provider named by CHAIN_PROVIDER. Defaults to Blockfrost when
+ * BLOCKFROST_API_KEY is set, otherwise Ogmios+Kupo when KUPO_URL and
+ * OGMIOS_URL are set.
+ */
+export function createChainProvider(type: string | undefined = process.env.CHAIN_PROVIDER): ChainProvider {
+  const projectId = process.env.BLOCKFROST_API_KEY;
+  const kupoUrl = process.env.KUPO_URL;
+  const ogmiosUrl = process.env.OGMIOS_URL;
+  const selected = type || (projectId ? 'blockfrost' : kupoUrl && ogmiosUrl ? 'ogmios-kupo' : undefined);
+
+  if (selected === 'blockfrost') {
+    if (!projectId) {
+      throw new ChainProviderError('NOT_CONFIGURED', 'CHAIN_PROVIDER=blockfrost requires BLOCKFROST_API_KEY');
+    }
+    return new BlockfrostChainProvider({ network: chainNetworkFromEnv(), projectId, url: process.env.BLOCKFROST_URL });
+  }
+
+  if (selected === 'ogmios-kupo') {
+    if (!kupoUrl || !ogmiosUrl) {
+      throw new ChainProviderError('NOT_CONFIGURED', 'CHAIN_PROVIDER=ogmios-kupo requires KUPO_URL and OGMIOS_URL');
+    }
+    return new OgmiosKupoChainProvider({ network: chainNetworkFromEnv(), kupoUrl, ogmiosUrl });
+  }
+
+  if (selected === 'emulator') {
+    return new EmulatorChainProvider();
+  }
+
+  throw new ChainProviderError(
+    'NOT_CONFIGURED',
+    selected ? `Unknown chain provider: ${selected}` : 'No chain provider configured; set BLOCKFROST_API_KEY or KUPO_URL and OGMIOS_URL'
+  );
+}
+
+let defaultProvider: ChainProvider | undefined;
+
+/**
+ * Shared provider, created on first use so that environment variables loaded
+ * after import are respected
+ */
+export function getChainProvider(): ChainProvider {
+  if (!defaultProvider) {
+    defaultProvider = createChainProvider();
+    logger.info(`Using ${defaultProvider.name} chain provider on ${defaultProvider.network}`, { service: 'chain-provider' });
+  }
+  return defaultProvider;
+}
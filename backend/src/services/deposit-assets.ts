@@ -0,0 +1,108 @@
+/**
+ * Deposit Assets for K33P
+ * Signup deposits can be paid in ADA or in a native token such as a
+ * stablecoin. The accepted assets and the amount each must reach come from
+ * DEPOSIT_ACCEPTED_ASSETS; a deposit records which one it was paid in so the
+ * refund returns the same asset.
+ */
+
+import type { Assets } from '@lucid-evolution/lucid';
+
+// ============================================================================
+// INTERFACES AND TYPES
+// ============================================================================
+
+export interface DepositAsset {
+  /** `lovelace`, or policy id and hex asset name concatenated as in Lucid's Assets */
+  unit: string;
+  /** Empty for lovelace */
+  policyId: string;
+  /** Hex; empty for lovelace and for tokens with an empty name */
+  assetName: string;
+  /** Smallest quantity that counts as a deposit */
+  amount: bigint;
+  label: string;
+}
+
+export class DepositAssetError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'DepositAssetError';
+  }
+}
+
+export const LOVELACE = 'lovelace';
+
+const POLICY_ID_LENGTH = 56;
+const MAX_ASSET_NAME_LENGTH = 64;
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/** Split a unit into policy id and asset name; lovelace has neither */
+export function splitUnit(unit: string): { policyId: string; assetName: string } {
+  if (unit === LOVELACE) {
+    return { policyId: '', assetName: '' };
+  }
+  if (!/^[0-9a-f]*$/.test(unit) || unit.length < POLICY_ID_LENGTH ||
+      unit.length > POLICY_ID_LENGTH + MAX_ASSET_NAME_LENGTH || unit.length % 2 !== 0) {
+    throw new DepositAssetError(`${unit} is not lovelace or a hex policy id followed by a hex asset name`);
+  }
+  return { policyId: unit.slice(0, POLICY_ID_LENGTH), assetName: unit.slice(POLICY_ID_LENGTH) };
+}
+
+/** Inverse of splitUnit, for deposits read back from the database */
+export function unitOf(policyId?: string | null, assetName?: string | null): string {
+  return policyId ? policyId + (assetName ?? '') : LOVELACE;
+}
+
+/**
+ * Parse `unit:amount[:label]` entries separated by commas, e.g.
+ * `lovelace:2000000,<policy id><asset name>:2000000:DJED`. Amounts are in the
+ * asset's smallest unit. Without a value only 2 ADA is accepted.
+ */
+export function parseDepositAssets(value: string | undefined = process.env.DEPOSIT_ACCEPTED_ASSETS): DepositAsset[] {
+  if (!value || !value.trim()) {
+    return [{ unit: LOVELACE, policyId: '', assetName: '', amount: 2_000_000n, label: 'ADA' }];
+  }
+
+  const assets: DepositAsset[] = [];
+  for (const entry of value.split(',').map(part => part.trim()).filter(Boolean)) {
+    const [unit, amount, label] = entry.split(':').map(part => part.trim());
+    if (!unit || !amount || !/^\d+$/.test(amount) || BigInt(amount) <= 0n) {
+      throw new DepositAssetError(`Invalid accepted deposit asset "${entry}"; expected unit:amount[:label]`);
+    }
+    if (assets.some(asset => asset.unit === unit)) {
+      throw new DepositAssetError(`${unit} is listed twice in the accepted deposit assets`);
+    }
+    assets.push({
+      unit,
+      ...splitUnit(unit),
+      amount: BigInt(amount),
+      label: label || (unit === LOVELACE ? 'ADA' : unit)
+    });
+  }
+  return assets;
+}
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+/**
+ * The first accepted asset that `assets` holds enough of, in the order they
+ * were configured, together with the quantity held
+ */
+export function matchDepositAsset(
+  assets: Assets,
+  accepted: DepositAsset[]
+): { asset: DepositAsset; quantity: bigint } | null {
+  for (const asset of accepted) {
+    const quantity = assets[asset.unit] ?? 0n;
+    if (quantity >= asset.amount) {
+      return { asset, quantity };
+    }
+  }
+  return null;
+}
@@ -265,15 +265,13 @@ export class EnhancedIagonService {
         accessCount: 0
       };
 
-      // Add seed phrase to user profile
+      // Add seed phrase metadata to user profile; the ciphertext stays in the Iagon document
       const seedPhraseEntry = {
         id: seedPhraseDocument.id,
         userId,
         walletName,
         walletType: walletType as 'cardano' | 'bitcoin' | 'ethereum' | 'other',
         mnemonicType,
-        encryptedSeedPhrase: JSON.stringify(encryptedData),
-        encryptionSalt: encryptedData.salt,
         walletAddress,
         createdAt: new Date()
       };
@@ -0,0 +1,477 @@
+/**
+ * Dead-man's-switch inheritance for next-of-kin
+ *
+ * An owner who configures a plan is asked to check in once their inactivity
+ * period has passed. If they do not respond within the check-in window, a
+ * claim window opens for the next-of-kin. A claim starts a grace period during
+ * which the owner can still veto, and only once it ends does the backend
+ * approve the NOK login on the Midnight contract.
+ *
+ *   active --(inactive)--> check_in_sent --(no response)--> claimable
+ *     ^                                                        |
+ *     +---- check-in / veto ---- claimed <----(NOK claim)------+
+ *                                   |
+ *                                   +--(grace period ends, contract approves)--> released
+ *
+ * Plans are persisted in inheritance_plans and advanced by an hourly job.
+ */
+
+import cron, { ScheduledTask } from 'node-cron';
+import {
+  CreateNotificationDTO,
+  InheritancePlanModel,
+  InheritancePlanRecord,
+  InheritancePlanUpdate,
+  InheritanceState,
+  NotificationModel
+} from '../database/models.js';
+import { AuditEvent, auditService } from './audit-service.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface InheritancePlanStore {
+  findByUserId(userId: string): Promise<InheritancePlanRecord | null>;
+  upsert(plan: InheritancePlanRecord): Promise<InheritancePlanRecord>;
+  transition(userId: string, from: InheritanceState[], updates: InheritancePlanUpdate): Promise<InheritancePlanRecord | null>;
+  findDue(now: Date, limit?: number): Promise<InheritancePlanRecord[]>;
+  delete(userId: string): Promise<boolean>;
+}
+
+export interface InheritanceConfig {
+  checkInWindowDays: number;
+  gracePeriodDays: number;
+  minInactivityDays: number;
+  maxInactivityDays: number;
+}
+
+export interface InheritanceDependencies {
+  store: InheritancePlanStore;
+  notify: (notification: CreateNotificationDTO) => Promise<unknown>;
+  /** Submit approve_nok_login on the NOK contract; resolves to whether it was approved */
+  approveNokLogin: (userId: string, nokIdentifier: string) => Promise<boolean>;
+  /** Whether `nokIdentifier` is one of the user's next-of-kin on the NOK contract */
+  isRegisteredNok: (userId: string, nokIdentifier: string) => Promise<boolean>;
+  audit: (event: AuditEvent) => Promise<unknown>;
+  config?: InheritanceConfig;
+}
+
+export interface InheritancePlanStatus {
+  userId: string;
+  state: InheritanceState;
+  inactivityPeriodDays: number;
+  checkInWindowDays: number;
+  gracePeriodDays: number;
+  lastCheckInAt: Date;
+  nextActionAt: Date | null;
+  claimedAt: Date | null;
+  releasedAt: Date | null;
+  lastError: string | null;
+}
+
+export interface InheritanceRunResult {
+  checkInsRequested: number;
+  claimWindowsOpened: number;
+  released: number;
+  rejected: number;
+  failed: number;
+}
+
+export class InheritanceError extends Error {
+  constructor(
+    public code: 'PLAN_NOT_FOUND' | 'INVALID_PERIOD' | 'CLAIM_NOT_OPEN' | 'NO_OPEN_CLAIM' | 'ALREADY_RELEASED',
+    message: string
+  ) {
+    super(message);
+    this.name = 'InheritanceError';
+  }
+}
+
+const envDays = (name: string, fallback: number): number => {
+  const value = parseInt(process.env[name] || '', 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+// Read on use: the server loads .env after its imports
+export const inheritanceConfigFromEnv = (): InheritanceConfig => ({
+  checkInWindowDays: envDays('INHERITANCE_CHECK_IN_WINDOW_DAYS', 14),
+  gracePeriodDays: envDays('INHERITANCE_GRACE_PERIOD_DAYS', 14),
+  minInactivityDays: envDays('INHERITANCE_MIN_INACTIVITY_DAYS', 30),
+  maxInactivityDays: envDays('INHERITANCE_MAX_INACTIVITY_DAYS', 730)
+});
+
+const addDays = (date: Date, days: number): Date => new Date(date.getTime() + days * DAY_MS);
+
+const sameIdentifier = (a: string | null | undefined, b: string): boolean =>
+  !!a && a.trim() === b.trim();
+
+export class InheritanceService {
+  private scheduleTask: ScheduledTask | null = null;
+  private running = false;
+
+  constructor(private deps: InheritanceDependencies) {}
+
+  private get config(): InheritanceConfig {
+    return this.deps.config ?? inheritanceConfigFromEnv();
+  }
+
+  async getPlan(userId: string): Promise<InheritancePlanStatus | null> {
+    const plan = await this.deps.store.findByUserId(userId);
+    return plan ? toStatus(plan) : null;
+  }
+
+  /**
+   * Create or replace the owner's plan. This counts as a check-in and discards
+   * any open claim.
+   */
+  async configurePlan(userId: string, inactivityPeriodDays: number, now: Date = new Date()): Promise<InheritancePlanStatus> {
+    const config = this.config;
+    if (!Number.isInteger(inactivityPeriodDays)
+      || inactivityPeriodDays < config.minInactivityDays
+      || inactivityPeriodDays > config.maxInactivityDays) {
+      throw new InheritanceError(
+        'INVALID_PERIOD',
+        `Inactivity period must be between ${config.minInactivityDays} and ${config.maxInactivityDays} days`
+      );
+    }
+
+    const plan = await this.deps.store.upsert({
+      user_id: userId,
+      state: 'active',
+      inactivity_period_days: inactivityPeriodDays,
+      check_in_window_days: config.checkInWindowDays,
+      grace_period_days: config.gracePeriodDays,
+      last_check_in_at: now,
+      next_action_at: addDays(now, inactivityPeriodDays),
+      claim_nok_identifier: null,
+      claimed_at: null,
+      released_at: null,
+      last_error: null
+    });
+
+    logger.info('Inheritance plan configured', { userId, inactivityPeriodDays });
+    return toStatus(plan);
+  }
+
+  async removePlan(userId: string): Promise<void> {
+    if (!await this.deps.store.delete(userId)) {
+      throw new InheritanceError('PLAN_NOT_FOUND', 'No inheritance plan is configured');
+    }
+    logger.info('Inheritance plan removed', { userId });
+  }
+
+  /**
+   * Owner proof of life. Restarts the inactivity period and cancels an open claim.
+   */
+  async checkIn(userId: string, now: Date = new Date()): Promise<InheritancePlanStatus> {
+    const plan = await this.requirePlan(userId);
+    if (plan.state === 'released') {
+      throw new InheritanceError('ALREADY_RELEASED', 'Next-of-kin access has already been released; configure a new plan');
+    }
+
+    const updated = await this.resetToActive(plan, ['active', 'check_in_sent', 'claimable', 'claimed'], now);
+    if (plan.state === 'claimed') {
+      await this.recordAudit(userId, 'VETO', true, { via: 'check-in' });
+    }
+    return toStatus(updated);
+  }
+
+  /**
+   * Owner rejects an open claim during its grace period
+   */
+  async veto(userId: string, now: Date = new Date()): Promise<InheritancePlanStatus> {
+    const plan = await this.requirePlan(userId);
+    if (plan.state !== 'claimed') {
+      throw new InheritanceError('NO_OPEN_CLAIM', 'There is no open next-of-kin claim to veto');
+    }
+
+    const updated = await this.resetToActive(plan, ['claimed'], now);
+    await this.recordAudit(userId, 'VETO', true);
+    logger.info('Inheritance claim vetoed by owner', { userId });
+    return toStatus(updated);
+  }
+
+  /**
+   * Next-of-kin claim once the claim window is open. Starts the grace period.
+   * Only a registered next-of-kin may claim: anyone else could hold the
+   * window shut for a whole grace period, again and again.
+   */
+  async claim(userId: string, nokIdentifier: string, now: Date = new Date()): Promise<{ state: InheritanceState; graceEndsAt: Date }> {
+    const current = await this.deps.store.findByUserId(userId);
+    const graceEndsAt = addDays(now, current?.grace_period_days ?? 0);
+    const registered = current?.state === 'claimable' && await this.deps.isRegisteredNok(userId, nokIdentifier.trim());
+    if (current?.state === 'claimable' && !registered) {
+      await this.recordAudit(userId, 'CLAIM', false, { reason: 'NOT_REGISTERED' });
+    }
+
+    const plan = registered
+      ? await this.deps.store.transition(userId, ['claimable'], {
+        state: 'claimed',
+        claim_nok_identifier: nokIdentifier.trim(),
+        claimed_at: now,
+        next_action_at: graceEndsAt,
+        last_error: null
+      })
+      : null;
+
+    if (!plan) {
+      // Same answer whether or not a plan exists or the claimant is registered,
+      // so claims do not reveal the owner's state or their next-of-kin
+      throw new InheritanceError('CLAIM_NOT_OPEN', 'No claim window is open for this user');
+    }
+
+    await this.notifyOwner(userId, {
+      title: 'Next-of-kin claim received',
+      message: `Your next-of-kin has claimed access to your account. Access will be granted on ${graceEndsAt.toDateString()} unless you veto the claim.`,
+      priority: 'urgent',
+      action_url: '/nok/inheritance/veto',
+      action_label: 'Veto claim',
+      metadata: { inheritance: 'claimed', graceEndsAt }
+    });
+    await this.recordAudit(userId, 'CLAIM', true, { graceEndsAt });
+
+    logger.info('Inheritance claim opened', { userId, graceEndsAt });
+    return { state: plan.state, graceEndsAt };
+  }
+
+  /**
+   * Whether a NOK login may be approved now. Users without a plan keep the
+   * instant approval flow; with a plan, only the released claimant is allowed.
+   */
+  async authorizeNokLogin(userId: string, nokIdentifier: string): Promise<{ allowed: boolean; state: InheritanceState | null }> {
+    const plan = await this.deps.store.findByUserId(userId);
+    if (!plan) {
+      return { allowed: true, state: null };
+    }
+    return {
+      allowed: plan.state === 'released' && sameIdentifier(plan.claim_nok_identifier, nokIdentifier),
+      state: plan.state
+    };
+  }
+
+  /**
+   * Advance every plan whose next action is due
+   */
+  async processDuePlans(now: Date = new Date()): Promise<InheritanceRunResult> {
+    const result: InheritanceRunResult = { checkInsRequested: 0, claimWindowsOpened: 0, released: 0, rejected: 0, failed: 0 };
+    const due = await this.deps.store.findDue(now);
+
+    for (const plan of due) {
+      try {
+        switch (plan.state) {
+          case 'active':
+            if (await this.requestCheckIn(plan, now)) result.checkInsRequested++;
+            break;
+          case 'check_in_sent':
+            if (await this.openClaimWindow(plan, now)) result.claimWindowsOpened++;
+            break;
+          case 'claimed':
+            result[await this.releaseClaim(plan, now)]++;
+            break;
+        }
+      } catch (error) {
+        result.failed++;
+        logger.error('Inheritance plan processing failed', { userId: plan.user_id, state: plan.state, error });
+      }
+    }
+
+    if (due.length > 0) {
+      logger.info('Inheritance plans processed', { due: due.length, ...result });
+    }
+    return result;
+  }
+
+  /**
+   * Start the inheritance scheduler (hourly)
+   */
+  startScheduler(): void {
+    if (this.scheduleTask) return;
+
+    this.scheduleTask = cron.schedule('0 * * * *', async () => {
+      // A slow contract call must not let two runs release the same claim
+      if (this.running) return;
+      this.running = true;
+      try {
+        await this.processDuePlans();
+      } catch (error) {
+        logger.error('Inheritance scheduler run failed', { error });
+      } finally {
+        this.running = false;
+      }
+    });
+
+    logger.info('Inheritance scheduler started (hourly)');
+  }
+
+  stopScheduler(): void {
+    if (this.scheduleTask) {
+      this.scheduleTask.stop();
+      this.scheduleTask = null;
+      logger.info('Inheritance scheduler stopped');
+    }
+  }
+
+  private async requestCheckIn(plan: InheritancePlanRecord, now: Date): Promise<boolean> {
+    const deadline = addDays(now, plan.check_in_window_days);
+    const updated = await this.deps.store.transition(plan.user_id, ['active'], {
+      state: 'check_in_sent',
+      next_action_at: deadline
+    });
+    if (!updated) return false;
+
+    await this.notifyOwner(plan.user_id, {
+      title: 'Please confirm you still have access',
+      message: `We have not heard from you in ${plan.inactivity_period_days} days. Check in by ${deadline.toDateString()} or your next-of-kin will be able to claim access to your account.`,
+      priority: 'high',
+      action_url: '/nok/inheritance/check-in',
+      action_label: 'Check in',
+      metadata: { inheritance: 'check_in_sent', deadline }
+    });
+    return true;
+  }
+
+  private async openClaimWindow(plan: InheritancePlanRecord, now: Date): Promise<boolean> {
+    const updated = await this.deps.store.transition(plan.user_id, ['check_in_sent'], {
+      state: 'claimable',
+      next_action_at: null
+    });
+    if (!updated) return false;
+
+    await this.notifyOwner(plan.user_id, {
+      title: 'Next-of-kin claim window open',
+      message: 'You did not check in, so your next-of-kin can now claim access to your account. Check in to close the claim window.',
+      priority: 'urgent',
+      action_url: '/nok/inheritance/check-in',
+      action_label: 'Check in',
+      metadata: { inheritance: 'claimable', openedAt: now }
+    });
+    await this.recordAudit(plan.user_id, 'OPEN_CLAIM_WINDOW', true);
+    return true;
+  }
+
+  private async releaseClaim(plan: InheritancePlanRecord, now: Date): Promise<'released' | 'rejected' | 'failed'> {
+    const nokIdentifier = plan.claim_nok_identifier;
+    if (!nokIdentifier) {
+      await this.deps.store.transition(plan.user_id, ['claimed'], { state: 'claimable', next_action_at: null, last_error: 'Claim has no next-of-kin identifier' });
+      return 'rejected';
+    }
+
+    let approved: boolean;
+    try {
+      approved = await this.deps.approveNokLogin(plan.user_id, nokIdentifier);
+    } catch (error) {
+      // Left in claimed with next_action_at unchanged, so the next run retries
+      const message = error instanceof Error ? error.message : String(error);
+      await this.deps.store.transition(plan.user_id, ['claimed'], { last_error: message });
+      logger.warn('NOK contract approval failed; will retry', { userId: plan.user_id, error: message });
+      return 'failed';
+    }
+
+    if (!approved) {
+      // The claimant is not the registered next-of-kin: reopen the window for the real one
+      await this.deps.store.transition(plan.user_id, ['claimed'], {
+        state: 'claimable',
+        next_action_at: null,
+        claim_nok_identifier: null,
+        claimed_at: null,
+        last_error: 'Next-of-kin login was not approved by the NOK contract'
+      });
+      await this.recordAudit(plan.user_id, 'RELEASE', false, { reason: 'NOT_APPROVED' });
+      return 'rejected';
+    }
+
+    const updated = await this.deps.store.transition(plan.user_id, ['claimed'], {
+      state: 'released',
+      next_action_at: null,
+      released_at: now,
+      last_error: null
+    });
+    if (!updated) {
+      // Vetoed while the contract call was in flight; the on-chain approval stands
+      // but the claimant is not authorized here.
+      logger.warn('Inheritance claim vetoed during contract approval', { userId: plan.user_id });
+      return 'rejected';
+    }
+
+    await this.notifyOwner(plan.user_id, {
+      title: 'Next-of-kin access granted',
+      message: 'The grace period ended without a veto, so your next-of-kin has been granted access to your account.',
+      priority: 'urgent',
+      metadata: { inheritance: 'released', releasedAt: now }
+    });
+    await this.recordAudit(plan.user_id, 'RELEASE', true);
+    logger.info('Inheritance claim released to next-of-kin', { userId: plan.user_id });
+    return 'released';
+  }
+
+  private async resetToActive(plan: InheritancePlanRecord, from: InheritanceState[], now: Date): Promise<InheritancePlanRecord> {
+    const updated = await this.deps.store.transition(plan.user_id, from, {
+      state: 'active',
+      last_check_in_at: now,
+      next_action_at: addDays(now, plan.inactivity_period_days),
+      claim_nok_identifier: null,
+      claimed_at: null,
+      last_error: null
+    });
+    if (!updated) {
+      // Only possible if the scheduler released the claim in the meantime
+      throw new InheritanceError('ALREADY_RELEASED', 'Next-of-kin access has already been released; configure a new plan');
+    }
+    return updated;
+  }
+
+  private async requirePlan(userId: string): Promise<InheritancePlanRecord> {
+    const plan = await this.deps.store.findByUserId(userId);
+    if (!plan) {
+      throw new InheritanceError('PLAN_NOT_FOUND', 'No inheritance plan is configured');
+    }
+    return plan;
+  }
+
+  private async notifyOwner(userId: string, notification: Omit<CreateNotificationDTO, 'user_id' | 'notification_type'>): Promise<void> {
+    try {
+      await this.deps.notify({ user_id: userId, notification_type: 'security', ...notification });
+    } catch (error) {
+      // The state change is already persisted; a lost notification must not undo it
+      logger.error('Failed to send inheritance notification', { userId, title: notification.title, error });
+    }
+  }
+
+  private async recordAudit(userId: string, action: string, success: boolean, details?: any): Promise<void> {
+    try {
+      await this.deps.audit({ userId, action, resource: 'INHERITANCE', success, details });
+    } catch (error) {
+      logger.error('Failed to persist inheritance audit event', { userId, action, error });
+    }
+  }
+}
+
+const toStatus = (plan: InheritancePlanRecord): InheritancePlanStatus => ({
+  userId: plan.user_id,
+  state: plan.state,
+  inactivityPeriodDays: plan.inactivity_period_days,
+  checkInWindowDays: plan.check_in_window_days,
+  gracePeriodDays: plan.grace_period_days,
+  lastCheckInAt: plan.last_check_in_at,
+  nextActionAt: plan.next_action_at,
+  claimedAt: plan.claimed_at ?? null,
+  releasedAt: plan.released_at ?? null,
+  lastError: plan.last_error ?? null
+});
+
+export const inheritanceService = new InheritanceService({
+  store: InheritancePlanModel,
+  notify: dto => NotificationModel.createFromDTO(dto),
+  // Loaded on first release so the NOK contract SDK is not needed until then
+  approveNokLogin: async (userId, nokIdentifier) => {
+    const { approveNokLoginForUser } = await import('./nok-service.js');
+    return (await approveNokLoginForUser(userId, nokIdentifier)).approved === true;
+  },
+  isRegisteredNok: async (userId, nokIdentifier) => {
+    const { getNokStatusForUser } = await import('./nok-service.js');
+    return (await getNokStatusForUser(userId, nokIdentifier)).nok?.registered === true;
+  },
+  audit: event => auditService.record(event)
+});
+
+export default inheritanceService;
@@ -0,0 +1,125 @@
+/**
+ * Network Profiles for K33P
+ * Everything that differs between mainnet, preprod and preview in one place:
+ * the Lucid network name, address prefixes and network id, and the default
+ * Blockfrost and explorer URLs. The active profile comes from NETWORK and is
+ * shared by chain providers, Lucid, deposit verification and k33p-deploy, so
+ * one variable switches the whole stack.
+ */
+
+import { bech32 } from 'bech32';
+import type { Network } from '@lucid-evolution/lucid';
+
+// ============================================================================
+// INTERFACES AND TYPES
+// ============================================================================
+
+export type NetworkName = 'mainnet' | 'preprod' | 'preview';
+
+export interface NetworkProfile {
+  name: NetworkName;
+  /** Network name as Lucid expects it */
+  lucidNetwork: Network;
+  /** Network id in Shelley address headers: 1 on mainnet, 0 on test networks */
+  networkId: 0 | 1;
+  /** Bech32 prefix of payment addresses */
+  addressPrefix: 'addr' | 'addr_test';
+  /** Bech32 prefix of reward addresses */
+  stakeAddressPrefix: 'stake' | 'stake_test';
+  blockfrostUrl: string;
+  explorerUrl: string;
+}
+
+export class NetworkProfileError extends Error {
+  constructor(
+    public code: 'UNSUPPORTED_NETWORK' | 'INVALID_ADDRESS' | 'WRONG_NETWORK',
+    message: string
+  ) {
+    super(message);
+    this.name = 'NetworkProfileError';
+  }
+}
+
+// ============================================================================
+// PROFILES
+// ============================================================================
+
+export const NETWORK_PROFILES: Record<NetworkName, NetworkProfile> = {
+  mainnet: {
+    name: 'mainnet',
+    lucidNetwork: 'Mainnet',
+    networkId: 1,
+    addressPrefix: 'addr',
+    stakeAddressPrefix: 'stake',
+    blockfrostUrl: 'https://cardano-mainnet.blockfrost.io/api/v0',
+    explorerUrl: 'https://cardanoscan.io'
+  },
+  preprod: {
+    name: 'preprod',
+    lucidNetwork: 'Preprod',
+    networkId: 0,
+    addressPrefix: 'addr_test',
+    stakeAddressPrefix: 'stake_test',
+    blockfrostUrl: 'https://cardano-preprod.blockfrost.io/api/v0',
+    explorerUrl: 'https://preprod.cardanoscan.io'
+  },
+  preview: {
+    name: 'preview',
+    lucidNetwork: 'Preview',
+    networkId: 0,
+    addressPrefix: 'addr_test',
+    stakeAddressPrefix: 'stake_test',
+    blockfrostUrl: 'https://cardano-preview.blockfrost.io/api/v0',
+    explorerUrl: 'https://preview.cardanoscan.io'
+  }
+};
+
+/** Profile for `name` (case-insensitive), by default NETWORK, else preprod */
+export function getNetworkProfile(name: string | undefined = process.env.NETWORK): NetworkProfile {
+  const configured = (name || 'preprod').toLowerCase();
+  const profile = NETWORK_PROFILES[configured as NetworkName];
+  if (!profile) {
+    throw new NetworkProfileError(
+      'UNSUPPORTED_NETWORK',
+      `Unsupported NETWORK: ${name}; expected one of ${Object.keys(NETWORK_PROFILES).join(', ')}`
+    );
+  }
+  return profile;
+}
+
+// ============================================================================
+// ADDRESS VALIDATION
+// ============================================================================
+
+/**
+ * Throw unless `address` is a bech32 Shelley payment address for `profile`:
+ * the prefix and the network id in its header must both match. Preprod and
+ * preview share both, so test network addresses pass on either.
+ */
+export function assertNetworkAddress(address: string, profile: NetworkProfile = getNetworkProfile()): void {
+  let prefix: string;
+  let header: number | undefined;
+  try {
+    const decoded = bech32.decode(address, 1023);
+    prefix = decoded.prefix;
+    header = bech32.fromWords(decoded.words)[0];
+  } catch {
+    throw new NetworkProfileError('INVALID_ADDRESS', `${address} is not a bech32 Cardano address`);
+  }
+
+  if (prefix !== 'addr' && prefix !== 'addr_test') {
+    throw new NetworkProfileError('INVALID_ADDRESS', `${address} is not a payment address`);
+  }
+  if (prefix !== profile.addressPrefix || header === undefined || (header & 0x0f) !== profile.networkId) {
+    throw new NetworkProfileError('WRONG_NETWORK', `${address} is not a ${profile.name} address`);
+  }
+}
+
+export function isNetworkAddress(address: string, profile: NetworkProfile = getNetworkProfile()): boolean {
+  try {
+    assertNetworkAddress(address, profile);
+    return true;
+  } catch {
+    return false;
+  }
+}
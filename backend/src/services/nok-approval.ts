@@ -0,0 +1,98 @@
+/**
+ * K-of-N Next-of-Kin Approval for K33P
+ * An owner may register several next-of-kin, and a NOK login is approved once
+ * the owner's threshold of them (K, default 1) have confirmed; the NOK asking
+ * for approval counts as one confirmation. The NOK contract enforces these
+ * rules. The checks here mirror its assertions so a caller gets a clear answer
+ * instead of a failed proof, and need nothing but the ledger state.
+ */
+
+// ============================================================================
+// INTERFACES AND TYPES
+// ============================================================================
+
+/** An owner's NOKs, threshold and confirmations as read from the contract ledger */
+export interface NokLedgerStatus {
+  threshold: bigint;
+  registered: bigint;
+  confirmations: bigint;
+  noks: { nokHash: bigint | string; registeredAt: bigint | string; confirmed: boolean }[];
+}
+
+export interface NokStatus {
+  userId: string;
+  ownerIdentifier: string;
+  threshold: number;
+  registered: number;
+  confirmations: number;
+  noks: { nokHash: string; registeredAt: string; confirmed: boolean }[];
+  /** Present when a nokIdentifier was supplied */
+  nok?: {
+    nokHash: string;
+    registered: boolean;
+    confirmed: boolean;
+    /** Further confirmations needed before this NOK's approve-login can succeed */
+    remainingConfirmations: number;
+  };
+}
+
+// ============================================================================
+// STATUS AND CHECKS
+// ============================================================================
+
+/** A user's K-of-N status, including that of the NOK hashing to `nokHash` when given */
+export function toNokStatus(userId: string, ownerIdentifier: string, ledger: NokLedgerStatus, nokHash?: string): NokStatus {
+  const status: NokStatus = {
+    userId,
+    ownerIdentifier,
+    threshold: Number(ledger.threshold),
+    registered: Number(ledger.registered),
+    confirmations: Number(ledger.confirmations),
+    noks: ledger.noks.map(record => ({
+      nokHash: record.nokHash.toString(),
+      registeredAt: record.registeredAt.toString(),
+      confirmed: record.confirmed
+    }))
+  };
+
+  if (nokHash) {
+    const record = status.noks.find(entry => entry.nokHash === nokHash);
+    // approve_nok_login counts the approving NOK's own confirmation
+    const afterApproval = status.confirmations + (record && !record.confirmed ? 1 : 0);
+    status.nok = {
+      nokHash,
+      registered: !!record,
+      confirmed: record?.confirmed ?? false,
+      remainingConfirmations: Math.max(0, status.threshold - afterApproval)
+    };
+  }
+
+  return status;
+}
+
+/** Why the NOK in `status` may not be revoked, or null; mirrors revoke_nok */
+export function revokeRefusal(status: NokStatus): string | null {
+  if (!status.nok?.registered) {
+    return 'This next-of-kin is not registered';
+  }
+  if (status.registered > 1 && status.registered <= status.threshold) {
+    return `Revoking would leave fewer next-of-kin than the approval threshold (${status.threshold}). Lower the threshold first`;
+  }
+  return null;
+}
+
+/** Why a positive `threshold` may not be set, or null; mirrors set_nok_threshold */
+export function thresholdRefusal(status: NokStatus, threshold: number): string | null {
+  if (threshold > status.registered) {
+    return `threshold cannot exceed the ${status.registered} registered next-of-kin`;
+  }
+  return null;
+}
+
+/** Why the NOK in `status` cannot be approved yet, or null; mirrors approve_nok_login */
+export function approvalRefusal(status: NokStatus): string | null {
+  if (status.nok?.registered && status.nok.remainingConfirmations > 0) {
+    return `Waiting for ${status.nok.remainingConfirmations} more next-of-kin confirmation(s)`;
+  }
+  return null;
+}
@@ -3,10 +3,12 @@
 // NOK (Next-Of-Kin) admin service for the K33P backend.
 //
 // The K33P backend is the *admin* of the deployed Midnight NOK contract: it
-// holds the admin secret + funding wallet seed and submits register / approve
-// transactions on a user's behalf. This module is a thin, server-friendly
-// wrapper around the tested contract API that lives in the NOK CLI package
-// (`@k33p/nok-cli`). We import that package's COMPILED build output so the
+// holds the admin secret + funding wallet seed and submits register / revoke /
+// threshold / confirm / approve transactions on a user's behalf. An owner may
+// have several NOKs, and a login is approved once K of them have confirmed
+// (see nok-approval.ts). This module is a thin, server-friendly wrapper around
+// the tested contract API that lives in the NOK CLI package (`@k33p/nok-cli`).
+// We import that package's COMPILED build output so the
 // K33P_Smart_Contract/Contract folder stays reference-only.
 //
 // Prerequisites (see backend/NOK_INTEGRATION.md):
@@ -22,6 +24,7 @@
 //   PROOF_SERVER_URL     proof server URL                  (default 127.0.0.1:6300)
 
 import { logger } from '../utils/logger.js';
+import { NokStatus, toNokStatus } from './nok-approval.js';
 
 // NOTE: deep imports into the CLI's compiled `dist/`. The CLI package has no
 // `exports` map, so these subpaths resolve directly to its build output. Run
@@ -30,8 +33,12 @@ import {
   configureNokProviders,
   joinNok,
   registerNok,
+  revokeNok,
+  setNokThreshold,
+  confirmNok,
   approveNokLogin,
   isNokRegistered,
+  getNokApprovalStatus,
   getNokLedgerState,
 } from '@k33p/nok-cli/dist/nok-api.js';
 import { ownerIdentifierToField, nokHashToField } from '@k33p/nok-cli/dist/hash.js';
@@ -103,6 +110,30 @@ export async function registerNokForUser(userId: string, nokIdentifier: string):
   return { userId, ownerIdentifier: ownerField.toString(), registered: true };
 }
 
+/** Revoke one of a K33P user's next-of-kin. Admin write op. */
+export async function revokeNokForUser(userId: string, nokIdentifier: string): Promise<NokResult> {
+  const { deployed } = await getContext();
+  const ownerField = ownerIdentifierToField(userId);
+  await revokeNok(deployed, ownerField, nokHashToField(nokIdentifier), nokLogger);
+  return { userId, ownerIdentifier: ownerField.toString(), registered: false };
+}
+
+/** Require `threshold` of the user's NOKs to confirm a login. Admin write op. */
+export async function setNokThresholdForUser(userId: string, threshold: number): Promise<NokResult & { threshold: number }> {
+  const { deployed } = await getContext();
+  const ownerField = ownerIdentifierToField(userId);
+  await setNokThreshold(deployed, ownerField, BigInt(threshold), nokLogger);
+  return { userId, ownerIdentifier: ownerField.toString(), threshold };
+}
+
+/** Record a NOK's confirmation of the user's pending login. Admin write op. */
+export async function confirmNokForUser(userId: string, nokIdentifier: string): Promise<NokResult & { confirmations: number }> {
+  const { deployed } = await getContext();
+  const ownerField = ownerIdentifierToField(userId);
+  const confirmations = await confirmNok(deployed, ownerField, nokHashToField(nokIdentifier), nokLogger);
+  return { userId, ownerIdentifier: ownerField.toString(), confirmations: Number(confirmations) };
+}
+
 /** Approve a NOK-initiated login for a K33P user. Admin write op. */
 export async function approveNokLoginForUser(userId: string, nokIdentifier: string): Promise<NokResult> {
   const { deployed } = await getContext();
@@ -120,7 +151,18 @@ export async function checkNokRegisteredForUser(userId: string): Promise<NokResu
   return { userId, ownerIdentifier: ownerField.toString(), registered };
 }
 
-/** Read-only: contract ledger state (admin pubkey, round, record count). */
+export type { NokStatus } from './nok-approval.js';
+
+/** Read-only: a user's NOKs, threshold and confirmations, optionally for one NOK. */
+export async function getNokStatusForUser(userId: string, nokIdentifier?: string): Promise<NokStatus> {
+  const { providers, contractAddress } = await getContext();
+  const ownerField = ownerIdentifierToField(userId);
+  const status = await getNokApprovalStatus(providers, contractAddress, ownerField, nokLogger);
+  const nokHash = nokIdentifier ? nokHashToField(nokIdentifier).toString() : undefined;
+  return toNokStatus(userId, ownerField.toString(), status, nokHash);
+}
+
+/** Read-only: contract ledger state (admin pubkey, round, record counts). */
 export async function getNokContractState() {
   const { providers, contractAddress } = await getContext();
   const state = await getNokLedgerState(providers, contractAddress, nokLogger);
@@ -129,6 +171,7 @@ export async function getNokContractState() {
     contractAddress,
     adminPubKey: Buffer.from(state.admin).toString('hex'),
     round: state.round.toString(),
+    ownerCount: state.ownerCount.toString(),
     registeredCount: state.registeredCount.toString(),
   };
 }
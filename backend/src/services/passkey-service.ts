@@ -0,0 +1,291 @@
+import crypto from 'crypto';
+import {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+  type AuthenticatorTransportFuture,
+  type RegistrationResponseJSON,
+  type AuthenticationResponseJSON,
+  type PublicKeyCredentialCreationOptionsJSON,
+  type PublicKeyCredentialRequestOptionsJSON
+} from '@simplewebauthn/server';
+import { AuthData, AuthDataModel } from '../database/models.js';
+import { VerificationStore, verificationStore } from './verification-store.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * WebAuthn passkey registration and authentication
+ *
+ * Challenges are kept in the verification store for the lifetime of the
+ * ceremony and consumed on first use. Credentials are stored in auth_data
+ * (auth_type = 'passkey'), one row per credential.
+ */
+
+const REGISTRATION_NAMESPACE = 'passkey:registration';
+const AUTHENTICATION_NAMESPACE = 'passkey:authentication';
+const CEREMONY_TIMEOUT_MS = 60000;
+const SUPPORTED_ALGORITHMS = [-7, -257]; // ES256, RS256
+
+export interface PasskeyUser {
+  userId: string;
+  userName: string;
+  displayName?: string;
+}
+
+export interface PasskeySummary {
+  credentialId: string;
+  name?: string;
+  transports: string[];
+  deviceType?: string;
+  backedUp?: boolean;
+  createdAt?: Date;
+  lastUsed?: Date;
+}
+
+export class PasskeyError extends Error {
+  constructor(
+    public code: 'CHALLENGE_NOT_FOUND' | 'PASSKEY_NOT_FOUND' | 'PASSKEY_ALREADY_REGISTERED' | 'PASSKEY_VERIFICATION_FAILED' | 'LAST_AUTH_METHOD',
+    message: string
+  ) {
+    super(message);
+    this.name = 'PasskeyError';
+  }
+}
+
+export type PasskeyStore = Pick<typeof AuthDataModel,
+  'findByUserId' | 'findPasskeysByUserId' | 'findPasskeyByCredentialId' | 'createPasskey' | 'updatePasskeyCounter' | 'removePasskey'>;
+
+/**
+ * Whether a users.auth_methods value lists a way to sign in other than a
+ * passkey. The column is JSON and may reach us as text.
+ */
+export function hasNonPasskeyAuthMethod(authMethods: unknown): boolean {
+  let methods = authMethods;
+  if (typeof methods === 'string') {
+    try {
+      methods = JSON.parse(methods);
+    } catch {
+      return false;
+    }
+  }
+  return Array.isArray(methods) && methods.some(method => method?.type && method.type !== 'passkey');
+}
+
+export class PasskeyService {
+  private rpID = process.env.WEBAUTHN_RP_ID || 'localhost';
+  private rpName = process.env.WEBAUTHN_RP_NAME || 'K33P Smart Contract';
+  private expectedOrigins = (process.env.WEBAUTHN_ORIGIN || 'http://localhost:3000')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
+  constructor(
+    private authData: PasskeyStore = AuthDataModel,
+    private store: VerificationStore = verificationStore
+  ) {}
+
+  /**
+   * Generate registration options and store the challenge
+   */
+  async beginRegistration(user: PasskeyUser): Promise<PublicKeyCredentialCreationOptionsJSON> {
+    const existing = await this.authData.findPasskeysByUserId(user.userId);
+
+    const options = await generateRegistrationOptions({
+      rpName: this.rpName,
+      rpID: this.rpID,
+      userID: new Uint8Array(Buffer.from(user.userId)),
+      userName: user.userName,
+      userDisplayName: user.displayName || user.userName,
+      timeout: CEREMONY_TIMEOUT_MS,
+      attestationType: 'direct',
+      excludeCredentials: existing.map(passkey => ({
+        id: passkey.credential_id!,
+        transports: passkey.metadata?.transports
+      })),
+      authenticatorSelection: {
+        residentKey: 'preferred',
+        userVerification: 'required'
+      },
+      supportedAlgorithmIDs: SUPPORTED_ALGORITHMS
+    });
+
+    await this.store.put(REGISTRATION_NAMESPACE, user.userId, { challenge: options.challenge }, {
+      ttlSeconds: CEREMONY_TIMEOUT_MS / 1000
+    });
+
+    return options;
+  }
+
+  /**
+   * Verify an attestation response and store the new credential
+   */
+  async completeRegistration(userId: string, response: RegistrationResponseJSON, name?: string): Promise<PasskeySummary> {
+    const expectedChallenge = await this.consumeChallenge(REGISTRATION_NAMESPACE, userId);
+
+    let verification;
+    try {
+      verification = await verifyRegistrationResponse({
+        response,
+        expectedChallenge,
+        expectedOrigin: this.expectedOrigins,
+        expectedRPID: this.rpID,
+        requireUserVerification: true,
+        supportedAlgorithmIDs: SUPPORTED_ALGORITHMS
+      });
+    } catch (error: any) {
+      throw new PasskeyError('PASSKEY_VERIFICATION_FAILED', error.message);
+    }
+
+    if (!verification.verified) {
+      throw new PasskeyError('PASSKEY_VERIFICATION_FAILED', 'Attestation could not be verified');
+    }
+
+    const { credential, fmt, aaguid, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+
+    if (await this.authData.findPasskeyByCredentialId(credential.id)) {
+      throw new PasskeyError('PASSKEY_ALREADY_REGISTERED', 'Passkey is already registered');
+    }
+
+    const publicKey = Buffer.from(credential.publicKey).toString('base64url');
+    const stored = await this.authData.createPasskey({
+      user_id: userId,
+      auth_hash: crypto.createHash('sha256').update(credential.publicKey).digest('hex'),
+      metadata: {
+        name,
+        publicKey,
+        transports: credential.transports || response.response.transports || [],
+        fmt,
+        aaguid,
+        deviceType: credentialDeviceType,
+        backedUp: credentialBackedUp
+      },
+      is_active: true,
+      credential_id: credential.id,
+      sign_count: credential.counter
+    });
+
+    logger.info(`Passkey registered for user ${userId} (${fmt} attestation)`);
+    return this.toSummary(stored);
+  }
+
+  /**
+   * Generate authentication options for a user's passkeys and store the challenge
+   */
+  async beginAuthentication(userId: string): Promise<PublicKeyCredentialRequestOptionsJSON> {
+    const passkeys = await this.authData.findPasskeysByUserId(userId);
+    if (passkeys.length === 0) {
+      throw new PasskeyError('PASSKEY_NOT_FOUND', 'No passkeys found for this user');
+    }
+
+    const options = await generateAuthenticationOptions({
+      rpID: this.rpID,
+      allowCredentials: passkeys.map(passkey => ({
+        id: passkey.credential_id!,
+        transports: passkey.metadata?.transports
+      })),
+      userVerification: 'required',
+      timeout: CEREMONY_TIMEOUT_MS
+    });
+
+    await this.store.put(AUTHENTICATION_NAMESPACE, userId, { challenge: options.challenge }, {
+      ttlSeconds: CEREMONY_TIMEOUT_MS / 1000
+    });
+
+    return options;
+  }
+
+  /**
+   * Verify an assertion response and advance the stored signature counter
+   * @returns The ID of the authenticated user
+   */
+  async completeAuthentication(response: AuthenticationResponseJSON): Promise<string> {
+    const passkey = await this.authData.findPasskeyByCredentialId(response.id);
+    if (!passkey) {
+      throw new PasskeyError('PASSKEY_NOT_FOUND', 'Passkey not found');
+    }
+
+    const expectedChallenge = await this.consumeChallenge(AUTHENTICATION_NAMESPACE, passkey.user_id);
+
+    let verification;
+    try {
+      verification = await verifyAuthenticationResponse({
+        response,
+        expectedChallenge,
+        expectedOrigin: this.expectedOrigins,
+        expectedRPID: this.rpID,
+        requireUserVerification: true,
+        credential: {
+          id: passkey.credential_id!,
+          publicKey: new Uint8Array(Buffer.from(passkey.metadata.publicKey, 'base64url')),
+          counter: passkey.sign_count || 0,
+          transports: passkey.metadata?.transports as AuthenticatorTransportFuture[] | undefined
+        }
+      });
+    } catch (error: any) {
+      // Includes counter regressions, which indicate a cloned authenticator
+      logger.warn(`Passkey assertion rejected for user ${passkey.user_id}: ${error.message}`);
+      throw new PasskeyError('PASSKEY_VERIFICATION_FAILED', error.message);
+    }
+
+    if (!verification.verified) {
+      throw new PasskeyError('PASSKEY_VERIFICATION_FAILED', 'Assertion could not be verified');
+    }
+
+    await this.authData.updatePasskeyCounter(passkey.credential_id!, verification.authenticationInfo.newCounter);
+    return passkey.user_id;
+  }
+
+  async listPasskeys(userId: string): Promise<PasskeySummary[]> {
+    const passkeys = await this.authData.findPasskeysByUserId(userId);
+    return passkeys.map(passkey => this.toSummary(passkey));
+  }
+
+  /**
+   * Remove a passkey unless it is the user's last way to sign in: another
+   * passkey, another auth_data record or a non-passkey entry in the user's
+   * auth_methods must remain
+   * @returns The number of passkeys left
+   */
+  async removePasskey(userId: string, credentialId: string, authMethods: unknown): Promise<number> {
+    const passkeys = await this.authData.findPasskeysByUserId(userId);
+    if (!passkeys.some(passkey => passkey.credential_id === credentialId)) {
+      throw new PasskeyError('PASSKEY_NOT_FOUND', 'Passkey not found');
+    }
+
+    const remaining = passkeys.length - 1;
+    const otherAuthData = (await this.authData.findByUserId(userId)).filter(auth => auth.auth_type !== 'passkey');
+    if (remaining === 0 && otherAuthData.length === 0 && !hasNonPasskeyAuthMethod(authMethods)) {
+      throw new PasskeyError('LAST_AUTH_METHOD', 'Cannot remove last authentication method');
+    }
+
+    await this.authData.removePasskey(userId, credentialId);
+    return remaining;
+  }
+
+  private async consumeChallenge(namespace: string, userId: string): Promise<string> {
+    const record = await this.store.get<{ challenge: string }>(namespace, userId);
+    if (!record) {
+      throw new PasskeyError('CHALLENGE_NOT_FOUND', 'Passkey challenge expired or not found');
+    }
+
+    await this.store.delete(namespace, userId);
+    return record.data.challenge;
+  }
+
+  private toSummary(passkey: AuthData): PasskeySummary {
+    return {
+      credentialId: passkey.credential_id!,
+      name: passkey.metadata?.name,
+      transports: passkey.metadata?.transports || [],
+      deviceType: passkey.metadata?.deviceType,
+      backedUp: passkey.metadata?.backedUp,
+      createdAt: passkey.created_at,
+      lastUsed: passkey.last_used
+    };
+  }
+}
+
+export const passkeyService = new PasskeyService();
+
+export default passkeyService;
@@ -0,0 +1,140 @@
+/**
+ * Refund Batcher for K33P
+ * Collects refunds over a time window and hands them to a sender in batches,
+ * so many depositors are paid by one transaction with one fee instead of
+ * each refund competing for the same wallet UTxOs. A batch that fails is
+ * split in half and retried until single refunds fail on their own. While
+ * paused, refunds are held in the queue and sent on resume.
+ */
+
+import { logger } from '../utils/logger.js';
+
+// ============================================================================
+// INTERFACES AND TYPES
+// ============================================================================
+
+export interface RefundBatchOutcome {
+  success: boolean;
+  message: string;
+  txHash?: string;
+}
+
+export interface RefundBatcherConfig {
+  /** How long the first queued refund waits for others to join its batch */
+  windowMs: number;
+  /** Refunds per transaction; a full batch is sent without waiting */
+  maxBatchSize: number;
+}
+
+export interface RefundBatcherDependencies<T> {
+  /** Build and submit one transaction refunding every item */
+  send: (items: T[]) => Promise<RefundBatchOutcome>;
+  /** Items with the same key are refunded once */
+  keyOf: (item: T) => string;
+  /** Called for a single refund that failed even on its own */
+  onFailure?: (item: T, message: string) => void | Promise<void>;
+  config: RefundBatcherConfig;
+}
+
+// ============================================================================
+// REFUND BATCHER
+// ============================================================================
+
+export class RefundBatcher<T> {
+  private queue: Map<string, T> = new Map();
+  private timer?: NodeJS.Timeout;
+  private flushing: Promise<void> = Promise.resolve();
+  private paused = false;
+
+  constructor(private deps: RefundBatcherDependencies<T>) {}
+
+  get pendingCount(): number {
+    return this.queue.size;
+  }
+
+  get isPaused(): boolean {
+    return this.paused;
+  }
+
+  enqueue(item: T): void {
+    this.queue.set(this.deps.keyOf(item), item);
+    if (this.paused) return;
+    if (this.queue.size >= this.deps.config.maxBatchSize) {
+      void this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => void this.flush(), this.deps.config.windowMs);
+    }
+  }
+
+  /** Drop a queued refund that has not been sent yet */
+  remove(key: string): boolean {
+    return this.queue.delete(key);
+  }
+
+  /** Hold queued refunds until resume() */
+  pause(): void {
+    this.paused = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = undefined;
+    }
+  }
+
+  resume(): void {
+    if (!this.paused) return;
+    this.paused = false;
+    if (this.queue.size > 0) void this.flush();
+  }
+
+  /**
+   * Send everything queued. Flushes run one after another so two batches
+   * never race for the same wallet UTxOs. Does nothing while paused.
+   */
+  flush(): Promise<void> {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = undefined;
+    }
+    if (this.paused) return this.flushing;
+    this.flushing = this.flushing.then(() => this.drain());
+    return this.flushing;
+  }
+
+  private async drain(): Promise<void> {
+    const items = [...this.queue.values()];
+    this.queue.clear();
+    const { maxBatchSize } = this.deps.config;
+    for (let i = 0; i < items.length; i += maxBatchSize) {
+      await this.sendBatch(items.slice(i, i + maxBatchSize));
+    }
+  }
+
+  private async sendBatch(items: T[]): Promise<void> {
+    let outcome: RefundBatchOutcome;
+    try {
+      outcome = await this.deps.send(items);
+    } catch (error) {
+      outcome = { success: false, message: error instanceof Error ? error.message : 'Unknown error' };
+    }
+
+    if (outcome.success) return;
+
+    if (items.length > 1) {
+      const half = Math.ceil(items.length / 2);
+      logger.warn(`Refund batch of ${items.length} failed, splitting`, {
+        service: 'refund-batcher',
+        error: outcome.message
+      });
+      await this.sendBatch(items.slice(0, half));
+      await this.sendBatch(items.slice(half));
+      return;
+    }
+
+    logger.error(`Refund failed: ${outcome.message}`, { service: 'refund-batcher' });
+    try {
+      await this.deps.onFailure?.(items[0], outcome.message);
+    } catch (error) {
+      logger.error('Refund failure handler threw', { service: 'refund-batcher', error });
+    }
+  }
+}
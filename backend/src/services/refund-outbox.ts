@@ -0,0 +1,265 @@
+/**
+ * Refund Outbox for K33P
+ * Persists every refund's lifecycle, queued -> built -> submitted -> confirmed
+ * (or failed), under an idempotency key per deposit. A refund is claimed
+ * before its transaction is built and the signed transaction is stored before
+ * it is submitted, so a crash at any point leaves a record of what may be on
+ * chain. reconcile() settles those records against the chain: it confirms
+ * transactions that landed, resubmits the stored transaction while it is
+ * still valid and fails it once it has expired, after which the deposit can
+ * be claimed again. A deposit is never paid by two different transactions.
+ */
+
+import { logger } from '../utils/logger.js';
+import { RefundOutboxChanges, RefundOutboxRecord, RefundOutboxStatus } from '../database/models.js';
+import { ChainProvider, ChainTip } from './chain-provider.js';
+
+// ============================================================================
+// INTERFACES AND TYPES
+// ============================================================================
+
+export interface RefundOutboxStore {
+  claim(
+    entry: Pick<RefundOutboxRecord, 'idempotency_key' | 'user_address' | 'refund_address' | 'user_deposit_id' | 'unit' | 'amount'>
+  ): Promise<RefundOutboxRecord | null>;
+  transition(
+    keys: string[],
+    from: RefundOutboxStatus[],
+    to: RefundOutboxStatus,
+    changes?: RefundOutboxChanges
+  ): Promise<RefundOutboxRecord[]>;
+  findByKey(idempotencyKey: string): Promise<RefundOutboxRecord | null>;
+  findUnsettled(): Promise<RefundOutboxRecord[]>;
+}
+
+export interface RefundClaim {
+  userAddress: string;
+  refundAddress: string;
+  depositId?: string | null;
+  unit: string;
+  amount: bigint;
+}
+
+export interface RefundOutboxConfig {
+  /** How long a refund transaction stays valid after it is built */
+  txValidityMs: number;
+  /** Queued entries untouched for this long were interrupted before being built */
+  queuedTimeoutMs: number;
+}
+
+export interface RefundOutboxOptions {
+  store: RefundOutboxStore;
+  chain: ChainProvider;
+  /** Called with entries whose transaction reached the chain */
+  onConfirmed?: (entries: RefundOutboxRecord[]) => Promise<void>;
+  /** Called with built or submitted entries whose transaction expired off chain */
+  onFailed?: (entries: RefundOutboxRecord[]) => Promise<void>;
+  config?: Partial<RefundOutboxConfig>;
+}
+
+export interface ReconcileSummary {
+  confirmed: number;
+  resubmitted: number;
+  failed: number;
+  /** Left as they were, to be looked at again by the next pass */
+  pending: number;
+}
+
+export class RefundOutboxError extends Error {
+  constructor(public code: 'CLAIM_LOST', message: string) {
+    super(message);
+    this.name = 'RefundOutboxError';
+  }
+}
+
+const DEFAULT_CONFIG: RefundOutboxConfig = {
+  txValidityMs: parseInt(process.env.REFUND_TX_VALIDITY_SECONDS || '900') * 1000,
+  queuedTimeoutMs: 5 * 60 * 1000
+};
+
+const IN_FLIGHT: RefundOutboxStatus[] = ['built', 'submitted'];
+
+// ============================================================================
+// REFUND OUTBOX
+// ============================================================================
+
+export class RefundOutbox {
+  private store: RefundOutboxStore;
+  private chain: ChainProvider;
+  private onConfirmed?: (entries: RefundOutboxRecord[]) => Promise<void>;
+  private onFailed?: (entries: RefundOutboxRecord[]) => Promise<void>;
+  private config: RefundOutboxConfig;
+
+  constructor(options: RefundOutboxOptions) {
+    this.store = options.store;
+    this.chain = options.chain;
+    this.onConfirmed = options.onConfirmed;
+    this.onFailed = options.onFailed;
+    this.config = { ...DEFAULT_CONFIG, ...options.config };
+  }
+
+  /** One key per deposit; refunds without a deposit record are keyed by address */
+  static keyFor(userAddress: string, depositId?: string | null): string {
+    return depositId ? `deposit:${depositId}` : `address:${userAddress}`;
+  }
+
+  /**
+   * Queue refunds. Those whose key is already queued, in flight or confirmed
+   * come back as blocked, with their current entry.
+   */
+  async claim(claims: RefundClaim[]): Promise<{ claimed: RefundOutboxRecord[]; blocked: RefundOutboxRecord[] }> {
+    const claimed: RefundOutboxRecord[] = [];
+    const blocked: RefundOutboxRecord[] = [];
+
+    for (const claim of claims) {
+      const key = RefundOutbox.keyFor(claim.userAddress, claim.depositId);
+      const entry = await this.store.claim({
+        idempotency_key: key,
+        user_address: claim.userAddress,
+        refund_address: claim.refundAddress,
+        user_deposit_id: claim.depositId ?? null,
+        unit: claim.unit,
+        amount: claim.amount
+      });
+      if (entry) {
+        claimed.push(entry);
+      } else {
+        const existing = await this.store.findByKey(key);
+        if (existing) blocked.push(existing);
+      }
+    }
+    return { claimed, blocked };
+  }
+
+  /** Latest time the transaction built for a claim may be included */
+  validUntil(now: number = Date.now()): Date {
+    return new Date(now + this.config.txValidityMs);
+  }
+
+  /**
+   * Record the signed transaction paying `keys`. Must happen before it is
+   * submitted. Throws CLAIM_LOST, and releases the claims, when any of them
+   * was failed by a reconciler in the meantime; the transaction must then be
+   * dropped.
+   */
+  async markBuilt(keys: string[], txHash: string, signedTx: string, validUntil: Date): Promise<void> {
+    const built = await this.store.transition(keys, ['queued'], 'built', {
+      tx_hash: txHash,
+      signed_tx: signedTx,
+      valid_until: validUntil
+    });
+    if (built.length < keys.length) {
+      await this.store.transition(keys, ['built'], 'failed', { error: 'Claim lost before submission' });
+      throw new RefundOutboxError('CLAIM_LOST', `Refund claim for ${keys.length - built.length} deposits was lost; transaction ${txHash} not submitted`);
+    }
+  }
+
+  async markSubmitted(keys: string[]): Promise<void> {
+    await this.store.transition(keys, ['built'], 'submitted', { error: null });
+  }
+
+  /**
+   * Submission failed or its outcome is unknown. The transaction may still be
+   * in flight, so the entries stay built for reconcile() to settle.
+   */
+  async recordSubmitError(keys: string[], error: string): Promise<void> {
+    await this.store.transition(keys, ['built'], 'built', { error });
+  }
+
+  /** Fail claims whose transaction never left this process */
+  async release(keys: string[], error: string): Promise<void> {
+    await this.store.transition(keys, ['queued', 'built'], 'failed', { error });
+  }
+
+  /**
+   * Settle every unconfirmed entry against the chain. Safe to run at any
+   * time and from several processes: each step is a compare-and-set on the
+   * entry's status, and resubmitting the stored transaction can only ever
+   * land it once.
+   */
+  async reconcile(now: number = Date.now()): Promise<ReconcileSummary> {
+    const summary: ReconcileSummary = { confirmed: 0, resubmitted: 0, failed: 0, pending: 0 };
+    const entries = await this.store.findUnsettled();
+
+    const interrupted = entries.filter(entry =>
+      entry.status === 'queued' && now - new Date(entry.updated_at ?? now).getTime() >= this.config.queuedTimeoutMs
+    );
+    if (interrupted.length > 0) {
+      const failed = await this.store.transition(
+        interrupted.map(entry => entry.idempotency_key),
+        ['queued'],
+        'failed',
+        { error: 'Interrupted before the refund transaction was built' }
+      );
+      summary.failed += failed.length;
+    }
+    summary.pending += entries.filter(entry => entry.status === 'queued').length - interrupted.length;
+
+    const byTx = new Map<string, RefundOutboxRecord[]>();
+    for (const entry of entries) {
+      if (!IN_FLIGHT.includes(entry.status) || !entry.tx_hash) continue;
+      byTx.set(entry.tx_hash, [...(byTx.get(entry.tx_hash) ?? []), entry]);
+    }
+
+    let tip: ChainTip | undefined;
+    for (const [txHash, group] of byTx) {
+      const keys = group.map(entry => entry.idempotency_key);
+      try {
+        const tx = await this.chain.getTransaction(txHash);
+        if (tx && tx.blockHeight != null) {
+          const confirmed = await this.store.transition(keys, IN_FLIGHT, 'confirmed', { error: null });
+          summary.confirmed += confirmed.length;
+          if (confirmed.length > 0) await this.onConfirmed?.(confirmed);
+          continue;
+        }
+        if (tx) {
+          // Seen in the mempool; wait for a block
+          summary.pending += group.length;
+          continue;
+        }
+
+        // Compare against the chain's own clock: once its tip is past the
+        // validity interval the transaction cannot be in any later block,
+        // however far behind the indexer is
+        const validUntil = group[0].valid_until ? new Date(group[0].valid_until).getTime() : null;
+        tip ??= await this.chain.getTip();
+        if (validUntil != null && tip.time * 1000 > validUntil) {
+          const failed = await this.store.transition(keys, IN_FLIGHT, 'failed', {
+            error: 'Refund transaction expired without reaching the chain'
+          });
+          summary.failed += failed.length;
+          if (failed.length > 0) await this.onFailed?.(failed);
+          continue;
+        }
+
+        if (!group[0].signed_tx) {
+          summary.pending += group.length;
+          continue;
+        }
+        try {
+          await this.chain.submitTx(group[0].signed_tx);
+          await this.store.transition(keys, IN_FLIGHT, 'submitted', { error: null });
+          summary.resubmitted += group.length;
+        } catch (error) {
+          const message = error instanceof Error ? error.message : String(error);
+          for (const status of IN_FLIGHT) {
+            await this.store.transition(keys, [status], status, { error: `Resubmission failed: ${message}` });
+          }
+          summary.pending += group.length;
+        }
+      } catch (error) {
+        logger.error(`Could not reconcile refund transaction ${txHash}:`, error);
+        summary.pending += group.length;
+      }
+    }
+
+    if (summary.confirmed + summary.resubmitted + summary.failed > 0) {
+      logger.info(
+        `Refund outbox reconciled: ${summary.confirmed} confirmed, ${summary.resubmitted} resubmitted, ` +
+        `${summary.failed} failed, ${summary.pending} pending`,
+        { service: 'refund-outbox' }
+      );
+    }
+    return summary;
+  }
+}
@@ -0,0 +1,233 @@
+/**
+ * Transaction Signers for K33P
+ * Transaction builders select the signing wallet by address only and hand
+ * the finished transaction to a Signer for its witness, so the key never has
+ * to live in the backend. LocalSigner keeps today's behaviour of signing
+ * in-process with a configured key. RemoteSigner delegates to the signing
+ * service (src/signing-server.ts), which holds the key, enforces the signing
+ * policy and logs every request. SIGNER_URL switches to the remote signer.
+ */
+
+import { CML, credentialToAddress, TxSignBuilder, TxSigned, valueToAssets, walletFromSeed } from '@lucid-evolution/lucid';
+import { getNetworkProfile, NetworkProfile } from './network-profile.js';
+import { TxSummary } from './signing-policy.js';
+
+// ============================================================================
+// INTERFACES AND TYPES
+// ============================================================================
+
+export type SignPurpose = 'refund' | 'signup' | 'script-spend' | 'consolidation';
+
+export interface Signer {
+  readonly kind: 'local' | 'remote';
+  /** Address of the signing wallet; builders select it for coin selection and change */
+  address(): Promise<string>;
+  /** Payment key hash of the signing wallet */
+  keyHash(): Promise<string>;
+  /** Witness set, in CBOR hex, signing the transaction `txCbor` */
+  signTx(txCbor: string, purpose: SignPurpose): Promise<string>;
+}
+
+export type LocalSignerKey = { privateKey: string } | { seedPhrase: string };
+
+export class SignerError extends Error {
+  constructor(
+    public code: 'NOT_CONFIGURED' | 'UNAVAILABLE' | 'UNAUTHORIZED' | 'POLICY_REJECTED' | 'INVALID_TX',
+    message: string
+  ) {
+    super(message);
+    this.name = 'SignerError';
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/** Sign `tx` with `signer`, alongside any witnesses already collected from other parties */
+export async function signWith(
+  signer: Signer,
+  tx: TxSignBuilder,
+  purpose: SignPurpose,
+  witnesses: string[] = []
+): Promise<TxSigned> {
+  const witness = await signer.signTx(tx.toCBOR(), purpose);
+  return tx.assemble([...witnesses, witness]).complete();
+}
+
+/** Hash, outputs and fee of a transaction in CBOR hex, and what else it does, as the signing policy sees them */
+export function summarizeTx(txCbor: string): TxSummary {
+  let tx: CML.Transaction;
+  try {
+    tx = CML.Transaction.from_cbor_hex(txCbor);
+  } catch {
+    throw new SignerError('INVALID_TX', 'Not a transaction in CBOR hex');
+  }
+
+  const body = tx.body();
+  const outputs: TxSummary['outputs'] = [];
+  for (let i = 0; i < body.outputs().len(); i++) {
+    const output = body.outputs().get(i);
+    const { lovelace, ...tokens } = valueToAssets(output.amount());
+    outputs.push({ address: output.address().to_bech32(), lovelace, tokens });
+  }
+
+  const mint: string[] = [];
+  const minted = body.mint();
+  if (minted) {
+    const policies = minted.keys();
+    for (let p = 0; p < policies.len(); p++) {
+      const policy = policies.get(p);
+      const names = minted.get_assets(policy)!.keys();
+      for (let n = 0; n < names.len(); n++) {
+        mint.push(policy.to_hex() + names.get(n).to_js_value());
+      }
+    }
+  }
+
+  return {
+    txHash: CML.hash_transaction(body).to_hex(),
+    outputs,
+    fee: body.fee(),
+    certificates: body.certs()?.len() ?? 0,
+    withdrawals: body.withdrawals()?.len() ?? 0,
+    mint
+  };
+}
+
+// ============================================================================
+// LOCAL SIGNER
+// ============================================================================
+
+export class LocalSigner implements Signer {
+  readonly kind = 'local';
+  private keys?: { address: string; paymentKey: CML.PrivateKey };
+
+  constructor(private key: LocalSignerKey, private profile: NetworkProfile = getNetworkProfile()) {}
+
+  // Signing needs no chain access, and Lucid wallets need a provider, so the
+  // payment key is derived here and signs the body hash directly
+  private wallet(): { address: string; paymentKey: CML.PrivateKey } {
+    if (!this.keys) {
+      const network = this.profile.lucidNetwork;
+      if ('privateKey' in this.key) {
+        const paymentKey = CML.PrivateKey.from_bech32(this.key.privateKey);
+        const address = credentialToAddress(network, { type: 'Key', hash: paymentKey.to_public().hash().to_hex() });
+        this.keys = { address, paymentKey };
+      } else {
+        const { address, paymentKey } = walletFromSeed(this.key.seedPhrase, { network });
+        this.keys = { address, paymentKey: CML.PrivateKey.from_bech32(paymentKey) };
+      }
+    }
+    return this.keys;
+  }
+
+  async address(): Promise<string> {
+    return this.wallet().address;
+  }
+
+  async keyHash(): Promise<string> {
+    return this.wallet().paymentKey.to_public().hash().to_hex();
+  }
+
+  async signTx(txCbor: string, _purpose: SignPurpose): Promise<string> {
+    const { paymentKey } = this.wallet();
+    try {
+      const tx = CML.Transaction.from_cbor_hex(txCbor);
+      const witnesses = CML.TransactionWitnessSetBuilder.new();
+      witnesses.add_vkey(CML.make_vkey_witness(CML.hash_transaction(tx.body()), paymentKey));
+      return witnesses.build().to_cbor_hex();
+    } catch (error) {
+      throw new SignerError('INVALID_TX', `Could not sign transaction: ${error instanceof Error ? error.message : error}`);
+    }
+  }
+}
+
+// ============================================================================
+// REMOTE SIGNER
+// ============================================================================
+
+export interface RemoteSignerOptions {
+  url: string;
+  /** Bearer token the signing service expects */
+  token: string;
+  timeoutMs?: number;
+}
+
+export class RemoteSigner implements Signer {
+  readonly kind = 'remote';
+  private url: string;
+  private keyInfo?: Promise<{ address: string; keyHash: string }>;
+
+  constructor(private options: RemoteSignerOptions) {
+    this.url = options.url.replace(/\/+$/, '');
+  }
+
+  async address(): Promise<string> {
+    return (await this.key()).address;
+  }
+
+  async keyHash(): Promise<string> {
+    return (await this.key()).keyHash;
+  }
+
+  async signTx(txCbor: string, purpose: SignPurpose): Promise<string> {
+    const body = await this.request('/v1/sign', {
+      method: 'POST',
+      body: JSON.stringify({ txCbor, purpose })
+    });
+    return body.witnessSet;
+  }
+
+  // The key does not change while the service runs; a failed lookup is retried
+  private key(): Promise<{ address: string; keyHash: string }> {
+    this.keyInfo ??= this.request('/v1/key', { method: 'GET' }).catch(error => {
+      this.keyInfo = undefined;
+      throw error;
+    });
+    return this.keyInfo;
+  }
+
+  private async request(path: string, init: RequestInit): Promise<any> {
+    let response: Response;
+    try {
+      response = await fetch(`${this.url}${path}`, {
+        ...init,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${this.options.token}` },
+        signal: AbortSignal.timeout(this.options.timeoutMs ?? 15000)
+      });
+    } catch (error) {
+      throw new SignerError('UNAVAILABLE', `Signing service unreachable: ${error instanceof Error ? error.message : error}`);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    if (response.ok) return body;
+
+    const message = body.message ?? `${response.status} ${response.statusText}`;
+    switch (response.status) {
+      case 400: throw new SignerError('INVALID_TX', message);
+      case 401: throw new SignerError('UNAUTHORIZED', message);
+      case 403: throw new SignerError('POLICY_REJECTED', message);
+      default: throw new SignerError('UNAVAILABLE', `Signing service failed: ${message}`);
+    }
+  }
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * The remote signer when SIGNER_URL is set, else a local signer holding
+ * `localKey`. The key is only read when it is needed.
+ */
+export function signerFromEnv(localKey: () => LocalSignerKey): Signer {
+  const url = process.env.SIGNER_URL?.trim();
+  if (!url) return new LocalSigner(localKey());
+
+  const token = process.env.SIGNER_SERVICE_TOKEN?.trim();
+  if (!token) {
+    throw new SignerError('NOT_CONFIGURED', 'SIGNER_URL is set but SIGNER_SERVICE_TOKEN is not');
+  }
+  return new RemoteSigner({ url, token });
+}
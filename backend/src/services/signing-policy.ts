@@ -0,0 +1,142 @@
+/**
+ * Signing Policy for K33P
+ * Decides whether the signing service may sign a transaction. Only value
+ * leaving the signing wallet counts: outputs back to the wallet's own
+ * address are change, and the fee is outflow too. The policy caps lovelace
+ * outflow per transaction and over a rolling 24 hours, caps each native
+ * token per transaction, and can restrict where outflow may go. Outputs on
+ * another network are always refused, as are certificates, withdrawals and
+ * mints, which no K33P transaction signed by this wallet carries.
+ */
+
+import { isNetworkAddress, NetworkProfile } from './network-profile.js';
+
+// ============================================================================
+// INTERFACES AND TYPES
+// ============================================================================
+
+export interface TxOutputSummary {
+  address: string;
+  lovelace: bigint;
+  /** Quantity of each native token the output carries, by unit */
+  tokens: Record<string, bigint>;
+}
+
+export interface TxSummary {
+  txHash: string;
+  outputs: TxOutputSummary[];
+  fee: bigint;
+  certificates: number;
+  withdrawals: number;
+  /** Units minted or burned */
+  mint: string[];
+}
+
+export interface SigningPolicyConfig {
+  /** Most lovelace one transaction may send away from the wallet; null for no limit */
+  maxLovelacePerTx: bigint | null;
+  /** Lovelace the wallet may send away in any 24 hours; null for no limit */
+  dailyCapLovelace: bigint | null;
+  /** Most of each native token one transaction may send away, by unit; unlisted tokens may not leave */
+  maxTokensPerTx: Record<string, bigint>;
+  /** Addresses outflow may go to; null allows any address on the network */
+  allowedOutputAddresses: string[] | null;
+}
+
+export type SigningDecision =
+  | { approved: true; outflow: bigint }
+  | { approved: false; outflow: bigint; reason: string };
+
+const envLovelace = (name: string, fallback: bigint | null): bigint | null => {
+  const value = process.env[name]?.trim();
+  if (!value) return fallback;
+  try {
+    return BigInt(value);
+  } catch {
+    throw new Error(`${name} must be a whole number of lovelace, got ${value}`);
+  }
+};
+
+// `unit:quantity` entries, as in DEPOSIT_ACCEPTED_ASSETS
+const envTokenCaps = (name: string): Record<string, bigint> => {
+  const caps: Record<string, bigint> = {};
+  for (const entry of (process.env[name] || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [unit, quantity] = entry.split(':');
+    try {
+      caps[unit] = BigInt(quantity);
+    } catch {
+      throw new Error(`${name} entries must be unit:quantity, got ${entry}`);
+    }
+  }
+  return caps;
+};
+
+// Read on use: the signing server loads .env after its imports
+export const signingPolicyFromEnv = (): SigningPolicyConfig => {
+  const allowed = (process.env.SIGNER_ALLOWED_ADDRESSES || '').split(',').map(address => address.trim()).filter(Boolean);
+  return {
+    maxLovelacePerTx: envLovelace('SIGNER_MAX_LOVELACE_PER_TX', 100_000_000n),
+    dailyCapLovelace: envLovelace('SIGNER_DAILY_CAP_LOVELACE', 1_000_000_000n),
+    maxTokensPerTx: envTokenCaps('SIGNER_MAX_TOKENS_PER_TX'),
+    allowedOutputAddresses: allowed.length > 0 ? allowed : null
+  };
+};
+
+const ada = (lovelace: bigint): string => (Number(lovelace) / 1_000_000).toFixed(6);
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Judge a transaction the wallet at `ownAddress` is asked to sign, given the
+ * lovelace it already sent away in the last 24 hours
+ */
+export function evaluateSigningPolicy(
+  summary: TxSummary,
+  ownAddress: string,
+  spentLast24h: bigint,
+  policy: SigningPolicyConfig,
+  profile: NetworkProfile
+): SigningDecision {
+  const outgoing = summary.outputs.filter(output => output.address !== ownAddress);
+  const outflow = outgoing.reduce((sum, output) => sum + output.lovelace, summary.fee);
+  const reject = (reason: string): SigningDecision => ({ approved: false, outflow, reason });
+
+  if (summary.certificates > 0) return reject('Transaction carries certificates');
+  if (summary.withdrawals > 0) return reject('Transaction withdraws rewards');
+  if (summary.mint.length > 0) return reject(`Transaction mints or burns ${summary.mint.join(', ')}`);
+
+  for (const output of outgoing) {
+    if (!isNetworkAddress(output.address, profile)) {
+      return reject(`Output to ${output.address} is not a ${profile.name} payment address`);
+    }
+    if (policy.allowedOutputAddresses && !policy.allowedOutputAddresses.includes(output.address)) {
+      return reject(`Output to ${output.address} is not an allowed address`);
+    }
+  }
+
+  const tokenOutflow = new Map<string, bigint>();
+  for (const output of outgoing) {
+    for (const [unit, quantity] of Object.entries(output.tokens)) {
+      tokenOutflow.set(unit, (tokenOutflow.get(unit) ?? 0n) + quantity);
+    }
+  }
+  for (const [unit, quantity] of tokenOutflow) {
+    const cap = policy.maxTokensPerTx[unit];
+    if (cap === undefined) return reject(`Transaction sends token ${unit}, which may not leave the wallet`);
+    if (quantity > cap) return reject(`Transaction sends ${quantity} of ${unit}, above the per-transaction limit of ${cap}`);
+  }
+
+  if (policy.maxLovelacePerTx !== null && outflow > policy.maxLovelacePerTx) {
+    return reject(`Transaction sends ${ada(outflow)} ADA, above the ${ada(policy.maxLovelacePerTx)} ADA per-transaction limit`);
+  }
+  if (policy.dailyCapLovelace !== null && spentLast24h + outflow > policy.dailyCapLovelace) {
+    return reject(
+      `Transaction sends ${ada(outflow)} ADA with ${ada(spentLast24h)} ADA already sent today, ` +
+      `above the ${ada(policy.dailyCapLovelace)} ADA daily cap`
+    );
+  }
+
+  return { approved: true, outflow };
+}
@@ -0,0 +1,113 @@
+/**
+ * Signing Service for K33P
+ * The key-holding side of RemoteSigner. Every request is judged against the
+ * signing policy and logged, approved or not, before anything is signed; a
+ * request that cannot be logged is not signed. Requests are handled one at
+ * a time so concurrent ones cannot overrun the daily cap together.
+ */
+
+import { SignatureRequestRecord } from '../database/models.js';
+import { getNetworkProfile, NetworkProfile } from './network-profile.js';
+import { evaluateSigningPolicy, SigningPolicyConfig, signingPolicyFromEnv, TxSummary } from './signing-policy.js';
+import { Signer, SignerError, SignPurpose } from './signer.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// INTERFACES AND TYPES
+// ============================================================================
+
+export interface SignatureRequestStore {
+  record(request: Omit<SignatureRequestRecord, 'id' | 'created_at'>): Promise<SignatureRequestRecord>;
+  sumApprovedSince(signerAddress: string, since: Date, excludeTxHash?: string): Promise<bigint>;
+}
+
+export interface SigningServiceDependencies {
+  /** Holds the key; a LocalSigner */
+  signer: Signer;
+  store: SignatureRequestStore;
+  /** Decode a transaction in CBOR hex; throws on anything else */
+  summarize: (txCbor: string) => TxSummary;
+  policy?: SigningPolicyConfig;
+  profile?: NetworkProfile;
+}
+
+export interface SignRequest {
+  txCbor: string;
+  purpose: SignPurpose;
+  /** Who asked, for the log */
+  requester?: string;
+}
+
+export interface SignResult {
+  txHash: string;
+  witnessSet: string;
+}
+
+// ============================================================================
+// SIGNING SERVICE
+// ============================================================================
+
+export class SigningService {
+  private queue: Promise<unknown> = Promise.resolve();
+
+  constructor(private deps: SigningServiceDependencies) {}
+
+  private get policy(): SigningPolicyConfig {
+    return this.deps.policy ?? signingPolicyFromEnv();
+  }
+
+  async keyInfo(): Promise<{ address: string; keyHash: string }> {
+    return { address: await this.deps.signer.address(), keyHash: await this.deps.signer.keyHash() };
+  }
+
+  sign(request: SignRequest): Promise<SignResult> {
+    const result = this.queue.then(() => this.handle(request));
+    this.queue = result.catch(() => undefined);
+    return result;
+  }
+
+  private async handle(request: SignRequest): Promise<SignResult> {
+    const signerAddress = await this.deps.signer.address();
+    const entry = { signer_address: signerAddress, purpose: request.purpose, requester: request.requester ?? null };
+
+    let summary: TxSummary;
+    try {
+      summary = this.deps.summarize(request.txCbor);
+    } catch (error) {
+      const reason = error instanceof Error ? error.message : 'Not a transaction in CBOR hex';
+      await this.deps.store.record({ ...entry, tx_hash: null, outflow_lovelace: 0n, outputs: [], approved: false, reason });
+      throw new SignerError('INVALID_TX', reason);
+    }
+
+    // A transaction signed before is already counted; signing it again sends nothing more
+    const spent = await this.deps.store.sumApprovedSince(signerAddress, new Date(Date.now() - DAY_MS), summary.txHash);
+    const decision = evaluateSigningPolicy(summary, signerAddress, spent, this.policy, this.deps.profile ?? getNetworkProfile());
+    const reason = decision.approved ? null : decision.reason;
+
+    await this.deps.store.record({
+      ...entry,
+      tx_hash: summary.txHash,
+      outflow_lovelace: decision.outflow,
+      outputs: summary.outputs,
+      approved: decision.approved,
+      reason
+    });
+
+    if (!decision.approved) {
+      logger.warn(`Refused to sign ${request.purpose} transaction ${summary.txHash}: ${reason}`, {
+        service: 'signing-service',
+        requester: request.requester
+      });
+      throw new SignerError('POLICY_REJECTED', reason!);
+    }
+
+    const witnessSet = await this.deps.signer.signTx(request.txCbor, request.purpose);
+    logger.info(`Signed ${request.purpose} transaction ${summary.txHash} sending ${decision.outflow} lovelace`, {
+      service: 'signing-service',
+      requester: request.requester
+    });
+    return { txHash: summary.txHash, witnessSet };
+  }
+}
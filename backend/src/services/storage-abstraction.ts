@@ -1,12 +1,14 @@
 /**
  * Storage Abstraction Layer for K33P
- * Provides unified interface for data storage with Iagon as primary and PostgreSQL as fallback
- * Handles automatic failover, data synchronization, and storage health monitoring
+ * Provides unified interface for data storage across the document store (Iagon, or
+ * the local provider in development) and PostgreSQL. Handles automatic failover,
+ * data synchronization, reconciliation after outages, and storage health monitoring
  */
 
 import { logger } from '../utils/logger.js';
 import pool from '../database/config.js';
-import { storeData, retrieveData, updateData, deleteData } from '../utils/iagon.js';
+import { StorageReconciliationModel } from '../database/models.js';
+import { StorageNotFoundError, StorageProvider, getStorageProvider, withRetry } from './storage-providers.js';
 import crypto from 'crypto';
 
 // ============================================================================
@@ -33,6 +35,7 @@ export interface StorageResult<T = any> {
 export interface StorageHealthStatus {
   iagon: {
     available: boolean;
+    provider?: string;
     responseTime?: number;
     lastError?: string;
     lastChecked: Date;
@@ -89,18 +92,50 @@ export interface UserDeposit {
   createdAt: Date;
 }
 
+/**
+ * A write that has to be applied to a storage backend. Writes that land on
+ * only one backend are journaled as operations and replayed by reconcile().
+ */
+export type StorageOperation =
+  | { type: 'storeUser'; data: UserData }
+  | { type: 'updateUser'; userId: string; data: Partial<UserData> }
+  | { type: 'storeUserDeposit'; data: UserDeposit };
+
+export interface ReconciliationResult {
+  replayed: number;
+  failed: number;
+}
+
 // ============================================================================
 // STORAGE ABSTRACTION SERVICE CLASS
 // ============================================================================
 
+type StorageBackend = 'iagon' | 'postgresql';
+
+const RECONCILIATION_PREFIX = 'reconciliation/';
+
+/**
+ * Users in the document store are found by wallet address or phone hash
+ * through pointer documents under this prefix, so a lookup reads two
+ * documents instead of every user. The marker is written once the users
+ * stored before the index existed have been indexed.
+ */
+const USER_INDEX_PREFIX = 'index/users/';
+const USER_INDEX_MARKER = `${USER_INDEX_PREFIX}complete`;
+const USER_INDEX_FIELDS = ['walletAddress', 'phoneHash'] as const;
+
 export class StorageAbstractionService {
   private config: StorageConfig;
   private healthStatus: StorageHealthStatus;
   private healthCheckTimer?: NodeJS.Timeout;
+  private activeStorage?: StorageBackend;
+  private reconciling = false;
+  private userIndexReady = false;
+  private injectedProvider?: StorageProvider;
 
-  constructor(config?: Partial<StorageConfig>) {
+  constructor(config?: Partial<StorageConfig>, provider?: StorageProvider) {
     this.config = {
-      primaryStorage: 'postgresql', // Changed to PostgreSQL as primary due to Iagon auth issues
+      primaryStorage: 'postgresql',
       enableFallback: true,
       syncBetweenStorages: false,
       healthCheckInterval: 60000, // 1 minute
@@ -108,12 +143,12 @@ export class StorageAbstractionService {
       retryDelay: 1000,
       ...config
     };
+    this.injectedProvider = provider;
 
     this.healthStatus = {
       iagon: {
-        available: false, // Disabled due to authentication issues
-        lastChecked: new Date(),
-        lastError: 'Authentication issues - using PostgreSQL as primary'
+        available: false,
+        lastChecked: new Date()
       },
       postgresql: {
         available: false,
@@ -124,17 +159,22 @@ export class StorageAbstractionService {
     this.startHealthMonitoring();
   }
 
+  // Resolved on first use so that environment variables loaded after import apply
+  private get provider(): StorageProvider {
+    return this.injectedProvider ?? getStorageProvider();
+  }
+
   // ============================================================================
   // HEALTH MONITORING
   // ============================================================================
 
   private async startHealthMonitoring(): Promise<void> {
     // Initial health check
-    await this.checkStorageHealth();
+    await this.runHealthCycle();
 
     // Set up periodic health checks
     this.healthCheckTimer = setInterval(async () => {
-      await this.checkStorageHealth();
+      await this.runHealthCycle();
     }, this.config.healthCheckInterval);
 
     logger.info('Storage health monitoring started', {
@@ -143,15 +183,29 @@ export class StorageAbstractionService {
     });
   }
 
-  private async checkStorageHealth(): Promise<void> {
-    // Set Iagon as unavailable due to authentication issues
-    this.healthStatus.iagon = {
-      available: false,
-      lastError: 'Iagon storage disabled due to authentication issues (401 errors)',
-      lastChecked: new Date()
-    };
-    logger.debug('Iagon storage health check disabled due to authentication issues', { service: 'storage-abstraction' });
+  private async runHealthCycle(): Promise<void> {
+    await this.checkStorageHealth();
+
+    if (this.healthStatus.iagon.available && !(await this.hasUserIndex().catch(() => true))) {
+      await this.rebuildUserIndex().catch(error => {
+        logger.error('User index rebuild failed', {
+          service: 'storage-abstraction',
+          error: error.message
+        });
+      });
+    }
+
+    if (this.healthStatus.iagon.available && this.healthStatus.postgresql.available) {
+      await this.reconcile().catch(error => {
+        logger.error('Storage reconciliation failed', {
+          service: 'storage-abstraction',
+          error: error.message
+        });
+      });
+    }
+  }
 
+  private async checkStorageHealth(): Promise<void> {
     // Check PostgreSQL health
     const pgStart = Date.now();
     try {
@@ -175,6 +229,33 @@ export class StorageAbstractionService {
         error: error.message
       });
     }
+
+    // Check document storage health
+    const docStart = Date.now();
+    try {
+      await this.provider.healthCheck();
+      this.healthStatus.iagon = {
+        available: true,
+        provider: this.provider.name,
+        responseTime: Date.now() - docStart,
+        lastChecked: new Date()
+      };
+      logger.debug('Document storage health check passed', {
+        service: 'storage-abstraction',
+        provider: this.provider.name
+      });
+    } catch (error: any) {
+      this.healthStatus.iagon = {
+        available: false,
+        provider: this.injectedProvider?.name,
+        lastError: error.message,
+        lastChecked: new Date()
+      };
+      logger.warn('Document storage health check failed', {
+        service: 'storage-abstraction',
+        error: error.message
+      });
+    }
   }
 
   public getHealthStatus(): StorageHealthStatus {
@@ -185,63 +266,127 @@ export class StorageAbstractionService {
   // STORAGE SELECTION LOGIC
   // ============================================================================
 
-  private selectStorage(): 'iagon' | 'postgresql' {
-    // Always use PostgreSQL due to Iagon authentication issues
-    return 'postgresql';
+  private otherStorage(storage: StorageBackend): StorageBackend {
+    return storage === 'iagon' ? 'postgresql' : 'iagon';
+  }
+
+  /**
+   * The primary storage while it is healthy. When it is down and fallback is
+   * enabled, the secondary takes over if it is healthy; with neither healthy
+   * the primary is attempted anyway.
+   */
+  private selectStorage(): StorageBackend {
+    const primary = this.config.primaryStorage;
+    const secondary = this.otherStorage(primary);
+
+    let selected = primary;
+    if (!this.healthStatus[primary].available && this.config.enableFallback && this.healthStatus[secondary].available) {
+      selected = secondary;
+    }
+
+    if (this.activeStorage && selected !== this.activeStorage) {
+      logger.warn(`Storage switched from ${this.activeStorage} to ${selected}`, {
+        service: 'storage-abstraction',
+        primary,
+        reason: selected === primary ? 'primary recovered' : this.healthStatus[primary].lastError
+      });
+    }
+    this.activeStorage = selected;
+
+    return selected;
+  }
+
+  private retry<T>(operation: () => Promise<T>, operationName: string): Promise<T> {
+    return withRetry(operation, operationName, {
+      attempts: this.config.retryAttempts,
+      delayMs: this.config.retryDelay
+    }, error => !(error instanceof StorageNotFoundError));
   }
 
   // ============================================================================
-  // RETRY LOGIC
+  // DOCUMENT STORAGE OPERATIONS
   // ============================================================================
 
-  private async withRetry<T>(
-    operation: () => Promise<T>,
-    operationName: string
-  ): Promise<T> {
-    let lastError: Error;
-    
-    for (let attempt = 1; attempt <= this.config.retryAttempts; attempt++) {
-      try {
-        return await operation();
-      } catch (error: any) {
-        lastError = error;
-        logger.warn(`${operationName} attempt ${attempt} failed`, {
-          service: 'storage-abstraction',
-          error: error.message,
-          attempt,
-          maxAttempts: this.config.retryAttempts
-        });
+  private userKey(userId: string): string {
+    return `users/${userId}`;
+  }
 
-        if (attempt < this.config.retryAttempts) {
-          await new Promise(resolve => setTimeout(resolve, this.config.retryDelay * attempt));
-        }
+  private depositKey(userId: string, id: string): string {
+    return `deposits/${userId}/${id}`;
+  }
+
+  private async retrieveDocument(key: string): Promise<any | null> {
+    const stored = await this.provider.retrieve(key);
+    return stored ? JSON.parse(stored.data) : null;
+  }
+
+  private async retrieveDocuments(prefix: string): Promise<any[]> {
+    const entries = await this.provider.list(prefix);
+    const documents = await Promise.all(entries.map(entry => this.retrieveDocument(entry.key)));
+    return documents.filter(Boolean);
+  }
+
+  private userIndexKey(field: typeof USER_INDEX_FIELDS[number], value: string): string {
+    return `${USER_INDEX_PREFIX}${field}/${crypto.createHash('sha256').update(value).digest('hex')}`;
+  }
+
+  /** Point the index entries for a user's wallet address and phone hash at it */
+  private async indexUser(user: Partial<UserData>): Promise<void> {
+    for (const field of USER_INDEX_FIELDS) {
+      const value = user[field];
+      if (user.userId && value) {
+        await this.provider.store(this.userIndexKey(field, value), JSON.stringify({ userId: user.userId }));
       }
     }
+  }
 
-    throw lastError!;
+  private async hasUserIndex(): Promise<boolean> {
+    this.userIndexReady ||= (await this.provider.retrieve(USER_INDEX_MARKER)) !== null;
+    return this.userIndexReady;
   }
 
-  // ============================================================================
-  // IAGON STORAGE OPERATIONS
-  // ============================================================================
+  /**
+   * Index every user in the document store, then mark the index complete.
+   * Runs once, on the first health cycle that finds no marker.
+   */
+  public async rebuildUserIndex(): Promise<number> {
+    const users = await this.retrieveDocuments('users/');
+    for (const user of users) {
+      await this.indexUser(user);
+    }
+    await this.provider.store(USER_INDEX_MARKER, JSON.stringify({ users: users.length, builtAt: new Date() }));
+    this.userIndexReady = true;
 
-  private async storeInIagon(key: string, data: any): Promise<string> {
-    const jsonData = JSON.stringify(data);
-    return await storeData(key, jsonData);
+    logger.info('User index rebuilt', { service: 'storage-abstraction', users: users.length });
+    return users.length;
   }
 
-  private async retrieveFromIagon(key: string): Promise<any> {
-    const jsonData = await retrieveData(key);
-    return JSON.parse(jsonData);
-  }
+  private async findUsersInDocuments(query: { userId?: string; walletAddress?: string; phoneHash?: string }): Promise<any[]> {
+    let users: any[];
+    const indexed = USER_INDEX_FIELDS.find(field => query[field] !== undefined);
+    if (query.userId) {
+      users = [await this.retrieveDocument(this.userKey(query.userId))];
+    } else if (indexed && await this.hasUserIndex()) {
+      const entry = await this.retrieveDocument(this.userIndexKey(indexed, query[indexed]!));
+      users = entry ? [await this.retrieveDocument(this.userKey(entry.userId))] : [];
+    } else {
+      // Until the index is built, or for a query on no indexed field
+      users = await this.retrieveDocuments('users/');
+    }
 
-  private async updateInIagon(key: string, data: any): Promise<void> {
-    const jsonData = JSON.stringify(data);
-    await updateData(key, jsonData);
+    // An entry left behind by a changed address or phone no longer matches
+    return users.filter(Boolean).filter(user =>
+      Object.entries(query).every(([field, value]) => value === undefined || user[field] === value)
+    );
   }
 
-  private async deleteFromIagon(key: string): Promise<void> {
-    await deleteData(key);
+  private async findDepositsInDocuments(query: { userId?: string; userAddress?: string; txHash?: string }): Promise<any[]> {
+    const deposits = await this.retrieveDocuments(query.userId ? `deposits/${query.userId}/` : 'deposits/');
+
+    return deposits.filter(deposit =>
+      (!query.userAddress || deposit.userAddress === query.userAddress) &&
+      (!query.txHash || deposit.txHash === query.txHash)
+    );
   }
 
   // ============================================================================
@@ -478,107 +623,203 @@ export class StorageAbstractionService {
   }
 
   // ============================================================================
-  // PUBLIC API METHODS
+  // WRITE OPERATIONS
   // ============================================================================
 
-  public async storeUser(userData: Omit<UserData, 'id' | 'createdAt' | 'updatedAt'>): Promise<StorageResult<{ id: string }>> {
-    const selectedStorage = this.selectStorage();
-    
-    try {
-      const result = await this.withRetry(async () => {
-        if (selectedStorage === 'iagon') {
-          const key = `user_${userData.userId}`;
-          const dataWithTimestamps = {
-            ...userData,
-            id: crypto.randomUUID(),
-            createdAt: new Date(),
-            updatedAt: new Date()
-          };
-          const storageId = await this.storeInIagon(key, dataWithTimestamps);
-          return { id: storageId };
-        } else {
-          const id = await this.storeInPostgreSQL('users', userData);
-          return { id };
+  /**
+   * Apply a write to one backend. Replays from the reconciliation journal are
+   * idempotent: a stored user that already exists is updated instead, and a
+   * deposit whose transaction is already recorded is skipped.
+   */
+  private async applyOperation(storage: StorageBackend, operation: StorageOperation, replay: boolean = false): Promise<string | undefined> {
+    switch (operation.type) {
+      case 'storeUser': {
+        const { data } = operation;
+        if (storage === 'iagon') {
+          await this.provider.store(this.userKey(data.userId), JSON.stringify(data));
+          await this.indexUser(data);
+          return data.id;
+        }
+        if (replay) {
+          const existing = await this.retrieveFromPostgreSQL('users', { userId: data.userId });
+          if (existing.length > 0) {
+            await this.updateInPostgreSQL('users', existing[0].id, data);
+            return existing[0].id;
+          }
         }
-      }, 'storeUser');
+        return this.storeInPostgreSQL('users', data);
+      }
+
+      case 'updateUser': {
+        const { userId, data } = operation;
+        if (storage === 'iagon') {
+          const key = this.userKey(userId);
+          const existing = await this.retrieveDocument(key);
+          // A replayed update may target a user whose creation predates the journal
+          if (!existing && !replay) {
+            throw new StorageNotFoundError(key);
+          }
+          await this.provider.store(key, JSON.stringify({ ...(existing ?? { userId }), ...data }));
+          await this.indexUser({ ...data, userId });
+          return existing?.id;
+        }
+        const users = await this.retrieveFromPostgreSQL('users', { userId });
+        if (users.length === 0) {
+          throw new StorageNotFoundError(this.userKey(userId));
+        }
+        await this.updateInPostgreSQL('users', users[0].id, data);
+        return users[0].id;
+      }
+
+      case 'storeUserDeposit': {
+        const { data } = operation;
+        if (storage === 'iagon') {
+          await this.provider.store(this.depositKey(data.userId, data.id), JSON.stringify(data));
+          return data.id;
+        }
+        if (replay && data.txHash) {
+          const existing = await this.retrieveFromPostgreSQL('user_deposits', { txHash: data.txHash });
+          if (existing.length > 0) {
+            return existing[0].id;
+          }
+        }
+        return this.storeInPostgreSQL('user_deposits', data);
+      }
+    }
+  }
 
-      logger.info('User stored successfully', {
+  /**
+   * Record a write that the target backend missed so reconcile() can replay
+   * it. Journals live on the backend that is up: PostgreSQL for the document
+   * store, the document store for PostgreSQL.
+   */
+  private async journal(target: StorageBackend, operation: StorageOperation): Promise<'pending' | 'failed'> {
+    try {
+      if (target === 'iagon') {
+        await StorageReconciliationModel.create('iagon', operation);
+      } else {
+        const key = `${RECONCILIATION_PREFIX}${new Date().toISOString()}-${crypto.randomUUID()}`;
+        await this.provider.store(key, JSON.stringify(operation));
+      }
+
+      logger.warn('Storage write journaled for reconciliation', {
         service: 'storage-abstraction',
-        userId: userData.userId,
-        storage: selectedStorage
+        target,
+        operation: operation.type
       });
-
-      return {
-        success: true,
-        data: result,
-        storageUsed: selectedStorage
-      };
+      return 'pending';
     } catch (error: any) {
-      logger.error('Failed to store user', {
+      logger.error('Failed to journal storage write', {
         service: 'storage-abstraction',
-        userId: userData.userId,
-        storage: selectedStorage,
+        target,
+        operation: operation.type,
         error: error.message
       });
+      return 'failed';
+    }
+  }
 
-      return {
-        success: false,
-        error: error.message,
-        storageUsed: selectedStorage
-      };
+  private async mirror(target: StorageBackend, operation: StorageOperation): Promise<'synced' | 'pending' | 'failed'> {
+    try {
+      await this.retry(() => this.applyOperation(target, operation), `sync ${operation.type} to ${target}`);
+      return 'synced';
+    } catch (error: any) {
+      logger.warn('Failed to sync storage write', {
+        service: 'storage-abstraction',
+        target,
+        operation: operation.type,
+        error: error.message
+      });
+      return this.journal(target, operation);
     }
   }
 
-  public async findUser(query: { userId?: string; walletAddress?: string; phoneHash?: string }): Promise<StorageResult<UserData | null>> {
-    const selectedStorage = this.selectStorage();
-    
+  /**
+   * Write to the selected storage, falling back to the secondary when the
+   * primary fails. Whatever the primary missed is journaled for reconciliation.
+   */
+  private async execute(operation: StorageOperation, context: Record<string, any>): Promise<StorageResult<string | undefined>> {
+    const primary = this.config.primaryStorage;
+    const selected = this.selectStorage();
+    let storageUsed = selected;
+    let id: string | undefined;
+
     try {
-      const result = await this.withRetry(async () => {
-        if (selectedStorage === 'iagon') {
-          if (query.userId) {
-            const key = `user_${query.userId}`;
-            return await this.retrieveFromIagon(key);
-          } else {
-            // For non-userId queries, we'd need to implement indexing or search
-            // For now, fall back to PostgreSQL
-            throw new Error('Iagon storage requires userId for user lookup');
-          }
-        } else {
-          const results = await this.retrieveFromPostgreSQL('users', query);
-          return results.length > 0 ? results[0] : null;
-        }
-      }, 'findUser');
+      id = await this.retry(() => this.applyOperation(selected, operation), operation.type);
+    } catch (error: any) {
+      const fallback = this.otherStorage(selected);
+      const canFallback = this.config.enableFallback && selected === primary && !(error instanceof StorageNotFoundError);
 
-      return {
-        success: true,
-        data: result,
-        storageUsed: selectedStorage
-      };
+      logger.error(`${operation.type} failed`, {
+        service: 'storage-abstraction',
+        ...context,
+        storage: selected,
+        error: error.message
+      });
+
+      if (!canFallback) {
+        return { success: false, error: error.message, storageUsed: selected };
+      }
+
+      try {
+        id = await this.retry(() => this.applyOperation(fallback, operation), `${operation.type} (fallback)`);
+        storageUsed = fallback;
+      } catch (fallbackError: any) {
+        logger.error('Fallback storage also failed', {
+          service: 'storage-abstraction',
+          ...context,
+          error: fallbackError.message
+        });
+        return { success: false, error: error.message, storageUsed: selected };
+      }
+    }
+
+    let syncStatus: StorageResult['syncStatus'];
+    if (storageUsed !== primary) {
+      syncStatus = await this.journal(primary, operation);
+    } else if (this.config.syncBetweenStorages) {
+      syncStatus = await this.mirror(this.otherStorage(primary), operation);
+    }
+
+    logger.info(`${operation.type} succeeded`, {
+      service: 'storage-abstraction',
+      ...context,
+      storage: storageUsed,
+      syncStatus
+    });
+
+    return { success: true, data: id, storageUsed, syncStatus };
+  }
+
+  /**
+   * Read from the selected storage, retrying against the other one if it fails
+   */
+  private async read<T>(operationName: string, query: any, reader: (storage: StorageBackend) => Promise<T>): Promise<StorageResult<T>> {
+    const selected = this.selectStorage();
+
+    try {
+      const data = await this.retry(() => reader(selected), operationName);
+      return { success: true, data, storageUsed: selected };
     } catch (error: any) {
-      logger.error('Failed to find user', {
+      logger.error(`${operationName} failed`, {
         service: 'storage-abstraction',
         query,
-        storage: selectedStorage,
+        storage: selected,
         error: error.message
       });
 
-      // Try fallback if enabled and primary failed
-      if (this.config.enableFallback && selectedStorage === 'iagon') {
+      const fallback = this.otherStorage(selected);
+      if (this.config.enableFallback) {
         try {
-          const results = await this.retrieveFromPostgreSQL('users', query);
-          const result = results.length > 0 ? results[0] : null;
-          
-          logger.info('User found using fallback storage', {
+          const data = await reader(fallback);
+
+          logger.info(`${operationName} served by fallback storage`, {
             service: 'storage-abstraction',
             query,
-            fallbackStorage: 'postgresql'
+            fallbackStorage: fallback
           });
 
-          return {
-            success: true,
-            data: result,
-            storageUsed: 'postgresql'
-          };
+          return { success: true, data, storageUsed: fallback };
         } catch (fallbackError: any) {
           logger.error('Fallback storage also failed', {
             service: 'storage-abstraction',
@@ -588,169 +829,136 @@ export class StorageAbstractionService {
         }
       }
 
-      return {
-        success: false,
-        error: error.message,
-        storageUsed: selectedStorage
-      };
+      return { success: false, error: error.message, storageUsed: selected };
     }
   }
 
-  public async updateUser(userId: string, updateData: Partial<UserData>): Promise<StorageResult<void>> {
-    const selectedStorage = this.selectStorage();
-    
+  // ============================================================================
+  // RECONCILIATION
+  // ============================================================================
+
+  /**
+   * Replay journaled writes in order once both backends are reachable. A
+   * failing entry stops the run for its target so later writes are not
+   * applied before it; it is retried on the next health cycle.
+   */
+  public async reconcile(): Promise<ReconciliationResult> {
+    const result: ReconciliationResult = { replayed: 0, failed: 0 };
+    if (this.reconciling) {
+      return result;
+    }
+    this.reconciling = true;
+
     try {
-      await this.withRetry(async () => {
-        if (selectedStorage === 'iagon') {
-          const key = `user_${userId}`;
-          const existingData = await this.retrieveFromIagon(key);
-          const updatedData = {
-            ...existingData,
-            ...updateData,
-            updatedAt: new Date()
-          };
-          await this.updateInIagon(key, updatedData);
-        } else {
-          // Find user by userId first
-          const users = await this.retrieveFromPostgreSQL('users', { userId });
-          if (users.length === 0) {
-            throw new Error('User not found');
+      // Writes the document store missed, journaled in PostgreSQL
+      for (const entry of await StorageReconciliationModel.findPending('iagon')) {
+        try {
+          await this.applyOperation('iagon', entry.operation, true);
+          await StorageReconciliationModel.delete(entry.id);
+          result.replayed++;
+        } catch (error: any) {
+          await StorageReconciliationModel.recordFailure(entry.id, error.message);
+          result.failed++;
+          break;
+        }
+      }
+
+      // Writes PostgreSQL missed, journaled in the document store
+      for (const entry of await this.provider.list(RECONCILIATION_PREFIX)) {
+        try {
+          const operation = await this.retrieveDocument(entry.key);
+          if (operation) {
+            await this.applyOperation('postgresql', operation, true);
           }
-          await this.updateInPostgreSQL('users', users[0].id, updateData);
+          await this.provider.delete(entry.key);
+          result.replayed++;
+        } catch (error: any) {
+          logger.warn('Failed to replay journaled write', {
+            service: 'storage-abstraction',
+            key: entry.key,
+            error: error.message
+          });
+          result.failed++;
+          break;
         }
-      }, 'updateUser');
+      }
+    } finally {
+      this.reconciling = false;
+    }
 
-      logger.info('User updated successfully', {
+    if (result.replayed > 0 || result.failed > 0) {
+      logger.info('Storage reconciliation completed', {
         service: 'storage-abstraction',
-        userId,
-        storage: selectedStorage
+        ...result
       });
+    }
 
-      return {
-        success: true,
-        storageUsed: selectedStorage
-      };
-    } catch (error: any) {
-      logger.error('Failed to update user', {
-        service: 'storage-abstraction',
-        userId,
-        storage: selectedStorage,
-        error: error.message
-      });
+    return result;
+  }
 
-      return {
-        success: false,
-        error: error.message,
-        storageUsed: selectedStorage
-      };
-    }
+  /**
+   * Number of journaled writes waiting to be replayed, per target backend
+   */
+  public async getPendingReconciliation(): Promise<Record<StorageBackend, number>> {
+    const [journaled, documentJournal] = await Promise.all([
+      StorageReconciliationModel.countPending(),
+      this.provider.list(RECONCILIATION_PREFIX)
+    ]);
+
+    return {
+      iagon: journaled.iagon ?? 0,
+      postgresql: documentJournal.length
+    };
   }
 
-  public async storeUserDeposit(depositData: Omit<UserDeposit, 'id' | 'createdAt'>): Promise<StorageResult<{ id: string }>> {
-    const selectedStorage = this.selectStorage();
-    
-    try {
-      const result = await this.withRetry(async () => {
-        if (selectedStorage === 'iagon') {
-          const key = `deposit_${depositData.userId}_${Date.now()}`;
-          const dataWithTimestamps = {
-            ...depositData,
-            id: crypto.randomUUID(),
-            createdAt: new Date()
-          };
-          const storageId = await this.storeInIagon(key, dataWithTimestamps);
-          return { id: storageId };
-        } else {
-          const id = await this.storeInPostgreSQL('user_deposits', depositData);
-          return { id };
-        }
-      }, 'storeUserDeposit');
+  // ============================================================================
+  // PUBLIC API METHODS
+  // ============================================================================
 
-      logger.info('User deposit stored successfully', {
-        service: 'storage-abstraction',
-        userId: depositData.userId,
-        storage: selectedStorage
-      });
+  public async storeUser(userData: Omit<UserData, 'id' | 'createdAt' | 'updatedAt'>): Promise<StorageResult<{ id: string }>> {
+    const now = new Date();
+    const result = await this.execute({
+      type: 'storeUser',
+      data: { ...userData, id: crypto.randomUUID(), createdAt: now, updatedAt: now }
+    }, { userId: userData.userId });
 
-      return {
-        success: true,
-        data: result,
-        storageUsed: selectedStorage
-      };
-    } catch (error: any) {
-      logger.error('Failed to store user deposit', {
-        service: 'storage-abstraction',
-        userId: depositData.userId,
-        storage: selectedStorage,
-        error: error.message
-      });
+    return { ...result, data: result.success ? { id: result.data! } : undefined };
+  }
 
-      return {
-        success: false,
-        error: error.message,
-        storageUsed: selectedStorage
-      };
-    }
+  public async findUser(query: { userId?: string; walletAddress?: string; phoneHash?: string }): Promise<StorageResult<UserData | null>> {
+    return this.read('findUser', query, async (storage) => {
+      const results = storage === 'iagon'
+        ? await this.findUsersInDocuments(query)
+        : await this.retrieveFromPostgreSQL('users', query);
+      return results.length > 0 ? results[0] : null;
+    });
   }
 
-  public async findUserDeposits(query: { userId?: string; userAddress?: string; txHash?: string }): Promise<StorageResult<UserDeposit[]>> {
-    const selectedStorage = this.selectStorage();
-    
-    try {
-      const result = await this.withRetry(async () => {
-        if (selectedStorage === 'iagon') {
-          // For Iagon, we'd need to implement a search mechanism
-          // For now, fall back to PostgreSQL for complex queries
-          throw new Error('Iagon storage requires specific key for deposit lookup');
-        } else {
-          return await this.retrieveFromPostgreSQL('user_deposits', query);
-        }
-      }, 'findUserDeposits');
+  public async updateUser(userId: string, updateData: Partial<UserData>): Promise<StorageResult<void>> {
+    const result = await this.execute({
+      type: 'updateUser',
+      userId,
+      data: { ...updateData, updatedAt: new Date() }
+    }, { userId });
 
-      return {
-        success: true,
-        data: result,
-        storageUsed: selectedStorage
-      };
-    } catch (error: any) {
-      logger.error('Failed to find user deposits', {
-        service: 'storage-abstraction',
-        query,
-        storage: selectedStorage,
-        error: error.message
-      });
+    return { ...result, data: undefined };
+  }
 
-      // Try fallback if enabled and primary failed
-      if (this.config.enableFallback && selectedStorage === 'iagon') {
-        try {
-          const results = await this.retrieveFromPostgreSQL('user_deposits', query);
-          
-          logger.info('User deposits found using fallback storage', {
-            service: 'storage-abstraction',
-            query,
-            fallbackStorage: 'postgresql'
-          });
+  public async storeUserDeposit(depositData: Omit<UserDeposit, 'id' | 'createdAt'>): Promise<StorageResult<{ id: string }>> {
+    const result = await this.execute({
+      type: 'storeUserDeposit',
+      data: { ...depositData, id: crypto.randomUUID(), createdAt: new Date() }
+    }, { userId: depositData.userId });
 
-          return {
-            success: true,
-            data: results,
-            storageUsed: 'postgresql'
-          };
-        } catch (fallbackError: any) {
-          logger.error('Fallback storage also failed', {
-            service: 'storage-abstraction',
-            query,
-            error: fallbackError.message
-          });
-        }
-      }
+    return { ...result, data: result.success ? { id: result.data! } : undefined };
+  }
 
-      return {
-        success: false,
-        error: error.message,
-        storageUsed: selectedStorage
-      };
-    }
+  public async findUserDeposits(query: { userId?: string; userAddress?: string; txHash?: string }): Promise<StorageResult<UserDeposit[]>> {
+    return this.read('findUserDeposits', query, async (storage) =>
+      storage === 'iagon'
+        ? this.findDepositsInDocuments(query)
+        : this.retrieveFromPostgreSQL('user_deposits', query)
+    );
   }
 
   // ============================================================================
@@ -770,10 +978,10 @@ export class StorageAbstractionService {
 // ============================================================================
 
 export const storageService = new StorageAbstractionService({
-  primaryStorage: process.env.PRIMARY_STORAGE as 'iagon' | 'postgresql' || 'iagon',
+  primaryStorage: process.env.PRIMARY_STORAGE as 'iagon' | 'postgresql' || 'postgresql',
   enableFallback: process.env.ENABLE_STORAGE_FALLBACK !== 'false',
   syncBetweenStorages: process.env.SYNC_BETWEEN_STORAGES === 'true',
   healthCheckInterval: parseInt(process.env.STORAGE_HEALTH_CHECK_INTERVAL || '60000'),
   retryAttempts: parseInt(process.env.STORAGE_RETRY_ATTEMPTS || '3'),
   retryDelay: parseInt(process.env.STORAGE_RETRY_DELAY || '1000')
-});
\ No newline at end of file
+});
@@ -0,0 +1,445 @@
+/**
+ * Storage Providers for K33P
+ * Key-addressed document storage behind a common interface, with content
+ * hashing and retry. IagonStorageProvider stores documents as private Iagon
+ * files; LocalStorageProvider keeps them on the local filesystem for
+ * development and tests.
+ */
+
+import axios, { AxiosInstance } from 'axios';
+import FormData from 'form-data';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { logger } from '../utils/logger.js';
+import { StorageObjectModel } from '../database/models.js';
+
+// ============================================================================
+// INTERFACES AND TYPES
+// ============================================================================
+
+export interface StoredObjectMeta {
+  key: string;
+  contentHash: string;
+  size: number;
+  updatedAt: Date;
+}
+
+export interface StoredObject extends StoredObjectMeta {
+  data: string;
+}
+
+export interface StorageProvider {
+  readonly name: 'iagon' | 'local';
+  /** Create or replace the document stored under a key */
+  store(key: string, data: string): Promise<StoredObjectMeta>;
+  /** Read a document, verifying its content hash; null when the key does not exist */
+  retrieve(key: string): Promise<StoredObject | null>;
+  /** Replace an existing document; throws StorageNotFoundError when the key does not exist */
+  update(key: string, data: string): Promise<StoredObjectMeta>;
+  delete(key: string): Promise<boolean>;
+  list(prefix?: string): Promise<StoredObjectMeta[]>;
+  /** Throws when the provider cannot serve requests */
+  healthCheck(): Promise<void>;
+}
+
+export interface RetryOptions {
+  attempts: number;
+  delayMs: number;
+}
+
+export class StorageNotFoundError extends Error {
+  constructor(public key: string) {
+    super(`No document stored under key: ${key}`);
+    this.name = 'StorageNotFoundError';
+  }
+}
+
+export class StorageIntegrityError extends Error {
+  constructor(public key: string, public expectedHash: string, public actualHash: string) {
+    super(`Content hash mismatch for key: ${key}`);
+    this.name = 'StorageIntegrityError';
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+export const hashContent = (data: string): string =>
+  crypto.createHash('sha256').update(data, 'utf8').digest('hex');
+
+const validateKey = (key: string): void => {
+  if (!key || key.split('/').some(segment => segment === '' || segment === '.' || segment === '..')) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+};
+
+/**
+ * Run an operation with linear backoff. Errors flagged as non-retryable
+ * (e.g. 4xx responses) are rethrown immediately.
+ */
+export async function withRetry<T>(
+  operation: () => Promise<T>,
+  operationName: string,
+  options: RetryOptions,
+  isRetryable: (error: any) => boolean = () => true
+): Promise<T> {
+  let lastError: Error;
+
+  for (let attempt = 1; attempt <= options.attempts; attempt++) {
+    try {
+      return await operation();
+    } catch (error: any) {
+      lastError = error;
+      if (!isRetryable(error)) {
+        throw error;
+      }
+
+      logger.warn(`${operationName} attempt ${attempt} failed`, {
+        service: 'storage-providers',
+        error: error.message,
+        attempt,
+        maxAttempts: options.attempts
+      });
+
+      if (attempt < options.attempts) {
+        await new Promise(resolve => setTimeout(resolve, options.delayMs * attempt));
+      }
+    }
+  }
+
+  throw lastError!;
+}
+
+// ============================================================================
+// IAGON PROVIDER
+// ============================================================================
+
+export interface IagonProviderOptions {
+  apiUrl: string;
+  token: string;
+  timeoutMs?: number;
+  retry?: RetryOptions;
+}
+
+/**
+ * Iagon addresses files by the id returned on upload, so document keys are
+ * mapped to file ids (and content hashes) in the storage_objects table.
+ */
+export class IagonStorageProvider implements StorageProvider {
+  readonly name = 'iagon' as const;
+  private client: AxiosInstance;
+  private retry: RetryOptions;
+
+  constructor(options: IagonProviderOptions) {
+    this.client = axios.create({
+      baseURL: options.apiUrl.trim(),
+      headers: { 'Authorization': `Bearer ${options.token}` },
+      timeout: options.timeoutMs ?? 10000
+    });
+    this.retry = options.retry ?? { attempts: 3, delayMs: 1000 };
+  }
+
+  async store(key: string, data: string): Promise<StoredObjectMeta> {
+    validateKey(key);
+    const existing = await StorageObjectModel.find(key, this.name);
+    const fileId = await this.upload(key, data);
+
+    const record = await StorageObjectModel.upsert({
+      key,
+      provider: this.name,
+      provider_ref: fileId,
+      content_hash: hashContent(data),
+      size: Buffer.byteLength(data, 'utf8')
+    });
+
+    // Only drop the previous version once the index points at the new file
+    if (existing && existing.provider_ref !== fileId) {
+      await this.removeFile(existing.provider_ref).catch(error => {
+        logger.warn('Failed to delete superseded Iagon file', {
+          service: 'storage-providers',
+          key,
+          fileId: existing.provider_ref,
+          error: error.message
+        });
+      });
+    }
+
+    return this.toMeta(record);
+  }
+
+  async retrieve(key: string): Promise<StoredObject | null> {
+    validateKey(key);
+    const record = await StorageObjectModel.find(key, this.name);
+    if (!record) return null;
+
+    const data = await withRetry(async () => {
+      const res = await this.client.get(`/storage/download/${record.provider_ref}`, {
+        responseType: 'text',
+        transformResponse: [(body: any) => body]
+      });
+      return String(res.data);
+    }, `Iagon download ${key}`, this.retry, this.isRetryable);
+
+    const actualHash = hashContent(data);
+    if (actualHash !== record.content_hash) {
+      throw new StorageIntegrityError(key, record.content_hash, actualHash);
+    }
+
+    return { ...this.toMeta(record), data };
+  }
+
+  async update(key: string, data: string): Promise<StoredObjectMeta> {
+    validateKey(key);
+    if (!(await StorageObjectModel.find(key, this.name))) {
+      throw new StorageNotFoundError(key);
+    }
+    return this.store(key, data);
+  }
+
+  async delete(key: string): Promise<boolean> {
+    validateKey(key);
+    const record = await StorageObjectModel.find(key, this.name);
+    if (!record) return false;
+
+    await this.removeFile(record.provider_ref);
+    return StorageObjectModel.delete(key, this.name);
+  }
+
+  async list(prefix: string = ''): Promise<StoredObjectMeta[]> {
+    const records = await StorageObjectModel.list(this.name, prefix);
+    return records.map(record => this.toMeta(record));
+  }
+
+  async healthCheck(): Promise<void> {
+    await this.client.get('/storage/directory', { params: { visibility: 'private' } });
+  }
+
+  private async upload(key: string, data: string): Promise<string> {
+    const filename = `${key.replace(/[^a-zA-Z0-9._-]/g, '_')}.json`;
+
+    return withRetry(async () => {
+      const formData = new FormData();
+      formData.append('file', Buffer.from(data, 'utf8'), { filename, contentType: 'application/json' });
+      formData.append('filename', filename);
+      formData.append('visibility', 'private');
+
+      const res = await this.client.post('/storage/upload', formData, { headers: formData.getHeaders() });
+      const fileId = res.data?.data?.file_id || res.data?.data?._id || res.data?.id;
+      if (!fileId) {
+        throw new Error('Iagon upload response did not include a file id');
+      }
+      return String(fileId);
+    }, `Iagon upload ${key}`, this.retry, this.isRetryable);
+  }
+
+  private async removeFile(fileId: string): Promise<void> {
+    await withRetry(async () => {
+      try {
+        await this.client.delete(`/storage/delete/${fileId}`);
+      } catch (error: any) {
+        // Already gone
+        if (error.response?.status !== 404) throw error;
+      }
+    }, `Iagon delete ${fileId}`, this.retry, this.isRetryable);
+  }
+
+  // Client errors other than timeouts and throttling will not succeed on retry
+  private isRetryable = (error: any): boolean => {
+    const status = error.response?.status;
+    return !status || status >= 500 || status === 408 || status === 429;
+  };
+
+  private toMeta(record: { key: string; content_hash: string; size: number; updated_at?: Date }): StoredObjectMeta {
+    return {
+      key: record.key,
+      contentHash: record.content_hash,
+      size: record.size,
+      updatedAt: record.updated_at ? new Date(record.updated_at) : new Date()
+    };
+  }
+}
+
+// ============================================================================
+// LOCAL FILESYSTEM PROVIDER
+// ============================================================================
+
+interface LocalEnvelope extends StoredObject {}
+
+/**
+ * Stores each document as a JSON envelope (content hash, size, data) in a
+ * file named after the key. Writes go through a temporary file and rename so
+ * a crash never leaves a partial document.
+ */
+export class LocalStorageProvider implements StorageProvider {
+  readonly name = 'local' as const;
+
+  constructor(private rootDir: string) {}
+
+  async store(key: string, data: string): Promise<StoredObjectMeta> {
+    const filePath = this.pathFor(key);
+    const envelope: LocalEnvelope = {
+      key,
+      contentHash: hashContent(data),
+      size: Buffer.byteLength(data, 'utf8'),
+      updatedAt: new Date(),
+      data
+    };
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(envelope), 'utf8');
+    await fs.promises.rename(tempPath, filePath);
+
+    const { data: _data, ...meta } = envelope;
+    return meta;
+  }
+
+  async retrieve(key: string): Promise<StoredObject | null> {
+    const envelope = await this.readEnvelope(this.pathFor(key));
+    if (!envelope) return null;
+
+    const actualHash = hashContent(envelope.data);
+    if (actualHash !== envelope.contentHash) {
+      throw new StorageIntegrityError(key, envelope.contentHash, actualHash);
+    }
+    return envelope;
+  }
+
+  async update(key: string, data: string): Promise<StoredObjectMeta> {
+    if (!fs.existsSync(this.pathFor(key))) {
+      throw new StorageNotFoundError(key);
+    }
+    return this.store(key, data);
+  }
+
+  async delete(key: string): Promise<boolean> {
+    try {
+      await fs.promises.unlink(this.pathFor(key));
+      return true;
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  async list(prefix: string = ''): Promise<StoredObjectMeta[]> {
+    const files = await this.walk(this.rootDir);
+    const results: StoredObjectMeta[] = [];
+
+    for (const file of files) {
+      const key = this.keyFor(file);
+      if (!key.startsWith(prefix)) continue;
+
+      const envelope = await this.readEnvelope(file);
+      if (envelope) {
+        const { data: _data, ...meta } = envelope;
+        results.push(meta);
+      }
+    }
+
+    return results.sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  async healthCheck(): Promise<void> {
+    await fs.promises.mkdir(this.rootDir, { recursive: true });
+    await fs.promises.access(this.rootDir, fs.constants.R_OK | fs.constants.W_OK);
+  }
+
+  private pathFor(key: string): string {
+    validateKey(key);
+    return path.join(this.rootDir, ...key.split('/').map(encodeURIComponent)) + '.json';
+  }
+
+  private keyFor(filePath: string): string {
+    return path.relative(this.rootDir, filePath)
+      .slice(0, -'.json'.length)
+      .split(path.sep)
+      .map(decodeURIComponent)
+      .join('/');
+  }
+
+  private async readEnvelope(filePath: string): Promise<LocalEnvelope | null> {
+    try {
+      const envelope = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+      return { ...envelope, updatedAt: new Date(envelope.updatedAt) };
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  private async walk(dir: string): Promise<string[]> {
+    let entries: fs.Dirent[];
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    } catch (error: any) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const files: string[] = [];
+    for (const entry of entries) {
+      const entryPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...await this.walk(entryPath));
+      } else if (entry.name.endsWith('.json')) {
+        files.push(entryPath);
+      }
+    }
+    return files;
+  }
+}
+
+// ============================================================================
+// PROVIDER SELECTION
+// ============================================================================
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_LOCAL_DIR = path.resolve(__dirname, '../../data/storage');
+
+/**
+ * Build the provider named by STORAGE_PROVIDER. Defaults to Iagon when
+ * IAGON_API_URL and IAGON_PERSONAL_ACCESS_TOKEN are set, otherwise local.
+ */
+export function createStorageProvider(type: string | undefined = process.env.STORAGE_PROVIDER): StorageProvider {
+  const apiUrl = process.env.IAGON_API_URL;
+  const token = process.env.IAGON_PERSONAL_ACCESS_TOKEN;
+  const selected = type || (apiUrl && token ? 'iagon' : 'local');
+
+  if (selected === 'iagon') {
+    if (!apiUrl || !token) {
+      throw new Error('STORAGE_PROVIDER=iagon requires IAGON_API_URL and IAGON_PERSONAL_ACCESS_TOKEN');
+    }
+    return new IagonStorageProvider({
+      apiUrl,
+      token,
+      retry: {
+        attempts: parseInt(process.env.STORAGE_RETRY_ATTEMPTS || '3'),
+        delayMs: parseInt(process.env.STORAGE_RETRY_DELAY || '1000')
+      }
+    });
+  }
+
+  if (selected === 'local') {
+    return new LocalStorageProvider(process.env.STORAGE_LOCAL_DIR || DEFAULT_LOCAL_DIR);
+  }
+
+  throw new Error(`Unknown storage provider: ${selected}`);
+}
+
+let defaultProvider: StorageProvider | undefined;
+
+/**
+ * Shared provider, created on first use so that environment variables loaded
+ * after import are respected
+ */
+export function getStorageProvider(): StorageProvider {
+  if (!defaultProvider) {
+    defaultProvider = createStorageProvider();
+    logger.info(`Using ${defaultProvider.name} storage provider`, { service: 'storage-providers' });
+  }
+  return defaultProvider;
+}
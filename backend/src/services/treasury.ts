@@ -0,0 +1,243 @@
+/**
+ * Refund Wallet Treasury for K33P
+ * Watches the hot wallet refunds are paid from. Every check records its
+ * balance and UTxO layout, folds small lovelace-only UTxOs into one once
+ * enough have piled up, and pauses automatic refunds while the balance is
+ * below the low-water mark. Crossing the mark in either direction alerts the
+ * operators configured in TREASURY_ALERT_USER_IDS through notifications.
+ */
+
+import type { UTxO } from '@lucid-evolution/lucid';
+import { CreateNotificationDTO, TreasurySnapshotRecord } from '../database/models.js';
+import { ChainProvider } from './chain-provider.js';
+import { logger } from '../utils/logger.js';
+
+// ============================================================================
+// INTERFACES AND TYPES
+// ============================================================================
+
+export interface TreasuryWallet {
+  address(): Promise<string>;
+  /** Spend `utxos` back to the wallet as a single output; resolves to the submitted tx hash */
+  consolidate(utxos: UTxO[]): Promise<string>;
+}
+
+export interface TreasurySnapshotStore {
+  record(snapshot: Omit<TreasurySnapshotRecord, 'id' | 'recorded_at'>): Promise<TreasurySnapshotRecord>;
+  listSince(walletAddress: string, since: Date, limit?: number): Promise<TreasurySnapshotRecord[]>;
+  findLatest(walletAddress: string): Promise<TreasurySnapshotRecord | null>;
+}
+
+export interface TreasuryConfig {
+  /** Automatic refunds pause while the wallet holds less lovelace than this */
+  lowWaterMark: bigint;
+  /** Lovelace-only UTxOs below this are dust */
+  dustThreshold: bigint;
+  /** Consolidate once this many dust UTxOs have piled up */
+  consolidateAt: number;
+  /** Dust UTxOs spent by one consolidation transaction */
+  maxConsolidationInputs: number;
+  checkIntervalMs: number;
+  /** Users notified when refunds pause or resume */
+  alertUserIds: string[];
+}
+
+export interface TreasuryDependencies {
+  chain: Pick<ChainProvider, 'getUtxos'>;
+  wallet: TreasuryWallet;
+  snapshots: TreasurySnapshotStore;
+  notify: (notification: CreateNotificationDTO) => Promise<unknown>;
+  /** Called whenever automatic refunds are paused or resumed */
+  onPausedChange?: (paused: boolean) => void;
+  config?: TreasuryConfig;
+}
+
+export interface TreasuryReport {
+  walletAddress: string;
+  refundsPaused: boolean;
+  lowWaterMark: bigint;
+  dustThreshold: bigint;
+  latest: TreasurySnapshotRecord | null;
+  /** Newest first */
+  history: TreasurySnapshotRecord[];
+}
+
+const envBigInt = (name: string, fallback: bigint): bigint => {
+  try {
+    return process.env[name] ? BigInt(process.env[name]!) : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+const envInt = (name: string, fallback: number): number => {
+  const value = parseInt(process.env[name] || '', 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+// Read on use: the server loads .env after its imports
+export const treasuryConfigFromEnv = (): TreasuryConfig => ({
+  lowWaterMark: envBigInt('TREASURY_LOW_WATER_LOVELACE', 50_000_000n),
+  dustThreshold: envBigInt('TREASURY_DUST_LOVELACE', 5_000_000n),
+  consolidateAt: envInt('TREASURY_CONSOLIDATE_AT', 20),
+  maxConsolidationInputs: envInt('TREASURY_MAX_CONSOLIDATION_INPUTS', 50),
+  checkIntervalMs: envInt('TREASURY_CHECK_INTERVAL', 600000),
+  alertUserIds: (process.env.TREASURY_ALERT_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean)
+});
+
+const ada = (lovelace: bigint): string => (Number(lovelace) / 1_000_000).toFixed(2);
+
+// ============================================================================
+// TREASURY
+// ============================================================================
+
+export class Treasury {
+  private paused?: boolean;
+  private intervalId?: NodeJS.Timeout;
+  private checking?: Promise<TreasurySnapshotRecord>;
+
+  constructor(private deps: TreasuryDependencies) {}
+
+  private get config(): TreasuryConfig {
+    return this.deps.config ?? treasuryConfigFromEnv();
+  }
+
+  /** Whether automatic refunds are paused; false until the first check */
+  isRefundingPaused(): boolean {
+    return this.paused === true;
+  }
+
+  start(): void {
+    if (this.intervalId) return;
+    void this.runCheck();
+    this.intervalId = setInterval(() => void this.runCheck(), this.config.checkIntervalMs);
+  }
+
+  stop(): void {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = undefined;
+    }
+  }
+
+  /**
+   * Snapshot the wallet, consolidating dust and pausing or resuming refunds
+   * as needed. Concurrent calls share one check.
+   */
+  check(): Promise<TreasurySnapshotRecord> {
+    this.checking ??= this.performCheck().finally(() => {
+      this.checking = undefined;
+    });
+    return this.checking;
+  }
+
+  async getReport(since: Date, limit?: number): Promise<TreasuryReport> {
+    const walletAddress = await this.deps.wallet.address();
+    const history = await this.deps.snapshots.listSince(walletAddress, since, limit);
+    const latest = history[0] ?? await this.deps.snapshots.findLatest(walletAddress);
+    return {
+      walletAddress,
+      refundsPaused: this.paused ?? latest?.refunds_paused ?? false,
+      lowWaterMark: this.config.lowWaterMark,
+      dustThreshold: this.config.dustThreshold,
+      latest,
+      history
+    };
+  }
+
+  private async runCheck(): Promise<void> {
+    try {
+      await this.check();
+    } catch (error) {
+      logger.error('Treasury check failed:', error);
+    }
+  }
+
+  private async performCheck(): Promise<TreasurySnapshotRecord> {
+    const config = this.config;
+    const walletAddress = await this.deps.wallet.address();
+    const utxos = await this.deps.chain.getUtxos(walletAddress);
+
+    let lovelace = 0n;
+    const assets: Record<string, bigint> = {};
+    for (const utxo of utxos) {
+      for (const [unit, quantity] of Object.entries(utxo.assets)) {
+        if (unit === 'lovelace') {
+          lovelace += BigInt(quantity);
+        } else {
+          assets[unit] = (assets[unit] ?? 0n) + BigInt(quantity);
+        }
+      }
+    }
+
+    // UTxOs carrying tokens hold token refunds and are left alone
+    const dust = utxos
+      .filter(utxo => Object.keys(utxo.assets).every(unit => unit === 'lovelace'))
+      .filter(utxo => BigInt(utxo.assets.lovelace ?? 0n) < config.dustThreshold)
+      .sort((a, b) => Number(BigInt(a.assets.lovelace ?? 0n) - BigInt(b.assets.lovelace ?? 0n)));
+
+    let consolidationTxHash: string | null = null;
+    if (dust.length >= config.consolidateAt) {
+      const inputs = dust.slice(0, config.maxConsolidationInputs);
+      try {
+        consolidationTxHash = await this.deps.wallet.consolidate(inputs);
+        logger.info(`Treasury consolidated ${inputs.length} dust UTxOs in ${consolidationTxHash}`, { service: 'treasury' });
+      } catch (error) {
+        logger.error(`Treasury could not consolidate ${inputs.length} dust UTxOs:`, error);
+      }
+    }
+
+    await this.updatePaused(walletAddress, lovelace < config.lowWaterMark, lovelace);
+
+    return this.deps.snapshots.record({
+      wallet_address: walletAddress,
+      lovelace,
+      assets,
+      utxo_count: utxos.length,
+      dust_utxo_count: dust.length,
+      refunds_paused: this.paused!,
+      consolidation_tx_hash: consolidationTxHash
+    });
+  }
+
+  private async updatePaused(walletAddress: string, paused: boolean, lovelace: bigint): Promise<void> {
+    // Pick up where the last process left off so a restart does not re-alert
+    if (this.paused === undefined) {
+      const latest = await this.deps.snapshots.findLatest(walletAddress);
+      this.paused = latest?.refunds_paused ?? false;
+      if (this.paused) this.deps.onPausedChange?.(true);
+    }
+    if (paused === this.paused) return;
+
+    this.paused = paused;
+    this.deps.onPausedChange?.(paused);
+
+    const lowWater = ada(this.config.lowWaterMark);
+    if (paused) {
+      logger.warn(`Treasury below low-water mark (${ada(lovelace)} < ${lowWater} ADA); automatic refunds paused`, { service: 'treasury' });
+      await this.alert({
+        title: 'Refund wallet low',
+        message: `The refund wallet ${walletAddress} holds ${ada(lovelace)} ADA, below the ${lowWater} ADA low-water mark. Automatic refunds are paused until it is funded.`,
+        priority: 'urgent'
+      });
+    } else {
+      logger.info(`Treasury back above low-water mark (${ada(lovelace)} ADA); automatic refunds resumed`, { service: 'treasury' });
+      await this.alert({
+        title: 'Refund wallet funded',
+        message: `The refund wallet ${walletAddress} holds ${ada(lovelace)} ADA. Automatic refunds have resumed.`,
+        priority: 'normal'
+      });
+    }
+  }
+
+  private async alert(notification: Pick<CreateNotificationDTO, 'title' | 'message' | 'priority'>): Promise<void> {
+    for (const userId of this.config.alertUserIds) {
+      try {
+        await this.deps.notify({ user_id: userId, notification_type: 'wallet', ...notification });
+      } catch (error) {
+        // Pausing already took effect; a lost alert must not undo it
+        logger.error('Failed to send treasury alert', { userId, title: notification.title, error });
+      }
+    }
+  }
+}
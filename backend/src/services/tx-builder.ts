@@ -0,0 +1,673 @@
+/**
+ * Transaction Builder for K33P
+ * Datums, redeemers and spending transactions for the K33P validator in
+ * smart_contract_validator/validators/combined_validator.ak. Encodings follow
+ * the blueprint in plutus.json constructor for constructor, and every spend
+ * carries what the validator checks besides the datum itself:
+ * - a validity interval that contains the datum timestamp and is no longer
+ *   than max_time_window (validate_timing)
+ * - the admin key as a required signer for ProcessSignup and ProcessRefund
+ *   (validate_admin_authorization), the datum wallet's payment key for
+ *   ProcessDeletion (validate_wallet_authorization) and the datum owner for
+ *   the auth redeemers
+ * - for ProcessSignup and ProcessRefund, the wallet paid at least what every
+ *   deposit of its spent in the transaction owes it together
+ *   (validate_refund_payout), so a batch pays each wallet one summed output
+ * - for the auth redeemers, the user's identity NFT locked back at the script
+ *   under the next AuthDatum (validate_identity_relock)
+ *
+ * ReclaimDeposit is the exception: it checks neither the datum nor the
+ * timing, only that the validity range starts after the signup's
+ * reclaim_after deadline and that the wallet signs. The wallet builds and
+ * pays for that transaction itself (reclaimDeposit).
+ *
+ * Auth datums only exist alongside an identity NFT: mintIdentity issues one
+ * per phone hash under the validator's own policy, named after a wallet
+ * UTxO the mint spends, and findIdentity looks a user up by the phone hash in
+ * its datum. burnIdentity destroys it when the owner deletes their identity.
+ *
+ * The validator is parameterised by the admin key hash and the signup refund
+ * amount. deploy.ts and loadK33pValidator apply the same parameters, so both
+ * derive the same script address.
+ *
+ * The validator compares timestamps with the POSIX-millisecond validity
+ * range, so datum timestamps are milliseconds and max_time_window is 86.4
+ * seconds. Every output must hold at least min_lovelace, change included.
+ *
+ * The script is attached as the Plutus version its blueprint was compiled
+ * for, V3 for the current validator. Labelled with another version it would
+ * hash to another address and fail every evaluation, so anything locked there
+ * could never be spent.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { blake2b } from '@noble/hashes/blake2b';
+import {
+  applyParamsToScript,
+  Assets,
+  Constr,
+  Credential,
+  credentialToAddress,
+  Data,
+  fromText,
+  getAddressDetails,
+  LucidEvolution,
+  Network,
+  OutRef,
+  slotToUnixTime,
+  SpendingValidator,
+  toText,
+  TxBuilder,
+  TxSignBuilder,
+  unixTimeToSlot,
+  UTxO,
+  validatorToAddress,
+  validatorToScriptHash
+} from '@lucid-evolution/lucid';
+
+// ============================================================================
+// INTERFACES AND TYPES
+// ============================================================================
+
+/** Constants of combined_validator.ak */
+export const VALIDATOR_RULES = {
+  minLovelace: 2_000_000n,
+  phoneHashLength: 32,
+  proofLength: 64,
+  maxTimeWindow: 86_400,
+  minUserIdLength: 3,
+  maxUserIdLength: 50,
+  maxReasonLength: 200,
+  maxRefundAmount: 1_000_000_000_000n
+} as const;
+
+/** Parameters of k33p_validator, in declaration order */
+export interface K33pValidatorParams {
+  /** Payment key hash that authorises refunds and auth updates */
+  adminKeyHash: string;
+  /** Lovelace a ProcessSignup pays back to the wallet */
+  refundAmount: bigint;
+}
+
+export interface AuthData {
+  /** 32-byte hex digest */
+  phoneHash: string;
+  createdAt: number;
+}
+
+export type K33pDatum =
+  | { type: 'Auth'; version: number; authData: AuthData; isActive: boolean; nonce: number; owner: string }
+  | { type: 'Signup'; wallet: string; userId: string; zkProof: string; timestamp: number; reclaimAfter: number }
+  | { type: 'Refund'; wallet: string; refundAmount: bigint; reason: string; timestamp: number }
+  | { type: 'Delete'; wallet: string; timestamp: number };
+
+/**
+ * The validator ignores every signature field; authorization comes from the
+ * transaction's required signers instead
+ */
+export type K33pRedeemer =
+  | { type: 'StoreAuthData'; authData: AuthData; signature?: string }
+  | { type: 'UpdateAuthData'; authData: AuthData; signature?: string }
+  | { type: 'DeactivateAuthData'; signature?: string }
+  | { type: 'BurnAuthData'; signature?: string }
+  | { type: 'ProcessSignup'; signature?: string }
+  | { type: 'ProcessRefund'; signature?: string }
+  | { type: 'ProcessDeletion'; signature?: string }
+  | { type: 'ReclaimDeposit'; signature?: string };
+
+export interface SpendOptions {
+  /** Current time in ms; defaults to the wall clock */
+  now?: number;
+  signature?: string;
+}
+
+export class TxBuilderError extends Error {
+  constructor(
+    public code: 'INVALID_DATUM' | 'UNSUPPORTED_ADDRESS' | 'OUTSIDE_TIME_WINDOW' | 'WRONG_BRANCH' | 'INVALID_PARAMS'
+      | 'IDENTITY_EXISTS' | 'NOT_AN_IDENTITY' | 'TOO_EARLY' | 'UNSUPPORTED_PLUTUS_VERSION',
+    message: string
+  ) {
+    super(message);
+    this.name = 'TxBuilderError';
+  }
+}
+
+// ============================================================================
+// DATA ENCODING
+// ============================================================================
+
+const credentialData = (credential: Credential): Constr<Data> =>
+  new Constr(credential.type === 'Key' ? 0 : 1, [credential.hash]);
+
+const dataCredential = (data: Constr<Data>): Credential => ({
+  type: data.index === 0 ? 'Key' : 'Script',
+  hash: data.fields[0] as string
+});
+
+const boolData = (value: boolean): Constr<Data> => new Constr(value ? 1 : 0, []);
+
+const authDataData = (authData: AuthData): Constr<Data> =>
+  new Constr(0, [authData.phoneHash, BigInt(authData.createdAt)]);
+
+const dataAuthData = (data: Constr<Data>): AuthData => ({
+  phoneHash: data.fields[0] as string,
+  createdAt: Number(data.fields[1] as bigint)
+});
+
+/** K33pDatum.IdentityDatumType(IdentityDatum.<index>(value)) */
+const identityDatum = (index: number, fields: Data[]): Constr<Data> =>
+  new Constr(1, [new Constr(index, [new Constr(0, fields)])]);
+
+const REDEEMER_INDEX: Record<K33pRedeemer['type'], [number, number]> = {
+  StoreAuthData: [0, 0],
+  UpdateAuthData: [0, 1],
+  DeactivateAuthData: [0, 2],
+  BurnAuthData: [0, 3],
+  ProcessSignup: [1, 0],
+  ProcessRefund: [1, 1],
+  ProcessDeletion: [1, 2],
+  ReclaimDeposit: [1, 3]
+};
+
+export function redeemerToCbor(redeemer: K33pRedeemer): string {
+  const [outer, inner] = REDEEMER_INDEX[redeemer.type];
+  const signature = redeemer.signature ?? '';
+  const fields: Data[] = redeemer.type === 'StoreAuthData' || redeemer.type === 'UpdateAuthData'
+    ? [authDataData(redeemer.authData), signature]
+    : [signature];
+  return Data.to(new Constr(outer, [new Constr(inner, fields)]));
+}
+
+/** IdentityMintRedeemer.MintIdentity, spending `seed` */
+const mintIdentityRedeemer = (seed: OutRef): string =>
+  Data.to(new Constr(0, [new Constr(0, [seed.txHash, BigInt(seed.outputIndex)])]));
+
+/** IdentityMintRedeemer.BurnIdentity */
+const BURN_IDENTITY = Data.to(new Constr(1, []));
+
+/**
+ * Token name of the identity NFT minted by spending `seed`, as identity_name
+ * derives it: blake2b-256 of the transaction id and the 2-byte big-endian
+ * output index
+ */
+export function identityName(seed: OutRef): string {
+  const index = Buffer.alloc(2);
+  index.writeUInt16BE(seed.outputIndex);
+  return Buffer.from(blake2b(Buffer.concat([Buffer.from(seed.txHash, 'hex'), index]), { dkLen: 32 })).toString('hex');
+}
+
+/** The data checks validate_*_data applies */
+export function validateDatum(datum: K33pDatum): void {
+  const fail = (message: string): never => {
+    throw new TxBuilderError('INVALID_DATUM', message);
+  };
+  const byteLength = (hex: string) => hex.length / 2;
+
+  if (datum.type === 'Auth') {
+    if (byteLength(datum.authData.phoneHash) !== VALIDATOR_RULES.phoneHashLength) fail('phone hash must be 32 bytes');
+    if (datum.authData.createdAt <= 0) fail('created_at must be positive');
+    if (byteLength(datum.owner) !== 28) fail('owner must be a 28-byte key hash');
+    return;
+  }
+  if (datum.timestamp <= 0) fail('timestamp must be positive');
+  if (datum.type === 'Signup') {
+    const userIdLength = Buffer.byteLength(datum.userId, 'utf8');
+    if (userIdLength < VALIDATOR_RULES.minUserIdLength || userIdLength > VALIDATOR_RULES.maxUserIdLength) {
+      fail(`user id must be ${VALIDATOR_RULES.minUserIdLength}-${VALIDATOR_RULES.maxUserIdLength} bytes`);
+    }
+    if (byteLength(datum.zkProof) !== VALIDATOR_RULES.proofLength) fail('zk proof must be 64 bytes');
+    if (!(datum.reclaimAfter > datum.timestamp)) fail('reclaim deadline must come after the signup timestamp');
+  }
+  if (datum.type === 'Refund') {
+    if (datum.refundAmount < VALIDATOR_RULES.minLovelace || datum.refundAmount > VALIDATOR_RULES.maxRefundAmount) {
+      fail('refund amount must be between min_lovelace and 1,000,000 ADA');
+    }
+    const reasonLength = Buffer.byteLength(datum.reason, 'utf8');
+    if (reasonLength === 0 || reasonLength > VALIDATOR_RULES.maxReasonLength) fail('reason must be 1-200 bytes');
+  }
+}
+
+export function validateParams(params: K33pValidatorParams): void {
+  if (!/^[0-9a-f]{56}$/i.test(params.adminKeyHash)) {
+    throw new TxBuilderError('INVALID_PARAMS', 'admin key hash must be 28 bytes of hex');
+  }
+  // The refund output has to satisfy validate_outputs as well
+  if (params.refundAmount < VALIDATOR_RULES.minLovelace) {
+    throw new TxBuilderError('INVALID_PARAMS', 'refund amount must be at least min_lovelace');
+  }
+}
+
+/** Script types by blueprint plutusVersion */
+const SCRIPT_TYPES: Record<string, SpendingValidator['type']> = { v1: 'PlutusV1', v2: 'PlutusV2', v3: 'PlutusV3' };
+
+/**
+ * Load the compiled validator from a CIP-57 blueprint and apply its
+ * parameters. A blueprint built before the validator took parameters would
+ * accept them silently and produce a script that always fails.
+ */
+export function loadK33pValidator(params: K33pValidatorParams, file: string = 'plutus.json'): SpendingValidator {
+  const blueprint = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  const validator = blueprint.validators.find((v: any) => v.title === 'combined_validator.k33p_validator.spend');
+  if (!validator?.compiledCode) {
+    throw new Error(`k33p_validator.spend missing from ${file}`);
+  }
+  const plutusVersion = blueprint.preamble?.plutusVersion;
+  const type = SCRIPT_TYPES[plutusVersion];
+  if (!type) {
+    throw new TxBuilderError(
+      'UNSUPPORTED_PLUTUS_VERSION',
+      `${file} is compiled for Plutus ${plutusVersion ?? '(unknown)'}, which Lucid cannot attach`
+    );
+  }
+  if (validator.parameters?.length !== 2) {
+    throw new Error(`${file} was built from an unparameterised k33p_validator; run \`aiken build\` and redeploy`);
+  }
+  validateParams(params);
+  return {
+    type,
+    script: applyParamsToScript(validator.compiledCode, [params.adminKeyHash, params.refundAmount])
+  };
+}
+
+// ============================================================================
+// TRANSACTION BUILDER
+// ============================================================================
+
+export class K33pTxBuilder {
+  readonly scriptAddress: string;
+  /** Policy of the identity NFTs: the validator's own script hash */
+  readonly identityPolicyId: string;
+  private network: Network;
+
+  /**
+   * @param lucid Lucid instance whose wallet pays fees and receives change
+   * @param validator The K33P spending validator with `params` applied
+   * @param params The parameters applied to `validator`
+   */
+  constructor(private lucid: LucidEvolution, private validator: SpendingValidator, private params: K33pValidatorParams) {
+    validateParams(params);
+    this.network = lucid.config().network ?? 'Mainnet';
+    this.scriptAddress = validatorToAddress(this.network, validator);
+    this.identityPolicyId = validatorToScriptHash(validator);
+  }
+
+  /** Asset unit of the identity NFT with token name `name` */
+  identityUnit(name: string): string {
+    return this.identityPolicyId + name;
+  }
+
+  toDatum(datum: K33pDatum): string {
+    validateDatum(datum);
+    switch (datum.type) {
+      case 'Auth':
+        return Data.to(new Constr(0, [new Constr(0, [
+          BigInt(datum.version),
+          authDataData(datum.authData),
+          boolData(datum.isActive),
+          BigInt(datum.nonce),
+          datum.owner
+        ])]));
+      case 'Signup':
+        return Data.to(identityDatum(0, [
+          this.addressData(datum.wallet),
+          fromText(datum.userId),
+          datum.zkProof,
+          BigInt(datum.timestamp),
+          BigInt(datum.reclaimAfter)
+        ]));
+      case 'Refund':
+        return Data.to(identityDatum(1, [
+          this.addressData(datum.wallet),
+          datum.refundAmount,
+          fromText(datum.reason),
+          BigInt(datum.timestamp)
+        ]));
+      case 'Delete':
+        return Data.to(identityDatum(2, [this.addressData(datum.wallet), BigInt(datum.timestamp)]));
+    }
+  }
+
+  fromDatum(cbor: string): K33pDatum {
+    const data = Data.from(cbor) as Constr<Data>;
+    const value = data.fields[0] as Constr<Data>;
+    if (data.index === 0) {
+      const [version, authData, isActive, nonce, owner] = value.fields as [bigint, Constr<Data>, Constr<Data>, bigint, string];
+      return {
+        type: 'Auth',
+        version: Number(version),
+        authData: dataAuthData(authData),
+        isActive: isActive.index === 1,
+        nonce: Number(nonce),
+        owner
+      };
+    }
+
+    const fields = (value.fields[0] as Constr<Data>).fields;
+    const wallet = this.dataAddress(fields[0] as Constr<Data>);
+    switch (value.index) {
+      case 0:
+        return {
+          type: 'Signup',
+          wallet,
+          userId: toText(fields[1] as string),
+          zkProof: fields[2] as string,
+          timestamp: Number(fields[3] as bigint),
+          reclaimAfter: Number(fields[4] as bigint)
+        };
+      case 1:
+        return {
+          type: 'Refund',
+          wallet,
+          refundAmount: fields[1] as bigint,
+          reason: toText(fields[2] as string),
+          timestamp: Number(fields[3] as bigint)
+        };
+      default:
+        return { type: 'Delete', wallet, timestamp: Number(fields[1] as bigint) };
+    }
+  }
+
+  /**
+   * Validity interval the validator accepts for datum timestamps: it holds
+   * each timestamp and `now` (so the ledger accepts it too) and spans at
+   * most max_time_window. Bounds sit on slot boundaries so the script sees
+   * exactly these times after the round trip through slots.
+   */
+  validityRange(timestamp: number | number[], now: number = Date.now()): { from: number; to: number } {
+    const timestamps = [timestamp].flat();
+    const slotLength = slotToUnixTime(this.network, 1) - slotToUnixTime(this.network, 0);
+    const from = this.slotStart(Math.min(...timestamps, now));
+    const to = from + Math.floor(VALIDATOR_RULES.maxTimeWindow / slotLength) * slotLength;
+    if (Math.max(...timestamps, now) > to) {
+      throw new TxBuilderError(
+        'OUTSIDE_TIME_WINDOW',
+        `Timestamp ${timestamps.join(', ')} is more than ${VALIDATOR_RULES.maxTimeWindow}ms from now (${now}); the validator can no longer accept it`
+      );
+    }
+    return { from, to };
+  }
+
+  /** Lock min_lovelace (or `assets`) at the script under an inline identity datum */
+  async lock(datum: K33pDatum, assets: Assets = { lovelace: VALIDATOR_RULES.minLovelace }): Promise<TxSignBuilder> {
+    if (datum.type === 'Auth') {
+      throw new TxBuilderError('WRONG_BRANCH', 'Auth datums are only valid with an identity NFT; use mintIdentity');
+    }
+    return this.lucid.newTx()
+      .pay.ToContract(this.scriptAddress, { kind: 'inline', value: this.toDatum(datum) }, assets)
+      .complete();
+  }
+
+  /**
+   * Mint the identity NFT for a phone hash and lock it at the script under a
+   * fresh AuthDatum owned by `owner`'s payment key. The admin key must sign,
+   * and a UTxO of the selected wallet is spent to name the NFT. The policy
+   * cannot tell whether the phone hash already has an identity, so this
+   * refuses to mint a second one.
+   */
+  async mintIdentity(owner: string, authData: AuthData): Promise<TxSignBuilder> {
+    const datum: K33pDatum = {
+      type: 'Auth',
+      version: 1,
+      authData,
+      isActive: true,
+      nonce: 0,
+      owner: this.ownerKeyHash(owner)
+    };
+    const inlineDatum = this.toDatum(datum);
+    if (await this.findIdentity(authData.phoneHash)) {
+      throw new TxBuilderError('IDENTITY_EXISTS', `An identity NFT already exists for phone hash ${authData.phoneHash}`);
+    }
+
+    const [seed] = await this.lucid.wallet().getUtxos();
+    if (!seed) {
+      throw new TxBuilderError('INVALID_PARAMS', 'The wallet has no UTxO to name an identity NFT after');
+    }
+    const unit = this.identityUnit(identityName(seed));
+    return this.lucid.newTx()
+      .collectFrom([seed])
+      .mintAssets({ [unit]: 1n }, mintIdentityRedeemer(seed))
+      .attach.MintingPolicy(this.validator)
+      .pay.ToContract(this.scriptAddress, { kind: 'inline', value: inlineDatum }, { lovelace: VALIDATOR_RULES.minLovelace, [unit]: 1n })
+      .addSignerKey(this.params.adminKeyHash)
+      .complete();
+  }
+
+  /** The script UTxO holding a phone hash's identity NFT, if it has one */
+  async findIdentity(phoneHash: string): Promise<UTxO | undefined> {
+    return (await this.lucid.utxosAt(this.scriptAddress)).find(utxo => {
+      if (!utxo.datum || !this.identityUnitOf(utxo)) return false;
+      try {
+        const datum = this.fromDatum(utxo.datum);
+        return datum.type === 'Auth' && datum.authData.phoneHash === phoneHash;
+      } catch {
+        return false;
+      }
+    });
+  }
+
+  /** Unit of the one identity NFT a UTxO holds, if it holds one */
+  identityUnitOf(utxo: UTxO): string | undefined {
+    const units = Object.keys(utxo.assets).filter(unit => unit.startsWith(this.identityPolicyId));
+    return units.length === 1 && utxo.assets[units[0]] === 1n ? units[0] : undefined;
+  }
+
+  /**
+   * Burn an identity NFT, active or not, when its owner deletes their
+   * identity. Build it on a Lucid instance with the owner's wallet selected:
+   * that wallet signs, provides collateral, pays the fee and gets the
+   * locked lovelace back.
+   */
+  async burnIdentity(utxo: UTxO, options: SpendOptions = {}): Promise<TxSignBuilder> {
+    const datum = this.datumOf(utxo, 'Auth');
+    const unit = this.identityUnitOf(utxo);
+    if (!unit) {
+      throw new TxBuilderError('NOT_AN_IDENTITY', `UTxO ${utxo.txHash}#${utxo.outputIndex} does not hold an identity NFT`);
+    }
+    return this.lucid.newTx()
+      .collectFrom([utxo], redeemerToCbor({ type: 'BurnAuthData', signature: options.signature }))
+      .mintAssets({ [unit]: -1n }, BURN_IDENTITY)
+      .attach.SpendingValidator(this.validator)
+      .addSignerKey(datum.owner)
+      .complete();
+  }
+
+  /** Refund a signup deposit: exactly the refund amount goes to the wallet, signed by the admin key */
+  async processSignup(utxo: UTxO, options: SpendOptions = {}): Promise<TxSignBuilder> {
+    const datum = this.datumOf(utxo, 'Signup');
+    return this.spend(utxo, { type: 'ProcessSignup', signature: options.signature }, datum.timestamp, options, tx =>
+      tx.pay.ToAddress(datum.wallet, { lovelace: this.params.refundAmount }).addSignerKey(this.params.adminKeyHash)
+    );
+  }
+
+  /** Pay a RefundDatum's refund_amount to its wallet, signed by the admin key */
+  async processRefund(utxo: UTxO, options: SpendOptions = {}): Promise<TxSignBuilder> {
+    const datum = this.datumOf(utxo, 'Refund');
+    return this.spend(utxo, { type: 'ProcessRefund', signature: options.signature }, datum.timestamp, options, tx =>
+      tx.pay.ToAddress(datum.wallet, { lovelace: datum.refundAmount }).addSignerKey(this.params.adminKeyHash)
+    );
+  }
+
+  /**
+   * Refund several signup and refund deposits in one transaction, signed by
+   * the admin key. Each wallet gets one output holding what all of its
+   * deposits owe, as the validator sums per wallet rather than per deposit.
+   */
+  async processRefunds(utxos: UTxO[], options: SpendOptions = {}): Promise<TxSignBuilder> {
+    if (utxos.length === 0) {
+      throw new TxBuilderError('INVALID_DATUM', 'No deposits to refund');
+    }
+    const deposits = utxos.map(utxo => ({ utxo, datum: this.datumOf(utxo, 'Signup', 'Refund') }));
+    const owed = new Map<string, bigint>();
+    for (const { datum } of deposits) {
+      const amount = datum.type === 'Signup' ? this.params.refundAmount : datum.refundAmount;
+      owed.set(datum.wallet, (owed.get(datum.wallet) ?? 0n) + amount);
+    }
+
+    const { from, to } = this.validityRange(deposits.map(({ datum }) => datum.timestamp), options.now);
+    const tx = this.lucid.newTx();
+    for (const { utxo, datum } of deposits) {
+      const type = datum.type === 'Signup' ? 'ProcessSignup' : 'ProcessRefund';
+      tx.collectFrom([utxo], redeemerToCbor({ type, signature: options.signature }));
+    }
+    for (const [wallet, lovelace] of owed) {
+      tx.pay.ToAddress(wallet, { lovelace });
+    }
+    return tx
+      .attach.SpendingValidator(this.validator)
+      .validFrom(from)
+      .validTo(to)
+      .addSignerKey(this.params.adminKeyHash)
+      .complete();
+  }
+
+  /** Release a DeleteDatum UTxO back to its wallet, which must sign */
+  async processDeletion(utxo: UTxO, options: SpendOptions = {}): Promise<TxSignBuilder> {
+    const datum = this.datumOf(utxo, 'Delete');
+    return this.spend(utxo, { type: 'ProcessDeletion', signature: options.signature }, datum.timestamp, options, tx =>
+      tx.pay.ToAddress(datum.wallet, utxo.assets).addSigner(datum.wallet)
+    );
+  }
+
+  /**
+   * Replace the auth data of an active identity, re-locked with its NFT and
+   * the next nonce. The phone hash names the NFT and cannot change.
+   */
+  async storeAuthData(utxo: UTxO, authData: AuthData, options: SpendOptions = {}): Promise<TxSignBuilder> {
+    return this.relockAuth(utxo, { type: 'StoreAuthData', authData, signature: options.signature }, options);
+  }
+
+  /** Like storeAuthData, but created_at may not go back in time */
+  async updateAuthData(utxo: UTxO, authData: AuthData, options: SpendOptions = {}): Promise<TxSignBuilder> {
+    const datum = this.datumOf(utxo, 'Auth');
+    if (authData.createdAt < datum.authData.createdAt) {
+      throw new TxBuilderError('INVALID_DATUM', 'Updated auth data must not be older than the current one');
+    }
+    return this.relockAuth(utxo, { type: 'UpdateAuthData', authData, signature: options.signature }, options);
+  }
+
+  /**
+   * Return a signup deposit to its wallet once reclaim_after has passed,
+   * without the backend. Build it on a Lucid instance with the depositing
+   * wallet selected: that wallet signs, provides collateral and pays the fee.
+   */
+  async reclaimDeposit(utxo: UTxO, options: SpendOptions = {}): Promise<TxSignBuilder> {
+    const datum = this.datumOf(utxo, 'Signup');
+    const from = this.slotStart(options.now ?? Date.now());
+    if (from < datum.reclaimAfter) {
+      throw new TxBuilderError('TOO_EARLY', `Deposit can be reclaimed from ${new Date(datum.reclaimAfter).toISOString()}`);
+    }
+
+    return this.lucid.newTx()
+      .collectFrom([utxo], redeemerToCbor({ type: 'ReclaimDeposit', signature: options.signature }))
+      .attach.SpendingValidator(this.validator)
+      .validFrom(from)
+      .pay.ToAddress(datum.wallet, utxo.assets)
+      .addSigner(datum.wallet)
+      .complete();
+  }
+
+  /** Re-lock an active identity as inactive; the NFT stays at the script */
+  async deactivateAuthData(utxo: UTxO, options: SpendOptions = {}): Promise<TxSignBuilder> {
+    const datum = this.activeAuthDatum(utxo);
+    const next: K33pDatum = { ...datum, isActive: false, nonce: datum.nonce + 1 };
+    return this.spend(utxo, { type: 'DeactivateAuthData', signature: options.signature }, datum.authData.createdAt, options, tx =>
+      tx.pay.ToContract(this.scriptAddress, { kind: 'inline', value: this.toDatum(next) }, utxo.assets).addSignerKey(datum.owner)
+    );
+  }
+
+  private async relockAuth(
+    utxo: UTxO,
+    redeemer: Extract<K33pRedeemer, { authData: AuthData }>,
+    options: SpendOptions
+  ): Promise<TxSignBuilder> {
+    const datum = this.activeAuthDatum(utxo);
+    if (redeemer.authData.phoneHash !== datum.authData.phoneHash) {
+      throw new TxBuilderError('INVALID_DATUM', 'The phone hash names the identity NFT and cannot change');
+    }
+    const next: K33pDatum = { ...datum, authData: redeemer.authData, nonce: datum.nonce + 1 };
+    return this.spend(utxo, redeemer, redeemer.authData.createdAt, options, tx =>
+      tx.pay.ToContract(this.scriptAddress, { kind: 'inline', value: this.toDatum(next) }, utxo.assets).addSignerKey(datum.owner)
+    );
+  }
+
+  private spend(
+    utxo: UTxO,
+    redeemer: K33pRedeemer,
+    timestamp: number,
+    options: SpendOptions,
+    build: (tx: TxBuilder) => TxBuilder
+  ): Promise<TxSignBuilder> {
+    const { from, to } = this.validityRange(timestamp, options.now);
+    return build(
+      this.lucid.newTx()
+        .collectFrom([utxo], redeemerToCbor(redeemer))
+        .attach.SpendingValidator(this.validator)
+        .validFrom(from)
+        .validTo(to)
+    ).complete();
+  }
+
+  /** `time` rounded down to the start of its slot */
+  private slotStart(time: number): number {
+    return slotToUnixTime(this.network, unixTimeToSlot(this.network, time));
+  }
+
+  private datumOf<T extends K33pDatum['type']>(utxo: UTxO, ...types: T[]): Extract<K33pDatum, { type: T }> {
+    if (!utxo.datum) {
+      throw new TxBuilderError('INVALID_DATUM', `UTxO ${utxo.txHash}#${utxo.outputIndex} has no inline datum`);
+    }
+    const datum = this.fromDatum(utxo.datum);
+    if (!types.includes(datum.type as T)) {
+      throw new TxBuilderError('WRONG_BRANCH', `UTxO holds a ${datum.type} datum; the validator only accepts it with its own redeemer`);
+    }
+    return datum as Extract<K33pDatum, { type: T }>;
+  }
+
+  private activeAuthDatum(utxo: UTxO): Extract<K33pDatum, { type: 'Auth' }> {
+    const datum = this.datumOf(utxo, 'Auth');
+    if (!datum.isActive || datum.version <= 0) {
+      throw new TxBuilderError('INVALID_DATUM', 'Auth datum must be active with a positive version');
+    }
+    if (!this.identityUnitOf(utxo)) {
+      throw new TxBuilderError('NOT_AN_IDENTITY', `UTxO ${utxo.txHash}#${utxo.outputIndex} does not hold the identity NFT for its auth datum`);
+    }
+    return datum;
+  }
+
+  private ownerKeyHash(address: string): string {
+    const { paymentCredential } = getAddressDetails(address);
+    if (paymentCredential?.type !== 'Key') {
+      throw new TxBuilderError('UNSUPPORTED_ADDRESS', `${address} has no payment key to own an identity`);
+    }
+    return paymentCredential.hash;
+  }
+
+  private addressData(address: string): Constr<Data> {
+    const details = getAddressDetails(address);
+    if (!details.paymentCredential || details.type === 'Pointer') {
+      throw new TxBuilderError('UNSUPPORTED_ADDRESS', `${address} cannot be used as a datum wallet`);
+    }
+    if (details.paymentCredential.type !== 'Key') {
+      // validate_wallet_authorization rejects script wallets outright
+      throw new TxBuilderError('UNSUPPORTED_ADDRESS', `${address} is a script address and can never authorize a spend`);
+    }
+    const stake = details.stakeCredential
+      ? new Constr(0, [new Constr(0, [credentialData(details.stakeCredential)])])
+      : new Constr(1, []);
+    return new Constr(0, [credentialData(details.paymentCredential), stake]);
+  }
+
+  private dataAddress(data: Constr<Data>): string {
+    const [payment, stake] = data.fields as [Constr<Data>, Constr<Data>];
+    let stakeCredential: Credential | undefined;
+    if (stake.index === 0) {
+      const inline = stake.fields[0] as Constr<Data>;
+      if (inline.index !== 0) {
+        throw new TxBuilderError('UNSUPPORTED_ADDRESS', 'Pointer stake credentials are not supported');
+      }
+      stakeCredential = dataCredential(inline.fields[0] as Constr<Data>);
+    }
+    return credentialToAddress(this.network, dataCredential(payment), stakeCredential);
+  }
+}
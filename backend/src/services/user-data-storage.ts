@@ -7,7 +7,7 @@
 import crypto from 'crypto';
 import { storeData, retrieveData, updateData, deleteData } from '../utils/iagon.js';
 import { logger } from '../utils/logger.js';
-import { SeedPhraseEntry } from './seed-phrase-storage.js';
+import { SeedPhraseMetadata } from './seed-phrase-storage.js';
 
 // ============================================================================
 // INTERFACES AND TYPES
@@ -46,7 +46,7 @@ export interface UserProfile {
       shareUsageData: boolean;
     };
   };
-  seedPhrases: SeedPhraseEntry[];
+  seedPhrases: SeedPhraseMetadata[];
   createdAt: Date;
   updatedAt: Date;
   lastLoginAt?: Date;
@@ -287,7 +287,7 @@ export class UserDataStorageService {
   /**
    * Add seed phrase to user profile
    */
-  async addSeedPhraseToUser(userId: string, seedPhrase: SeedPhraseEntry): Promise<UserProfile | null> {
+  async addSeedPhraseToUser(userId: string, seedPhrase: SeedPhraseMetadata): Promise<UserProfile | null> {
     try {
       const user = await this.getUserById(userId);
       if (!user) {
@@ -337,7 +337,7 @@ export class UserDataStorageService {
   /**
    * Get all seed phrases for a user
    */
-  async getUserSeedPhrases(userId: string): Promise<SeedPhraseEntry[]> {
+  async getUserSeedPhrases(userId: string): Promise<SeedPhraseMetadata[]> {
     try {
       const user = await this.getUserById(userId);
       if (!user) {
@@ -0,0 +1,418 @@
+import crypto from 'crypto';
+import cron, { ScheduledTask } from 'node-cron';
+import pool from '../database/config.js';
+import { RecoveryRequestModel, PhoneChangeRequestModel } from '../database/models.js';
+import { redisClient } from '../utils/redis.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Short-lived verification state (OTP codes, emergency tokens, attempt counters)
+ * shared by the recovery, phone-change and OTP flows.
+ *
+ * Keys are stored as SHA-256 digests of `namespace:key`, so phone numbers and
+ * bearer tokens used as keys never reach the database or Redis in clear text.
+ * OTP codes are stored as an HMAC keyed with VERIFICATION_CODE_SECRET (or
+ * JWT_SECRET): a six-digit code has too few values for a plain hash to keep
+ * it from anyone holding a copy of the database.
+ */
+
+export interface VerificationRecord<T = any> {
+  data: T;
+  attempts: number;
+  maxAttempts: number;
+  expiresAt: Date;
+}
+
+export interface VerificationOptions {
+  ttlSeconds: number;
+  maxAttempts?: number;
+}
+
+export interface CodeVerificationResult<T = any> {
+  valid: boolean;
+  reason?: 'NOT_FOUND' | 'TOO_MANY_ATTEMPTS' | 'INVALID_CODE';
+  attemptsRemaining: number;
+  data?: T;
+}
+
+export interface VerificationBackend {
+  readonly name: string;
+  put(id: string, record: VerificationRecord): Promise<void>;
+  get(id: string): Promise<VerificationRecord | null>;
+  incrementAttempts(id: string): Promise<VerificationRecord | null>;
+  /** Count an attempt in one atomic step, starting `record` if no unexpired state exists */
+  incrementOrCreate(id: string, record: VerificationRecord): Promise<VerificationRecord>;
+  delete(id: string): Promise<void>;
+  sweepExpired(): Promise<number>;
+}
+
+/**
+ * PostgreSQL backend using the verification_state table
+ */
+export class PostgresVerificationBackend implements VerificationBackend {
+  readonly name = 'postgresql';
+
+  async put(id: string, record: VerificationRecord): Promise<void> {
+    const client = await pool.connect();
+    try {
+      await client.query(
+        `INSERT INTO verification_state (state_key, data, attempts, max_attempts, expires_at)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (state_key) DO UPDATE SET
+           data = EXCLUDED.data,
+           attempts = EXCLUDED.attempts,
+           max_attempts = EXCLUDED.max_attempts,
+           expires_at = EXCLUDED.expires_at,
+           updated_at = CURRENT_TIMESTAMP`,
+        [id, JSON.stringify(record.data ?? {}), record.attempts, record.maxAttempts, record.expiresAt]
+      );
+    } finally {
+      client.release();
+    }
+  }
+
+  async get(id: string): Promise<VerificationRecord | null> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(
+        'SELECT data, attempts, max_attempts, expires_at FROM verification_state WHERE state_key = $1 AND expires_at > CURRENT_TIMESTAMP',
+        [id]
+      );
+      return result.rows.length > 0 ? this.parseRow(result.rows[0]) : null;
+    } finally {
+      client.release();
+    }
+  }
+
+  async incrementAttempts(id: string): Promise<VerificationRecord | null> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(
+        `UPDATE verification_state
+         SET attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+         WHERE state_key = $1 AND expires_at > CURRENT_TIMESTAMP
+         RETURNING data, attempts, max_attempts, expires_at`,
+        [id]
+      );
+      return result.rows.length > 0 ? this.parseRow(result.rows[0]) : null;
+    } finally {
+      client.release();
+    }
+  }
+
+  async incrementOrCreate(id: string, record: VerificationRecord): Promise<VerificationRecord> {
+    const client = await pool.connect();
+    try {
+      // An expired row is replaced, as if it had been swept
+      const result = await client.query(
+        `INSERT INTO verification_state AS state (state_key, data, attempts, max_attempts, expires_at)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (state_key) DO UPDATE SET
+           data = CASE WHEN state.expires_at > CURRENT_TIMESTAMP THEN state.data ELSE EXCLUDED.data END,
+           attempts = CASE WHEN state.expires_at > CURRENT_TIMESTAMP THEN state.attempts + 1 ELSE EXCLUDED.attempts END,
+           max_attempts = CASE WHEN state.expires_at > CURRENT_TIMESTAMP THEN state.max_attempts ELSE EXCLUDED.max_attempts END,
+           expires_at = CASE WHEN state.expires_at > CURRENT_TIMESTAMP THEN state.expires_at ELSE EXCLUDED.expires_at END,
+           updated_at = CURRENT_TIMESTAMP
+         RETURNING data, attempts, max_attempts, expires_at`,
+        [id, JSON.stringify(record.data ?? {}), record.attempts, record.maxAttempts, record.expiresAt]
+      );
+      return this.parseRow(result.rows[0]);
+    } finally {
+      client.release();
+    }
+  }
+
+  async delete(id: string): Promise<void> {
+    const client = await pool.connect();
+    try {
+      await client.query('DELETE FROM verification_state WHERE state_key = $1', [id]);
+    } finally {
+      client.release();
+    }
+  }
+
+  async sweepExpired(): Promise<number> {
+    const client = await pool.connect();
+    try {
+      const result = await client.query('DELETE FROM verification_state WHERE expires_at <= CURRENT_TIMESTAMP');
+      return result.rowCount ?? 0;
+    } finally {
+      client.release();
+    }
+  }
+
+  private parseRow(row: any): VerificationRecord {
+    return {
+      data: typeof row.data === 'string' ? JSON.parse(row.data) : row.data,
+      attempts: row.attempts,
+      maxAttempts: row.max_attempts,
+      expiresAt: new Date(row.expires_at)
+    };
+  }
+}
+
+/**
+ * Redis backend using the Upstash REST client
+ * Expiry is handled by Redis TTLs; attempt counters live in a separate key so
+ * they can be incremented atomically with INCR.
+ */
+export class RedisVerificationBackend implements VerificationBackend {
+  readonly name = 'redis';
+  private prefix = 'k33p:verification:';
+
+  async put(id: string, record: VerificationRecord): Promise<void> {
+    const ttl = this.ttlSeconds(record.expiresAt);
+    if (ttl <= 0) return;
+
+    await redisClient.set(this.key(id), JSON.stringify({
+      data: record.data ?? {},
+      maxAttempts: record.maxAttempts,
+      expiresAt: record.expiresAt.toISOString()
+    }), { EX: ttl });
+    await redisClient.set(this.attemptsKey(id), String(record.attempts), { EX: ttl });
+  }
+
+  async get(id: string): Promise<VerificationRecord | null> {
+    const raw = await redisClient.get(this.key(id));
+    if (!raw) return null;
+
+    const stored = JSON.parse(raw);
+    const attempts = parseInt((await redisClient.get(this.attemptsKey(id))) || '0', 10);
+    return {
+      data: stored.data,
+      attempts,
+      maxAttempts: stored.maxAttempts,
+      expiresAt: new Date(stored.expiresAt)
+    };
+  }
+
+  async incrementAttempts(id: string): Promise<VerificationRecord | null> {
+    const record = await this.get(id);
+    if (!record) return null;
+
+    const attempts = await redisClient.incr(this.attemptsKey(id));
+    await redisClient.expire(this.attemptsKey(id), Math.max(1, this.ttlSeconds(record.expiresAt)));
+    return { ...record, attempts: Number(attempts) };
+  }
+
+  async incrementOrCreate(id: string, record: VerificationRecord): Promise<VerificationRecord> {
+    // INCR creates the counter at 1, so only the first attempt of a window sees 1
+    const attempts = Number(await redisClient.incr(this.attemptsKey(id)));
+    if (attempts === 1) {
+      const ttl = Math.max(1, this.ttlSeconds(record.expiresAt));
+      await redisClient.expire(this.attemptsKey(id), ttl);
+      await redisClient.set(this.key(id), JSON.stringify({
+        data: record.data ?? {},
+        maxAttempts: record.maxAttempts,
+        expiresAt: record.expiresAt.toISOString()
+      }), { EX: ttl });
+      return { ...record, attempts };
+    }
+
+    const current = await this.get(id);
+    return { ...(current ?? record), attempts };
+  }
+
+  async delete(id: string): Promise<void> {
+    await redisClient.del(this.key(id));
+    await redisClient.del(this.attemptsKey(id));
+  }
+
+  async sweepExpired(): Promise<number> {
+    // Redis expires keys on its own
+    return 0;
+  }
+
+  private key(id: string): string {
+    return `${this.prefix}${id}`;
+  }
+
+  private attemptsKey(id: string): string {
+    return `${this.prefix}${id}:attempts`;
+  }
+
+  private ttlSeconds(expiresAt: Date): number {
+    return Math.ceil((expiresAt.getTime() - Date.now()) / 1000);
+  }
+}
+
+export class VerificationStore {
+  private sweepTask: ScheduledTask | null = null;
+
+  constructor(private backend: VerificationBackend) {}
+
+  get backendName(): string {
+    return this.backend.name;
+  }
+
+  /**
+   * Store state under a namespaced key, replacing any previous value
+   */
+  async put<T>(namespace: string, key: string, data: T, options: VerificationOptions): Promise<Date> {
+    const expiresAt = new Date(Date.now() + options.ttlSeconds * 1000);
+    await this.backend.put(this.id(namespace, key), {
+      data,
+      attempts: 0,
+      maxAttempts: options.maxAttempts ?? 0,
+      expiresAt
+    });
+    return expiresAt;
+  }
+
+  /**
+   * Get unexpired state, or null
+   */
+  async get<T = any>(namespace: string, key: string): Promise<VerificationRecord<T> | null> {
+    return this.backend.get(this.id(namespace, key));
+  }
+
+  async delete(namespace: string, key: string): Promise<void> {
+    await this.backend.delete(this.id(namespace, key));
+  }
+
+  /**
+   * Claim single-use state stored with `put`: only the first caller gets the
+   * data, however many requests or instances race for it. Claimed state is
+   * left to expire rather than deleted, so a late caller still finds it spent.
+   */
+  async claim<T = any>(namespace: string, key: string): Promise<T | null> {
+    const record = await this.backend.incrementAttempts(this.id(namespace, key));
+    return record && record.attempts === 1 ? record.data : null;
+  }
+
+  /**
+   * Count an attempt against a key, opening a fresh window if none is active
+   * Used for lockouts such as "3 backup phrase attempts per 15 minutes"
+   */
+  async registerAttempt(namespace: string, key: string, options: VerificationOptions): Promise<VerificationRecord> {
+    return this.backend.incrementOrCreate(this.id(namespace, key), {
+      data: {},
+      attempts: 1,
+      maxAttempts: options.maxAttempts ?? 0,
+      expiresAt: new Date(Date.now() + options.ttlSeconds * 1000)
+    });
+  }
+
+  /**
+   * Count an attempt and say whether the window still allows it. Counting and
+   * checking are one step, so parallel requests cannot exceed the limit.
+   */
+  async takeAttempt(namespace: string, key: string, options: VerificationOptions): Promise<{ allowed: boolean; attemptsRemaining: number }> {
+    const record = await this.registerAttempt(namespace, key, options);
+    return {
+      allowed: record.maxAttempts <= 0 || record.attempts <= record.maxAttempts,
+      attemptsRemaining: Math.max(0, record.maxAttempts - record.attempts)
+    };
+  }
+
+  /**
+   * Whether the attempt window for a key is exhausted
+   */
+  async isLocked(namespace: string, key: string): Promise<boolean> {
+    const record = await this.get(namespace, key);
+    return !!record && record.maxAttempts > 0 && record.attempts >= record.maxAttempts;
+  }
+
+  /**
+   * Store a one-time code; only its hash is persisted
+   */
+  async issueCode<T>(namespace: string, key: string, code: string, options: VerificationOptions & { data?: T }): Promise<Date> {
+    return this.put(namespace, key, {
+      codeHash: this.hashCode(namespace, key, code),
+      payload: options.data ?? null
+    }, { ttlSeconds: options.ttlSeconds, maxAttempts: options.maxAttempts ?? 3 });
+  }
+
+  /**
+   * Check a one-time code, counting the attempt
+   * The code is consumed on success and discarded once attempts run out.
+   */
+  async verifyCode<T = any>(namespace: string, key: string, code: string): Promise<CodeVerificationResult<T>> {
+    const id = this.id(namespace, key);
+    const record = await this.backend.incrementAttempts(id);
+
+    if (!record) {
+      return { valid: false, reason: 'NOT_FOUND', attemptsRemaining: 0 };
+    }
+
+    if (record.attempts > record.maxAttempts) {
+      await this.backend.delete(id);
+      return { valid: false, reason: 'TOO_MANY_ATTEMPTS', attemptsRemaining: 0 };
+    }
+
+    const expected = Buffer.from(record.data.codeHash, 'hex');
+    const provided = Buffer.from(this.hashCode(namespace, key, code), 'hex');
+
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return {
+        valid: false,
+        reason: 'INVALID_CODE',
+        attemptsRemaining: Math.max(0, record.maxAttempts - record.attempts)
+      };
+    }
+
+    await this.backend.delete(id);
+    return { valid: true, attemptsRemaining: record.maxAttempts - record.attempts, data: record.data.payload };
+  }
+
+  /**
+   * Remove expired state and mark stale recovery/phone-change requests as expired
+   */
+  async sweepExpired(): Promise<{ states: number; recoveryRequests: number; phoneChangeRequests: number }> {
+    const states = await this.backend.sweepExpired();
+    const recoveryRequests = await RecoveryRequestModel.expireStale();
+    const phoneChangeRequests = await PhoneChangeRequestModel.expireStale();
+
+    if (states || recoveryRequests || phoneChangeRequests) {
+      logger.info('Verification state sweep completed', { states, recoveryRequests, phoneChangeRequests });
+    }
+
+    return { states, recoveryRequests, phoneChangeRequests };
+  }
+
+  /**
+   * Start the expiry sweeper (every 5 minutes)
+   */
+  startSweeper(): void {
+    if (this.sweepTask) return;
+
+    this.sweepTask = cron.schedule('*/5 * * * *', async () => {
+      try {
+        await this.sweepExpired();
+      } catch (error) {
+        logger.error('Verification state sweep failed', { error });
+      }
+    });
+
+    logger.info(`Verification state sweeper started (every 5 minutes, backend: ${this.backend.name})`);
+  }
+
+  stopSweeper(): void {
+    if (this.sweepTask) {
+      this.sweepTask.stop();
+      this.sweepTask = null;
+      logger.info('Verification state sweeper stopped');
+    }
+  }
+
+  private id(namespace: string, key: string): string {
+    return crypto.createHash('sha256').update(`${namespace}:${key}`).digest('hex');
+  }
+
+  private hashCode(namespace: string, key: string, code: string): string {
+    // Read on use: the server loads .env after its imports
+    const secret = process.env.VERIFICATION_CODE_SECRET || process.env.JWT_SECRET || 'default-secret';
+    return crypto.createHmac('sha256', secret).update(`${namespace}:${key}:${code}`).digest('hex');
+  }
+}
+
+const createBackend = (): VerificationBackend => {
+  if (process.env.VERIFICATION_STORE === 'redis') {
+    return new RedisVerificationBackend();
+  }
+  return new PostgresVerificationBackend();
+};
+
+export const verificationStore = new VerificationStore(createBackend());
+
+export default verificationStore;
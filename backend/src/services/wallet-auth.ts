@@ -0,0 +1,123 @@
+/**
+ * Wallet Authentication for K33P
+ * CIP-30 challenge/response login. The server issues a single-use nonce, the
+ * wallet signs the challenge message with signData (a CIP-8 COSE_Sign1) and
+ * the backend checks the signature, the COSE key and the address in its
+ * protected header against the bech32 address the challenge was issued for.
+ * This proves control of the wallet's payment key without an on-chain deposit.
+ * Challenges live in the verification store, so a nonce issued by one server
+ * instance can be answered on another and survives a restart.
+ */
+
+import crypto from 'crypto';
+import { AddressDetails, getAddressDetails, SignedMessage, verifyData } from '@lucid-evolution/lucid';
+import { VerificationStore, verificationStore } from './verification-store.js';
+
+const CHALLENGE_NAMESPACE = 'wallet-auth:challenge';
+
+// ============================================================================
+// INTERFACES AND TYPES
+// ============================================================================
+
+export interface WalletChallenge {
+  nonce: string;
+  walletAddress: string;
+  /** Human-readable text the wallet shows the user */
+  message: string;
+  /** Hex of `message`, the payload to pass to CIP-30 signData */
+  payload: string;
+  expiresAt: string;
+}
+
+export class WalletAuthError extends Error {
+  constructor(
+    public code: 'INVALID_ADDRESS' | 'CHALLENGE_NOT_FOUND' | 'ADDRESS_MISMATCH' | 'INVALID_SIGNATURE',
+    message: string
+  ) {
+    super(message);
+    this.name = 'WalletAuthError';
+  }
+}
+
+// ============================================================================
+// WALLET AUTH SERVICE
+// ============================================================================
+
+export class WalletAuthService {
+  /**
+   * @param ttlSeconds How long a challenge can be answered
+   * @param store Where issued challenges are kept until answered
+   */
+  constructor(
+    private ttlSeconds: number = parseInt(process.env.WALLET_CHALLENGE_TTL || '300'),
+    private store: VerificationStore = verificationStore
+  ) {}
+
+  /** Issue a nonce for `walletAddress` to sign */
+  async issueChallenge(walletAddress: string): Promise<WalletChallenge> {
+    this.keyAddressDetails(walletAddress);
+
+    const nonce = crypto.randomBytes(32).toString('hex');
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + this.ttlSeconds * 1000);
+    const message = [
+      'Sign in to K33P with your Cardano wallet.',
+      '',
+      `Address: ${walletAddress}`,
+      `Nonce: ${nonce}`,
+      `Issued At: ${issuedAt.toISOString()}`
+    ].join('\n');
+
+    const challenge: WalletChallenge = {
+      nonce,
+      walletAddress,
+      message,
+      payload: Buffer.from(message, 'utf8').toString('hex'),
+      expiresAt: expiresAt.toISOString()
+    };
+    await this.store.put(CHALLENGE_NAMESPACE, nonce, challenge, { ttlSeconds: this.ttlSeconds });
+    return challenge;
+  }
+
+  /**
+   * Check a signData response. The nonce is consumed whether or not the
+   * signature holds, so every challenge gets exactly one answer.
+   */
+  async verifyChallenge(walletAddress: string, nonce: string, signed: SignedMessage): Promise<void> {
+    const challenge = await this.store.claim<WalletChallenge>(CHALLENGE_NAMESPACE, nonce);
+    if (!challenge) {
+      throw new WalletAuthError('CHALLENGE_NOT_FOUND', 'Challenge not found or expired; request a new one');
+    }
+    if (challenge.walletAddress !== walletAddress) {
+      throw new WalletAuthError('ADDRESS_MISMATCH', 'Challenge was issued for a different address');
+    }
+
+    const { address, paymentCredential } = this.keyAddressDetails(walletAddress);
+    let valid: boolean;
+    try {
+      // Checks the COSE address header, that the COSE key hashes to the
+      // address's payment credential, the payload and the Ed25519 signature
+      valid = verifyData(address.hex, paymentCredential!.hash, challenge.payload, signed);
+    } catch (error) {
+      throw new WalletAuthError('INVALID_SIGNATURE', error instanceof Error ? error.message : 'Malformed signature');
+    }
+    if (!valid) {
+      throw new WalletAuthError('INVALID_SIGNATURE', 'Signature does not match the address or challenge');
+    }
+  }
+
+  private keyAddressDetails(walletAddress: string): AddressDetails {
+    let details: AddressDetails;
+    try {
+      details = getAddressDetails(walletAddress);
+    } catch {
+      throw new WalletAuthError('INVALID_ADDRESS', `${walletAddress} is not a valid Cardano address`);
+    }
+    if (details.paymentCredential?.type !== 'Key') {
+      throw new WalletAuthError('INVALID_ADDRESS', 'Only addresses with a payment key can sign in');
+    }
+    return details;
+  }
+}
+
+export const walletAuthService = new WalletAuthService();
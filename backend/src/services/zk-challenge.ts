@@ -0,0 +1,61 @@
+/**
+ * ZK Login Challenges for K33P
+ * A login proof is bound to a challenge issued by the server (a public input
+ * of circuits/identity.circom), so a proof seen once cannot be replayed.
+ * Challenges live in the verification store and are claimed on first use,
+ * whichever server instance issued them.
+ */
+
+import { generateZkChallenge } from '../utils/zk.js';
+import { VerificationStore, verificationStore } from './verification-store.js';
+
+const CHALLENGE_NAMESPACE = 'zk:login-challenge';
+
+// ============================================================================
+// INTERFACES AND TYPES
+// ============================================================================
+
+export interface ZkChallenge {
+  /** Decimal field element to pass to generateZkProof */
+  challenge: string;
+  expiresAt: string;
+}
+
+// ============================================================================
+// ZK CHALLENGE SERVICE
+// ============================================================================
+
+export class ZkChallengeService {
+  /**
+   * @param ttlSeconds How long a challenge can be answered
+   * @param store Where issued challenges are kept until answered
+   */
+  constructor(
+    private ttlSeconds: number = parseInt(process.env.ZK_CHALLENGE_TTL || '300'),
+    private store: VerificationStore = verificationStore
+  ) {}
+
+  /** Issue a challenge for one login proof */
+  async issue(): Promise<ZkChallenge> {
+    const challenge = generateZkChallenge();
+    const expiresAt = await this.store.put(CHALLENGE_NAMESPACE, challenge, { issuedAt: new Date().toISOString() }, {
+      ttlSeconds: this.ttlSeconds
+    });
+    return { challenge, expiresAt: expiresAt.toISOString() };
+  }
+
+  /**
+   * Spend a challenge. Returns false when it was never issued, has expired or
+   * was already used; it is spent whether or not the proof then verifies.
+   */
+  async consume(challenge: unknown): Promise<boolean> {
+    if (typeof challenge !== 'string' || !/^\d{1,80}$/.test(challenge)) {
+      return false;
+    }
+    return (await this.store.claim(CHALLENGE_NAMESPACE, challenge)) !== null;
+  }
+}
+
+export const zkChallengeService = new ZkChallengeService();
+
+export default zkChallengeService;
@@ -1,5 +1,5 @@
 import pool from '../database/config.js';
-import { generateZkCommitment, generateZkProof } from '../utils/zk.js';
+import { generateZkCommitment, generateZkChallenge, generateZkProof, verifyZkProof } from '../utils/zk.js';
 import { hashPhone, hashBiometric, hashPasskey } from '../utils/hash.js';
 import { logger } from '../utils/logger.js';
 import crypto from 'crypto';
@@ -40,14 +40,17 @@ export class ZKProofService {
         hashes.passkeyHash = hashPasskey(userData.passkeyData);
       }
       
-      const commitment = generateZkCommitment(hashes);
+      const commitment = await generateZkCommitment(hashes);
       
       const proofInputs: any = {};
       if (userData.phoneNumber) proofInputs.phone = userData.phoneNumber;
       if (userData.biometricData) proofInputs.biometric = userData.biometricData;
       if (userData.passkeyData) proofInputs.passkey = userData.passkeyData;
       
-      const proof = generateZkProof(proofInputs, commitment);
+      // A stored proof answers no login, so it is bound to a challenge of its own
+      const challenge = generateZkChallenge();
+      const proof = await generateZkProof(proofInputs, commitment, challenge);
+      const isValid = await verifyZkProof(proof, commitment, challenge);
       
       const publicInputs = {
         ...hashes,
@@ -61,7 +64,7 @@ export class ZKProofService {
         commitment,
         proof,
         publicInputs,
-        isValid: true
+        isValid
       });
       
       logger.info('ZK proof generated and stored successfully', { 
@@ -73,7 +76,7 @@ export class ZKProofService {
         commitment,
         proof,
         publicInputs,
-        isValid: true
+        isValid
       };
       
     } catch (error) {
@@ -103,9 +106,11 @@ export class ZKProofService {
       const biometricHash = hashBiometric('dummy_biometric');
       const passkeyHash = hashPasskey('dummy_passkey');
       
-      const commitment = generateZkCommitment({ phoneHash, biometricHash, passkeyHash });
+      const commitment = await generateZkCommitment({ phoneHash, biometricHash, passkeyHash });
       
-      const proof = generateZkProof({ phone: dataHash, biometric: 'dummy_biometric', passkey: 'dummy_passkey' }, commitment);
+      const challenge = generateZkChallenge();
+      const proof = await generateZkProof({ phone: dataHash, biometric: 'dummy_biometric', passkey: 'dummy_passkey' }, commitment, challenge);
+      const isValid = await verifyZkProof(proof, commitment, challenge);
       
       const publicInputs = {
         dataId,
@@ -123,7 +128,7 @@ export class ZKProofService {
         commitment,
         proof,
         publicInputs,
-        isValid: true
+        isValid
       });
       
       logger.info('Data ZK proof generated and stored successfully', { 
@@ -137,7 +142,7 @@ export class ZKProofService {
         commitment,
         proof,
         publicInputs,
-        isValid: true
+        isValid
       };
       
     } catch (error) {
@@ -205,7 +210,7 @@ export class ZKProofService {
     
     try {
       const result = await client.query(
-        'SELECT is_valid FROM zk_proofs WHERE user_id = $1 AND commitment = $2',
+        'SELECT id, proof FROM zk_proofs WHERE user_id = $1 AND commitment = $2 ORDER BY created_at DESC LIMIT 1',
         [userId, commitment]
       );
       
@@ -213,7 +218,17 @@ export class ZKProofService {
         return false;
       }
       
-      return result.rows[0].is_valid;
+      // Re-verify the stored proof rather than trusting the is_valid column
+      const row = result.rows[0];
+      const proof = typeof row.proof === 'string' ? JSON.parse(row.proof) : row.proof;
+      const isValid = await verifyZkProof(proof, commitment, proof?.publicInputs?.challenge);
+      
+      await client.query(
+        'UPDATE zk_proofs SET is_valid = $1, verified_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [isValid, row.id]
+      );
+      
+      return isValid;
     } finally {
       client.release();
     }
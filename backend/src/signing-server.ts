@@ -0,0 +1,65 @@
+/**
+ * K33P Signing Service
+ * Holds the signing key apart from the backend and signs only what the
+ * signing policy allows; see services/signing-service.ts. Run it on its own
+ * host with SIGNER_PRIVATE_KEY (or SIGNER_PRIVATE_KEY_PATH, or
+ * SIGNER_SEED_PHRASE) and SIGNER_SERVICE_TOKEN, then point the backend's
+ * SIGNER_URL at it.
+ */
+
+import express from 'express';
+import helmet from 'helmet';
+import { config } from 'dotenv';
+import { SignatureRequestModel } from './database/models.js';
+import { LocalSigner, LocalSignerKey, summarizeTx } from './services/signer.js';
+import { SigningService } from './services/signing-service.js';
+import { signingPolicyFromEnv } from './services/signing-policy.js';
+import { createSigningRouter } from './routes/signing-routes.js';
+import { readPrivateKeyFromEnv } from './utils/lucid.js';
+import { logger } from './utils/logger.js';
+
+config();
+
+const PORT = parseInt(process.env.SIGNER_PORT || '3100');
+
+function signingKey(): LocalSignerKey {
+  if (process.env.SIGNER_SEED_PHRASE) {
+    return { seedPhrase: process.env.SIGNER_SEED_PHRASE.trim() };
+  }
+  return { privateKey: readPrivateKeyFromEnv('SIGNER_PRIVATE_KEY', 'SIGNER_PRIVATE_KEY_PATH') };
+}
+
+async function startSigningServer() {
+  const token = process.env.SIGNER_SERVICE_TOKEN?.trim();
+  if (!token) {
+    throw new Error('SIGNER_SERVICE_TOKEN must be set');
+  }
+
+  // Parse the policy up front so a bad value stops startup instead of every request
+  const policy = signingPolicyFromEnv();
+  const service = new SigningService({
+    signer: new LocalSigner(signingKey()),
+    store: SignatureRequestModel,
+    summarize: summarizeTx,
+    policy
+  });
+  const { address } = await service.keyInfo();
+
+  const app = express();
+  app.use(helmet());
+  app.use(express.json({ limit: '64kb' }));
+  app.use(createSigningRouter(service, token));
+
+  app.listen(PORT, () => {
+    logger.info(`Signing service for ${address} listening on port ${PORT}`, {
+      maxLovelacePerTx: policy.maxLovelacePerTx?.toString() ?? null,
+      dailyCapLovelace: policy.dailyCapLovelace?.toString() ?? null,
+      allowedOutputAddresses: policy.allowedOutputAddresses?.length ?? 'any'
+    });
+  });
+}
+
+startSigningServer().catch(error => {
+  logger.error('Failed to start signing service:', error);
+  process.exit(1);
+});
@@ -0,0 +1,245 @@
+/**
+ * Envelope encryption for secrets held on behalf of users
+ *
+ * Each secret is encrypted under its own random data key with AES-256-GCM.
+ * The data key is wrapped with a key derived from a secret only the user
+ * holds (PIN or passkey-derived) and, when a server key is configured,
+ * wrapped again with that key. Every layer authenticates the same associated
+ * data, so a ciphertext copied to another user or entry fails to decrypt.
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const pbkdf2 = promisify(crypto.pbkdf2);
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_LENGTH = 32;
+const SALT_LENGTH = 32;
+
+export interface KeyDerivationParams {
+  algorithm: 'pbkdf2-sha256';
+  salt: string;
+  iterations: number;
+}
+
+export interface Envelope {
+  version: 1;
+  algorithm: 'aes-256-gcm';
+  /** iv | auth tag | ciphertext of the secret under the data key, base64 */
+  ciphertext: string;
+  /** The data key wrapped by the user key, then by the server key if set, base64 */
+  wrappedKey: string;
+  kdf: KeyDerivationParams;
+  serverKeyId?: string;
+}
+
+export interface EnvelopeOptions {
+  iterations: number;
+  serverKey?: ServerKeyWrapper;
+}
+
+/**
+ * Wraps data keys with a key held by the server. Implementations may call out
+ * to a KMS; keyId is recorded in the envelope so retired keys can still unwrap.
+ */
+export interface ServerKeyWrapper {
+  readonly keyId: string;
+  wrap(data: Buffer, aad: string): Promise<Buffer>;
+  unwrap(keyId: string, data: Buffer, aad: string): Promise<Buffer>;
+}
+
+export class EnvelopeDecryptionError extends Error {
+  constructor(message: string = 'Unable to decrypt envelope') {
+    super(message);
+    this.name = 'EnvelopeDecryptionError';
+  }
+}
+
+// ============================================================================
+// AES-GCM PRIMITIVES
+// ============================================================================
+
+export function seal(key: Buffer, plaintext: Buffer, aad: string): Buffer {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+}
+
+export function open(key: Buffer, sealed: Buffer, aad: string): Buffer {
+  if (sealed.length < IV_LENGTH + TAG_LENGTH) {
+    throw new EnvelopeDecryptionError('Sealed data is truncated');
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, sealed.subarray(0, IV_LENGTH));
+    decipher.setAAD(Buffer.from(aad, 'utf8'));
+    decipher.setAuthTag(sealed.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+    return Buffer.concat([decipher.update(sealed.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+  } catch {
+    // GCM does not distinguish a wrong key from tampered data or AAD
+    throw new EnvelopeDecryptionError();
+  }
+}
+
+// ============================================================================
+// SERVER KEYS
+// ============================================================================
+
+/**
+ * Server key wrapper backed by keys held in process memory
+ */
+export class LocalServerKeyWrapper implements ServerKeyWrapper {
+  constructor(readonly keyId: string, private keys: Map<string, Buffer>) {
+    if (!keys.has(keyId)) {
+      throw new Error(`Server key ${keyId} is not in the keyring`);
+    }
+  }
+
+  async wrap(data: Buffer, aad: string): Promise<Buffer> {
+    return seal(this.keys.get(this.keyId)!, data, aad);
+  }
+
+  async unwrap(keyId: string, data: Buffer, aad: string): Promise<Buffer> {
+    const key = this.keys.get(keyId);
+    if (!key) {
+      throw new EnvelopeDecryptionError(`Server key ${keyId} is not available`);
+    }
+    return open(key, data, aad);
+  }
+}
+
+const parseKey = (hex: string, name: string): Buffer => {
+  const key = Buffer.from(hex.trim(), 'hex');
+  if (key.length !== KEY_LENGTH) {
+    throw new Error(`${name} must be ${KEY_LENGTH} bytes of hex`);
+  }
+  return key;
+};
+
+/**
+ * Build a server key wrapper from the environment, or undefined when no key is configured.
+ * `prefix`_KEY is the active key (64 hex chars), `prefix`_KEY_ID its id, and
+ * `prefix`_RETIRED_KEYS a comma-separated list of id:hex pairs kept for unwrapping.
+ */
+export function serverKeyWrapperFromEnv(prefix: string): ServerKeyWrapper | undefined {
+  const active = process.env[`${prefix}_KEY`];
+  if (!active) {
+    return undefined;
+  }
+
+  const keyId = process.env[`${prefix}_KEY_ID`] || 'default';
+  const keys = new Map<string, Buffer>([[keyId, parseKey(active, `${prefix}_KEY`)]]);
+
+  for (const pair of (process.env[`${prefix}_RETIRED_KEYS`] || '').split(',').filter(Boolean)) {
+    const [id, hex] = pair.split(':');
+    if (!id || !hex) {
+      throw new Error(`${prefix}_RETIRED_KEYS entries must be id:hex`);
+    }
+    keys.set(id.trim(), parseKey(hex, `${prefix}_RETIRED_KEYS (${id})`));
+  }
+
+  return new LocalServerKeyWrapper(keyId, keys);
+}
+
+// ============================================================================
+// ENVELOPES
+// ============================================================================
+
+export async function deriveUserKey(secret: string, kdf: KeyDerivationParams): Promise<Buffer> {
+  return pbkdf2(secret, Buffer.from(kdf.salt, 'hex'), kdf.iterations, KEY_LENGTH, 'sha256');
+}
+
+async function wrapDataKey(dataKey: Buffer, userSecret: string, aad: string, options: EnvelopeOptions) {
+  const kdf: KeyDerivationParams = {
+    algorithm: 'pbkdf2-sha256',
+    salt: crypto.randomBytes(SALT_LENGTH).toString('hex'),
+    iterations: options.iterations
+  };
+
+  const userKey = await deriveUserKey(userSecret, kdf);
+  let wrapped = seal(userKey, dataKey, aad);
+  userKey.fill(0);
+
+  if (options.serverKey) {
+    wrapped = await options.serverKey.wrap(wrapped, aad);
+  }
+
+  return {
+    wrappedKey: wrapped.toString('base64'),
+    kdf,
+    serverKeyId: options.serverKey?.keyId
+  };
+}
+
+/**
+ * Recover the data key of an envelope. The caller must zero it after use.
+ */
+export async function unwrapDataKey(envelope: Envelope, userSecret: string, aad: string, serverKey?: ServerKeyWrapper): Promise<Buffer> {
+  let wrapped: Buffer = Buffer.from(envelope.wrappedKey, 'base64');
+
+  if (envelope.serverKeyId) {
+    if (!serverKey) {
+      throw new EnvelopeDecryptionError('Envelope requires a server key but none is configured');
+    }
+    wrapped = await serverKey.unwrap(envelope.serverKeyId, wrapped, aad);
+  }
+
+  const userKey = await deriveUserKey(userSecret, envelope.kdf);
+  try {
+    return open(userKey, wrapped, aad);
+  } finally {
+    userKey.fill(0);
+  }
+}
+
+export async function encryptEnvelope(plaintext: string, userSecret: string, aad: string, options: EnvelopeOptions): Promise<Envelope> {
+  const dataKey = crypto.randomBytes(KEY_LENGTH);
+  try {
+    const ciphertext = seal(dataKey, Buffer.from(plaintext, 'utf8'), aad);
+    return {
+      version: 1,
+      algorithm: ALGORITHM,
+      ciphertext: ciphertext.toString('base64'),
+      ...await wrapDataKey(dataKey, userSecret, aad, options)
+    };
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+export async function decryptEnvelope(envelope: Envelope, userSecret: string, aad: string, serverKey?: ServerKeyWrapper): Promise<string> {
+  const dataKey = await unwrapDataKey(envelope, userSecret, aad, serverKey);
+  try {
+    return open(dataKey, Buffer.from(envelope.ciphertext, 'base64'), aad).toString('utf8');
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+/**
+ * Wrap the data key under a new user secret (and the active server key). The
+ * encrypted secret itself is left untouched and never decrypted.
+ */
+export async function rewrapEnvelope(
+  envelope: Envelope,
+  currentSecret: string,
+  newSecret: string,
+  aad: string,
+  options: EnvelopeOptions
+): Promise<Envelope> {
+  const dataKey = await unwrapDataKey(envelope, currentSecret, aad, options.serverKey);
+  try {
+    const { serverKeyId: _previousServerKeyId, ...rest } = envelope;
+    return {
+      ...rest,
+      ...await wrapDataKey(dataKey, newSecret, aad, options)
+    };
+  } finally {
+    dataKey.fill(0);
+  }
+}
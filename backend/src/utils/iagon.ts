@@ -1,128 +1,38 @@
 // Iagon API wrapper for user, session, and UTxO management
-import axios from 'axios';
-import { URL } from 'url';
-import dotenv from 'dotenv';
-import { fileURLToPath } from 'url';
-import path from 'path';
-import { dirname } from 'path';
-import FormData from 'form-data';
-
-// Ensure environment variables are loaded
-dotenv.config();
-
-// Get the directory path of the current module
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const rootDir = path.resolve(__dirname, '../..');
-
-// Load environment variables from .env file
-dotenv.config({ path: path.join(rootDir, '.env') });
-
-const IAGON_API_URL = process.env.IAGON_API_URL;
-const IAGON_PERSONAL_ACCESS_TOKEN = process.env.IAGON_PERSONAL_ACCESS_TOKEN;
-
-// Debug environment variables
-console.log('Environment variables:');
-console.log('IAGON_API_URL:', process.env.IAGON_API_URL);
-console.log('IAGON_PERSONAL_ACCESS_TOKEN:', process.env.IAGON_PERSONAL_ACCESS_TOKEN ? '[REDACTED]' : undefined);
-console.log('NODE_ENV:', process.env.NODE_ENV);
-
-// Validate API URL and token
-if (!IAGON_API_URL) {
-  console.warn('IAGON_API_URL is not set. Using mock implementation.');
-}
+//
+// Documents are stored through the configured StorageProvider (Iagon when
+// credentials are set, the local filesystem otherwise). Users, sessions and
+// script UTxOs are kept as JSON records under records/<collection>/<id>.
+import crypto from 'crypto';
+import { getStorageProvider } from '../services/storage-providers.js';
 
-if (!IAGON_PERSONAL_ACCESS_TOKEN) {
-  console.warn('IAGON_PERSONAL_ACCESS_TOKEN is not set. Using mock implementation.');
-  console.warn('Please generate a Personal Access Token from https://app.iagon.com/ settings page.');
-}
+type Collection = 'users' | 'sessions' | 'scriptUtxos';
 
-// Create a mock database for development/testing when API is not available
-import fs from 'fs';
-import crypto from 'crypto';
+const recordKey = (collection: Collection, id: string) => `records/${collection}/${id}`;
 
-let mockDb: {
-  users: any[];
-  sessions: any[];
-  scriptUtxos: any[];
-} = {
-  users: [],
-  sessions: [],
-  scriptUtxos: []
-};
+async function loadRecords(collection: Collection): Promise<any[]> {
+  const provider = getStorageProvider();
+  const entries = await provider.list(`records/${collection}/`);
+  const records = await Promise.all(entries.map(entry => provider.retrieve(entry.key)));
+  return records.filter(Boolean).map(record => JSON.parse(record!.data));
+}
 
-// Only load mock database in development environment
-if (process.env.NODE_ENV !== 'production') {
-  try {
-    const mockDbPath = path.join(__dirname, 'mock-db.json');
-    if (fs.existsSync(mockDbPath)) {
-      console.log('Loading mock database from', mockDbPath);
-      mockDb = JSON.parse(fs.readFileSync(mockDbPath, 'utf8'));
-      console.log(`Loaded ${mockDb.users.length} users from mock database`);
-    } else {
-      console.log('Mock database file not found, using empty database');
-    }
-  } catch (error: any) {
-    console.error('Error loading mock database:', error.message);
-  }
-} else {
-  console.log('Running in production mode - not loading mock database');
+async function saveRecord(collection: Collection, record: any) {
+  await getStorageProvider().store(recordKey(collection, record.id), JSON.stringify(record));
+  return record;
 }
 
-// Helper to validate URL with improved error handling
-function isValidUrl(urlString: string): boolean {
-  if (!urlString || typeof urlString !== 'string') {
-    console.warn('Invalid URL: URL is empty or not a string');
-    return false;
-  }
-  
-  // Trim whitespace that might cause validation issues
-  const trimmedUrl = urlString.trim();
-  
-  try {
-    const url = new URL(trimmedUrl);
-    // Additional validation: must have http or https protocol
-    if (!url.protocol || !['http:', 'https:'].includes(url.protocol)) {
-      console.warn(`Invalid URL protocol: ${url.protocol}`);
-      return false;
-    }
-    return true;
-  } catch (err: any) {
-    console.warn(`URL validation error: ${err.message}`);
-    return false;
-  }
+async function loadRecord(collection: Collection, id: string) {
+  const record = await getStorageProvider().retrieve(recordKey(collection, id));
+  return record ? JSON.parse(record.data) : null;
 }
 
-// Create API client with proper validation
-const createApiClient = () => {
-  console.log('Creating API client with:', {
-    url: IAGON_API_URL,
-    hasToken: !!IAGON_PERSONAL_ACCESS_TOKEN,
-    isValidUrl: IAGON_API_URL ? isValidUrl(IAGON_API_URL) : false
-  });
-  
-  if (!IAGON_API_URL || !IAGON_PERSONAL_ACCESS_TOKEN || !isValidUrl(IAGON_API_URL)) {
-    console.warn('Using mock implementation because:', {
-      missingUrl: !IAGON_API_URL,
-      missingToken: !IAGON_PERSONAL_ACCESS_TOKEN,
-      invalidUrl: IAGON_API_URL ? !isValidUrl(IAGON_API_URL) : false
-    });
-    return null; // Will use mock implementation
-  }
-  
-  console.log('Successfully created API client for production use');
-  return axios.create({
-    baseURL: IAGON_API_URL,
-    headers: { 
-      'Authorization': `Bearer ${IAGON_PERSONAL_ACCESS_TOKEN}`,
-      'Content-Type': 'application/json'
-    },
-    timeout: 10000 // 10 second timeout
-  });
+// Records match when the first field of the query matches
+const matchesQuery = (record: any, query: any) => {
+  const key = Object.keys(query)[0];
+  return record[key] === query[key];
 };
 
-const api = createApiClient();
-
 // User management
 export async function findUser(query: any) {
   try {
@@ -130,21 +40,9 @@ export async function findUser(query: any) {
     if (!query || (typeof query !== 'object') || Object.keys(query).length === 0) {
       throw new Error('Invalid query parameters');
     }
-    
-    // Use API if available, otherwise use mock
-    // Note: Iagon API v2 doesn't have a direct /users endpoint
-    if (api) {
-      console.warn('Iagon API available but using mock implementation for user search');
-      console.warn('Iagon API v2 focuses on storage services, not user management');
-    }
-    
-    // Mock implementation (used in all cases for now)
-    {
-      // Mock implementation
-      const key = Object.keys(query)[0];
-      const value = query[key];
-      return mockDb.users.find(user => user[key] === value) || null;
-    }
+
+    const users = await loadRecords('users');
+    return users.find(user => matchesQuery(user, query)) || null;
   } catch (error: any) {
     console.error('Error finding user:', error.message);
     // Return null instead of throwing to prevent API failures from breaking the app
@@ -158,39 +56,19 @@ export async function createUser(data: any) {
     if (!data || typeof data !== 'object') {
       throw new Error('Invalid user data');
     }
-    
+
     const requiredFields = ['walletAddress', 'phoneHash'];
     for (const field of requiredFields) {
       if (!data[field]) {
         throw new Error(`Missing required field: ${field}`);
       }
     }
-    
-    // Use API if available, otherwise use mock
-    // Note: Iagon API v2 doesn't have a direct /users endpoint
-    // This implementation uses mock data until proper storage endpoints are identified
-    if (api) {
-      // For now, we'll use mock implementation even with API available
-      // TODO: Implement proper Iagon storage service integration
-      console.warn('Iagon API available but using mock implementation for user creation');
-      console.warn('Iagon API v2 focuses on storage services, not user management');
-    }
-    
-    // Mock implementation (used in all cases for now)
-    {
-      // Mock implementation
-      const newUser = {
-        id: crypto.randomUUID(),
-        ...data,
-        createdAt: new Date().toISOString()
-      };
-      mockDb.users.push(newUser);
-      
-      // Save updated mock database to file
-      saveMockDatabase();
-      
-      return newUser;
-    }
+
+    return await saveRecord('users', {
+      id: crypto.randomUUID(),
+      ...data,
+      createdAt: new Date().toISOString()
+    });
   } catch (error: any) {
     console.error('Error creating user:', error.message);
     throw error; // Rethrow as this is a critical operation
@@ -203,25 +81,33 @@ export async function findUserById(id: string) {
     if (!id) {
       throw new Error('Invalid user ID');
     }
-    
-    // Use API if available, otherwise use mock
-    // Note: Iagon API v2 doesn't have a direct /users endpoint
-    if (api) {
-      console.warn('Iagon API available but using mock implementation for user lookup');
-      console.warn('Iagon API v2 focuses on storage services, not user management');
-    }
-    
-    // Mock implementation (used in all cases for now)
-    {
-      // Mock implementation
-      return mockDb.users.find(user => user.id === id) || null;
-    }
+
+    return await loadRecord('users', id);
   } catch (error: any) {
     console.error('Error finding user by ID:', error.message);
     return null;
   }
 }
 
+export async function updateUser(id: string, data: any) {
+  try {
+    // Validate ID and data
+    if (!id || !data) {
+      throw new Error('Invalid user ID or data');
+    }
+
+    const existing = await loadRecord('users', id);
+    if (!existing) {
+      throw new Error('User not found');
+    }
+
+    return await saveRecord('users', { ...existing, ...data, id });
+  } catch (error: any) {
+    console.error('Error updating user:', error.message);
+    throw error; // Rethrow as this is a critical operation
+  }
+}
+
 // Session management
 export async function createSession(data: any) {
   try {
@@ -229,20 +115,12 @@ export async function createSession(data: any) {
     if (!data || !data.userId || !data.token) {
       throw new Error('Invalid session data');
     }
-    
-    // Sessions are application-specific, not Iagon storage - always use mock
-    // Mock implementation
-    const newSession = {
+
+    return await saveRecord('sessions', {
       id: crypto.randomUUID(),
       ...data,
       createdAt: new Date().toISOString()
-    };
-    mockDb.sessions.push(newSession);
-    
-    // Save updated mock database to file
-    saveMockDatabase();
-    
-    return newSession;
+    });
   } catch (error: any) {
     console.error('Error creating session:', error.message);
     throw error; // Rethrow as this is a critical operation
@@ -255,16 +133,13 @@ export async function deleteSessions(query: any) {
     if (!query || typeof query !== 'object') {
       throw new Error('Invalid query parameters');
     }
-    
-    // Sessions are application-specific, not Iagon storage - always use mock
-    // Mock implementation
-    const key = Object.keys(query)[0];
-    const value = query[key];
-    mockDb.sessions = mockDb.sessions.filter(session => session[key] !== value);
-    
-    // Save updated mock database to file
-    saveMockDatabase();
-    
+
+    const sessions = await loadRecords('sessions');
+    const provider = getStorageProvider();
+    await Promise.all(sessions
+      .filter(session => matchesQuery(session, query))
+      .map(session => provider.delete(recordKey('sessions', session.id))));
+
     return true;
   } catch (error: any) {
     console.error('Error deleting sessions:', error.message);
@@ -279,17 +154,9 @@ export async function findScriptUtxo(query: any) {
     if (!query || typeof query !== 'object') {
       throw new Error('Invalid query parameters');
     }
-    
-    // Use API if available, otherwise use mock
-    if (api) {
-      const res = await api.get('/script-utxos', { params: query });
-      return res.data[0] || null;
-    } else {
-      // Mock implementation
-      const key = Object.keys(query)[0];
-      const value = query[key];
-      return mockDb.scriptUtxos.find(utxo => utxo[key] === value) || null;
-    }
+
+    const utxos = await loadRecords('scriptUtxos');
+    return utxos.find(utxo => Object.keys(query).every(key => utxo[key] === query[key])) || null;
   } catch (error: any) {
     console.error('Error finding script UTxO:', error.message);
     return null;
@@ -299,23 +166,15 @@ export async function findScriptUtxo(query: any) {
 export async function createScriptUtxo(data: any) {
   try {
     // Validate data
-    if (!data || !data.txHash || !data.outputIndex) {
+    if (!data || !data.txHash || data.outputIndex === undefined || data.outputIndex === null) {
       throw new Error('Invalid UTxO data');
     }
-    
-    // Script UTxOs are application-specific, not Iagon storage - always use mock
-    // Mock implementation
-    const newUtxo = {
+
+    return await saveRecord('scriptUtxos', {
       id: crypto.randomUUID(),
       ...data,
       createdAt: new Date().toISOString()
-    };
-    mockDb.scriptUtxos.push(newUtxo);
-    
-    // Save updated mock database to file
-    saveMockDatabase();
-    
-    return newUtxo;
+    });
   } catch (error: any) {
     console.error('Error creating script UTxO:', error.message);
     throw error; // Rethrow as this is a critical operation
@@ -328,19 +187,13 @@ export async function updateScriptUtxo(id: string, data: any) {
     if (!id || !data) {
       throw new Error('Invalid UTxO ID or data');
     }
-    
-    // Script UTxOs are application-specific, not Iagon storage - always use mock
-    // Mock implementation
-    const index = mockDb.scriptUtxos.findIndex(utxo => utxo.id === id);
-    if (index === -1) {
+
+    const existing = await loadRecord('scriptUtxos', id);
+    if (!existing) {
       throw new Error('UTxO not found');
     }
-    mockDb.scriptUtxos[index] = { ...mockDb.scriptUtxos[index], ...data };
-    
-    // Save updated mock database to file
-    saveMockDatabase();
-    
-    return mockDb.scriptUtxos[index];
+
+    return await saveRecord('scriptUtxos', { ...existing, ...data, id });
   } catch (error: any) {
     console.error('Error updating script UTxO:', error.message);
     throw error; // Rethrow as this is a critical operation
@@ -353,16 +206,13 @@ export async function findScriptUtxos(query: any) {
     if (!query || typeof query !== 'object') {
       throw new Error('Invalid query parameters');
     }
-    
-    // Script UTxOs are application-specific, not Iagon storage - always use mock
-    // Mock implementation
+
+    const utxos = await loadRecords('scriptUtxos');
     if (Object.keys(query).length === 0) {
-      return mockDb.scriptUtxos;
+      return utxos;
     }
-    
-    const key = Object.keys(query)[0];
-    const value = query[key];
-    return mockDb.scriptUtxos.filter(utxo => utxo[key] === value);
+
+    return utxos.filter(utxo => matchesQuery(utxo, query));
   } catch (error: any) {
     console.error('Error finding script UTxOs:', error.message);
     return [];
@@ -370,40 +220,18 @@ export async function findScriptUtxos(query: any) {
 }
 
 // Data storage functions
+//
+// Documents are addressed by key: storeData returns the key, which is also
+// the storage id accepted by retrieveData, updateData and deleteData.
 export async function storeData(key: string, data: string) {
   try {
     // Validate parameters
     if (!key || !data) {
       throw new Error('Invalid key or data');
     }
-    
-    // Use API if available, otherwise use mock
-    if (api) {
-      // Create form data for file upload
-      const formData = new FormData();
-      
-      // Create a buffer from the data string
-      const buffer = Buffer.from(data, 'utf8');
-      formData.append('file', buffer, {
-        filename: `${key}.json`,
-        contentType: 'application/json'
-      });
-      formData.append('filename', `${key}.json`);
-      formData.append('visibility', 'private');
-      
-      const res = await api.post('/storage/upload', formData, {
-        headers: {
-          ...formData.getHeaders(),
-          'Authorization': `Bearer ${process.env.IAGON_PERSONAL_ACCESS_TOKEN}`
-        }
-      });
-      return res.data.data?.file_id || res.data.id;
-    } else {
-      // Mock implementation - return a mock storage ID
-      const storageId = crypto.randomUUID();
-      console.log(`Mock: Stored data with key ${key}, assigned ID: ${storageId}`);
-      return storageId;
-    }
+
+    const stored = await getStorageProvider().store(key, data);
+    return stored.key;
   } catch (error: any) {
     console.error('Error storing data:', error.message);
     throw error;
@@ -416,18 +244,12 @@ export async function retrieveData(storageId: string) {
     if (!storageId) {
       throw new Error('Invalid storage ID');
     }
-    
-    // Use API if available, otherwise use mock
-    if (api) {
-      const res = await api.get(`/storage/download/${storageId}`, {
-        responseType: 'text'
-      });
-      return res.data;
-    } else {
-      // Mock implementation - return mock data
-      console.log(`Mock: Retrieved data for ID: ${storageId}`);
-      return JSON.stringify({ mockData: true, id: storageId });
+
+    const stored = await getStorageProvider().retrieve(storageId);
+    if (!stored) {
+      throw new Error(`Data not found for ID: ${storageId}`);
     }
+    return stored.data;
   } catch (error: any) {
     console.error('Error retrieving data:', error.message);
     throw error;
@@ -440,36 +262,9 @@ export async function updateData(storageId: string, data: string) {
     if (!storageId || !data) {
       throw new Error('Invalid storage ID or data');
     }
-    
-    // Use API if available, otherwise use mock
-    if (api) {
-      // For updates, we need to delete the old file and upload a new one
-      // First delete the existing file
-      await api.delete(`/storage/delete/${storageId}`);
-      
-      // Then upload the new data
-      const formData = new FormData();
-      
-      const buffer = Buffer.from(data, 'utf8');
-      formData.append('file', buffer, {
-        filename: `updated_${storageId}.json`,
-        contentType: 'application/json'
-      });
-      formData.append('filename', `updated_${storageId}.json`);
-      formData.append('visibility', 'private');
-      
-      const res = await api.post('/storage/upload', formData, {
-        headers: {
-          ...formData.getHeaders(),
-          'Authorization': `Bearer ${process.env.IAGON_PERSONAL_ACCESS_TOKEN}`
-        }
-      });
-      return res.data;
-    } else {
-      // Mock implementation
-      console.log(`Mock: Updated data for ID: ${storageId}`);
-      return { id: storageId, updated: true };
-    }
+
+    const stored = await getStorageProvider().update(storageId, data);
+    return { id: stored.key, updated: true, contentHash: stored.contentHash };
   } catch (error: any) {
     console.error('Error updating data:', error.message);
     throw error;
@@ -482,35 +277,10 @@ export async function deleteData(storageId: string) {
     if (!storageId) {
       throw new Error('Invalid storage ID');
     }
-    
-    // Use API if available, otherwise use mock
-    if (api) {
-      await api.delete(`/storage/delete/${storageId}`);
-      return true;
-    } else {
-      // Mock implementation
-      console.log(`Mock: Deleted data for ID: ${storageId}`);
-      return true;
-    }
+
+    return await getStorageProvider().delete(storageId);
   } catch (error: any) {
     console.error('Error deleting data:', error.message);
     return false;
   }
 }
-
-// Helper function to save mock database to file (only in development)
-function saveMockDatabase() {
-  // Only save in development mode
-  if (process.env.NODE_ENV === 'production') {
-    console.log('Running in production mode - not saving mock database');
-    return;
-  }
-  
-  try {
-    const mockDbPath = path.join(__dirname, 'mock-db.json');
-    fs.writeFileSync(mockDbPath, JSON.stringify(mockDb, null, 2), 'utf8');
-    console.log(`Saved mock database with ${mockDb.users.length} users`);
-  } catch (error: any) {
-    console.error('Error saving mock database:', error.message);
-  }
-}
\ No newline at end of file
@@ -1,14 +1,17 @@
 // backend/src/utils/lucid.js
 
-import { Lucid, Blockfrost, Data, fromText, toHex } from "lucid-cardano";
+import { Lucid, paymentCredentialOf } from "@lucid-evolution/lucid";
 import { bech32 } from "bech32";
 import fs from "fs";
-import path from "path";
+import { getChainProvider } from "../services/chain-provider.js";
+import { K33pTxBuilder, TxBuilderError, loadK33pValidator } from "../services/tx-builder.js";
+import { signWith, signerFromEnv } from "../services/signer.js";
 
 /* ----------------------------- PRIVATE KEY LOADER ----------------------------- */
-function getBackendPrivateKey() {
-  if (process.env.BACKEND_PRIVATE_KEY) {
-    const key = process.env.BACKEND_PRIVATE_KEY.trim();
+// Reads a key from the `keyVar` environment variable, or from the file named by `pathVar`
+export function readPrivateKeyFromEnv(keyVar, pathVar) {
+  if (process.env[keyVar]) {
+    const key = process.env[keyVar].trim();
 
     // Handle cborHex format from .skey files
     if (key.startsWith("5820") && key.length === 68) {
@@ -22,8 +25,8 @@ function getBackendPrivateKey() {
     return key;
   }
 
-  const keyPath = process.env.BACKEND_PRIVATE_KEY_PATH;
-  if (!keyPath) throw new Error("No BACKEND_PRIVATE_KEY or BACKEND_PRIVATE_KEY_PATH found");
+  const keyPath = process.env[pathVar];
+  if (!keyPath) throw new Error(`No ${keyVar} or ${pathVar} found`);
 
   const fileContent = fs.readFileSync(keyPath, "utf8");
   try {
@@ -33,91 +36,64 @@ function getBackendPrivateKey() {
   return fileContent.trim();
 }
 
+/* ----------------------------- BACKEND SIGNER ----------------------------- */
+// Signs with BACKEND_PRIVATE_KEY in-process, or through the signing service
+// when SIGNER_URL is set
+let backendSigner;
+function getBackendSigner() {
+  backendSigner ??= signerFromEnv(() => ({
+    privateKey: readPrivateKeyFromEnv("BACKEND_PRIVATE_KEY", "BACKEND_PRIVATE_KEY_PATH"),
+  }));
+  return backendSigner;
+}
+
 /* ----------------------------- LUCID INITIALIZER ----------------------------- */
-export const initLucid = async () => {
-  return await Lucid.new(
-    new Blockfrost(process.env.BLOCKFROST_URL, process.env.BLOCKFROST_API_KEY),
-    process.env.NETWORK || "Preprod"
-  );
+// Uses the chain provider selected by CHAIN_PROVIDER (Blockfrost, Ogmios+Kupo or emulator)
+export const initLucid = async (chain = getChainProvider()) => {
+  return await Lucid(chain.lucidProvider, chain.network);
 };
 
-/* ----------------------------- LOAD PLUTUS VALIDATOR ----------------------------- */
-function loadValidator() {
-  const filePath = path.resolve("./plutus.json");
-  const plutus = JSON.parse(fs.readFileSync(filePath, "utf8"));
-
-  // Get first validator (adjust index if you have multiple)
-  const compiled = plutus.validators[0].compiledCode;
-  if (!compiled) throw new Error("compiledCode missing in plutus.json");
-
+/* ----------------------------- VALIDATOR PARAMETERS ----------------------------- */
+// Must match what k33p-deploy/deploy.ts applied, or the script address differs.
+// The admin key defaults to the backend key, which then signs refunds itself.
+export function getValidatorParams(backendKeyHash) {
   return {
-    type: "PlutusV3", // matches your plutusVersion in JSON
-    script: compiled,
+    adminKeyHash: process.env.K33P_ADMIN_KEY_HASH || backendKeyHash,
+    refundAmount: BigInt(process.env.K33P_REFUND_AMOUNT || "2000000"),
   };
 }
 
-/* ----------------------------- GET SCRIPT ADDRESS ----------------------------- */
-export async function getScriptAddress() {
+// Lucid with the backend wallet selected by address, and a builder for the
+// parameterised validator. Transactions are signed by the backend signer.
+async function initK33p() {
   const lucid = await initLucid();
-  const validator = loadValidator();
-  return lucid.utils.validatorToAddress(validator);
+  const signer = getBackendSigner();
+  lucid.selectWallet.fromAddress(await signer.address(), []);
+  const backendKeyHash = await signer.keyHash();
+  const params = getValidatorParams(backendKeyHash);
+  const builder = new K33pTxBuilder(lucid, loadK33pValidator(params), params);
+  return { lucid, builder, params, backendKeyHash, signer };
 }
 
-/* ----------------------------- EXAMPLE DATUM/REDEEMER SCHEMA ----------------------------- */
-
-// simplified structure for on-chain signup
-const SignupDatumValueSchema = Data.Object({
-  wallet: Data.Bytes(), // simplified for now (can replace with Address encoding later)
-  user_id: Data.Bytes(),
-  zk_proof: Data.Bytes(),
-  timestamp: Data.Integer(),
-});
-
-const IdentityDatumSchema = Data.Enum([
-  Data.Object({ SignupDatum: SignupDatumValueSchema }),
-]);
-
-const K33pDatumSchema = Data.Enum([
-  Data.Object({ IdentityDatumType: IdentityDatumSchema }),
-]);
-
-const IdentityRedeemerSchema = Data.Enum([
-  Data.Object({ ProcessSignup: Data.Object({ signature: Data.Bytes() }) }),
-]);
-
-const K33pRedeemerSchema = Data.Enum([
-  Data.Object({ IdentityRedeemerType: IdentityRedeemerSchema }),
-]);
+/* ----------------------------- GET SCRIPT ADDRESS ----------------------------- */
+// Datums, redeemers and spends that satisfy combined_validator.ak live in services/tx-builder.ts
+export async function getScriptAddress() {
+  const { builder } = await initK33p();
+  return builder.scriptAddress;
+}
 
 /* ----------------------------- SIGNUP TRANSACTION ----------------------------- */
+// Issues the user's identity NFT, locked at the script with an AuthDatum for
+// their phone hash that only `userAddress`'s key can update or burn afterwards.
 export async function signupTxBuilder(userAddress, userData) {
-  const lucid = await initLucid();
-  const validator = loadValidator();
-  lucid.selectWalletFromPrivateKey(getBackendPrivateKey());
-
-  const scriptAddress = lucid.utils.validatorToAddress(validator);
-
-  // Build datum that matches the Aiken schema
-  const datum = Data.to(
-    {
-      IdentityDatumType: {
-        SignupDatum: {
-          wallet: fromText(userAddress),
-          user_id: fromText(userData.user_id),
-          zk_proof: userData.zk_proof,
-          timestamp: BigInt(Math.floor(Date.now() / 1000)),
-        },
-      },
-    },
-    K33pDatumSchema
-  );
-
-  const tx = await lucid
-    .newTx()
-    .payToContract(scriptAddress, { inline: datum }, { lovelace: BigInt(2_000_000) })
-    .complete();
-
-  const signed = await tx.sign().complete();
+  const { builder, signer } = await initK33p();
+
+  const tx = await builder.mintIdentity(userAddress, {
+    phoneHash: userData.phoneHash,
+    createdAt: Date.now(),
+  });
+
+  const signed = await signWith(signer, tx, "signup");
   const txHash = await signed.submit();
 
   console.log("✅ Signup transaction submitted:", txHash);
@@ -125,28 +101,42 @@ export async function signupTxBuilder(userAddress, userData) {
 }
 
 /* ----------------------------- REFUND TRANSACTION ----------------------------- */
-export async function refundTx(ownerAddress, utxo) {
-  const lucid = await initLucid();
-  const validator = loadValidator();
-  lucid.selectWalletFromPrivateKey(getBackendPrivateKey());
-
-  const redeemer = Data.to(
-    {
-      IdentityRedeemerType: {
-        ProcessRefund: { signature: fromText("backend_sig") },
-      },
-    },
-    K33pRedeemerSchema
-  );
-
-  const tx = await lucid
-    .newTx()
-    .collectFrom([utxo], redeemer)
-    .attachSpendingValidator(validator)
-    .payToAddress(ownerAddress, { lovelace: BigInt(utxo.assets.lovelace) })
-    .complete();
-
-  const signed = await tx.sign().complete();
+// Spends a script UTxO through the branch its datum allows. Signup and refund
+// datums need the admin key's signature, so the backend key must be the admin
+// key. Delete datums need the datum's wallet to sign instead: `ownerWitnesses`
+// must carry that wallet's witness set (CIP-30 signTx with partialSign) unless
+// the backend key is itself that wallet.
+export async function refundTx(ownerAddress, utxo, ownerWitnesses = []) {
+  const { lucid, builder, params, backendKeyHash, signer } = await initK33p();
+
+  // Always read the datum from chain rather than trusting the caller's copy
+  const [scriptUtxo] = await lucid.utxosByOutRef([{ txHash: utxo.txHash, outputIndex: utxo.outputIndex }]);
+  if (!scriptUtxo?.datum) {
+    throw new Error(`Script UTxO ${utxo.txHash}#${utxo.outputIndex} not found or has no inline datum`);
+  }
+
+  const datum = builder.fromDatum(scriptUtxo.datum);
+  if (datum.type === "Auth") {
+    throw new Error("Auth datums hold no refund");
+  }
+  if (datum.wallet !== ownerAddress) {
+    throw new Error(`UTxO belongs to ${datum.wallet}, not ${ownerAddress}`);
+  }
+
+  if (datum.type === "Delete") {
+    if (ownerWitnesses.length === 0 && backendKeyHash !== paymentCredentialOf(ownerAddress).hash) {
+      throw new Error(`Deletion needs a signature from ${ownerAddress}`);
+    }
+  } else if (backendKeyHash !== params.adminKeyHash) {
+    throw new Error("Refunds must be signed by the admin key, which is not the backend key");
+  }
+
+  const tx =
+    datum.type === "Signup" ? await builder.processSignup(scriptUtxo)
+    : datum.type === "Refund" ? await builder.processRefund(scriptUtxo)
+    : await builder.processDeletion(scriptUtxo);
+
+  const signed = await signWith(signer, tx, "script-spend", ownerWitnesses);
   const txHash = await signed.submit();
 
   console.log("✅ Refund transaction submitted:", txHash);
@@ -154,21 +144,65 @@ export async function refundTx(ownerAddress, utxo) {
 }
 
 /* ----------------------------- FETCH UTXOs BY PHONE HASH ----------------------------- */
+// The identity NFT's datum carries the phone hash
 export async function fetchUtxos(phoneHashHex) {
-  const lucid = await initLucid();
-  const scriptAddress = await getScriptAddress();
+  const { builder } = await initK33p();
+  const utxo = await builder.findIdentity(phoneHashHex);
+  return utxo ? [utxo] : [];
+}
 
-  const utxos = await lucid.utxosAt(scriptAddress);
+/* ----------------------------- IDENTITY BURN ----------------------------- */
+// Burns the identity NFT of a deleted account. Only its owner can release it,
+// so this returns an unsigned transaction for `walletAddress`, the owner, to
+// sign (CIP-30 signTx) and submit; the backend neither signs nor pays for it.
+// Resolves to null when the phone hash has no identity.
+export async function identityBurnTx(phoneHashHex, walletAddress) {
+  const { lucid, builder } = await initK33p();
+  const utxo = await builder.findIdentity(phoneHashHex);
+  if (!utxo) return null;
+
+  const { owner } = builder.fromDatum(utxo.datum);
+  if (paymentCredentialOf(walletAddress).hash !== owner) {
+    throw new Error(`The identity for this phone hash is not owned by ${walletAddress}`);
+  }
+  lucid.selectWallet.fromAddress(walletAddress, []);
+  return (await builder.burnIdentity(utxo)).toCBOR();
+}
 
-  // Example filter (depending on how phone_hash is stored)
-  return utxos.filter((u) => {
+/* ----------------------------- RECLAIMABLE DEPOSITS ----------------------------- */
+// Signup deposits the wallet can withdraw itself through the validator's
+// ReclaimDeposit branch. Past the deadline each comes with an unsigned
+// transaction for the wallet to sign (CIP-30 signTx) and submit; the backend
+// neither signs nor pays for it.
+export async function reclaimableDeposits(walletAddress) {
+  const { lucid, builder } = await initK33p();
+  lucid.selectWallet.fromAddress(walletAddress, []);
+
+  const deposits = [];
+  for (const utxo of await lucid.utxosAt(builder.scriptAddress)) {
+    let datum;
     try {
-      const datum = Data.from(u.datum, K33pDatumSchema);
-      const phoneHex = toHex(datum?.IdentityDatumType?.SignupDatum?.user_id || "");
-      return phoneHex === phoneHashHex;
+      datum = builder.fromDatum(utxo.datum);
+    } catch (_) {
+      continue;
+    }
+    if (datum.type !== "Signup" || datum.wallet !== walletAddress) continue;
+
+    let unsignedTx = null;
+    try {
+      unsignedTx = (await builder.reclaimDeposit(utxo)).toCBOR();
     } catch (err) {
-      console.error("Error parsing UTXO datum:", err);
-      return false;
+      if (!(err instanceof TxBuilderError && err.code === "TOO_EARLY")) throw err;
     }
-  });
+
+    deposits.push({
+      txHash: utxo.txHash,
+      outputIndex: utxo.outputIndex,
+      lovelace: utxo.assets.lovelace.toString(),
+      reclaimAfter: new Date(datum.reclaimAfter).toISOString(),
+      reclaimable: unsignedTx !== null,
+      unsignedTx,
+    });
+  }
+  return deposits;
 }
@@ -65,6 +65,27 @@ class UpstashRedis {
     async ttl(key: string) {
         return this.request('TTL', key);
     }
+
+    async hgetall(key: string): Promise<Record<string, string>> {
+        const flat: string[] = (await this.request('HGETALL', key)) || [];
+        const result: Record<string, string> = {};
+        for (let i = 0; i < flat.length; i += 2) {
+            result[flat[i]] = flat[i + 1];
+        }
+        return result;
+    }
+
+    async scan(cursor: string, options: { match?: string; count?: number } = {}): Promise<[string, string[]]> {
+        const args: any[] = [cursor];
+        if (options.match) args.push('MATCH', options.match);
+        if (options.count) args.push('COUNT', options.count);
+        const [nextCursor, keys] = await this.request('SCAN', ...args);
+        return [String(nextCursor), keys];
+    }
+
+    async eval(script: string, keys: string[], args: (string | number)[]) {
+        return this.request('EVAL', script, keys.length, ...keys, ...args);
+    }
 }
 
 export const redisClient = new UpstashRedis();
\ No newline at end of file
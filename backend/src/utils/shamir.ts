@@ -0,0 +1,119 @@
+/**
+ * Shamir secret sharing over GF(2^8)
+ *
+ * Each byte of the secret is the constant term of a random polynomial of
+ * degree threshold - 1; share i holds the polynomials evaluated at x = i.
+ * Any `threshold` shares recover the secret by Lagrange interpolation at
+ * x = 0, and fewer reveal nothing about it.
+ */
+
+import crypto from 'crypto';
+
+export interface Share {
+  x: number;
+  y: Buffer;
+}
+
+// Log and exp tables for GF(2^8) with the AES polynomial x^8 + x^4 + x^3 + x + 1
+// and generator 3
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+
+(() => {
+  let value = 1;
+  for (let i = 0; i < 255; i++) {
+    EXP[i] = value;
+    LOG[value] = i;
+    // Multiply by the generator: value * 2 ^ value
+    value ^= (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+  }
+  // Doubled so products of logs need no modulo
+  for (let i = 255; i < 510; i++) {
+    EXP[i] = EXP[i - 255];
+  }
+})();
+
+const multiply = (a: number, b: number): number =>
+  a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+
+const divide = (a: number, b: number): number => {
+  if (b === 0) throw new Error('Division by zero in GF(256)');
+  return a === 0 ? 0 : EXP[LOG[a] + 255 - LOG[b]];
+};
+
+/**
+ * Split a secret into `shares` shares with x = 1..shares, any `threshold`
+ * of which recover it
+ */
+export function split(secret: Buffer, shares: number, threshold: number): Share[] {
+  if (!Number.isInteger(threshold) || threshold < 2) {
+    throw new Error('Threshold must be an integer of at least 2');
+  }
+  if (!Number.isInteger(shares) || shares < threshold || shares > 255) {
+    throw new Error('Share count must be between the threshold and 255');
+  }
+  if (secret.length === 0) {
+    throw new Error('Secret must not be empty');
+  }
+
+  const result: Share[] = Array.from({ length: shares }, (_, i) => ({ x: i + 1, y: Buffer.alloc(secret.length) }));
+
+  for (let byte = 0; byte < secret.length; byte++) {
+    const coefficients = crypto.randomBytes(threshold - 1);
+
+    for (const share of result) {
+      // Horner's method, highest coefficient first
+      let value = 0;
+      for (let c = coefficients.length - 1; c >= 0; c--) {
+        value = multiply(value, share.x) ^ coefficients[c];
+      }
+      share.y[byte] = multiply(value, share.x) ^ secret[byte];
+    }
+
+    coefficients.fill(0);
+  }
+
+  return result;
+}
+
+/**
+ * Recover a secret from shares. With fewer than the threshold the result is
+ * random bytes, so callers must verify it.
+ */
+export function combine(shares: Share[]): Buffer {
+  if (shares.length < 2) {
+    throw new Error('At least two shares are required');
+  }
+
+  const length = shares[0].y.length;
+  const xs = new Set<number>();
+  for (const share of shares) {
+    if (!Number.isInteger(share.x) || share.x < 1 || share.x > 255) {
+      throw new Error(`Invalid share index: ${share.x}`);
+    }
+    if (xs.has(share.x)) {
+      throw new Error(`Duplicate share index: ${share.x}`);
+    }
+    if (share.y.length !== length) {
+      throw new Error('Shares have different lengths');
+    }
+    xs.add(share.x);
+  }
+
+  // Lagrange basis polynomials at x = 0; subtraction is XOR in GF(2^8)
+  const basis = shares.map((share, i) =>
+    shares.reduce((product, other, j) =>
+      i === j ? product : multiply(product, divide(other.x, other.x ^ share.x)), 1)
+  );
+
+  const secret = Buffer.alloc(length);
+  for (let byte = 0; byte < length; byte++) {
+    let value = 0;
+    shares.forEach((share, i) => {
+      value ^= multiply(share.y[byte], basis[i]);
+    });
+    secret[byte] = value;
+  }
+
+  return secret;
+}
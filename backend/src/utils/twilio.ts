@@ -2,6 +2,7 @@
 import dotenv from 'dotenv';
 import twilio from 'twilio';
 import { OtpRequest, SendOtpResponse, VerifyOtpResponse, CancelVerificationResponse } from '../interfaces/otp.js';
+import { verificationStore } from '../services/verification-store.js';
 
 // Load environment variables
 dotenv.config();
@@ -22,23 +23,28 @@ try {
   console.error('Failed to initialize Twilio client:', error);
 }
 
-// In-memory storage for OTP requests (in production, use a database)
-const otpRequests: Map<string, OtpRequest> = new Map();
-
-// Clean up expired OTP requests (older than 10 minutes)
-const cleanupExpiredRequests = () => {
-  const now = Date.now();
-  const expiryTime = 10 * 60 * 1000; // 10 minutes
-  
-  for (const [phoneNumber, request] of otpRequests.entries()) {
-    if (now - request.timestamp > expiryTime) {
-      otpRequests.delete(phoneNumber);
-    }
-  }
+// OTP requests are kept in the shared verification store, which handles expiry.
+// Requests are indexed by request ID and by phone number; manually generated
+// SMS codes are stored hashed under the request ID.
+const REQUEST_NAMESPACE = 'twilio:request';
+const PHONE_NAMESPACE = 'twilio:phone';
+const CODE_NAMESPACE = 'twilio:code';
+const REQUEST_TTL_SECONDS = 10 * 60; // 10 minutes
+const CODE_MAX_ATTEMPTS = 5;
+
+const saveOtpRequest = async (request: OtpRequest): Promise<void> => {
+  const ttlSeconds = REQUEST_TTL_SECONDS - Math.floor((Date.now() - request.timestamp) / 1000);
+  if (ttlSeconds <= 0) return;
+
+  await verificationStore.put(REQUEST_NAMESPACE, request.requestId, request, { ttlSeconds });
+  await verificationStore.put(PHONE_NAMESPACE, request.phoneNumber, request, { ttlSeconds });
 };
 
-// Run cleanup every 5 minutes
-setInterval(cleanupExpiredRequests, 5 * 60 * 1000);
+const deleteOtpRequest = async (request: OtpRequest): Promise<void> => {
+  await verificationStore.delete(REQUEST_NAMESPACE, request.requestId);
+  await verificationStore.delete(PHONE_NAMESPACE, request.phoneNumber);
+  await verificationStore.delete(CODE_NAMESPACE, request.requestId);
+};
 
 /**
  * Send OTP to a phone number using Twilio Verify API
@@ -62,7 +68,7 @@ export const sendOtp = async (phoneNumber: string): Promise<SendOtpResponse> =>
     }
 
     // Check if there's an existing request for this number that's not expired
-    const existingRequest = otpRequests.get(formattedNumber);
+    const existingRequest = (await verificationStore.get<OtpRequest>(PHONE_NAMESPACE, formattedNumber))?.data;
     if (existingRequest && !existingRequest.verified && (Date.now() - existingRequest.timestamp < 5 * 60 * 1000)) {
       return { 
         success: true, 
@@ -96,25 +102,20 @@ export const sendOtp = async (phoneNumber: string): Promise<SendOtpResponse> =>
         to: formattedNumber
       });
 
-      // Store the OTP for verification
-      otpRequests.set(formattedNumber, {
-        requestId,
-        phoneNumber: formattedNumber,
-        timestamp: Date.now(),
-        verified: false,
-        otpCode // Store for manual verification
+      // Store the OTP (hashed) for manual verification
+      await verificationStore.issueCode(CODE_NAMESPACE, requestId, otpCode, {
+        ttlSeconds: REQUEST_TTL_SECONDS,
+        maxAttempts: CODE_MAX_ATTEMPTS
       });
     }
 
     // Store the request for tracking
-    if (!otpRequests.has(formattedNumber)) {
-      otpRequests.set(formattedNumber, {
-        requestId,
-        phoneNumber: formattedNumber,
-        timestamp: Date.now(),
-        verified: false
-      });
-    }
+    await saveOtpRequest({
+      requestId,
+      phoneNumber: formattedNumber,
+      timestamp: Date.now(),
+      verified: false
+    });
 
     console.log(`OTP sent successfully to ${formattedNumber}, request ID: ${requestId}`);
     
@@ -146,32 +147,17 @@ export const verifyOtp = async (requestId: string, code: string): Promise<Verify
       };
     }
 
-    // Find the request by ID
-    let phoneNumber = '';
-    let storedRequest: OtpRequest | undefined;
-    for (const [number, request] of otpRequests.entries()) {
-      if (request.requestId === requestId) {
-        phoneNumber = number;
-        storedRequest = request;
-        break;
-      }
-    }
+    // Find the request by ID (expired requests are not returned)
+    const storedRequest = (await verificationStore.get<OtpRequest>(REQUEST_NAMESPACE, requestId))?.data;
 
-    if (!phoneNumber || !storedRequest) {
+    if (!storedRequest) {
       return { 
         success: false, 
         error: 'Invalid or expired verification request' 
       };
     }
 
-    // Check if request is expired (10 minutes)
-    if (Date.now() - storedRequest.timestamp > 10 * 60 * 1000) {
-      otpRequests.delete(phoneNumber);
-      return { 
-        success: false, 
-        error: 'Verification code has expired. Please request a new one.' 
-      };
-    }
+    const phoneNumber = storedRequest.phoneNumber;
 
     let verificationResult;
 
@@ -187,7 +173,7 @@ export const verifyOtp = async (requestId: string, code: string): Promise<Verify
       
       if (verificationResult.status === 'approved') {
         storedRequest.verified = true;
-        otpRequests.set(phoneNumber, storedRequest);
+        await saveOtpRequest(storedRequest);
         return { success: true, verified: true };
       } else {
         return { 
@@ -197,10 +183,17 @@ export const verifyOtp = async (requestId: string, code: string): Promise<Verify
       }
     } else {
       // Manual verification for regular SMS
-      if (storedRequest.otpCode && storedRequest.otpCode === code) {
+      const result = await verificationStore.verifyCode(CODE_NAMESPACE, requestId, code);
+      if (result.valid) {
         storedRequest.verified = true;
-        otpRequests.set(phoneNumber, storedRequest);
+        await saveOtpRequest(storedRequest);
         return { success: true, verified: true };
+      } else if (result.reason === 'TOO_MANY_ATTEMPTS') {
+        await deleteOtpRequest(storedRequest);
+        return { 
+          success: false, 
+          error: 'Too many failed attempts. Please request a new code.' 
+        };
       } else {
         return { 
           success: false, 
@@ -225,11 +218,10 @@ export const verifyOtp = async (requestId: string, code: string): Promise<Verify
 export const cancelVerification = async (requestId: string): Promise<CancelVerificationResponse> => {
   try {
     // Find and remove the request
-    for (const [phoneNumber, request] of otpRequests.entries()) {
-      if (request.requestId === requestId) {
-        otpRequests.delete(phoneNumber);
-        return { success: true };
-      }
+    const request = (await verificationStore.get<OtpRequest>(REQUEST_NAMESPACE, requestId))?.data;
+    if (request) {
+      await deleteOtpRequest(request);
+      return { success: true };
     }
     
     return { 
@@ -248,10 +240,10 @@ export const cancelVerification = async (requestId: string): Promise<CancelVerif
 /**
  * Check if a phone number has been verified
  * @param phoneNumber The phone number to check
- * @returns Boolean indicating if the number is verified
+ * @returns Promise resolving to whether the number is verified
  */
-export const isPhoneNumberVerified = (phoneNumber: string): boolean => {
+export const isPhoneNumberVerified = async (phoneNumber: string): Promise<boolean> => {
   const formattedNumber = phoneNumber.replace(/\s+/g, '');
-  const request = otpRequests.get(formattedNumber);
-  return request ? request.verified : false;
+  const request = await verificationStore.get<OtpRequest>(PHONE_NAMESPACE, formattedNumber);
+  return request ? request.data.verified : false;
 };
\ No newline at end of file
@@ -1,81 +1,177 @@
 // Zero-Knowledge Proof utilities for K33P Identity System
 import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as snarkjs from 'snarkjs';
+import { buildPoseidon } from 'circomlibjs';
+import { hashPhone, hashBiometric, hashPasskey } from './hash.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Order of the BN254 scalar field used by circom/snarkjs
+export const FIELD_MODULUS = BigInt('21888242871839275222246405745257593145887592958661552995808136698120811880583');
+
+// Artifacts produced by `npm run zk:build` (see circuits/build.js)
+const ARTIFACTS_DIR = process.env.ZK_ARTIFACTS_DIR || path.resolve(__dirname, '../../circuits/build');
+const CIRCUIT_WASM = process.env.ZK_CIRCUIT_WASM || path.join(ARTIFACTS_DIR, 'identity_js', 'identity.wasm');
+const PROVING_KEY = process.env.ZK_PROVING_KEY || path.join(ARTIFACTS_DIR, 'identity_final.zkey');
+const VERIFICATION_KEY = process.env.ZK_VERIFICATION_KEY || path.join(ARTIFACTS_DIR, 'verification_key.json');
+
+let poseidonPromise = null;
+let verificationKey = null;
+
+function getPoseidon() {
+  if (!poseidonPromise) {
+    poseidonPromise = buildPoseidon();
+  }
+  return poseidonPromise;
+}
+
+function loadVerificationKey() {
+  if (!verificationKey) {
+    if (!fs.existsSync(VERIFICATION_KEY)) {
+      throw new Error(`Verification key not found at ${VERIFICATION_KEY}. Run "npm run zk:build" first.`);
+    }
+    verificationKey = JSON.parse(fs.readFileSync(VERIFICATION_KEY, 'utf8'));
+  }
+  return verificationKey;
+}
 
 /**
- * Simulated Poseidon hash function for ZK proofs
- * In a production environment, this would be replaced with a real ZK-friendly hash function
+ * Whether a value is a decimal BN254 field element, as commitments from the
+ * identity circuit and challenges are. Commitments stored before the circuit
+ * (SHA-256 hex, or the earlier simulated `<hex>-<hex>` form) are not; they
+ * cannot be proven and have to be re-enrolled.
+ * @param {string} value - Value to check
+ * @returns {boolean} - Whether the value is a field element
+ */
+export function isFieldElement(value) {
+  return typeof value === 'string' && /^\d+$/.test(value) && BigInt(value) < FIELD_MODULUS;
+}
+
+/**
+ * Generate a random login challenge to bind into a proof
+ * @returns {string} - The challenge as a decimal field element
+ */
+export function generateZkChallenge() {
+  return (BigInt(`0x${crypto.randomBytes(32).toString('hex')}`) % FIELD_MODULUS).toString();
+}
+
+/**
+ * Map a hash string onto a BN254 field element
+ * Accepts the 64-character hex digests produced by utils/hash.js, decimal
+ * field elements (e.g. a previous Poseidon output), or any other string,
+ * which is SHA-256 hashed first
+ * @param {string} value - Value to map
+ * @returns {bigint} - Field element
+ */
+export function toFieldElement(value) {
+  if (typeof value !== 'string' || value.length === 0) {
+    throw new Error('Field element input must be a non-empty string');
+  }
+
+  if (/^[0-9a-fA-F]{64}$/.test(value)) {
+    return BigInt(`0x${value}`) % FIELD_MODULUS;
+  }
+
+  if (/^\d+$/.test(value)) {
+    return BigInt(value) % FIELD_MODULUS;
+  }
+
+  const digest = crypto.createHash('sha256').update(value).digest('hex');
+  return BigInt(`0x${digest}`) % FIELD_MODULUS;
+}
+
+/**
+ * Poseidon hash over the BN254 scalar field
  * @param {Array<string>} inputs - Array of input values to hash
- * @returns {string} - The hash result
+ * @returns {Promise<string>} - The hash as a decimal field element
  */
-export function poseidonHash(inputs) {
+export async function poseidonHash(inputs) {
   try {
-    if (!Array.isArray(inputs)) {
-      throw new Error('Inputs must be an array');
+    if (!Array.isArray(inputs) || inputs.length === 0) {
+      throw new Error('Inputs must be a non-empty array');
     }
-    
+
     // Validate inputs
     inputs.forEach((input, index) => {
       if (typeof input !== 'string') {
         throw new Error(`Input at index ${index} must be a string`);
       }
     });
-    
-    // Simulate a Poseidon hash with SHA-256
-    // In a real implementation, this would use a ZK-friendly hash function
-    const hash = crypto.createHash('sha256')
-      .update(inputs.join('|'))
-      .digest('hex');
-    
-    // Truncate and format to simulate a field element
-    return `${hash.substring(0, 50)}-${hash.substring(50, 58)}`;
+
+    const poseidon = await getPoseidon();
+    const hash = poseidon(inputs.map(toFieldElement));
+    return poseidon.F.toString(hash);
   } catch (error) {
     console.error('Error in poseidonHash:', error.message);
     throw new Error(`Failed to compute poseidon hash: ${error.message}`);
   }
 }
 
+/**
+ * Build the private circuit inputs from hashed identity factors
+ * Missing optional factors are encoded as 0, matching circuits/identity.circom
+ * @param {Object} hashedInputs - Object containing hashed inputs
+ * @returns {{ phoneHash: string, biometricHash: string, passkeyHash: string }}
+ */
+function toCircuitInputs(hashedInputs) {
+  const { phoneHash, biometricHash, passkeyHash } = hashedInputs;
+
+  return {
+    phoneHash: toFieldElement(phoneHash).toString(),
+    biometricHash: biometricHash ? toFieldElement(biometricHash).toString() : '0',
+    passkeyHash: passkeyHash ? toFieldElement(passkeyHash).toString() : '0'
+  };
+}
+
 /**
  * Generate a Zero-Knowledge commitment from hashed inputs
+ * The commitment is the public output of the identity circuit:
+ * Poseidon(phoneHash, biometricHash | 0, passkeyHash | 0)
  * @param {Object} hashedInputs - Object containing hashed inputs
  * @param {string} hashedInputs.phoneHash - Hashed phone number
  * @param {string} hashedInputs.biometricHash - Hashed biometric data
  * @param {string} hashedInputs.passkeyHash - Hashed passkey
- * @returns {string} - The ZK commitment
+ * @returns {Promise<string>} - The ZK commitment as a decimal field element
  */
-export function generateZkCommitment(hashedInputs) {
+export async function generateZkCommitment(hashedInputs) {
   try {
     // Validate inputs
     if (!hashedInputs || typeof hashedInputs !== 'object') {
       throw new Error('Invalid hashed inputs');
     }
-    
+
     const { phoneHash, biometricHash, passkeyHash } = hashedInputs;
-    
+
     // phoneHash is required, others are optional
     if (!phoneHash) {
       throw new Error('phoneHash is required');
     }
-    
+
     if (typeof phoneHash !== 'string') {
       throw new Error('phoneHash must be a string');
     }
-    
+
     // Validate optional inputs if provided
     if (biometricHash && typeof biometricHash !== 'string') {
       throw new Error('biometricHash must be a string if provided');
     }
-    
+
     if (passkeyHash && typeof passkeyHash !== 'string') {
       throw new Error('passkeyHash must be a string if provided');
     }
-    
-    // Build input array dynamically based on available hashes
-    const inputs = [phoneHash];
-    if (biometricHash) inputs.push(biometricHash);
-    if (passkeyHash) inputs.push(passkeyHash);
-    
-    // Generate commitment using poseidonHash
-    return poseidonHash(inputs);
+
+    const circuitInputs = toCircuitInputs(hashedInputs);
+    const poseidon = await getPoseidon();
+    const commitment = poseidon([
+      BigInt(circuitInputs.phoneHash),
+      BigInt(circuitInputs.biometricHash),
+      BigInt(circuitInputs.passkeyHash)
+    ]);
+
+    return poseidon.F.toString(commitment);
   } catch (error) {
     console.error('Error in generateZkCommitment:', error.message);
     throw new Error(`Failed to generate ZK commitment: ${error.message}`);
@@ -83,47 +179,67 @@ export function generateZkCommitment(hashedInputs) {
 }
 
 /**
- * Generate a Zero-Knowledge proof
- * This is a simulated implementation for demonstration purposes
- * In a production environment, this would generate an actual ZK proof
+ * Generate a Groth16 proof that the caller knows the identity factors
+ * behind a commitment, bound to a challenge
  * @param {Object} inputs - Raw user inputs
+ * @param {string} inputs.phone - Phone number (required)
+ * @param {string} [inputs.biometric] - Biometric data
+ * @param {string} [inputs.passkey] - Passkey
  * @param {string} commitment - The ZK commitment to prove
- * @returns {Object} - The ZK proof object
+ * @param {string} challenge - Challenge from generateZkChallenge
+ * @returns {Promise<Object>} - The ZK proof object
  */
-export function generateZkProof(inputs, commitment) {
+export async function generateZkProof(inputs, commitment, challenge) {
   try {
     // Validate inputs
     if (!inputs || typeof inputs !== 'object') {
       throw new Error('Invalid inputs');
     }
-    
+
     if (!commitment || typeof commitment !== 'string') {
       throw new Error('Invalid commitment');
     }
-    
+
+    if (!isFieldElement(challenge)) {
+      throw new Error('Invalid challenge');
+    }
+
     const { phone, biometric, passkey } = inputs;
-    
+
     // phone is required, others are optional
     if (!phone) {
       throw new Error('phone is required');
     }
-    
-    // In a real implementation, this would generate an actual ZK proof
-    // For simulation, we'll create a proof object with the commitment
-    const proofId = crypto.randomBytes(16).toString('hex');
-    
+
+    const circuitInputs = toCircuitInputs({
+      phoneHash: hashPhone(phone),
+      biometricHash: biometric ? hashBiometric(biometric) : undefined,
+      passkeyHash: passkey ? hashPasskey(passkey) : undefined
+    });
+
+    const { proof, publicSignals } = await snarkjs.groth16.fullProve({ ...circuitInputs, challenge }, CIRCUIT_WASM, PROVING_KEY);
+
+    if (publicSignals[0] !== commitment) {
+      throw new Error('Inputs do not match the commitment');
+    }
+
     return {
-      proof: `zk-proof-${proofId}-${commitment.substring(0, 10)}`,
+      proof,
+      publicSignals,
       publicInputs: {
-        commitment
+        commitment,
+        challenge
       },
-      isValid: true // In a real implementation, this would be determined by the proof generation
+      protocol: 'groth16',
+      isValid: true
     };
   } catch (error) {
     console.error('Error in generateZkProof:', error.message);
     return {
       proof: null,
-      publicInputs: { commitment },
+      publicSignals: [],
+      publicInputs: { commitment, challenge },
+      protocol: 'groth16',
       isValid: false,
       error: error.message
     };
@@ -131,43 +247,58 @@ export function generateZkProof(inputs, commitment) {
 }
 
 /**
- * Verify a Zero-Knowledge proof
- * This is a simulated implementation for demonstration purposes
- * In a production environment, this would verify an actual ZK proof
- * @param {Object} proof - The ZK proof object
+ * Verify a Groth16 proof against a commitment and challenge
+ * The public signals are taken from the commitment and challenge supplied by
+ * the caller, never from the proof object, so a proof only verifies for the
+ * commitment and challenge it was generated for. Any `isValid` flag on the
+ * proof is ignored.
+ * @param {Object} proof - The ZK proof object returned by generateZkProof
  * @param {string} commitment - The ZK commitment to verify against
- * @returns {boolean} - Whether the proof is valid
+ * @param {string} challenge - The challenge the proof must be bound to
+ * @returns {Promise<boolean>} - Whether the proof is valid
  */
-export function verifyZkProof(proof, commitment) {
+export async function verifyZkProof(proof, commitment, challenge) {
   try {
     // Validate inputs
     if (!proof || typeof proof !== 'object') {
       throw new Error('Invalid proof object');
     }
-    
-    if (!commitment || typeof commitment !== 'string') {
+
+    if (!isFieldElement(commitment)) {
       throw new Error('Invalid commitment');
     }
-    
+
+    if (!isFieldElement(challenge)) {
+      throw new Error('Invalid challenge');
+    }
+
     // Check if proof has the expected structure
-    if (!proof.publicInputs || typeof proof.publicInputs !== 'object') {
-      throw new Error('Invalid proof structure: missing publicInputs');
-    }
-    
-    if (!proof.publicInputs.commitment || typeof proof.publicInputs.commitment !== 'string') {
-      throw new Error('Invalid proof structure: missing commitment in publicInputs');
-    }
-    
-    // In a real implementation, this would verify the ZK proof cryptographically
-    // For simulation, we'll check if the proof is marked as valid and if the commitment matches
-    const isValid = (
-      proof.isValid === true && 
-      proof.publicInputs.commitment === commitment
-    );
-    
-    return isValid;
+    if (!isProofStructureValid(proof)) {
+      throw new Error('Invalid proof structure: expected a groth16 proof with pi_a, pi_b and pi_c');
+    }
+
+    if (proof.publicInputs?.commitment && proof.publicInputs.commitment !== commitment) {
+      return false;
+    }
+
+    return await snarkjs.groth16.verify(loadVerificationKey(), [commitment, challenge], proof.proof);
   } catch (error) {
     console.error('Error in verifyZkProof:', error.message);
     return false;
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Check that an object has the shape of a proof returned by generateZkProof
+ * @param {Object} proof - Candidate proof object
+ * @returns {boolean} - Whether the structure is valid
+ */
+export function isProofStructureValid(proof) {
+  const groth16Proof = proof?.proof;
+
+  return !!groth16Proof &&
+    typeof groth16Proof === 'object' &&
+    Array.isArray(groth16Proof.pi_a) &&
+    Array.isArray(groth16Proof.pi_b) &&
+    Array.isArray(groth16Proof.pi_c);
+}
@@ -1,4 +1,4 @@
-import { Lucid, Blockfrost } from 'lucid-cardano';
+import { Lucid, Blockfrost } from '@lucid-evolution/lucid';
 import dotenv from 'dotenv';
 
 // Load environment variables
@@ -69,7 +69,7 @@ async function testBlockfrostConnection() {
       return;
     }
     
-    const lucid = await Lucid.new(blockfrost, CONFIG.network);
+    const lucid = await Lucid(blockfrost, CONFIG.network);
     console.log('✅ Lucid initialization successful!');
     
   } catch (error) {
@@ -0,0 +1,191 @@
+/**
+ * Unit tests for roles, permissions and admin API keys in
+ * src/services/access-control.ts, src/services/admin-api-keys.ts and
+ * src/middleware/admin-auth.ts. Keys live in an in-memory store
+ */
+
+import { maskAddress, maskEmail, maskPhone, permissionsFor, ROLE_PERMISSIONS } from '../src/services/access-control.js';
+import { AdminApiKeys, hashAdminApiKey } from '../src/services/admin-api-keys.js';
+import { requirePermission } from '../src/middleware/admin-auth.js';
+
+class MemoryKeyStore {
+  constructor() {
+    this.keys = [];
+  }
+
+  async create(key) {
+    const record = { ...key, id: `key-${this.keys.length + 1}`, revoked_at: null, created_at: new Date() };
+    this.keys.push(record);
+    return record;
+  }
+
+  async findByHash(keyHash) {
+    return this.keys.find(key => key.key_hash === keyHash) ?? null;
+  }
+
+  async list() {
+    return [...this.keys];
+  }
+
+  async revoke(id, revokedBy) {
+    const key = this.keys.find(candidate => candidate.id === id && !candidate.revoked_at);
+    if (!key) return null;
+    Object.assign(key, { revoked_at: new Date(), revoked_by: revokedBy });
+    return key;
+  }
+
+  async touch(id) {
+    this.keys.find(key => key.id === id).last_used_at = new Date();
+  }
+}
+
+const expectCode = async (promise, code) => {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error.code).toBe(code);
+    return;
+  }
+  throw new Error(`Expected ${code}`);
+};
+
+const superadmin = { kind: 'user', id: 'superadmin-1', role: 'superadmin', permissions: permissionsFor('superadmin') };
+
+const rolesWith = permission =>
+  Object.entries(ROLE_PERMISSIONS).filter(([, permissions]) => permissions.includes(permission)).map(([role]) => role);
+
+describe('Role permissions', () => {
+  test('only finance triggers refunds', () => {
+    expect(rolesWith('refunds:trigger')).toEqual(['finance']);
+  });
+
+  test('support reads users without their PII', () => {
+    const support = permissionsFor('support');
+    expect(support.has('users:read')).toBe(true);
+    expect(support.has('users:read-pii')).toBe(false);
+  });
+
+  test('only superadmin manages roles and API keys', () => {
+    expect(rolesWith('users:roles')).toEqual(['superadmin']);
+    expect(rolesWith('api-keys:manage')).toEqual(['superadmin']);
+  });
+
+  test('plain users hold no permissions', () => {
+    expect(permissionsFor('user').size).toBe(0);
+  });
+
+  test('scopes narrow a role and cannot widen it', () => {
+    const scoped = permissionsFor('support', ['deposits:read', 'refunds:trigger']);
+    expect([...scoped]).toEqual(['deposits:read']);
+  });
+});
+
+describe('PII masking', () => {
+  test('keeps only enough to tell values apart', () => {
+    expect(maskEmail('jane.doe@example.com')).toBe('j***@example.com');
+    expect(maskPhone('+234 801 234 5678')).toBe('***5678');
+    expect(maskAddress('addr_test1qz2fxv2umyhttkxyxp8x0dlpdt3k6cwng5pxj3jhsydzer3jcu5d8ps7zex2k2xt3uqxgjqnnj83ws8lhrn648jjxtwq2ytjqp'))
+      .toBe('addr_test1…2ytjqp');
+    expect(maskEmail(null)).toBe(null);
+  });
+});
+
+describe('Admin API keys', () => {
+  let store;
+  let keys;
+
+  beforeEach(() => {
+    store = new MemoryKeyStore();
+    keys = new AdminApiKeys(store);
+  });
+
+  test('stores only the hash of an issued key', async () => {
+    const { key, record } = await keys.issue({ name: 'Dashboard', role: 'support', issuer: superadmin });
+    expect(key.startsWith('k33p_')).toBe(true);
+    expect(record.key_hash).toBe(hashAdminApiKey(key));
+    expect(JSON.stringify(store.keys)).not.toContain(key);
+    expect(key.startsWith(record.key_prefix)).toBe(true);
+  });
+
+  test('authenticates a key as its role, narrowed to its scopes', async () => {
+    const { key } = await keys.issue({ name: 'Exports', role: 'finance', scopes: ['deposits:export'], issuer: superadmin });
+
+    const principal = await keys.authenticate(key);
+    expect(principal.kind).toBe('api-key');
+    expect(principal.role).toBe('finance');
+    expect([...principal.permissions]).toEqual(['deposits:export']);
+    expect(store.keys[0].last_used_at).toBeDefined();
+  });
+
+  test('rejects unknown, revoked and expired keys', async () => {
+    const { key, record } = await keys.issue({ name: 'Ops', role: 'admin', expiresInDays: 1, issuer: superadmin });
+    expect(await keys.authenticate('k33p_unknown')).toBe(null);
+
+    store.keys[0].expires_at = new Date(Date.now() - 1000);
+    expect(await keys.authenticate(key)).toBe(null);
+
+    store.keys[0].expires_at = new Date(Date.now() + 60000);
+    await keys.revoke(record.id, 'superadmin-1');
+    expect(await keys.authenticate(key)).toBe(null);
+    await expectCode(keys.revoke(record.id, 'superadmin-1'), 'NOT_FOUND');
+  });
+
+  test('refuses scopes the role does not grant', async () => {
+    await expectCode(
+      keys.issue({ name: 'Sneaky', role: 'support', scopes: ['refunds:trigger'], issuer: superadmin }),
+      'INVALID_SCOPE'
+    );
+  });
+
+  test('refuses permissions the issuer does not hold', async () => {
+    await expectCode(keys.issue({ name: 'Refunds', role: 'finance', issuer: superadmin }), 'NOT_GRANTABLE');
+
+    const { record } = await keys.issue({ name: 'Reports', role: 'finance', scopes: ['treasury:read'], issuer: superadmin });
+    expect(record.created_by).toBe('superadmin-1');
+  });
+
+  test('refuses keys acting as plain users', async () => {
+    await expectCode(keys.issue({ name: 'User', role: 'user', issuer: superadmin }), 'INVALID_ROLE');
+  });
+
+  test('caps how long a key lives', async () => {
+    await expectCode(keys.issue({ name: 'Forever', role: 'admin', expiresInDays: 3650, issuer: superadmin }), 'INVALID_EXPIRY');
+  });
+});
+
+describe('requirePermission', () => {
+  const run = (middleware, headers) => new Promise(resolve => {
+    const req = { headers, ip: '127.0.0.1', path: '/', originalUrl: '/', method: 'GET', get: () => 'jest' };
+    const res = {
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ req, status: this.statusCode, body });
+      }
+    };
+    middleware(req, res, () => resolve({ req, status: 'next' }));
+  });
+
+  beforeEach(() => {
+    process.env.ADMIN_API_KEY = 'bootstrap-secret';
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  test('asks for credentials', async () => {
+    const result = await run(requirePermission('users:read'), {});
+    expect(result.status).toBe(401);
+    expect(result.body.error).toBe('MISSING_API_KEY');
+  });
+
+  test('lets the bootstrap key act as superadmin', async () => {
+    const result = await run(requirePermission('api-keys:manage'), { 'x-api-key': 'bootstrap-secret' });
+    expect(result.status).toBe('next');
+    expect(result.req.principal.role).toBe('superadmin');
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * Unit tests for the admin dashboard in src/services/admin-dashboard.ts
+ * Deposits and outbox entries live in in-memory stores; the refund manager
+ * is a stub that settles entries as reconcile and refunds would
+ */
+
+import { AdminDashboard, depositsToCsv, EXPORT_LIMIT } from '../src/services/admin-dashboard.js';
+
+const deposit = (overrides = {}) => ({
+  id: 'deposit-1',
+  user_address: 'addr_test1user',
+  user_id: 'user-1',
+  phone_hash: 'hash',
+  tx_hash: 'tx-1',
+  amount: 2_000_000n,
+  asset_policy_id: '',
+  asset_name: '',
+  refunded: false,
+  signup_completed: false,
+  verified: false,
+  verification_attempts: 0,
+  timestamp: new Date('2026-01-01T00:00:00Z'),
+  ...overrides
+});
+
+class MemoryDepositStore {
+  constructor(deposits = []) {
+    this.deposits = deposits;
+  }
+
+  async find(filters, limit, offset) {
+    const matching = this.deposits.filter(d =>
+      (filters.refunded === undefined || d.refunded === filters.refunded) &&
+      (filters.verified === undefined || d.verified === filters.verified)
+    );
+    return { deposits: matching.slice(offset, offset + limit), total: matching.length };
+  }
+
+  async countFunnel() {
+    return {
+      deposits: this.deposits.length,
+      verified: this.deposits.filter(d => d.verified).length,
+      signupCompleted: this.deposits.filter(d => d.signup_completed).length,
+      refunded: this.deposits.filter(d => d.refunded).length
+    };
+  }
+}
+
+class MemoryOutbox {
+  constructor(entries = []) {
+    this.entries = new Map(entries.map(entry => [entry.idempotency_key, entry]));
+  }
+
+  async findStuck() {
+    return [...this.entries.values()];
+  }
+
+  async findByKey(key) {
+    return this.entries.get(key) ?? null;
+  }
+}
+
+const outboxEntry = (overrides = {}) => ({
+  idempotency_key: 'deposit:deposit-1',
+  user_address: 'addr_test1user',
+  refund_address: 'addr_test1sender',
+  unit: 'lovelace',
+  amount: 2_000_000n,
+  status: 'failed',
+  error: 'Transaction expired',
+  ...overrides
+});
+
+const expectCode = async (promise, code) => {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error.code).toBe(code);
+    return;
+  }
+  throw new Error(`Expected ${code}`);
+};
+
+describe('Admin dashboard', () => {
+  test('reports the signup funnel with shares of all deposits', async () => {
+    const dashboard = new AdminDashboard({
+      deposits: new MemoryDepositStore([
+        deposit({ verified: true, signup_completed: true }),
+        deposit({ verified: true }),
+        deposit({ refunded: true }),
+        deposit()
+      ]),
+      outbox: new MemoryOutbox()
+    });
+
+    const funnel = await dashboard.signupFunnel();
+    expect(funnel.deposits).toBe(4);
+    expect(funnel.verified).toBe(2);
+    expect(funnel.rates.verified).toBe(0.5);
+    expect(funnel.rates.signupCompleted).toBe(0.25);
+    expect(funnel.rates.refunded).toBe(0.25);
+  });
+
+  test('reports zero rates with no deposits', async () => {
+    const dashboard = new AdminDashboard({ deposits: new MemoryDepositStore(), outbox: new MemoryOutbox() });
+    expect((await dashboard.signupFunnel()).rates.verified).toBe(0);
+  });
+
+  test('refuses exports larger than the limit', async () => {
+    const deposits = new MemoryDepositStore();
+    deposits.find = async () => ({ deposits: [], total: EXPORT_LIMIT + 1 });
+    const dashboard = new AdminDashboard({ deposits, outbox: new MemoryOutbox() });
+
+    await expectCode(dashboard.exportDepositsCsv({}), 'EXPORT_TOO_LARGE');
+  });
+});
+
+describe('Deposit CSV', () => {
+  test('writes a header and one quoted row per deposit', () => {
+    const lines = depositsToCsv([deposit(), deposit({ id: 'deposit-2', refunded: true })]).trim().split('\r\n');
+    expect(lines).toHaveLength(3);
+    expect(lines[0]).toContain('user_address');
+    expect(lines[1]).toContain('"2000000"');
+    expect(lines[1]).toContain('"lovelace"');
+    expect(lines[2]).toContain('"deposit-2"');
+  });
+
+  test('escapes quotes and defuses spreadsheet formulas', () => {
+    const csv = depositsToCsv([deposit({ user_id: '=HYPERLINK("x")' })]);
+    expect(csv).toContain(`"'=HYPERLINK(""x"")"`);
+  });
+});
+
+describe('Refund retry', () => {
+  let outbox;
+  let dashboard;
+  let calls;
+
+  const manager = (onReconcile = () => {}) => ({
+    reconcileRefunds: async () => {
+      calls.push('reconcile');
+      onReconcile();
+    },
+    processRefund: async (userAddress, refundAddress) => {
+      calls.push(`refund ${userAddress} to ${refundAddress}`);
+      return { success: true, message: 'Refund processed', txHash: 'tx-refund' };
+    }
+  });
+
+  beforeEach(() => {
+    calls = [];
+    outbox = new MemoryOutbox([outboxEntry()]);
+    dashboard = new AdminDashboard({ deposits: new MemoryDepositStore(), outbox });
+  });
+
+  test('reconciles, then refunds a failed entry to its last address', async () => {
+    const result = await dashboard.retryRefund(manager(), 'deposit:deposit-1');
+    expect(result.txHash).toBe('tx-refund');
+    expect(calls).toEqual(['reconcile', 'refund addr_test1user to addr_test1sender']);
+  });
+
+  test('ignores a different address passed along', async () => {
+    await dashboard.retryRefund(manager(), 'deposit:deposit-1', 'addr_test1other');
+    expect(calls[1]).toBe('refund addr_test1user to addr_test1sender');
+  });
+
+  test('leaves an entry alone that reconcile found on chain', async () => {
+    const settle = () => outbox.entries.set('deposit:deposit-1', outboxEntry({ status: 'confirmed', tx_hash: 'tx-old' }));
+
+    await expectCode(dashboard.retryRefund(manager(settle), 'deposit:deposit-1'), 'REFUND_CONFIRMED');
+    expect(calls).toEqual(['reconcile']);
+  });
+
+  test('does not retry a refund still in flight', async () => {
+    outbox.entries.set('deposit:deposit-1', outboxEntry({ status: 'submitted', tx_hash: 'tx-old' }));
+
+    await expectCode(dashboard.retryRefund(manager(), 'deposit:deposit-1'), 'REFUND_IN_FLIGHT');
+    expect(calls).toEqual(['reconcile']);
+  });
+
+  test('reports an unknown key', async () => {
+    await expectCode(dashboard.retryRefund(manager(), 'deposit:missing'), 'REFUND_NOT_FOUND');
+    expect(calls).toHaveLength(0);
+  });
+
+  test('reports a refund the manager declined', async () => {
+    const declining = manager();
+    declining.processRefund = async () => ({ success: false, message: 'Deposit has already been refunded' });
+
+    await expectCode(dashboard.retryRefund(declining, 'deposit:deposit-1'), 'REFUND_NOT_RETRIED');
+  });
+});
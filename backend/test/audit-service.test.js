@@ -0,0 +1,76 @@
+/**
+ * Unit tests for the hash-chained audit trail in src/services/audit-service.ts
+ * AuditLogModel is replaced with an in-memory chain so no database is needed
+ */
+
+import { AuditLogModel } from '../src/database/models.js';
+import { auditService, computeAuditHash } from '../src/services/audit-service.js';
+
+const buildChain = (count) => {
+  const entries = [];
+  let prevHash = AuditLogModel.GENESIS_HASH;
+  for (let i = 1; i <= count; i++) {
+    const entry = {
+      id: String(i),
+      user_id: 'user123',
+      action: 'RETRIEVE',
+      resource: 'SEED_PHRASE',
+      resource_id: `phrase-${i}`,
+      success: true,
+      ip_address: '10.0.0.1',
+      user_agent: 'jest',
+      details: { statusCode: 200, method: 'POST' },
+      created_at: new Date(Date.UTC(2024, 0, 1, 0, 0, i)),
+      prev_hash: prevHash
+    };
+    entry.hash = computeAuditHash(entry);
+    prevHash = entry.hash;
+    entries.push(entry);
+  }
+  return entries;
+};
+
+const useChain = (entries) => {
+  AuditLogModel.findAfter = async (afterId, limit) =>
+    entries.filter(entry => Number(entry.id) > Number(afterId)).slice(0, limit);
+};
+
+describe('Audit service', () => {
+  test('hash does not depend on the key order of details', () => {
+    const [entry] = buildChain(1);
+    const reordered = { ...entry, details: { method: 'POST', statusCode: 200 } };
+    expect(computeAuditHash(reordered)).toBe(entry.hash);
+  });
+
+  test('verifies an intact chain across batches', async () => {
+    const entries = buildChain(7);
+    useChain(entries);
+
+    const result = await auditService.verifyChain(3);
+    expect(result.valid).toBe(true);
+    expect(result.checked).toBe(7);
+    expect(result.headHash).toBe(entries[6].hash);
+  });
+
+  test('detects an edited entry', async () => {
+    const entries = buildChain(5);
+    entries[2] = { ...entries[2], success: false };
+    useChain(entries);
+
+    const result = await auditService.verifyChain();
+    expect(result.valid).toBe(false);
+    expect(result.brokenAt).toBe('3');
+    expect(result.reason).toBe('HASH_MISMATCH');
+  });
+
+  test('detects a deleted entry', async () => {
+    const entries = buildChain(5);
+    entries.splice(1, 1);
+    useChain(entries);
+
+    const result = await auditService.verifyChain();
+    expect(result.valid).toBe(false);
+    expect(result.brokenAt).toBe('3');
+    expect(result.reason).toBe('PREV_HASH_MISMATCH');
+  });
+});
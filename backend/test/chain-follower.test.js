@@ -0,0 +1,281 @@
+/**
+ * Unit tests for chain-sync deposit detection in src/services/chain-follower.ts
+ * Uses a scripted chain-sync source, in-memory cursor and deposit stores and a
+ * stubbed transaction lookup
+ */
+
+import { ChainFollower, parseChainPoint } from '../src/services/chain-follower.js';
+
+const DEPOSIT_ADDRESS = 'addr_test_deposit';
+const SENDER = 'addr_test_sender';
+
+class ScriptedSource {
+  constructor() {
+    this.events = [];
+    this.intersections = [];
+    // Slots of blocks no longer on chain
+    this.lost = new Set();
+  }
+
+  forward(slot, height, transactions = []) {
+    this.events.push({ type: 'rollForward', block: { point: { slot, hash: `block-${slot}` }, height, transactions } });
+  }
+
+  backward(slot) {
+    this.events.push({ type: 'rollBackward', point: slot == null ? null : { slot, hash: `block-${slot}` } });
+  }
+
+  async intersect(points) {
+    this.intersections.push(points);
+    return points.find(point => !this.lost.has(point.slot)) ?? null;
+  }
+
+  async next() {
+    return this.events.shift() ?? null;
+  }
+
+  async close() {}
+}
+
+class MemoryPointStore {
+  constructor() {
+    this.points = [];
+  }
+
+  async findRecent(consumer, limit) {
+    return this.points
+      .filter(point => point.consumer === consumer)
+      .sort((a, b) => b.slot - a.slot)
+      .slice(0, limit);
+  }
+
+  async save(point, keep) {
+    this.points = this.points.filter(existing => existing.slot !== point.slot).concat({ ...point });
+    this.points = await this.findRecent(point.consumer, keep);
+  }
+
+  async deleteAfter(consumer, slot) {
+    const before = this.points.length;
+    this.points = this.points.filter(point => point.consumer !== consumer || point.slot <= slot);
+    return before - this.points.length;
+  }
+}
+
+class MemoryDepositStore {
+  constructor() {
+    this.deposits = new Map();
+  }
+
+  async createMany(deposits) {
+    for (const deposit of deposits) {
+      const existing = this.deposits.get(deposit.tx_hash);
+      if (!existing || existing.status === 'rolled_back') {
+        this.deposits.set(deposit.tx_hash, { ...deposit, status: 'pending' });
+      }
+    }
+  }
+
+  async findPending(maxHeight) {
+    return [...this.deposits.values()]
+      .filter(deposit => deposit.status === 'pending' && deposit.block_height <= maxHeight)
+      .map(deposit => ({ ...deposit }));
+  }
+
+  async markConfirmed(txHash, senderAddress) {
+    const deposit = this.deposits.get(txHash);
+    if (!deposit || deposit.status !== 'pending') return null;
+    Object.assign(deposit, { status: 'confirmed', sender_address: senderAddress });
+    return { ...deposit };
+  }
+
+  async rollBackAfter(slot) {
+    const reverted = [];
+    for (const deposit of this.deposits.values()) {
+      if (deposit.slot > slot && deposit.status !== 'rolled_back') {
+        reverted.push({ ...deposit });
+        deposit.status = 'rolled_back';
+      }
+    }
+    return reverted;
+  }
+}
+
+const depositTx = (txHash, lovelace = 2_000_000n, address = DEPOSIT_ADDRESS) => ({
+  txHash,
+  outputs: [{ address, assets: { lovelace } }, { address: SENDER, assets: { lovelace: 5_000_000n } }]
+});
+
+describe('Chain follower', () => {
+  let source;
+  let points;
+  let deposits;
+  let reported;
+  let rolledBack;
+  let knownTransactions;
+  let follower;
+
+  const createFollower = (config = {}) => new ChainFollower({
+    source,
+    chain: {
+      getTransaction: async (txHash) => knownTransactions.has(txHash)
+        ? { txHash, inputs: [{ address: SENDER, assets: {} }], outputs: [], blockHeight: 1, blockTime: 1700000000, confirmations: 1 }
+        : null
+    },
+    points,
+    deposits,
+    onDeposit: async (deposit) => reported.push(deposit),
+    onRollback: async (deposit) => rolledBack.push(deposit),
+    config: { consumer: 'test', depositAddress: DEPOSIT_ADDRESS, minAmount: 2_000_000n, confirmations: 3, keepPoints: 5, ...config }
+  });
+
+  const expectCode = async (promise, code) => {
+    try {
+      await promise;
+    } catch (error) {
+      expect(error.code).toBe(code);
+      return;
+    }
+    throw new Error(`Expected ${code}`);
+  };
+
+  beforeEach(() => {
+    source = new ScriptedSource();
+    points = new MemoryPointStore();
+    deposits = new MemoryDepositStore();
+    reported = [];
+    rolledBack = [];
+    knownTransactions = new Set(['tx-a', 'tx-b', 'tx-small']);
+    follower = createFollower();
+  });
+
+  test('reports a deposit once it has the required confirmations', async () => {
+    source.forward(10, 1, [depositTx('tx-a')]);
+    source.forward(20, 2);
+    await follower.syncToTip();
+    expect(reported).toHaveLength(0);
+    expect(deposits.deposits.get('tx-a').status).toBe('pending');
+
+    source.forward(30, 3);
+    await follower.syncToTip();
+    expect(reported).toHaveLength(1);
+    expect(reported[0].txHash).toBe('tx-a');
+    expect(reported[0].senderAddress).toBe(SENDER);
+    expect(reported[0].amount).toBe(2_000_000n);
+    expect(follower.getStatus().cursor).toEqual({ slot: 30, hash: 'block-30', height: 3 });
+  });
+
+  test('ignores outputs below the deposit amount or to other addresses', async () => {
+    source.forward(10, 1, [depositTx('tx-small', 1_000_000n), depositTx('tx-b', 2_000_000n, 'addr_test_other')]);
+    await follower.syncToTip();
+    expect(deposits.deposits.size).toBe(0);
+  });
+
+  test('a rollback discards an unconfirmed deposit until it is re-included', async () => {
+    source.forward(10, 1);
+    source.forward(20, 2, [depositTx('tx-a')]);
+    source.backward(10);
+    await follower.syncToTip();
+    expect(deposits.deposits.get('tx-a').status).toBe('rolled_back');
+    expect(points.points.map(point => point.slot)).toEqual([10]);
+
+    source.forward(25, 2, [depositTx('tx-a')]);
+    source.forward(35, 3);
+    source.forward(45, 4);
+    await follower.syncToTip();
+    expect(reported.map(deposit => deposit.slot)).toEqual([25]);
+    expect(rolledBack).toHaveLength(0);
+  });
+
+  test('a rollback past a reported deposit asks for it to be reverted', async () => {
+    source.forward(10, 1, [depositTx('tx-a')]);
+    source.forward(20, 2);
+    source.forward(30, 3);
+    source.backward(null);
+    await follower.syncToTip();
+
+    expect(reported).toHaveLength(1);
+    expect(rolledBack).toHaveLength(1);
+    expect(rolledBack[0].tx_hash).toBe('tx-a');
+    expect(rolledBack[0].sender_address).toBe(SENDER);
+    expect(points.points).toHaveLength(0);
+    expect(follower.getStatus().rollbacks).toBe(1);
+  });
+
+  test('keeps a deposit pending until its sender can be resolved', async () => {
+    knownTransactions.delete('tx-a');
+    source.forward(10, 1, [depositTx('tx-a')]);
+    source.forward(20, 2);
+    source.forward(30, 3);
+    await follower.syncToTip();
+    expect(reported).toHaveLength(0);
+
+    knownTransactions.add('tx-a');
+    source.forward(40, 4);
+    await follower.syncToTip();
+    expect(reported).toHaveLength(1);
+  });
+
+  test('resumes from the persisted cursor, newest point first', async () => {
+    for (let height = 1; height <= 7; height++) {
+      source.forward(height * 10, height);
+    }
+    await follower.syncToTip();
+    expect(points.points).toHaveLength(5);
+
+    const restarted = createFollower();
+    await restarted.syncToTip();
+    expect(source.intersections[1].map(point => point.slot)).toEqual([70, 60, 50, 40, 30]);
+    expect(restarted.getStatus().cursor).toEqual({ slot: 70, hash: 'block-70', height: 7 });
+  });
+
+  test('starts from the configured start point on first run', async () => {
+    follower = createFollower({ startPoint: { slot: 5, hash: 'block-5' } });
+    source.forward(10, 2, [depositTx('tx-a')]);
+    await follower.syncToTip();
+    expect(source.intersections[0]).toEqual([{ slot: 5, hash: 'block-5' }]);
+    expect(deposits.deposits.has('tx-a')).toBe(true);
+  });
+
+  test('stops instead of skipping to the tip when its cursor is lost', async () => {
+    source.forward(10, 1);
+    source.forward(20, 2);
+    await follower.syncToTip();
+    source.lost = new Set([10, 20]);
+
+    const restarted = createFollower();
+    await expectCode(restarted.syncToTip(), 'CURSOR_LOST');
+    expect(source.intersections).toHaveLength(2);
+
+    restarted.start();
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(restarted.getStatus().running).toBe(false);
+    expect(restarted.getStatus().haltReason).toContain('CHAIN_SYNC_START_POINT');
+  });
+
+  test('re-scans from the start point when its cursor is lost, reporting each deposit once', async () => {
+    source.forward(10, 1, [depositTx('tx-a')]);
+    source.forward(20, 2);
+    source.forward(30, 3);
+    await follower.syncToTip();
+    expect(reported).toHaveLength(1);
+    source.lost = new Set([10, 20, 30]);
+
+    const restarted = createFollower({ startPoint: { slot: 5, hash: 'block-5' } });
+    source.forward(10, 1, [depositTx('tx-a')]);
+    source.forward(20, 2);
+    source.forward(30, 3, [depositTx('tx-b')]);
+    source.forward(40, 4);
+    source.forward(50, 5);
+    await restarted.syncToTip();
+
+    expect(reported.map(deposit => deposit.txHash)).toEqual(['tx-a', 'tx-b']);
+    expect(rolledBack).toHaveLength(0);
+    expect(restarted.getStatus().cursor.slot).toBe(50);
+  });
+
+  test('parses <slot>.<block hash> start points', () => {
+    const hash = 'ab'.repeat(32);
+    expect(parseChainPoint(`4492800.${hash}`)).toEqual({ slot: 4492800, hash });
+    expect(() => parseChainPoint('4492800')).toThrow('is not a <slot>.<block hash> chain point');
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Deposit, verification and refund against the in-memory chain provider in
+ * src/services/chain-provider.ts. Runs on the Lucid Emulator, so no network
+ * access or API keys are needed.
+ */
+
+import { Lucid, generateEmulatorAccountFromPrivateKey } from '@lucid-evolution/lucid';
+import { EmulatorChainProvider, lovelaceOf } from '../src/services/chain-provider.js';
+import { BlockchainVerifier } from '../src/enhanced-k33p-manager-db.js';
+
+const DEPOSIT = 2_000_000n;
+
+describe('Emulator chain provider', () => {
+  let keys;
+  let addresses;
+  let chain;
+
+  const walletOf = async (name) => {
+    const lucid = await Lucid(chain.lucidProvider, chain.network);
+    lucid.selectWallet.fromPrivateKey(keys[name]);
+    return lucid;
+  };
+
+  const pay = async (from, to, lovelace) => {
+    const lucid = await walletOf(from);
+    const tx = await lucid.newTx().pay.ToAddress(addresses[to], { lovelace }).complete();
+    const signed = await tx.sign.withWallet().complete();
+    return signed.submit();
+  };
+
+  beforeEach(async () => {
+    const accounts = {
+      user: generateEmulatorAccountFromPrivateKey({ lovelace: 50_000_000n }),
+      other: generateEmulatorAccountFromPrivateKey({ lovelace: 50_000_000n }),
+      backend: generateEmulatorAccountFromPrivateKey({ lovelace: 50_000_000n }),
+      deposit: generateEmulatorAccountFromPrivateKey({})
+    };
+    keys = {};
+    addresses = {};
+    for (const [name, account] of Object.entries(accounts)) {
+      keys[name] = account.privateKey;
+      addresses[name] = account.address;
+    }
+    chain = new EmulatorChainProvider([accounts.user, accounts.other, accounts.backend]);
+  });
+
+  test('records submitted transactions and confirms them per block', async () => {
+    const txHash = await pay('user', 'deposit', DEPOSIT);
+
+    const pending = await chain.getTransaction(txHash);
+    expect(pending.blockHeight).toBe(null);
+    expect(pending.confirmations).toBe(0);
+    expect(pending.inputs[0].address).toBe(addresses.user);
+
+    chain.awaitBlock();
+    chain.awaitBlock(2);
+    const confirmed = await chain.getTransaction(txHash);
+    expect(confirmed.confirmations).toBe(3);
+    expect(lovelaceOf(confirmed.outputs.find(output => output.address === addresses.deposit))).toBe(DEPOSIT);
+
+    expect((await chain.getUtxos(addresses.deposit))).toHaveLength(1);
+    expect((await chain.getAddressTransactions(addresses.user, 10)).map(tx => tx.txHash)).toEqual([txHash]);
+    expect((await chain.getTip()).blockHeight).toBe(3);
+  });
+
+  test('deposit is verified and refunded to the sender', async () => {
+    const verifier = new BlockchainVerifier(chain);
+    await verifier.setDepositAddress(addresses.deposit);
+
+    const depositHash = await pay('user', 'deposit', DEPOSIT);
+    chain.awaitBlock();
+
+    const result = await verifier.verifyTransactionByWalletAddress(addresses.user, DEPOSIT);
+    expect(result.isValid).toBe(true);
+    expect(result.transaction.txHash).toBe(depositHash);
+    expect(result.transaction.fromAddress).toBe(addresses.user);
+    expect(result.transaction.confirmations).toBe(1);
+
+    const refundHash = await pay('backend', 'user', DEPOSIT);
+    chain.awaitBlock();
+
+    const refund = await chain.getTransaction(refundHash);
+    expect(refund.inputs[0].address).toBe(addresses.backend);
+    expect(lovelaceOf(refund.outputs.find(output => output.address === addresses.user))).toBe(DEPOSIT);
+    expect((await chain.getAddressTransactions(addresses.user, 10)).map(tx => tx.txHash)).toEqual([refundHash, depositHash]);
+  });
+
+  test('rejects deposits below the required amount', async () => {
+    const verifier = new BlockchainVerifier(chain);
+    await verifier.setDepositAddress(addresses.deposit);
+
+    await pay('user', 'deposit', 1_500_000n);
+    chain.awaitBlock();
+
+    expect((await verifier.verifyTransactionByWalletAddress(addresses.user, DEPOSIT)).isValid).toBe(false);
+  });
+
+  test('rejects deposits sent from another wallet', async () => {
+    const verifier = new BlockchainVerifier(chain);
+    await verifier.setDepositAddress(addresses.deposit);
+
+    await pay('other', 'deposit', DEPOSIT);
+    await pay('user', 'other', DEPOSIT);
+    chain.awaitBlock();
+
+    expect((await verifier.verifyTransactionByWalletAddress(addresses.user, DEPOSIT)).isValid).toBe(false);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Unit tests for the accepted deposit assets in src/services/deposit-assets.ts
+ */
+
+import {
+  DepositAssetError,
+  matchDepositAsset,
+  parseDepositAssets,
+  splitUnit,
+  unitOf
+} from '../src/services/deposit-assets.js';
+
+const POLICY = 'f66d78b4a3cb3d37afa0ec36461e51ecbde00f26c8f0a68f94b69880';
+const DJED = `${POLICY}446a65644d6963726f555344`;
+
+describe('Deposit assets', () => {
+  test('defaults to 2 ADA', () => {
+    expect(parseDepositAssets('')).toEqual([
+      { unit: 'lovelace', policyId: '', assetName: '', amount: 2000000n, label: 'ADA' }
+    ]);
+  });
+
+  test('parses lovelace and token entries in order', () => {
+    const assets = parseDepositAssets(`lovelace:2000000, ${DJED}:2000000:DJED`);
+    expect(assets).toHaveLength(2);
+    expect(assets[1]).toEqual({
+      unit: DJED,
+      policyId: POLICY,
+      assetName: '446a65644d6963726f555344',
+      amount: 2000000n,
+      label: 'DJED'
+    });
+  });
+
+  test('rejects malformed entries', () => {
+    expect(() => parseDepositAssets('lovelace')).toThrow(DepositAssetError);
+    expect(() => parseDepositAssets('lovelace:0')).toThrow(DepositAssetError);
+    expect(() => parseDepositAssets('lovelace:1.5')).toThrow(DepositAssetError);
+    expect(() => parseDepositAssets('abcd:100')).toThrow(DepositAssetError);
+    expect(() => parseDepositAssets(`${POLICY}4:100`)).toThrow(DepositAssetError);
+    expect(() => parseDepositAssets('lovelace:1,lovelace:2')).toThrow(DepositAssetError);
+  });
+
+  test('matches the first accepted asset held in full', () => {
+    const accepted = parseDepositAssets(`lovelace:2000000,${DJED}:2000000:DJED`);
+
+    const token = matchDepositAsset({ lovelace: 1500000n, [DJED]: 2500000n }, accepted);
+    expect(token.asset.label).toBe('DJED');
+    expect(token.quantity).toBe(2500000n);
+
+    const ada = matchDepositAsset({ lovelace: 2000000n, [DJED]: 2500000n }, accepted);
+    expect(ada.asset.unit).toBe('lovelace');
+
+    expect(matchDepositAsset({ lovelace: 1500000n, [DJED]: 1999999n }, accepted)).toBeNull();
+  });
+
+  test('units round-trip through the stored policy id and asset name', () => {
+    const { policyId, assetName } = splitUnit(DJED);
+    expect(unitOf(policyId, assetName)).toBe(DJED);
+    expect(unitOf('', '')).toBe('lovelace');
+    expect(unitOf(undefined, undefined)).toBe('lovelace');
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * Unit tests for the dead-man's-switch inheritance state machine in
+ * src/services/inheritance-service.ts
+ * Uses an in-memory plan store and stubbed notifications and NOK contract
+ */
+
+import { InheritanceService } from '../src/services/inheritance-service.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = new Date('2025-01-01T00:00:00Z');
+const at = (days) => new Date(START.getTime() + days * DAY);
+
+class MemoryPlanStore {
+  constructor() {
+    this.plans = new Map();
+  }
+
+  async findByUserId(userId) {
+    const plan = this.plans.get(userId);
+    return plan ? { ...plan } : null;
+  }
+
+  async upsert(plan) {
+    this.plans.set(plan.user_id, { ...plan });
+    return { ...plan };
+  }
+
+  async transition(userId, from, updates) {
+    const plan = this.plans.get(userId);
+    if (!plan || !from.includes(plan.state)) return null;
+    Object.assign(plan, updates);
+    return { ...plan };
+  }
+
+  async findDue(now) {
+    return [...this.plans.values()]
+      .filter(plan => plan.next_action_at && plan.next_action_at <= now)
+      .map(plan => ({ ...plan }));
+  }
+
+  async delete(userId) {
+    return this.plans.delete(userId);
+  }
+}
+
+const expectCode = async (promise, code) => {
+  let error;
+  try {
+    await promise;
+  } catch (err) {
+    error = err;
+  }
+  expect(error && error.code).toBe(code);
+};
+
+describe('Inheritance service', () => {
+  let store;
+  let notifications;
+  let approvals;
+  let approveResult;
+  let service;
+
+  beforeEach(() => {
+    store = new MemoryPlanStore();
+    notifications = [];
+    approvals = [];
+    approveResult = async () => true;
+    service = new InheritanceService({
+      store,
+      notify: async (dto) => notifications.push(dto),
+      approveNokLogin: async (userId, nokIdentifier) => {
+        approvals.push({ userId, nokIdentifier });
+        return approveResult();
+      },
+      isRegisteredNok: async (userId, nokIdentifier) => ['nok-alice', 'nok-bob'].includes(nokIdentifier),
+      audit: async () => {},
+      config: { checkInWindowDays: 7, gracePeriodDays: 14, minInactivityDays: 30, maxInactivityDays: 365 }
+    });
+  });
+
+  // Configure a 30-day plan and run the scheduler until the claim window opens
+  const openClaimWindow = async (userId) => {
+    await service.configurePlan(userId, 30, START);
+    await service.processDuePlans(at(30));
+    await service.processDuePlans(at(37));
+    return store.findByUserId(userId);
+  };
+
+  test('rejects inactivity periods outside the configured range', async () => {
+    await expectCode(service.configurePlan('owner', 7, START), 'INVALID_PERIOD');
+  });
+
+  test('asks the owner to check in once the inactivity period has passed', async () => {
+    await service.configurePlan('owner', 30, START);
+
+    expect((await service.processDuePlans(at(29))).checkInsRequested).toBe(0);
+    expect((await service.processDuePlans(at(30))).checkInsRequested).toBe(1);
+
+    const plan = await store.findByUserId('owner');
+    expect(plan.state).toBe('check_in_sent');
+    expect(plan.next_action_at).toEqual(at(37));
+    expect(notifications[0].user_id).toBe('owner');
+  });
+
+  test('a check-in returns the plan to active and restarts the period', async () => {
+    await service.configurePlan('owner', 30, START);
+    await service.processDuePlans(at(30));
+
+    const status = await service.checkIn('owner', at(32));
+    expect(status.state).toBe('active');
+    expect(status.nextActionAt).toEqual(at(62));
+    expect((await service.processDuePlans(at(40))).claimWindowsOpened).toBe(0);
+  });
+
+  test('opens the claim window when the owner does not respond', async () => {
+    const plan = await openClaimWindow('owner');
+    expect(plan.state).toBe('claimable');
+    expect(plan.next_action_at).toBe(null);
+  });
+
+  test('claims are refused until the claim window opens', async () => {
+    await service.configurePlan('owner', 30, START);
+    await expectCode(service.claim('owner', 'nok-alice', at(1)), 'CLAIM_NOT_OPEN');
+    await expectCode(service.claim('no-plan', 'nok-alice', at(1)), 'CLAIM_NOT_OPEN');
+  });
+
+  test('refuses claims from anyone but a registered next-of-kin', async () => {
+    await openClaimWindow('owner');
+    await expectCode(service.claim('owner', 'squatter', at(40)), 'CLAIM_NOT_OPEN');
+    expect((await store.findByUserId('owner')).state).toBe('claimable');
+
+    expect((await service.claim('owner', 'nok-bob', at(41))).state).toBe('claimed');
+  });
+
+  test('does not show who claimed in the plan status', async () => {
+    await openClaimWindow('owner');
+    await service.claim('owner', 'nok-alice', at(40));
+    expect(JSON.stringify(await service.getPlan('owner'))).not.toContain('nok-alice');
+  });
+
+  test('releases a claim on the contract only after the grace period', async () => {
+    await openClaimWindow('owner');
+    const claim = await service.claim('owner', ' nok-alice ', at(40));
+    expect(claim.graceEndsAt).toEqual(at(54));
+
+    expect((await service.authorizeNokLogin('owner', 'nok-alice')).allowed).toBe(false);
+    await service.processDuePlans(at(53));
+    expect(approvals).toHaveLength(0);
+
+    expect((await service.processDuePlans(at(54))).released).toBe(1);
+    expect(approvals).toEqual([{ userId: 'owner', nokIdentifier: 'nok-alice' }]);
+    expect((await service.authorizeNokLogin('owner', 'nok-alice')).allowed).toBe(true);
+    expect((await service.authorizeNokLogin('owner', 'nok-bob')).allowed).toBe(false);
+  });
+
+  test('the owner can veto during the grace period', async () => {
+    await openClaimWindow('owner');
+    await service.claim('owner', 'nok-alice', at(40));
+
+    const status = await service.veto('owner', at(45));
+    expect(status.state).toBe('active');
+    expect((await store.findByUserId('owner')).claim_nok_identifier).toBe(null);
+
+    await service.processDuePlans(at(54));
+    expect(approvals).toHaveLength(0);
+    await expectCode(service.veto('owner', at(46)), 'NO_OPEN_CLAIM');
+  });
+
+  test('reopens the claim window when the contract does not approve the claimant', async () => {
+    await openClaimWindow('owner');
+    await service.claim('owner', 'nok-alice', at(40));
+    approveResult = async () => false;
+
+    expect((await service.processDuePlans(at(54))).rejected).toBe(1);
+    const plan = await store.findByUserId('owner');
+    expect(plan.state).toBe('claimable');
+    expect(plan.claim_nok_identifier).toBe(null);
+  });
+
+  test('retries the contract approval after a failure', async () => {
+    await openClaimWindow('owner');
+    await service.claim('owner', 'nok-alice', at(40));
+    approveResult = async () => {
+      throw new Error('proof server unavailable');
+    };
+
+    expect((await service.processDuePlans(at(54))).failed).toBe(1);
+    const plan = await store.findByUserId('owner');
+    expect(plan.state).toBe('claimed');
+    expect(plan.last_error).toBe('proof server unavailable');
+
+    approveResult = async () => true;
+    expect((await service.processDuePlans(at(55))).released).toBe(1);
+  });
+
+  test('users without a plan keep instant NOK approval', async () => {
+    expect(await service.authorizeNokLogin('no-plan', 'nok-alice')).toEqual({ allowed: true, state: null });
+  });
+});
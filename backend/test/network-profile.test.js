@@ -0,0 +1,60 @@
+/**
+ * Unit tests for network selection and address checks in
+ * src/services/network-profile.ts
+ */
+
+import { bech32 } from 'bech32';
+import {
+  assertNetworkAddress,
+  getNetworkProfile,
+  isNetworkAddress,
+  NETWORK_PROFILES
+} from '../src/services/network-profile.js';
+
+// Enterprise address (header type 6) with a dummy key hash
+const address = (prefix, networkId, type = 6) =>
+  bech32.encode(prefix, bech32.toWords(Buffer.from([(type << 4) | networkId, ...Array(28).fill(7)])), 1023);
+
+const expectCode = (fn, code) => {
+  try {
+    fn();
+  } catch (error) {
+    expect(error.code).toBe(code);
+    return;
+  }
+  throw new Error(`Expected ${code}`);
+};
+
+describe('Network profiles', () => {
+  test('selects a profile by name, case-insensitively', () => {
+    expect(getNetworkProfile('Mainnet')).toBe(NETWORK_PROFILES.mainnet);
+    expect(getNetworkProfile('PREVIEW').lucidNetwork).toBe('Preview');
+    expect(getNetworkProfile('preprod').blockfrostUrl).toBe('https://cardano-preprod.blockfrost.io/api/v0');
+  });
+
+  test('defaults to preprod', () => {
+    expect(getNetworkProfile('').name).toBe('preprod');
+  });
+
+  test('rejects unknown networks', () => {
+    expectCode(() => getNetworkProfile('testnet'), 'UNSUPPORTED_NETWORK');
+  });
+
+  test('accepts payment addresses of the active network', () => {
+    expect(isNetworkAddress(address('addr', 1), NETWORK_PROFILES.mainnet)).toBe(true);
+    expect(isNetworkAddress(address('addr_test', 0), NETWORK_PROFILES.preprod)).toBe(true);
+    expect(isNetworkAddress(address('addr_test', 0, 7), NETWORK_PROFILES.preview)).toBe(true);
+  });
+
+  test('rejects addresses of another network', () => {
+    expectCode(() => assertNetworkAddress(address('addr_test', 0), NETWORK_PROFILES.mainnet), 'WRONG_NETWORK');
+    expectCode(() => assertNetworkAddress(address('addr', 1), NETWORK_PROFILES.preprod), 'WRONG_NETWORK');
+    // Prefix and header disagree
+    expectCode(() => assertNetworkAddress(address('addr', 0), NETWORK_PROFILES.mainnet), 'WRONG_NETWORK');
+  });
+
+  test('rejects anything that is not a bech32 payment address', () => {
+    expectCode(() => assertNetworkAddress('addr_test1invalid', NETWORK_PROFILES.preprod), 'INVALID_ADDRESS');
+    expectCode(() => assertNetworkAddress(address('stake_test', 0, 14), NETWORK_PROFILES.preprod), 'INVALID_ADDRESS');
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Unit tests for K-of-N next-of-kin approval in src/services/nok-approval.ts
+ * The contract is an in-memory ledger applying nok.compact's rules for one
+ * owner, so each check can be followed through a whole confirm / threshold /
+ * revoke / approve-login flow
+ */
+
+import { approvalRefusal, revokeRefusal, thresholdRefusal, toNokStatus } from '../src/services/nok-approval.js';
+
+class MemoryNokLedger {
+  constructor() {
+    this.noks = new Map();
+    this.threshold = null;
+    this.confirmations = new Set();
+  }
+
+  register(nokHash) {
+    if (this.noks.has(nokHash)) throw new Error('nok already registered');
+    this.noks.set(nokHash, BigInt(this.noks.size));
+    this.confirmations.clear();
+  }
+
+  revoke(nokHash) {
+    if (!this.noks.has(nokHash)) throw new Error('nok not registered');
+    if (this.noks.size !== 1 && this.noks.size <= (this.threshold ?? 1)) {
+      throw new Error('revoke would leave fewer noks than the threshold');
+    }
+    this.noks.delete(nokHash);
+    if (this.noks.size === 0) this.threshold = null;
+    this.confirmations.clear();
+  }
+
+  setThreshold(threshold) {
+    if (threshold < 1 || threshold > this.noks.size) throw new Error('threshold exceeds registered noks');
+    this.threshold = threshold;
+    this.confirmations.clear();
+  }
+
+  confirm(nokHash) {
+    if (!this.noks.has(nokHash)) throw new Error('nok not registered');
+    this.confirmations.add(nokHash);
+    return this.confirmations.size;
+  }
+
+  approve(nokHash) {
+    if (!this.noks.has(nokHash)) throw new Error('nok not registered');
+    this.confirmations.add(nokHash);
+    if (this.confirmations.size < (this.threshold ?? 1)) throw new Error('not enough nok confirmations');
+    this.confirmations.clear();
+    return true;
+  }
+
+  // Shaped like getNokApprovalStatus in the NOK CLI
+  read() {
+    return {
+      threshold: BigInt(this.threshold ?? 1),
+      registered: BigInt(this.noks.size),
+      confirmations: BigInt(this.confirmations.size),
+      noks: [...this.noks].map(([nokHash, registeredAt]) => ({
+        nokHash,
+        registeredAt,
+        confirmed: this.confirmations.has(nokHash)
+      }))
+    };
+  }
+}
+
+describe('K-of-N next-of-kin approval', () => {
+  let ledger;
+
+  const status = (nokHash) => toNokStatus('owner', '42', ledger.read(), nokHash);
+
+  beforeEach(() => {
+    ledger = new MemoryNokLedger();
+    for (const nok of ['111', '222', '333']) ledger.register(nok);
+  });
+
+  test('approves a single NOK at once with the default threshold', () => {
+    expect(status('111').nok.remainingConfirmations).toBe(0);
+    expect(approvalRefusal(status('111'))).toBe(null);
+    expect(ledger.approve('111')).toBe(true);
+  });
+
+  test('waits for the threshold, counting the approving NOK', () => {
+    ledger.setThreshold(3);
+    expect(approvalRefusal(status('111'))).toBe('Waiting for 2 more next-of-kin confirmation(s)');
+
+    ledger.confirm('222');
+    expect(status('111').nok.remainingConfirmations).toBe(1);
+    expect(() => ledger.approve('111')).toThrow('not enough nok confirmations');
+
+    ledger.confirm('333');
+    expect(approvalRefusal(status('111'))).toBe(null);
+    expect(ledger.approve('111')).toBe(true);
+    expect(status().confirmations).toBe(0);
+  });
+
+  test('counts a NOK that confirms twice once', () => {
+    ledger.setThreshold(2);
+    ledger.confirm('111');
+    ledger.confirm('111');
+
+    expect(status('111').nok).toEqual({ nokHash: '111', registered: true, confirmed: true, remainingConfirmations: 1 });
+    expect(status('222').nok.remainingConfirmations).toBe(0);
+  });
+
+  test('leaves approval of an unregistered NOK to the contract to refuse', () => {
+    ledger.setThreshold(2);
+    expect(status('999').nok.registered).toBe(false);
+    expect(approvalRefusal(status('999'))).toBe(null);
+    expect(() => ledger.approve('999')).toThrow('nok not registered');
+  });
+
+  test('caps the threshold at the registered NOKs', () => {
+    expect(thresholdRefusal(status(), 3)).toBe(null);
+    expect(thresholdRefusal(status(), 4)).toBe('threshold cannot exceed the 3 registered next-of-kin');
+  });
+
+  test('refuses a revoke that would leave fewer NOKs than the threshold', () => {
+    ledger.setThreshold(3);
+    expect(revokeRefusal(status('111'))).toContain('Lower the threshold first');
+    expect(() => ledger.revoke('111')).toThrow();
+
+    ledger.setThreshold(2);
+    expect(revokeRefusal(status('111'))).toBe(null);
+    ledger.revoke('111');
+    expect(status().registered).toBe(2);
+  });
+
+  test('refuses to revoke a NOK that is not registered', () => {
+    expect(revokeRefusal(status('999'))).toBe('This next-of-kin is not registered');
+  });
+
+  test('lets the last NOK be revoked whatever the threshold', () => {
+    ledger.revoke('333');
+    ledger.revoke('222');
+    expect(revokeRefusal(status('111'))).toBe(null);
+    ledger.revoke('111');
+    expect(status().threshold).toBe(1);
+  });
+
+  test('drops pending confirmations when the NOK set or threshold changes', () => {
+    ledger.setThreshold(2);
+    ledger.confirm('222');
+    expect(status('111').nok.remainingConfirmations).toBe(0);
+
+    ledger.register('444');
+    expect(status('111').nok.remainingConfirmations).toBe(1);
+    expect(approvalRefusal(status('111'))).toBe('Waiting for 1 more next-of-kin confirmation(s)');
+  });
+});
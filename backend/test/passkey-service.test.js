@@ -0,0 +1,242 @@
+/**
+ * Unit tests for WebAuthn passkeys in src/services/passkey-service.ts
+ * The authenticator is a P-256 key in the test producing "none" attestations
+ * and signed assertions; credentials and challenges live in memory
+ */
+
+import crypto from 'crypto';
+import { isoCBOR } from '@simplewebauthn/server/helpers';
+import { PasskeyService, hasNonPasskeyAuthMethod } from '../src/services/passkey-service.js';
+import { VerificationStore } from '../src/services/verification-store.js';
+
+const RP_ID = 'localhost';
+const ORIGIN = 'http://localhost:3000';
+
+const b64url = (bytes) => Buffer.from(bytes).toString('base64url');
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.records = new Map();
+  }
+
+  async put(id, record) {
+    this.records.set(id, { ...record });
+  }
+
+  async get(id) {
+    const record = this.records.get(id);
+    return record && record.expiresAt > new Date() ? { ...record } : null;
+  }
+
+  async delete(id) {
+    this.records.delete(id);
+  }
+}
+
+// Shaped like AuthDataModel over auth_data
+class MemoryAuthData {
+  constructor() {
+    this.rows = [];
+  }
+
+  async findByUserId(userId) {
+    return this.rows.filter(row => row.user_id === userId);
+  }
+
+  async findPasskeysByUserId(userId) {
+    return this.rows.filter(row => row.user_id === userId && row.auth_type === 'passkey');
+  }
+
+  async findPasskeyByCredentialId(credentialId) {
+    return this.rows.find(row => row.credential_id === credentialId) ?? null;
+  }
+
+  async createPasskey(data) {
+    const row = { ...data, auth_type: 'passkey', created_at: new Date() };
+    this.rows.push(row);
+    return row;
+  }
+
+  async updatePasskeyCounter(credentialId, signCount) {
+    (await this.findPasskeyByCredentialId(credentialId)).sign_count = signCount;
+    return true;
+  }
+
+  async removePasskey(userId, credentialId) {
+    const before = this.rows.length;
+    this.rows = this.rows.filter(row => row.user_id !== userId || row.credential_id !== credentialId);
+    return this.rows.length < before;
+  }
+}
+
+class Authenticator {
+  constructor() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const jwk = publicKey.export({ format: 'jwk' });
+    this.privateKey = privateKey;
+    this.credentialId = crypto.randomBytes(16);
+    this.counter = 0;
+    this.cosePublicKey = isoCBOR.encode(new Map([
+      [1, 2],
+      [3, -7],
+      [-1, 1],
+      [-2, new Uint8Array(Buffer.from(jwk.x, 'base64url'))],
+      [-3, new Uint8Array(Buffer.from(jwk.y, 'base64url'))]
+    ]));
+  }
+
+  authenticatorData(attested) {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(++this.counter);
+    // User present and verified, plus attested credential data on registration
+    const parts = [sha256(RP_ID), Buffer.from([attested ? 0x45 : 0x05]), counter];
+    if (attested) {
+      const length = Buffer.alloc(2);
+      length.writeUInt16BE(this.credentialId.length);
+      parts.push(Buffer.alloc(16), length, this.credentialId, Buffer.from(this.cosePublicKey));
+    }
+    return Buffer.concat(parts);
+  }
+
+  clientData(type, challenge) {
+    return Buffer.from(JSON.stringify({ type, challenge, origin: ORIGIN, crossOrigin: false }));
+  }
+
+  register(options) {
+    const attestationObject = isoCBOR.encode(new Map([
+      ['fmt', 'none'],
+      ['attStmt', new Map()],
+      ['authData', new Uint8Array(this.authenticatorData(true))]
+    ]));
+    return {
+      id: b64url(this.credentialId),
+      rawId: b64url(this.credentialId),
+      type: 'public-key',
+      response: {
+        clientDataJSON: b64url(this.clientData('webauthn.create', options.challenge)),
+        attestationObject: b64url(attestationObject),
+        transports: ['internal']
+      },
+      clientExtensionResults: {}
+    };
+  }
+
+  assert(options) {
+    const authenticatorData = this.authenticatorData(false);
+    const clientDataJSON = this.clientData('webauthn.get', options.challenge);
+    const signature = crypto.sign('sha256', Buffer.concat([authenticatorData, sha256(clientDataJSON)]), this.privateKey);
+    return {
+      id: b64url(this.credentialId),
+      rawId: b64url(this.credentialId),
+      type: 'public-key',
+      response: {
+        clientDataJSON: b64url(clientDataJSON),
+        authenticatorData: b64url(authenticatorData),
+        signature: b64url(signature)
+      },
+      clientExtensionResults: {}
+    };
+  }
+}
+
+const expectCode = async (promise, code) => {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error.code).toBe(code);
+    return;
+  }
+  throw new Error(`Expected ${code}`);
+};
+
+describe('Passkey service', () => {
+  let authData;
+  let service;
+  let authenticator;
+
+  const register = async (userId, device = authenticator) => {
+    const options = await service.beginRegistration({ userId, userName: userId });
+    return service.completeRegistration(userId, device.register(options), 'Laptop');
+  };
+
+  const signIn = async (userId, device = authenticator) => {
+    const options = await service.beginAuthentication(userId);
+    return service.completeAuthentication(device.assert(options));
+  };
+
+  beforeEach(() => {
+    authData = new MemoryAuthData();
+    service = new PasskeyService(authData, new VerificationStore(new MemoryBackend()));
+    authenticator = new Authenticator();
+  });
+
+  test('registers a passkey and signs in with it', async () => {
+    const passkey = await register('user-1');
+    expect(passkey.credentialId).toBe(b64url(authenticator.credentialId));
+    expect(passkey.name).toBe('Laptop');
+
+    expect(await signIn('user-1')).toBe('user-1');
+    expect(authData.rows[0].sign_count).toBe(2);
+  });
+
+  test('a challenge can only be answered once', async () => {
+    await register('user-1');
+    const assertion = authenticator.assert(await service.beginAuthentication('user-1'));
+    await service.completeAuthentication(assertion);
+    await expectCode(service.completeAuthentication(assertion), 'CHALLENGE_NOT_FOUND');
+  });
+
+  test('refuses an assertion signed by another key', async () => {
+    await register('user-1');
+    const impostor = new Authenticator();
+    impostor.credentialId = authenticator.credentialId;
+    impostor.counter = 10;
+    await expectCode(signIn('user-1', impostor), 'PASSKEY_VERIFICATION_FAILED');
+  });
+
+  test('refuses a credential registered twice', async () => {
+    await register('user-1');
+    await expectCode(register('user-2'), 'PASSKEY_ALREADY_REGISTERED');
+  });
+
+  test('removes a passkey while another remains', async () => {
+    await register('user-1');
+    const spare = new Authenticator();
+    await register('user-1', spare);
+
+    expect(await service.removePasskey('user-1', b64url(authenticator.credentialId), [])).toBe(1);
+    await expectCode(signIn('user-1'), 'PASSKEY_NOT_FOUND');
+    expect(await signIn('user-1', spare)).toBe('user-1');
+  });
+
+  test('refuses to remove the last way to sign in', async () => {
+    await register('user-1');
+    const credentialId = b64url(authenticator.credentialId);
+
+    await expectCode(service.removePasskey('user-1', credentialId, []), 'LAST_AUTH_METHOD');
+    await expectCode(service.removePasskey('user-1', credentialId, '[{"type":"passkey"}]'), 'LAST_AUTH_METHOD');
+    await expectCode(service.removePasskey('user-1', credentialId, 'not json'), 'LAST_AUTH_METHOD');
+    expect(await service.removePasskey('user-1', credentialId, '[{"type":"pin","createdAt":"2025-01-01"}]')).toBe(0);
+  });
+
+  test('counts another auth_data record as a way to sign in', async () => {
+    await register('user-1');
+    authData.rows.push({ user_id: 'user-1', auth_type: 'pin' });
+    expect(await service.removePasskey('user-1', b64url(authenticator.credentialId), null)).toBe(0);
+  });
+
+  test('refuses to remove a passkey of another user', async () => {
+    await register('user-1');
+    await expectCode(service.removePasskey('user-2', b64url(authenticator.credentialId), [{ type: 'pin' }]), 'PASSKEY_NOT_FOUND');
+  });
+
+  test('reads auth_methods given as an array or as JSON text', () => {
+    expect(hasNonPasskeyAuthMethod([{ type: 'face' }])).toBe(true);
+    expect(hasNonPasskeyAuthMethod('[{"type":"pin"}]')).toBe(true);
+    expect(hasNonPasskeyAuthMethod('[]')).toBe(false);
+    expect(hasNonPasskeyAuthMethod([{ type: 'passkey' }])).toBe(false);
+    expect(hasNonPasskeyAuthMethod(undefined)).toBe(false);
+  });
+});
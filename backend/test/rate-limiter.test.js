@@ -0,0 +1,135 @@
+/**
+ * Unit tests for the rate limiting middleware in src/middleware/rate-limiter.ts
+ * Uses the in-memory store so no Redis connection is needed
+ */
+
+import {
+  createRateLimiter,
+  keyExtractors,
+  MemoryRateLimitStore
+} from '../src/middleware/rate-limiter.js';
+
+const WINDOW_MS = 60 * 1000;
+
+const mockRequest = (overrides = {}) => ({
+  ip: '10.0.0.1',
+  method: 'POST',
+  baseUrl: '/api/test',
+  path: '/',
+  headers: {},
+  body: {},
+  ...overrides
+});
+
+const mockResponse = () => {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.set = (field, value) => {
+    if (typeof field === 'string') res.headers[field] = value;
+    else Object.assign(res.headers, field);
+    return res;
+  };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+const hit = async (limiter, req = mockRequest()) => {
+  const res = mockResponse();
+  let passed = false;
+  await limiter(req, res, () => { passed = true; });
+  return { passed, res };
+};
+
+describe('Rate limiter middleware', () => {
+  test('limits each named bucket independently and uses the configured message', async () => {
+    const store = new MemoryRateLimitStore();
+    const first = createRateLimiter({ name: 'test-first', store, windowMs: WINDOW_MS, max: 2, message: 'Slow down' });
+    const second = createRateLimiter({ name: 'test-second', store, windowMs: WINDOW_MS, max: 2 });
+
+    expect((await hit(first)).passed).toBe(true);
+    expect((await hit(first)).passed).toBe(true);
+
+    const limited = await hit(first);
+    expect(limited.passed).toBe(false);
+    expect(limited.res.statusCode).toBe(429);
+    expect(limited.res.body.error).toBe('Slow down');
+    expect(Number(limited.res.headers['Retry-After'])).toBeGreaterThan(0);
+
+    // Same IP, different limiter
+    expect((await hit(second)).passed).toBe(true);
+  });
+
+  test('sets the standard RateLimit headers', async () => {
+    const limiter = createRateLimiter({ name: 'test-headers', store: new MemoryRateLimitStore(), windowMs: WINDOW_MS, max: 5 });
+    const { res } = await hit(limiter);
+
+    expect(res.headers['RateLimit-Limit']).toBe('5');
+    expect(res.headers['RateLimit-Remaining']).toBe('4');
+    expect(res.headers['RateLimit-Policy']).toBe('5;w=60');
+    expect(Number(res.headers['RateLimit-Reset'])).toBeGreaterThan(0);
+  });
+
+  test('keys by phone hash and falls back to IP when no phone is given', async () => {
+    const store = new MemoryRateLimitStore();
+    const limiter = createRateLimiter({ name: 'test-phone', store, keyBy: keyExtractors.phoneHash, windowMs: WINDOW_MS, max: 1 });
+
+    expect((await hit(limiter, mockRequest({ body: { phoneNumber: '+1234567890' } }))).passed).toBe(true);
+    expect((await hit(limiter, mockRequest({ ip: '10.0.0.2', body: { phoneNumber: '+1234567890' } }))).passed).toBe(false);
+    expect((await hit(limiter, mockRequest({ body: { phoneNumber: '+1987654321' } }))).passed).toBe(true);
+    expect((await hit(limiter)).passed).toBe(true);
+
+    const buckets = await store.list('test-phone');
+    expect(buckets).toHaveLength(3);
+    expect(buckets.some(bucket => bucket.id === 'ip:10.0.0.1')).toBe(true);
+  });
+
+  test('token bucket refills over time', async () => {
+    const store = new MemoryRateLimitStore();
+    const policy = { algorithm: 'token-bucket', max: 2, windowMs: WINDOW_MS };
+    const start = Date.now();
+
+    expect((await store.consume('test-tokens', 'ip:1', policy, start)).allowed).toBe(true);
+    expect((await store.consume('test-tokens', 'ip:1', policy, start)).allowed).toBe(true);
+
+    const denied = await store.consume('test-tokens', 'ip:1', policy, start);
+    expect(denied.allowed).toBe(false);
+    expect(denied.retryAfterMs).toBe(WINDOW_MS / 2);
+
+    expect((await store.consume('test-tokens', 'ip:1', policy, start + WINDOW_MS / 2)).allowed).toBe(true);
+  });
+
+  test('sliding window weights the previous window', async () => {
+    const store = new MemoryRateLimitStore();
+    const policy = { algorithm: 'sliding-window', max: 4, windowMs: WINDOW_MS };
+    const windowStart = Math.floor(Date.now() / WINDOW_MS) * WINDOW_MS;
+
+    for (let i = 0; i < 4; i++) {
+      expect((await store.consume('test-window', 'ip:1', policy, windowStart)).allowed).toBe(true);
+    }
+
+    // A quarter into the next window, three quarters of the previous count still applies
+    const quarter = windowStart + WINDOW_MS + WINDOW_MS / 4;
+    expect((await store.consume('test-window', 'ip:1', policy, quarter)).allowed).toBe(true);
+    expect((await store.consume('test-window', 'ip:1', policy, quarter)).allowed).toBe(false);
+
+    const half = windowStart + WINDOW_MS + WINDOW_MS / 2;
+    expect((await store.consume('test-window', 'ip:1', policy, half)).allowed).toBe(true);
+  });
+
+  test('clears buckets by id', async () => {
+    const store = new MemoryRateLimitStore();
+    const limiter = createRateLimiter({ name: 'test-clear', store, windowMs: WINDOW_MS, max: 1 });
+
+    await hit(limiter);
+    expect((await hit(limiter)).passed).toBe(false);
+
+    expect(await store.clear('test-clear', ['ip:10.0.0.1'])).toBe(1);
+    expect((await hit(limiter)).passed).toBe(true);
+  });
+});
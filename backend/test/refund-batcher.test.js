@@ -0,0 +1,109 @@
+/**
+ * Unit tests for windowed refund batching in src/services/refund-batcher.ts
+ * The sender is a stub that records every batch and fails on request
+ */
+
+import { RefundBatcher } from '../src/services/refund-batcher.js';
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Refund batcher', () => {
+  let sent;
+  let failed;
+  let rejectWhen;
+  let batcher;
+
+  const createBatcher = (config) => new RefundBatcher({
+    send: async (items) => {
+      sent.push(items.map(item => item.address));
+      if (rejectWhen(items)) {
+        return { success: false, message: 'tx too large' };
+      }
+      return { success: true, message: 'ok', txHash: `tx-${sent.length}` };
+    },
+    keyOf: item => item.address,
+    onFailure: (item, message) => failed.push({ address: item.address, message }),
+    config
+  });
+
+  beforeEach(() => {
+    sent = [];
+    failed = [];
+    rejectWhen = () => false;
+    batcher = createBatcher({ windowMs: 20, maxBatchSize: 4 });
+  });
+
+  test('pays refunds queued within the window in one batch', async () => {
+    batcher.enqueue({ address: 'a' });
+    batcher.enqueue({ address: 'b' });
+    batcher.enqueue({ address: 'a' });
+    expect(batcher.pendingCount).toBe(2);
+    expect(sent).toHaveLength(0);
+
+    await delay(40);
+    expect(sent).toEqual([['a', 'b']]);
+    expect(batcher.pendingCount).toBe(0);
+  });
+
+  test('sends a full batch without waiting for the window', async () => {
+    for (const address of ['a', 'b', 'c', 'd', 'e']) {
+      batcher.enqueue({ address });
+    }
+    await batcher.flush();
+    expect(sent).toEqual([['a', 'b', 'c', 'd'], ['e']]);
+  });
+
+  test('splits a failed batch until the failing refund is isolated', async () => {
+    rejectWhen = items => items.some(item => item.address === 'c');
+    for (const address of ['a', 'b', 'c']) {
+      batcher.enqueue({ address });
+    }
+    await batcher.flush();
+
+    expect(sent).toEqual([['a', 'b', 'c'], ['a', 'b'], ['c']]);
+    expect(failed).toEqual([{ address: 'c', message: 'tx too large' }]);
+  });
+
+  test('treats a throwing sender as a failed batch', async () => {
+    batcher = new RefundBatcher({
+      send: async (items) => {
+        sent.push(items.map(item => item.address));
+        if (items.length > 1) throw new Error('UTxO contention');
+        return { success: true, message: 'ok' };
+      },
+      keyOf: item => item.address,
+      config: { windowMs: 20, maxBatchSize: 4 }
+    });
+    batcher.enqueue({ address: 'a' });
+    batcher.enqueue({ address: 'b' });
+    await batcher.flush();
+
+    expect(sent).toEqual([['a', 'b'], ['a'], ['b']]);
+  });
+
+  test('drops a refund removed before the batch is sent', async () => {
+    batcher.enqueue({ address: 'a' });
+    batcher.enqueue({ address: 'b' });
+    expect(batcher.remove('a')).toBe(true);
+    await batcher.flush();
+
+    expect(sent).toEqual([['b']]);
+    expect(batcher.remove('a')).toBe(false);
+  });
+
+  test('holds refunds while paused and sends them on resume', async () => {
+    batcher.pause();
+    for (const address of ['a', 'b', 'c', 'd', 'e']) {
+      batcher.enqueue({ address });
+    }
+    await batcher.flush();
+    await delay(40);
+    expect(sent).toHaveLength(0);
+    expect(batcher.pendingCount).toBe(5);
+
+    batcher.resume();
+    await batcher.flush();
+    expect(sent).toEqual([['a', 'b', 'c', 'd'], ['e']]);
+    expect(batcher.isPaused).toBe(false);
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Unit tests for the refund state machine in src/services/refund-outbox.ts
+ * Uses an in-memory outbox store with the same compare-and-set semantics as
+ * RefundOutboxModel and a stubbed chain provider
+ */
+
+import { RefundOutbox, RefundOutboxError } from '../src/services/refund-outbox.js';
+
+const NOW = Date.parse('2025-01-01T00:00:00Z');
+
+class MemoryOutboxStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async claim(entry) {
+    const existing = this.entries.get(entry.idempotency_key);
+    if (existing && existing.status !== 'failed') return null;
+    const claimed = {
+      ...entry,
+      id: existing?.id ?? `entry-${this.entries.size + 1}`,
+      status: 'queued',
+      tx_hash: null,
+      signed_tx: null,
+      valid_until: null,
+      attempts: (existing?.attempts ?? 0) + 1,
+      error: null,
+      updated_at: new Date(NOW)
+    };
+    this.entries.set(entry.idempotency_key, claimed);
+    return { ...claimed };
+  }
+
+  async transition(keys, from, to, changes = {}) {
+    const moved = [];
+    for (const key of keys) {
+      const entry = this.entries.get(key);
+      if (!entry || !from.includes(entry.status)) continue;
+      Object.assign(entry, changes, { status: to });
+      moved.push({ ...entry });
+    }
+    return moved;
+  }
+
+  async findByKey(key) {
+    const entry = this.entries.get(key);
+    return entry ? { ...entry } : null;
+  }
+
+  async findUnsettled() {
+    return [...this.entries.values()]
+      .filter(entry => ['queued', 'built', 'submitted'].includes(entry.status))
+      .map(entry => ({ ...entry }));
+  }
+}
+
+class StubChain {
+  constructor() {
+    this.transactions = new Map();
+    this.submitted = [];
+    this.tipTime = NOW / 1000;
+  }
+
+  async getTransaction(txHash) {
+    return this.transactions.get(txHash) ?? null;
+  }
+
+  async getTip() {
+    return { slot: 1, blockHeight: 1, time: this.tipTime };
+  }
+
+  async submitTx(cbor) {
+    this.submitted.push(cbor);
+    return `hash-of-${cbor}`;
+  }
+}
+
+const claimFor = (userAddress, depositId) => ({
+  userAddress,
+  refundAddress: userAddress,
+  depositId,
+  unit: 'lovelace',
+  amount: 2_000_000n
+});
+
+describe('Refund outbox', () => {
+  let store;
+  let chain;
+  let confirmed;
+  let failed;
+  let outbox;
+
+  beforeEach(() => {
+    store = new MemoryOutboxStore();
+    chain = new StubChain();
+    confirmed = [];
+    failed = [];
+    outbox = new RefundOutbox({
+      store,
+      chain,
+      onConfirmed: async entries => { confirmed.push(...entries); },
+      onFailed: async entries => { failed.push(...entries); },
+      config: { txValidityMs: 60_000, queuedTimeoutMs: 30_000 }
+    });
+  });
+
+  const send = async (keys, txHash) => {
+    await outbox.markBuilt(keys, txHash, `cbor-${txHash}`, outbox.validUntil(NOW));
+    await outbox.markSubmitted(keys);
+  };
+
+  it('keys refunds by deposit, falling back to the address', () => {
+    expect(RefundOutbox.keyFor('addr_a', 'dep-1')).toBe('deposit:dep-1');
+    expect(RefundOutbox.keyFor('addr_a', null)).toBe('address:addr_a');
+  });
+
+  it('claims a deposit only once while its refund is unsettled', async () => {
+    const first = await outbox.claim([claimFor('addr_a', 'dep-1'), claimFor('addr_b', 'dep-2')]);
+    expect(first.claimed).toHaveLength(2);
+
+    const second = await outbox.claim([claimFor('addr_a', 'dep-1'), claimFor('addr_c', 'dep-3')]);
+    expect(second.claimed.map(entry => entry.idempotency_key)).toEqual(['deposit:dep-3']);
+    expect(second.blocked.map(entry => entry.status)).toEqual(['queued']);
+  });
+
+  it('lets a failed refund be claimed again', async () => {
+    await outbox.claim([claimFor('addr_a', 'dep-1')]);
+    await outbox.release(['deposit:dep-1'], 'Build failed');
+
+    const again = await outbox.claim([claimFor('addr_a', 'dep-1')]);
+    expect(again.claimed).toHaveLength(1);
+    expect(again.claimed[0].attempts).toBe(2);
+  });
+
+  it('refuses to record a transaction whose claim was lost', async () => {
+    await outbox.claim([claimFor('addr_a', 'dep-1'), claimFor('addr_b', 'dep-2')]);
+    await store.transition(['deposit:dep-2'], ['queued'], 'failed');
+
+    let error;
+    try {
+      await outbox.markBuilt(['deposit:dep-1', 'deposit:dep-2'], 'tx-1', 'cbor-tx-1', outbox.validUntil(NOW));
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error instanceof RefundOutboxError).toBe(true);
+    expect(error.code).toBe('CLAIM_LOST');
+    expect((await store.findByKey('deposit:dep-1')).status).toBe('failed');
+  });
+
+  it('confirms refunds whose transaction is in a block', async () => {
+    await outbox.claim([claimFor('addr_a', 'dep-1'), claimFor('addr_b', 'dep-2')]);
+    await send(['deposit:dep-1', 'deposit:dep-2'], 'tx-1');
+    chain.transactions.set('tx-1', { txHash: 'tx-1', blockHeight: 10 });
+
+    const summary = await outbox.reconcile(NOW);
+    expect(summary.confirmed).toBe(2);
+    expect(confirmed.map(entry => entry.user_address)).toEqual(['addr_a', 'addr_b']);
+    expect((await outbox.claim([claimFor('addr_a', 'dep-1')])).blocked[0].status).toBe('confirmed');
+  });
+
+  it('leaves mempool transactions pending', async () => {
+    await outbox.claim([claimFor('addr_a', 'dep-1')]);
+    await send(['deposit:dep-1'], 'tx-1');
+    chain.transactions.set('tx-1', { txHash: 'tx-1', blockHeight: null });
+
+    const summary = await outbox.reconcile(NOW);
+    expect(summary.pending).toBe(1);
+    expect((await store.findByKey('deposit:dep-1')).status).toBe('submitted');
+  });
+
+  it('resubmits a recorded transaction the chain has not seen', async () => {
+    await outbox.claim([claimFor('addr_a', 'dep-1')]);
+    await outbox.markBuilt(['deposit:dep-1'], 'tx-1', 'cbor-tx-1', outbox.validUntil(NOW));
+    await outbox.recordSubmitError(['deposit:dep-1'], 'Connection reset');
+
+    const summary = await outbox.reconcile(NOW);
+    expect(summary.resubmitted).toBe(1);
+    expect(chain.submitted).toEqual(['cbor-tx-1']);
+    const entry = await store.findByKey('deposit:dep-1');
+    expect(entry.status).toBe('submitted');
+    expect(entry.error).toBe(null);
+  });
+
+  it('fails an expired transaction so the deposit can be refunded again', async () => {
+    await outbox.claim([claimFor('addr_a', 'dep-1')]);
+    await send(['deposit:dep-1'], 'tx-1');
+    chain.tipTime = (NOW + 120_000) / 1000;
+
+    const summary = await outbox.reconcile(NOW + 120_000);
+    expect(summary.failed).toBe(1);
+    expect(failed.map(entry => entry.tx_hash)).toEqual(['tx-1']);
+    expect(chain.submitted).toHaveLength(0);
+    expect((await outbox.claim([claimFor('addr_a', 'dep-1')])).claimed).toHaveLength(1);
+  });
+
+  it('judges expiry by the chain tip rather than the local clock', async () => {
+    await outbox.claim([claimFor('addr_a', 'dep-1')]);
+    await send(['deposit:dep-1'], 'tx-1');
+
+    const summary = await outbox.reconcile(NOW + 120_000);
+    expect(summary.failed).toBe(0);
+    expect(summary.resubmitted).toBe(1);
+  });
+
+  it('fails queued claims that were interrupted before being built', async () => {
+    await outbox.claim([claimFor('addr_a', 'dep-1')]);
+
+    expect((await outbox.reconcile(NOW + 10_000)).pending).toBe(1);
+    const summary = await outbox.reconcile(NOW + 60_000);
+    expect(summary.failed).toBe(1);
+    expect(failed).toHaveLength(0);
+    expect((await store.findByKey('deposit:dep-1')).status).toBe('failed');
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Unit tests for seed phrase envelope encryption, key rotation and the
+ * migration of entries stored before envelope encryption
+ * Entries are stored with the local storage provider in a temporary directory
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  EnvelopeDecryptionError,
+  LocalServerKeyWrapper,
+  decryptEnvelope,
+  encryptEnvelope,
+  rewrapEnvelope
+} from '../src/utils/envelope-encryption.js';
+import { SeedPhraseStorageService } from '../src/services/seed-phrase-storage.js';
+import { createUser, findUser } from '../src/utils/iagon.js';
+
+process.env.STORAGE_PROVIDER = 'local';
+process.env.STORAGE_LOCAL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'k33p-seed-'));
+
+const SEED_PHRASE = 'abandon ability able about above absent absorb abstract absurd abuse access accident';
+const AAD = 'k33p:seed-phrase:user123:entry-1';
+const options = { iterations: 1000 };
+
+// Written by the pre-envelope service (crypto.createCipher over a PBKDF2 key of
+// the user id) in the seedPhrases of the user's Iagon record
+const LEGACY_SALT = '6b33702d6c65676163792d7365656450687261736553616c7446697874757265';
+const legacyUser = (userId, encryptedSeedPhrase) => createUser({
+  userId,
+  walletAddress: `addr_test1${userId}`,
+  phoneHash: `${userId}-phone-hash`,
+  seedPhrases: [{
+    id: crypto.randomUUID(),
+    userId,
+    walletName: 'Legacy',
+    walletType: 'cardano',
+    mnemonicType: '12-word',
+    encryptedSeedPhrase,
+    encryptionSalt: LEGACY_SALT,
+    createdAt: '2024-06-01T00:00:00.000Z'
+  }]
+});
+
+const expectDecryptionError = async (promise) => {
+  let error;
+  try {
+    await promise;
+  } catch (err) {
+    error = err;
+  }
+  expect(error instanceof EnvelopeDecryptionError).toBe(true);
+};
+
+describe('Envelope encryption', () => {
+  test('round-trips with the user secret', async () => {
+    const envelope = await encryptEnvelope(SEED_PHRASE, '123456-secret', AAD, options);
+    expect(envelope.ciphertext.includes('abandon')).toBe(false);
+    expect(await decryptEnvelope(envelope, '123456-secret', AAD)).toBe(SEED_PHRASE);
+  });
+
+  test('rejects a wrong secret', async () => {
+    const envelope = await encryptEnvelope(SEED_PHRASE, '123456-secret', AAD, options);
+    await expectDecryptionError(decryptEnvelope(envelope, '654321-secret', AAD));
+  });
+
+  test('binds the ciphertext to its user and entry', async () => {
+    const envelope = await encryptEnvelope(SEED_PHRASE, '123456-secret', AAD, options);
+    await expectDecryptionError(decryptEnvelope(envelope, '123456-secret', 'k33p:seed-phrase:other:entry-1'));
+  });
+
+  test('requires the server key when one was used', async () => {
+    const serverKey = new LocalServerKeyWrapper('k1', new Map([['k1', crypto.randomBytes(32)]]));
+    const envelope = await encryptEnvelope(SEED_PHRASE, '123456-secret', AAD, { ...options, serverKey });
+
+    expect(envelope.serverKeyId).toBe('k1');
+    expect(await decryptEnvelope(envelope, '123456-secret', AAD, serverKey)).toBe(SEED_PHRASE);
+    await expectDecryptionError(decryptEnvelope(envelope, '123456-secret', AAD));
+  });
+
+  test('rewrapping keeps the ciphertext and changes the secret', async () => {
+    const envelope = await encryptEnvelope(SEED_PHRASE, 'old-secret-1', AAD, options);
+    const rewrapped = await rewrapEnvelope(envelope, 'old-secret-1', 'new-secret-2', AAD, options);
+
+    expect(rewrapped.ciphertext).toBe(envelope.ciphertext);
+    expect(await decryptEnvelope(rewrapped, 'new-secret-2', AAD)).toBe(SEED_PHRASE);
+    await expectDecryptionError(decryptEnvelope(rewrapped, 'old-secret-1', AAD));
+  });
+});
+
+describe('SeedPhraseStorageService key rotation', () => {
+  const service = new SeedPhraseStorageService({ keyDerivationRounds: 1000, serverKey: undefined });
+
+  test('rotates every entry and can be retried', async () => {
+    const first = await service.storeSeedPhrase('rotate-user', 'Main', SEED_PHRASE, 'cardano', 'old-secret-1');
+    await service.storeSeedPhrase('rotate-user', 'Savings', SEED_PHRASE, 'cardano', 'old-secret-1');
+
+    const result = await service.rotateKeys('rotate-user', 'old-secret-1', 'new-secret-2');
+    expect(result).toEqual({ rotated: 2, alreadyRotated: 0 });
+
+    const retrieved = await service.retrieveSeedPhrase(first.id, 'rotate-user', 'new-secret-2');
+    expect(retrieved.seedPhrase).toBe(SEED_PHRASE);
+
+    const retry = await service.rotateKeys('rotate-user', 'old-secret-1', 'new-secret-2');
+    expect(retry).toEqual({ rotated: 0, alreadyRotated: 2 });
+  });
+
+  test('changes nothing when the current secret is wrong', async () => {
+    const entry = await service.storeSeedPhrase('wrong-secret-user', 'Main', SEED_PHRASE, 'cardano', 'old-secret-1');
+
+    let error;
+    try {
+      await service.rotateKeys('wrong-secret-user', 'not-the-secret', 'new-secret-2');
+    } catch (err) {
+      error = err;
+    }
+    expect(error.code).toBe('INVALID_ENCRYPTION_SECRET');
+
+    const retrieved = await service.retrieveSeedPhrase(entry.id, 'wrong-secret-user', 'old-secret-1');
+    expect(retrieved.seedPhrase).toBe(SEED_PHRASE);
+  });
+
+  test('metadata listing omits the encrypted envelope', async () => {
+    const [entry] = await service.getUserSeedPhrases('wrong-secret-user');
+    expect(entry.walletName).toBe('Main');
+    expect(entry.encryption).toBe(undefined);
+  });
+});
+
+describe('SeedPhraseStorageService legacy entries', () => {
+  const service = new SeedPhraseStorageService({ keyDerivationRounds: 1000, serverKey: undefined });
+
+  test('lists a legacy entry and re-seals it under the secret on first access', async () => {
+    const user = await legacyUser('legacy-user', 'bb7c7899cc132bfb80440e17bc48159a92c60425b435e869e726d1d286eb5ec042b47595e6f6bb62c632d12ce5e7e4659fe46a8b94c128c632147374b1d590257d3bab06eae953ef90273dad5cbd876afa0113a5632cffbabfda317a2d266318');
+    const [legacy] = user.seedPhrases;
+
+    const listed = await service.getUserSeedPhrases('legacy-user');
+    expect(listed.map(entry => entry.id)).toEqual([legacy.id]);
+    expect(listed[0].encryptedSeedPhrase).toBe(undefined);
+
+    const retrieved = await service.retrieveSeedPhrase(legacy.id, 'legacy-user', 'first-secret-1');
+    expect(retrieved.seedPhrase).toBe(SEED_PHRASE);
+    expect(retrieved.walletName).toBe('Legacy');
+    expect((await findUser({ userId: 'legacy-user' })).seedPhrases).toEqual([]);
+
+    let error;
+    try {
+      await service.retrieveSeedPhrase(legacy.id, 'legacy-user', 'other-secret-2');
+    } catch (err) {
+      error = err;
+    }
+    expect(error.code).toBe('INVALID_ENCRYPTION_SECRET');
+    expect((await service.getUserSeedPhrases('legacy-user')).map(entry => entry.id)).toEqual([legacy.id]);
+  });
+
+  test('migrates only under the secret of the sealed entries, including on key rotation', async () => {
+    const user = await legacyUser('legacy-rotate-user', 'fd0d436dd7a80b341ae35337aba5adc872b936b30087e68b22eca162b69efbb5062b4ed8fde90ff6a372e50b69efa7e6e6756048577b4cd6d0d836b7cb64953ddef6dd5033d67b1805ce4afd5665a53bc922a138ee4c5154ea67357924a1e812');
+    const [legacy] = user.seedPhrases;
+    await service.storeSeedPhrase('legacy-rotate-user', 'Main', SEED_PHRASE, 'cardano', 'old-secret-1');
+
+    let error;
+    try {
+      await service.retrieveSeedPhrase(legacy.id, 'legacy-rotate-user', 'not-the-secret');
+    } catch (err) {
+      error = err;
+    }
+    expect(error.code).toBe('INVALID_ENCRYPTION_SECRET');
+    expect((await findUser({ userId: 'legacy-rotate-user' })).seedPhrases).toHaveLength(1);
+
+    expect(await service.rotateKeys('legacy-rotate-user', 'old-secret-1', 'new-secret-2')).toEqual({ rotated: 2, alreadyRotated: 0 });
+    expect((await service.retrieveSeedPhrase(legacy.id, 'legacy-rotate-user', 'new-secret-2')).seedPhrase).toBe(SEED_PHRASE);
+    expect(await service.getUserSeedPhrases('legacy-rotate-user')).toHaveLength(2);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Unit tests for Shamir secret sharing (src/utils/shamir.ts) and NOK seed
+ * phrase recovery. The NOK contract approval is replaced with a stub.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { combine, split } from '../src/utils/shamir.js';
+import { LocalServerKeyWrapper } from '../src/utils/envelope-encryption.js';
+import { SeedPhraseStorageService } from '../src/services/seed-phrase-storage.js';
+
+process.env.STORAGE_PROVIDER = 'local';
+process.env.STORAGE_LOCAL_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'k33p-shares-'));
+
+const SEED_PHRASE = 'abandon ability able about above absent absorb abstract absurd abuse access accident';
+
+const expectCode = async (promise, code) => {
+  let error;
+  try {
+    await promise;
+  } catch (err) {
+    error = err;
+  }
+  expect(error && error.code).toBe(code);
+};
+
+describe('Shamir secret sharing', () => {
+  test('any threshold-sized subset recovers the secret', () => {
+    const secret = Buffer.from(SEED_PHRASE, 'utf8');
+    const shares = split(secret, 5, 3);
+
+    expect(combine([shares[0], shares[1], shares[2]]).toString('utf8')).toBe(SEED_PHRASE);
+    expect(combine([shares[4], shares[1], shares[3]]).toString('utf8')).toBe(SEED_PHRASE);
+    expect(combine(shares).toString('utf8')).toBe(SEED_PHRASE);
+  });
+
+  test('fewer shares than the threshold do not recover the secret', () => {
+    const secret = Buffer.from(SEED_PHRASE, 'utf8');
+    const shares = split(secret, 4, 3);
+    expect(combine([shares[0], shares[1]]).equals(secret)).toBe(false);
+  });
+
+  test('rejects duplicate share indexes', () => {
+    const shares = split(Buffer.from('secret'), 3, 2);
+    let error;
+    try {
+      combine([shares[0], shares[0]]);
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).toBe('Duplicate share index: 1');
+  });
+});
+
+describe('SeedPhraseStorageService NOK recovery', () => {
+  const serverKey = new LocalServerKeyWrapper('k1', new Map([['k1', crypto.randomBytes(32)]]));
+  const service = new SeedPhraseStorageService({ keyDerivationRounds: 1000, serverKey });
+  const approve = async () => true;
+  const deny = async () => false;
+
+  const storeAndSplit = async (userId, threshold = 2) => {
+    const entry = await service.storeSeedPhrase(userId, 'Main', SEED_PHRASE, 'cardano', 'user-secret-1');
+    const result = await service.splitSeedPhrase(entry.id, userId, 'user-secret-1', threshold, ['nok-alice', 'nok-bob']);
+    return { entry, result };
+  };
+
+  test('a next-of-kin share plus K33P recovers the seed phrase once approved', async () => {
+    const { entry, result } = await storeAndSplit('owner-1');
+    expect(result.totalShares).toBe(4);
+
+    const aliceShare = result.nokShares.find(share => share.nokIdentifier === 'nok-alice').share;
+    const recovered = await service.recoverSeedPhrase('owner-1', entry.id, 'nok-alice', [aliceShare], approve);
+    expect(recovered.seedPhrase).toBe(SEED_PHRASE);
+    expect(recovered.walletName).toBe('Main');
+  });
+
+  test('K33P share is withheld when the NOK login is not approved', async () => {
+    const { entry, result } = await storeAndSplit('owner-2');
+    const aliceShare = result.nokShares[0].share;
+    await expectCode(service.recoverSeedPhrase('owner-2', entry.id, 'nok-alice', [aliceShare], deny), 'NOK_NOT_APPROVED');
+  });
+
+  test('requires the share issued to the requesting next-of-kin', async () => {
+    const { entry, result } = await storeAndSplit('owner-3');
+    const bobShare = result.nokShares.find(share => share.nokIdentifier === 'nok-bob').share;
+    await expectCode(service.recoverSeedPhrase('owner-3', entry.id, 'nok-alice', [bobShare], approve), 'INVALID_SHARES');
+  });
+
+  test('requires enough shares to reach the threshold', async () => {
+    const { entry, result } = await storeAndSplit('owner-4', 3);
+    const [alice, bob] = result.nokShares.map(share => share.share);
+
+    await expectCode(service.recoverSeedPhrase('owner-4', entry.id, 'nok-alice', [alice], approve), 'INVALID_SHARES');
+    const recovered = await service.recoverSeedPhrase('owner-4', entry.id, 'nok-alice', [alice, bob], approve);
+    expect(recovered.seedPhrase).toBe(SEED_PHRASE);
+  });
+
+  test('shares from a replaced split are rejected', async () => {
+    const { entry, result } = await storeAndSplit('owner-5');
+    await service.splitSeedPhrase(entry.id, 'owner-5', 'user-secret-1', 2, ['nok-alice']);
+    await expectCode(
+      service.recoverSeedPhrase('owner-5', entry.id, 'nok-alice', [result.nokShares[0].share], approve),
+      'INVALID_SHARES'
+    );
+  });
+
+  test('splitting requires a server key', async () => {
+    const withoutKey = new SeedPhraseStorageService({ keyDerivationRounds: 1000, serverKey: undefined });
+    const entry = await withoutKey.storeSeedPhrase('owner-6', 'Main', SEED_PHRASE, 'cardano', 'user-secret-1');
+    await expectCode(withoutKey.splitSeedPhrase(entry.id, 'owner-6', 'user-secret-1', 2, ['nok-alice']), 'SERVER_KEY_REQUIRED');
+  });
+});
@@ -0,0 +1,222 @@
+/**
+ * Unit tests for the signing policy and the signing service in
+ * src/services/signing-policy.ts and src/services/signing-service.ts
+ * Transactions are pre-decoded summaries keyed by a fake CBOR string; the key
+ * is a stub signer and the request log an in-memory store
+ */
+
+import { bech32 } from 'bech32';
+import { getNetworkProfile } from '../src/services/network-profile.js';
+import { evaluateSigningPolicy } from '../src/services/signing-policy.js';
+import { SigningService } from '../src/services/signing-service.js';
+
+// Enterprise address (header type 6) with a key hash filled with `fill`
+const address = (fill, prefix = 'addr_test', networkId = 0) =>
+  bech32.encode(prefix, bech32.toWords(Buffer.from([(6 << 4) | networkId, ...Array(28).fill(fill)])), 1023);
+
+const WALLET = address(1);
+const ALICE = address(2);
+const BOB = address(3);
+const MAINNET = address(4, 'addr', 1);
+const PREPROD = getNetworkProfile('preprod');
+
+const TOKEN = 'ab'.repeat(28) + '4b333350';
+
+const tx = (txHash, outputs, extra = {}) => ({
+  txHash,
+  outputs: outputs.map(([to, lovelace, tokens = {}]) => ({ address: to, lovelace, tokens })),
+  fee: 0n,
+  certificates: 0,
+  withdrawals: 0,
+  mint: [],
+  ...extra
+});
+
+const policy = (overrides = {}) => ({
+  maxLovelacePerTx: 10_000_000n,
+  dailyCapLovelace: 15_000_000n,
+  maxTokensPerTx: {},
+  allowedOutputAddresses: null,
+  ...overrides
+});
+
+class MemoryRequestStore {
+  constructor() {
+    this.requests = [];
+  }
+
+  async record(request) {
+    const record = { ...request, id: `request-${this.requests.length + 1}`, created_at: new Date() };
+    this.requests.push(record);
+    return record;
+  }
+
+  async sumApprovedSince(signerAddress, since, excludeTxHash) {
+    const counted = new Map();
+    for (const request of this.requests) {
+      if (request.signer_address !== signerAddress || !request.approved || request.created_at < since) continue;
+      if (request.tx_hash === excludeTxHash || counted.has(request.tx_hash)) continue;
+      counted.set(request.tx_hash, request.outflow_lovelace);
+    }
+    return [...counted.values()].reduce((sum, outflow) => sum + outflow, 0n);
+  }
+}
+
+const expectCode = async (promise, code) => {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error.code).toBe(code);
+    return;
+  }
+  throw new Error(`Expected ${code}`);
+};
+
+describe('Signing policy', () => {
+  test('counts only outputs leaving the wallet', () => {
+    const decision = evaluateSigningPolicy(tx('a', [[ALICE, 2_000_000n], [WALLET, 90_000_000n]]), WALLET, 0n, policy(), PREPROD);
+    expect(decision.approved).toBe(true);
+    expect(decision.outflow).toBe(2_000_000n);
+  });
+
+  test('enforces the per-transaction limit', () => {
+    const decision = evaluateSigningPolicy(tx('a', [[ALICE, 6_000_000n], [BOB, 6_000_000n]]), WALLET, 0n, policy(), PREPROD);
+    expect(decision.approved).toBe(false);
+    expect(decision.reason).toContain('per-transaction limit');
+  });
+
+  test('enforces the daily cap', () => {
+    const decision = evaluateSigningPolicy(tx('a', [[ALICE, 6_000_000n]]), WALLET, 10_000_000n, policy(), PREPROD);
+    expect(decision.approved).toBe(false);
+    expect(decision.reason).toContain('daily cap');
+  });
+
+  test('counts the fee as outflow', () => {
+    const decision = evaluateSigningPolicy(tx('a', [], { fee: 11_000_000n }), WALLET, 0n, policy(), PREPROD);
+    expect(decision.approved).toBe(false);
+    expect(decision.outflow).toBe(11_000_000n);
+  });
+
+  test('caps each native token and refuses unlisted ones', () => {
+    const capped = policy({ maxTokensPerTx: { [TOKEN]: 100n } });
+    const sending = quantity => tx('a', [[ALICE, 2_000_000n, { [TOKEN]: quantity }], [BOB, 2_000_000n, { [TOKEN]: quantity }]]);
+
+    expect(evaluateSigningPolicy(sending(50n), WALLET, 0n, capped, PREPROD).approved).toBe(true);
+    expect(evaluateSigningPolicy(sending(60n), WALLET, 0n, capped, PREPROD).reason).toContain('per-transaction limit of 100');
+    expect(evaluateSigningPolicy(sending(1n), WALLET, 0n, policy(), PREPROD).reason).toContain('may not leave the wallet');
+  });
+
+  test('ignores tokens returned to the wallet as change', () => {
+    const decision = evaluateSigningPolicy(tx('a', [[WALLET, 2_000_000n, { [TOKEN]: 5000n }]]), WALLET, 0n, policy(), PREPROD);
+    expect(decision.approved).toBe(true);
+  });
+
+  test('refuses certificates, withdrawals and mints', () => {
+    for (const extra of [{ certificates: 1 }, { withdrawals: 1 }, { mint: [TOKEN] }]) {
+      expect(evaluateSigningPolicy(tx('a', [[ALICE, 1_000_000n]], extra), WALLET, 0n, policy(), PREPROD).approved).toBe(false);
+    }
+  });
+
+  test('restricts outputs to allowed addresses when configured', () => {
+    const restricted = policy({ allowedOutputAddresses: [ALICE] });
+    expect(evaluateSigningPolicy(tx('a', [[ALICE, 1_000_000n]]), WALLET, 0n, restricted, PREPROD).approved).toBe(true);
+    expect(evaluateSigningPolicy(tx('b', [[BOB, 1_000_000n]]), WALLET, 0n, restricted, PREPROD).approved).toBe(false);
+  });
+
+  test('refuses outputs on another network', () => {
+    const decision = evaluateSigningPolicy(tx('a', [[MAINNET, 1_000_000n]]), WALLET, 0n, policy(), PREPROD);
+    expect(decision.approved).toBe(false);
+    expect(decision.reason).toContain('preprod');
+  });
+
+  test('allows anything with no limits set', () => {
+    const open = { maxLovelacePerTx: null, dailyCapLovelace: null, maxTokensPerTx: {}, allowedOutputAddresses: null };
+    expect(evaluateSigningPolicy(tx('a', [[ALICE, 500_000_000_000n]]), WALLET, 0n, open, PREPROD).approved).toBe(true);
+  });
+});
+
+describe('Signing service', () => {
+  let transactions;
+  let signed;
+  let store;
+  let service;
+
+  beforeEach(() => {
+    transactions = new Map();
+    signed = [];
+    store = new MemoryRequestStore();
+    service = new SigningService({
+      signer: {
+        kind: 'local',
+        address: async () => WALLET,
+        keyHash: async () => '01'.repeat(28),
+        signTx: async (txCbor) => {
+          signed.push(txCbor);
+          return `witness-${txCbor}`;
+        }
+      },
+      store,
+      summarize: (txCbor) => {
+        const summary = transactions.get(txCbor);
+        if (!summary) throw new Error('Not a transaction in CBOR hex');
+        return summary;
+      },
+      policy: policy(),
+      profile: PREPROD
+    });
+  });
+
+  test('signs an allowed transaction and logs it', async () => {
+    transactions.set('cbor-1', tx('hash-1', [[ALICE, 2_000_000n], [WALLET, 5_000_000n]]));
+
+    const result = await service.sign({ txCbor: 'cbor-1', purpose: 'refund', requester: '10.0.0.1' });
+    expect(result).toEqual({ txHash: 'hash-1', witnessSet: 'witness-cbor-1' });
+    expect(store.requests).toHaveLength(1);
+    expect(store.requests[0].approved).toBe(true);
+    expect(store.requests[0].outflow_lovelace).toBe(2_000_000n);
+    expect(store.requests[0].requester).toBe('10.0.0.1');
+  });
+
+  test('logs and refuses a transaction over the policy', async () => {
+    transactions.set('cbor-1', tx('hash-1', [[ALICE, 11_000_000n]]));
+
+    await expectCode(service.sign({ txCbor: 'cbor-1', purpose: 'refund' }), 'POLICY_REJECTED');
+    expect(signed).toHaveLength(0);
+    expect(store.requests[0].approved).toBe(false);
+    expect(store.requests[0].reason).toContain('per-transaction limit');
+  });
+
+  test('logs and refuses something that is not a transaction', async () => {
+    await expectCode(service.sign({ txCbor: 'garbage', purpose: 'refund' }), 'INVALID_TX');
+    expect(store.requests[0].tx_hash).toBe(null);
+    expect(store.requests[0].approved).toBe(false);
+  });
+
+  test('counts approved transactions towards the daily cap', async () => {
+    transactions.set('cbor-1', tx('hash-1', [[ALICE, 8_000_000n]]));
+    transactions.set('cbor-2', tx('hash-2', [[BOB, 8_000_000n]]));
+
+    await service.sign({ txCbor: 'cbor-1', purpose: 'refund' });
+    await expectCode(service.sign({ txCbor: 'cbor-2', purpose: 'refund' }), 'POLICY_REJECTED');
+    expect(signed).toEqual(['cbor-1']);
+  });
+
+  test('signs the same transaction again without counting it twice', async () => {
+    transactions.set('cbor-1', tx('hash-1', [[ALICE, 8_000_000n]]));
+
+    await service.sign({ txCbor: 'cbor-1', purpose: 'refund' });
+    await service.sign({ txCbor: 'cbor-1', purpose: 'refund' });
+    expect(signed).toEqual(['cbor-1', 'cbor-1']);
+  });
+
+  test('handles concurrent requests one at a time against the cap', async () => {
+    transactions.set('cbor-1', tx('hash-1', [[ALICE, 8_000_000n]]));
+    transactions.set('cbor-2', tx('hash-2', [[BOB, 8_000_000n]]));
+
+    const results = await Promise.allSettled([
+      service.sign({ txCbor: 'cbor-1', purpose: 'refund' }),
+      service.sign({ txCbor: 'cbor-2', purpose: 'refund' })
+    ]);
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+  });
+});
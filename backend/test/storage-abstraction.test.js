@@ -0,0 +1,93 @@
+/**
+ * Unit tests for document-store user lookups in src/services/storage-abstraction.ts
+ * The document store is a LocalStorageProvider in a temporary directory that
+ * counts reads, so a lookup can be checked not to download every user
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LocalStorageProvider } from '../src/services/storage-providers.js';
+import { StorageAbstractionService } from '../src/services/storage-abstraction.js';
+
+class CountingProvider extends LocalStorageProvider {
+  constructor(directory) {
+    super(directory);
+    this.reads = 0;
+    this.lists = [];
+  }
+
+  async retrieve(key) {
+    this.reads++;
+    return super.retrieve(key);
+  }
+
+  async list(prefix) {
+    this.lists.push(prefix);
+    return super.list(prefix);
+  }
+}
+
+const user = (n) => ({
+  userId: `user-${n}`,
+  walletAddress: `addr_test1wallet${n}`,
+  phoneHash: `phone-hash-${n}`
+});
+
+describe('Document store user lookups', () => {
+  let provider;
+  let service;
+
+  beforeEach(async () => {
+    provider = new CountingProvider(fs.mkdtempSync(path.join(os.tmpdir(), 'k33p-storage-')));
+    service = new StorageAbstractionService({
+      primaryStorage: 'iagon',
+      enableFallback: false,
+      healthCheckInterval: 3600000,
+      retryAttempts: 1,
+      retryDelay: 0
+    }, provider);
+    await service.rebuildUserIndex();
+  });
+
+  afterEach(async () => {
+    await service.shutdown();
+  });
+
+  test('finds a user by phone hash or wallet address without listing users', async () => {
+    for (const n of [1, 2, 3, 4, 5]) {
+      expect((await service.storeUser(user(n))).success).toBe(true);
+    }
+    provider.reads = 0;
+    provider.lists = [];
+
+    const byPhone = await service.findUser({ phoneHash: 'phone-hash-3' });
+    expect(byPhone.data.userId).toBe('user-3');
+    const byWallet = await service.findUser({ walletAddress: 'addr_test1wallet4' });
+    expect(byWallet.data.userId).toBe('user-4');
+
+    expect(provider.lists).toHaveLength(0);
+    expect(provider.reads).toBe(4);
+  });
+
+  test('returns nothing for an unknown phone hash', async () => {
+    await service.storeUser(user(1));
+    expect((await service.findUser({ phoneHash: 'phone-hash-9' })).data).toBe(null);
+  });
+
+  test('follows a user to a new wallet address', async () => {
+    await service.storeUser(user(1));
+    await service.updateUser('user-1', { walletAddress: 'addr_test1moved' });
+
+    expect((await service.findUser({ walletAddress: 'addr_test1moved' })).data.userId).toBe('user-1');
+    expect((await service.findUser({ walletAddress: 'addr_test1wallet1' })).data).toBe(null);
+  });
+
+  test('indexes users stored before the index existed', async () => {
+    await provider.store('users/user-7', JSON.stringify(user(7)));
+    expect((await service.findUser({ phoneHash: 'phone-hash-7' })).data).toBe(null);
+
+    expect(await service.rebuildUserIndex()).toBe(1);
+    expect((await service.findUser({ phoneHash: 'phone-hash-7' })).data.userId).toBe('user-7');
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Unit tests for src/services/storage-providers.ts
+ * LocalStorageProvider runs against a temporary directory
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  LocalStorageProvider,
+  StorageIntegrityError,
+  StorageNotFoundError,
+  hashContent,
+  withRetry
+} from '../src/services/storage-providers.js';
+
+const createProvider = () =>
+  new LocalStorageProvider(fs.mkdtempSync(path.join(os.tmpdir(), 'k33p-storage-')));
+
+describe('LocalStorageProvider', () => {
+  test('stores, retrieves, updates and deletes a document', async () => {
+    const provider = createProvider();
+    const data = JSON.stringify({ userId: 'user123' });
+
+    const meta = await provider.store('users/user123', data);
+    expect(meta.contentHash).toBe(hashContent(data));
+    expect(meta.size).toBe(Buffer.byteLength(data));
+
+    const stored = await provider.retrieve('users/user123');
+    expect(stored.data).toBe(data);
+
+    const updated = JSON.stringify({ userId: 'user123', verified: true });
+    await provider.update('users/user123', updated);
+    expect((await provider.retrieve('users/user123')).data).toBe(updated);
+
+    expect(await provider.delete('users/user123')).toBe(true);
+    expect(await provider.retrieve('users/user123')).toBe(null);
+    expect(await provider.delete('users/user123')).toBe(false);
+  });
+
+  test('update requires an existing document', async () => {
+    const provider = createProvider();
+    let error;
+    try {
+      await provider.update('users/missing', '{}');
+    } catch (err) {
+      error = err;
+    }
+    expect(error instanceof StorageNotFoundError).toBe(true);
+  });
+
+  test('lists documents by key prefix', async () => {
+    const provider = createProvider();
+    await provider.store('deposits/user1/a', '{}');
+    await provider.store('deposits/user1/b', '{}');
+    await provider.store('deposits/user2/c', '{}');
+    await provider.store('reconciliation/2024-01-01T00:00:00.000Z-1', '{}');
+
+    const keys = (await provider.list('deposits/user1/')).map(meta => meta.key);
+    expect(keys).toEqual(['deposits/user1/a', 'deposits/user1/b']);
+    expect(await provider.list('reconciliation/')).toHaveLength(1);
+    expect(await provider.list()).toHaveLength(4);
+  });
+
+  test('detects tampered content', async () => {
+    const provider = createProvider();
+    await provider.store('users/user123', '{"pin":"1234"}');
+
+    const file = path.join(provider.rootDir, 'users', 'user123.json');
+    const envelope = JSON.parse(fs.readFileSync(file, 'utf8'));
+    fs.writeFileSync(file, JSON.stringify({ ...envelope, data: '{"pin":"0000"}' }));
+
+    let error;
+    try {
+      await provider.retrieve('users/user123');
+    } catch (err) {
+      error = err;
+    }
+    expect(error instanceof StorageIntegrityError).toBe(true);
+  });
+
+  test('rejects keys that escape the storage directory', async () => {
+    const provider = createProvider();
+    let error;
+    try {
+      await provider.store('../outside', '{}');
+    } catch (err) {
+      error = err;
+    }
+    expect(error.message).toBe('Invalid storage key: ../outside');
+  });
+});
+
+describe('withRetry', () => {
+  test('retries until the operation succeeds', async () => {
+    let calls = 0;
+    const result = await withRetry(async () => {
+      calls++;
+      if (calls < 3) throw new Error('temporary');
+      return 'ok';
+    }, 'test', { attempts: 3, delayMs: 1 });
+
+    expect(result).toBe('ok');
+    expect(calls).toBe(3);
+  });
+
+  test('does not retry errors marked as permanent', async () => {
+    let calls = 0;
+    let error;
+    try {
+      await withRetry(async () => {
+        calls++;
+        throw Object.assign(new Error('bad request'), { response: { status: 400 } });
+      }, 'test', { attempts: 3, delayMs: 1 }, err => err.response?.status !== 400);
+    } catch (err) {
+      error = err;
+    }
+
+    expect(error.message).toBe('bad request');
+    expect(calls).toBe(1);
+  });
+});
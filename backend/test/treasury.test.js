@@ -0,0 +1,169 @@
+/**
+ * Unit tests for refund wallet tracking in src/services/treasury.ts
+ * Uses a stubbed chain and wallet, an in-memory snapshot store and a
+ * recording notifier
+ */
+
+import { Treasury } from '../src/services/treasury.js';
+
+const WALLET = 'addr_test_refund_wallet';
+const TOKEN = 'c0ffee' + '4b333350';
+
+const utxo = (index, assets) => ({
+  txHash: `tx-${index}`,
+  outputIndex: 0,
+  address: WALLET,
+  assets
+});
+
+class MemorySnapshotStore {
+  constructor() {
+    this.snapshots = [];
+  }
+
+  async record(snapshot) {
+    const record = { ...snapshot, id: `snapshot-${this.snapshots.length + 1}`, recorded_at: new Date() };
+    this.snapshots.unshift(record);
+    return record;
+  }
+
+  async listSince(walletAddress, since, limit = 500) {
+    return this.snapshots
+      .filter(snapshot => snapshot.wallet_address === walletAddress && snapshot.recorded_at >= since)
+      .slice(0, limit);
+  }
+
+  async findLatest(walletAddress) {
+    return this.snapshots.find(snapshot => snapshot.wallet_address === walletAddress) ?? null;
+  }
+}
+
+describe('Treasury', () => {
+  let utxos;
+  let consolidated;
+  let notifications;
+  let pausedChanges;
+  let snapshots;
+
+  const config = {
+    lowWaterMark: 50_000_000n,
+    dustThreshold: 5_000_000n,
+    consolidateAt: 3,
+    maxConsolidationInputs: 2,
+    checkIntervalMs: 60_000,
+    alertUserIds: ['ops-1', 'ops-2']
+  };
+
+  const createTreasury = () => new Treasury({
+    chain: { getUtxos: async address => (address === WALLET ? utxos : []) },
+    wallet: {
+      address: async () => WALLET,
+      consolidate: async inputs => {
+        consolidated.push(inputs.map(input => input.txHash));
+        return `consolidation-${consolidated.length}`;
+      }
+    },
+    snapshots,
+    notify: async notification => { notifications.push(notification); },
+    onPausedChange: paused => pausedChanges.push(paused),
+    config
+  });
+
+  beforeEach(() => {
+    utxos = [utxo(1, { lovelace: 100_000_000n })];
+    consolidated = [];
+    notifications = [];
+    pausedChanges = [];
+    snapshots = new MemorySnapshotStore();
+  });
+
+  it('records balance, token holdings and UTxO counts', async () => {
+    utxos.push(utxo(2, { lovelace: 1_500_000n, [TOKEN]: 7n }));
+    const treasury = createTreasury();
+
+    const snapshot = await treasury.check();
+    expect(snapshot.lovelace).toBe(101_500_000n);
+    expect(snapshot.assets[TOKEN]).toBe(7n);
+    expect(snapshot.utxo_count).toBe(2);
+    expect(snapshot.dust_utxo_count).toBe(0);
+    expect(snapshot.refunds_paused).toBe(false);
+    expect(notifications).toHaveLength(0);
+  });
+
+  it('pauses refunds below the low-water mark and alerts once', async () => {
+    utxos = [utxo(1, { lovelace: 20_000_000n })];
+    const treasury = createTreasury();
+
+    await treasury.check();
+    await treasury.check();
+    expect(treasury.isRefundingPaused()).toBe(true);
+    expect(pausedChanges).toEqual([true]);
+    expect(notifications.map(n => n.user_id)).toEqual(['ops-1', 'ops-2']);
+    expect(notifications[0].notification_type).toBe('wallet');
+    expect(notifications[0].priority).toBe('urgent');
+  });
+
+  it('resumes refunds once the wallet is funded again', async () => {
+    utxos = [utxo(1, { lovelace: 20_000_000n })];
+    const treasury = createTreasury();
+    await treasury.check();
+
+    utxos.push(utxo(2, { lovelace: 80_000_000n }));
+    const snapshot = await treasury.check();
+    expect(snapshot.refunds_paused).toBe(false);
+    expect(pausedChanges).toEqual([true, false]);
+    expect(notifications.map(n => n.title)).toEqual([
+      'Refund wallet low', 'Refund wallet low', 'Refund wallet funded', 'Refund wallet funded'
+    ]);
+  });
+
+  it('consolidates the smallest dust UTxOs and leaves token UTxOs alone', async () => {
+    utxos.push(
+      utxo(2, { lovelace: 3_000_000n }),
+      utxo(3, { lovelace: 1_000_000n }),
+      utxo(4, { lovelace: 2_000_000n }),
+      utxo(5, { lovelace: 1_200_000n, [TOKEN]: 1n })
+    );
+    const treasury = createTreasury();
+
+    const snapshot = await treasury.check();
+    expect(snapshot.dust_utxo_count).toBe(3);
+    expect(consolidated).toEqual([['tx-3', 'tx-4']]);
+    expect(snapshot.consolidation_tx_hash).toBe('consolidation-1');
+  });
+
+  it('leaves dust alone below the consolidation threshold', async () => {
+    utxos.push(utxo(2, { lovelace: 3_000_000n }), utxo(3, { lovelace: 1_000_000n }));
+    const snapshot = await createTreasury().check();
+
+    expect(snapshot.dust_utxo_count).toBe(2);
+    expect(consolidated).toHaveLength(0);
+    expect(snapshot.consolidation_tx_hash).toBe(null);
+  });
+
+  it('restores a pause across restarts without alerting again', async () => {
+    utxos = [utxo(1, { lovelace: 20_000_000n })];
+    await createTreasury().check();
+    notifications = [];
+    pausedChanges = [];
+
+    const restarted = createTreasury();
+    await restarted.check();
+    expect(restarted.isRefundingPaused()).toBe(true);
+    expect(pausedChanges).toEqual([true]);
+    expect(notifications).toHaveLength(0);
+  });
+
+  it('reports the latest snapshot and history', async () => {
+    const treasury = createTreasury();
+    await treasury.check();
+    utxos.push(utxo(2, { lovelace: 10_000_000n }));
+    await treasury.check();
+
+    const report = await treasury.getReport(new Date(Date.now() - 60_000));
+    expect(report.walletAddress).toBe(WALLET);
+    expect(report.refundsPaused).toBe(false);
+    expect(report.history).toHaveLength(2);
+    expect(report.latest.lovelace).toBe(110_000_000n);
+  });
+});
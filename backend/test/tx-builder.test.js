@@ -0,0 +1,372 @@
+/**
+ * Transactions for every branch of combined_validator.ak, built by
+ * src/services/tx-builder.ts and submitted to the Lucid Emulator. An
+ * always-succeeding V3 script stands in for the validator and each test
+ * asserts what the Aiken branch checks on the transaction: validity window,
+ * required signers and outputs. Parameterised stand-in blueprints check that
+ * the validator is attached as the Plutus version it was compiled for and
+ * that the spend is evaluated, and the committed plutus.json runs the real
+ * validator. The backend key doubles as the admin key the validator is
+ * parameterised with.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  CML,
+  Constr,
+  Data,
+  Lucid,
+  generateEmulatorAccountFromPrivateKey,
+  paymentCredentialOf,
+  slotToUnixTime,
+  validatorToScriptHash
+} from '@lucid-evolution/lucid';
+import { EmulatorChainProvider } from '../src/services/chain-provider.js';
+import { K33pTxBuilder, VALIDATOR_RULES, identityName, loadK33pValidator, redeemerToCbor } from '../src/services/tx-builder.js';
+
+const ALWAYS_SUCCEEDS = { type: 'PlutusV3', script: '46450101002499' };
+// Compiled code taking the two validator parameters before the script
+// context, and then returning unit or failing
+const PARAMETERISED_SUCCEEDS = '46010100222499';
+const PARAMETERISED_FAILS = '46010100222601';
+const PHONE_HASH = 'ab'.repeat(32);
+const ZK_PROOF = 'cd'.repeat(64);
+const REFUND_AMOUNT = 2_000_000n;
+const RECLAIM_DELAY = 3_600_000;
+
+const expectCode = async (promise, code) => {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error.code).toBe(code);
+    return;
+  }
+  throw new Error(`Expected ${code}`);
+};
+
+describe('K33P transaction builder', () => {
+  let keys;
+  let addresses;
+  let chain;
+  let lucid;
+  let userLucid;
+  let builder;
+
+  // Lucid takes the emulator's current time as slot zero, so every instance
+  // is created before the emulated chain moves
+  const walletOf = async (privateKey) => {
+    const wallet = await Lucid(chain.lucidProvider, chain.network);
+    wallet.selectWallet.fromPrivateKey(privateKey);
+    return wallet;
+  };
+
+  const submit = async (tx, ...signers) => {
+    let signed = tx.sign.withWallet();
+    for (const key of signers) signed = signed.sign.withPrivateKey(key);
+    const txHash = await (await signed.complete()).submit();
+    chain.awaitBlock();
+    return txHash;
+  };
+
+  const lock = async (datum, assets) => {
+    const txHash = await submit(await builder.lock(datum, assets));
+    const utxos = await lucid.utxosAt(builder.scriptAddress);
+    return utxos.find(utxo => utxo.txHash === txHash);
+  };
+
+  const validityOf = (tx) => {
+    const body = tx.toTransaction().body();
+    return {
+      from: slotToUnixTime(chain.network, Number(body.validity_interval_start())),
+      to: body.ttl() !== undefined && slotToUnixTime(chain.network, Number(body.ttl()))
+    };
+  };
+
+  // validate_timing
+  const expectTiming = (tx, timestamp) => {
+    const { from, to } = validityOf(tx);
+    expect(to - from <= VALIDATOR_RULES.maxTimeWindow).toBe(true);
+    expect(from <= timestamp && timestamp <= to).toBe(true);
+  };
+
+  const requiredSignersOf = (tx) => {
+    const signers = tx.toTransaction().body().required_signers();
+    const hashes = [];
+    for (let i = 0; i < (signers?.len() || 0); i++) hashes.push(signers.get(i).to_hex());
+    return hashes;
+  };
+
+  const outputsOf = (tx) => {
+    const outputs = tx.toTransaction().body().outputs();
+    const result = [];
+    for (let i = 0; i < outputs.len(); i++) {
+      const output = outputs.get(i);
+      result.push({ address: output.address().to_bech32(), lovelace: output.amount().coin() });
+    }
+    return result;
+  };
+
+  const signupDatum = (timestamp, fields = {}) => ({
+    type: 'Signup', wallet: addresses.user, userId: 'user-123', zkProof: ZK_PROOF, timestamp, reclaimAfter: timestamp + RECLAIM_DELAY, ...fields
+  });
+
+  const blueprint = (plutusVersion, compiledCode) => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'k33p-blueprint-')), 'plutus.json');
+    fs.writeFileSync(file, JSON.stringify({
+      preamble: { plutusVersion },
+      validators: [{
+        title: 'combined_validator.k33p_validator.spend',
+        parameters: [{ title: 'admin_key' }, { title: 'refund_amount' }],
+        compiledCode
+      }]
+    }));
+    return file;
+  };
+
+  const userKeyHash = () => paymentCredentialOf(addresses.user).hash;
+  const adminKeyHash = () => paymentCredentialOf(addresses.backend).hash;
+
+  beforeEach(async () => {
+    const backend = generateEmulatorAccountFromPrivateKey({ lovelace: 100_000_000n });
+    const user = generateEmulatorAccountFromPrivateKey({ lovelace: 20_000_000n });
+    keys = { backend: backend.privateKey, user: user.privateKey };
+    addresses = { backend: backend.address, user: user.address };
+    chain = new EmulatorChainProvider([backend, user]);
+    lucid = await walletOf(keys.backend);
+    userLucid = await walletOf(keys.user);
+    builder = new K33pTxBuilder(lucid, ALWAYS_SUCCEEDS, { adminKeyHash: adminKeyHash(), refundAmount: REFUND_AMOUNT });
+  });
+
+  test('encodes datums constructor for constructor with the blueprint', async () => {
+    const signup = signupDatum(chain.emulator.now());
+    const utxo = await lock(signup);
+
+    const data = Data.from(utxo.datum);
+    expect(data.index).toBe(1); // IdentityDatumType
+    expect(data.fields[0].index).toBe(0); // SignupDatum
+    const [wallet, userId, zkProof, timestamp, reclaimAfter] = data.fields[0].fields[0].fields;
+    expect(wallet).toEqual(new Constr(0, [new Constr(0, [userKeyHash()]), new Constr(1, [])]));
+    expect(userId).toBe(Buffer.from('user-123').toString('hex'));
+    expect(zkProof).toBe(ZK_PROOF);
+    expect(timestamp).toBe(BigInt(signup.timestamp));
+    expect(reclaimAfter).toBe(BigInt(signup.reclaimAfter));
+    expect(builder.fromDatum(utxo.datum)).toEqual(signup);
+
+    const auth = { type: 'Auth', version: 1, authData: { phoneHash: PHONE_HASH, createdAt: 1 }, isActive: true, nonce: 0, owner: userKeyHash() };
+    expect(builder.fromDatum(builder.toDatum(auth))).toEqual(auth);
+    expect(Data.from(builder.toDatum(auth))).toEqual(
+      new Constr(0, [new Constr(0, [1n, new Constr(0, [PHONE_HASH, 1n]), new Constr(1, []), 0n, userKeyHash()])])
+    );
+  });
+
+  test('encodes every redeemer under its blueprint index', () => {
+    const indexes = ['StoreAuthData', 'UpdateAuthData', 'DeactivateAuthData', 'BurnAuthData', 'ProcessSignup', 'ProcessRefund', 'ProcessDeletion', 'ReclaimDeposit']
+      .map(type => Data.from(redeemerToCbor({ type, authData: { phoneHash: PHONE_HASH, createdAt: 1 } })))
+      .map(data => [data.index, data.fields[0].index, data.fields[0].fields.length]);
+    expect(indexes).toEqual([[0, 0, 2], [0, 1, 2], [0, 2, 1], [0, 3, 1], [1, 0, 1], [1, 1, 1], [1, 2, 1], [1, 3, 1]]);
+  });
+
+  test('ProcessSignup refunds exactly the refund amount parameter with the admin key as signer', async () => {
+    const timestamp = chain.emulator.now();
+    const utxo = await lock(signupDatum(timestamp));
+
+    const tx = await builder.processSignup(utxo, { now: chain.emulator.now() });
+    expectTiming(tx, timestamp);
+    expect(requiredSignersOf(tx)).toEqual([adminKeyHash()]);
+    expect(outputsOf(tx)).toContainEqual({ address: addresses.user, lovelace: REFUND_AMOUNT });
+    expect(outputsOf(tx).every(output => output.lovelace >= VALIDATOR_RULES.minLovelace)).toBe(true);
+
+    await submit(tx);
+    const userFunds = (await lucid.utxosAt(addresses.user)).reduce((sum, u) => sum + u.assets.lovelace, 0n);
+    expect(userFunds).toBe(20_000_000n + REFUND_AMOUNT);
+  });
+
+  test('a batch pays a wallet with two deposits one output holding both refunds', async () => {
+    const first = await lock(signupDatum(chain.emulator.now()));
+    const second = await lock(signupDatum(chain.emulator.now()));
+
+    const tx = await builder.processRefunds([first, second], { now: chain.emulator.now() });
+    expectTiming(tx, builder.fromDatum(first.datum).timestamp);
+    expectTiming(tx, builder.fromDatum(second.datum).timestamp);
+    expect(requiredSignersOf(tx)).toEqual([adminKeyHash()]);
+    expect(outputsOf(tx).filter(output => output.address === addresses.user))
+      .toEqual([{ address: addresses.user, lovelace: 2n * REFUND_AMOUNT }]);
+
+    await submit(tx);
+    const userFunds = (await lucid.utxosAt(addresses.user)).reduce((sum, u) => sum + u.assets.lovelace, 0n);
+    expect(userFunds).toBe(20_000_000n + 2n * REFUND_AMOUNT);
+    expect(await lucid.utxosAt(builder.scriptAddress)).toHaveLength(0);
+  });
+
+  test('the ledger rejects a deletion the wallet did not sign', async () => {
+    const utxo = await lock({ type: 'Delete', wallet: addresses.user, timestamp: chain.emulator.now() });
+    const tx = await builder.processDeletion(utxo, { now: chain.emulator.now() });
+    await expect(submit(tx)).rejects.toThrow();
+  });
+
+  test('ReclaimDeposit lets the wallet withdraw on its own after the deadline', async () => {
+    const utxo = await lock(signupDatum(chain.emulator.now()), { lovelace: 2_000_000n });
+    const userBuilder = new K33pTxBuilder(userLucid, ALWAYS_SUCCEEDS, { adminKeyHash: adminKeyHash(), refundAmount: REFUND_AMOUNT });
+
+    await expectCode(userBuilder.reclaimDeposit(utxo, { now: chain.emulator.now() }), 'TOO_EARLY');
+
+    chain.emulator.awaitSlot(RECLAIM_DELAY / 1000);
+    const tx = await userBuilder.reclaimDeposit(utxo, { now: chain.emulator.now() });
+    expect(validityOf(tx).from).toBeGreaterThanOrEqual(builder.fromDatum(utxo.datum).reclaimAfter);
+    expect(requiredSignersOf(tx)).toEqual([userKeyHash()]);
+    expect(outputsOf(tx)).toContainEqual({ address: addresses.user, lovelace: 2_000_000n });
+
+    await (await tx.sign.withWallet().complete()).submit();
+    chain.awaitBlock();
+    expect(await lucid.utxosAt(builder.scriptAddress)).toHaveLength(0);
+  });
+
+  test('ProcessRefund pays the datum refund amount to the wallet', async () => {
+    const timestamp = chain.emulator.now();
+    const utxo = await lock(
+      { type: 'Refund', wallet: addresses.user, refundAmount: 5_000_000n, reason: 'duplicate signup', timestamp },
+      { lovelace: 5_000_000n }
+    );
+
+    const tx = await builder.processRefund(utxo, { now: chain.emulator.now() });
+    expectTiming(tx, timestamp);
+    expect(requiredSignersOf(tx)).toEqual([adminKeyHash()]);
+    expect(outputsOf(tx)).toContainEqual({ address: addresses.user, lovelace: 5_000_000n });
+    await submit(tx);
+  });
+
+  test('ProcessDeletion returns the locked value to the wallet', async () => {
+    const timestamp = chain.emulator.now();
+    const utxo = await lock({ type: 'Delete', wallet: addresses.user, timestamp }, { lovelace: 3_000_000n });
+
+    const tx = await builder.processDeletion(utxo, { now: chain.emulator.now() });
+    expectTiming(tx, timestamp);
+    expect(requiredSignersOf(tx)).toEqual([userKeyHash()]);
+    expect(outputsOf(tx)).toContainEqual({ address: addresses.user, lovelace: 3_000_000n });
+    await submit(tx, keys.user);
+  });
+
+  test('mints one identity NFT per phone hash, named after an input it spends and locked with a fresh AuthDatum', async () => {
+    const authData = { phoneHash: PHONE_HASH, createdAt: chain.emulator.now() };
+    const tx = await builder.mintIdentity(addresses.user, authData);
+    expect(requiredSignersOf(tx)).toEqual([adminKeyHash()]);
+    const inputs = tx.toTransaction().body().inputs();
+    const names = [];
+    for (let i = 0; i < inputs.len(); i++) {
+      names.push(identityName({ txHash: inputs.get(i).transaction_id().to_hex(), outputIndex: Number(inputs.get(i).index()) }));
+    }
+    await submit(tx);
+
+    const utxo = await builder.findIdentity(PHONE_HASH);
+    const unit = builder.identityUnitOf(utxo);
+    expect(unit.startsWith(validatorToScriptHash(ALWAYS_SUCCEEDS))).toBe(true);
+    expect(names).toContain(unit.slice(56));
+    expect(utxo.address).toBe(builder.scriptAddress);
+    expect(utxo.assets[unit]).toBe(1n);
+    expect(builder.fromDatum(utxo.datum)).toEqual({ type: 'Auth', version: 1, authData, isActive: true, nonce: 0, owner: userKeyHash() });
+
+    expect(await builder.findIdentity('ef'.repeat(32))).toBeUndefined();
+    await expectCode(builder.mintIdentity(addresses.user, authData), 'IDENTITY_EXISTS');
+  });
+
+  test('StoreAuthData and UpdateAuthData re-lock the NFT with the next nonce; DeactivateAuthData re-locks it inactive', async () => {
+    await submit(await builder.mintIdentity(addresses.user, { phoneHash: PHONE_HASH, createdAt: chain.emulator.now() }));
+    let utxo = await builder.findIdentity(PHONE_HASH);
+    const unit = builder.identityUnitOf(utxo);
+
+    const stored = { phoneHash: PHONE_HASH, createdAt: chain.emulator.now() };
+    const storeTx = await builder.storeAuthData(utxo, stored, { now: chain.emulator.now() });
+    expectTiming(storeTx, stored.createdAt);
+    expect(requiredSignersOf(storeTx)).toEqual([userKeyHash()]);
+    await submit(storeTx, keys.user);
+    utxo = await builder.findIdentity(PHONE_HASH);
+    expect(builder.fromDatum(utxo.datum)).toMatchObject({ authData: stored, isActive: true, nonce: 1 });
+
+    await expectCode(builder.updateAuthData(utxo, { ...stored, createdAt: stored.createdAt - 1 }), 'INVALID_DATUM');
+    await expectCode(builder.updateAuthData(utxo, { ...stored, phoneHash: 'ef'.repeat(32) }), 'INVALID_DATUM');
+    const updated = { phoneHash: PHONE_HASH, createdAt: chain.emulator.now() };
+    await submit(await builder.updateAuthData(utxo, updated, { now: chain.emulator.now() }), keys.user);
+    utxo = await builder.findIdentity(PHONE_HASH);
+    expect(builder.fromDatum(utxo.datum).nonce).toBe(2);
+
+    const deactivateTx = await builder.deactivateAuthData(utxo, { now: chain.emulator.now() });
+    expectTiming(deactivateTx, updated.createdAt);
+    await expect(submit(deactivateTx)).rejects.toThrow();
+    await submit(await builder.deactivateAuthData(utxo, { now: chain.emulator.now() }), keys.user);
+    utxo = await builder.findIdentity(PHONE_HASH);
+    expect(utxo.assets[unit]).toBe(1n);
+    expect(builder.fromDatum(utxo.datum)).toMatchObject({ isActive: false, nonce: 3 });
+    await expectCode(builder.storeAuthData(utxo, updated), 'INVALID_DATUM');
+  });
+
+  test('the owner burns an identity NFT, active or not, taking back its lovelace', async () => {
+    await submit(await builder.mintIdentity(addresses.user, { phoneHash: PHONE_HASH, createdAt: chain.emulator.now() }));
+    let utxo = await builder.findIdentity(PHONE_HASH);
+    const unit = builder.identityUnitOf(utxo);
+    await submit(await builder.deactivateAuthData(utxo, { now: chain.emulator.now() }), keys.user);
+    utxo = await builder.findIdentity(PHONE_HASH);
+
+    const userBuilder = new K33pTxBuilder(userLucid, ALWAYS_SUCCEEDS, { adminKeyHash: adminKeyHash(), refundAmount: REFUND_AMOUNT });
+    const tx = await userBuilder.burnIdentity(utxo);
+    expect(requiredSignersOf(tx)).toEqual([userKeyHash()]);
+    const mint = tx.toTransaction().body().mint();
+    expect(mint.get(CML.ScriptHash.from_hex(builder.identityPolicyId), CML.AssetName.from_hex(unit.slice(56)))).toBe(-1n);
+    await submit(tx);
+
+    expect(await builder.findIdentity(PHONE_HASH)).toBeUndefined();
+    const userUtxos = await lucid.utxosAt(addresses.user);
+    expect(userUtxos.some(u => u.assets[unit])).toBe(false);
+    await expectCode(userBuilder.burnIdentity(await lock(signupDatum(chain.emulator.now()))), 'WRONG_BRANCH');
+  });
+
+  test('refuses spends the validator would reject', async () => {
+    const timestamp = chain.emulator.now();
+    const utxo = await lock(signupDatum(timestamp));
+
+    await expectCode(builder.processRefund(utxo), 'WRONG_BRANCH');
+    await expectCode(builder.processSignup(utxo, { now: timestamp + VALIDATOR_RULES.maxTimeWindow + 1000 }), 'OUTSIDE_TIME_WINDOW');
+    await expectCode(builder.lock(signupDatum(timestamp, { userId: 'u' })), 'INVALID_DATUM');
+    await expectCode(builder.lock(signupDatum(timestamp, { zkProof: 'cd' })), 'INVALID_DATUM');
+    await expectCode(builder.lock(signupDatum(timestamp, { reclaimAfter: timestamp })), 'INVALID_DATUM');
+    await expectCode(builder.lock({ type: 'Delete', wallet: builder.scriptAddress, timestamp }), 'UNSUPPORTED_ADDRESS');
+    const auth = { type: 'Auth', version: 1, authData: { phoneHash: PHONE_HASH, createdAt: timestamp }, isActive: true, nonce: 0, owner: userKeyHash() };
+    await expectCode(builder.lock(auth), 'WRONG_BRANCH');
+    const forged = { ...utxo, datum: builder.toDatum(auth) };
+    await expectCode(builder.storeAuthData(forged, auth.authData), 'NOT_AN_IDENTITY');
+    expect(() => new K33pTxBuilder(lucid, ALWAYS_SUCCEEDS, { adminKeyHash: adminKeyHash(), refundAmount: 1_000_000n }))
+      .toThrow('refund amount must be at least min_lovelace');
+  });
+
+  test('attaches the validator as the Plutus version of its blueprint, whose evaluation decides the spend', async () => {
+    const params = { adminKeyHash: adminKeyHash(), refundAmount: REFUND_AMOUNT };
+    const deletion = async (compiledCode) => {
+      const validator = loadK33pValidator(params, blueprint('v3', compiledCode));
+      expect(validator.type).toBe('PlutusV3');
+      builder = new K33pTxBuilder(lucid, validator, params);
+      const utxo = await lock({ type: 'Delete', wallet: addresses.user, timestamp: chain.emulator.now() }, { lovelace: 3_000_000n });
+      return builder.processDeletion(utxo, { now: chain.emulator.now() });
+    };
+
+    await submit(await deletion(PARAMETERISED_SUCCEEDS), keys.user);
+    await expect(deletion(PARAMETERISED_FAILS)).rejects.toThrow();
+  });
+
+  test('refuses a blueprint for a Plutus version it cannot attach', () => {
+    const params = { adminKeyHash: adminKeyHash(), refundAmount: REFUND_AMOUNT };
+    expect(() => loadK33pValidator(params, blueprint('v4', PARAMETERISED_SUCCEEDS))).toThrow('compiled for Plutus v4');
+  });
+
+  test('the committed blueprint refunds a signup deposit through the real validator', async () => {
+    const params = { adminKeyHash: adminKeyHash(), refundAmount: REFUND_AMOUNT };
+    const validator = loadK33pValidator(params, 'plutus.json');
+    expect(validator.type).toBe('PlutusV3');
+    builder = new K33pTxBuilder(lucid, validator, params);
+
+    const timestamp = chain.emulator.now();
+    const utxo = await lock(signupDatum(timestamp));
+    await submit(await builder.processSignup(utxo, { now: chain.emulator.now() }));
+    expect(await lucid.utxosAt(builder.scriptAddress)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Unit tests for the shared verification store in src/services/verification-store.ts
+ * Uses an in-memory backend so no database or Redis connection is needed
+ */
+
+import { VerificationStore } from '../src/services/verification-store.js';
+
+class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.records = new Map();
+  }
+
+  async put(id, record) {
+    this.records.set(id, { ...record });
+  }
+
+  async get(id) {
+    const record = this.records.get(id);
+    return record && record.expiresAt > new Date() ? { ...record } : null;
+  }
+
+  // No await between the read and the write, like the single-statement update
+  async incrementAttempts(id) {
+    const record = this.records.get(id);
+    if (!record || record.expiresAt <= new Date()) return null;
+    record.attempts++;
+    return { ...record };
+  }
+
+  // No await between the read and the write, like the single-statement upsert
+  async incrementOrCreate(id, record) {
+    const current = this.records.get(id);
+    const next = current && current.expiresAt > new Date()
+      ? { ...current, attempts: current.attempts + 1 }
+      : { ...record };
+    this.records.set(id, next);
+    return { ...next };
+  }
+
+  async delete(id) {
+    this.records.delete(id);
+  }
+
+  async sweepExpired() {
+    return 0;
+  }
+}
+
+describe('Verification store', () => {
+  let backend;
+  let store;
+
+  beforeEach(() => {
+    backend = new MemoryBackend();
+    store = new VerificationStore(backend);
+  });
+
+  test('does not store raw keys or codes', async () => {
+    await store.issueCode('login:otp', '+2348012345678', '123456', { ttlSeconds: 60 });
+    const stored = JSON.stringify([...backend.records.entries()]);
+    expect(stored).not.toContain('+2348012345678');
+    expect(stored).not.toContain('123456');
+  });
+
+  test('accepts a valid code once', async () => {
+    await store.issueCode('login:otp', '+2348012345678', '123456', { ttlSeconds: 60, data: { requestId: 'r1' } });
+    const result = await store.verifyCode('login:otp', '+2348012345678', '123456');
+    expect(result.valid).toBe(true);
+    expect(result.data).toEqual({ requestId: 'r1' });
+
+    const replay = await store.verifyCode('login:otp', '+2348012345678', '123456');
+    expect(replay.reason).toBe('NOT_FOUND');
+  });
+
+  test('discards a code after too many attempts', async () => {
+    await store.issueCode('login:otp', '+2348012345678', '123456', { ttlSeconds: 60, maxAttempts: 2 });
+    expect((await store.verifyCode('login:otp', '+2348012345678', '000000')).attemptsRemaining).toBe(1);
+    expect((await store.verifyCode('login:otp', '+2348012345678', '000000')).attemptsRemaining).toBe(0);
+
+    const locked = await store.verifyCode('login:otp', '+2348012345678', '123456');
+    expect(locked.valid).toBe(false);
+    expect(locked.reason).toBe('TOO_MANY_ATTEMPTS');
+  });
+
+  test('rejects expired codes', async () => {
+    await store.issueCode('login:otp', '+2348012345678', '123456', { ttlSeconds: -1 });
+    expect((await store.verifyCode('login:otp', '+2348012345678', '123456')).reason).toBe('NOT_FOUND');
+  });
+
+  test('locks a key once its attempt window is exhausted', async () => {
+    const options = { ttlSeconds: 60, maxAttempts: 3 };
+    for (let i = 0; i < 3; i++) {
+      expect(await store.isLocked('recovery:backup-phrase-attempts', 'user-1')).toBe(false);
+      await store.registerAttempt('recovery:backup-phrase-attempts', 'user-1', options);
+    }
+    expect(await store.isLocked('recovery:backup-phrase-attempts', 'user-1')).toBe(true);
+    expect(await store.isLocked('recovery:backup-phrase-attempts', 'user-2')).toBe(false);
+  });
+
+  test('allows no more parallel attempts than the window holds', async () => {
+    const options = { ttlSeconds: 60, maxAttempts: 3 };
+    const results = await Promise.all(
+      Array.from({ length: 10 }, () => store.takeAttempt('recovery:backup-phrase-attempts', 'user-1', options))
+    );
+    expect(results.filter(result => result.allowed)).toHaveLength(3);
+    expect(results[2]).toEqual({ allowed: true, attemptsRemaining: 0 });
+  });
+
+  test('gives an emergency token to only one of two concurrent verifications', async () => {
+    await store.put('recovery:emergency-token', 'token-1', { userId: 'user-1' }, { ttlSeconds: 60 });
+    const claims = await Promise.all([
+      store.claim('recovery:emergency-token', 'token-1'),
+      store.claim('recovery:emergency-token', 'token-1')
+    ]);
+    expect(claims.filter(claim => claim !== null)).toEqual([{ userId: 'user-1' }]);
+    expect(await store.claim('recovery:emergency-token', 'token-1')).toBe(null);
+  });
+
+  test('hashes codes with the server secret', async () => {
+    const previous = process.env.VERIFICATION_CODE_SECRET;
+    try {
+      process.env.VERIFICATION_CODE_SECRET = 'secret-a';
+      await store.issueCode('login:otp', '+2348012345678', '123456', { ttlSeconds: 60 });
+      process.env.VERIFICATION_CODE_SECRET = 'secret-b';
+      expect((await store.verifyCode('login:otp', '+2348012345678', '123456')).valid).toBe(false);
+    } finally {
+      if (previous === undefined) delete process.env.VERIFICATION_CODE_SECRET;
+      else process.env.VERIFICATION_CODE_SECRET = previous;
+    }
+  });
+});
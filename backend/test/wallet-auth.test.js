@@ -0,0 +1,140 @@
+/**
+ * CIP-30 challenge/response login in src/services/wallet-auth.ts. Wallets are
+ * private keys signing with Lucid's signData, which produces the same CIP-8
+ * COSE_Sign1 and COSE key as CIP-30 signData.
+ */
+
+import {
+  CML,
+  credentialToAddress,
+  generatePrivateKey,
+  getAddressDetails,
+  signData,
+  validatorToAddress
+} from '@lucid-evolution/lucid';
+import { WalletAuthService } from '../src/services/wallet-auth.js';
+import { VerificationStore } from '../src/services/verification-store.js';
+
+// Shaped like verification_state: a shared table both server instances reach
+class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.records = new Map();
+  }
+
+  async put(id, record) {
+    this.records.set(id, { ...record });
+  }
+
+  async get(id) {
+    const record = this.records.get(id);
+    return record && record.expiresAt > new Date() ? { ...record } : null;
+  }
+
+  async incrementAttempts(id) {
+    const record = this.records.get(id);
+    if (!record || record.expiresAt <= new Date()) return null;
+    record.attempts++;
+    return { ...record };
+  }
+
+  async delete(id) {
+    this.records.delete(id);
+  }
+}
+
+const expectCode = async (promise, code) => {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error.code).toBe(code);
+    return;
+  }
+  throw new Error(`Expected ${code}`);
+};
+
+describe('Wallet authentication', () => {
+  let backend;
+  let service;
+  let wallet;
+  let other;
+
+  const newWallet = () => {
+    const privateKey = generatePrivateKey();
+    const keyHash = CML.PrivateKey.from_bech32(privateKey).to_public().hash().to_hex();
+    return { privateKey, address: credentialToAddress('Preprod', { type: 'Key', hash: keyHash }) };
+  };
+
+  const sign = (signer, address, payload) => signData(getAddressDetails(address).address.hex, payload, signer.privateKey);
+
+  const signChallenge = (signer, address, challenge) => sign(signer, address, challenge.payload);
+
+  beforeEach(async () => {
+    backend = new MemoryBackend();
+    service = new WalletAuthService(300, new VerificationStore(backend));
+    wallet = newWallet();
+    other = newWallet();
+  });
+
+  test('accepts a signature over the challenge by the address key', async () => {
+    const challenge = await service.issueChallenge(wallet.address);
+    expect(Buffer.from(challenge.payload, 'hex').toString('utf8')).toBe(challenge.message);
+    expect(challenge.message).toContain(challenge.nonce);
+    expect(challenge.message).toContain(wallet.address);
+
+    const signed = await signChallenge(wallet, wallet.address, challenge);
+    await expect(service.verifyChallenge(wallet.address, challenge.nonce, signed)).resolves.toBeUndefined();
+  });
+
+  test('a challenge can only be answered once', async () => {
+    const challenge = await service.issueChallenge(wallet.address);
+    const signed = await signChallenge(wallet, wallet.address, challenge);
+    await service.verifyChallenge(wallet.address, challenge.nonce, signed);
+    await expectCode(service.verifyChallenge(wallet.address, challenge.nonce, signed), 'CHALLENGE_NOT_FOUND');
+  });
+
+  test('a challenge issued by one instance is answered once across instances', async () => {
+    const challenge = await service.issueChallenge(wallet.address);
+    const signed = await signChallenge(wallet, wallet.address, challenge);
+    const instances = [service, new WalletAuthService(300, new VerificationStore(backend))];
+
+    const results = await Promise.allSettled(
+      instances.map(instance => instance.verifyChallenge(wallet.address, challenge.nonce, signed))
+    );
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason.code).toBe('CHALLENGE_NOT_FOUND');
+  });
+
+  test('rejects a signature by another key', async () => {
+    const challenge = await service.issueChallenge(wallet.address);
+    const signed = await signChallenge(other, other.address, challenge);
+    await expectCode(service.verifyChallenge(wallet.address, challenge.nonce, signed), 'INVALID_SIGNATURE');
+  });
+
+  test('rejects a signature over a different message', async () => {
+    const challenge = await service.issueChallenge(wallet.address);
+    const signed = await sign(wallet, wallet.address, Buffer.from('something else').toString('hex'));
+    await expectCode(service.verifyChallenge(wallet.address, challenge.nonce, signed), 'INVALID_SIGNATURE');
+  });
+
+  test('a challenge is bound to the address it was issued for', async () => {
+    const challenge = await service.issueChallenge(wallet.address);
+    const signed = await signChallenge(other, other.address, challenge);
+    await expectCode(service.verifyChallenge(other.address, challenge.nonce, signed), 'ADDRESS_MISMATCH');
+  });
+
+  test('expired or unknown nonces are refused', async () => {
+    service = new WalletAuthService(0.05, new VerificationStore(backend));
+    const challenge = await service.issueChallenge(wallet.address);
+    const signed = await signChallenge(wallet, wallet.address, challenge);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    await expectCode(service.verifyChallenge(wallet.address, challenge.nonce, signed), 'CHALLENGE_NOT_FOUND');
+    await expectCode(service.verifyChallenge(wallet.address, 'ab'.repeat(32), signed), 'CHALLENGE_NOT_FOUND');
+  });
+
+  test('only addresses with a payment key can ask for a challenge', async () => {
+    await expectCode(service.issueChallenge('addr_test1invalid'), 'INVALID_ADDRESS');
+    const scriptAddress = validatorToAddress('Preprod', { type: 'PlutusV2', script: '49480100002221200101' });
+    await expectCode(service.issueChallenge(scriptAddress), 'INVALID_ADDRESS');
+  });
+});
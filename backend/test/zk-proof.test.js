@@ -0,0 +1,134 @@
+/**
+ * Unit tests for the Groth16 identity proof utilities in src/utils/zk.js and
+ * the login challenges in src/services/zk-challenge.ts
+ * Requires the circuit artifacts from `npm run zk:build`
+ */
+
+import { generateZkChallenge, generateZkCommitment, generateZkProof, isFieldElement, verifyZkProof } from '../src/utils/zk.js';
+import { hashPhone, hashBiometric, hashPasskey } from '../src/utils/hash.js';
+import { ZkChallengeService } from '../src/services/zk-challenge.js';
+import { VerificationStore } from '../src/services/verification-store.js';
+
+class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.records = new Map();
+  }
+
+  async put(id, record) {
+    this.records.set(id, { ...record });
+  }
+
+  async get(id) {
+    const record = this.records.get(id);
+    return record && record.expiresAt > new Date() ? { ...record } : null;
+  }
+
+  async incrementAttempts(id) {
+    const record = this.records.get(id);
+    if (!record || record.expiresAt <= new Date()) return null;
+    record.attempts++;
+    return { ...record };
+  }
+
+  async delete(id) {
+    this.records.delete(id);
+  }
+}
+
+describe('ZK identity proofs', () => {
+  const inputs = {
+    phone: '+2348012345678',
+    biometric: 'test_biometric_data',
+    passkey: 'test_passkey_data'
+  };
+  let commitment;
+  let challenge;
+  let proof;
+
+  beforeAll(async () => {
+    commitment = await generateZkCommitment({
+      phoneHash: hashPhone(inputs.phone),
+      biometricHash: hashBiometric(inputs.biometric),
+      passkeyHash: hashPasskey(inputs.passkey)
+    });
+    challenge = generateZkChallenge();
+    proof = await generateZkProof(inputs, commitment, challenge);
+  }, 60000);
+
+  test('commitment is a decimal field element', () => {
+    expect(commitment).toMatch(/^\d+$/);
+  });
+
+  test('optional factors change the commitment', async () => {
+    const phoneOnly = await generateZkCommitment({ phoneHash: hashPhone(inputs.phone) });
+    expect(phoneOnly).not.toBe(commitment);
+  });
+
+  test('generates and verifies a proof for matching inputs', async () => {
+    expect(proof.isValid).toBe(true);
+    expect(proof.publicSignals).toEqual([commitment, challenge]);
+    expect(await verifyZkProof(proof, commitment, challenge)).toBe(true);
+  });
+
+  test('rejects a proof presented for another challenge', async () => {
+    expect(await verifyZkProof(proof, commitment, generateZkChallenge())).toBe(false);
+    expect(await verifyZkProof(proof, commitment)).toBe(false);
+  });
+
+  test('tells legacy commitments apart from provable ones', () => {
+    expect(isFieldElement(commitment)).toBe(true);
+    expect(isFieldElement(hashPhone(inputs.phone))).toBe(false);
+    expect(isFieldElement('3f2a9c0d1e4b5a6c7d8e9f0a1b2c3d4e5f6a7b8c9d-1a2b3c4d')).toBe(false);
+    expect(isFieldElement('21888242871839275222246405745257593145887592958661552995808136698120811880583')).toBe(false);
+  });
+
+  test('refuses to prove inputs that do not match the commitment', async () => {
+    const result = await generateZkProof({ ...inputs, phone: '+2348000000000' }, commitment, challenge);
+    expect(result.isValid).toBe(false);
+    expect(result.proof).toBeNull();
+  });
+
+  test('rejects a proof presented for a different commitment', async () => {
+    const other = await generateZkCommitment({ phoneHash: hashPhone('+2348000000000') });
+    expect(await verifyZkProof({ ...proof, publicInputs: { commitment: other, challenge } }, other, challenge)).toBe(false);
+  });
+
+  test('ignores a forged isValid flag', async () => {
+    const forged = {
+      proof: { pi_a: ['1', '2', '1'], pi_b: [['1', '2'], ['3', '4'], ['1', '0']], pi_c: ['1', '2', '1'] },
+      publicSignals: [commitment, challenge],
+      publicInputs: { commitment, challenge },
+      isValid: true
+    };
+    expect(await verifyZkProof(forged, commitment, challenge)).toBe(false);
+    expect(await verifyZkProof({ publicInputs: { commitment, challenge }, isValid: true }, commitment, challenge)).toBe(false);
+  });
+});
+
+describe('ZK login challenges', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new ZkChallengeService(300, new VerificationStore(new MemoryBackend()));
+  });
+
+  test('issues a field element that can be spent once', async () => {
+    const { challenge } = await service.issue();
+    expect(isFieldElement(challenge)).toBe(true);
+
+    expect(await service.consume(challenge)).toBe(true);
+    expect(await service.consume(challenge)).toBe(false);
+  });
+
+  test('refuses a challenge it did not issue', async () => {
+    expect(await service.consume(generateZkChallenge())).toBe(false);
+    expect(await service.consume(undefined)).toBe(false);
+  });
+
+  test('refuses an expired challenge', async () => {
+    service = new ZkChallengeService(-1, new VerificationStore(new MemoryBackend()));
+    const { challenge } = await service.issue();
+    expect(await service.consume(challenge)).toBe(false);
+  });
+});
@@ -1,6 +1,6 @@
 // Script to update the backend wallet configuration to use the user's wallet
 // @ts-nocheck
-import { Lucid, Blockfrost } from 'lucid-cardano';
+import { Lucid, Blockfrost } from '@lucid-evolution/lucid';
 import fs from 'fs';
 import dotenv from 'dotenv';
 import path from 'path';
@@ -1,41 +1,59 @@
 // deploy.ts - Fixed K33P contract deployment script
-import { Lucid, Blockfrost, SpendingValidator, Data } from "lucid-cardano";
+import {
+  Lucid,
+  LucidEvolution,
+  Blockfrost,
+  Data,
+  paymentCredentialOf,
+  validatorToAddress,
+  validatorToScriptHash,
+} from "@lucid-evolution/lucid";
 import * as fs from "fs";
 import * as path from "path";
 import { fileURLToPath } from 'url';
+import { assertNetworkAddress, getNetworkProfile } from "../../backend/src/services/network-profile.js";
+import { ContractDeploymentModel } from "../../backend/src/database/models.js";
+import { loadK33pValidator } from "../../backend/src/services/tx-builder.js";
 
 console.log("Deploy script is running...");
 
-// Configuration
+// Configuration; NETWORK selects the same network profile the backend uses
+const NETWORK = getNetworkProfile();
+
 const CONFIG = {
-  network: "Preprod" as const,
-  blockfrostUrl: "https://cardano-preprod.blockfrost.io/api/v0",
+  contractName: "k33p_validator",
+  network: NETWORK.lucidNetwork,
+  blockfrostUrl: process.env.BLOCKFROST_URL || NETWORK.blockfrostUrl,
   blockfrostApiKey: process.env.BLOCKFROST_API_KEY || "preprod3W1XBWtJSpHSjqlHcrxuPo3uv2Q5BOFM",
   seedPhrase: process.env.SEED_PHRASE || "blame purpose battle mistake match cousin degree route bag return clump key metal actress poet outside group sword bring gravity weapon report alone dove",
   plutusScriptPath: "C:/Users/USER/Desktop/K33P_Smart_Contract/smart_contract_validator/plutus.json",
   minAda: 2_000_000n, // 2 ADA minimum for deployment
+  // Validator parameters; the backend must be started with the same values
+  adminKeyHash: process.env.K33P_ADMIN_KEY_HASH, // defaults to the deploy wallet's payment key
+  refundAmount: BigInt(process.env.K33P_REFUND_AMOUNT || "2000000"),
 };
 
 async function deployK33pContract() {
-  console.log("🚀 Starting K33P contract deployment...");
+  console.log(`🚀 Starting K33P contract deployment on ${NETWORK.name}...`);
   
   try {
     // 1. Initialize Lucid with Blockfrost
     console.log("📡 Connecting to Blockfrost...");
-    const lucid = await Lucid.new(
+    const lucid = await Lucid(
       new Blockfrost(CONFIG.blockfrostUrl, CONFIG.blockfrostApiKey),
       CONFIG.network
     );
 
     // 2. Set up wallet
     console.log("💼 Setting up wallet...");
-    lucid.selectWalletFromSeed(CONFIG.seedPhrase);
+    lucid.selectWallet.fromSeed(CONFIG.seedPhrase);
     
-    const walletAddress = await lucid.wallet.address();
+    const walletAddress = await lucid.wallet().address();
     console.log(`📍 Wallet address: ${walletAddress}`);
+    assertNetworkAddress(walletAddress, NETWORK);
 
     // 3. Check wallet balance
-    const utxos = await lucid.wallet.getUtxos();
+    const utxos = await lucid.wallet().getUtxos();
     const totalAda = utxos.reduce((sum, utxo) => sum + (utxo.assets.lovelace || 0n), 0n);
     console.log(`💰 Wallet balance: ${Number(totalAda) / 1_000_000} ADA`);
 
@@ -49,16 +67,24 @@ async function deployK33pContract() {
       throw new Error(`Plutus script not found at ${CONFIG.plutusScriptPath}`);
     }
 
-    const plutusScript = JSON.parse(fs.readFileSync(CONFIG.plutusScriptPath, "utf8"));
-    
-    // 5. Create validator
-    const validator: SpendingValidator = {
-      type: "PlutusV2",
-      script: plutusScript.cborHex,
-    };
+    // 5. Apply the admin key and refund amount parameters, the same way the
+    // backend loads the validator, so both derive the same script hash
+    const adminKeyHash = CONFIG.adminKeyHash || paymentCredentialOf(walletAddress).hash;
+    if (CONFIG.refundAmount < CONFIG.minAda) {
+      throw new Error(`Refund amount must be at least ${Number(CONFIG.minAda) / 1_000_000} ADA`);
+    }
+    console.log(`🔑 Admin key hash: ${adminKeyHash}`);
+    console.log(`💸 Refund amount: ${Number(CONFIG.refundAmount) / 1_000_000} ADA`);
+
+    const validator = loadK33pValidator(
+      { adminKeyHash, refundAmount: CONFIG.refundAmount },
+      CONFIG.plutusScriptPath
+    );
 
     // 6. Generate script address
-    const scriptAddress = lucid.utils.validatorToAddress(validator);
+    const scriptAddress = validatorToAddress(CONFIG.network, validator);
+    const scriptHash = validatorToScriptHash(validator);
+    assertNetworkAddress(scriptAddress, NETWORK);
     console.log(`🏠 Script address: ${scriptAddress}`);
 
     // 7. Build deployment transaction - FIXED VERSION
@@ -67,27 +93,28 @@ async function deployK33pContract() {
     // Option 1: Simple deployment (just send ADA to script address)
     const tx = await lucid
       .newTx()
-      .payToContract(
+      .pay.ToContract(
         scriptAddress,
-        { inline: Data.void() }, // Empty datum
+        { kind: "inline", value: Data.void() }, // Empty datum
         { lovelace: CONFIG.minAda }
       )
-      // ❌ REMOVED: .attachSpendingValidator(validator) 
+      // ❌ REMOVED: .attach.SpendingValidator(validator) 
       // This was causing the MalformedScriptWitnesses error!
       .complete();
 
     // Option 2: Deploy as reference script (uncomment if you want reference script)
     // const tx = await lucid
     //   .newTx()
-    //   .payToContract(
+    //   .pay.ToContract(
     //     scriptAddress,
-    //     { inline: Data.void() },
+    //     { kind: "inline", value: Data.void() },
     //     { lovelace: CONFIG.minAda }
     //   )
-    //   .payToAddressWithData(
+    //   .pay.ToAddressWithData(
     //     walletAddress, // Send reference script to your own address
-    //     { scriptRef: validator }, // This creates a reference script
-    //     { lovelace: CONFIG.minAda }
+    //     undefined,
+    //     { lovelace: CONFIG.minAda },
+    //     validator // This creates a reference script
     //   )
     //   .complete();
 
@@ -95,7 +122,7 @@ async function deployK33pContract() {
 
     // 8. Sign transaction
     console.log("✍️ Signing transaction...");
-    const signedTx = await tx.sign().complete();
+    const signedTx = await tx.sign.withWallet().complete();
 
     // 9. Submit transaction
     console.log("📤 Submitting transaction to network...");
@@ -106,26 +133,33 @@ async function deployK33pContract() {
     console.log("=".repeat(50));
     console.log(`📋 Transaction Hash: ${txHash}`);
     console.log(`🏠 Script Address: ${scriptAddress}`);
-    console.log(`🔗 CardanoScan: https://preprod.cardanoscan.io/transaction/${txHash}`);
+    console.log(`🔗 CardanoScan: ${NETWORK.explorerUrl}/transaction/${txHash}`);
     console.log(`💰 Cost: ${Number(CONFIG.minAda) / 1_000_000} ADA + fees`);
     console.log("=".repeat(50));
 
-    // 11. Save deployment info
+    // 11. Record the deployment for the backend, which reads the script
+    // address of its network from contract_deployments
     const deploymentInfo = {
-      contractName: "k33p_validator",
-      network: CONFIG.network,
-      txHash,
-      scriptAddress,
-      deployedAt: new Date().toISOString(),
-      blockfrostApiKey: CONFIG.blockfrostApiKey.slice(0, 8) + "...",
-      validator: {
-        type: "PlutusV2",
-        scriptSize: plutusScript.cborHex ? plutusScript.cborHex.length / 2 : 0,
-      }
+      network: NETWORK.name,
+      contract_name: CONFIG.contractName,
+      script_address: scriptAddress,
+      script_hash: scriptHash,
+      tx_hash: txHash,
+      parameters: {
+        adminKeyHash,
+        refundAmount: CONFIG.refundAmount.toString(),
+        scriptSize: validator.script.length / 2,
+      },
     };
 
-    fs.writeFileSync("deployment-info.json", JSON.stringify(deploymentInfo, null, 2));
-    console.log("📄 Deployment info saved to deployment-info.json");
+    try {
+      await ContractDeploymentModel.record(deploymentInfo);
+      console.log(`📄 Deployment recorded as the active ${CONFIG.contractName} on ${NETWORK.name}`);
+    } catch (recordError) {
+      // The contract is on chain either way; print what to insert by hand
+      console.error("⚠️ Could not record the deployment in contract_deployments:", recordError);
+      console.log(JSON.stringify(deploymentInfo, null, 2));
+    }
 
     // 12. Wait for confirmation
     console.log("\n⏳ Waiting for transaction confirmation...");
@@ -146,7 +180,7 @@ async function deployK33pContract() {
     if (error.message?.includes("Blockfrost")) {
       console.log("\n💡 Blockfrost Issues:");
       console.log("1. Check your API key is correct");
-      console.log("2. Ensure you're using a PREPROD project key");
+      console.log(`2. Ensure you're using a ${NETWORK.name.toUpperCase()} project key`);
       console.log("3. Verify your Blockfrost project has remaining requests");
     }
 
@@ -154,7 +188,7 @@ async function deployK33pContract() {
   }
 }
 
-async function waitForConfirmation(lucid: Lucid, txHash: string, maxAttempts = 20) {
+async function waitForConfirmation(lucid: LucidEvolution, txHash: string, maxAttempts = 20) {
   for (let i = 0; i < maxAttempts; i++) {
     try {
       await lucid.awaitTx(txHash);
@@ -1,10 +1,10 @@
-import { Lucid, Blockfrost } from 'lucid-cardano';
+import { Lucid, Blockfrost } from '@lucid-evolution/lucid';
 
 async function testLucid() {
   try {
     console.log('🔍 Testing Lucid with Blockfrost...');
     
-    const lucid = await Lucid.new(
+    const lucid = await Lucid(
       new Blockfrost(
         'https://cardano-preprod.blockfrost.io/api/v0',
         'preprodZIx5fPLLilrrK99ISQoodwXkn5NAmzVR'
@@ -15,7 +15,7 @@ async function testLucid() {
     console.log('✅ Lucid initialized successfully');
     
     // Test getting protocol parameters
-    const protocolParams = await lucid.provider.getProtocolParameters();
+    const protocolParams = await lucid.config().provider.getProtocolParameters();
     console.log('✅ Protocol parameters:', protocolParams);
     
   } catch (error) {